@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Perft - Checks the move generator by counting the positions reachable in a
+ * number of plies and comparing with known counts.
+ *
+ * Usage:
+ *   node bin/perft.js [--max-nodes N]        run the standard perft positions
+ *   node bin/perft.js <depth> [fen]          count the nodes of a position
+ *   node bin/perft.js --divide <depth> [fen] count the nodes after each move
+ */
+import { INITIAL_FEN } from '../js/utils/Constants.js';
+import { FENService } from '../js/services/FENService.js';
+import { PerftService } from '../js/services/PerftService.js';
+import { LoggingService } from '../js/utils/LoggingService.js';
+
+/**
+ * Write a line to stdout
+ * @param {String} line - Text to write
+ */
+function output(line) {
+  process.stdout.write(line + '\n');
+}
+
+/**
+ * Run the perft command line
+ * @param {Array} args - Command line arguments
+ * @returns {Number} Exit code
+ */
+function main(args) {
+  // stdout carries the results, so logging goes to stderr
+  console.log = console.info = console.warn = console.debug = console.error;
+  LoggingService.setLogLevel(LoggingService.LOG_LEVELS.ERROR);
+
+  const perftService = new PerftService(new FENService());
+
+  if (args.length === 0 || args[0] === '--max-nodes') {
+    const maxNodes = args[0] === '--max-nodes' ? Number(args[1]) : Infinity;
+    const { passed, failed } = perftService.runSuite({
+      maxNodes,
+      onResult: ({ name, depth, expected, nodes, passed, time }) => {
+        output(`${passed ? 'ok  ' : 'FAIL'} ${name}, depth ${depth}: ${nodes}` +
+          `${passed ? '' : ` (expected ${expected})`} in ${time} ms`);
+      }
+    });
+    output(`Perft: ${passed} of ${passed + failed} counts correct`);
+    return failed > 0 ? 1 : 0;
+  }
+
+  const divide = args[0] === '--divide';
+  const [depthArg, ...fenParts] = divide ? args.slice(1) : args;
+  const depth = parseInt(depthArg, 10);
+  const fen = fenParts.length > 0 ? fenParts.join(' ') : INITIAL_FEN;
+
+  if (!(depth >= 1)) {
+    output('Usage: node bin/perft.js [--max-nodes N] | [--divide] <depth> [fen]');
+    return 2;
+  }
+
+  const startTime = Date.now();
+  let nodes;
+
+  try {
+    if (divide) {
+      const counts = perftService.divide(fen, depth);
+      counts.forEach(({ move, nodes: moveNodes }) => output(`${move}: ${moveNodes}`));
+      nodes = counts.reduce((sum, count) => sum + count.nodes, 0);
+      output('');
+    } else {
+      nodes = perftService.perft(fen, depth);
+    }
+  } catch (error) {
+    output(`Invalid position: ${error.message}`);
+    return 2;
+  }
+
+  output(`Nodes: ${nodes} (${Date.now() - startTime} ms)`);
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * UCI check - Plays short scripted sessions against the UCI engine and checks its
+ * answers, in particular that "stop" sent right after "go" still ends the search
+ * with a bestmove.
+ *
+ * Usage: node bin/uci-check.js
+ */
+import { spawn } from 'node:child_process';
+import { createInterface } from 'node:readline';
+import { fileURLToPath } from 'node:url';
+
+// The engine under test
+const ENGINE_PATH = fileURLToPath(new URL('./uci.js', import.meta.url));
+
+// Longest wait for the engine's answer to a session
+const ANSWER_TIMEOUT = 10000;
+
+// Sessions: commands sent at once, and the answer that ends the session
+const CHECKS = [
+  { name: 'Handshake', commands: ['uci', 'isready'], expect: /^readyok$/ },
+  { name: 'Stop right after go infinite', commands: ['position startpos', 'go infinite', 'stop'], expect: /^bestmove \S+/ },
+  { name: 'Stop right after go with a clock', commands: ['position startpos moves e2e4', 'go wtime 600000 btime 600000', 'stop'], expect: /^bestmove \S+/ },
+  { name: 'Fixed depth', commands: ['position startpos', 'go depth 3'], expect: /^bestmove \S+/ },
+  { name: 'Node budget', commands: ['position startpos', 'go nodes 2000'], expect: /^bestmove \S+/ },
+  { name: 'Mate in one', commands: ['position fen 6k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - 0 1', 'go mate 1'], expect: /^bestmove d1d8/ }
+];
+
+/**
+ * Write a line to stdout
+ * @param {String} line - Text to write
+ */
+function output(line) {
+  process.stdout.write(line + '\n');
+}
+
+/**
+ * Run one session in a new engine process
+ * @param {Object} check - { commands, expect }
+ * @returns {Promise<Object>} { passed, answer } with the line that ended the session,
+ *                            or null if the engine didn't answer in time
+ */
+function runCheck({ commands, expect }) {
+  return new Promise((resolve) => {
+    const engine = spawn(process.execPath, [ENGINE_PATH], { stdio: ['pipe', 'pipe', 'ignore'] });
+    const lines = createInterface({ input: engine.stdout });
+
+    const finish = (answer) => {
+      clearTimeout(timer);
+      lines.close();
+      engine.kill();
+      resolve({ passed: answer !== null && expect.test(answer), answer });
+    };
+    const timer = setTimeout(() => finish(null), ANSWER_TIMEOUT);
+
+    // The expected answer, or any bestmove, ends the session
+    lines.on('line', (line) => {
+      if (expect.test(line) || line.startsWith('bestmove')) finish(line);
+    });
+
+    engine.stdin.write(commands.join('\n') + '\n');
+  });
+}
+
+/**
+ * Run all sessions
+ * @returns {Promise<Number>} Exit code
+ */
+async function main() {
+  let failed = 0;
+
+  for (const check of CHECKS) {
+    const { passed, answer } = await runCheck(check);
+    if (!passed) failed++;
+    output(`${passed ? 'ok  ' : 'FAIL'} ${check.name}: ${answer === null ? `no answer in ${ANSWER_TIMEOUT} ms` : answer}`);
+  }
+
+  output(`UCI: ${CHECKS.length - failed} of ${CHECKS.length} checks passed`);
+  return failed > 0 ? 1 : 0;
+}
+
+process.exitCode = await main();
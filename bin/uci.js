@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+/**
+ * UCI engine - Runs the built-in engine as a UCI engine for chess GUIs and
+ * tournament managers. Commands are read from stdin and answers written to
+ * stdout; searches run in a worker thread so "stop" is handled while searching.
+ *
+ * Usage: node bin/uci.js
+ */
+import { createInterface } from 'node:readline';
+import { Worker, isMainThread, parentPort } from 'node:worker_threads';
+import { INITIAL_FEN } from '../js/utils/Constants.js';
+import { Board } from '../js/models/Board.js';
+import { GameState } from '../js/models/GameState.js';
+import { MoveValidator } from '../js/models/MoveValidator.js';
+import { FENService } from '../js/services/FENService.js';
+import { Engine } from '../js/engine/Engine.js';
+import { UCIClient } from '../js/engine/UCIClient.js';
+import { LoggingService } from '../js/utils/LoggingService.js';
+
+const ENGINE_NAME = 'Pure Chess';
+const ENGINE_AUTHOR = 'Pure Chess contributors';
+
+// Deepest search the engine supports
+const MAX_DEPTH = 64;
+
+// Engine options reported to the GUI (spin options: default, min, max)
+const UCI_OPTIONS = {
+  Depth: { default: MAX_DEPTH, min: 1, max: MAX_DEPTH },
+  MoveTime: { default: 5000, min: 10, max: 3600000 },
+  Randomness: { default: 0, min: 0, max: 200 },
+  MultiPV: { default: 1, min: 1, max: 10 }
+};
+
+// Time management: expected moves left when the GUI doesn't say, and the
+// time kept in reserve for communication overhead
+const DEFAULT_MOVES_TO_GO = 30;
+const MOVE_OVERHEAD = 50;
+
+class UCIServer {
+  /**
+   * Create a UCI server
+   * @param {Function} output - Writes a line to the GUI
+   * @param {Function} createSearchWorker - Creates the worker that runs searches
+   */
+  constructor(output, createSearchWorker) {
+    this.output = output;
+    this.createSearchWorker = createSearchWorker;
+    this.fenService = new FENService();
+    this.options = Object.fromEntries(Object.entries(UCI_OPTIONS).map(([name, spec]) => [name, spec.default]));
+    this.fen = INITIAL_FEN;
+    this.worker = null;
+    this.stopFlag = new Int32Array(new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT));
+    this.nextSearchId = 1;
+    this.search = null;
+    this.quitting = false;
+    this.quitAfterSearch = false;
+  }
+
+  /**
+   * Handle a command from the GUI
+   * @param {String} line - UCI command
+   */
+  handleCommand(line) {
+    const tokens = line.trim().split(/\s+/);
+    
+    switch (tokens[0]) {
+      case 'uci':
+        this.output(`id name ${ENGINE_NAME}`);
+        this.output(`id author ${ENGINE_AUTHOR}`);
+        Object.entries(UCI_OPTIONS).forEach(([name, spec]) => {
+          this.output(`option name ${name} type spin default ${spec.default} min ${spec.min} max ${spec.max}`);
+        });
+        this.output('uciok');
+        break;
+      case 'isready':
+        this.output('readyok');
+        break;
+      case 'setoption':
+        this.setOption(tokens);
+        break;
+      case 'ucinewgame':
+        this.fen = INITIAL_FEN;
+        break;
+      case 'position':
+        this.setPosition(tokens);
+        break;
+      case 'go':
+        this.go(tokens);
+        break;
+      case 'stop':
+        this.stop();
+        break;
+      case 'ponderhit':
+        // Pondering is not supported, so there is nothing to switch over
+        break;
+      case 'quit':
+        this.quit();
+        break;
+      case '':
+        break;
+      default:
+        this.output(`info string Unknown command: ${tokens[0]}`);
+    }
+  }
+
+  /**
+   * Handle "setoption name <name> value <value>"
+   * @param {Array} tokens - Command tokens
+   */
+  setOption(tokens) {
+    const valueIndex = tokens.indexOf('value');
+    const name = tokens.slice(2, valueIndex === -1 ? undefined : valueIndex).join(' ');
+    const spec = UCI_OPTIONS[name];
+    
+    if (!spec) {
+      this.output(`info string Unknown option: ${name}`);
+      return;
+    }
+    
+    const value = parseInt(tokens[valueIndex + 1], 10);
+    if (valueIndex === -1 || isNaN(value)) {
+      this.output(`info string Option ${name} needs a number`);
+      return;
+    }
+    
+    this.options[name] = Math.min(spec.max, Math.max(spec.min, value));
+  }
+
+  /**
+   * Handle "position [startpos | fen <fen>] [moves <move> ...]"
+   * @param {Array} tokens - Command tokens
+   */
+  setPosition(tokens) {
+    const movesIndex = tokens.indexOf('moves');
+    const moves = movesIndex === -1 ? [] : tokens.slice(movesIndex + 1);
+    const fen = tokens[1] === 'fen' ?
+      tokens.slice(2, movesIndex === -1 ? undefined : movesIndex).join(' ') :
+      INITIAL_FEN;
+    
+    const board = new Board();
+    const gameState = new GameState();
+    const validator = new MoveValidator(board, gameState);
+    
+    try {
+      this.fenService.parseFEN(fen, board, gameState);
+    } catch (error) {
+      this.output(`info string ${error.message}`);
+      return;
+    }
+    
+    for (const uciMove of moves) {
+      const move = UCIClient.parseMove(uciMove);
+      
+      // Castling and en passant are recognized from the legal moves of the piece
+      const legalMove = move && validator.calculateLegalMoves(move.from[0], move.from[1])
+        .find(([row, col]) => row === move.to[0] && col === move.to[1]);
+      
+      if (!legalMove) {
+        this.output(`info string Illegal move: ${uciMove}`);
+        break;
+      }
+      
+      validator.applyMove(move.from[0], move.from[1], move.to[0], move.to[1], legalMove[2] || null, move.promotion);
+    }
+    
+    this.fen = this.fenService.generateFEN(board, gameState);
+  }
+
+  /**
+   * Handle "go" and start a search of the current position
+   * @param {Array} tokens - Command tokens
+   */
+  go(tokens) {
+    if (this.search) {
+      this.output('info string Already searching');
+      return;
+    }
+    
+    const limits = UCIServer.parseGo(tokens);
+    const color = this.fen.split(' ')[1] === 'w' ? 'w' : 'b';
+    
+    // A mate in n moves is seen at 2n plies (the mated side's lack of moves is the
+    // last ply), and the search ends once a mate is found
+    let maxDepth = limits.depth || this.options.Depth;
+    if (limits.mate > 0) {
+      maxDepth = Math.min(maxDepth, 2 * limits.mate);
+    }
+    
+    let timeLimit = limits.movetime || this.options.MoveTime;
+    if (limits.infinite) {
+      timeLimit = Infinity;
+    } else if (limits[`${color}time`] !== undefined) {
+      timeLimit = UCIServer.allocateTime(limits[`${color}time`], limits[`${color}inc`] || 0, limits.movestogo);
+    } else if (limits.mate > 0 && !limits.movetime) {
+      // The mate search is bounded by its depth instead
+      timeLimit = Infinity;
+    }
+    
+    this.search = {
+      id: this.nextSearchId++,
+      infinite: Boolean(limits.infinite),
+      stopped: false,
+      result: null
+    };
+    
+    this.getWorker().postMessage({
+      type: 'search',
+      id: this.search.id,
+      fen: this.fen,
+      options: {
+        maxDepth,
+        timeLimit,
+        maxNodes: limits.nodes || Infinity,
+        randomness: this.options.Randomness,
+        multiPV: this.options.MultiPV
+      }
+    });
+  }
+
+  /**
+   * Handle "stop": end the search and report the best move found so far
+   */
+  stop() {
+    if (!this.search) return;
+    
+    this.search.stopped = true;
+    Atomics.store(this.stopFlag, 0, this.search.id);
+    
+    // An infinite search that already finished was only waiting for "stop"
+    if (this.search.result !== null) {
+      this.sendBestMove(this.search.result);
+    }
+  }
+
+  /**
+   * Handle "quit"
+   */
+  quit() {
+    this.quitting = true;
+    Atomics.store(this.stopFlag, 0, this.nextSearchId);
+    
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  /**
+   * Quit once the running search (if any) has reported its move
+   * Used when the input ends, so piped commands still get their answer.
+   */
+  quitWhenIdle() {
+    if (this.search && !this.search.infinite) {
+      this.quitAfterSearch = true;
+    } else {
+      this.quit();
+    }
+  }
+
+  /**
+   * Get the search worker, creating it when needed
+   * @returns {Worker} The search worker
+   */
+  getWorker() {
+    if (!this.worker) {
+      this.worker = this.createSearchWorker();
+      this.worker.on('message', (message) => this.handleWorkerMessage(message));
+      this.worker.on('error', (error) => {
+        this.output(`info string Search failed: ${error.message}`);
+        this.worker = null;
+        if (this.search) this.sendBestMove({ result: null });
+      });
+      this.worker.postMessage({ type: 'init', stopFlag: this.stopFlag });
+    }
+    return this.worker;
+  }
+
+  /**
+   * Handle a message from the search worker (EngineWorker protocol)
+   * @param {Object} message - Worker message
+   */
+  handleWorkerMessage(message) {
+    const search = this.search;
+    if (!search || message.id !== search.id) return;
+    
+    switch (message.type) {
+      case 'info':
+        UCIServer.formatInfo(message.result).forEach(line => this.output(line));
+        break;
+      case 'bestmove':
+        // "go infinite" must not answer before "stop"
+        if (search.infinite && !search.stopped) {
+          search.result = message;
+        } else {
+          this.sendBestMove(message);
+        }
+        break;
+      case 'error':
+        this.output(`info string ${message.message}`);
+        this.sendBestMove({ result: null });
+        break;
+    }
+  }
+
+  /**
+   * Report the result of the search and get ready for the next one
+   * @param {Object} message - Final worker message with the result
+   */
+  sendBestMove({ result }) {
+    this.search = null;
+    
+    if (!result) {
+      this.output('bestmove 0000');
+    } else {
+      const ponder = result.pv[1] ? ` ponder ${UCIClient.formatMove(result.pv[1].from, result.pv[1].to, result.pv[1].promotion)}` : '';
+      this.output(`bestmove ${UCIClient.formatMove(result.from, result.to, result.promotion)}${ponder}`);
+    }
+    
+    if (this.quitAfterSearch) this.quit();
+  }
+
+  /**
+   * Parse the limits of a go command
+   * @param {Array} tokens - Command tokens
+   * @returns {Object} Limits (depth, movetime, wtime, btime, winc, binc, movestogo, nodes,
+   *                   mate, infinite)
+   */
+  static parseGo(tokens) {
+    const limits = {};
+    
+    for (let i = 1; i < tokens.length; i++) {
+      if (tokens[i] === 'infinite') {
+        limits.infinite = true;
+      } else if (['depth', 'movetime', 'wtime', 'btime', 'winc', 'binc', 'movestogo', 'nodes', 'mate'].includes(tokens[i])) {
+        limits[tokens[i]] = parseInt(tokens[++i], 10);
+      }
+    }
+    
+    return limits;
+  }
+
+  /**
+   * Decide how long to think with a clock
+   * @param {Number} remaining - Time left on the clock in milliseconds
+   * @param {Number} increment - Increment per move in milliseconds
+   * @param {Number} movesToGo - Moves until the next time control (if any)
+   * @returns {Number} Time limit for this move in milliseconds
+   */
+  static allocateTime(remaining, increment, movesToGo) {
+    const share = remaining / (movesToGo || DEFAULT_MOVES_TO_GO) + increment * 0.75;
+    return Math.max(1, Math.min(share, remaining - MOVE_OVERHEAD));
+  }
+
+  /**
+   * Format a search result as info lines (one per principal variation)
+   * @param {Object} result - Serialized search result
+   * @returns {Array} UCI info lines
+   */
+  static formatInfo(result) {
+    // Without elapsed time there is no meaningful speed to report
+    const nps = result.time > 0 ? ` nps ${Math.round(result.nodes * 1000 / result.time)}` : '';
+    
+    return result.lines.map((line, index) => {
+      const score = Engine.isMateScore(line.score) ?
+        `mate ${Engine.getMateDistance(line.score)}` :
+        `cp ${line.score}`;
+      const multiPV = result.lines.length > 1 ? ` multipv ${index + 1}` : '';
+      const pv = line.pv.map(move => UCIClient.formatMove(move.from, move.to, move.promotion)).join(' ');
+      
+      return `info depth ${result.depth}${multiPV} score ${score} nodes ${result.nodes}${nps} time ${result.time} pv ${pv}`;
+    });
+  }
+}
+
+/**
+ * Run the UCI loop on stdin/stdout
+ */
+function runServer() {
+  // stdout carries the protocol, so all logging goes to stderr
+  console.log = console.info = console.warn = console.debug = console.error;
+  LoggingService.setLogLevel(LoggingService.LOG_LEVELS.ERROR);
+  
+  const server = new UCIServer(
+    line => process.stdout.write(line + '\n'),
+    () => new Worker(new URL(import.meta.url))
+  );
+  
+  const input = createInterface({ input: process.stdin, terminal: false });
+  input.on('line', (line) => {
+    server.handleCommand(line);
+    if (server.quitting) process.exit(0);
+  });
+  input.on('close', () => server.quitWhenIdle());
+}
+
+/**
+ * Run the engine worker protocol in a worker thread
+ */
+async function runSearchWorker() {
+  console.log = console.info = console.warn = console.debug = console.error;
+  LoggingService.setLogLevel(LoggingService.LOG_LEVELS.ERROR);
+  
+  // EngineWorker talks to its page through self
+  globalThis.self = { postMessage: message => parentPort.postMessage(message) };
+  await import('../js/engine/EngineWorker.js');
+  parentPort.on('message', data => self.onmessage({ data }));
+}
+
+if (isMainThread) {
+  runServer();
+} else {
+  runSearchWorker();
+}
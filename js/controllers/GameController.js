@@ -3,9 +3,15 @@
  * Coordinates the models, views, and services
  */
 import { PieceFactory } from '../models/pieces/PieceFactory.js';
-import { COLORS, PIECE_TYPES, SPECIAL_MOVES } from '../utils/Constants.js';
-import { handleError } from '../utils/ErrorHandler.js';
-import { NotationView } from '../views/NotationView.js';
+import { MoveValidator } from '../models/MoveValidator.js';
+import { Board } from '../models/Board.js';
+import { GameState } from '../models/GameState.js';
+import { COLORS, PIECE_TYPES, INITIAL_FEN, RESULTS, NAGS, UI, ENGINE_LEVELS, DEFAULT_ENGINE_LEVEL, ANALYSIS, REVIEW, HINT } from '../utils/Constants.js';
+import { handleError, PGNParseError } from '../utils/ErrorHandler.js';
+import { Chess } from '../core/Chess.js';
+import { UCIClient } from '../engine/UCIClient.js';
+import { MATE_SCORE } from '../engine/Engine.js';
+import { PolyglotBook } from '../engine/PolyglotBook.js';
 
 export class GameController {
     /**
@@ -16,61 +22,108 @@ export class GameController {
      * @param {ChessUI} ui - The user interface
      * @param {PGNService} pgnService - The PGN service
      * @param {StorageService} storageService - The storage service
+     * @param {FENService} fenService - The FEN service
+     * @param {EngineClient|UCIClient} engine - The engine playing the computer opponent
+     * @param {EngineClient|UCIClient} analysisEngine - The engine analysing and reviewing positions
+     * @param {ReviewService} reviewService - The game review service
+     * @param {ECOService} ecoService - The opening classification service
+     * @param {ExplorerService} explorerService - The opening explorer of imported games
+     * @param {EngineClient} hintEngine - The engine searching hints
+     * @param {EngineClient} threatEngine - The engine searching the opponent's threat
      */
-    constructor(board, gameState, moveValidator, ui, pgnService, storageService) {
+    constructor(board, gameState, moveValidator, ui, pgnService, storageService, fenService, engine, analysisEngine, reviewService, ecoService, explorerService, hintEngine, threatEngine) {
         this.board = board;
         this.gameState = gameState;
         this.moveValidator = moveValidator;
         this.ui = ui;
         this.pgnService = pgnService;
         this.storageService = storageService;
+        this.fenService = fenService;
+        this.engine = engine;
+        this.analysisEngine = analysisEngine;
+        this.reviewService = reviewService;
+        this.ecoService = ecoService;
+        this.explorerService = explorerService;
+        this.hintEngine = hintEngine;
+        this.threatEngine = threatEngine;
 
         this.selectedPiece = null;
         this.possibleMoves = [];
+
+        // PGN tag values (players, event, site, round) for export
+        this.pgnTags = {};
+
+        // Games of the last loaded PGN database
+        this.pgnDatabase = [];
+
+        // Computer opponent settings (level is an index into ENGINE_LEVELS)
+        this.computerOpponent = {
+            enabled: false,
+            color: COLORS.BLACK,
+            level: DEFAULT_ENGINE_LEVEL
+        };
+        this.computerMoveTimer = null;
+
+        // Token of the running computer search; replaced when the search is cancelled
+        this.computerSearch = null;
+
+        // Analysis mode and the token of its running search
+        this.analysisEnabled = false;
+        this.analysisSearch = null;
+
+        // Token of the running game review (it uses the analysis engine)
+        this.activeReview = null;
+
+        // Hint for the displayed position, the threat display and their searches
+        // (they use the opponent engine, which is idle while a human player is to move)
+        this.hint = null;
+        this.hintSearch = null;
+        this.threatEnabled = false;
+        this.threatSearch = null;
+
+        // Polyglot opening book used by the computer and for hints (null if none is loaded)
+        this.openingBook = null;
     }
 
     /**
      * Initialize the game
+     * @param {String} fen - Starting position in FEN (defaults to the standard start)
      */
-    initialize() {
+    initialize(fen = INITIAL_FEN) {
         console.log('Initializing game...');
 
-        // Reset game state completely
-        this.gameState.reset();
+        this.setupPosition(fen);
 
-        // Set up the initial board position
-        this.board.clear();
-        this.board.setupInitialPosition();
+        // Update UI
+        this.ui.renderBoard(this.board, this.gameState);
+        this.ui.notationView.clearNotation();
+        this.ui.clearHighlights();
 
-        // Start with an empty move history
-        this.gameState.moveHistory = [];
-        this.gameState.currentMoveIndex = 0;
-        this.gameState.boardStates = [this.board.clone()];
+        console.log('Game initialized with current player:', this.gameState.currentPlayer);
+    }
 
-        // Explicitly set initial player to white
-        this.gameState.currentPlayer = COLORS.WHITE;
+    /**
+     * Reset the models and set up a starting position
+     * @param {String} fen - Starting position in FEN
+     */
+    setupPosition(fen) {
+        // Validate first so an invalid FEN leaves the current game untouched
+        this.fenService.parsePosition(fen);
 
-        // Reset kingPositions to initial positions
-        this.gameState.kingPositions = {
-            [COLORS.WHITE]: [7, 4],
-            [COLORS.BLACK]: [0, 4]
-        };
+        // Reset game state completely
+        this.gameState.reset();
 
-        // Reset all castling rights
-        this.gameState.castlingRights = {
-            [COLORS.WHITE]: { kingSide: true, queenSide: true },
-            [COLORS.BLACK]: { kingSide: true, queenSide: true }
-        };
+        // Set up the board, side to move, castling rights and move counters
+        this.board.clear();
+        this.fenService.parseFEN(fen, this.board, this.gameState);
 
-        // Reset check status
-        this.gameState.isInCheck = {
-            [COLORS.WHITE]: false,
-            [COLORS.BLACK]: false
-        };
+        // Remember where the game started for navigation and PGN export
+        this.gameState.initialFEN = fen;
+        this.gameState.startingPlayer = this.gameState.currentPlayer;
+        this.gameState.startingFullmoveNumber = this.gameState.fullmoveNumber;
 
-        // Reset game end conditions
-        this.gameState.gameOver = false;
-        this.gameState.gameStatus = '';
+        // Start with an empty move tree
+        this.gameState.setStartingBoard(this.board.clone());
 
         // Reset selection state
         this.selectedPiece = null;
@@ -79,12 +132,104 @@ export class GameController {
         // Update the check status
         this.moveValidator.updateCheckStatus();
 
-        // Update UI
+        // Start tracking positions for repetition detection
+        this.gameState.recordPosition(this.getPositionKey());
+
+        // The position may already be checkmate or stalemate
+        this.updateGameEndConditions();
+    }
+
+    /**
+     * Get the FEN string of the current position
+     * @returns {String} - FEN string
+     */
+    getFEN() {
+        return this.fenService.generateFEN(this.board, this.gameState);
+    }
+
+    /**
+     * Get the key of the current position for repetitions, openings and the explorer
+     * @returns {BigInt} - Position key (Zobrist hash)
+     */
+    getPositionKey() {
+        return this.moveValidator.getPositionKey();
+    }
+
+    /**
+     * Get the Zobrist hash of the current position
+     * @returns {BigInt} - 64 bit position hash
+     */
+    getHash() {
+        return this.board.getHash(this.gameState);
+    }
+
+    /**
+     * Refresh everything shown about the displayed position: analysis, hints and
+     * threats, book moves, explorer moves and the opening name
+     */
+    updatePositionInfo() {
+        this.updateAnalysis();
+        this.updateTrainingAids();
+        this.updateBookMoves();
+        this.updateExplorer();
+        this.ui.showOpening(this.getOpening(this.gameState.currentLine.slice(0, this.gameState.currentMoveIndex + 1)));
+    }
+
+    /**
+     * Find the opening of a line of the move tree
+     * @param {Array} line - Nodes of the line, from the starting position on
+     * @returns {Object|null} - Opening { eco, name }, or null if it is not in the ECO table
+     */
+    getOpening(line) {
+        return this.ecoService.classify(line.map(node => node.positionKey));
+    }
+
+    /**
+     * Get the tags of the exported PGN, with the opening of the main line
+     * @returns {Object} - Tag values
+     */
+    getExportTags() {
+        const mainLine = [this.gameState.moveTree];
+        for (let node = this.gameState.moveTree.children[0]; node; node = node.children[0]) {
+            mainLine.push(node);
+        }
+
+        const opening = this.getOpening(mainLine);
+        return opening ? { ...this.pgnTags, ECO: opening.eco, Opening: opening.name } : this.pgnTags;
+    }
+
+    /**
+     * Evaluate checkmate, stalemate and draw rules and store the outcome in the game state
+     */
+    updateGameEndConditions() {
+        const endConditions = this.moveValidator.checkGameEndConditions();
+        this.gameState.gameOver = endConditions.gameOver;
+        this.gameState.gameStatus = endConditions.gameStatus;
+        this.gameState.claimableDraw = endConditions.claimableDraw;
+        this.gameState.updateResult();
+    }
+
+    /**
+     * Claim a draw by threefold repetition or the fifty-move rule
+     * @returns {Boolean} - Whether the claim was accepted
+     */
+    claimDraw() {
+        const atLatestMove = this.gameState.currentMoveIndex === this.gameState.moveHistory.length;
+
+        if (this.gameState.gameOver || !atLatestMove || !this.gameState.claimableDraw) {
+            this.ui.showMessage('No draw can be claimed in this position');
+            return false;
+        }
+
+        // The claim belongs to this position, so other lines from earlier positions go on
+        this.gameState.getCurrentNode().claimedDraw = this.gameState.claimableDraw;
+        this.updateGameEndConditions();
+
         this.ui.renderBoard(this.board, this.gameState);
-        this.ui.notationView.clearNotation();
-        this.ui.clearHighlights();
+        this.autoSaveGame();
+        this.updatePositionInfo();
 
-        console.log('Game initialized with current player:', this.gameState.currentPlayer);
+        return true;
     }
 
     /**
@@ -101,11 +246,10 @@ export class GameController {
             return;
         }
 
-        // If viewing history, return to current position first
-        if (this.gameState.currentMoveIndex < this.gameState.moveHistory.length) {
-            console.log('In history view - returning to current game state');
-            this.goToMove(this.gameState.moveHistory.length);
-            this.clearSelection();
+        // The computer's pieces can't be moved; make sure it is about to reply
+        if (this.isComputerTurn()) {
+            console.log('Computer to move - ignoring click');
+            this.requestComputerMove();
             return;
         }
 
@@ -138,7 +282,9 @@ export class GameController {
 
                     // Make the move
                     console.log(`Making move: ${selectedRow},${selectedCol} -> ${row},${col}`);
-                    this.makeMove(selectedRow, selectedCol, row, col, specialMove);
+                    if (this.makeMove(selectedRow, selectedCol, row, col, specialMove)) {
+                        this.requestComputerMove();
+                    }
                 }
 
                 this.clearSelection();
@@ -246,149 +392,25 @@ export class GameController {
         }
 
         try {
-            const piece = this.board.getPiece(fromRow, fromCol);
-            if (!piece) {
-                console.error(`No piece at source position ${fromRow},${fromCol}`);
+            if (!this.playMove(fromRow, fromCol, toRow, toCol, specialMove, promotionPiece)) {
                 return false;
             }
 
-            console.log(`Moving piece: ${piece.type}-${piece.color}`);
-
-            const pieceType = piece.type;
-            const pieceColor = piece.color;
-            const opponentColor = pieceColor === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
-
-            // Store old en passant target
-            const oldEnPassantTarget = this.gameState.enPassantTarget;
-            this.gameState.enPassantTarget = null;
-
-            let capturedPiece = null;
-            let enPassantCapture = null;
-            let promotedPiece = null;
-            let castling = null;
-
-            // Handle special moves
-            if (specialMove && specialMove.startsWith('castle')) {
-                castling = specialMove === SPECIAL_MOVES.CASTLE_KINGSIDE ? 'kingside' : 'queenside';
-                this.handleCastling(fromRow, fromCol, toRow, toCol, castling);
-            } else {
-                // Handle pawn special moves
-                if (pieceType === PIECE_TYPES.PAWN) {
-                    // Check for en passant capture
-                    if (fromCol !== toCol && !this.board.getPiece(toRow, toCol)) {
-                        const enPassantRow = pieceColor === COLORS.WHITE ? toRow + 1 : toRow - 1;
-                        enPassantCapture = [enPassantRow, toCol];
-
-                        // Capture the pawn
-                        capturedPiece = this.board.getPiece(enPassantRow, toCol);
-                        this.board.setPiece(enPassantRow, toCol, null);
-
-                        if (capturedPiece) {
-                            this.gameState.capturedPieces[pieceColor].push(capturedPiece);
-                        }
-                    }
-
-                    // Check for pawn promotion
-                    if (promotionPiece) {
-                        promotedPiece = promotionPiece;
-                        const newPiece = PieceFactory.createPiece(promotionPiece, pieceColor);
-                        this.board.setPiece(toRow, toCol, newPiece);
-                        this.board.setPiece(fromRow, fromCol, null);
-                    } else {
-                        // Set en passant target for double move
-                        if (Math.abs(fromRow - toRow) === 2) {
-                            const enPassantRow = pieceColor === COLORS.WHITE ? toRow + 1 : toRow - 1;
-                            this.gameState.enPassantTarget = [enPassantRow, toCol];
-                        }
-
-                        // Regular move
-                        capturedPiece = this.board.getPiece(toRow, toCol);
-                        this.board.movePiece(fromRow, fromCol, toRow, toCol);
-                    }
-                } else {
-                    // Regular move for non-pawn pieces
-                    capturedPiece = this.board.getPiece(toRow, toCol);
-                    this.board.movePiece(fromRow, fromCol, toRow, toCol);
-                }
-            }
-
-            // Add captured piece to history (if not from en passant - that's already handled)
-            if (capturedPiece && !enPassantCapture) {
-                this.gameState.capturedPieces[pieceColor].push(capturedPiece);
-            }
-
-            // Update castling rights
-            this.updateCastlingRights(fromRow, fromCol, toRow, toCol, piece);
-
-            // Update king position if king moved
-            if (pieceType === PIECE_TYPES.KING) {
-                this.gameState.kingPositions[pieceColor] = [toRow, toCol];
-            }
-
-            // Generate move notation
-            const notation = this.generateNotation(
-                piece,
-                [fromRow, fromCol],
-                [toRow, toCol],
-                !!capturedPiece,
-                specialMove,
-                promotionPiece
-            );
-
-            // Create move object for history
-            const move = {
-                piece,
-                from: [fromRow, fromCol],
-                to: [toRow, toCol],
-                capturedPiece,
-                player: pieceColor,
-                enPassantCapture,
-                promotedPiece,
-                castling,
-                enPassantTarget: oldEnPassantTarget,
-                castlingRights: JSON.parse(JSON.stringify(this.gameState.castlingRights)),
-                notation
-            };
-
-            // Add move to history and store board state
-            this.gameState.addMove(move, this.board.clone());
-
-            // SWITCH PLAYER - very important!
-            console.log(`SWITCHING PLAYER from ${this.gameState.currentPlayer}`);
-            this.gameState.currentPlayer = opponentColor;  // Direct assignment for clarity
-            console.log(`NEW CURRENT PLAYER: ${this.gameState.currentPlayer}`);
-
-            // Update check status
-            this.moveValidator.updateCheckStatus();
-
-            // Check for checkmate or stalemate
-            const endConditions = this.moveValidator.checkGameEndConditions();
-            this.gameState.gameOver = endConditions.gameOver;
-            this.gameState.gameStatus = endConditions.gameStatus;
-
-            // Update result based on game status
-            this.gameState.updateResult();
-
             // Render board with updated state
             this.ui.renderBoard(this.board, this.gameState);
 
             // Highlight the last move on the board
             this.ui.boardView.highlightLastMove([fromRow, fromCol], [toRow, toCol]);
 
-            // Add move to notation and highlight
-            this.ui.notationView.addMoveToHistory(
-                move,
-                this.gameState.moveHistory.length, // Changed from length-1
-                this.gameState.isInCheck[opponentColor],
-                this.gameState.gameOver && this.gameState.isInCheck[opponentColor]
-            );
-
-            // Highlight current move in notation
-            this.ui.notationView.highlightMove(this.gameState.moveHistory.length);
+            // Update the move list and highlight the new move
+            this.ui.renderNotation(this.gameState);
 
             // Save game automatically
             this.autoSaveGame();
 
+            // Analyse the new position
+            this.updatePositionInfo();
+
             return true;
         } catch (error) {
             console.error('Error making move:', error);
@@ -398,85 +420,85 @@ export class GameController {
     }
 
     /**
-     * Handle castling move
-     * @param {Number} fromRow - King's row
-     * @param {Number} fromCol - King's column (4)
-     * @param {Number} toRow - King's destination row (same as fromRow)
-     * @param {Number} toCol - King's destination column (2 or 6)
-     * @param {String} castlingSide - 'kingside' or 'queenside'
-     */
-    handleCastling(fromRow, fromCol, toRow, toCol, castlingSide) {
-        // Move king
-        this.board.movePiece(fromRow, fromCol, toRow, toCol);
-
-        // Move rook
-        const isKingside = castlingSide === 'kingside';
-        const rookFromCol = isKingside ? 7 : 0;
-        const rookToCol = isKingside ? 5 : 3;
-
-        this.board.movePiece(fromRow, rookFromCol, fromRow, rookToCol);
-    }
-
-    /**
-     * Update castling rights after a move
+     * Play a move into the game state without updating the display
+     * Used by makeMove and by PGN import, which renders and saves once at the end.
      * @param {Number} fromRow - Source row
      * @param {Number} fromCol - Source column
      * @param {Number} toRow - Destination row
      * @param {Number} toCol - Destination column
-     * @param {Piece} piece - Piece that moved
-     */
-    updateCastlingRights(fromRow, fromCol, toRow, toCol, piece) {
-        // If king moves, lose all castling rights for that color
-        if (piece.type === PIECE_TYPES.KING) {
-            this.gameState.castlingRights[piece.color].kingSide = false;
-            this.gameState.castlingRights[piece.color].queenSide = false;
-        }
-
-        // If rook moves, lose castling rights for that side
-        if (piece.type === PIECE_TYPES.ROOK) {
-            if (fromRow === 7 && fromCol === 0 && piece.color === COLORS.WHITE) {
-                this.gameState.castlingRights.white.queenSide = false;
-            } else if (fromRow === 7 && fromCol === 7 && piece.color === COLORS.WHITE) {
-                this.gameState.castlingRights.white.kingSide = false;
-            } else if (fromRow === 0 && fromCol === 0 && piece.color === COLORS.BLACK) {
-                this.gameState.castlingRights.black.queenSide = false;
-            } else if (fromRow === 0 && fromCol === 7 && piece.color === COLORS.BLACK) {
-                this.gameState.castlingRights.black.kingSide = false;
-            }
+     * @param {String} specialMove - Special move type (if any)
+     * @param {String} promotionPiece - Piece to promote to (if applicable)
+     * @returns {Boolean} - Whether the move was legal and played
+     */
+    playMove(fromRow, fromCol, toRow, toCol, specialMove = null, promotionPiece = null) {
+        const piece = this.board.getPiece(fromRow, fromCol);
+        if (!piece) {
+            console.error(`No piece at source position ${fromRow},${fromCol}`);
+            return false;
         }
 
-        // If a rook is captured, update castling rights
-        const capturedPiece = this.board.getPiece(toRow, toCol);
-        if (capturedPiece && capturedPiece.type === PIECE_TYPES.ROOK) {
-            if (toRow === 7 && toCol === 0) this.gameState.castlingRights.white.queenSide = false;
-            if (toRow === 7 && toCol === 7) this.gameState.castlingRights.white.kingSide = false;
-            if (toRow === 0 && toCol === 0) this.gameState.castlingRights.black.queenSide = false;
-            if (toRow === 0 && toCol === 7) this.gameState.castlingRights.black.kingSide = false;
+        console.log(`Moving piece: ${piece.type}-${piece.color}`);
+
+        // SAN is based on the position before the move
+        const [notatedMove] = this.getVariationNotation(this.board, this.gameState, [
+            { from: [fromRow, fromCol], to: [toRow, toCol], promotion: promotionPiece }
+        ]);
+        if (!notatedMove) {
+            console.error(`Illegal move ${fromRow},${fromCol} -> ${toRow},${toCol}`);
+            return false;
         }
-    }
 
-    /**
-     * Generate algebraic notation for a move
-     * @param {Piece} piece - The piece that moved
-     * @param {Array} from - [fromRow, fromCol] source position
-     * @param {Array} to - [toRow, toCol] destination position
-     * @param {Boolean} isCapture - Whether the move is a capture
-     * @param {String} specialMove - Special move type (if any)
-     * @param {String} promotionPiece - Promotion piece type (if any)
-     * @returns {String} - Algebraic notation for the move
-     */
-    generateNotation(piece, from, to, isCapture, specialMove, promotionPiece) {
-        return NotationView.generateNotation(
-            this.board,
+        const pieceColor = piece.color;
+        const moveNumber = this.gameState.fullmoveNumber;
+
+        // Update the board, castling rights, en passant target and move counters
+        const {
+            capturedPiece,
+            enPassantCapture,
+            castling,
+            promotedPiece,
+            previousEnPassantTarget
+        } = this.moveValidator.applyMove(fromRow, fromCol, toRow, toCol, specialMove, promotionPiece);
+
+        if (capturedPiece) {
+            this.gameState.capturedPieces[pieceColor].push(capturedPiece);
+        }
+
+        // Create move object for history
+        const move = {
             piece,
-            from,
-            to,
-            isCapture,
-            specialMove,
-            promotionPiece,
-            this.gameState.isInCheck[this.gameState.getOpponentColor()],
-            this.gameState.gameOver && this.gameState.isInCheck[this.gameState.getOpponentColor()]
-        );
+            from: [fromRow, fromCol],
+            to: [toRow, toCol],
+            capturedPiece,
+            player: pieceColor,
+            enPassantCapture,
+            promotedPiece,
+            castling,
+            enPassantTarget: previousEnPassantTarget,
+            castlingRights: JSON.parse(JSON.stringify(this.gameState.castlingRights)),
+            moveNumber,
+            notation: notatedMove.notation,
+            comment: null,
+            commentBefore: null,
+            nags: []
+        };
+
+        // Add move to history and store board state
+        this.gameState.addMove(move, this.board.clone());
+
+        // applyMove has passed the turn to the opponent
+        console.log(`NEW CURRENT PLAYER: ${this.gameState.currentPlayer}`);
+
+        // Update check status
+        this.moveValidator.updateCheckStatus();
+
+        // Record the new position for repetition detection
+        this.gameState.recordPosition(this.getPositionKey());
+
+        // Check for checkmate, stalemate and draws (also updates the result)
+        this.updateGameEndConditions();
+
+        return true;
     }
 
     /**
@@ -505,10 +527,669 @@ export class GameController {
         this.ui.hidePromotionDialog();
 
         // Complete the move with the promoted piece
-        this.makeMove(fromRow, fromCol, toRow, toCol, null, pieceType);
-
         this.gameState.promotionPending = false;
         this.gameState.promotionMove = null;
+
+        if (this.makeMove(fromRow, fromCol, toRow, toCol, null, pieceType)) {
+            this.requestComputerMove();
+        }
+    }
+
+    /**
+     * Change the computer opponent settings
+     * @param {Object} settings - Any of { enabled, color, level }, where color is
+     *                            the side the computer plays
+     */
+    setComputerOpponent(settings) {
+        this.computerOpponent = { ...this.computerOpponent, ...settings };
+        this.cancelComputerMove();
+
+        if (this.computerOpponent.enabled) {
+            // Show the board from the human player's side
+            const humanColor = this.computerOpponent.color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+            this.gameState.boardOrientation = humanColor;
+            this.ui.renderBoard(this.board, this.gameState);
+
+            this.requestComputerMove();
+        }
+    }
+
+    /**
+     * Check whether the computer is to move in the current position
+     * @returns {Boolean} - Whether the computer plays the side to move
+     */
+    isComputerTurn() {
+        return this.computerOpponent.enabled &&
+            this.gameState.currentPlayer === this.computerOpponent.color;
+    }
+
+    /**
+     * Let the computer reply if it is to move
+     * The search runs after a short delay so the board shows the last move first.
+     */
+    requestComputerMove() {
+        if (!this.isComputerTurn() || this.gameState.gameOver ||
+            this.gameState.promotionPending || this.computerMoveTimer || this.computerSearch) {
+            return;
+        }
+
+        this.ui.updateGameStatus('Computer is thinking...');
+        this.computerMoveTimer = setTimeout(() => {
+            this.computerMoveTimer = null;
+            this.playComputerMove();
+        }, UI.COMPUTER_MOVE_DELAY);
+    }
+
+    /**
+     * Cancel a computer move that has been requested or is being searched
+     */
+    cancelComputerMove() {
+        if (this.computerMoveTimer) {
+            clearTimeout(this.computerMoveTimer);
+            this.computerMoveTimer = null;
+        }
+
+        if (this.computerSearch) {
+            this.computerSearch = null;
+            this.engine.stop();
+        }
+    }
+
+    /**
+     * Search for the computer's move in the engine worker and play it
+     */
+    playComputerMove() {
+        if (!this.isComputerTurn() || this.gameState.gameOver) return;
+
+        const bookMove = this.pickBookMove();
+        if (bookMove) {
+            console.log(`Computer plays book move ${bookMove.from} -> ${bookMove.to}`);
+            this.playMoveByCoordinates(bookMove.from, bookMove.to, bookMove.promotion);
+            return;
+        }
+
+        const level = ENGINE_LEVELS[this.computerOpponent.level] || ENGINE_LEVELS[DEFAULT_ENGINE_LEVEL];
+        console.log(`Computer searching at level ${level.name}`);
+
+        const search = {};
+        this.computerSearch = search;
+        const fen = this.fenService.generateFEN(this.board, this.gameState);
+        const onInfo = (info) => {
+            this.ui.updateGameStatus(`Computer is thinking... (depth ${info.depth})`);
+        };
+
+        this.engine.search(fen, level, onInfo)
+            .then((result) => {
+                // The search was cancelled (the user navigated, reset or changed settings)
+                if (this.computerSearch !== search) return;
+                this.computerSearch = null;
+
+                if (!result) {
+                    console.warn('Computer found no legal move');
+                    return;
+                }
+
+                console.log(`Computer plays ${result.from} -> ${result.to} (score ${result.score}, depth ${result.depth})`);
+                this.playMoveByCoordinates(result.from, result.to, result.promotion);
+            })
+            .catch((error) => {
+                if (this.computerSearch === search) {
+                    this.computerSearch = null;
+                }
+                handleError(error, (message) => this.ui.showMessage(message));
+            });
+    }
+
+    /**
+     * Review the main line: evaluate every position, classify each move by how
+     * much evaluation it gave away, annotate the moves with NAGs and better moves
+     * and summarize each player's accuracy (also added to the PGN tags)
+     * @returns {Promise<Object|null>} - Summary per color, or null if the review did not finish
+     */
+    async reviewGame() {
+        const nodes = [];
+        for (let node = this.gameState.moveTree.children[0]; node; node = node.children[0]) {
+            nodes.push(node);
+        }
+
+        if (nodes.length === 0) {
+            this.ui.showMessage('There are no moves to review');
+            return null;
+        }
+
+        // Only one review at a time, and analysis waits until it is done
+        this.cancelReview();
+        this.stopAnalysis();
+        const review = {};
+        this.activeReview = review;
+
+        try {
+            const positions = this.getLinePositions(nodes.map(node => node.move));
+            const evaluations = [];
+
+            for (const position of positions) {
+                this.ui.showReviewProgress(evaluations.length, positions.length);
+                evaluations.push(await this.evaluatePosition(position));
+
+                // Cancelled by a new game, a loaded game or another review
+                if (this.activeReview !== review) return null;
+            }
+
+            const reviews = nodes.map((node, index) =>
+                this.annotateReviewedMove(node.move, positions[index], evaluations[index], evaluations[index + 1])
+            );
+            const summary = this.reviewService.summarize(reviews);
+
+            const formatAccuracy = player => player.accuracy === null ? '-' : player.accuracy.toFixed(1);
+            this.setPGNTags({
+                WhiteAccuracy: formatAccuracy(summary[COLORS.WHITE]),
+                BlackAccuracy: formatAccuracy(summary[COLORS.BLACK])
+            });
+
+            this.ui.showReviewSummary(summary);
+            this.ui.renderNotation(this.gameState);
+            this.autoSaveGame();
+
+            return summary;
+        } catch (error) {
+            handleError(error, (message) => this.ui.showMessage('Review failed: ' + message));
+            return null;
+        } finally {
+            if (this.activeReview === review) {
+                this.activeReview = null;
+                this.updateAnalysis();
+            }
+        }
+    }
+
+    /**
+     * Cancel a running game review and hide the review panel
+     */
+    cancelReview() {
+        if (this.activeReview) {
+            this.activeReview = null;
+            this.analysisEngine.stop();
+        }
+        this.ui.hideReview();
+    }
+
+    /**
+     * Replay moves from the starting position of the game
+     * @param {Array} moves - Moves of the line
+     * @returns {Array} - Positions { board, gameState, fen } before each move and after the last
+     */
+    getLinePositions(moves) {
+        const board = new Board();
+        const gameState = new GameState();
+        this.fenService.parseFEN(this.gameState.initialFEN, board, gameState);
+        const validator = new MoveValidator(board, gameState);
+
+        const positions = [];
+        const addPosition = () => positions.push({
+            board: board.clone(),
+            gameState: gameState.clone(),
+            fen: this.fenService.generateFEN(board, gameState)
+        });
+
+        addPosition();
+        for (const move of moves) {
+            const legalMove = this.findLegalMove(validator, move.from, move.to);
+            validator.applyMove(move.from[0], move.from[1], move.to[0], move.to[1], legalMove ? legalMove[2] || null : null, move.promotedPiece);
+            addPosition();
+        }
+
+        return positions;
+    }
+
+    /**
+     * Evaluate a position for the game review
+     * @param {Object} position - Position from getLinePositions
+     * @returns {Promise<Object>} - { score, bestMove }: score in centipawns for the side
+     *                             to move, bestMove as { from, to, promotion } (null if
+     *                             there are no legal moves)
+     */
+    async evaluatePosition(position) {
+        const result = await this.analysisEngine.search(position.fen, {
+            maxDepth: REVIEW.DEPTH,
+            timeLimit: REVIEW.TIME_LIMIT
+        });
+        if (result) {
+            return { score: result.score, bestMove: result };
+        }
+
+        // No legal moves: checkmate or stalemate
+        const validator = new MoveValidator(position.board, position.gameState);
+        const isMated = validator.isKingInCheck(position.gameState.currentPlayer);
+        return { score: isMated ? -MATE_SCORE : 0, bestMove: null };
+    }
+
+    /**
+     * Classify a reviewed move and annotate it, replacing the annotations of an earlier review
+     * @param {Object} move - Move of the main line
+     * @param {Object} positionBefore - Position the move was played in
+     * @param {Object} before - Evaluation of the position before the move
+     * @param {Object} after - Evaluation of the position after the move
+     * @returns {Object} - The move's review { player, classification, loss, accuracy, ... }
+     */
+    annotateReviewedMove(move, positionBefore, before, after) {
+        const { bestMove } = before;
+        const isBestMove = !!bestMove &&
+            bestMove.from[0] === move.from[0] && bestMove.from[1] === move.from[1] &&
+            bestMove.to[0] === move.to[0] && bestMove.to[1] === move.to[1] &&
+            (bestMove.promotion || null) === (move.promotedPiece || null);
+
+        // The position after the move is evaluated for the opponent
+        const { classification, loss, accuracy } = this.reviewService.reviewMove(before.score, -after.score, isBestMove);
+
+        const [bestNotation] = bestMove && !isBestMove ?
+            this.getVariationNotation(positionBefore.board, positionBefore.gameState, [bestMove]) : [];
+
+        // Remove what an earlier review added
+        const previous = move.review;
+        if (previous) {
+            move.nags = move.nags.filter(nag => nag !== previous.nag);
+            if (previous.note && move.comment) {
+                move.comment = move.comment === previous.note ? null :
+                    move.comment.replace(` ${previous.note}`, '');
+            }
+        }
+
+        // One move assessment glyph per move, so the review's replaces any other
+        const nag = this.reviewService.getClassificationNAG(classification);
+        if (nag) {
+            move.nags = [...move.nags.filter(existing => !(existing in NAGS.MOVE)), nag].sort((a, b) => a - b);
+        }
+
+        const note = this.reviewService.getReviewNote(classification, bestNotation ? bestNotation.notation : null);
+        if (note) {
+            move.comment = move.comment ? `${move.comment} ${note}` : note;
+        }
+
+        move.review = {
+            player: move.player,
+            classification,
+            loss,
+            accuracy,
+            // Evaluation after the move from white's point of view
+            evaluation: move.player === COLORS.WHITE ? -after.score : after.score,
+            bestMove: bestNotation ? bestNotation.notation : null,
+            nag,
+            note
+        };
+
+        return move.review;
+    }
+
+    /**
+     * Turn analysis mode on or off
+     * @param {Boolean} enabled - Whether the displayed position is analysed
+     */
+    setAnalysisMode(enabled) {
+        this.analysisEnabled = enabled;
+        this.ui.setAnalysisMode(enabled);
+
+        if (enabled) {
+            this.updateAnalysis();
+        } else {
+            this.stopAnalysis();
+        }
+    }
+
+    /**
+     * Check whether analysis mode is on
+     * @returns {Boolean} - Whether the displayed position is analysed
+     */
+    isAnalysisEnabled() {
+        return this.analysisEnabled;
+    }
+
+    /**
+     * Start analysing the displayed position, replacing any running analysis
+     * Called whenever the displayed position changes.
+     */
+    updateAnalysis() {
+        if (!this.analysisEnabled || this.activeReview) return;
+        this.stopAnalysis();
+
+        if (this.gameState.gameOver) {
+            this.ui.showAnalysisResult(this.gameState.getPGNResult(), this.gameState.gameStatus);
+            return;
+        }
+
+        // The lines are converted to SAN from the position the search started in
+        const board = this.board.clone();
+        const gameState = this.gameState.clone();
+        const sideToMove = gameState.currentPlayer;
+        const fen = this.fenService.generateFEN(board, gameState);
+
+        const search = {};
+        this.analysisSearch = search;
+
+        const showLines = (info) => {
+            if (this.analysisSearch !== search || !info) return;
+
+            const lines = info.lines.map(line => ({
+                // Analysis scores are shown from white's point of view
+                score: sideToMove === COLORS.WHITE ? line.score : -line.score,
+                moves: this.getVariationNotation(board, gameState, line.pv)
+            }));
+            this.ui.showAnalysis(lines, info.depth);
+        };
+
+        const options = { maxDepth: ANALYSIS.MAX_DEPTH, timeLimit: ANALYSIS.TIME_LIMIT, multiPV: ANALYSIS.MULTI_PV };
+        this.analysisEngine.search(fen, options, showLines)
+            .then((result) => {
+                showLines(result);
+                if (this.analysisSearch === search) {
+                    this.analysisSearch = null;
+                }
+            })
+            .catch((error) => {
+                if (this.analysisSearch === search) {
+                    this.analysisSearch = null;
+                }
+                handleError(error, (message) => this.ui.showMessage(message));
+            });
+    }
+
+    /**
+     * Stop the running analysis
+     */
+    stopAnalysis() {
+        if (this.analysisSearch) {
+            this.analysisSearch = null;
+            this.analysisEngine.stop();
+        }
+    }
+
+    /**
+     * Show a hint for the side to move: the first request highlights the piece
+     * to move, the next one also highlights its target square
+     */
+    showHint() {
+        if (this.gameState.gameOver || this.isComputerTurn() || this.hintSearch) return;
+
+        if (this.hint) {
+            this.ui.showHint([this.hint.from, this.hint.to]);
+            return;
+        }
+
+        // The most played book move needs no search
+        const [bookMove] = this.getBookMoves();
+        if (bookMove) {
+            this.hint = bookMove;
+            this.ui.showHint([bookMove.from]);
+            return;
+        }
+
+        const search = {};
+        this.hintSearch = search;
+        const fen = this.fenService.generateFEN(this.board, this.gameState);
+
+        this.hintEngine.search(fen, { maxDepth: HINT.DEPTH, timeLimit: HINT.TIME_LIMIT })
+            .then((result) => {
+                // The position changed while searching
+                if (this.hintSearch !== search) return;
+                this.hintSearch = null;
+                if (!result) return;
+
+                this.hint = result;
+                this.ui.showHint([result.from]);
+            })
+            .catch((error) => {
+                if (this.hintSearch === search) {
+                    this.hintSearch = null;
+                }
+                handleError(error, (message) => this.ui.showMessage(message));
+            });
+    }
+
+    /**
+     * Turn the threat display on or off
+     * @param {Boolean} enabled - Whether to show the opponent's threat
+     */
+    setThreatMode(enabled) {
+        this.threatEnabled = enabled;
+        this.ui.setThreatMode(enabled);
+        this.updateThreat();
+    }
+
+    /**
+     * Check whether the threat display is on
+     * @returns {Boolean} - Whether threats are shown
+     */
+    isThreatEnabled() {
+        return this.threatEnabled;
+    }
+
+    /**
+     * Show what the opponent would play if it were their move in the displayed position
+     */
+    updateThreat() {
+        this.cancelTrainingSearch('threatSearch');
+        this.ui.showThreat(null);
+
+        // Passing the move is not possible in check
+        const player = this.gameState.currentPlayer;
+        if (!this.threatEnabled || this.gameState.gameOver || this.isComputerTurn() ||
+            this.gameState.isInCheck[player]) {
+            return;
+        }
+
+        // The same position with the opponent to move
+        const board = this.board.clone();
+        const gameState = this.gameState.clone();
+        gameState.currentPlayer = player === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+        gameState.enPassantTarget = null;
+        const fen = this.fenService.generateFEN(board, gameState);
+
+        const search = {};
+        this.threatSearch = search;
+
+        this.threatEngine.search(fen, { maxDepth: HINT.DEPTH, timeLimit: HINT.TIME_LIMIT })
+            .then((result) => {
+                if (this.threatSearch !== search) return;
+                this.threatSearch = null;
+                if (!result) return;
+
+                const [threat] = this.getVariationNotation(board, gameState, [result]);
+                this.ui.showThreat({ from: result.from, to: result.to, notation: threat ? threat.notation : '' });
+            })
+            .catch((error) => {
+                if (this.threatSearch === search) {
+                    this.threatSearch = null;
+                }
+                handleError(error, (message) => this.ui.showMessage(message));
+            });
+    }
+
+    /**
+     * Clear the hint and refresh the threat after the displayed position changed
+     */
+    updateTrainingAids() {
+        this.cancelTrainingSearch('hintSearch');
+        this.hint = null;
+        this.ui.showHint([]);
+        this.updateThreat();
+    }
+
+    /**
+     * Cancel a running hint or threat search
+     * @param {String} token - Field holding the search token ('hintSearch' or 'threatSearch')
+     */
+    cancelTrainingSearch(token) {
+        if (!this[token]) return;
+        this[token] = null;
+
+        // Hints and threats have their own engines, so this stops no other search
+        const engine = token === 'hintSearch' ? this.hintEngine : this.threatEngine;
+        engine.stop();
+    }
+
+    /**
+     * Load a Polyglot opening book
+     * @param {ArrayBuffer} data - Contents of the .bin file
+     * @returns {Boolean} - Whether the book was loaded
+     */
+    loadOpeningBook(data) {
+        try {
+            this.openingBook = new PolyglotBook(data);
+            this.ui.showMessage(`Opening book loaded (${this.openingBook.size} entries)`);
+            this.updateBookMoves();
+            return true;
+        } catch (error) {
+            handleError(error, (message) => this.ui.showMessage(message));
+            return false;
+        }
+    }
+
+    /**
+     * Get the legal book moves of the displayed position
+     * @returns {Array} - Moves as { from, to, promotion, weight }, most played first
+     */
+    getBookMoves() {
+        if (!this.openingBook) return [];
+
+        return this.openingBook.getMoves(this.board, this.gameState)
+            .filter(move => this.findLegalMove(this.moveValidator, move.from, move.to));
+    }
+
+    /**
+     * Pick a book move for the computer, weighted by how often it is played
+     * @returns {Object|null} - Move { from, to, promotion, weight }, or null when out of book
+     */
+    pickBookMove() {
+        if (!this.openingBook) return null;
+
+        const move = this.openingBook.pickMove(this.board, this.gameState);
+        return move && this.findLegalMove(this.moveValidator, move.from, move.to) ? move : null;
+    }
+
+    /**
+     * Show the book moves of the displayed position
+     */
+    updateBookMoves() {
+        if (!this.openingBook) {
+            this.ui.showBookMoves(null);
+            return;
+        }
+
+        const moves = this.getBookMoves().map(move => {
+            const [{ notation }] = this.getVariationNotation(this.board, this.gameState, [move]);
+            return { ...move, notation };
+        });
+        this.ui.showBookMoves(moves);
+    }
+
+    /**
+     * Play a move from the book move list
+     * @param {Number} index - Index of the move in the list
+     * @returns {Boolean} - Whether the move was played
+     */
+    playBookMove(index) {
+        if (this.gameState.gameOver || this.isComputerTurn()) return false;
+
+        const move = this.getBookMoves()[index];
+        if (!move) return false;
+
+        return this.playMoveByCoordinates(move.from, move.to, move.promotion);
+    }
+
+    /**
+     * Show the moves played from the displayed position in imported games
+     */
+    updateExplorer() {
+        if (this.explorerService.gameCount === 0) {
+            this.ui.showExplorer(null, 0);
+            return;
+        }
+
+        this.ui.showExplorer(this.explorerService.getMoves(this.getPositionKey()), this.explorerService.gameCount);
+    }
+
+    /**
+     * Play a move from the explorer
+     * @param {Number} index - Index of the move in the explorer list
+     * @returns {Boolean} - Whether the move was played
+     */
+    playExplorerMove(index) {
+        if (this.gameState.gameOver || this.isComputerTurn()) return false;
+
+        const move = this.explorerService.getMoves(this.getPositionKey())[index];
+        if (!move) return false;
+
+        return this.playMoveByCoordinates(move.from, move.to, move.promotion);
+    }
+
+    /**
+     * Convert a line of engine moves into notation
+     * @param {Board} board - Board of the position the line starts in
+     * @param {GameState} gameState - Game state of the position the line starts in
+     * @param {Array} pv - Moves as { from, to, promotion }
+     * @returns {Array} - Moves as { color, moveNumber, notation } (stops at an illegal move)
+     */
+    getVariationNotation(board, gameState, pv) {
+        const chess = new Chess(this.fenService.generateFEN(board, gameState));
+        const moves = [];
+
+        for (const { from, to, promotion } of pv) {
+            const move = chess.move({
+                from: this.fenService.coordinatesToSquare(from),
+                to: this.fenService.coordinatesToSquare(to),
+                promotion: promotion || null
+            });
+            if (!move) break;
+
+            moves.push({ color: move.color, moveNumber: move.moveNumber, notation: move.san });
+        }
+
+        return moves;
+    }
+
+    /**
+     * Play a move given only by its squares, such as an engine's best move
+     * Castling and en passant are recognized from the legal moves of the piece.
+     * @param {Array} from - [row, col] of the moving piece
+     * @param {Array} to - [row, col] of the destination
+     * @param {String|null} promotion - Piece type a pawn promotes to
+     * @returns {Boolean} - Whether the move was legal and played
+     */
+    playMoveByCoordinates(from, to, promotion = null) {
+        const legalMove = this.findLegalMove(this.moveValidator, from, to);
+
+        if (!legalMove) {
+            console.warn(`Illegal move ${from} -> ${to}`);
+            return false;
+        }
+
+        return this.makeMove(from[0], from[1], to[0], to[1], legalMove[2] || null, promotion);
+    }
+
+    /**
+     * Find a legal move by its squares
+     * @param {MoveValidator} validator - Validator of the position
+     * @param {Array} from - [row, col] of the moving piece
+     * @param {Array} to - [row, col] of the destination
+     * @returns {Array|undefined} - Legal move [row, col, specialMove?], if the move is legal
+     */
+    findLegalMove(validator, from, to) {
+        return validator.calculateLegalMoves(from[0], from[1])
+            .find(([row, col]) => row === to[0] && col === to[1]);
+    }
+
+    /**
+     * Play a move in UCI long algebraic notation (e.g. "e2e4", "e7e8q")
+     * @param {String} uciMove - Move to play
+     * @returns {Boolean} - Whether the move was legal and played
+     */
+    playUCIMove(uciMove) {
+        const move = UCIClient.parseMove(uciMove);
+        if (!move) {
+            console.warn(`Malformed UCI move: ${uciMove}`);
+            return false;
+        }
+
+        return this.playMoveByCoordinates(move.from, move.to, move.promotion);
     }
 
     /**
@@ -518,9 +1199,41 @@ export class GameController {
     goToMove(moveIndex) {
         if (moveIndex < 0 || moveIndex > this.gameState.moveHistory.length) return;
 
-        // Use the stored board state
+        // Don't let the computer reply in a position that is no longer shown
+        this.cancelComputerMove();
+
+        this.setPosition(moveIndex);
+
+        // Update UI
+        this.ui.renderBoard(this.board, this.gameState);
+        this.ui.notationView.highlightNode(moveIndex > 0 ? this.gameState.getCurrentNode().id : null);
+        this.ui.evalGraphView.highlightMove(moveIndex);
+
+        // Highlight the last move if we're not at the beginning
+        if (moveIndex > 0 && this.gameState.moveHistory.length > 0) {
+            const lastMove = this.gameState.moveHistory[moveIndex - 1];
+            if (lastMove && lastMove.from && lastMove.to) {
+                this.ui.boardView.highlightLastMove(lastMove.from, lastMove.to);
+            }
+        } else {
+            // Clear last move highlight if we're at the beginning
+            this.ui.boardView.highlightLastMove(null, null);
+        }
+
+        // Analyse the displayed position
+        this.updatePositionInfo();
+    }
+
+    /**
+     * Set the board and game state to the position after a move of the current line,
+     * without updating the display
+     * @param {Number} moveIndex - Index of the move in the current line (0 for the start)
+     */
+    setPosition(moveIndex) {
+        // Use the stored board state (copy the grid so the move validator keeps
+        // working on the same board instance)
         if (moveIndex <= this.gameState.boardStates.length - 1) {
-            this.board = this.gameState.boardStates[moveIndex].clone();
+            this.board.grid = this.gameState.boardStates[moveIndex].clone().grid;
         } else {
             // Fallback to recreating from scratch if needed
             this.rebuildBoardState(moveIndex);
@@ -529,36 +1242,147 @@ export class GameController {
         // Update current move index
         this.gameState.currentMoveIndex = moveIndex;
 
-        // Determine the current player
-        this.gameState.currentPlayer = moveIndex % 2 === 0 ? COLORS.WHITE : COLORS.BLACK;
+        // Restore castling rights, en passant target, move counters and captured pieces
+        this.gameState.restoreSnapshot();
+
+        // Determine the current player (the game may have started with black to move)
+        this.gameState.currentPlayer = this.gameState.getPlayerAtMove(moveIndex);
+
+        // Kings may be on different squares in the displayed position
+        for (const color of [COLORS.WHITE, COLORS.BLACK]) {
+            const [kingPosition] = this.board.findPiecePositions(PIECE_TYPES.KING, color);
+            if (kingPosition) {
+                this.gameState.updateKingPosition(color, kingPosition[0], kingPosition[1]);
+            }
+        }
 
         // Update check status
         this.moveValidator.updateCheckStatus();
 
         // Check for game end conditions if at the latest move
         if (moveIndex === this.gameState.moveHistory.length) {
-            const endConditions = this.moveValidator.checkGameEndConditions();
-            this.gameState.gameOver = endConditions.gameOver;
-            this.gameState.gameStatus = endConditions.gameStatus;
+            this.updateGameEndConditions();
         } else {
             this.gameState.gameOver = false;
             this.gameState.gameStatus = '';
+            this.gameState.claimableDraw = null;
         }
+    }
 
-        // Update UI
+    /**
+     * Navigate to a move anywhere in the move tree, showing the line through it
+     * @param {Number} nodeId - Id of the move tree node
+     */
+    goToNode(nodeId) {
+        const node = this.gameState.findNode(nodeId);
+        if (!node) {
+            console.warn(`No move with node id ${nodeId}`);
+            return;
+        }
+
+        // Switch to the line through the node, then show the position after it
+        this.gameState.updateCurrentLine(node);
+        this.ui.renderNotation(this.gameState);
+        this.goToMove(this.gameState.currentMoveIndex);
+    }
+
+    /**
+     * Switch to the line through a node and set up the position after it,
+     * without updating the display
+     * @param {Object} node - Node of the move tree
+     */
+    selectNode(node) {
+        this.gameState.updateCurrentLine(node);
+        this.setPosition(this.gameState.currentMoveIndex);
+    }
+
+    /**
+     * Make the variation containing the current move the main line
+     */
+    promoteVariation() {
+        const currentNode = this.gameState.getCurrentNode();
+        if (this.gameState.isMainLine(currentNode)) {
+            this.ui.showMessage('The current move is already in the main line');
+            return;
+        }
+
+        this.gameState.promoteToMainLine(currentNode);
+        this.ui.renderNotation(this.gameState);
         this.ui.renderBoard(this.board, this.gameState);
-        this.ui.notationView.highlightMove(moveIndex);
+        this.autoSaveGame();
+    }
 
-        // Highlight the last move if we're not at the beginning
-        if (moveIndex > 0 && this.gameState.moveHistory.length > 0) {
-            const lastMove = this.gameState.moveHistory[moveIndex - 1];
-            if (lastMove && lastMove.from && lastMove.to) {
-                this.ui.boardView.highlightLastMove(lastMove.from, lastMove.to);
-            }
+    /**
+     * Delete the variation containing the current move
+     */
+    deleteVariation() {
+        const variationStart = this.gameState.getVariationStart(this.gameState.getCurrentNode());
+        if (!variationStart) {
+            this.ui.showMessage('The main line cannot be deleted');
+            return;
+        }
+
+        // Continue from the position where the variation branched off
+        this.gameState.deleteVariation(variationStart);
+        this.ui.renderNotation(this.gameState);
+        this.goToMove(this.gameState.currentMoveIndex);
+        this.autoSaveGame();
+    }
+
+    /**
+     * Get the move leading to the current position
+     * @returns {Object|null} - The move, or null at the starting position
+     */
+    getCurrentMove() {
+        return this.gameState.getCurrentNode().move;
+    }
+
+    /**
+     * Set or clear the comment of the current move
+     * @param {String} comment - Comment text (empty to remove the comment)
+     */
+    setMoveComment(comment) {
+        const move = this.getCurrentMove();
+        if (!move) return;
+
+        move.comment = comment.trim() || null;
+        this.ui.renderNotation(this.gameState);
+        this.autoSaveGame();
+    }
+
+    /**
+     * Set or clear the comment shown before the current move
+     * @param {String} comment - Comment text (empty to remove the comment)
+     */
+    setMoveCommentBefore(comment) {
+        const move = this.getCurrentMove();
+        if (!move) return;
+
+        move.commentBefore = comment.trim() || null;
+        this.ui.renderNotation(this.gameState);
+        this.autoSaveGame();
+    }
+
+    /**
+     * Toggle an annotation glyph on the current move
+     * A move keeps one glyph per group, so adding a glyph replaces others of its group.
+     * @param {Number} nag - Numeric annotation glyph
+     */
+    toggleMoveNAG(nag) {
+        const move = this.getCurrentMove();
+        if (!move) return;
+
+        if (move.nags.includes(nag)) {
+            move.nags = move.nags.filter(existing => existing !== nag);
         } else {
-            // Clear last move highlight if we're at the beginning
-            this.ui.boardView.highlightLastMove(null, null);
+            const group = Object.values(NAGS).find(glyphs => nag in glyphs);
+            move.nags = move.nags.filter(existing => !group || !(existing in group));
+            move.nags.push(nag);
+            move.nags.sort((a, b) => a - b);
         }
+
+        this.ui.renderNotation(this.gameState);
+        this.autoSaveGame();
     }
 
     /**
@@ -566,8 +1390,8 @@ export class GameController {
      * @param {Number} moveIndex - Index to rebuild to
      */
     rebuildBoardState(moveIndex) {
-        // Reset the board to initial state
-        this.board.setupInitialPosition();
+        // Reset the board to the starting position of the game
+        this.board.grid = this.fenService.parsePosition(this.gameState.initialFEN).grid;
 
         // Replay all moves up to the requested index
         for (let i = 0; i < moveIndex; i++) {
@@ -636,14 +1460,15 @@ export class GameController {
 
     /**
      * Reset the game to initial state
+     * @param {String} fen - Starting position in FEN (defaults to the standard start)
      */
-    resetGame() {
-        // Reset models
-        this.board.setupInitialPosition();
-        this.gameState.reset();
+    resetGame(fen = INITIAL_FEN) {
+        // A pending computer move or review belongs to the previous game
+        this.cancelComputerMove();
+        this.cancelReview();
 
-        // Store initial board state
-        this.gameState.boardStates = [this.board.clone()];
+        // Reset models
+        this.setupPosition(fen);
 
         // Reset UI
         this.ui.renderBoard(this.board, this.gameState);
@@ -655,6 +1480,29 @@ export class GameController {
 
         // Clear saved game
         this.storageService.clearSavedGame();
+
+        // A new game starts without tag values
+        this.pgnTags = {};
+
+        // Analyse the starting position
+        this.updatePositionInfo();
+    }
+
+    /**
+     * Start a new game from the standard position
+     * The computer moves first if it plays white.
+     */
+    startNewGame() {
+        this.resetGame();
+        this.requestComputerMove();
+    }
+
+    /**
+     * Set PGN tag values used when exporting the game
+     * @param {Object} tags - Tag values, e.g. { White, Black, Event, Site, Round }
+     */
+    setPGNTags(tags) {
+        this.pgnTags = { ...this.pgnTags, ...tags };
     }
 
     /**
@@ -662,17 +1510,15 @@ export class GameController {
      */
     autoSaveGame() {
         try {
-            // Only save if not viewing history
-            if (this.gameState.currentMoveIndex === this.gameState.moveHistory.length) {
-                const pgnContent = this.pgnService.generatePGN(
-                    this.gameState.moveHistory,
-                    this.gameState.gameStatus,
-                    this.gameState.currentPlayer,
-                    document.getElementById('notation-body')
-                );
-
-                this.storageService.saveGame(pgnContent, this.gameState);
-            }
+            // The whole move tree is saved, so moves made while reviewing are kept too
+            const pgnContent = this.pgnService.generatePGN(
+                this.gameState.moveTree,
+                this.gameState.getPGNResult(),
+                this.getExportTags(),
+                this.gameState.initialFEN
+            );
+
+            this.storageService.saveGame(pgnContent, this.gameState);
         } catch (error) {
             handleError(error, (message) => console.warn('Auto-save failed:', message));
         }
@@ -684,13 +1530,13 @@ export class GameController {
     savePGN() {
         try {
             const pgnContent = this.pgnService.generatePGN(
-                this.gameState.moveHistory,
-                this.gameState.gameStatus,
-                this.gameState.currentPlayer,
-                document.getElementById('notation-body')
+                this.gameState.moveTree,
+                this.gameState.getPGNResult(),
+                this.getExportTags(),
+                this.gameState.initialFEN
             );
 
-            this.pgnService.savePGNToFile(pgnContent);
+            this.ui.downloadPGN(pgnContent);
         } catch (error) {
             handleError(error, (message) => this.ui.showMessage(message));
         }
@@ -704,27 +1550,125 @@ export class GameController {
         try {
             const pgnData = this.pgnService.parsePGN(pgnText);
 
-            // Reset the game first
-            this.resetGame();
+            // Reset the game first, starting from the FEN header if present
+            this.resetGame(pgnData.startFEN || INITIAL_FEN);
 
-            // Process each move
-            for (const move of pgnData.moves) {
-                const parsedMove = this.pgnService.parseAlgebraicNotation(
-                    move.notation, move.color, this.board, this.gameState
-                );
+            // Keep the game's tags for export (the result and setup tags are regenerated)
+            const { Result, SetUp, FEN, ...tags } = pgnData.headers;
+            this.setPGNTags(tags);
 
-                if (parsedMove) {
-                    const { from, to, promotion } = parsedMove;
-                    this.makeMove(from[0], from[1], to[0], to[1], null, promotion);
-                }
+            // The comment before the first move belongs to the game
+            this.gameState.moveTree.comment = pgnData.comment;
+
+            // Play the main line and its variations into the move tree (without
+            // rendering, saving or analysing each move)
+            this.loadPGNMoves(pgnData.moves);
+
+            // Keep a result the final position doesn't decide (resignation, agreed draw)
+            const result = pgnData.result || Result;
+            if (result && result !== RESULTS.IN_PROGRESS && Object.values(RESULTS).includes(result)) {
+                this.gameState.getMainLineEnd().recordedResult = result;
             }
 
+            // Show the end of the main line
+            this.goToNode(this.gameState.getMainLineEnd().id);
+            this.autoSaveGame();
+
             this.ui.showMessage('PGN loaded successfully');
         } catch (error) {
             handleError(error, (message) => this.ui.showMessage('Error loading PGN: ' + message));
         }
     }
 
+    /**
+     * Play a line of parsed PGN moves, adding its variations to the move tree
+     * @param {Array} moves - Parsed moves from PGNService.parsePGN
+     */
+    loadPGNMoves(moves) {
+        for (const move of moves) {
+            const positionBefore = this.gameState.getCurrentNode();
+
+            // Resolve the move against the legal moves of the current position
+            const parsedMove = this.pgnService.parseAlgebraicNotation(
+                move.notation, move.color, this.board, this.gameState, this.moveValidator, move
+            );
+            if (!parsedMove) continue;
+
+            const { from, to, specialMove, promotion } = parsedMove;
+            if (!this.playMove(from[0], from[1], to[0], to[1], specialMove, promotion)) {
+                const moveLabel = `${move.moveNumber}${move.color === COLORS.WHITE ? '.' : '...'} ${move.notation}`;
+                throw new PGNParseError(`Could not play move ${moveLabel}`, move.line);
+            }
+
+            // Keep the move's annotations
+            const playedMove = this.gameState.getCurrentNode().move;
+            playedMove.comment = move.comment;
+            playedMove.commentBefore = move.commentBefore;
+            playedMove.nags = [...move.nags];
+
+            // Alternatives to this move start from the position before it
+            if (move.variations.length > 0) {
+                const positionAfter = this.gameState.getCurrentNode();
+
+                for (const variation of move.variations) {
+                    this.selectNode(positionBefore);
+                    this.loadPGNMoves(variation);
+                }
+
+                this.selectNode(positionAfter);
+            }
+        }
+    }
+
+    /**
+     * Load a PGN file that may contain several games
+     * A single game is loaded directly; otherwise the game list is shown
+     * @param {String} pgnText - PGN text to load
+     */
+    loadPGNDatabase(pgnText) {
+        try {
+            const games = this.pgnService.parsePGNDatabase(pgnText);
+
+            if (games.length === 0) {
+                this.ui.showMessage('No games found in PGN');
+                return;
+            }
+
+            // Every imported game counts in the opening explorer
+            this.explorerService.addGames(games);
+            this.updateExplorer();
+
+            if (games.length === 1) {
+                this.pgnDatabase = [];
+                this.ui.hideGameList();
+                this.loadPGN(games[0].pgn);
+                return;
+            }
+
+            this.pgnDatabase = games;
+            this.ui.showGameList(games);
+            this.ui.showMessage(`${games.length} games loaded, choose one from the list`);
+        } catch (error) {
+            handleError(error, (message) => this.ui.showMessage('Error loading PGN: ' + message));
+        }
+    }
+
+    /**
+     * Open a game from the loaded PGN database
+     * @param {Number} gameIndex - Index of the game in the database
+     */
+    openDatabaseGame(gameIndex) {
+        const game = this.pgnDatabase[gameIndex];
+        if (!game) {
+            console.warn(`No game ${gameIndex} in the PGN database`);
+            return;
+        }
+
+        console.log(`Opening game ${gameIndex + 1} of ${this.pgnDatabase.length}`);
+        this.loadPGN(game.pgn);
+        this.ui.highlightGame(gameIndex);
+    }
+
     /**
      * Load a game from localStorage
      */
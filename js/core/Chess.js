@@ -0,0 +1,389 @@
+/**
+ * Chess - The rules of chess without a user interface
+ *
+ * Holds a position and the moves played from it, and reads and writes moves in SAN,
+ * positions in FEN and games in PGN. Nothing here touches the DOM, so the same code
+ * runs in the browser and in Node scripts or servers:
+ *
+ *   const chess = new Chess();
+ *   chess.move('e4');
+ *   chess.move({ from: 'e7', to: 'e5' });
+ *   chess.moves();   // ['a3', 'a4', ..., 'Nf3', ...]
+ *   chess.undo();
+ *   chess.pgn();
+ */
+import { COLORS, SPECIAL_MOVES, INITIAL_FEN, RESULTS, DRAW_RULES } from '../utils/Constants.js';
+import { PGNParseError } from '../utils/ErrorHandler.js';
+import { Board } from '../models/Board.js';
+import { MoveGenerator, MOVE_FLAGS } from '../models/MoveGenerator.js';
+import { FENService } from '../services/FENService.js';
+import { PGNService } from '../services/PGNService.js';
+import { SAN } from './SAN.js';
+
+export class Chess {
+  /**
+   * Create a game from a starting position
+   * @param {String} fen - Starting position in FEN (defaults to the standard position)
+   * @throws {FENParseError} If the FEN is invalid
+   */
+  constructor(fen = INITIAL_FEN) {
+    this.fenService = new FENService();
+    this.pgnService = new PGNService();
+    this.position = new MoveGenerator();
+    this.load(fen);
+  }
+
+  /**
+   * Set up a position, clearing the moves played and the PGN tags
+   * @param {String} fen - Position in FEN
+   * @returns {Chess} This game
+   * @throws {FENParseError} If the FEN is invalid
+   */
+  load(fen) {
+    const { grid, activeColor, castlingRights, enPassantTarget, halfmoveClock, fullmoveNumber } =
+      this.fenService.parsePosition(fen);
+    
+    const board = new Board();
+    board.grid = grid;
+    this.position.load(board, { currentPlayer: activeColor, castlingRights, enPassantTarget, halfmoveClock, fullmoveNumber });
+    
+    this.startFEN = this.fen();
+    this.tags = {};
+    
+    // Result of a loaded game that the final position doesn't decide (e.g. a resignation)
+    this.recordedResult = null;
+    
+    // Moves played as { move, details }, and the key of every position for repetitions
+    this.played = [];
+    this.positionKeys = [this.position.getPositionKey()];
+    
+    return this;
+  }
+
+  /**
+   * Go back to the standard starting position
+   * @returns {Chess} This game
+   */
+  reset() {
+    return this.load(INITIAL_FEN);
+  }
+
+  /**
+   * Get the current position in FEN
+   * @returns {String} FEN string
+   */
+  fen() {
+    return this.fenService.generateFEN(this.position, this.position.getState());
+  }
+
+  /**
+   * Get the player to move
+   * @returns {String} COLORS.WHITE or COLORS.BLACK
+   */
+  turn() {
+    return this.position.currentPlayer;
+  }
+
+  /**
+   * Get the piece on a square
+   * @param {String} square - Square in algebraic notation (e.g. "e4")
+   * @returns {Object|null} Piece as { type, color }, or null for an empty or invalid square
+   */
+  get(square) {
+    const coordinates = this.fenService.squareToCoordinates(square);
+    return coordinates ? this.position.getPiece(coordinates[0], coordinates[1]) : null;
+  }
+
+  /**
+   * Get the Zobrist hash of the current position (also its Polyglot book key)
+   * @returns {BigInt} 64 bit position hash
+   */
+  getHash() {
+    return this.position.getHash();
+  }
+
+  /**
+   * List the legal moves of the player to move
+   * @param {Object} options - { square, verbose }
+   * @param {String} options.square - Only moves of the piece on this square (e.g. "g1")
+   * @param {Boolean} options.verbose - Return move objects (see move()) instead of SAN
+   * @returns {Array} Moves in SAN, or move objects when verbose
+   */
+  moves({ square = null, verbose = false } = {}) {
+    const legalMoves = this.position.generateMoves();
+    let moves = legalMoves;
+    
+    if (square !== null) {
+      const coordinates = this.fenService.squareToCoordinates(square);
+      if (!coordinates) return [];
+      
+      const from = MoveGenerator.toSquare(coordinates[0], coordinates[1]);
+      moves = legalMoves.filter(move => move.from === from);
+    }
+    
+    return moves.map(move => {
+      const details = this.describeMove(move, legalMoves);
+      return verbose ? details : details.san;
+    });
+  }
+
+  /**
+   * Play a move
+   * @param {String|Object} notation - Move in SAN (e.g. "Nf3" or "exd8=Q+"), or as
+   *                                   { from, to, promotion } with squares like "e7" and
+   *                                   the promotion piece type (e.g. PIECE_TYPES.QUEEN)
+   * @returns {Object|null} The move played as { color, from, to, piece, captured, promotion,
+   *                        specialMove, moveNumber, san }, or null if it isn't legal
+   */
+  move(notation) {
+    const legalMoves = this.position.generateMoves();
+    let move = null;
+    
+    if (typeof notation === 'string') {
+      move = this.findSANMove(notation);
+    } else if (notation && typeof notation === 'object') {
+      move = this.findSquareMove(notation, legalMoves);
+    }
+    
+    if (!move) return null;
+    
+    const details = this.describeMove(move, legalMoves);
+    this.position.makeMove(move);
+    this.played.push({ move, details });
+    this.positionKeys.push(this.position.getPositionKey());
+    this.recordedResult = null;
+    
+    return details;
+  }
+
+  /**
+   * Take back the last move played
+   * @returns {Object|null} The move taken back (see move()), or null if there is none
+   */
+  undo() {
+    const last = this.played.pop();
+    if (!last) return null;
+    
+    this.position.unmakeMove();
+    this.positionKeys.pop();
+    this.recordedResult = null;
+    
+    return last.details;
+  }
+
+  /**
+   * List the moves played since the starting position
+   * @param {Object} options - { verbose }
+   * @param {Boolean} options.verbose - Return move objects (see move()) instead of SAN
+   * @returns {Array} Moves in SAN, or move objects when verbose
+   */
+  history({ verbose = false } = {}) {
+    return this.played.map(({ details }) => (verbose ? details : details.san));
+  }
+
+  /**
+   * Check whether the player to move is in check
+   * @returns {Boolean} Whether the king of the player to move is attacked
+   */
+  inCheck() {
+    return this.position.isInCheck();
+  }
+
+  /**
+   * Check whether the player to move has been checkmated
+   * @returns {Boolean} Whether the player to move is in check without legal moves
+   */
+  isCheckmate() {
+    return this.inCheck() && this.position.generateMoves().length === 0;
+  }
+
+  /**
+   * Check whether the player to move is stalemated
+   * @returns {Boolean} Whether the player to move is not in check but has no legal moves
+   */
+  isStalemate() {
+    return !this.inCheck() && this.position.generateMoves().length === 0;
+  }
+
+  /**
+   * Check whether neither side has the material to checkmate
+   * @returns {Boolean} Whether the position is dead due to insufficient material
+   */
+  isInsufficientMaterial() {
+    return this.position.hasInsufficientMaterial();
+  }
+
+  /**
+   * Count how often the current position has occurred
+   * Positions are compared by the same key the game's repetition detection uses.
+   * @returns {Number} Occurrences, including the current one
+   */
+  getRepetitionCount() {
+    const key = this.positionKeys[this.positionKeys.length - 1];
+    return this.positionKeys.filter(other => other === key).length;
+  }
+
+  /**
+   * Check whether the current position has occurred three times
+   * @returns {Boolean} Whether a threefold repetition can be claimed
+   */
+  isThreefoldRepetition() {
+    return this.getRepetitionCount() >= DRAW_RULES.THREEFOLD_REPETITION;
+  }
+
+  /**
+   * Check whether the game is drawn without either player claiming it
+   * @returns {Boolean} True on stalemate, insufficient material, the seventy-five-move
+   *                    rule or fivefold repetition
+   */
+  isDraw() {
+    return this.isStalemate() ||
+      this.isInsufficientMaterial() ||
+      this.position.halfmoveClock >= DRAW_RULES.SEVENTY_FIVE_MOVE_RULE ||
+      this.getRepetitionCount() >= DRAW_RULES.FIVEFOLD_REPETITION;
+  }
+
+  /**
+   * Check whether the player to move may claim a draw
+   * Claimable draws don't end the game; see isDraw() for the automatic ones.
+   * @returns {Boolean} True on threefold repetition or the fifty-move rule while the
+   *                    game goes on
+   */
+  canClaimDraw() {
+    return !this.isGameOver() &&
+      (this.isThreefoldRepetition() || this.position.halfmoveClock >= DRAW_RULES.FIFTY_MOVE_RULE);
+  }
+
+  /**
+   * Check whether the game has ended by checkmate or a draw
+   * @returns {Boolean} Whether the game is over
+   */
+  isGameOver() {
+    return this.isCheckmate() || this.isDraw();
+  }
+
+  /**
+   * Get the result of the game in the current position
+   * A loaded PGN game keeps its recorded result until a move is played or taken back.
+   * @returns {String} PGN result ('1-0', '0-1', '1/2-1/2' or '*' while the game goes on)
+   */
+  getResult() {
+    if (this.isCheckmate()) {
+      return this.turn() === COLORS.WHITE ? RESULTS.BLACK_WIN : RESULTS.WHITE_WIN;
+    }
+    if (this.isDraw()) return RESULTS.DRAW;
+    
+    return this.recordedResult || RESULTS.IN_PROGRESS;
+  }
+
+  /**
+   * Write the game in PGN
+   * @param {Object} options - { tags, result }
+   * @param {Object} options.tags - Tag values, added to those of a loaded PGN game
+   * @param {String} options.result - Result to record (defaults to getResult())
+   * @returns {String} PGN text
+   */
+  pgn({ tags = {}, result = this.getResult() } = {}) {
+    // PGNService writes a move tree, whose main line here is the moves played
+    const root = { move: null, parent: null, children: [] };
+    let parent = root;
+    
+    for (const { details } of this.played) {
+      const node = {
+        move: { player: details.color, moveNumber: details.moveNumber, notation: details.san, nags: [], comment: null },
+        parent,
+        children: []
+      };
+      parent.children.push(node);
+      parent = node;
+    }
+    
+    return this.pgnService.generatePGN(root, result, { ...this.tags, ...tags }, this.startFEN);
+  }
+
+  /**
+   * Load the main line of a PGN game
+   * Its tags and result are kept for pgn(); comments, annotations and variations are skipped.
+   * @param {String} pgnText - PGN text of the game
+   * @returns {Chess} This game
+   * @throws {PGNParseError} If the PGN can't be parsed or a move is illegal
+   */
+  loadPgn(pgnText) {
+    const game = this.pgnService.parsePGN(pgnText);
+    this.load(game.startFEN || INITIAL_FEN);
+    
+    // The result and setup tags are regenerated on export
+    const { Result, SetUp, FEN, ...tags } = game.headers;
+    this.tags = tags;
+    
+    for (const { notation, color, moveNumber, line } of game.moves) {
+      if (!this.move(notation)) {
+        const moveLabel = `${moveNumber}${color === COLORS.WHITE ? '.' : '...'} ${notation}`;
+        throw new PGNParseError(`Illegal move ${moveLabel}`, line);
+      }
+    }
+    
+    const result = game.result || Result;
+    if (result && result !== RESULTS.IN_PROGRESS && Object.values(RESULTS).includes(result)) {
+      this.recordedResult = result;
+    }
+    
+    return this;
+  }
+
+  /**
+   * Find the legal move written in SAN
+   * @param {String} notation - Move in SAN
+   * @returns {Object|null} Move from generateMoves, or null if it is invalid, illegal or ambiguous
+   */
+  findSANMove(notation) {
+    const parsed = SAN.parse(notation);
+    if (!parsed) return null;
+    
+    const matches = SAN.findMoves(this.position, parsed);
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  /**
+   * Find the legal move between two squares
+   * @param {Object} squares - { from, to, promotion } with squares in algebraic notation
+   * @param {Array} legalMoves - Legal moves of the position
+   * @returns {Object|null} Move from generateMoves, or null if there is no such legal move
+   */
+  findSquareMove({ from, to, promotion = null } = {}, legalMoves) {
+    const fromCoordinates = this.fenService.squareToCoordinates(from);
+    const toCoordinates = this.fenService.squareToCoordinates(to);
+    if (!fromCoordinates || !toCoordinates) return null;
+    
+    const fromSquare = MoveGenerator.toSquare(fromCoordinates[0], fromCoordinates[1]);
+    const toSquare = MoveGenerator.toSquare(toCoordinates[0], toCoordinates[1]);
+    
+    return legalMoves.find(move =>
+      move.from === fromSquare &&
+      move.to === toSquare &&
+      MoveGenerator.getPieceType(move.promotion) === promotion
+    ) || null;
+  }
+
+  /**
+   * Describe a legal move of the current position
+   * @param {Object} move - Move from generateMoves
+   * @param {Array} legalMoves - Legal moves of the position, for SAN disambiguation
+   * @returns {Object} { color, from, to, piece, captured, promotion, specialMove, moveNumber, san }
+   */
+  describeMove(move, legalMoves) {
+    const { from, to, specialMove, promotion } = MoveGenerator.toBoardMove(move);
+    
+    return {
+      color: this.position.currentPlayer,
+      from: this.fenService.coordinatesToSquare(from),
+      to: this.fenService.coordinatesToSquare(to),
+      piece: MoveGenerator.getPieceType(move.piece),
+      captured: MoveGenerator.getPieceType(move.captured),
+      promotion,
+      specialMove: move.flags === MOVE_FLAGS.EN_PASSANT ? SPECIAL_MOVES.EN_PASSANT : specialMove,
+      moveNumber: this.position.fullmoveNumber,
+      san: SAN.format(this.position, move, legalMoves)
+    };
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * SAN - Reads and writes moves in Standard Algebraic Notation
+ *
+ * Works on the legal moves of a MoveGenerator position, so it needs no board view
+ * and is shared by the Chess core, PGN import and the game's notation.
+ */
+import { PIECE_TYPES, FILES, RANKS } from '../utils/Constants.js';
+import { MoveGenerator, MOVE_FLAGS } from '../models/MoveGenerator.js';
+
+// Piece letters used in Standard Algebraic Notation
+const SAN_PIECE_TYPES = {
+  'K': PIECE_TYPES.KING,
+  'Q': PIECE_TYPES.QUEEN,
+  'R': PIECE_TYPES.ROOK,
+  'B': PIECE_TYPES.BISHOP,
+  'N': PIECE_TYPES.KNIGHT
+};
+
+// Letter of each piece type (pawns have none)
+const SAN_PIECE_LETTERS = {
+  [PIECE_TYPES.PAWN]: '',
+  [PIECE_TYPES.KNIGHT]: 'N',
+  [PIECE_TYPES.BISHOP]: 'B',
+  [PIECE_TYPES.ROOK]: 'R',
+  [PIECE_TYPES.QUEEN]: 'Q',
+  [PIECE_TYPES.KING]: 'K'
+};
+
+export class SAN {
+  /**
+   * Write a legal move in SAN, including its check or checkmate mark
+   * @param {MoveGenerator} position - Position the move is played from
+   * @param {Object} move - Move from position.generateMoves()
+   * @param {Array} legalMoves - All legal moves of the position (generated if not given)
+   * @returns {String} The move in SAN (e.g. "Nbd2", "exd6", "e8=Q+" or "O-O")
+   */
+  static format(position, move, legalMoves = position.generateMoves()) {
+    const { from, to, piece, captured, promotion, flags } = move;
+    const type = MoveGenerator.getPieceType(piece);
+    const square = value => FILES[value & 7] + RANKS[value >> 4];
+    let san;
+    
+    if (flags === MOVE_FLAGS.CASTLE_KINGSIDE) {
+      san = 'O-O';
+    } else if (flags === MOVE_FLAGS.CASTLE_QUEENSIDE) {
+      san = 'O-O-O';
+    } else if (type === PIECE_TYPES.PAWN) {
+      // Pawn captures (including en passant) name the file the pawn comes from
+      san = captured ? FILES[from & 7] + 'x' + square(to) : square(to);
+      if (promotion) san += '=' + SAN_PIECE_LETTERS[MoveGenerator.getPieceType(promotion)];
+    } else {
+      // Disambiguate by file, then by rank, then by both
+      const rivals = legalMoves.filter(other => other.piece === piece && other.to === to && other.from !== from);
+      let disambiguation = '';
+      
+      if (rivals.length > 0) {
+        const sharesFile = rivals.some(other => (other.from & 7) === (from & 7));
+        const sharesRank = rivals.some(other => (other.from >> 4) === (from >> 4));
+        
+        if (!sharesFile) {
+          disambiguation = FILES[from & 7];
+        } else if (!sharesRank) {
+          disambiguation = RANKS[from >> 4];
+        } else {
+          disambiguation = square(from);
+        }
+      }
+      
+      san = SAN_PIECE_LETTERS[type] + disambiguation + (captured ? 'x' : '') + square(to);
+    }
+    
+    // Play the move to see whether it gives check or mate
+    position.makeMove(move);
+    if (position.isInCheck()) {
+      san += position.generateMoves().length > 0 ? '+' : '#';
+    }
+    position.unmakeMove();
+    
+    return san;
+  }
+
+  /**
+   * Read the parts of a move written in SAN
+   * Check marks and move annotations are ignored, castling may be written with zeros,
+   * and the "=" before a promotion piece may be left out.
+   * @param {String} notation - Move in SAN (e.g. "Nf3", "exd5+", "e8=Q" or "O-O-O")
+   * @returns {Object|null} { pieceType, fromRow, fromCol, toRow, toCol, capture, promotion, castling }
+   *                        with null for the parts not given, or null if the notation isn't SAN
+   */
+  static parse(notation) {
+    // Strip check/checkmate symbols and move annotations (e.g. "Nf3+!?")
+    const san = String(notation).trim().replace(/[+#!?]+$/, '');
+    
+    const castling = san.match(/^[O0]-[O0](-[O0])?$/);
+    if (castling) {
+      return {
+        pieceType: PIECE_TYPES.KING,
+        fromRow: null,
+        fromCol: null,
+        toRow: null,
+        toCol: null,
+        capture: false,
+        promotion: null,
+        castling: castling[1] ? 'queenside' : 'kingside'
+      };
+    }
+    
+    // Piece letter, optional source file/rank, capture, destination and promotion
+    const match = san.match(/^([KQRBN])?([a-h])?([1-8])?(x)?([a-h][1-8])(?:=?([QRBN]))?$/);
+    if (!match) return null;
+    
+    const [, pieceLetter, sourceFile, sourceRank, captureMark, destination, promoteTo] = match;
+    
+    return {
+      pieceType: pieceLetter ? SAN_PIECE_TYPES[pieceLetter] : PIECE_TYPES.PAWN,
+      fromRow: sourceRank ? RANKS.indexOf(sourceRank) : null,
+      fromCol: sourceFile ? FILES.indexOf(sourceFile) : null,
+      toRow: RANKS.indexOf(destination[1]),
+      toCol: FILES.indexOf(destination[0]),
+      capture: !!captureMark,
+      promotion: promoteTo ? SAN_PIECE_TYPES[promoteTo] : null,
+      castling: null
+    };
+  }
+
+  /**
+   * Find the legal moves that match a parsed SAN move
+   * @param {MoveGenerator} position - Position the move is played from
+   * @param {Object} parsed - Move parts from SAN.parse
+   * @returns {Array} Matching moves from position.generateMoves(); none if the move is
+   *                  illegal and more than one if the notation is ambiguous
+   */
+  static findMoves(position, parsed) {
+    const { pieceType, fromRow, fromCol, toRow, toCol, promotion, castling } = parsed;
+    
+    if (castling) {
+      const flags = castling === 'kingside' ? MOVE_FLAGS.CASTLE_KINGSIDE : MOVE_FLAGS.CASTLE_QUEENSIDE;
+      return position.generateMoves().filter(move => move.flags === flags);
+    }
+    
+    const to = MoveGenerator.toSquare(toRow, toCol);
+    
+    return position.generateMoves().filter(move =>
+      move.to === to &&
+      MoveGenerator.getPieceType(move.piece) === pieceType &&
+      MoveGenerator.getPieceType(move.promotion) === promotion &&
+      (fromRow === null || move.from >> 4 === fromRow) &&
+      (fromCol === null || (move.from & 7) === fromCol)
+    );
+  }
+}
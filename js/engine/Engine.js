@@ -0,0 +1,335 @@
+/**
+ * Engine - Computer opponent using iterative deepening alpha-beta search
+ * The search plays and takes back moves on a MoveGenerator, the same move
+ * generator MoveValidator uses, so the engine plays by the rules of the game.
+ */
+import { MoveGenerator } from '../models/MoveGenerator.js';
+import { Evaluation, PIECE_VALUES } from './Evaluation.js';
+import { LoggingService } from '../utils/LoggingService.js';
+
+// Score of a checkmate (reduced by the distance to the mate)
+export const MATE_SCORE = 100000;
+
+// Scores this close to MATE_SCORE are mates
+const MATE_THRESHOLD = MATE_SCORE - 1000;
+
+// Deepest ply the search (including quiescence) will go
+const MAX_PLY = 64;
+
+// How often the search checks the clock
+const TIME_CHECK_INTERVAL = 256;
+
+// Move ordering bonuses
+const ORDER_PV_MOVE = 1000000;
+const ORDER_CAPTURE = 100000;
+const ORDER_PROMOTION = 90000;
+const ORDER_KILLER = 80000;
+
+export class Engine {
+  /**
+   * Create a new engine
+   */
+  constructor() {
+    this.nodes = 0;
+    this.deadline = Infinity;
+    this.maxNodes = Infinity;
+    this.interruptible = false;
+    this.stopped = false;
+    this.killerMoves = [];
+    this.previousPV = [];
+    this.excludedRootMoves = [];
+  }
+
+  /**
+   * Search for the best move in a position
+   * @param {Board} board - The chess board
+   * @param {GameState} gameState - The game state (side to move, castling, en passant)
+   * @param {Object} options - Search options
+   * @param {Number} options.maxDepth - Deepest iteration to search
+   * @param {Number} options.timeLimit - Time limit in milliseconds
+   * @param {Number} options.maxNodes - Node budget (checked every few nodes, like the time limit)
+   * @param {Number} options.randomness - Random bonus (centipawns) added to root moves
+   * @param {Number} options.multiPV - Number of best lines to find
+   * @param {Function} options.onInfo - Called with the result of each completed iteration
+   * @param {Function} options.shouldStop - Polled during the search; returning true stops it
+   *                                        (the best move of the last completed iteration is kept)
+   * @returns {Object|null} Best move { from, to, specialMove, promotion } with score
+   *                        (centipawns for the side to move), depth, nodes, pv, time
+   *                        and lines (the best lines as { score, pv }, best first);
+   *                        null if there are no legal moves
+   */
+  findBestMove(board, gameState, { maxDepth = 4, timeLimit = 5000, maxNodes = Infinity, randomness = 0, multiPV = 1, onInfo = null, shouldStop = null } = {}) {
+    const startTime = Date.now();
+    const root = new MoveGenerator().load(board, gameState);
+    
+    this.nodes = 0;
+    this.stopped = false;
+    this.killerMoves = [];
+    this.previousPV = [];
+    this.maxNodes = maxNodes;
+    this.randomness = randomness;
+    this.shouldStop = shouldStop;
+    
+    let best = null;
+    
+    for (let depth = 1; depth <= maxDepth; depth++) {
+      // The first iteration always completes so there is a move to play
+      this.deadline = startTime + timeLimit;
+      this.interruptible = depth > 1;
+      const lines = this.searchRoot(root, depth, multiPV);
+      
+      // An interrupted iteration is only partly searched, so keep the previous result
+      if (this.stopped && best) break;
+      if (lines.length === 0) break;
+      
+      const [{ score, pv }] = lines;
+      const boardPV = pv.map(MoveGenerator.toBoardMove);
+      best = {
+        ...boardPV[0],
+        score,
+        depth,
+        nodes: this.nodes,
+        pv: boardPV,
+        lines: lines.map(line => ({ score: line.score, pv: line.pv.map(MoveGenerator.toBoardMove) })),
+        time: Date.now() - startTime
+      };
+      this.previousPV = pv;
+      
+      LoggingService.debug(`Engine depth ${depth}: score ${score}, nodes ${this.nodes}`);
+      if (onInfo) onInfo(best);
+      
+      // No need to search deeper once a forced mate is found
+      if (this.stopped || Math.abs(score) >= MATE_THRESHOLD) break;
+    }
+    
+    return best;
+  }
+
+  /**
+   * Search the root position to a fixed depth for one or more best lines
+   * Each further line is searched with the first moves of the earlier lines excluded.
+   * @param {MoveGenerator} root - Search position
+   * @param {Number} depth - Depth in plies
+   * @param {Number} multiPV - Number of lines to find
+   * @returns {Array} Lines as { score, pv } with moves from MoveGenerator, best first
+   */
+  searchRoot(root, depth, multiPV) {
+    const lines = [];
+    this.excludedRootMoves = [];
+    
+    for (let i = 0; i < multiPV; i++) {
+      this.pvTable = [];
+      const score = this.negamax(root, depth, -Infinity, Infinity, 0);
+      const pv = this.pvTable[0] || [];
+      
+      // Stop when the search was interrupted or no moves are left
+      if (this.stopped || pv.length === 0) break;
+      
+      lines.push({ score, pv });
+      this.excludedRootMoves.push(pv[0]);
+    }
+    
+    this.excludedRootMoves = [];
+    return lines.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Negamax alpha-beta search
+   * @param {MoveGenerator} position - Search position
+   * @param {Number} depth - Remaining depth in plies
+   * @param {Number} alpha - Lower bound
+   * @param {Number} beta - Upper bound
+   * @param {Number} ply - Distance from the root
+   * @returns {Number} Score for the side to move
+   */
+  negamax(position, depth, alpha, beta, ply) {
+    this.pvTable[ply] = [];
+    
+    if (depth <= 0 || ply >= MAX_PLY) {
+      return this.quiescence(position, alpha, beta, ply);
+    }
+    
+    this.nodes++;
+    if (this.isTimeUp()) return 0;
+    
+    const moves = this.orderMoves(position.generateMoves(), ply);
+    let bestScore = -Infinity;
+    let legalMoves = 0;
+    
+    for (const move of moves) {
+      // Moves already reported as earlier lines (multiPV)
+      if (ply === 0 && this.excludedRootMoves.some(excluded => this.isSameMove(move, excluded))) {
+        continue;
+      }
+      
+      legalMoves++;
+      
+      // Weaker levels pick among the root moves with some noise, which needs the exact
+      // score of every root move, so those are searched with the full window
+      const addNoise = ply === 0 && this.randomness > 0;
+      
+      position.makeMove(move);
+      let score = -this.negamax(position, depth - 1, -beta, addNoise ? Infinity : -alpha, ply + 1);
+      position.unmakeMove();
+      if (this.stopped) return 0;
+      
+      if (addNoise) {
+        score += Math.floor(Math.random() * this.randomness);
+      }
+      
+      if (score > bestScore) {
+        bestScore = score;
+      }
+      
+      if (score > alpha) {
+        alpha = score;
+        this.pvTable[ply] = [move, ...(this.pvTable[ply + 1] || [])];
+      }
+      
+      if (alpha >= beta) {
+        if (!move.captured) {
+          this.killerMoves[ply] = move;
+        }
+        break;
+      }
+    }
+    
+    if (legalMoves === 0) {
+      // Checkmate (prefer the shortest mate) or stalemate
+      return position.isInCheck() ? -MATE_SCORE + ply : 0;
+    }
+    
+    return bestScore;
+  }
+
+  /**
+   * Search captures only until the position is quiet
+   * @param {MoveGenerator} position - Search position
+   * @param {Number} alpha - Lower bound
+   * @param {Number} beta - Upper bound
+   * @param {Number} ply - Distance from the root
+   * @returns {Number} Score for the side to move
+   */
+  quiescence(position, alpha, beta, ply) {
+    this.nodes++;
+    if (this.isTimeUp()) return 0;
+    
+    // The side to move can usually do at least as well as the static evaluation
+    const standPat = Evaluation.evaluate(position, position.currentPlayer);
+    if (standPat >= beta || ply >= MAX_PLY) return standPat;
+    if (standPat > alpha) alpha = standPat;
+    
+    const captures = position.generateMoves().filter(move => move.captured || move.promotion);
+    
+    for (const move of this.orderMoves(captures, ply)) {
+      position.makeMove(move);
+      const score = -this.quiescence(position, -beta, -alpha, ply + 1);
+      position.unmakeMove();
+      if (this.stopped) return 0;
+      
+      if (score >= beta) return score;
+      if (score > alpha) alpha = score;
+    }
+    
+    return alpha;
+  }
+
+  /**
+   * Sort moves so the most promising are searched first: the previous
+   * principal variation, captures by MVV-LVA, promotions and killer moves
+   * @param {Array} moves - Moves to sort
+   * @param {Number} ply - Distance from the root
+   * @returns {Array} Sorted moves
+   */
+  orderMoves(moves, ply) {
+    const pvMove = this.previousPV[ply];
+    const killer = this.killerMoves[ply];
+    
+    const scored = moves.map(move => {
+      let score = 0;
+      
+      if (pvMove && this.isSameMove(move, pvMove)) {
+        score += ORDER_PV_MOVE;
+      }
+      if (move.captured) {
+        // Most valuable victim, least valuable attacker
+        score += ORDER_CAPTURE + 10 * PIECE_VALUES[MoveGenerator.getPieceType(move.captured)] -
+          PIECE_VALUES[MoveGenerator.getPieceType(move.piece)] / 10;
+      }
+      if (move.promotion) {
+        score += ORDER_PROMOTION + PIECE_VALUES[MoveGenerator.getPieceType(move.promotion)];
+      }
+      if (killer && this.isSameMove(move, killer)) {
+        score += ORDER_KILLER;
+      }
+      
+      return { move, score };
+    });
+    
+    scored.sort((a, b) => b.score - a.score);
+    return scored.map(entry => entry.move);
+  }
+
+  /**
+   * Check whether two engine moves are the same
+   * @param {Object} moveA - First move
+   * @param {Object} moveB - Second move
+   * @returns {Boolean} Whether both moves have the same squares and promotion
+   */
+  isSameMove(moveA, moveB) {
+    return moveA.from === moveB.from && moveA.to === moveB.to && moveA.promotion === moveB.promotion;
+  }
+
+  /**
+   * Check the clock, the node budget and any stop request every few nodes and
+   * stop the search when one runs out. The first iteration is never interrupted.
+   * @returns {Boolean} Whether the search has been stopped
+   */
+  isTimeUp() {
+    if (!this.stopped && this.interruptible && this.nodes % TIME_CHECK_INTERVAL === 0 &&
+        (Date.now() >= this.deadline || this.nodes >= this.maxNodes || (this.shouldStop && this.shouldStop()))) {
+      this.stopped = true;
+    }
+    return this.stopped;
+  }
+
+  /**
+   * Strip a search result down to plain data that can be posted between threads
+   * @param {Object|null} result - Result from findBestMove
+   * @returns {Object|null} Result without piece objects
+   */
+  static serializeResult(result) {
+    if (!result) return null;
+    
+    const toPlainMove = ({ from, to, specialMove, promotion }) => ({ from, to, specialMove, promotion });
+    return {
+      ...toPlainMove(result),
+      score: result.score,
+      depth: result.depth,
+      nodes: result.nodes,
+      time: result.time,
+      pv: result.pv.map(toPlainMove),
+      lines: result.lines.map(line => ({ score: line.score, pv: line.pv.map(toPlainMove) }))
+    };
+  }
+
+  /**
+   * Check whether a score is a forced mate
+   * @param {Number} score - Search score
+   * @returns {Boolean} Whether the score is a mate score
+   */
+  static isMateScore(score) {
+    return Math.abs(score) >= MATE_THRESHOLD;
+  }
+
+  /**
+   * Convert a mate score into the number of moves until mate
+   * @param {Number} score - Mate score for the side to move
+   * @returns {Number} Moves until mate (negative if the side to move gets mated)
+   */
+  static getMateDistance(score) {
+    const plies = MATE_SCORE - Math.abs(score);
+    const moves = Math.ceil(plies / 2);
+    return score > 0 ? moves : -moves;
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * EngineClient - Runs engine searches in a Web Worker so the page stays responsive
+ * Falls back to searching on the main thread where workers are not available
+ * (for example when the page is opened from the file system).
+ */
+import { Engine } from './Engine.js';
+import { Board } from '../models/Board.js';
+import { GameState } from '../models/GameState.js';
+import { FENService } from '../services/FENService.js';
+import { EngineError } from '../utils/ErrorHandler.js';
+import { LoggingService } from '../utils/LoggingService.js';
+
+// Worker script, resolved relative to this module
+const WORKER_URL = new URL('./EngineWorker.js', import.meta.url);
+
+// Longest search allowed without a worker, as it blocks the page
+const MAIN_THREAD_TIME_LIMIT = 2000;
+
+export class EngineClient {
+  /**
+   * Create an engine client
+   * @param {URL|String} workerUrl - Location of the engine worker script
+   */
+  constructor(workerUrl = WORKER_URL) {
+    this.workerUrl = workerUrl;
+    this.worker = null;
+    this.workerUnavailable = false;
+    this.stopFlag = null;
+    this.fallbackEngine = null;
+    this.nextSearchId = 1;
+    this.searches = new Map();
+    this.currentSearch = null;
+  }
+
+  /**
+   * Search a position for the best move
+   * Only one search runs at a time; starting a new one stops the previous search.
+   * @param {String} fen - Position to search
+   * @param {Object} options - Search options (maxDepth, timeLimit, randomness, multiPV)
+   * @param {Function} onInfo - Called with the result of each completed iteration
+   * @returns {Promise<Object|null>} Best move { from, to, specialMove, promotion } with
+   *                                 score, depth, nodes, time, pv and lines; null if there
+   *                                 are no legal moves or the search was stopped early
+   */
+  search(fen, options = {}, onInfo = null) {
+    this.stop();
+    
+    return new Promise((resolve, reject) => {
+      const search = {
+        id: this.nextSearchId++,
+        fen,
+        options: {
+          maxDepth: options.maxDepth,
+          timeLimit: options.timeLimit,
+          randomness: options.randomness,
+          multiPV: options.multiPV
+        },
+        onInfo,
+        resolve,
+        reject,
+        lastResult: null
+      };
+      
+      this.searches.set(search.id, search);
+      this.currentSearch = search;
+      this.startSearch(search);
+    });
+  }
+
+  /**
+   * Stop the current search
+   * The search resolves with the best move of its last completed iteration.
+   */
+  stop() {
+    const search = this.currentSearch;
+    if (!search) return;
+    this.currentSearch = null;
+    
+    if (this.worker && this.stopFlag) {
+      // The worker polls the flag and replies with its best move; later searches
+      // have higher ids, so they are not stopped by it
+      Atomics.store(this.stopFlag, 0, search.id);
+      return;
+    }
+    
+    // Without a shared flag a running search can't be interrupted, so the worker
+    // is discarded (a new one is created for the next search)
+    if (this.worker) {
+      LoggingService.debug('EngineClient: terminating worker to stop the search');
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.finishSearch(search, search.lastResult);
+  }
+
+  /**
+   * Stop any search and shut down the worker
+   */
+  terminate() {
+    this.stop();
+    
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  /**
+   * Send a search to the worker, or run it on the main thread without one
+   * @param {Object} search - Pending search
+   */
+  startSearch(search) {
+    const worker = this.getWorker();
+    
+    if (worker) {
+      worker.postMessage({ type: 'search', id: search.id, fen: search.fen, options: search.options });
+    } else {
+      this.searchOnMainThread(search);
+    }
+  }
+
+  /**
+   * Get the engine worker, creating it when needed
+   * @returns {Worker|null} The worker, or null if workers can't be used
+   */
+  getWorker() {
+    if (this.worker || this.workerUnavailable) return this.worker;
+    
+    if (typeof Worker === 'undefined') {
+      this.workerUnavailable = true;
+      return null;
+    }
+    
+    try {
+      this.worker = new Worker(this.workerUrl, { type: 'module' });
+    } catch (error) {
+      LoggingService.warn('EngineClient: could not start the engine worker', error);
+      this.workerUnavailable = true;
+      return null;
+    }
+    
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => this.handleWorkerError(event);
+    
+    // Shared memory lets a running search be stopped without losing the worker
+    if (typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated) {
+      this.stopFlag = new Int32Array(new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT));
+      this.worker.postMessage({ type: 'init', stopFlag: this.stopFlag });
+    } else {
+      this.stopFlag = null;
+    }
+    
+    return this.worker;
+  }
+
+  /**
+   * Handle a message from the worker
+   * @param {Object} message - Message from the worker protocol
+   */
+  handleMessage(message) {
+    if (message.type === 'ready') {
+      LoggingService.debug('EngineClient: worker ready');
+      return;
+    }
+    
+    // Replies to searches that have already been settled are ignored
+    const search = this.searches.get(message.id);
+    if (!search) return;
+    
+    switch (message.type) {
+      case 'info':
+        search.lastResult = message.result;
+        if (search.onInfo && search === this.currentSearch) {
+          search.onInfo(message.result);
+        }
+        break;
+      case 'bestmove':
+        this.finishSearch(search, message.result);
+        break;
+      case 'error':
+        this.failSearch(search, new EngineError(message.message));
+        break;
+      default:
+        LoggingService.warn(`EngineClient: unknown message type ${message.type}`);
+    }
+  }
+
+  /**
+   * Handle a worker that failed to load or crashed
+   * The current search is repeated on the main thread; searches that were already
+   * stopped settle with the best move of their last completed iteration.
+   * @param {ErrorEvent} event - Error event from the worker
+   */
+  handleWorkerError(event) {
+    LoggingService.warn('EngineClient: engine worker failed, searching on the main thread', event.message);
+    
+    if (event.preventDefault) event.preventDefault();
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.workerUnavailable = true;
+    
+    for (const search of [...this.searches.values()]) {
+      if (search === this.currentSearch) {
+        this.searchOnMainThread(search);
+      } else {
+        this.finishSearch(search, search.lastResult);
+      }
+    }
+  }
+
+  /**
+   * Run a search on the main thread (blocks the page while it runs)
+   * @param {Object} search - Pending search
+   */
+  searchOnMainThread(search) {
+    // Let the page update before the search blocks it
+    setTimeout(() => {
+      if (!this.searches.has(search.id)) return;
+      
+      try {
+        const board = new Board();
+        const gameState = new GameState();
+        new FENService().parseFEN(search.fen, board, gameState);
+        
+        this.fallbackEngine = this.fallbackEngine || new Engine();
+        const result = this.fallbackEngine.findBestMove(board, gameState, {
+          ...search.options,
+          timeLimit: Math.min(search.options.timeLimit ?? MAIN_THREAD_TIME_LIMIT, MAIN_THREAD_TIME_LIMIT),
+          onInfo: info => this.handleMessage({ type: 'info', id: search.id, result: Engine.serializeResult(info) })
+        });
+        
+        this.finishSearch(search, Engine.serializeResult(result));
+      } catch (error) {
+        this.failSearch(search, new EngineError(error.message));
+      }
+    }, 0);
+  }
+
+  /**
+   * Settle a search with its result
+   * @param {Object} search - Pending search
+   * @param {Object|null} result - Best move found
+   */
+  finishSearch(search, result) {
+    this.searches.delete(search.id);
+    if (this.currentSearch === search) {
+      this.currentSearch = null;
+    }
+    search.resolve(result);
+  }
+
+  /**
+   * Settle a search with an error
+   * @param {Object} search - Pending search
+   * @param {Error} error - What went wrong
+   */
+  failSearch(search, error) {
+    this.searches.delete(search.id);
+    if (this.currentSearch === search) {
+      this.currentSearch = null;
+    }
+    search.reject(error);
+  }
+}
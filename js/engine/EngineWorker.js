@@ -0,0 +1,69 @@
+/**
+ * EngineWorker - Runs engine searches off the main thread
+ *
+ * Load with new Worker(url, { type: 'module' }). Message protocol:
+ *
+ *   In:  { type: 'init', stopFlag }           - optional shared Int32Array; a search
+ *                                               stops when stopFlag[0] is set to its
+ *                                               id or a later one (ids must increase,
+ *                                               so a stop is never undone by a search
+ *                                               still waiting to start)
+ *        { type: 'search', id, fen, options } - search a position (options as for
+ *                                               Engine.findBestMove)
+ *
+ *   Out: { type: 'ready' }                    - the worker has loaded
+ *        { type: 'info', id, result }         - result of each completed iteration
+ *        { type: 'bestmove', id, result }     - final result (null without legal moves)
+ *        { type: 'error', id, message }       - the position could not be searched
+ */
+import { Engine } from './Engine.js';
+import { Board } from '../models/Board.js';
+import { GameState } from '../models/GameState.js';
+import { FENService } from '../services/FENService.js';
+
+const engine = new Engine();
+const fenService = new FENService();
+let stopFlag = null;
+
+/**
+ * Search a position and report progress and the best move
+ * @param {Number} id - Search id, echoed in every reply
+ * @param {String} fen - Position to search
+ * @param {Object} options - Search options (maxDepth, timeLimit, randomness, multiPV)
+ */
+function search(id, fen, options) {
+  const board = new Board();
+  const gameState = new GameState();
+  
+  try {
+    fenService.parseFEN(fen, board, gameState);
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message });
+    return;
+  }
+  
+  const result = engine.findBestMove(board, gameState, {
+    ...options,
+    onInfo: info => self.postMessage({ type: 'info', id, result: Engine.serializeResult(info) }),
+    shouldStop: () => stopFlag !== null && Atomics.load(stopFlag, 0) >= id
+  });
+  
+  self.postMessage({ type: 'bestmove', id, result: Engine.serializeResult(result) });
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+  
+  switch (message.type) {
+    case 'init':
+      stopFlag = message.stopFlag || null;
+      break;
+    case 'search':
+      search(message.id, message.fen, message.options || {});
+      break;
+    default:
+      console.warn(`EngineWorker: unknown message type ${message.type}`);
+  }
+};
+
+self.postMessage({ type: 'ready' });
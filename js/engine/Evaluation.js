@@ -0,0 +1,152 @@
+/**
+ * Evaluation - Static evaluation of chess positions (material and piece-square tables)
+ */
+import { COLORS, PIECE_TYPES, BOARD_SIZE } from '../utils/Constants.js';
+
+// Material values in centipawns
+export const PIECE_VALUES = {
+  [PIECE_TYPES.PAWN]: 100,
+  [PIECE_TYPES.KNIGHT]: 320,
+  [PIECE_TYPES.BISHOP]: 330,
+  [PIECE_TYPES.ROOK]: 500,
+  [PIECE_TYPES.QUEEN]: 900,
+  [PIECE_TYPES.KING]: 0
+};
+
+// Below this much non-pawn material (both sides together) the king
+// should become active, so the endgame king table is used
+const ENDGAME_MATERIAL = 2600;
+
+// Piece-square tables from white's point of view, indexed [row][col] like the
+// board grid (row 0 is the 8th rank). Black uses the vertically mirrored square.
+const PIECE_SQUARE_TABLES = {
+  [PIECE_TYPES.PAWN]: [
+    [0, 0, 0, 0, 0, 0, 0, 0],
+    [50, 50, 50, 50, 50, 50, 50, 50],
+    [10, 10, 20, 30, 30, 20, 10, 10],
+    [5, 5, 10, 25, 25, 10, 5, 5],
+    [0, 0, 0, 20, 20, 0, 0, 0],
+    [5, -5, -10, 0, 0, -10, -5, 5],
+    [5, 10, 10, -20, -20, 10, 10, 5],
+    [0, 0, 0, 0, 0, 0, 0, 0]
+  ],
+  [PIECE_TYPES.KNIGHT]: [
+    [-50, -40, -30, -30, -30, -30, -40, -50],
+    [-40, -20, 0, 0, 0, 0, -20, -40],
+    [-30, 0, 10, 15, 15, 10, 0, -30],
+    [-30, 5, 15, 20, 20, 15, 5, -30],
+    [-30, 0, 15, 20, 20, 15, 0, -30],
+    [-30, 5, 10, 15, 15, 10, 5, -30],
+    [-40, -20, 0, 5, 5, 0, -20, -40],
+    [-50, -40, -30, -30, -30, -30, -40, -50]
+  ],
+  [PIECE_TYPES.BISHOP]: [
+    [-20, -10, -10, -10, -10, -10, -10, -20],
+    [-10, 0, 0, 0, 0, 0, 0, -10],
+    [-10, 0, 5, 10, 10, 5, 0, -10],
+    [-10, 5, 5, 10, 10, 5, 5, -10],
+    [-10, 0, 10, 10, 10, 10, 0, -10],
+    [-10, 10, 10, 10, 10, 10, 10, -10],
+    [-10, 5, 0, 0, 0, 0, 5, -10],
+    [-20, -10, -10, -10, -10, -10, -10, -20]
+  ],
+  [PIECE_TYPES.ROOK]: [
+    [0, 0, 0, 0, 0, 0, 0, 0],
+    [5, 10, 10, 10, 10, 10, 10, 5],
+    [-5, 0, 0, 0, 0, 0, 0, -5],
+    [-5, 0, 0, 0, 0, 0, 0, -5],
+    [-5, 0, 0, 0, 0, 0, 0, -5],
+    [-5, 0, 0, 0, 0, 0, 0, -5],
+    [-5, 0, 0, 0, 0, 0, 0, -5],
+    [0, 0, 0, 5, 5, 0, 0, 0]
+  ],
+  [PIECE_TYPES.QUEEN]: [
+    [-20, -10, -10, -5, -5, -10, -10, -20],
+    [-10, 0, 0, 0, 0, 0, 0, -10],
+    [-10, 0, 5, 5, 5, 5, 0, -10],
+    [-5, 0, 5, 5, 5, 5, 0, -5],
+    [0, 0, 5, 5, 5, 5, 0, -5],
+    [-10, 5, 5, 5, 5, 5, 0, -10],
+    [-10, 0, 5, 0, 0, 0, 0, -10],
+    [-20, -10, -10, -5, -5, -10, -10, -20]
+  ],
+  [PIECE_TYPES.KING]: [
+    [-30, -40, -40, -50, -50, -40, -40, -30],
+    [-30, -40, -40, -50, -50, -40, -40, -30],
+    [-30, -40, -40, -50, -50, -40, -40, -30],
+    [-30, -40, -40, -50, -50, -40, -40, -30],
+    [-20, -30, -30, -40, -40, -30, -30, -20],
+    [-10, -20, -20, -20, -20, -20, -20, -10],
+    [20, 20, 0, 0, 0, 0, 20, 20],
+    [20, 30, 10, 0, 0, 10, 30, 20]
+  ]
+};
+
+// King table once most pieces are off the board: head for the center
+const KING_ENDGAME_TABLE = [
+  [-50, -40, -30, -20, -20, -30, -40, -50],
+  [-30, -20, -10, 0, 0, -10, -20, -30],
+  [-30, -10, 20, 30, 30, 20, -10, -30],
+  [-30, -10, 30, 40, 40, 30, -10, -30],
+  [-30, -10, 30, 40, 40, 30, -10, -30],
+  [-30, -10, 20, 30, 30, 20, -10, -30],
+  [-30, -30, 0, 0, 0, 0, -30, -30],
+  [-50, -30, -30, -30, -30, -30, -30, -50]
+];
+
+export class Evaluation {
+  /**
+   * Evaluate a position from the point of view of a player
+   * @param {Board|MoveGenerator} board - The position's pieces (anything with getPiece)
+   * @param {String} color - Player whose point of view is used
+   * @returns {Number} Score in centipawns (positive is good for the player)
+   */
+  static evaluate(board, color) {
+    let score = 0;
+    let nonPawnMaterial = 0;
+    const kings = [];
+    
+    for (let row = 0; row < BOARD_SIZE; row++) {
+      for (let col = 0; col < BOARD_SIZE; col++) {
+        const piece = board.getPiece(row, col);
+        if (!piece) continue;
+        
+        const sign = piece.color === COLORS.WHITE ? 1 : -1;
+        
+        if (piece.type === PIECE_TYPES.KING) {
+          // Scored below, once the game phase is known
+          kings.push({ sign, row, col, color: piece.color });
+          continue;
+        }
+        
+        if (piece.type !== PIECE_TYPES.PAWN) {
+          nonPawnMaterial += PIECE_VALUES[piece.type];
+        }
+        
+        score += sign * (PIECE_VALUES[piece.type] +
+          Evaluation.getSquareValue(PIECE_SQUARE_TABLES[piece.type], piece.color, row, col));
+      }
+    }
+    
+    const kingTable = nonPawnMaterial <= ENDGAME_MATERIAL ?
+      KING_ENDGAME_TABLE : PIECE_SQUARE_TABLES[PIECE_TYPES.KING];
+    
+    for (const king of kings) {
+      score += king.sign * Evaluation.getSquareValue(kingTable, king.color, king.row, king.col);
+    }
+    
+    return color === COLORS.WHITE ? score : -score;
+  }
+
+  /**
+   * Look up a piece-square table entry for a piece
+   * @param {Array} table - Piece-square table from white's point of view
+   * @param {String} color - Piece color
+   * @param {Number} row - Row index (0-7)
+   * @param {Number} col - Column index (0-7)
+   * @returns {Number} Positional bonus in centipawns
+   */
+  static getSquareValue(table, color, row, col) {
+    return color === COLORS.WHITE ? table[row][col] : table[BOARD_SIZE - 1 - row][col];
+  }
+}
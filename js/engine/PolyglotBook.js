@@ -0,0 +1,129 @@
+/**
+ * PolyglotBook - Reader for opening books in the Polyglot (.bin) format
+ *
+ * A book is a list of 16 byte entries sorted by position key: the key (8 bytes),
+ * the move (2 bytes), its weight (2 bytes) and learning data (4 bytes), all big-endian.
+ */
+import { PIECE_TYPES } from '../utils/Constants.js';
+import { BookError } from '../utils/ErrorHandler.js';
+
+const ENTRY_SIZE = 16;
+
+// Promotion pieces by their code in a move (0 is no promotion)
+const PROMOTION_PIECES = [null, PIECE_TYPES.KNIGHT, PIECE_TYPES.BISHOP, PIECE_TYPES.ROOK, PIECE_TYPES.QUEEN];
+
+export class PolyglotBook {
+  /**
+   * Read an opening book
+   * @param {ArrayBuffer} data - Contents of a .bin book file
+   */
+  constructor(data) {
+    if (data.byteLength === 0 || data.byteLength % ENTRY_SIZE !== 0) {
+      throw new BookError(`a Polyglot book consists of ${ENTRY_SIZE} byte entries`);
+    }
+    
+    const view = new DataView(data);
+    this.keys = new BigUint64Array(data.byteLength / ENTRY_SIZE);
+    this.moves = new Uint16Array(this.keys.length);
+    this.weights = new Uint16Array(this.keys.length);
+    
+    for (let i = 0; i < this.keys.length; i++) {
+      const offset = i * ENTRY_SIZE;
+      this.keys[i] = view.getBigUint64(offset);
+      this.moves[i] = view.getUint16(offset + 8);
+      this.weights[i] = view.getUint16(offset + 10);
+      
+      if (i > 0 && this.keys[i] < this.keys[i - 1]) {
+        throw new BookError('the entries are not sorted by position key');
+      }
+    }
+  }
+
+  /**
+   * Number of entries in the book
+   * @returns {Number} Entry count
+   */
+  get size() {
+    return this.keys.length;
+  }
+
+  /**
+   * Get the book moves for a position, most played first
+   * @param {Board} board - The chess board
+   * @param {GameState} gameState - The game state
+   * @returns {Array} Moves as { from, to, promotion, weight }
+   */
+  getMoves(board, gameState) {
+    // Position hashes use the Polyglot random numbers, so they are the book keys
+    const key = board.getHash(gameState);
+    const moves = [];
+    
+    for (let i = this.findFirstEntry(key); i < this.keys.length && this.keys[i] === key; i++) {
+      moves.push({ ...this.decodeMove(this.moves[i], board), weight: this.weights[i] });
+    }
+    
+    return moves.sort((a, b) => b.weight - a.weight);
+  }
+
+  /**
+   * Pick a book move at random, in proportion to the move weights
+   * @param {Board} board - The chess board
+   * @param {GameState} gameState - The game state
+   * @param {Function} random - Random number generator returning [0, 1)
+   * @returns {Object|null} Move { from, to, promotion, weight }, or null if the position is not in the book
+   */
+  pickMove(board, gameState, random = Math.random) {
+    const moves = this.getMoves(board, gameState);
+    const totalWeight = moves.reduce((sum, move) => sum + move.weight, 0);
+    if (totalWeight === 0) return null;
+    
+    let remaining = random() * totalWeight;
+    for (const move of moves) {
+      remaining -= move.weight;
+      if (remaining < 0) return move;
+    }
+    return moves[0];
+  }
+
+  /**
+   * Find the first entry for a position key (binary search)
+   * @param {BigInt} key - Position key
+   * @returns {Number} Index of the first entry with a key not below the given one
+   */
+  findFirstEntry(key) {
+    let low = 0;
+    let high = this.keys.length;
+    
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.keys[middle] < key) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    
+    return low;
+  }
+
+  /**
+   * Decode a book move
+   * Castling is stored as the king capturing its own rook and becomes the king's two square move.
+   * @param {Number} code - Move bits: to file (0-2), to rank (3-5), from file (6-8),
+   *                        from rank (9-11) and promotion piece (12-14)
+   * @param {Board} board - Board of the position
+   * @returns {Object} Move { from, to, promotion }
+   */
+  decodeMove(code, board) {
+    const from = [7 - ((code >> 9) & 7), (code >> 6) & 7];
+    const to = [7 - ((code >> 3) & 7), code & 7];
+    const promotion = PROMOTION_PIECES[(code >> 12) & 7] || null;
+    
+    const piece = board.getPiece(from[0], from[1]);
+    if (piece && piece.type === PIECE_TYPES.KING && from[0] === to[0] && Math.abs(to[1] - from[1]) > 2) {
+      to[1] = to[1] > from[1] ? from[1] + 2 : from[1] - 2;
+    }
+    
+    return { from, to, promotion };
+  }
+}
@@ -0,0 +1,391 @@
+/**
+ * UCIClient - Plays against external engines speaking the Universal Chess Interface
+ * Searches use the same interface as EngineClient (search, stop), so a UCI
+ * engine can stand in for the built-in computer opponent.
+ */
+import { PIECE_TYPES, FILES, RANKS, FEN_PIECE_CHARS } from '../utils/Constants.js';
+import { EngineError } from '../utils/ErrorHandler.js';
+import { LoggingService } from '../utils/LoggingService.js';
+import { MATE_SCORE } from './Engine.js';
+
+// Pieces a pawn can promote to, by UCI letter
+const UCI_PROMOTION_PIECES = {
+  [FEN_PIECE_CHARS[PIECE_TYPES.QUEEN]]: PIECE_TYPES.QUEEN,
+  [FEN_PIECE_CHARS[PIECE_TYPES.ROOK]]: PIECE_TYPES.ROOK,
+  [FEN_PIECE_CHARS[PIECE_TYPES.BISHOP]]: PIECE_TYPES.BISHOP,
+  [FEN_PIECE_CHARS[PIECE_TYPES.KNIGHT]]: PIECE_TYPES.KNIGHT
+};
+
+// Long algebraic move, e.g. e2e4 or e7e8q
+const UCI_MOVE_PATTERN = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/;
+
+// Numeric fields of an info line
+const INFO_NUMBER_FIELDS = ['depth', 'seldepth', 'multipv', 'nodes', 'nps', 'time', 'hashfull', 'tbhits', 'currmovenumber'];
+
+export class UCIClient {
+  /**
+   * Create a client on a transport
+   * @param {Object} transport - Transport from UCITransport.js
+   */
+  constructor(transport) {
+    this.transport = transport;
+    this.transport.onLine = (line) => this.handleLine(line);
+    this.transport.onError = (error) => this.failPending(error);
+    this.transport.onClose = () => this.failPending(new EngineError('engine connection closed'));
+    
+    this.engineInfo = { name: null, author: null, options: {} };
+    this.initialization = null;
+    this.uciOkWaiter = null;
+    this.readyWaiters = [];
+    
+    // Searches in the order they were started; each bestmove settles the oldest
+    this.searches = [];
+    this.multiPV = 1;
+  }
+
+  /**
+   * Send 'uci' and wait until the engine is ready
+   * Called automatically before the first search.
+   * @returns {Promise<Object>} Engine { name, author, options }
+   */
+  initialize() {
+    if (!this.initialization) {
+      this.initialization = new Promise((resolve, reject) => {
+        this.uciOkWaiter = { resolve, reject };
+        this.send('uci');
+      }).then(() => this.isReady()).then(() => this.engineInfo);
+    }
+    return this.initialization;
+  }
+
+  /**
+   * Set an engine option
+   * @param {String} name - Option name (e.g. "Skill Level")
+   * @param {String|Number|Boolean} value - Option value (omitted for buttons)
+   */
+  setOption(name, value = undefined) {
+    this.send(value === undefined ? `setoption name ${name}` : `setoption name ${name} value ${value}`);
+  }
+
+  /**
+   * Wait until the engine has processed all commands sent so far
+   * @returns {Promise} Resolves on 'readyok'
+   */
+  isReady() {
+    return new Promise((resolve, reject) => {
+      this.readyWaiters.push({ resolve, reject });
+      this.send('isready');
+    });
+  }
+
+  /**
+   * Tell the engine the next search belongs to a new game
+   * @returns {Promise} Resolves once the engine is ready
+   */
+  async newGame() {
+    await this.initialize();
+    this.send('ucinewgame');
+    return this.isReady();
+  }
+
+  /**
+   * Search a position for the best move
+   * @param {String} fen - Position to search
+   * @param {Object} options - Search options
+   * @param {Number} options.maxDepth - Depth limit (go depth)
+   * @param {Number} options.timeLimit - Time limit in milliseconds (go movetime)
+   * @param {Number} options.nodes - Node limit (go nodes)
+   * @param {Number} options.multiPV - Number of best lines to report (MultiPV option)
+   * @param {Array} options.moves - UCI moves played from the position (position ... moves)
+   * @param {Function} onInfo - Called with each parsed info line that has a principal
+   *                             variation, with the latest lines as { score, pv }
+   * @returns {Promise<Object|null>} Best move { from, to, specialMove, promotion, uci, ponder }
+   *                                 with score, depth, nodes, time, pv and lines of the
+   *                                 last info; null if the engine has no move
+   */
+  async search(fen, options = {}, onInfo = null) {
+    await this.initialize();
+    
+    // Only one search runs at a time
+    this.stop();
+    
+    const multiPV = options.multiPV || 1;
+    if (multiPV !== this.multiPV && 'MultiPV' in this.engineInfo.options) {
+      this.setOption('MultiPV', multiPV);
+      this.multiPV = multiPV;
+    }
+    
+    return new Promise((resolve, reject) => {
+      this.searches.push({ resolve, reject, onInfo, lastInfo: null, lines: [], stopped: false });
+      this.send(UCIClient.formatPosition(fen, options.moves));
+      this.send(UCIClient.formatGo(options));
+    });
+  }
+
+  /**
+   * Stop the running search; the engine answers with its best move so far
+   */
+  stop() {
+    const search = this.searches[this.searches.length - 1];
+    if (search && !search.stopped) {
+      search.stopped = true;
+      this.send('stop');
+    }
+  }
+
+  /**
+   * Shut down the engine
+   */
+  terminate() {
+    this.send('quit');
+    this.transport.close();
+  }
+
+  /**
+   * Send a command to the engine
+   * @param {String} line - UCI command
+   */
+  send(line) {
+    LoggingService.debug(`UCI > ${line}`);
+    this.transport.send(line);
+  }
+
+  /**
+   * Handle a line of engine output
+   * @param {String} line - Line from the engine
+   */
+  handleLine(line) {
+    LoggingService.verbose(`UCI < ${line}`);
+    const tokens = line.trim().split(/\s+/);
+    
+    switch (tokens[0]) {
+      case 'id':
+        if (tokens[1] === 'name' || tokens[1] === 'author') {
+          this.engineInfo[tokens[1]] = tokens.slice(2).join(' ');
+        }
+        break;
+      case 'option': {
+        const option = UCIClient.parseOption(tokens);
+        if (option) this.engineInfo.options[option.name] = option;
+        break;
+      }
+      case 'uciok':
+        if (this.uciOkWaiter) {
+          this.uciOkWaiter.resolve();
+          this.uciOkWaiter = null;
+        }
+        break;
+      case 'readyok': {
+        const waiter = this.readyWaiters.shift();
+        if (waiter) waiter.resolve();
+        break;
+      }
+      case 'info':
+        this.handleInfo(UCIClient.parseInfo(tokens));
+        break;
+      case 'bestmove':
+        this.handleBestMove(tokens[1], tokens[2] === 'ponder' ? tokens[3] : null);
+        break;
+      default:
+        // Engines may print banners and other text
+        break;
+    }
+  }
+
+  /**
+   * Record search progress for the search the engine is working on
+   * @param {Object} info - Parsed info line
+   */
+  handleInfo(info) {
+    const search = this.searches[0];
+    if (!search || info.pv.length === 0) return;
+    
+    // With several principal variations the best one is reported as multipv 1
+    const lineIndex = (info.multipv || 1) - 1;
+    search.lines[lineIndex] = { score: info.score, pv: info.pv };
+    if (lineIndex === 0) {
+      search.lastInfo = info;
+    }
+    if (search.onInfo && !search.stopped) {
+      search.onInfo({ ...info, lines: search.lines.filter(line => line) });
+    }
+  }
+
+  /**
+   * Settle the oldest search with the engine's best move
+   * @param {String} bestMove - Best move in long algebraic notation
+   * @param {String|null} ponder - Expected reply
+   */
+  handleBestMove(bestMove, ponder) {
+    const search = this.searches.shift();
+    if (!search) return;
+    
+    // "(none)" and "0000" mean there is no legal move
+    const move = bestMove && UCI_MOVE_PATTERN.test(bestMove) ? UCIClient.parseMove(bestMove) : null;
+    if (!move) {
+      search.resolve(null);
+      return;
+    }
+    
+    const info = search.lastInfo || {};
+    search.resolve({
+      ...move,
+      specialMove: null,
+      uci: bestMove,
+      ponder,
+      score: info.score,
+      depth: info.depth,
+      nodes: info.nodes,
+      time: info.time,
+      pv: info.pv || [move],
+      lines: search.lines.filter(line => line)
+    });
+  }
+
+  /**
+   * Reject every pending request (the engine is gone)
+   * @param {Error} error - Reason
+   */
+  failPending(error) {
+    if (this.uciOkWaiter) {
+      this.uciOkWaiter.reject(error);
+      this.uciOkWaiter = null;
+    }
+    this.readyWaiters.splice(0).forEach(waiter => waiter.reject(error));
+    this.searches.splice(0).forEach(search => search.reject(error));
+  }
+
+  /**
+   * Build the position command
+   * @param {String} fen - Position
+   * @param {Array} moves - UCI moves played from the position
+   * @returns {String} UCI command
+   */
+  static formatPosition(fen, moves = []) {
+    const position = fen === 'startpos' ? 'position startpos' : `position fen ${fen}`;
+    return moves && moves.length > 0 ? `${position} moves ${moves.join(' ')}` : position;
+  }
+
+  /**
+   * Build the go command
+   * @param {Object} options - Search options (maxDepth, timeLimit, nodes)
+   * @returns {String} UCI command
+   */
+  static formatGo({ maxDepth, timeLimit, nodes } = {}) {
+    const limits = [];
+    if (maxDepth) limits.push(`depth ${maxDepth}`);
+    if (timeLimit) limits.push(`movetime ${timeLimit}`);
+    if (nodes) limits.push(`nodes ${nodes}`);
+    return limits.length > 0 ? `go ${limits.join(' ')}` : 'go infinite';
+  }
+
+  /**
+   * Parse an info line
+   * Scores are converted to this app's scale: centipawns for the side to move,
+   * with mates as Engine.MATE_SCORE minus the distance in plies.
+   * @param {Array} tokens - Tokens of the line (starting with "info")
+   * @returns {Object} Info { depth, seldepth, multipv, nodes, nps, time, score, bound, pv, string, ... }
+   */
+  static parseInfo(tokens) {
+    const info = { pv: [] };
+    
+    for (let i = 1; i < tokens.length; i++) {
+      const token = tokens[i];
+      
+      if (INFO_NUMBER_FIELDS.includes(token)) {
+        info[token] = parseInt(tokens[++i], 10);
+      } else if (token === 'score') {
+        const type = tokens[++i];
+        const value = parseInt(tokens[++i], 10);
+        info.score = type === 'mate' ? UCIClient.mateToScore(value) : value;
+        if (tokens[i + 1] === 'lowerbound' || tokens[i + 1] === 'upperbound') {
+          info.bound = tokens[++i];
+        }
+      } else if (token === 'currmove') {
+        info.currmove = tokens[++i];
+      } else if (token === 'pv') {
+        // The variation runs to the end of the line
+        info.pv = tokens.slice(i + 1).map(move => UCIClient.parseMove(move)).filter(move => move);
+        break;
+      } else if (token === 'string') {
+        info.string = tokens.slice(i + 1).join(' ');
+        break;
+      }
+    }
+    
+    return info;
+  }
+
+  /**
+   * Parse an option line
+   * @param {Array} tokens - Tokens of the line (starting with "option")
+   * @returns {Object|null} Option { name, type, default, min, max, vars }
+   */
+  static parseOption(tokens) {
+    const keywords = ['name', 'type', 'default', 'min', 'max', 'var'];
+    const option = { vars: [] };
+    let key = null;
+    let words = [];
+    
+    const flush = () => {
+      if (!key) return;
+      const value = words.join(' ');
+      if (key === 'var') {
+        option.vars.push(value);
+      } else {
+        option[key] = value;
+      }
+    };
+    
+    for (const token of tokens.slice(1)) {
+      if (keywords.includes(token)) {
+        flush();
+        key = token;
+        words = [];
+      } else {
+        words.push(token);
+      }
+    }
+    flush();
+    
+    return option.name ? option : null;
+  }
+
+  /**
+   * Convert a UCI mate distance to a score
+   * @param {Number} moves - Moves to mate (negative if the side to move gets mated)
+   * @returns {Number} Mate score
+   */
+  static mateToScore(moves) {
+    return moves > 0 ? MATE_SCORE - (2 * moves - 1) : -MATE_SCORE + 2 * Math.abs(moves);
+  }
+
+  /**
+   * Convert a long algebraic move to board coordinates
+   * @param {String} uciMove - Move such as "e2e4" or "e7e8q"
+   * @returns {Object|null} { from, to, promotion } or null if the move is malformed
+   */
+  static parseMove(uciMove) {
+    const match = UCI_MOVE_PATTERN.exec(uciMove);
+    if (!match) return null;
+    
+    const toCoordinates = square => [RANKS.indexOf(square[1]), FILES.indexOf(square[0])];
+    return {
+      from: toCoordinates(match[1]),
+      to: toCoordinates(match[2]),
+      promotion: match[3] ? UCI_PROMOTION_PIECES[match[3]] : null
+    };
+  }
+
+  /**
+   * Convert board coordinates to a long algebraic move
+   * @param {Array} from - [row, col] of the moving piece
+   * @param {Array} to - [row, col] of the destination
+   * @param {String|null} promotion - Piece type a pawn promotes to
+   * @returns {String} Move such as "e2e4" or "e7e8q"
+   */
+  static formatMove(from, to, promotion = null) {
+    const square = ([row, col]) => FILES[col] + RANKS[row];
+    return square(from) + square(to) + (promotion ? FEN_PIECE_CHARS[promotion] : '');
+  }
+}
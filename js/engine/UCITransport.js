@@ -0,0 +1,128 @@
+/**
+ * UCI transports - Carry UCI text lines between UCIClient and an engine
+ *
+ * A transport has send(line), close() and the callbacks onLine(line),
+ * onError(error) and onClose(), which the client assigns.
+ */
+import { EngineError } from '../utils/ErrorHandler.js';
+import { LoggingService } from '../utils/LoggingService.js';
+
+/**
+ * Split a message from an engine into its non-empty lines
+ * @param {String} data - Text received from the engine
+ * @returns {Array} Lines without line endings
+ */
+function splitLines(data) {
+  return String(data).split(/\r?\n/).filter(line => line.trim() !== '');
+}
+
+/**
+ * Talks to an engine compiled to JavaScript/WASM running in a Web Worker
+ * (for example a Stockfish build), which exchanges UCI lines as messages
+ */
+export class WorkerTransport {
+  /**
+   * Start the engine worker
+   * @param {URL|String} url - Engine worker script
+   * @param {Object} options - Worker options (e.g. { type: 'module' })
+   */
+  constructor(url, options = {}) {
+    this.onLine = null;
+    this.onError = null;
+    this.onClose = null;
+    
+    this.worker = new Worker(url, options);
+    this.worker.onmessage = (event) => {
+      splitLines(event.data).forEach(line => this.onLine && this.onLine(line));
+    };
+    this.worker.onerror = (event) => {
+      LoggingService.error('WorkerTransport: engine worker failed', event.message);
+      if (this.onError) this.onError(new EngineError(event.message || 'engine worker failed'));
+    };
+  }
+
+  /**
+   * Send a command to the engine
+   * @param {String} line - UCI command
+   */
+  send(line) {
+    if (this.worker) this.worker.postMessage(line);
+  }
+
+  /**
+   * Stop the engine worker
+   */
+  close() {
+    if (!this.worker) return;
+    
+    this.worker.terminate();
+    this.worker = null;
+    if (this.onClose) this.onClose();
+  }
+}
+
+/**
+ * Talks to a native engine process through a WebSocket bridge that relays
+ * text lines to the process's standard input and output
+ */
+export class WebSocketTransport {
+  /**
+   * Connect to the bridge
+   * @param {String} url - WebSocket URL (ws:// or wss://)
+   */
+  constructor(url) {
+    this.onLine = null;
+    this.onError = null;
+    this.onClose = null;
+    
+    // Commands sent before the connection is open are queued
+    this.queue = [];
+    
+    this.socket = new WebSocket(url);
+    this.socket.onopen = () => {
+      this.queue.forEach(line => this.socket.send(line));
+      this.queue = [];
+    };
+    this.socket.onmessage = (event) => {
+      splitLines(event.data).forEach(line => this.onLine && this.onLine(line));
+    };
+    this.socket.onerror = () => {
+      LoggingService.error(`WebSocketTransport: connection to ${url} failed`);
+      if (this.onError) this.onError(new EngineError(`could not connect to ${url}`));
+    };
+    this.socket.onclose = () => {
+      this.socket = null;
+      if (this.onClose) this.onClose();
+    };
+  }
+
+  /**
+   * Send a command to the engine
+   * @param {String} line - UCI command
+   */
+  send(line) {
+    if (!this.socket) return;
+    
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(line + '\n');
+    } else {
+      this.queue.push(line + '\n');
+    }
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    if (this.socket) this.socket.close();
+  }
+}
+
+/**
+ * Create the transport for an engine location
+ * @param {String} url - ws:// or wss:// URL of a bridge, otherwise an engine worker script
+ * @returns {WorkerTransport|WebSocketTransport} The transport
+ */
+export function createTransport(url) {
+  return /^wss?:\/\//i.test(url) ? new WebSocketTransport(url) : new WorkerTransport(url);
+}
@@ -8,6 +8,14 @@ import { ChessUI } from './views/ChessUI.js';
 import { GameController } from './controllers/GameController.js';
 import { PGNService } from './services/PGNService.js';
 import { StorageService } from './services/StorageService.js';
+import { FENService } from './services/FENService.js';
+import { ReviewService } from './services/ReviewService.js';
+import { ECOService } from './services/ECOService.js';
+import { ExplorerService } from './services/ExplorerService.js';
+import { PerftService } from './services/PerftService.js';
+import { EngineClient } from './engine/EngineClient.js';
+import { UCIClient } from './engine/UCIClient.js';
+import { createTransport } from './engine/UCITransport.js';
 import { handleError } from './utils/ErrorHandler.js';
 import { DebugHelper } from './utils/DebugHelper.js';
 import { LoggingService } from './utils/LoggingService.js';
@@ -41,6 +49,24 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize services
     const pgnService = new PGNService();
     const storageService = new StorageService();
+    const fenService = new FENService();
+    const reviewService = new ReviewService();
+    const ecoService = new ECOService(fenService);
+    const explorerService = new ExplorerService(fenService, pgnService);
+    
+    // Initialize the computer opponent (searches run in a Web Worker). An external
+    // UCI engine can be used instead with ?uci=<worker script or ws:// bridge URL>
+    const uciEngineUrl = new URLSearchParams(window.location.search).get('uci');
+    const engine = uciEngineUrl ?
+      new UCIClient(createTransport(uciEngineUrl)) :
+      new EngineClient();
+    
+    // Analysis mode uses its own engine so it can run while the computer plays
+    const analysisEngine = new EngineClient();
+    
+    // Hints and threats each get an engine too, so neither stops the other's search
+    const hintEngine = new EngineClient();
+    const threatEngine = new EngineClient();
     
     // Initialize UI
     const ui = new ChessUI();
@@ -52,7 +78,15 @@ document.addEventListener('DOMContentLoaded', () => {
       moveValidator,
       ui,
       pgnService,
-      storageService
+      storageService,
+      fenService,
+      engine,
+      analysisEngine,
+      reviewService,
+      ecoService,
+      explorerService,
+      hintEngine,
+      threatEngine
     );
     
     // Connect UI with controller
@@ -84,6 +118,7 @@ document.addEventListener('DOMContentLoaded', () => {
         controller: gameController,
         board: board,
         gameState: gameState,
+        perft: new PerftService(fenService),
         debug: DebugHelper,
         log: LoggingService
       };
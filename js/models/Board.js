@@ -3,6 +3,8 @@
  */
 import { BOARD_SIZE } from '../utils/Constants.js';
 import { PieceFactory } from './pieces/PieceFactory.js';
+import { LoggingService } from '../utils/LoggingService.js';
+import { Zobrist } from './Zobrist.js';
 
 export class Board {
   /**
@@ -12,6 +14,24 @@ export class Board {
     this.grid = this.createEmptyGrid();
   }
 
+  /**
+   * The 8x8 grid of pieces
+   * @returns {Array} Grid indexed by [row][col], row 0 being rank 8
+   */
+  get grid() {
+    return this.squares;
+  }
+
+  /**
+   * Replace the whole grid; the piece hash is recalculated
+   * Single squares must be changed through setPiece or movePiece to keep the hash up to date.
+   * @param {Array} grid - 8x8 grid of pieces
+   */
+  set grid(grid) {
+    this.squares = grid;
+    this.pieceHash = Zobrist.hashPieces(grid);
+  }
+
   /**
    * Create an empty 8x8 grid
    * @returns {Array} 8x8 grid with null values
@@ -51,7 +71,12 @@ export class Board {
    */
   setPiece(row, col, piece) {
     if (!this.isInBounds(row, col)) return false;
-    this.grid[row][col] = piece;
+    
+    const previous = this.squares[row][col];
+    if (previous) this.pieceHash ^= Zobrist.pieceKey(previous, row, col);
+    if (piece) this.pieceHash ^= Zobrist.pieceKey(piece, row, col);
+    
+    this.squares[row][col] = piece;
     return true;
   }
 
@@ -64,26 +89,26 @@ export class Board {
    * @returns {Piece|null} The captured piece (if any) or null
    */
   movePiece(fromRow, fromCol, toRow, toCol) {
-    console.log(`Board.movePiece: ${fromRow},${fromCol} -> ${toRow},${toCol}`);
+    LoggingService.verbose(`Board.movePiece: ${fromRow},${fromCol} -> ${toRow},${toCol}`);
     
     if (!this.isInBounds(fromRow, fromCol) || !this.isInBounds(toRow, toCol)) {
-      console.error('Board.movePiece: Out of bounds coordinates');
+      LoggingService.error('Board.movePiece: Out of bounds coordinates');
       return null;
     }
   
     const piece = this.grid[fromRow][fromCol];
     
     if (!piece) {
-      console.error(`Board.movePiece: No piece at source position ${fromRow},${fromCol}`);
+      LoggingService.error(`Board.movePiece: No piece at source position ${fromRow},${fromCol}`);
       // Debug what's currently on the board
-      console.log('Current board state:');
+      LoggingService.debug('Current board state:');
       for (let row = 0; row < 8; row++) {
         let rowStr = '';
         for (let col = 0; col < 8; col++) {
           const p = this.grid[row][col];
           rowStr += p ? `${p.type.charAt(0)}${p.color.charAt(0)} ` : '.. ';
         }
-        console.log(`${row}: ${rowStr}`);
+        LoggingService.debug(`${row}: ${rowStr}`);
       }
       return null;
     }
@@ -91,15 +116,18 @@ export class Board {
     const capturedPiece = this.grid[toRow][toCol];
     
     // Move the piece
-    this.grid[toRow][toCol] = piece;
-    this.grid[fromRow][fromCol] = null;
+    this.squares[toRow][toCol] = piece;
+    this.squares[fromRow][fromCol] = null;
+    
+    if (capturedPiece) this.pieceHash ^= Zobrist.pieceKey(capturedPiece, toRow, toCol);
+    this.pieceHash ^= Zobrist.pieceKey(piece, fromRow, fromCol) ^ Zobrist.pieceKey(piece, toRow, toCol);
     
     // Mark the piece as moved (for pawns, kings, rooks)
     if (typeof piece.setHasMoved === 'function') {
       piece.setHasMoved(true);
     }
     
-    console.log(`Board.movePiece: Moved ${piece.type}-${piece.color}`);
+    LoggingService.verbose(`Board.movePiece: Moved ${piece.type}-${piece.color}`);
     return capturedPiece;
   }
 
@@ -134,6 +162,20 @@ export class Board {
     return positions;
   }
 
+  /**
+   * Get the Zobrist hash of the position
+   * The piece part is kept up to date as the board changes; the side to move,
+   * castling rights and en passant file are added from the game state.
+   * Equal to the Polyglot book key of the position.
+   * @param {GameState} gameState - Game state of the position
+   * @param {Boolean|null} canCaptureEnPassant - Whether the en passant capture is legal
+   *                                             (null counts it as Polyglot does)
+   * @returns {BigInt} 64 bit position hash
+   */
+  getHash(gameState, canCaptureEnPassant = null) {
+    return this.pieceHash ^ Zobrist.hashState(this, gameState, canCaptureEnPassant);
+  }
+
   /**
    * Create a deep copy of the board
    * @returns {Board} New board instance with the same position
@@ -155,6 +197,7 @@ export class Board {
         }
       }
     }
+    newBoard.pieceHash = this.pieceHash;
     
     return newBoard;
   }
@@ -1,7 +1,8 @@
 /**
  * GameState - Manages the state of a chess game
  */
-import { COLORS, RESULTS } from '../utils/Constants.js';
+import { COLORS, RESULTS, INITIAL_FEN } from '../utils/Constants.js';
+import { LoggingService } from '../utils/LoggingService.js';
 
 export class GameState {
   /**
@@ -28,12 +29,30 @@ export class GameState {
       [COLORS.BLACK]: { kingSide: true, queenSide: true }
     };
     this.enPassantTarget = null;
+    this.halfmoveClock = 0;
+    this.fullmoveNumber = 1;
     this.currentMoveIndex = 0;
     this.gameOver = false;
     this.gameStatus = '';
     this.result = RESULTS.IN_PROGRESS;
     this.boardOrientation = COLORS.WHITE;
     
+    // Position keys after each move (index 0 is the starting position)
+    this.positionHistory = [];
+    
+    // Tree of all moves played, including side variations. moveHistory,
+    // boardStates and positionHistory hold the line currently shown.
+    this.nextNodeId = 0;
+    this.moveTree = this.createNode(null, null, null);
+    this.currentLine = [this.moveTree];
+    // Draw that the player to move may claim (e.g. 'threefold repetition')
+    this.claimableDraw = null;
+    
+    // Starting position of the game (set when loading from FEN)
+    this.initialFEN = INITIAL_FEN;
+    this.startingPlayer = COLORS.WHITE;
+    this.startingFullmoveNumber = 1;
+    
     // For pawn promotion
     this.promotionPending = false;
     this.promotionMove = null;
@@ -45,39 +64,264 @@ export class GameState {
   switchPlayer() {
     const oldPlayer = this.currentPlayer;
     this.currentPlayer = this.currentPlayer === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
-    console.log(`Switched player from ${oldPlayer} to ${this.currentPlayer}`);
+    LoggingService.debug(`Switched player from ${oldPlayer} to ${this.currentPlayer}`);
+  }
+
+  /**
+   * Create a node of the move tree
+   * @param {Object} move - Move leading to the node (null for the starting position)
+   * @param {Board} boardState - Board state after the move
+   * @param {Object} parent - Parent node (null for the starting position)
+   * @returns {Object} The new node
+   */
+  createNode(move, boardState, parent) {
+    return {
+      id: this.nextNodeId++,
+      move,
+      boardState,
+      positionKey: null,
+      snapshot: null,
+      // Draw claimed in this position, which ends only this line
+      claimedDraw: null,
+      // Result recorded for a game that ended in this position (e.g. by resignation)
+      recordedResult: null,
+      parent,
+      children: []
+    };
+  }
+
+  /**
+   * Set the board state of the starting position
+   * @param {Board} boardState - Board state before the first move
+   */
+  setStartingBoard(boardState) {
+    this.moveTree.boardState = boardState;
+    this.updateCurrentLine(this.moveTree);
   }
 
   /**
    * Add a move to the history
+   * Playing a move from an earlier position adds it as a side variation
+   * instead of discarding the moves that followed.
    * @param {Object} move - Move object with details
    * @param {Board} boardState - Current board state after the move
    */
   addMove(move, boardState) {
-    console.log(`Adding move to history: ${move.piece.type} from ${move.from} to ${move.to}`);
+    LoggingService.debug(`Adding move to history: ${move.piece.type} from ${move.from} to ${move.to}`);
+    
+    const parent = this.getCurrentNode();
+    
+    // Replaying a move that is already in the tree follows the existing node,
+    // keeping its annotations
+    let node = parent.children.find(child => this.isSameMove(child.move, move));
+    
+    if (node) {
+      LoggingService.debug(`Move already in tree, following node ${node.id}`);
+      move.comment = node.move.comment;
+      move.commentBefore = node.move.commentBefore;
+      move.nags = node.move.nags;
+      node.move = move;
+      node.boardState = boardState;
+    } else {
+      node = this.createNode(move, boardState, parent);
+      parent.children.push(node);
+      
+      if (parent.children.length > 1) {
+        LoggingService.debug(`Starting variation at node ${parent.id}`);
+      }
+    }
+    
+    this.updateCurrentLine(node);
+    
+    LoggingService.debug(`Move added, new history length: ${this.moveHistory.length}`);
+  }
+
+  /**
+   * Check whether two move objects describe the same move
+   * @param {Object} moveA - First move
+   * @param {Object} moveB - Second move
+   * @returns {Boolean} Whether both moves have the same squares and promotion
+   */
+  isSameMove(moveA, moveB) {
+    return moveA.from[0] === moveB.from[0] && moveA.from[1] === moveB.from[1] &&
+      moveA.to[0] === moveB.to[0] && moveA.to[1] === moveB.to[1] &&
+      (moveA.promotedPiece || null) === (moveB.promotedPiece || null);
+  }
+
+  /**
+   * Show the line through a node: the path from the start to the node,
+   * continued along the main line of its subtree
+   * @param {Object} node - Node to select; it becomes the current position
+   */
+  updateCurrentLine(node) {
+    const line = [];
+    
+    for (let current = node; current; current = current.parent) {
+      line.unshift(current);
+    }
+    this.currentMoveIndex = line.length - 1;
+    
+    for (let current = node.children[0]; current; current = current.children[0]) {
+      line.push(current);
+    }
+    
+    this.currentLine = line;
+    this.moveHistory = line.slice(1).map(lineNode => lineNode.move);
+    this.boardStates = line.map(lineNode => lineNode.boardState);
+    this.positionHistory = line.map(lineNode => lineNode.positionKey).filter(key => key !== null);
+  }
+
+  /**
+   * Get the node of the position at the current move index
+   * @returns {Object} Current node
+   */
+  getCurrentNode() {
+    return this.currentLine[this.currentMoveIndex];
+  }
+
+  /**
+   * Find a node of the move tree by its id
+   * @param {Number} nodeId - Node id
+   * @returns {Object|null} The node, or null if it is not in the tree
+   */
+  findNode(nodeId) {
+    const pending = [this.moveTree];
+    
+    while (pending.length > 0) {
+      const node = pending.pop();
+      if (node.id === nodeId) return node;
+      pending.push(...node.children);
+    }
+    
+    return null;
+  }
+
+  /**
+   * Get the last node of the main line
+   * @returns {Object} Node of the final position of the main line
+   */
+  getMainLineEnd() {
+    let node = this.moveTree;
+    while (node.children.length > 0) {
+      node = node.children[0];
+    }
+    return node;
+  }
+
+  /**
+   * Check whether a node lies on the main line of the game
+   * @param {Object} node - Node to check
+   * @returns {Boolean} Whether every move leading to the node is a first choice
+   */
+  isMainLine(node) {
+    for (let current = node; current.parent; current = current.parent) {
+      if (current.parent.children[0] !== current) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Get the first node of the innermost variation containing a node
+   * @param {Object} node - Node inside the variation
+   * @returns {Object|null} First node of the variation, or null on the main line
+   */
+  getVariationStart(node) {
+    for (let current = node; current.parent; current = current.parent) {
+      if (current.parent.children[0] !== current) return current;
+    }
+    return null;
+  }
+
+  /**
+   * Make the line through a node the main line of the game
+   * @param {Object} node - Node whose line is promoted
+   */
+  promoteToMainLine(node) {
+    for (let current = node; current.parent; current = current.parent) {
+      const siblings = current.parent.children;
+      siblings.splice(siblings.indexOf(current), 1);
+      siblings.unshift(current);
+    }
+    
+    this.updateCurrentLine(this.getCurrentNode());
+  }
+
+  /**
+   * Remove a node and all moves after it from the tree
+   * If the current position is removed, the position before the node is selected.
+   * @param {Object} node - First node of the variation to delete
+   */
+  deleteVariation(node) {
+    if (!node.parent) return;
     
-    // If we're in the middle of history, truncate future moves
-    if (this.currentMoveIndex < this.moveHistory.length) {
-      console.log(`Truncating history at index ${this.currentMoveIndex}`);
-      this.truncateHistory();
+    const currentNode = this.getCurrentNode();
+    const siblings = node.parent.children;
+    siblings.splice(siblings.indexOf(node), 1);
+    
+    // Check whether the current position was inside the deleted subtree
+    let removed = false;
+    for (let current = currentNode; current; current = current.parent) {
+      if (current === node) removed = true;
     }
     
-    // Add the move and board state
-    this.moveHistory.push(move);
-    this.boardStates.push(boardState);
+    this.updateCurrentLine(removed ? node.parent : currentNode);
+  }
+
+  /**
+   * Record the key and state of the position reached after the latest move
+   * The state is restored when navigating back to this position.
+   * @param {BigInt} positionKey - Key identifying the position for repetition detection
+   */
+  recordPosition(positionKey) {
+    const node = this.getCurrentNode();
+    
+    node.positionKey = positionKey;
+    node.snapshot = {
+      castlingRights: JSON.parse(JSON.stringify(this.castlingRights)),
+      enPassantTarget: this.enPassantTarget ? [...this.enPassantTarget] : null,
+      halfmoveClock: this.halfmoveClock,
+      fullmoveNumber: this.fullmoveNumber,
+      capturedPieces: {
+        [COLORS.WHITE]: [...this.capturedPieces[COLORS.WHITE]],
+        [COLORS.BLACK]: [...this.capturedPieces[COLORS.BLACK]]
+      }
+    };
+    
+    this.positionHistory = this.currentLine
+      .map(lineNode => lineNode.positionKey)
+      .filter(key => key !== null);
+  }
+
+  /**
+   * Restore the position state recorded for the node at the current move index
+   * @returns {Boolean} Whether a recorded state was found
+   */
+  restoreSnapshot() {
+    const { snapshot } = this.getCurrentNode();
+    if (!snapshot) return false;
     
-    // Update the current move index
-    this.currentMoveIndex = this.moveHistory.length;
+    this.castlingRights = JSON.parse(JSON.stringify(snapshot.castlingRights));
+    this.enPassantTarget = snapshot.enPassantTarget ? [...snapshot.enPassantTarget] : null;
+    this.halfmoveClock = snapshot.halfmoveClock;
+    this.fullmoveNumber = snapshot.fullmoveNumber;
+    this.capturedPieces = {
+      [COLORS.WHITE]: [...snapshot.capturedPieces[COLORS.WHITE]],
+      [COLORS.BLACK]: [...snapshot.capturedPieces[COLORS.BLACK]]
+    };
     
-    console.log(`Move added, new history length: ${this.moveHistory.length}`);
+    return true;
   }
 
   /**
-   * Truncate move history and board states at current position
+   * Count how often the position at the current move index has occurred
+   * @returns {Number} Number of occurrences (at least 1 once the position is recorded)
    */
-  truncateHistory() {
-    this.moveHistory = this.moveHistory.slice(0, this.currentMoveIndex);
-    this.boardStates = this.boardStates.slice(0, this.currentMoveIndex + 1);
+  getRepetitionCount() {
+    const positions = this.positionHistory.slice(0, this.currentMoveIndex + 1);
+    const currentKey = positions[positions.length - 1];
+    
+    if (currentKey === undefined) return 0;
+    return positions.filter(key => key === currentKey).length;
   }
 
   /**
@@ -93,6 +337,8 @@ export class GameState {
     } else if (this.gameStatus.includes('Stalemate') || 
               this.gameStatus.includes('Draw')) {
       this.result = RESULTS.DRAW;
+    } else if (this.gameOver && this.getCurrentNode().recordedResult) {
+      this.result = this.getCurrentNode().recordedResult;
     } else {
       this.result = RESULTS.IN_PROGRESS;
     }
@@ -102,7 +348,7 @@ export class GameState {
    * Reset the game state for a new game
    */
   reset() {
-    console.log('Resetting game state');
+    LoggingService.debug('Resetting game state');
     
     this.currentPlayer = COLORS.WHITE;
     this.moveHistory = [];
@@ -124,15 +370,34 @@ export class GameState {
       [COLORS.BLACK]: { kingSide: true, queenSide: true }
     };
     this.enPassantTarget = null;
+    this.halfmoveClock = 0;
+    this.fullmoveNumber = 1;
     this.currentMoveIndex = 0;
     this.gameOver = false;
     this.gameStatus = '';
     this.result = RESULTS.IN_PROGRESS;
+    this.positionHistory = [];
+    this.moveTree = this.createNode(null, null, null);
+    this.currentLine = [this.moveTree];
+    this.claimableDraw = null;
+    this.initialFEN = INITIAL_FEN;
+    this.startingPlayer = COLORS.WHITE;
+    this.startingFullmoveNumber = 1;
     this.promotionPending = false;
     this.promotionMove = null;
     // Keep the board orientation as is
     
-    console.log('Game state reset complete');
+    LoggingService.debug('Game state reset complete');
+  }
+
+  /**
+   * Get the player to move after a number of half-moves from the start
+   * @param {Number} moveIndex - Number of half-moves played
+   * @returns {String} Color of the player to move
+   */
+  getPlayerAtMove(moveIndex) {
+    if (moveIndex % 2 === 0) return this.startingPlayer;
+    return this.startingPlayer === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
   }
 
   /**
@@ -190,6 +455,10 @@ export class GameState {
     newState.isInCheck = JSON.parse(JSON.stringify(this.isInCheck));
     newState.castlingRights = JSON.parse(JSON.stringify(this.castlingRights));
     newState.enPassantTarget = this.enPassantTarget ? [...this.enPassantTarget] : null;
+    newState.halfmoveClock = this.halfmoveClock;
+    newState.fullmoveNumber = this.fullmoveNumber;
+    newState.positionHistory = [...this.positionHistory];
+    newState.currentMoveIndex = this.currentMoveIndex;
     newState.gameOver = this.gameOver;
     newState.gameStatus = this.gameStatus;
     newState.result = this.result;
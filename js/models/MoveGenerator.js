@@ -0,0 +1,845 @@
+/**
+ * MoveGenerator - Compact 0x88 position with legal move generation and make/unmake
+ *
+ * Squares are numbered row * 16 + col (row 0 is the 8th rank, as in the Board grid),
+ * so a square is off the board when square & 0x88 is set. A piece is its type code,
+ * plus BLACK for black pieces. Moves are played and taken back in place instead of
+ * copying the position, and only legal moves are generated.
+ */
+import { COLORS, PIECE_TYPES, SPECIAL_MOVES, BOARD_SIZE, FILES, RANKS, FEN_PIECE_CHARS } from '../utils/Constants.js';
+import { Zobrist } from './Zobrist.js';
+
+// Colors, as the color bit of a piece
+const WHITE = 0;
+const BLACK = 8;
+
+// Piece type codes
+const EMPTY = 0;
+const PAWN = 1;
+const KNIGHT = 2;
+const BISHOP = 3;
+const ROOK = 4;
+const QUEEN = 5;
+const KING = 6;
+
+// Piece types by code
+const TYPE_NAMES = [null, PIECE_TYPES.PAWN, PIECE_TYPES.KNIGHT, PIECE_TYPES.BISHOP, PIECE_TYPES.ROOK, PIECE_TYPES.QUEEN, PIECE_TYPES.KING];
+
+// Piece type codes by type
+const TYPE_CODES = {
+  [PIECE_TYPES.PAWN]: PAWN,
+  [PIECE_TYPES.KNIGHT]: KNIGHT,
+  [PIECE_TYPES.BISHOP]: BISHOP,
+  [PIECE_TYPES.ROOK]: ROOK,
+  [PIECE_TYPES.QUEEN]: QUEEN,
+  [PIECE_TYPES.KING]: KING
+};
+
+// Promotion choices, best first
+const PROMOTION_TYPES = [QUEEN, KNIGHT, ROOK, BISHOP];
+
+// Castling right bits, in the order of the Zobrist castling keys
+const WHITE_KINGSIDE = 1;
+const WHITE_QUEENSIDE = 2;
+const BLACK_KINGSIDE = 4;
+const BLACK_QUEENSIDE = 8;
+
+// Move kinds
+export const MOVE_FLAGS = {
+  NORMAL: 0,
+  DOUBLE_PUSH: 1,
+  EN_PASSANT: 2,
+  CASTLE_KINGSIDE: 3,
+  CASTLE_QUEENSIDE: 4
+};
+
+// Square steps of the pieces
+const KNIGHT_STEPS = [-33, -31, -18, -14, 14, 18, 31, 33];
+const BISHOP_STEPS = [-17, -15, 15, 17];
+const ROOK_STEPS = [-16, -1, 1, 16];
+const KING_STEPS = [...BISHOP_STEPS, ...ROOK_STEPS];
+
+// Step leading from one square to another on the same line, indexed by
+// their difference + 119 (0 if the squares don't share a line)
+const LINE_STEPS = new Int8Array(239);
+for (const step of KING_STEPS) {
+  for (let distance = 1; distance < BOARD_SIZE; distance++) {
+    LINE_STEPS[119 + distance * step] = step;
+  }
+}
+
+// Castling rights kept when a piece moves from or to a square
+const CASTLING_MASKS = new Uint8Array(128).fill(15);
+CASTLING_MASKS[0] = 15 & ~BLACK_QUEENSIDE;
+CASTLING_MASKS[4] = 15 & ~(BLACK_KINGSIDE | BLACK_QUEENSIDE);
+CASTLING_MASKS[7] = 15 & ~BLACK_KINGSIDE;
+CASTLING_MASKS[112] = 15 & ~WHITE_QUEENSIDE;
+CASTLING_MASKS[116] = 15 & ~(WHITE_KINGSIDE | WHITE_QUEENSIDE);
+CASTLING_MASKS[119] = 15 & ~WHITE_KINGSIDE;
+
+// Castling moves: the squares between king and rook must be empty and
+// the squares the king passes over or lands on must not be attacked
+const CASTLINGS = [
+  { color: WHITE, right: WHITE_KINGSIDE, flags: MOVE_FLAGS.CASTLE_KINGSIDE, king: 116, to: 118, rookFrom: 119, rookTo: 117, empty: [117, 118], safe: [117, 118] },
+  { color: WHITE, right: WHITE_QUEENSIDE, flags: MOVE_FLAGS.CASTLE_QUEENSIDE, king: 116, to: 114, rookFrom: 112, rookTo: 115, empty: [113, 114, 115], safe: [115, 114] },
+  { color: BLACK, right: BLACK_KINGSIDE, flags: MOVE_FLAGS.CASTLE_KINGSIDE, king: 4, to: 6, rookFrom: 7, rookTo: 5, empty: [5, 6], safe: [5, 6] },
+  { color: BLACK, right: BLACK_QUEENSIDE, flags: MOVE_FLAGS.CASTLE_QUEENSIDE, king: 4, to: 2, rookFrom: 0, rookTo: 3, empty: [1, 2, 3], safe: [3, 2] }
+];
+
+// Pieces as { type, color } by code, shared so looking them up doesn't allocate
+const PIECES = [];
+
+// Zobrist keys by piece code and square
+const PIECE_KEYS = [];
+
+for (const color of [WHITE, BLACK]) {
+  for (let type = PAWN; type <= KING; type++) {
+    const colorName = color === WHITE ? COLORS.WHITE : COLORS.BLACK;
+    PIECES[type | color] = Object.freeze({ type: TYPE_NAMES[type], color: colorName });
+    PIECE_KEYS[type | color] = [];
+    
+    for (let row = 0; row < BOARD_SIZE; row++) {
+      for (let col = 0; col < BOARD_SIZE; col++) {
+        PIECE_KEYS[type | color][row * 16 + col] = Zobrist.typeKey(TYPE_NAMES[type], colorName, row, col);
+      }
+    }
+  }
+}
+
+// Zobrist keys of each combination of castling right bits
+const CASTLING_KEYS = [];
+for (let rights = 0; rights < 16; rights++) {
+  CASTLING_KEYS[rights] = 0n;
+  for (let index = 0; index < 4; index++) {
+    if (rights & (1 << index)) CASTLING_KEYS[rights] ^= Zobrist.castlingKey(index);
+  }
+}
+
+// Zobrist key added when white is to move
+const TURN_KEY = Zobrist.turnKey();
+
+// Check information for a position without a king
+const NO_CHECKS = { count: 0, squares: [] };
+
+export class MoveGenerator {
+  /**
+   * Create an empty position
+   */
+  constructor() {
+    this.squares = new Int8Array(128);
+    this.side = WHITE;
+    this.castling = 0;
+    this.enPassant = -1;
+    this.halfmoveClock = 0;
+    this.fullmoveNumber = 1;
+    
+    // Zobrist hash, updated as moves are made and taken back
+    this.hash = 0n;
+    
+    // King squares by color (color >> 3), -1 if the king is missing
+    this.kings = [-1, -1];
+    
+    // Undo information of the moves played, last move last
+    this.history = [];
+    
+    // Pin direction of each pinned piece, only set while generating moves
+    this.pins = new Int8Array(128);
+  }
+
+  /**
+   * Copy a position into the generator
+   * @param {Board} board - The chess board
+   * @param {GameState} gameState - Side to move, castling rights, en passant target and move counters
+   * @returns {MoveGenerator} This generator
+   */
+  load(board, gameState) {
+    this.squares.fill(EMPTY);
+    this.kings = [-1, -1];
+    this.hash = 0n;
+    this.history = [];
+    
+    for (let row = 0; row < BOARD_SIZE; row++) {
+      for (let col = 0; col < BOARD_SIZE; col++) {
+        const piece = board.getPiece(row, col);
+        if (!piece) continue;
+        
+        const square = row * 16 + col;
+        const code = TYPE_CODES[piece.type] | (piece.color === COLORS.WHITE ? WHITE : BLACK);
+        this.squares[square] = code;
+        this.hash ^= PIECE_KEYS[code][square];
+        
+        if (piece.type === PIECE_TYPES.KING) {
+          this.kings[code >> 3] = square;
+        }
+      }
+    }
+    
+    const { castlingRights, enPassantTarget } = gameState;
+    this.side = gameState.currentPlayer === COLORS.WHITE ? WHITE : BLACK;
+    this.castling =
+      (castlingRights[COLORS.WHITE].kingSide ? WHITE_KINGSIDE : 0) |
+      (castlingRights[COLORS.WHITE].queenSide ? WHITE_QUEENSIDE : 0) |
+      (castlingRights[COLORS.BLACK].kingSide ? BLACK_KINGSIDE : 0) |
+      (castlingRights[COLORS.BLACK].queenSide ? BLACK_QUEENSIDE : 0);
+    this.enPassant = enPassantTarget ? enPassantTarget[0] * 16 + enPassantTarget[1] : -1;
+    this.halfmoveClock = gameState.halfmoveClock;
+    this.fullmoveNumber = gameState.fullmoveNumber;
+    
+    this.hash ^= CASTLING_KEYS[this.castling] ^ this.getEnPassantKey();
+    if (this.side === WHITE) this.hash ^= TURN_KEY;
+    
+    return this;
+  }
+
+  /**
+   * Get the game state of the position, in the form load() reads it
+   * @returns {Object} { currentPlayer, castlingRights, enPassantTarget, halfmoveClock, fullmoveNumber }
+   */
+  getState() {
+    return {
+      currentPlayer: this.currentPlayer,
+      castlingRights: {
+        [COLORS.WHITE]: {
+          kingSide: (this.castling & WHITE_KINGSIDE) !== 0,
+          queenSide: (this.castling & WHITE_QUEENSIDE) !== 0
+        },
+        [COLORS.BLACK]: {
+          kingSide: (this.castling & BLACK_KINGSIDE) !== 0,
+          queenSide: (this.castling & BLACK_QUEENSIDE) !== 0
+        }
+      },
+      enPassantTarget: this.enPassant >= 0 ? MoveGenerator.toRowCol(this.enPassant) : null,
+      halfmoveClock: this.halfmoveClock,
+      fullmoveNumber: this.fullmoveNumber
+    };
+  }
+
+  /**
+   * The player to move
+   * @returns {String} Color of the player to move
+   */
+  get currentPlayer() {
+    return this.side === WHITE ? COLORS.WHITE : COLORS.BLACK;
+  }
+
+  /**
+   * Get the piece on a square
+   * @param {Number} row - Row index (0-7)
+   * @param {Number} col - Column index (0-7)
+   * @returns {Object|null} Piece as { type, color }, or null for an empty square
+   */
+  getPiece(row, col) {
+    if (row < 0 || row >= BOARD_SIZE || col < 0 || col >= BOARD_SIZE) return null;
+    return PIECES[this.squares[row * 16 + col]] || null;
+  }
+
+  /**
+   * Get the Zobrist hash of the position
+   * Equal to Board.getHash for the same position.
+   * @returns {BigInt} 64 bit position hash
+   */
+  getHash() {
+    return this.hash;
+  }
+
+  /**
+   * Get the key identifying the position for repetitions, openings and the explorer
+   * This is the Zobrist hash, except that the en passant file only counts when the
+   * capture is legal (the hash also counts it when the capturing pawn is pinned).
+   * @returns {BigInt} 64 bit position key
+   */
+  getPositionKey() {
+    const enPassantKey = this.getEnPassantKey();
+    if (enPassantKey === 0n) return this.hash;
+    
+    const canCapture = this.generateMoves().some(move => move.flags === MOVE_FLAGS.EN_PASSANT);
+    return canCapture ? this.hash : this.hash ^ enPassantKey;
+  }
+
+  /**
+   * Get the Zobrist key of the en passant file
+   * The file only counts if a pawn of the player to move can make the capture.
+   * @returns {BigInt} The key, or 0n without an en passant capture
+   */
+  getEnPassantKey() {
+    if (this.enPassant < 0) return 0n;
+    
+    const pawn = PAWN | this.side;
+    const pawnSquare = this.enPassant + (this.side === WHITE ? 16 : -16);
+    if (this.isPieceOn(pawnSquare - 1, pawn) || this.isPieceOn(pawnSquare + 1, pawn)) {
+      return Zobrist.enPassantKey(this.enPassant & 7);
+    }
+    
+    return 0n;
+  }
+
+  /**
+   * Check whether a king is in check
+   * @param {String} color - King's color (defaults to the player to move)
+   * @returns {Boolean} Whether the king is attacked (false if there is no king)
+   */
+  isInCheck(color = this.currentPlayer) {
+    const side = color === COLORS.WHITE ? WHITE : BLACK;
+    const kingSquare = this.kings[side >> 3];
+    return kingSquare >= 0 && this.isAttacked(kingSquare, side ^ BLACK);
+  }
+
+  /**
+   * Check whether a square is attacked
+   * @param {Number} row - Row index (0-7)
+   * @param {Number} col - Column index (0-7)
+   * @param {String} attackingColor - Color of the attacking side
+   * @returns {Boolean} Whether a piece of the attacking side attacks the square
+   */
+  isSquareAttacked(row, col, attackingColor) {
+    return this.isAttacked(row * 16 + col, attackingColor === COLORS.WHITE ? WHITE : BLACK);
+  }
+
+  /**
+   * Check whether a square is attacked, looking outwards from the square
+   * @param {Number} square - 0x88 square
+   * @param {Number} by - Attacking color (WHITE or BLACK)
+   * @returns {Boolean} Whether the square is attacked
+   */
+  isAttacked(square, by) {
+    // Pawns attack from the row behind the square, as seen from their side
+    const pawn = PAWN | by;
+    const pawnSquare = square + (by === WHITE ? 16 : -16);
+    if (this.isPieceOn(pawnSquare - 1, pawn) || this.isPieceOn(pawnSquare + 1, pawn)) {
+      return true;
+    }
+    
+    for (const step of KNIGHT_STEPS) {
+      if (this.isPieceOn(square + step, KNIGHT | by)) return true;
+    }
+    
+    for (const step of KING_STEPS) {
+      if (this.isPieceOn(square + step, KING | by)) return true;
+    }
+    
+    return this.isAttackedAlong(square, BISHOP_STEPS, BISHOP | by, QUEEN | by) ||
+      this.isAttackedAlong(square, ROOK_STEPS, ROOK | by, QUEEN | by);
+  }
+
+  /**
+   * Check whether a sliding piece attacks a square along some directions
+   * @param {Number} square - 0x88 square
+   * @param {Array} steps - Directions to look in
+   * @param {Number} slider - Piece moving along those directions
+   * @param {Number} queen - Queen of the same color
+   * @returns {Boolean} Whether the first piece in one of the directions attacks the square
+   */
+  isAttackedAlong(square, steps, slider, queen) {
+    for (const step of steps) {
+      for (let from = square + step; !(from & 0x88); from += step) {
+        const piece = this.squares[from];
+        if (piece === EMPTY) continue;
+        if (piece === slider || piece === queen) return true;
+        break;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check whether a square holds a certain piece
+   * @param {Number} square - 0x88 square, possibly off the board
+   * @param {Number} piece - Piece code
+   * @returns {Boolean} Whether the square is on the board and holds the piece
+   */
+  isPieceOn(square, piece) {
+    return !(square & 0x88) && this.squares[square] === piece;
+  }
+
+  /**
+   * Check whether neither side has the material to checkmate
+   * @returns {Boolean} True for king against king with at most one minor piece,
+   *                    or with bishops all on squares of the same color
+   */
+  hasInsufficientMaterial() {
+    const minorPieces = [];
+    
+    for (let square = 0; square < 128; square++) {
+      const type = this.squares[square] & 7;
+      if (square & 0x88 || type === EMPTY || type === KING) continue;
+      
+      // Pawns, rooks and queens can always force or help a mate
+      if (type !== BISHOP && type !== KNIGHT) return false;
+      
+      minorPieces.push({ type, squareColor: ((square >> 4) + (square & 7)) % 2 });
+    }
+    
+    // King vs king, or a single bishop or knight
+    if (minorPieces.length <= 1) return true;
+    
+    // Only bishops, all on the same square color
+    return minorPieces.every(piece => piece.type === BISHOP && piece.squareColor === minorPieces[0].squareColor);
+  }
+
+  /**
+   * Generate the legal moves of the player to move
+   * @param {Number} onlyFrom - If given, only moves of the piece on this 0x88 square
+   * @returns {Array} Moves as { from, to, piece, captured, promotion, flags }
+   *                  (squares in 0x88, pieces as codes, EMPTY for none)
+   */
+  generateMoves(onlyFrom = -1) {
+    const moves = [];
+    const kingSquare = this.kings[this.side >> 3];
+    const pinned = [];
+    const checks = kingSquare >= 0 ? this.findChecks(kingSquare, pinned) : NO_CHECKS;
+    
+    for (let from = 0; from < 128; from++) {
+      if (from & 0x88) {
+        from += 7;
+        continue;
+      }
+      
+      const piece = this.squares[from];
+      if (piece === EMPTY || (piece & BLACK) !== this.side) continue;
+      if (onlyFrom >= 0 && from !== onlyFrom) continue;
+      
+      const type = piece & 7;
+      if (type === KING) {
+        this.addKingMoves(moves, from, piece, checks);
+      } else if (checks.count < 2) {
+        // In double check only the king can move
+        if (type === PAWN) this.addPawnMoves(moves, from, piece, checks);
+        else if (type === KNIGHT) this.addStepMoves(moves, from, piece, KNIGHT_STEPS, checks);
+        else if (type === BISHOP) this.addSlidingMoves(moves, from, piece, BISHOP_STEPS, checks);
+        else if (type === ROOK) this.addSlidingMoves(moves, from, piece, ROOK_STEPS, checks);
+        else this.addSlidingMoves(moves, from, piece, KING_STEPS, checks);
+      }
+    }
+    
+    pinned.forEach(square => { this.pins[square] = 0; });
+    return moves;
+  }
+
+  /**
+   * Find the pieces giving check and the pieces pinned against the king
+   * Pin directions are recorded in this.pins.
+   * @param {Number} kingSquare - Square of the king of the player to move
+   * @param {Array} pinned - Receives the squares of the pinned pieces
+   * @returns {Object} Checks { count, squares } where squares are those on which
+   *                   a piece can capture or block a single checking piece
+   */
+  findChecks(kingSquare, pinned) {
+    const us = this.side;
+    const them = us ^ BLACK;
+    const checks = { count: 0, squares: [] };
+    
+    const pawnSquare = kingSquare + (them === WHITE ? 16 : -16);
+    for (const square of [pawnSquare - 1, pawnSquare + 1]) {
+      if (this.isPieceOn(square, PAWN | them)) {
+        checks.count++;
+        checks.squares.push(square);
+      }
+    }
+    
+    for (const step of KNIGHT_STEPS) {
+      if (this.isPieceOn(kingSquare + step, KNIGHT | them)) {
+        checks.count++;
+        checks.squares.push(kingSquare + step);
+      }
+    }
+    
+    for (const step of KING_STEPS) {
+      const slider = BISHOP_STEPS.includes(step) ? BISHOP : ROOK;
+      let ownPiece = -1;
+      
+      for (let square = kingSquare + step; !(square & 0x88); square += step) {
+        const piece = this.squares[square];
+        if (piece === EMPTY) continue;
+        
+        if ((piece & BLACK) === us) {
+          // A second piece of our own shields the first
+          if (ownPiece >= 0) break;
+          ownPiece = square;
+          continue;
+        }
+        
+        const type = piece & 7;
+        if (type === slider || type === QUEEN) {
+          if (ownPiece >= 0) {
+            this.pins[ownPiece] = step;
+            pinned.push(ownPiece);
+          } else {
+            checks.count++;
+            for (let between = kingSquare + step; between !== square + step; between += step) {
+              checks.squares.push(between);
+            }
+          }
+        }
+        break;
+      }
+    }
+    
+    return checks;
+  }
+
+  /**
+   * Add a move of a piece other than the king, if it is legal
+   * Promotions are added once for each promotion piece.
+   * @param {Array} moves - Move list to add to
+   * @param {Number} from - Source square
+   * @param {Number} to - Destination square
+   * @param {Number} piece - Moving piece
+   * @param {Number} flags - Move kind (MOVE_FLAGS)
+   * @param {Object} checks - Checks from findChecks
+   */
+  addMove(moves, from, to, piece, flags, checks) {
+    // A pinned piece may only move along the line of the pin
+    const pin = this.pins[from];
+    if (pin !== 0) {
+      const step = LINE_STEPS[to - from + 119];
+      if (step !== pin && step !== -pin) return;
+    }
+    
+    // In check the move must capture or block the checking piece
+    if (checks.count > 0 && !checks.squares.includes(to)) return;
+    
+    const captured = this.squares[to];
+    const row = to >> 4;
+    
+    if ((piece & 7) === PAWN && (row === 0 || row === BOARD_SIZE - 1)) {
+      for (const type of PROMOTION_TYPES) {
+        moves.push({ from, to, piece, captured, promotion: type | (piece & BLACK), flags });
+      }
+    } else {
+      moves.push({ from, to, piece, captured, promotion: EMPTY, flags });
+    }
+  }
+
+  /**
+   * Add the legal moves of a pawn
+   * @param {Array} moves - Move list to add to
+   * @param {Number} from - Pawn's square
+   * @param {Number} piece - The pawn
+   * @param {Object} checks - Checks from findChecks
+   */
+  addPawnMoves(moves, from, piece, checks) {
+    const us = piece & BLACK;
+    const forward = us === WHITE ? -16 : 16;
+    const startRow = us === WHITE ? 6 : 1;
+    const ahead = from + forward;
+    
+    if (!(ahead & 0x88) && this.squares[ahead] === EMPTY) {
+      this.addMove(moves, from, ahead, piece, MOVE_FLAGS.NORMAL, checks);
+      
+      const doubleAhead = ahead + forward;
+      if ((from >> 4) === startRow && this.squares[doubleAhead] === EMPTY) {
+        this.addMove(moves, from, doubleAhead, piece, MOVE_FLAGS.DOUBLE_PUSH, checks);
+      }
+    }
+    
+    for (const to of [ahead - 1, ahead + 1]) {
+      if (to & 0x88) continue;
+      
+      const target = this.squares[to];
+      if (target !== EMPTY && (target & BLACK) !== us) {
+        this.addMove(moves, from, to, piece, MOVE_FLAGS.NORMAL, checks);
+      } else if (to === this.enPassant && target === EMPTY) {
+        this.addEnPassantMove(moves, from, to, piece);
+      }
+    }
+  }
+
+  /**
+   * Add an en passant capture if it is legal
+   * Two pawns leave the capturing row at once, which can expose the king along
+   * the row, so the capture is tried on the board instead of using the pins.
+   * @param {Array} moves - Move list to add to
+   * @param {Number} from - Capturing pawn's square
+   * @param {Number} to - En passant square
+   * @param {Number} piece - The capturing pawn
+   */
+  addEnPassantMove(moves, from, to, piece) {
+    const captured = PAWN | ((piece & BLACK) ^ BLACK);
+    if (!this.isPieceOn(to - (piece & BLACK ? 16 : -16), captured)) return;
+    
+    const move = { from, to, piece, captured, promotion: EMPTY, flags: MOVE_FLAGS.EN_PASSANT };
+    const color = this.currentPlayer;
+    
+    this.makeMove(move);
+    const isLegal = !this.isInCheck(color);
+    this.unmakeMove();
+    
+    if (isLegal) moves.push(move);
+  }
+
+  /**
+   * Add the legal moves of a knight
+   * @param {Array} moves - Move list to add to
+   * @param {Number} from - Knight's square
+   * @param {Number} piece - The knight
+   * @param {Array} steps - Knight steps
+   * @param {Object} checks - Checks from findChecks
+   */
+  addStepMoves(moves, from, piece, steps, checks) {
+    for (const step of steps) {
+      const to = from + step;
+      if (to & 0x88) continue;
+      
+      const target = this.squares[to];
+      if (target === EMPTY || (target & BLACK) !== (piece & BLACK)) {
+        this.addMove(moves, from, to, piece, MOVE_FLAGS.NORMAL, checks);
+      }
+    }
+  }
+
+  /**
+   * Add the legal moves of a bishop, rook or queen
+   * @param {Array} moves - Move list to add to
+   * @param {Number} from - Piece's square
+   * @param {Number} piece - The piece
+   * @param {Array} steps - Directions the piece slides in
+   * @param {Object} checks - Checks from findChecks
+   */
+  addSlidingMoves(moves, from, piece, steps, checks) {
+    for (const step of steps) {
+      for (let to = from + step; !(to & 0x88); to += step) {
+        const target = this.squares[to];
+        
+        if (target === EMPTY) {
+          this.addMove(moves, from, to, piece, MOVE_FLAGS.NORMAL, checks);
+          continue;
+        }
+        if ((target & BLACK) !== (piece & BLACK)) {
+          this.addMove(moves, from, to, piece, MOVE_FLAGS.NORMAL, checks);
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Add the legal moves of the king, including castling
+   * @param {Array} moves - Move list to add to
+   * @param {Number} from - King's square
+   * @param {Number} piece - The king
+   * @param {Object} checks - Checks from findChecks
+   */
+  addKingMoves(moves, from, piece, checks) {
+    const us = piece & BLACK;
+    const them = us ^ BLACK;
+    
+    // Lift the king so it can't hide behind itself from a sliding attacker
+    this.squares[from] = EMPTY;
+    for (const step of KING_STEPS) {
+      const to = from + step;
+      if (to & 0x88) continue;
+      
+      const target = this.squares[to];
+      if ((target === EMPTY || (target & BLACK) === them) && !this.isAttacked(to, them)) {
+        moves.push({ from, to, piece, captured: target, promotion: EMPTY, flags: MOVE_FLAGS.NORMAL });
+      }
+    }
+    this.squares[from] = piece;
+    
+    // The king may not castle out of, across or into check
+    if (checks.count > 0) return;
+    
+    for (const castling of CASTLINGS) {
+      if (castling.color !== us || from !== castling.king || !(this.castling & castling.right)) continue;
+      if (this.squares[castling.rookFrom] !== (ROOK | us)) continue;
+      if (castling.empty.some(square => this.squares[square] !== EMPTY)) continue;
+      if (castling.safe.some(square => this.isAttacked(square, them))) continue;
+      
+      moves.push({ from, to: castling.to, piece, captured: EMPTY, promotion: EMPTY, flags: castling.flags });
+    }
+  }
+
+  /**
+   * Play a move generated for this position
+   * @param {Object} move - Move from generateMoves
+   */
+  makeMove(move) {
+    const { from, to, piece, captured, promotion, flags } = move;
+    const us = this.side;
+    const squares = this.squares;
+    
+    this.history.push({
+      move,
+      castling: this.castling,
+      enPassant: this.enPassant,
+      halfmoveClock: this.halfmoveClock,
+      hash: this.hash
+    });
+    
+    // The en passant file and castling rights of the position are replaced below
+    let hash = this.hash ^ this.getEnPassantKey() ^ CASTLING_KEYS[this.castling];
+    
+    if (flags === MOVE_FLAGS.EN_PASSANT) {
+      const capturedSquare = to + (us === WHITE ? 16 : -16);
+      squares[capturedSquare] = EMPTY;
+      hash ^= PIECE_KEYS[captured][capturedSquare];
+    } else if (captured !== EMPTY) {
+      hash ^= PIECE_KEYS[captured][to];
+    }
+    
+    const placed = promotion || piece;
+    squares[from] = EMPTY;
+    squares[to] = placed;
+    hash ^= PIECE_KEYS[piece][from] ^ PIECE_KEYS[placed][to];
+    
+    if (flags === MOVE_FLAGS.CASTLE_KINGSIDE || flags === MOVE_FLAGS.CASTLE_QUEENSIDE) {
+      const castling = this.getCastling(flags, us);
+      squares[castling.rookFrom] = EMPTY;
+      squares[castling.rookTo] = ROOK | us;
+      hash ^= PIECE_KEYS[ROOK | us][castling.rookFrom] ^ PIECE_KEYS[ROOK | us][castling.rookTo];
+    }
+    
+    if ((piece & 7) === KING) {
+      this.kings[us >> 3] = to;
+    }
+    
+    this.castling &= CASTLING_MASKS[from] & CASTLING_MASKS[to];
+    this.enPassant = flags === MOVE_FLAGS.DOUBLE_PUSH ? (from + to) >> 1 : -1;
+    this.halfmoveClock = (piece & 7) === PAWN || captured !== EMPTY ? 0 : this.halfmoveClock + 1;
+    if (us === BLACK) this.fullmoveNumber++;
+    
+    this.side = us ^ BLACK;
+    this.hash = hash ^ CASTLING_KEYS[this.castling] ^ this.getEnPassantKey() ^ TURN_KEY;
+  }
+
+  /**
+   * Take back the last move played with makeMove
+   */
+  unmakeMove() {
+    const { move, castling, enPassant, halfmoveClock, hash } = this.history.pop();
+    const { from, to, piece, captured, flags } = move;
+    const us = this.side ^ BLACK;
+    const squares = this.squares;
+    
+    squares[from] = piece;
+    if (flags === MOVE_FLAGS.EN_PASSANT) {
+      squares[to] = EMPTY;
+      squares[to + (us === WHITE ? 16 : -16)] = captured;
+    } else {
+      squares[to] = captured;
+    }
+    
+    if (flags === MOVE_FLAGS.CASTLE_KINGSIDE || flags === MOVE_FLAGS.CASTLE_QUEENSIDE) {
+      const castlingMove = this.getCastling(flags, us);
+      squares[castlingMove.rookTo] = EMPTY;
+      squares[castlingMove.rookFrom] = ROOK | us;
+    }
+    
+    if ((piece & 7) === KING) {
+      this.kings[us >> 3] = from;
+    }
+    
+    if (us === BLACK) this.fullmoveNumber--;
+    this.side = us;
+    this.castling = castling;
+    this.enPassant = enPassant;
+    this.halfmoveClock = halfmoveClock;
+    this.hash = hash;
+  }
+
+  /**
+   * Count the positions at the end of every move sequence of a given length (perft)
+   * Compare with published node counts to check the move generator.
+   * @param {Number} depth - Number of plies
+   * @returns {Number} Number of leaf positions
+   */
+  perft(depth) {
+    if (depth <= 0) return 1;
+    
+    const moves = this.generateMoves();
+    // Only legal moves are generated, so the last ply needs no playing out
+    if (depth === 1) return moves.length;
+    
+    let nodes = 0;
+    for (const move of moves) {
+      this.makeMove(move);
+      nodes += this.perft(depth - 1);
+      this.unmakeMove();
+    }
+    
+    return nodes;
+  }
+
+  /**
+   * Run perft separately for each legal move, to narrow down a wrong node count
+   * @param {Number} depth - Number of plies, including the move itself
+   * @returns {Array} Counts as { move, nodes } sorted by move, with moves in UCI notation
+   */
+  divide(depth) {
+    const counts = this.generateMoves().map(move => {
+      this.makeMove(move);
+      const nodes = this.perft(depth - 1);
+      this.unmakeMove();
+      return { move: MoveGenerator.toUCI(move), nodes };
+    });
+    
+    return counts.sort((a, b) => (a.move < b.move ? -1 : 1));
+  }
+
+  /**
+   * Find the castling move of a side
+   * @param {Number} flags - MOVE_FLAGS.CASTLE_KINGSIDE or CASTLE_QUEENSIDE
+   * @param {Number} color - Castling side (WHITE or BLACK)
+   * @returns {Object} Castling move from CASTLINGS
+   */
+  getCastling(flags, color) {
+    return CASTLINGS.find(castling => castling.flags === flags && castling.color === color);
+  }
+
+  /**
+   * Convert a row and column into a 0x88 square
+   * @param {Number} row - Row index (0-7)
+   * @param {Number} col - Column index (0-7)
+   * @returns {Number} 0x88 square
+   */
+  static toSquare(row, col) {
+    return row * 16 + col;
+  }
+
+  /**
+   * Convert a 0x88 square into a row and column
+   * @param {Number} square - 0x88 square
+   * @returns {Array} [row, col]
+   */
+  static toRowCol(square) {
+    return [square >> 4, square & 7];
+  }
+
+  /**
+   * Get the type of a piece code
+   * @param {Number} piece - Piece code
+   * @returns {String|null} Piece type, or null for EMPTY
+   */
+  static getPieceType(piece) {
+    return TYPE_NAMES[piece & 7];
+  }
+
+  /**
+   * Write a generated move in UCI notation (e.g. "e2e4" or "e7e8q")
+   * @param {Object} move - Move from generateMoves
+   * @returns {String} The move in UCI notation
+   */
+  static toUCI(move) {
+    const square = value => FILES[value & 7] + RANKS[value >> 4];
+    const promotion = move.promotion ? FEN_PIECE_CHARS[TYPE_NAMES[move.promotion & 7]] : '';
+    return square(move.from) + square(move.to) + promotion;
+  }
+
+  /**
+   * Convert a generated move into the move format used with Board and MoveValidator
+   * @param {Object} move - Move from generateMoves
+   * @returns {Object} Move { from, to, specialMove, promotion } with [row, col] squares
+   */
+  static toBoardMove(move) {
+    let specialMove = null;
+    if (move.flags === MOVE_FLAGS.CASTLE_KINGSIDE) specialMove = SPECIAL_MOVES.CASTLE_KINGSIDE;
+    if (move.flags === MOVE_FLAGS.CASTLE_QUEENSIDE) specialMove = SPECIAL_MOVES.CASTLE_QUEENSIDE;
+    
+    return {
+      from: MoveGenerator.toRowCol(move.from),
+      to: MoveGenerator.toRowCol(move.to),
+      specialMove,
+      promotion: move.promotion ? TYPE_NAMES[move.promotion & 7] : null
+    };
+  }
+}
@@ -1,7 +1,18 @@
 /**
  * MoveValidator - Validates chess moves and calculates legal moves
+ * Move generation and attack detection run on a MoveGenerator copy of the position.
  */
-import { COLORS, PIECE_TYPES } from '../utils/Constants.js';
+import { COLORS, PIECE_TYPES, DRAW_RULES, SPECIAL_MOVES, RESULTS } from '../utils/Constants.js';
+import { PieceFactory } from './pieces/PieceFactory.js';
+import { MoveGenerator, MOVE_FLAGS } from './MoveGenerator.js';
+import { LoggingService } from '../utils/LoggingService.js';
+
+// Game status shown for a result that the position itself doesn't decide
+const RECORDED_RESULT_STATUS = {
+  [RESULTS.WHITE_WIN]: 'White won (1-0)',
+  [RESULTS.BLACK_WIN]: 'Black won (0-1)',
+  [RESULTS.DRAW]: 'Game drawn (1/2-1/2)'
+};
 
 export class MoveValidator {
   /**
@@ -12,6 +23,15 @@ export class MoveValidator {
   constructor(board, gameState) {
     this.board = board;
     this.gameState = gameState;
+    this.generator = new MoveGenerator();
+  }
+
+  /**
+   * Copy the current position into the move generator
+   * @returns {MoveGenerator} Generator holding the position
+   */
+  loadGenerator() {
+    return this.generator.load(this.board, this.gameState);
   }
 
   /**
@@ -23,160 +43,159 @@ export class MoveValidator {
   calculateLegalMoves(row, col) {
     const piece = this.board.getPiece(row, col);
     
-    console.log(`Calculating legal moves for piece at ${row},${col}`);
+    LoggingService.verbose(`Calculating legal moves for piece at ${row},${col}`);
     if (!piece) {
-      console.log('No piece at position');
+      LoggingService.verbose('No piece at position');
       return [];
     }
     
-    console.log(`Piece: ${piece.type}-${piece.color}, Current player: ${this.gameState.currentPlayer}`);
+    LoggingService.verbose(`Piece: ${piece.type}-${piece.color}, Current player: ${this.gameState.currentPlayer}`);
     
     // Don't calculate moves for opponent's pieces
     if (piece.color !== this.gameState.currentPlayer) {
-      console.log('Skipping calculation - not current player\'s piece');
+      LoggingService.verbose('Skipping calculation - not current player\'s piece');
       return [];
     }
-  
-    // Get initial possible moves based on piece movement patterns
-    let possibleMoves = [];
-    try {
-      possibleMoves = piece.getPossibleMoves(this.board, row, col, this.gameState);
-      console.log(`Possible moves before check validation: ${possibleMoves.length}`);
-    } catch (error) {
-      console.error('Error calculating possible moves:', error);
-      return [];
-    }
-  
-    // Test each move to see if it leaves the king in check
+    
     const legalMoves = [];
     
-    for (const moveData of possibleMoves) {
-      try {
-        // moveData could be [toRow, toCol] or [toRow, toCol, specialMoveType]
-        const toRow = moveData[0];
-        const toCol = moveData[1];
-        const specialMove = moveData.length > 2 ? moveData[2] : null;
-        
-        // Use the fixed simulateMove method which preserves the original board
-        if (this.simulateMove(row, col, toRow, toCol, specialMove)) {
-          legalMoves.push(moveData);
-        }
-      } catch (error) {
-        console.error('Error validating move:', error);
-        // Continue with next move
-      }
+    for (const move of this.loadGenerator().generateMoves(MoveGenerator.toSquare(row, col))) {
+      const { to, specialMove, promotion } = MoveGenerator.toBoardMove(move);
+      
+      // The promotion piece is chosen later, so each promotion square is listed once
+      if (promotion && promotion !== PIECE_TYPES.QUEEN) continue;
+      
+      legalMoves.push(specialMove ? [to[0], to[1], specialMove] : to);
     }
-  
-    console.log(`Legal moves after check validation: ${legalMoves.length}`);
+    
+    LoggingService.verbose(`Legal moves: ${legalMoves.length}`);
     return legalMoves;
   }
-  
 
   /**
-   * Simulate a move to check if it's legal
-   * @param {Number} fromRow - Source row
-   * @param {Number} fromCol - Source column
-   * @param {Number} toRow - Destination row
-   * @param {Number} toCol - Destination column
-   * @param {String} specialMove - Optional special move type
-   * @returns {Boolean} Whether the move is legal
+   * Handle a castling move
+   * @param {Number} fromRow - King's row
+   * @param {Number} fromCol - King's column (4)
+   * @param {Number} toRow - King's destination row (same as fromRow)
+   * @param {Number} toCol - King's destination column (2 or 6)
+   * @param {String} castlingSide - 'castle-kingside' or 'castle-queenside'
    */
-  simulateMove(fromRow, fromCol, toRow, toCol, specialMove = null) {
-    const piece = this.board.getPiece(fromRow, fromCol);
-    if (!piece) return false;
-  
-    // Create DEEP copies for simulation (very important!)
-    const originalBoard = this.board.clone();
-    const originalState = this.gameState.clone();
-    
-    // Use a totally separate simulation board - don't modify the real one
-    const simulationBoard = originalBoard.clone();
-    const simulationState = originalState.clone();
-    
-    // Temporarily set the simulation board and state
-    const savedBoard = this.board;
-    const savedState = this.gameState;
-    
-    this.board = simulationBoard;
-    this.gameState = simulationState;
-    
-    // Make temporary move on the SIMULATION board
-    this.makeTemporaryMove(fromRow, fromCol, toRow, toCol, specialMove);
+  handleCastlingMove(fromRow, fromCol, toRow, toCol, castlingSide) {
+    // Move king
+    this.board.movePiece(fromRow, fromCol, toRow, toCol);
     
-    // Check if king is in check after the move
-    const isInCheck = this.isKingInCheck(piece.color);
+    // Move rook
+    const isKingside = castlingSide === 'castle-kingside';
+    const rookFromCol = isKingside ? 7 : 0;
+    const rookToCol = isKingside ? 5 : 3;
     
-    // Restore original board and state
-    this.board = savedBoard;
-    this.gameState = savedState;
+    this.board.movePiece(fromRow, rookFromCol, fromRow, rookToCol);
     
-    return !isInCheck;
+    // Update king position
+    const piece = this.board.getPiece(toRow, toCol);
+    this.gameState.updateKingPosition(piece.color, toRow, toCol);
   }
 
   /**
-   * Make a temporary move for simulation
+   * Apply a complete move to the board and game state
+   * Handles castling, en passant, promotion, castling rights, the en passant
+   * target, king positions and move counters, then passes the turn.
+   * The move is assumed to be legal.
    * @param {Number} fromRow - Source row
    * @param {Number} fromCol - Source column
    * @param {Number} toRow - Destination row
    * @param {Number} toCol - Destination column
    * @param {String} specialMove - Optional special move type
-   * @returns {Piece|null} The captured piece (if any)
+   * @param {String} promotionPiece - Piece type to promote to (if applicable)
+   * @returns {Object} What the move did: { piece, capturedPiece, enPassantCapture,
+   *                   castling, promotedPiece, previousEnPassantTarget }
    */
-  makeTemporaryMove(fromRow, fromCol, toRow, toCol, specialMove = null) {
+  applyMove(fromRow, fromCol, toRow, toCol, specialMove = null, promotionPiece = null) {
     const piece = this.board.getPiece(fromRow, fromCol);
+    const color = piece.color;
+    const previousEnPassantTarget = this.gameState.enPassantTarget;
+    
     let capturedPiece = this.board.getPiece(toRow, toCol);
-  
-    // Handle castling
+    let enPassantCapture = null;
+    let castling = null;
+    let promotedPiece = null;
+    
+    this.gameState.enPassantTarget = null;
+    
     if (specialMove && specialMove.startsWith('castle')) {
+      castling = specialMove === SPECIAL_MOVES.CASTLE_KINGSIDE ? 'kingside' : 'queenside';
       this.handleCastlingMove(fromRow, fromCol, toRow, toCol, specialMove);
-      return null;
-    }
-  
-    // Handle en passant
-    if (piece.type === PIECE_TYPES.PAWN && 
-        this.gameState.enPassantTarget && 
-        toRow === this.gameState.enPassantTarget[0] && 
-        toCol === this.gameState.enPassantTarget[1]) {
+    } else {
+      if (piece.type === PIECE_TYPES.PAWN) {
+        // A diagonal pawn move to an empty square captures en passant
+        if (fromCol !== toCol && !capturedPiece) {
+          const enPassantRow = color === COLORS.WHITE ? toRow + 1 : toRow - 1;
+          enPassantCapture = [enPassantRow, toCol];
+          capturedPiece = this.board.getPiece(enPassantRow, toCol);
+          this.board.setPiece(enPassantRow, toCol, null);
+        }
+        
+        // A double step allows an en passant capture on the square it passed
+        if (Math.abs(fromRow - toRow) === 2) {
+          this.gameState.enPassantTarget = [(fromRow + toRow) / 2, toCol];
+        }
+      }
+      
+      if (promotionPiece) {
+        promotedPiece = promotionPiece;
+        this.board.setPiece(toRow, toCol, PieceFactory.createPiece(promotionPiece, color));
+        this.board.setPiece(fromRow, fromCol, null);
+      } else {
+        this.board.movePiece(fromRow, fromCol, toRow, toCol);
+      }
       
-      const enPassantRow = piece.color === COLORS.WHITE ? toRow + 1 : toRow - 1;
-      capturedPiece = this.board.getPiece(enPassantRow, toCol);
-      this.board.setPiece(enPassantRow, toCol, null);
+      if (piece.type === PIECE_TYPES.KING) {
+        this.gameState.updateKingPosition(color, toRow, toCol);
+      }
     }
-  
-    // Move piece - but use setPiece to avoid board logging since this is a simulation
-    this.board.setPiece(toRow, toCol, piece);
-    this.board.setPiece(fromRow, fromCol, null);
-  
-    // Update king position if moving king
-    if (piece.type === PIECE_TYPES.KING) {
-      this.gameState.kingPositions[piece.color] = [toRow, toCol];
+    
+    this.updateCastlingRights(fromRow, fromCol, toRow, toCol, piece);
+    
+    // The halfmove clock resets on pawn moves and captures
+    if (piece.type === PIECE_TYPES.PAWN || capturedPiece) {
+      this.gameState.halfmoveClock = 0;
+    } else {
+      this.gameState.halfmoveClock++;
     }
-  
-    return capturedPiece;
+    
+    if (color === COLORS.BLACK) {
+      this.gameState.fullmoveNumber++;
+    }
+    
+    this.gameState.currentPlayer = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+    
+    return { piece, capturedPiece, enPassantCapture, castling, promotedPiece, previousEnPassantTarget };
   }
 
   /**
-   * Handle a castling move
-   * @param {Number} fromRow - King's row
-   * @param {Number} fromCol - King's column (4)
-   * @param {Number} toRow - King's destination row (same as fromRow)
-   * @param {Number} toCol - King's destination column (2 or 6)
-   * @param {String} castlingSide - 'castle-kingside' or 'castle-queenside'
+   * Update castling rights after a move
+   * @param {Number} fromRow - Source row
+   * @param {Number} fromCol - Source column
+   * @param {Number} toRow - Destination row
+   * @param {Number} toCol - Destination column
+   * @param {Piece} piece - Piece that moved
    */
-  handleCastlingMove(fromRow, fromCol, toRow, toCol, castlingSide) {
-    // Move king
-    this.board.movePiece(fromRow, fromCol, toRow, toCol);
-    
-    // Move rook
-    const isKingside = castlingSide === 'castle-kingside';
-    const rookFromCol = isKingside ? 7 : 0;
-    const rookToCol = isKingside ? 5 : 3;
+  updateCastlingRights(fromRow, fromCol, toRow, toCol, piece) {
+    const castlingRights = this.gameState.castlingRights;
     
-    this.board.movePiece(fromRow, rookFromCol, fromRow, rookToCol);
+    // If king moves, lose all castling rights for that color
+    if (piece.type === PIECE_TYPES.KING) {
+      castlingRights[piece.color].kingSide = false;
+      castlingRights[piece.color].queenSide = false;
+    }
     
-    // Update king position
-    const piece = this.board.getPiece(toRow, toCol);
-    this.gameState.updateKingPosition(piece.color, toRow, toCol);
+    // A move from or onto a rook's home square moves or captures that rook
+    for (const [row, col] of [[fromRow, fromCol], [toRow, toCol]]) {
+      if (row === 7 && col === 0) castlingRights[COLORS.WHITE].queenSide = false;
+      if (row === 7 && col === 7) castlingRights[COLORS.WHITE].kingSide = false;
+      if (row === 0 && col === 0) castlingRights[COLORS.BLACK].queenSide = false;
+      if (row === 0 && col === 7) castlingRights[COLORS.BLACK].kingSide = false;
+    }
   }
 
   /**
@@ -185,15 +204,14 @@ export class MoveValidator {
    * @returns {Boolean} Whether the king is in check
    */
   isKingInCheck(color) {
-    const kingPosition = this.gameState.kingPositions[color];
+    const generator = this.loadGenerator();
     
-    if (!kingPosition) {
-      console.error(`King position not found for ${color}`);
+    if (generator.kings[color === COLORS.WHITE ? 0 : 1] < 0) {
+      LoggingService.error(`King position not found for ${color}`);
       return false;
     }
     
-    const [kingRow, kingCol] = kingPosition;
-    return this.isSquareAttacked(kingRow, kingCol, color);
+    return generator.isInCheck(color);
   }
 
   /**
@@ -205,57 +223,57 @@ export class MoveValidator {
    */
   isSquareAttacked(row, col, defendingColor) {
     const attackingColor = defendingColor === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
-    
-    // Check attacks from each opponent piece
-    for (let r = 0; r < 8; r++) {
-      for (let c = 0; c < 8; c++) {
-        const piece = this.board.getPiece(r, c);
-        
-        if (piece && piece.color === attackingColor) {
-          const attackMoves = piece.getPossibleMoves(this.board, r, c, this.gameState);
-          
-          // Check if any move targets this square
-          for (const moveData of attackMoves) {
-            const [attackRow, attackCol] = moveData;
-            if (attackRow === row && attackCol === col) {
-              return true;
-            }
-          }
-        }
-      }
-    }
-    
-    return false;
+    return this.loadGenerator().isSquareAttacked(row, col, attackingColor);
   }
 
   /**
    * Check if a player has any legal moves
+   * Only the player to move has moves.
    * @param {String} color - Player's color
    * @returns {Boolean} Whether the player has legal moves
    */
   playerHasLegalMoves(color) {
-    for (let row = 0; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
-        const piece = this.board.getPiece(row, col);
-        
-        if (piece && piece.color === color) {
-          const legalMoves = this.calculateLegalMoves(row, col);
-          if (legalMoves.length > 0) {
-            return true;
-          }
-        }
-      }
-    }
+    if (color !== this.gameState.currentPlayer) return false;
+    return this.loadGenerator().generateMoves().length > 0;
+  }
+
+  /**
+   * Check if the player to move can actually capture en passant
+   * Only then does the en passant square distinguish positions for repetition.
+   * @returns {Boolean} Whether a legal en passant capture exists
+   */
+  canCaptureEnPassant() {
+    if (!this.gameState.enPassantTarget) return false;
     
-    return false;
+    return this.loadGenerator().generateMoves().some(move => move.flags === MOVE_FLAGS.EN_PASSANT);
+  }
+
+  /**
+   * Get the key identifying the current position for repetitions, openings and the explorer
+   * @returns {BigInt} 64 bit position key (see MoveGenerator.getPositionKey)
+   */
+  getPositionKey() {
+    return this.loadGenerator().getPositionKey();
   }
 
   /**
-   * Check for checkmate or stalemate
-   * @returns {Object} Game end state with status and gameOver flag
+   * Check for checkmate, stalemate and draws by repetition or the move rules
+   * @returns {Object} Game end state with status, gameOver flag and the draw
+   *                   the player to move may claim (if any)
    */
   checkGameEndConditions() {
     const currentColor = this.gameState.currentPlayer;
+    
+    // A draw claimed in this position ends the game regardless of the position
+    const { claimedDraw } = this.gameState.getCurrentNode() || {};
+    if (claimedDraw) {
+      return {
+        gameOver: true,
+        gameStatus: `Draw by ${claimedDraw} (claimed)`,
+        claimableDraw: null
+      };
+    }
+    
     const hasLegalMoves = this.playerHasLegalMoves(currentColor);
     
     if (!hasLegalMoves) {
@@ -263,41 +281,113 @@ export class MoveValidator {
         // Checkmate
         return {
           gameOver: true,
-          gameStatus: `Checkmate! ${currentColor === COLORS.WHITE ? 'Black' : 'White'} wins`
+          gameStatus: `Checkmate! ${currentColor === COLORS.WHITE ? 'Black' : 'White'} wins`,
+          claimableDraw: null
         };
       } else {
         // Stalemate
         return {
           gameOver: true,
-          gameStatus: 'Stalemate! Game is a draw'
+          gameStatus: 'Stalemate! Game is a draw',
+          claimableDraw: null
         };
       }
-    } else if (this.gameState.isInCheck[currentColor]) {
+    }
+    
+    // Neither side can checkmate
+    if (this.hasInsufficientMaterial()) {
+      return {
+        gameOver: true,
+        gameStatus: 'Draw by insufficient material',
+        claimableDraw: null
+      };
+    }
+    
+    const repetitions = this.gameState.getRepetitionCount();
+    const halfmoveClock = this.gameState.halfmoveClock;
+    
+    // Automatic draws
+    if (repetitions >= DRAW_RULES.FIVEFOLD_REPETITION) {
+      return {
+        gameOver: true,
+        gameStatus: 'Draw by fivefold repetition',
+        claimableDraw: null
+      };
+    }
+    
+    if (halfmoveClock >= DRAW_RULES.SEVENTY_FIVE_MOVE_RULE) {
+      return {
+        gameOver: true,
+        gameStatus: 'Draw by seventy-five-move rule',
+        claimableDraw: null
+      };
+    }
+    
+    // A result recorded for this position, such as a resignation in an imported game
+    const { recordedResult } = this.gameState.getCurrentNode() || {};
+    if (recordedResult) {
+      return {
+        gameOver: true,
+        gameStatus: RECORDED_RESULT_STATUS[recordedResult],
+        claimableDraw: null
+      };
+    }
+    
+    // Draws the player to move may claim
+    let claimableDraw = null;
+    if (repetitions >= DRAW_RULES.THREEFOLD_REPETITION) {
+      claimableDraw = 'threefold repetition';
+    } else if (halfmoveClock >= DRAW_RULES.FIFTY_MOVE_RULE) {
+      claimableDraw = 'fifty-move rule';
+    }
+    
+    if (this.gameState.isInCheck[currentColor]) {
       // Just in check
       return {
         gameOver: false,
-        gameStatus: `${currentColor === COLORS.WHITE ? 'White' : 'Black'} is in check!`
+        gameStatus: `${currentColor === COLORS.WHITE ? 'White' : 'Black'} is in check!`,
+        claimableDraw
+      };
+    }
+    
+    if (claimableDraw) {
+      return {
+        gameOver: false,
+        gameStatus: `A draw can be claimed (${claimableDraw})`,
+        claimableDraw
       };
     }
     
     return {
       gameOver: false,
-      gameStatus: ''
+      gameStatus: '',
+      claimableDraw
     };
   }
 
+  /**
+   * Check if neither side has enough material to deliver checkmate
+   * Covers K vs K, K+minor piece vs K and positions where all remaining
+   * pieces besides the kings are bishops on squares of the same color.
+   * @returns {Boolean} Whether the position is dead due to insufficient material
+   */
+  hasInsufficientMaterial() {
+    return this.loadGenerator().hasInsufficientMaterial();
+  }
+
   /**
    * Update check status for both players
    */
   updateCheckStatus() {
     // Check if either king is in check
-    const whiteCheck = this.isKingInCheck(COLORS.WHITE);
-    const blackCheck = this.isKingInCheck(COLORS.BLACK);
+    const generator = this.loadGenerator();
+    const whiteCheck = generator.isInCheck(COLORS.WHITE);
+    const blackCheck = generator.isInCheck(COLORS.BLACK);
     
     // Update game state
     this.gameState.isInCheck[COLORS.WHITE] = whiteCheck;
     this.gameState.isInCheck[COLORS.BLACK] = blackCheck;
     
-    console.log(`Check status - White: ${whiteCheck}, Black: ${blackCheck}`);
+    LoggingService.verbose(`Check status - White: ${whiteCheck}, Black: ${blackCheck}`);
   }
 }
@@ -0,0 +1,135 @@
+/**
+ * Zobrist - Hash keys for chess positions
+ *
+ * The random numbers and their layout are those of the Polyglot opening book format,
+ * so the hash of a position is also its Polyglot book key.
+ */
+import { COLORS, PIECE_TYPES, BOARD_SIZE } from '../utils/Constants.js';
+import { POLYGLOT_RANDOM } from './PolyglotRandom.js';
+
+// Offsets into POLYGLOT_RANDOM
+const CASTLING_OFFSET = 768;
+const EN_PASSANT_OFFSET = 772;
+const TURN_OFFSET = 780;
+
+// Piece kinds in key order; the black piece of each type comes first
+const PIECE_KINDS = {
+  [PIECE_TYPES.PAWN]: 0,
+  [PIECE_TYPES.KNIGHT]: 2,
+  [PIECE_TYPES.BISHOP]: 4,
+  [PIECE_TYPES.ROOK]: 6,
+  [PIECE_TYPES.QUEEN]: 8,
+  [PIECE_TYPES.KING]: 10
+};
+
+export class Zobrist {
+  /**
+   * Get the key of a piece standing on a square
+   * @param {Piece} piece - The piece
+   * @param {Number} row - Row index (0-7)
+   * @param {Number} col - Column index (0-7)
+   * @returns {BigInt} 64 bit key
+   */
+  static pieceKey(piece, row, col) {
+    return Zobrist.typeKey(piece.type, piece.color, row, col);
+  }
+
+  /**
+   * Get the key of a piece type and color standing on a square
+   * @param {String} type - Piece type
+   * @param {String} color - Piece color
+   * @param {Number} row - Row index (0-7)
+   * @param {Number} col - Column index (0-7)
+   * @returns {BigInt} 64 bit key
+   */
+  static typeKey(type, color, row, col) {
+    const kind = PIECE_KINDS[type] + (color === COLORS.WHITE ? 1 : 0);
+    // Ranks count from white's side
+    return POLYGLOT_RANDOM[64 * kind + 8 * (7 - row) + col];
+  }
+
+  /**
+   * Get the key of a castling right
+   * @param {Number} index - 0 white kingside, 1 white queenside, 2 black kingside, 3 black queenside
+   * @returns {BigInt} 64 bit key
+   */
+  static castlingKey(index) {
+    return POLYGLOT_RANDOM[CASTLING_OFFSET + index];
+  }
+
+  /**
+   * Get the key of an en passant file
+   * @param {Number} col - Column of the en passant square (0-7)
+   * @returns {BigInt} 64 bit key
+   */
+  static enPassantKey(col) {
+    return POLYGLOT_RANDOM[EN_PASSANT_OFFSET + col];
+  }
+
+  /**
+   * Get the key added when white is to move
+   * @returns {BigInt} 64 bit key
+   */
+  static turnKey() {
+    return POLYGLOT_RANDOM[TURN_OFFSET];
+  }
+
+  /**
+   * Hash the pieces of a grid from scratch
+   * @param {Array} grid - 8x8 grid of pieces
+   * @returns {BigInt} XOR of the keys of all pieces
+   */
+  static hashPieces(grid) {
+    let hash = 0n;
+    
+    for (let row = 0; row < BOARD_SIZE; row++) {
+      for (let col = 0; col < BOARD_SIZE; col++) {
+        const piece = grid[row][col];
+        if (piece) hash ^= Zobrist.pieceKey(piece, row, col);
+      }
+    }
+    
+    return hash;
+  }
+
+  /**
+   * Hash the side to move, castling rights and en passant file of a position
+   * @param {Board} board - The chess board
+   * @param {GameState} gameState - The game state
+   * @param {Boolean|null} canCaptureEnPassant - Whether the en passant capture is legal;
+   *                                             null counts the file whenever a pawn
+   *                                             stands next to the pawn that moved
+   * @returns {BigInt} XOR of the keys of the game state
+   */
+  static hashState(board, gameState, canCaptureEnPassant = null) {
+    let hash = 0n;
+    
+    const castling = [
+      gameState.castlingRights[COLORS.WHITE].kingSide,
+      gameState.castlingRights[COLORS.WHITE].queenSide,
+      gameState.castlingRights[COLORS.BLACK].kingSide,
+      gameState.castlingRights[COLORS.BLACK].queenSide
+    ];
+    castling.forEach((allowed, index) => {
+      if (allowed) hash ^= Zobrist.castlingKey(index);
+    });
+    
+    // The en passant file only counts if a pawn can make the capture
+    if (gameState.enPassantTarget) {
+      const [targetRow, targetCol] = gameState.enPassantTarget;
+      const player = gameState.currentPlayer;
+      const pawnRow = player === COLORS.WHITE ? targetRow + 1 : targetRow - 1;
+      const pawnBeside = [targetCol - 1, targetCol + 1].some(col => {
+        const piece = board.getPiece(pawnRow, col);
+        return piece && piece.type === PIECE_TYPES.PAWN && piece.color === player;
+      });
+      if (canCaptureEnPassant !== null ? canCaptureEnPassant : pawnBeside) hash ^= Zobrist.enPassantKey(targetCol);
+    }
+    
+    if (gameState.currentPlayer === COLORS.WHITE) {
+      hash ^= Zobrist.turnKey();
+    }
+    
+    return hash;
+  }
+}
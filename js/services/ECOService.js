@@ -0,0 +1,79 @@
+/**
+ * ECOService - Names the opening of a game using the bundled ECO table
+ */
+import { ECO_TABLE } from './ECOTable.js';
+import { Board } from '../models/Board.js';
+
+export class ECOService {
+  /**
+   * Create an ECO service
+   * The table is indexed by position the first time it is needed.
+   * @param {FENService} fenService - Used to read the positions of the table
+   */
+  constructor(fenService) {
+    this.fenService = fenService;
+    this.positions = null;
+  }
+
+  /**
+   * Find the opening of a line of positions
+   * Openings are matched by position, so transposed move orders are recognized too.
+   * @param {Array} positionKeys - Position keys (Zobrist hashes) of the line, from the
+   *                              starting position on
+   * @returns {Object|null} Opening { eco, name } of the last position in the table, or null
+   */
+  classify(positionKeys) {
+    const positions = this.getPositions();
+    
+    for (let i = positionKeys.length - 1; i >= 0; i--) {
+      const opening = positions.get(positionKeys[i]);
+      if (opening) return opening;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Get the index of the table by position key
+   * @returns {Map} Opening { eco, name } by position key
+   */
+  getPositions() {
+    if (!this.positions) {
+      this.positions = this.buildIndex();
+    }
+    return this.positions;
+  }
+
+  /**
+   * Index the openings of the table by the position their moves lead to
+   * @returns {Map} Opening { eco, name } by position key
+   */
+  buildIndex() {
+    const positions = new Map();
+    
+    for (const [eco, name, , position] of ECO_TABLE) {
+      const positionKey = this.getPositionKey(position);
+      
+      // The first and most general name of a position is kept
+      if (!positions.has(positionKey)) {
+        positions.set(positionKey, { eco, name });
+      }
+    }
+    
+    return positions;
+  }
+
+  /**
+   * Get the key of a position of the table
+   * @param {String} position - FEN without the move counters
+   * @returns {BigInt} Zobrist hash, as MoveValidator.getPositionKey gives for the position
+   */
+  getPositionKey(position) {
+    const { grid, activeColor, castlingRights, enPassantTarget } = this.fenService.parsePosition(position);
+    const board = new Board();
+    board.grid = grid;
+    
+    // The table only gives an en passant square when the capture is possible
+    return board.getHash({ currentPlayer: activeColor, castlingRights, enPassantTarget }, enPassantTarget !== null);
+  }
+}
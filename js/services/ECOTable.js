@@ -0,0 +1,2026 @@
+/**
+ * ECOTable - Encyclopaedia of Chess Openings classification
+ *
+ * Each entry is [ECO code, opening name, moves in SAN from the starting position,
+ * position after the moves]. The positions are FEN without the move counters, with
+ * an en passant square only when the capture is possible, so they can be indexed
+ * without replaying the moves.
+ * Based on the eco.pgn file distributed with pgn-extract (David J. Barnes), compiled
+ * by Ewart Shaw, Franz Hemmer and others.
+ */
+export const ECO_TABLE = [
+  ['A00', 'Polish (Sokolsky) opening', 'b4', 'rnbqkbnr/pppppppp/8/8/1P6/8/P1PPPPPP/RNBQKBNR b KQkq -'],
+  ['A00', 'Polish, Tuebingen variation', 'b4 Nh6', 'rnbqkb1r/pppppppp/7n/8/1P6/8/P1PPPPPP/RNBQKBNR w KQkq -'],
+  ['A00', 'Polish, Outflank variation', 'b4 c6', 'rnbqkbnr/pp1ppppp/2p5/8/1P6/8/P1PPPPPP/RNBQKBNR w KQkq -'],
+  ['A00', "Benko's opening", 'g3', 'rnbqkbnr/pppppppp/8/8/8/6P1/PPPPPP1P/RNBQKBNR b KQkq -'],
+  ['A00', 'Lasker simul special', 'g3 h5', 'rnbqkbnr/ppppppp1/8/7p/8/6P1/PPPPPP1P/RNBQKBNR w KQkq -'],
+  ['A00', "Benko's opening, reversed Alekhine", 'g3 e5 Nf3', 'rnbqkbnr/pppp1ppp/8/4p3/8/5NP1/PPPPPP1P/RNBQKB1R b KQkq -'],
+  ['A00', "Grob's attack", 'g4', 'rnbqkbnr/pppppppp/8/8/6P1/8/PPPPPP1P/RNBQKBNR b KQkq -'],
+  ['A00', 'Grob, spike attack', 'g4 d5 Bg2 c6 g5', 'rnbqkbnr/pp2pppp/2p5/3p2P1/8/8/PPPPPPBP/RNBQK1NR b KQkq -'],
+  ['A00', 'Grob, Fritz gambit', 'g4 d5 Bg2 Bxg4 c4', 'rn1qkbnr/ppp1pppp/8/3p4/2P3b1/8/PP1PPPBP/RNBQK1NR b KQkq -'],
+  ['A00', 'Grob, Romford counter-gambit', 'g4 d5 Bg2 Bxg4 c4 d4', 'rn1qkbnr/ppp1pppp/8/8/2Pp2b1/8/PP1PPPBP/RNBQK1NR w KQkq -'],
+  ['A00', "Clemenz (Mead's, Basman's or de Klerk's) opening", 'h3', 'rnbqkbnr/pppppppp/8/8/8/7P/PPPPPPP1/RNBQKBNR b KQkq -'],
+  ['A00', 'Global opening', 'h3 e5 a3', 'rnbqkbnr/pppp1ppp/8/4p3/8/P6P/1PPPPPP1/RNBQKBNR b KQkq -'],
+  ['A00', 'Amar (Paris) opening', 'Nh3', 'rnbqkbnr/pppppppp/8/8/8/7N/PPPPPPPP/RNBQKB1R b KQkq -'],
+  ['A00', 'Amar gambit', 'Nh3 d5 g3 e5 f4 Bxh3 Bxh3 exf4', 'rn1qkbnr/ppp2ppp/8/3p4/5p2/6PB/PPPPP2P/RNBQK2R w KQkq -'],
+  ['A00', 'Dunst (Sleipner, Heinrichsen) opening', 'Nc3', 'rnbqkbnr/pppppppp/8/8/8/2N5/PPPPPPPP/R1BQKBNR b KQkq -'],
+  ['A00', 'Dunst (Sleipner, Heinrichsen) opening', 'Nc3 e5', 'rnbqkbnr/pppp1ppp/8/4p3/8/2N5/PPPPPPPP/R1BQKBNR w KQkq -'],
+  ['A00', 'Battambang opening', 'Nc3 e5 a3', 'rnbqkbnr/pppp1ppp/8/4p3/8/P1N5/1PPPPPPP/R1BQKBNR b KQkq -'],
+  ['A00', 'Novosibirsk opening', 'Nc3 c5 d4 cxd4 Qxd4 Nc6 Qh4', 'r1bqkbnr/pp1ppppp/2n5/8/7Q/2N5/PPP1PPPP/R1B1KBNR b KQkq -'],
+  ['A00', "Anderssen's opening", 'a3', 'rnbqkbnr/pppppppp/8/8/8/P7/1PPPPPPP/RNBQKBNR b KQkq -'],
+  ['A00', 'Ware (Meadow Hay) opening', 'a4', 'rnbqkbnr/pppppppp/8/8/P7/8/1PPPPPPP/RNBQKBNR b KQkq -'],
+  ['A00', 'Crab opening', 'a4 e5 h4', 'rnbqkbnr/pppp1ppp/8/4p3/P6P/8/1PPPPPP1/RNBQKBNR b KQkq -'],
+  ['A00', 'Saragossa opening', 'c3', 'rnbqkbnr/pppppppp/8/8/8/2P5/PP1PPPPP/RNBQKBNR b KQkq -'],
+  ['A00', 'Mieses opening', 'd3', 'rnbqkbnr/pppppppp/8/8/8/3P4/PPP1PPPP/RNBQKBNR b KQkq -'],
+  ['A00', 'Mieses opening', 'd3 e5', 'rnbqkbnr/pppp1ppp/8/4p3/8/3P4/PPP1PPPP/RNBQKBNR w KQkq -'],
+  ['A00', 'Valencia opening', 'd3 e5 Nd2', 'rnbqkbnr/pppp1ppp/8/4p3/8/3P4/PPPNPPPP/R1BQKBNR b KQkq -'],
+  ['A00', 'Venezolana opening', 'd3 c5 Nc3 Nc6 g3', 'r1bqkbnr/pp1ppppp/2n5/2p5/8/2NP2P1/PPP1PP1P/R1BQKBNR b KQkq -'],
+  ['A00', "Van't Kruijs opening", 'e3', 'rnbqkbnr/pppppppp/8/8/8/4P3/PPPP1PPP/RNBQKBNR b KQkq -'],
+  ['A00', 'Amsterdam attack', 'e3 e5 c4 d6 Nc3 Nc6 b3 Nf6', 'r1bqkb1r/ppp2ppp/2np1n2/4p3/2P5/1PN1P3/P2P1PPP/R1BQKBNR w KQkq -'],
+  ['A00', "Gedult's opening", 'f3', 'rnbqkbnr/pppppppp/8/8/8/5P2/PPPPP1PP/RNBQKBNR b KQkq -'],
+  ['A00', 'Hammerschlag (Fried fox/Pork chop opening)', 'f3 e5 Kf2', 'rnbqkbnr/pppp1ppp/8/4p3/8/5P2/PPPPPKPP/RNBQ1BNR b kq -'],
+  ['A00', 'Anti-Borg (Desprez) opening', 'h4', 'rnbqkbnr/pppppppp/8/8/7P/8/PPPPPPP1/RNBQKBNR b KQkq -'],
+  ['A00', "Durkin's attack", 'Na3', 'rnbqkbnr/pppppppp/8/8/8/N7/PPPPPPPP/R1BQKBNR b KQkq -'],
+  ['A01', 'Nimzovich-Larsen attack', 'b3', 'rnbqkbnr/pppppppp/8/8/8/1P6/P1PPPPPP/RNBQKBNR b KQkq -'],
+  ['A01', 'Nimzovich-Larsen attack, modern variation', 'b3 e5', 'rnbqkbnr/pppp1ppp/8/4p3/8/1P6/P1PPPPPP/RNBQKBNR w KQkq -'],
+  ['A01', 'Nimzovich-Larsen attack, Indian variation', 'b3 Nf6', 'rnbqkb1r/pppppppp/5n2/8/8/1P6/P1PPPPPP/RNBQKBNR w KQkq -'],
+  ['A01', 'Nimzovich-Larsen attack, classical variation', 'b3 d5', 'rnbqkbnr/ppp1pppp/8/3p4/8/1P6/P1PPPPPP/RNBQKBNR w KQkq -'],
+  ['A01', 'Nimzovich-Larsen attack, English variation', 'b3 c5', 'rnbqkbnr/pp1ppppp/8/2p5/8/1P6/P1PPPPPP/RNBQKBNR w KQkq -'],
+  ['A01', 'Nimzovich-Larsen attack, Dutch variation', 'b3 f5', 'rnbqkbnr/ppppp1pp/8/5p2/8/1P6/P1PPPPPP/RNBQKBNR w KQkq -'],
+  ['A01', 'Nimzovich-Larsen attack, Polish variation', 'b3 b5', 'rnbqkbnr/p1pppppp/8/1p6/8/1P6/P1PPPPPP/RNBQKBNR w KQkq -'],
+  ['A01', 'Nimzovich-Larsen attack, symmetrical variation', 'b3 b6', 'rnbqkbnr/p1pppppp/1p6/8/8/1P6/P1PPPPPP/RNBQKBNR w KQkq -'],
+  ['A02', "Bird's opening", 'f4', 'rnbqkbnr/pppppppp/8/8/5P2/8/PPPPP1PP/RNBQKBNR b KQkq -'],
+  ['A02', 'Bird, From gambit', 'f4 e5', 'rnbqkbnr/pppp1ppp/8/4p3/5P2/8/PPPPP1PP/RNBQKBNR w KQkq -'],
+  ['A02', 'Bird, From gambit, Lasker variation', 'f4 e5 fxe5 d6 exd6 Bxd6 Nf3 g5', 'rnbqk1nr/ppp2p1p/3b4/6p1/8/5N2/PPPPP1PP/RNBQKB1R w KQkq -'],
+  ['A02', 'Bird, From gambit, Lipke variation', 'f4 e5 fxe5 d6 exd6 Bxd6 Nf3 Nh6 d4', 'rnbqk2r/ppp2ppp/3b3n/8/3P4/5N2/PPP1P1PP/RNBQKB1R b KQkq -'],
+  ['A02', "Bird's opening, Swiss gambit", 'f4 f5 e4 fxe4 Nc3 Nf6 g4', 'rnbqkb1r/ppppp1pp/5n2/8/4pPP1/2N5/PPPP3P/R1BQKBNR b KQkq -'],
+  ['A02', 'Bird, Hobbs gambit', 'f4 g5', 'rnbqkbnr/pppppp1p/8/6p1/5P2/8/PPPPP1PP/RNBQKBNR w KQkq -'],
+  ['A03', "Bird's opening", 'f4 d5', 'rnbqkbnr/ppp1pppp/8/3p4/5P2/8/PPPPP1PP/RNBQKBNR w KQkq -'],
+  ['A03', 'Mujannah opening', 'f4 d5 c4', 'rnbqkbnr/ppp1pppp/8/3p4/2P2P2/8/PP1PP1PP/RNBQKBNR b KQkq -'],
+  ['A03', "Bird's opening, Williams gambit", 'f4 d5 e4', 'rnbqkbnr/ppp1pppp/8/3p4/4PP2/8/PPPP2PP/RNBQKBNR b KQkq -'],
+  ['A03', "Bird's opening, Lasker variation", 'f4 d5 Nf3 Nf6 e3 c5', 'rnbqkb1r/pp2pppp/5n2/2pp4/5P2/4PN2/PPPP2PP/RNBQKB1R w KQkq -'],
+  ['A04', 'Reti opening', 'Nf3', 'rnbqkbnr/pppppppp/8/8/8/5N2/PPPPPPPP/RNBQKB1R b KQkq -'],
+  ['A04', 'Reti v Dutch', 'Nf3 f5', 'rnbqkbnr/ppppp1pp/8/5p2/8/5N2/PPPPPPPP/RNBQKB1R w KQkq -'],
+  ['A04', 'Reti, Pirc-Lisitsin gambit', 'Nf3 f5 e4', 'rnbqkbnr/ppppp1pp/8/5p2/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq -'],
+  ['A04', 'Reti, Lisitsin gambit deferred', 'Nf3 f5 d3 Nf6 e4', 'rnbqkb1r/ppppp1pp/5n2/5p2/4P3/3P1N2/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['A04', 'Reti opening', 'Nf3 d6', 'rnbqkbnr/ppp1pppp/3p4/8/8/5N2/PPPPPPPP/RNBQKB1R w KQkq -'],
+  ['A04', 'Reti, Wade defence', 'Nf3 d6 e4 Bg4', 'rn1qkbnr/ppp1pppp/3p4/8/4P1b1/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['A04', 'Reti, Herrstroem gambit', 'Nf3 g5', 'rnbqkbnr/pppppp1p/8/6p1/8/5N2/PPPPPPPP/RNBQKB1R w KQkq -'],
+  ['A05', 'Reti opening', 'Nf3 Nf6', 'rnbqkb1r/pppppppp/5n2/8/8/5N2/PPPPPPPP/RNBQKB1R w KQkq -'],
+  ['A05', "Reti, King's Indian attack, Spassky's variation", 'Nf3 Nf6 g3 b5', 'rnbqkb1r/p1pppppp/5n2/1p6/8/5NP1/PPPPPP1P/RNBQKB1R w KQkq -'],
+  ['A05', "Reti, King's Indian attack", 'Nf3 Nf6 g3 g6', 'rnbqkb1r/pppppp1p/5np1/8/8/5NP1/PPPPPP1P/RNBQKB1R w KQkq -'],
+  ['A05', "Reti, King's Indian attack, Reti-Smyslov variation", 'Nf3 Nf6 g3 g6 b4', 'rnbqkb1r/pppppp1p/5np1/8/1P6/5NP1/P1PPPP1P/RNBQKB1R b KQkq -'],
+  ['A06', 'Reti opening', 'Nf3 d5', 'rnbqkbnr/ppp1pppp/8/3p4/8/5N2/PPPPPPPP/RNBQKB1R w KQkq -'],
+  ['A06', 'Reti, old Indian attack', 'Nf3 d5 d3', 'rnbqkbnr/ppp1pppp/8/3p4/8/3P1N2/PPP1PPPP/RNBQKB1R b KQkq -'],
+  ['A06', "Santasiere's folly", 'Nf3 d5 b4', 'rnbqkbnr/ppp1pppp/8/3p4/1P6/5N2/P1PPPPPP/RNBQKB1R b KQkq -'],
+  ['A06', 'Tennison (Lemberg, Zukertort) gambit', 'Nf3 d5 e4', 'rnbqkbnr/ppp1pppp/8/3p4/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq -'],
+  ['A06', 'Reti, Nimzovich-Larsen attack', 'Nf3 d5 b3', 'rnbqkbnr/ppp1pppp/8/3p4/8/1P3N2/P1PPPPPP/RNBQKB1R b KQkq -'],
+  ['A07', "Reti, King's Indian attack (Barcza system)", 'Nf3 d5 g3', 'rnbqkbnr/ppp1pppp/8/3p4/8/5NP1/PPPPPP1P/RNBQKB1R b KQkq -'],
+  ['A07', "Reti, King's Indian attack, Yugoslav variation", 'Nf3 d5 g3 Nf6 Bg2 c6 O-O Bg4', 'rn1qkb1r/pp2pppp/2p2n2/3p4/6b1/5NP1/PPPPPPBP/RNBQ1RK1 w kq -'],
+  ['A07', "Reti, King's Indian attack, Keres variation", 'Nf3 d5 g3 Bg4 Bg2 Nd7', 'r2qkbnr/pppnpppp/8/3p4/6b1/5NP1/PPPPPPBP/RNBQK2R w KQkq -'],
+  ['A07', "Reti, King's Indian attack", 'Nf3 d5 g3 g6', 'rnbqkbnr/ppp1pp1p/6p1/3p4/8/5NP1/PPPPPP1P/RNBQKB1R w KQkq -'],
+  ['A07', "Reti, King's Indian attack, Pachman system", 'Nf3 d5 g3 g6 Bg2 Bg7 O-O e5 d3 Ne7', 'rnbqk2r/ppp1npbp/6p1/3pp3/8/3P1NP1/PPP1PPBP/RNBQ1RK1 w kq -'],
+  ['A07', "Reti, King's Indian attack (with ...c5)", 'Nf3 d5 g3 c5', 'rnbqkbnr/pp2pppp/8/2pp4/8/5NP1/PPPPPP1P/RNBQKB1R w KQkq -'],
+  ['A08', "Reti, King's Indian attack", 'Nf3 d5 g3 c5 Bg2', 'rnbqkbnr/pp2pppp/8/2pp4/8/5NP1/PPPPPPBP/RNBQK2R b KQkq -'],
+  ['A08', "Reti, King's Indian attack, French variation", 'Nf3 d5 g3 c5 Bg2 Nc6 O-O e6 d3 Nf6 Nbd2 Be7 e4 O-O Re1', 'r1bq1rk1/pp2bppp/2n1pn2/2pp4/4P3/3P1NP1/PPPN1PBP/R1BQR1K1 b - -'],
+  ['A09', 'Reti opening', 'Nf3 d5 c4', 'rnbqkbnr/ppp1pppp/8/3p4/2P5/5N2/PP1PPPPP/RNBQKB1R b KQkq -'],
+  ['A09', 'Reti, advance variation', 'Nf3 d5 c4 d4', 'rnbqkbnr/ppp1pppp/8/8/2Pp4/5N2/PP1PPPPP/RNBQKB1R w KQkq -'],
+  ['A09', 'Reti accepted', 'Nf3 d5 c4 dxc4', 'rnbqkbnr/ppp1pppp/8/8/2p5/5N2/PP1PPPPP/RNBQKB1R w KQkq -'],
+  ['A09', 'Reti accepted, Keres variation', 'Nf3 d5 c4 dxc4 e3 Be6', 'rn1qkbnr/ppp1pppp/4b3/8/2p5/4PN2/PP1P1PPP/RNBQKB1R w KQkq -'],
+  ['A10', 'English opening', 'c4', 'rnbqkbnr/pppppppp/8/8/2P5/8/PP1PPPPP/RNBQKBNR b KQkq -'],
+  ['A10', 'English opening', 'c4 g6', 'rnbqkbnr/pppppp1p/6p1/8/2P5/8/PP1PPPPP/RNBQKBNR w KQkq -'],
+  ['A10', 'English, Adorjan defence', 'c4 g6 e4 e5', 'rnbqkbnr/pppp1p1p/6p1/4p3/2P1P3/8/PP1P1PPP/RNBQKBNR w KQkq -'],
+  ['A10', 'English, Jaenisch gambit', 'c4 b5', 'rnbqkbnr/p1pppppp/8/1p6/2P5/8/PP1PPPPP/RNBQKBNR w KQkq -'],
+  ['A10', 'English, Anglo-Dutch defense', 'c4 f5', 'rnbqkbnr/ppppp1pp/8/5p2/2P5/8/PP1PPPPP/RNBQKBNR w KQkq -'],
+  ['A11', 'English, Caro-Kann defensive system', 'c4 c6', 'rnbqkbnr/pp1ppppp/2p5/8/2P5/8/PP1PPPPP/RNBQKBNR w KQkq -'],
+  ['A12', 'English, Caro-Kann defensive system', 'c4 c6 Nf3 d5 b3', 'rnbqkbnr/pp2pppp/2p5/3p4/2P5/1P3N2/P2PPPPP/RNBQKB1R b KQkq -'],
+  ['A12', 'English, Torre defensive system', 'c4 c6 Nf3 d5 b3 Nf6 g3 Bg4', 'rn1qkb1r/pp2pppp/2p2n2/3p4/2P3b1/1P3NP1/P2PPP1P/RNBQKB1R w KQkq -'],
+  ['A12', 'English, London defensive system', 'c4 c6 Nf3 d5 b3 Nf6 g3 Bf5', 'rn1qkb1r/pp2pppp/2p2n2/3p1b2/2P5/1P3NP1/P2PPP1P/RNBQKB1R w KQkq -'],
+  ['A12', 'English, Caro-Kann defensive system', 'c4 c6 Nf3 d5 b3 Nf6 Bb2', 'rnbqkb1r/pp2pppp/2p2n2/3p4/2P5/1P3N2/PB1PPPPP/RN1QKB1R b KQkq -'],
+  ['A12', 'English, Bled variation', 'c4 c6 Nf3 d5 b3 Nf6 Bb2 g6', 'rnbqkb1r/pp2pp1p/2p2np1/3p4/2P5/1P3N2/PB1PPPPP/RN1QKB1R w KQkq -'],
+  ['A12', 'English, New York (London) defensive system', 'c4 c6 Nf3 d5 b3 Nf6 Bb2 Bf5', 'rn1qkb1r/pp2pppp/2p2n2/3p1b2/2P5/1P3N2/PB1PPPPP/RN1QKB1R w KQkq -'],
+  ['A12', "English, Capablanca's variation", 'c4 c6 Nf3 d5 b3 Nf6 Bb2 Bg4', 'rn1qkb1r/pp2pppp/2p2n2/3p4/2P3b1/1P3N2/PB1PPPPP/RN1QKB1R w KQkq -'],
+  ['A12', 'English, Caro-Kann defensive system, Bogolyubov variation', 'c4 c6 Nf3 d5 b3 Bg4', 'rn1qkbnr/pp2pppp/2p5/3p4/2P3b1/1P3N2/P2PPPPP/RNBQKB1R w KQkq -'],
+  ['A13', 'English opening', 'c4 e6', 'rnbqkbnr/pppp1ppp/4p3/8/2P5/8/PP1PPPPP/RNBQKBNR w KQkq -'],
+  ['A13', 'English, Romanishin gambit', 'c4 e6 Nf3 Nf6 g3 a6 Bg2 b5', 'rnbqkb1r/2pp1ppp/p3pn2/1p6/2P5/5NP1/PP1PPPBP/RNBQK2R w KQkq -'],
+  ['A13', 'English opening, Agincourt variation', 'c4 e6 Nf3 d5', 'rnbqkbnr/ppp2ppp/4p3/3p4/2P5/5N2/PP1PPPPP/RNBQKB1R w KQkq -'],
+  ['A13', 'English, Wimpey system', 'c4 e6 Nf3 d5 b3 Nf6 Bb2 c5 e3', 'rnbqkb1r/pp3ppp/4pn2/2pp4/2P5/1P2PN2/PB1P1PPP/RN1QKB1R b KQkq -'],
+  ['A13', 'English opening, Agincourt variation', 'c4 e6 Nf3 d5 g3', 'rnbqkbnr/ppp2ppp/4p3/3p4/2P5/5NP1/PP1PPP1P/RNBQKB1R b KQkq -'],
+  ['A13', 'English, Kurajica defence', 'c4 e6 Nf3 d5 g3 c6', 'rnbqkbnr/pp3ppp/2p1p3/3p4/2P5/5NP1/PP1PPP1P/RNBQKB1R w KQkq -'],
+  ['A13', 'English, Neo-Catalan', 'c4 e6 Nf3 d5 g3 Nf6', 'rnbqkb1r/ppp2ppp/4pn2/3p4/2P5/5NP1/PP1PPP1P/RNBQKB1R w KQkq -'],
+  ['A13', 'English, Neo-Catalan accepted', 'c4 e6 Nf3 d5 g3 Nf6 Bg2 dxc4', 'rnbqkb1r/ppp2ppp/4pn2/8/2p5/5NP1/PP1PPPBP/RNBQK2R w KQkq -'],
+  ['A14', 'English, Neo-Catalan declined', 'c4 e6 Nf3 d5 g3 Nf6 Bg2 Be7 O-O', 'rnbqk2r/ppp1bppp/4pn2/3p4/2P5/5NP1/PP1PPPBP/RNBQ1RK1 b kq -'],
+  ['A14', 'English, Symmetrical, Keres defence', 'c4 e6 Nf3 d5 g3 Nf6 Bg2 Be7 O-O c5 cxd5 Nxd5 Nc3 Nc6', 'r1bqk2r/pp2bppp/2n1p3/2pn4/8/2N2NP1/PP1PPPBP/R1BQ1RK1 w kq -'],
+  ['A15', 'English, 1...Nf6 (Anglo-Indian defense)', 'c4 Nf6', 'rnbqkb1r/pppppppp/5n2/8/2P5/8/PP1PPPPP/RNBQKBNR w KQkq -'],
+  ['A15', 'English orang-utan', 'c4 Nf6 b4', 'rnbqkb1r/pppppppp/5n2/8/1PP5/8/P2PPPPP/RNBQKBNR b KQkq -'],
+  ['A15', 'English opening', 'c4 Nf6 Nf3', 'rnbqkb1r/pppppppp/5n2/8/2P5/5N2/PP1PPPPP/RNBQKB1R b KQkq -'],
+  ['A16', 'English opening', 'c4 Nf6 Nc3', 'rnbqkb1r/pppppppp/5n2/8/2P5/2N5/PP1PPPPP/R1BQKBNR b KQkq -'],
+  ['A16', 'English, Anglo-Gruenfeld defense', 'c4 Nf6 Nc3 d5', 'rnbqkb1r/ppp1pppp/5n2/3p4/2P5/2N5/PP1PPPPP/R1BQKBNR w KQkq -'],
+  ['A16', 'English, Anglo-Gruenfeld, Smyslov defense', 'c4 Nf6 Nc3 d5 cxd5 Nxd5 g3 g6 Bg2 Nxc3', 'rnbqkb1r/ppp1pp1p/6p1/8/8/2n3P1/PP1PPPBP/R1BQK1NR w KQkq -'],
+  ['A16', 'English, Anglo-Gruenfeld, Czech defense', 'c4 Nf6 Nc3 d5 cxd5 Nxd5 g3 g6 Bg2 Nb6', 'rnbqkb1r/ppp1pp1p/1n4p1/8/8/2N3P1/PP1PPPBP/R1BQK1NR w KQkq -'],
+  ['A16', 'English, Anglo-Gruenfeld defense', 'c4 Nf6 Nc3 d5 cxd5 Nxd5 Nf3', 'rnbqkb1r/ppp1pppp/8/3n4/8/2N2N2/PP1PPPPP/R1BQKB1R b KQkq -'],
+  ['A16', 'English, Anglo-Gruenfeld defense, Korchnoi variation', 'c4 Nf6 Nc3 d5 cxd5 Nxd5 Nf3 g6 g3 Bg7 Bg2 e5', 'rnbqk2r/ppp2pbp/6p1/3np3/8/2N2NP1/PP1PPPBP/R1BQK2R w KQkq -'],
+  ['A17', 'English opening', 'c4 Nf6 Nc3 e6', 'rnbqkb1r/pppp1ppp/4pn2/8/2P5/2N5/PP1PPPPP/R1BQKBNR w KQkq -'],
+  ['A17', 'English, Queens Indian formation', 'c4 Nf6 Nc3 e6 Nf3 b6', 'rnbqkb1r/p1pp1ppp/1p2pn2/8/2P5/2N2N2/PP1PPPPP/R1BQKB1R w KQkq -'],
+  ['A17', 'English, Queens Indian, Romanishin variation', 'c4 Nf6 Nc3 e6 Nf3 b6 e4 Bb7 Bd3', 'rn1qkb1r/pbpp1ppp/1p2pn2/8/2P1P3/2NB1N2/PP1P1PPP/R1BQK2R b KQkq -'],
+  ['A17', 'English, Nimzo-English opening', 'c4 Nf6 Nc3 e6 Nf3 Bb4', 'rnbqk2r/pppp1ppp/4pn2/8/1bP5/2N2N2/PP1PPPPP/R1BQKB1R w KQkq -'],
+  ['A18', 'English, Mikenas-Carls variation', 'c4 Nf6 Nc3 e6 e4', 'rnbqkb1r/pppp1ppp/4pn2/8/2P1P3/2N5/PP1P1PPP/R1BQKBNR b KQkq -'],
+  ['A18', 'English, Mikenas-Carls, Flohr variation', 'c4 Nf6 Nc3 e6 e4 d5 e5', 'rnbqkb1r/ppp2ppp/4pn2/3pP3/2P5/2N5/PP1P1PPP/R1BQKBNR b KQkq -'],
+  ['A18', 'English, Mikenas-Carls, Kevitz variation', 'c4 Nf6 Nc3 e6 e4 Nc6', 'r1bqkb1r/pppp1ppp/2n1pn2/8/2P1P3/2N5/PP1P1PPP/R1BQKBNR w KQkq -'],
+  ['A19', 'English, Mikenas-Carls, Sicilian variation', 'c4 Nf6 Nc3 e6 e4 c5', 'rnbqkb1r/pp1p1ppp/4pn2/2p5/2P1P3/2N5/PP1P1PPP/R1BQKBNR w KQkq -'],
+  ['A20', 'English opening', 'c4 e5', 'rnbqkbnr/pppp1ppp/8/4p3/2P5/8/PP1PPPPP/RNBQKBNR w KQkq -'],
+  ['A20', 'English, Nimzovich variation', 'c4 e5 Nf3', 'rnbqkbnr/pppp1ppp/8/4p3/2P5/5N2/PP1PPPPP/RNBQKB1R b KQkq -'],
+  ['A20', 'English, Nimzovich, Flohr variation', 'c4 e5 Nf3 e4', 'rnbqkbnr/pppp1ppp/8/8/2P1p3/5N2/PP1PPPPP/RNBQKB1R w KQkq -'],
+  ['A21', 'English opening', 'c4 e5 Nc3', 'rnbqkbnr/pppp1ppp/8/4p3/2P5/2N5/PP1PPPPP/R1BQKBNR b KQkq -'],
+  ['A21', 'English, Troeger defence', 'c4 e5 Nc3 d6 g3 Be6 Bg2 Nc6', 'r2qkbnr/ppp2ppp/2npb3/4p3/2P5/2N3P1/PP1PPPBP/R1BQK1NR w KQkq -'],
+  ['A21', 'English, Keres variation', 'c4 e5 Nc3 d6 g3 c6', 'rnbqkbnr/pp3ppp/2pp4/4p3/2P5/2N3P1/PP1PPP1P/R1BQKBNR w KQkq -'],
+  ['A21', 'English opening', 'c4 e5 Nc3 d6 Nf3', 'rnbqkbnr/ppp2ppp/3p4/4p3/2P5/2N2N2/PP1PPPPP/R1BQKB1R b KQkq -'],
+  ['A21', 'English, Smyslov defence', 'c4 e5 Nc3 d6 Nf3 Bg4', 'rn1qkbnr/ppp2ppp/3p4/4p3/2P3b1/2N2N2/PP1PPPPP/R1BQKB1R w KQkq -'],
+  ['A21', 'English, Kramnik-Shirov counterattack', 'c4 e5 Nc3 Bb4', 'rnbqk1nr/pppp1ppp/8/4p3/1bP5/2N5/PP1PPPPP/R1BQKBNR w KQkq -'],
+  ['A22', 'English opening', 'c4 e5 Nc3 Nf6', 'rnbqkb1r/pppp1ppp/5n2/4p3/2P5/2N5/PP1PPPPP/R1BQKBNR w KQkq -'],
+  ['A22', 'English, Bellon gambit', 'c4 e5 Nc3 Nf6 Nf3 e4 Ng5 b5', 'rnbqkb1r/p1pp1ppp/5n2/1p4N1/2P1p3/2N5/PP1PPPPP/R1BQKB1R w KQkq -'],
+  ['A22', "English, Carls' Bremen system", 'c4 e5 Nc3 Nf6 g3', 'rnbqkb1r/pppp1ppp/5n2/4p3/2P5/2N3P1/PP1PPP1P/R1BQKBNR b KQkq -'],
+  ['A22', 'English, Bremen, reverse dragon', 'c4 e5 Nc3 Nf6 g3 d5', 'rnbqkb1r/ppp2ppp/5n2/3pp3/2P5/2N3P1/PP1PPP1P/R1BQKBNR w KQkq -'],
+  ['A22', 'English, Bremen, Smyslov system', 'c4 e5 Nc3 Nf6 g3 Bb4', 'rnbqk2r/pppp1ppp/5n2/4p3/1bP5/2N3P1/PP1PPP1P/R1BQKBNR w KQkq -'],
+  ['A23', 'English, Bremen system, Keres variation', 'c4 e5 Nc3 Nf6 g3 c6', 'rnbqkb1r/pp1p1ppp/2p2n2/4p3/2P5/2N3P1/PP1PPP1P/R1BQKBNR w KQkq -'],
+  ['A24', 'English, Bremen system with ...g6', 'c4 e5 Nc3 Nf6 g3 g6', 'rnbqkb1r/pppp1p1p/5np1/4p3/2P5/2N3P1/PP1PPP1P/R1BQKBNR w KQkq -'],
+  ['A25', 'English, Sicilian reversed', 'c4 e5 Nc3 Nc6', 'r1bqkbnr/pppp1ppp/2n5/4p3/2P5/2N5/PP1PPPPP/R1BQKBNR w KQkq -'],
+  ['A25', 'English, closed system', 'c4 e5 Nc3 Nc6 g3 g6 Bg2 Bg7', 'r1bqk1nr/pppp1pbp/2n3p1/4p3/2P5/2N3P1/PP1PPPBP/R1BQK1NR w KQkq -'],
+  ['A25', 'English, closed, Taimanov variation', 'c4 e5 Nc3 Nc6 g3 g6 Bg2 Bg7 e3 d6 Nge2 Nh6', 'r1bqk2r/ppp2pbp/2np2pn/4p3/2P5/2N1P1P1/PP1PNPBP/R1BQK2R w KQkq -'],
+  ['A25', 'English, closed, Hort variation', 'c4 e5 Nc3 Nc6 g3 g6 Bg2 Bg7 e3 d6 Nge2 Be6', 'r2qk1nr/ppp2pbp/2npb1p1/4p3/2P5/2N1P1P1/PP1PNPBP/R1BQK2R w KQkq -'],
+  ['A25', 'English, closed, 5.Rb1', 'c4 e5 Nc3 Nc6 g3 g6 Bg2 Bg7 Rb1', 'r1bqk1nr/pppp1pbp/2n3p1/4p3/2P5/2N3P1/PP1PPPBP/1RBQK1NR b Kkq -'],
+  ['A25', 'English, closed, 5.Rb1 Taimanov variation', 'c4 e5 Nc3 Nc6 g3 g6 Bg2 Bg7 Rb1 Nh6', 'r1bqk2r/pppp1pbp/2n3pn/4p3/2P5/2N3P1/PP1PPPBP/1RBQK1NR w Kkq -'],
+  ['A25', 'English, closed system (without ...d6)', 'c4 e5 Nc3 Nc6 g3 g6 Bg2 Bg7 d3', 'r1bqk1nr/pppp1pbp/2n3p1/4p3/2P5/2NP2P1/PP2PPBP/R1BQK1NR b KQkq -'],
+  ['A26', 'English, closed system', 'c4 e5 Nc3 Nc6 g3 g6 Bg2 Bg7 d3 d6', 'r1bqk1nr/ppp2pbp/2np2p1/4p3/2P5/2NP2P1/PP2PPBP/R1BQK1NR w KQkq -'],
+  ['A26', 'English, Botvinnik system', 'c4 e5 Nc3 Nc6 g3 g6 Bg2 Bg7 d3 d6 e4', 'r1bqk1nr/ppp2pbp/2np2p1/4p3/2P1P3/2NP2P1/PP3PBP/R1BQK1NR b KQkq -'],
+  ['A27', 'English, three knights system', 'c4 e5 Nc3 Nc6 Nf3', 'r1bqkbnr/pppp1ppp/2n5/4p3/2P5/2N2N2/PP1PPPPP/R1BQKB1R b KQkq -'],
+  ['A28', 'English, four knights system', 'c4 e5 Nc3 Nc6 Nf3 Nf6', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2P5/2N2N2/PP1PPPPP/R1BQKB1R w KQkq -'],
+  ['A28', 'English, Nenarokov variation', 'c4 e5 Nc3 Nc6 Nf3 Nf6 d4 exd4 Nxd4 Bb4 Bg5 h6 Bh4 Bxc3+ bxc3 Ne5', 'r1bqk2r/pppp1pp1/5n1p/4n3/2PN3B/2P5/P3PPPP/R2QKB1R w KQkq -'],
+  ['A28', 'English, Bradley Beach variation', 'c4 e5 Nc3 Nc6 Nf3 Nf6 d4 e4', 'r1bqkb1r/pppp1ppp/2n2n2/8/2PPp3/2N2N2/PP2PPPP/R1BQKB1R w KQkq -'],
+  ['A28', 'English, four knights, Nimzovich variation', 'c4 e5 Nc3 Nc6 Nf3 Nf6 e4', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2P1P3/2N2N2/PP1P1PPP/R1BQKB1R b KQkq -'],
+  ['A28', 'English, four knights, Marini variation', 'c4 e5 Nc3 Nc6 Nf3 Nf6 a3', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2P5/P1N2N2/1P1PPPPP/R1BQKB1R b KQkq -'],
+  ['A28', 'English, four knights, Capablanca variation', 'c4 e5 Nc3 Nc6 Nf3 Nf6 d3', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2P5/2NP1N2/PP2PPPP/R1BQKB1R b KQkq -'],
+  ['A28', 'English, four knights, 4.e3', 'c4 e5 Nc3 Nc6 Nf3 Nf6 e3', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2P5/2N1PN2/PP1P1PPP/R1BQKB1R b KQkq -'],
+  ['A28', 'English, four knights, Stean variation', 'c4 e5 Nc3 Nc6 Nf3 Nf6 e3 Bb4 Qc2 O-O Nd5 Re8 Qf5', 'r1bqr1k1/pppp1ppp/2n2n2/3NpQ2/1bP5/4PN2/PP1P1PPP/R1B1KB1R b KQ -'],
+  ['A28', 'English, four knights, Romanishin variation', 'c4 e5 Nc3 Nc6 Nf3 Nf6 e3 Bb4 Qc2 Bxc3', 'r1bqk2r/pppp1ppp/2n2n2/4p3/2P5/2b1PN2/PPQP1PPP/R1B1KB1R w KQkq -'],
+  ['A29', 'English, four knights, kingside fianchetto', 'c4 e5 Nc3 Nc6 Nf3 Nf6 g3', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2P5/2N2NP1/PP1PPP1P/R1BQKB1R b KQkq -'],
+  ['A30', 'English, symmetrical variation', 'c4 c5', 'rnbqkbnr/pp1ppppp/8/2p5/2P5/8/PP1PPPPP/RNBQKBNR w KQkq -'],
+  ['A30', 'English, symmetrical, hedgehog system', 'c4 c5 Nf3 Nf6 g3 b6 Bg2 Bb7 O-O e6 Nc3 Be7', 'rn1qk2r/pb1pbppp/1p2pn2/2p5/2P5/2N2NP1/PP1PPPBP/R1BQ1RK1 w kq -'],
+  ['A30', 'English, symmetrical, hedgehog, flexible formation', 'c4 c5 Nf3 Nf6 g3 b6 Bg2 Bb7 O-O e6 Nc3 Be7 d4 cxd4 Qxd4 d6 Rd1 a6 b3 Nbd7', 'r2qk2r/1b1nbppp/pp1ppn2/8/2PQ4/1PN2NP1/P3PPBP/R1BR2K1 w kq -'],
+  ['A31', 'English, symmetrical, Benoni formation', 'c4 c5 Nf3 Nf6 d4', 'rnbqkb1r/pp1ppppp/5n2/2p5/2PP4/5N2/PP2PPPP/RNBQKB1R b KQkq -'],
+  ['A32', 'English, symmetrical variation', 'c4 c5 Nf3 Nf6 d4 cxd4 Nxd4 e6', 'rnbqkb1r/pp1p1ppp/4pn2/8/2PN4/8/PP2PPPP/RNBQKB1R w KQkq -'],
+  ['A33', 'English, symmetrical variation', 'c4 c5 Nf3 Nf6 d4 cxd4 Nxd4 e6 Nc3 Nc6', 'r1bqkb1r/pp1p1ppp/2n1pn2/8/2PN4/2N5/PP2PPPP/R1BQKB1R w KQkq -'],
+  ['A33', 'English, symmetrical, Geller variation', 'c4 c5 Nf3 Nf6 d4 cxd4 Nxd4 e6 Nc3 Nc6 g3 Qb6', 'r1b1kb1r/pp1p1ppp/1qn1pn2/8/2PN4/2N3P1/PP2PP1P/R1BQKB1R w KQkq -'],
+  ['A34', 'English, symmetrical variation', 'c4 c5 Nc3', 'rnbqkbnr/pp1ppppp/8/2p5/2P5/2N5/PP1PPPPP/R1BQKBNR b KQkq -'],
+  ['A34', 'English, symmetrical, three knights system', 'c4 c5 Nc3 Nf6 Nf3 d5 cxd5 Nxd5', 'rnbqkb1r/pp2pppp/8/2pn4/8/2N2N2/PP1PPPPP/R1BQKB1R w KQkq -'],
+  ['A34', 'English, symmetrical variation', 'c4 c5 Nc3 Nf6 g3', 'rnbqkb1r/pp1ppppp/5n2/2p5/2P5/2N3P1/PP1PPP1P/R1BQKBNR b KQkq -'],
+  ['A34', 'English, symmetrical, Rubinstein system', 'c4 c5 Nc3 Nf6 g3 d5 cxd5 Nxd5 Bg2 Nc7', 'rnbqkb1r/ppn1pppp/8/2p5/8/2N3P1/PP1PPPBP/R1BQK1NR w KQkq -'],
+  ['A35', 'English, symmetrical variation', 'c4 c5 Nc3 Nc6', 'r1bqkbnr/pp1ppppp/2n5/2p5/2P5/2N5/PP1PPPPP/R1BQKBNR w KQkq -'],
+  ['A35', 'English, symmetrical, four knights system', 'c4 c5 Nc3 Nc6 Nf3 Nf6', 'r1bqkb1r/pp1ppppp/2n2n2/2p5/2P5/2N2N2/PP1PPPPP/R1BQKB1R w KQkq -'],
+  ['A36', 'English, symmetrical variation', 'c4 c5 Nc3 Nc6 g3', 'r1bqkbnr/pp1ppppp/2n5/2p5/2P5/2N3P1/PP1PPP1P/R1BQKBNR b KQkq -'],
+  ['A36', 'English, ultra-symmetrical variation', 'c4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7', 'r1bqk1nr/pp1pppbp/2n3p1/2p5/2P5/2N3P1/PP1PPPBP/R1BQK1NR w KQkq -'],
+  ['A36', 'English, symmetrical, Botvinnik system reversed', 'c4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7 e3 e5', 'r1bqk1nr/pp1p1pbp/2n3p1/2p1p3/2P5/2N1P1P1/PP1P1PBP/R1BQK1NR w KQkq -'],
+  ['A36', 'English, symmetrical, Botvinnik system', 'c4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7 e4', 'r1bqk1nr/pp1pppbp/2n3p1/2p5/2P1P3/2N3P1/PP1P1PBP/R1BQK1NR b KQkq -'],
+  ['A37', 'English, symmetrical variation', 'c4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7 Nf3', 'r1bqk1nr/pp1pppbp/2n3p1/2p5/2P5/2N2NP1/PP1PPPBP/R1BQK2R b KQkq -'],
+  ['A37', 'English, symmetrical, Botvinnik system reversed', 'c4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7 Nf3 e5', 'r1bqk1nr/pp1p1pbp/2n3p1/2p1p3/2P5/2N2NP1/PP1PPPBP/R1BQK2R w KQkq -'],
+  ['A38', 'English, symmetrical variation', 'c4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7 Nf3 Nf6', 'r1bqk2r/pp1pppbp/2n2np1/2p5/2P5/2N2NP1/PP1PPPBP/R1BQK2R w KQkq -'],
+  ['A38', 'English, symmetrical, main line with d3', 'c4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7 Nf3 Nf6 O-O O-O d3', 'r1bq1rk1/pp1pppbp/2n2np1/2p5/2P5/2NP1NP1/PP2PPBP/R1BQ1RK1 b - -'],
+  ['A38', 'English, symmetrical, main line with b3', 'c4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7 Nf3 Nf6 O-O O-O b3', 'r1bq1rk1/pp1pppbp/2n2np1/2p5/2P5/1PN2NP1/P2PPPBP/R1BQ1RK1 b - -'],
+  ['A39', 'English, symmetrical, main line with d4', 'c4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7 Nf3 Nf6 O-O O-O d4', 'r1bq1rk1/pp1pppbp/2n2np1/2p5/2PP4/2N2NP1/PP2PPBP/R1BQ1RK1 b - -'],
+  ['A40', "Queen's pawn", 'd4', 'rnbqkbnr/pppppppp/8/8/3P4/8/PPP1PPPP/RNBQKBNR b KQkq -'],
+  ['A40', "Queen's pawn, Lundin (Kevitz-Mikenas) defence", 'd4 Nc6', 'r1bqkbnr/pppppppp/2n5/8/3P4/8/PPP1PPPP/RNBQKBNR w KQkq -'],
+  ['A40', "Queen's pawn, Charlick (Englund) gambit", 'd4 e5', 'rnbqkbnr/pppp1ppp/8/4p3/3P4/8/PPP1PPPP/RNBQKBNR w KQkq -'],
+  ['A40', "Queen's pawn, Englund gambit", 'd4 e5 dxe5 Nc6 Nf3 Qe7 Qd5 f6 exf6 Nxf6', 'r1b1kb1r/ppppq1pp/2n2n2/3Q4/8/5N2/PPP1PPPP/RNB1KB1R w KQkq -'],
+  ['A40', "Queen's pawn, English defence", 'd4 b6', 'rnbqkbnr/p1pppppp/1p6/8/3P4/8/PPP1PPPP/RNBQKBNR w KQkq -'],
+  ['A40', 'Polish defence', 'd4 b5', 'rnbqkbnr/p1pppppp/8/1p6/3P4/8/PPP1PPPP/RNBQKBNR w KQkq -'],
+  ['A40', "Queen's pawn", 'd4 e6', 'rnbqkbnr/pppp1ppp/4p3/8/3P4/8/PPP1PPPP/RNBQKBNR w KQkq -'],
+  ['A40', "Queen's pawn, Keres defence", 'd4 e6 c4 b6', 'rnbqkbnr/p1pp1ppp/1p2p3/8/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['A40', "Queen's pawn, Franco-Indian (Keres) defence", 'd4 e6 c4 Bb4+', 'rnbqk1nr/pppp1ppp/4p3/8/1bPP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['A40', 'Modern defence', 'd4 g6', 'rnbqkbnr/pppppp1p/6p1/8/3P4/8/PPP1PPPP/RNBQKBNR w KQkq -'],
+  ['A40', 'Beefeater defence', 'd4 g6 c4 Bg7 Nc3 c5 d5 Bxc3+ bxc3 f5', 'rnbqk1nr/pp1pp2p/6p1/2pP1p2/2P5/2P5/P3PPPP/R1BQKBNR w KQkq -'],
+  ['A41', "Queen's Pawn", 'd4 d6', 'rnbqkbnr/ppp1pppp/3p4/8/3P4/8/PPP1PPPP/RNBQKBNR w KQkq -'],
+  ['A41', 'Old Indian, Tartakower (Wade) variation', 'd4 d6 Nf3 Bg4', 'rn1qkbnr/ppp1pppp/3p4/8/3P2b1/5N2/PPP1PPPP/RNBQKB1R w KQkq -'],
+  ['A41', 'Old Indian defence', 'd4 d6 c4', 'rnbqkbnr/ppp1pppp/3p4/8/2PP4/8/PP2PPPP/RNBQKBNR b KQkq -'],
+  ['A41', 'Modern defence', 'd4 d6 c4 g6 Nc3 Bg7', 'rnbqk1nr/ppp1ppbp/3p2p1/8/2PP4/2N5/PP2PPPP/R1BQKBNR w KQkq -'],
+  ['A41', 'Robatsch defence, Rossolimo variation', 'e4 g6 d4 Bg7 Nf3 d6 c4 Bg4', 'rn1qk1nr/ppp1ppbp/3p2p1/8/2PPP1b1/5N2/PP3PPP/RNBQKB1R w KQkq -'],
+  ['A42', 'Modern defence, Averbakh system', 'd4 d6 c4 g6 Nc3 Bg7 e4', 'rnbqk1nr/ppp1ppbp/3p2p1/8/2PPP3/2N5/PP3PPP/R1BQKBNR b KQkq -'],
+  ['A42', 'Pterodactyl defence', 'd4 d6 c4 g6 Nc3 Bg7 e4 c5 Nf3 Qa5', 'rnb1k1nr/pp2ppbp/3p2p1/q1p5/2PPP3/2N2N2/PP3PPP/R1BQKB1R w KQkq -'],
+  ['A42', 'Modern defence, Averbakh system, Randspringer variation', 'd4 d6 c4 g6 Nc3 Bg7 e4 f5', 'rnbqk1nr/ppp1p1bp/3p2p1/5p2/2PPP3/2N5/PP3PPP/R1BQKBNR w KQkq -'],
+  ['A42', 'Modern defence, Averbakh system, Kotov variation', 'd4 d6 c4 g6 Nc3 Bg7 e4 Nc6', 'r1bqk1nr/ppp1ppbp/2np2p1/8/2PPP3/2N5/PP3PPP/R1BQKBNR w KQkq -'],
+  ['A43', 'Old Benoni defence', 'd4 c5', 'rnbqkbnr/pp1ppppp/8/2p5/3P4/8/PPP1PPPP/RNBQKBNR w KQkq -'],
+  ['A43', 'Old Benoni, Franco-Benoni defence', 'd4 c5 d5 e6 e4', 'rnbqkbnr/pp1p1ppp/4p3/2pP4/4P3/8/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['A43', 'Old Benoni, Mujannah formation', 'd4 c5 d5 f5', 'rnbqkbnr/pp1pp1pp/8/2pP1p2/8/8/PPP1PPPP/RNBQKBNR w KQkq -'],
+  ['A43', 'Old Benoni defence', 'd4 c5 d5 Nf6', 'rnbqkb1r/pp1ppppp/5n2/2pP4/8/8/PPP1PPPP/RNBQKBNR w KQkq -'],
+  ['A43', 'Woozle defence', 'd4 c5 d5 Nf6 Nc3 Qa5', 'rnb1kb1r/pp1ppppp/5n2/q1pP4/8/2N5/PPP1PPPP/R1BQKBNR w KQkq -'],
+  ['A43', 'Old Benoni defence', 'd4 c5 d5 Nf6 Nf3', 'rnbqkb1r/pp1ppppp/5n2/2pP4/8/5N2/PPP1PPPP/RNBQKB1R b KQkq -'],
+  ['A43', 'Hawk (Habichd) defence', 'd4 c5 d5 Nf6 Nf3 c4', 'rnbqkb1r/pp1ppppp/5n2/3P4/2p5/5N2/PPP1PPPP/RNBQKB1R w KQkq -'],
+  ['A43', 'Old Benoni defence', 'd4 c5 d5 d6', 'rnbqkbnr/pp2pppp/3p4/2pP4/8/8/PPP1PPPP/RNBQKBNR w KQkq -'],
+  ['A43', "Old Benoni, Schmid's system", 'd4 c5 d5 d6 Nc3 g6', 'rnbqkbnr/pp2pp1p/3p2p1/2pP4/8/2N5/PPP1PPPP/R1BQKBNR w KQkq -'],
+  ['A44', 'Old Benoni defence', 'd4 c5 d5 e5', 'rnbqkbnr/pp1p1ppp/8/2pPp3/8/8/PPP1PPPP/RNBQKBNR w KQkq e6'],
+  ['A44', "Semi-Benoni (`blockade variation')", 'd4 c5 d5 e5 e4 d6', 'rnbqkbnr/pp3ppp/3p4/2pPp3/4P3/8/PPP2PPP/RNBQKBNR w KQkq -'],
+  ['A45', "Queen's pawn game", 'd4 Nf6', 'rnbqkb1r/pppppppp/5n2/8/3P4/8/PPP1PPPP/RNBQKBNR w KQkq -'],
+  ['A45', "Queen's pawn, Bronstein gambit", 'd4 Nf6 g4', 'rnbqkb1r/pppppppp/5n2/8/3P2P1/8/PPP1PP1P/RNBQKBNR b KQkq -'],
+  ['A45', 'Canard opening', 'd4 Nf6 f4', 'rnbqkb1r/pppppppp/5n2/8/3P1P2/8/PPP1P1PP/RNBQKBNR b KQkq -'],
+  ['A45', 'Paleface attack', 'd4 Nf6 f3', 'rnbqkb1r/pppppppp/5n2/8/3P4/5P2/PPP1P1PP/RNBQKBNR b KQkq -'],
+  ['A45', 'Blackmar-Diemer gambit', 'd4 Nf6 f3 d5 e4', 'rnbqkb1r/ppp1pppp/5n2/3p4/3PP3/5P2/PPP3PP/RNBQKBNR b KQkq -'],
+  ['A45', 'Gedult attack', 'd4 Nf6 f3 d5 g4', 'rnbqkb1r/ppp1pppp/5n2/3p4/3P2P1/5P2/PPP1P2P/RNBQKBNR b KQkq -'],
+  ['A45', 'Trompovsky attack (Ruth, Opovcensky opening)', 'd4 Nf6 Bg5', 'rnbqkb1r/pppppppp/5n2/6B1/3P4/8/PPP1PPPP/RN1QKBNR b KQkq -'],
+  ['A46', "Queen's pawn game", 'd4 Nf6 Nf3', 'rnbqkb1r/pppppppp/5n2/8/3P4/5N2/PPP1PPPP/RNBQKB1R b KQkq -'],
+  ['A46', "Queen's pawn, Torre attack", 'd4 Nf6 Nf3 e6 Bg5', 'rnbqkb1r/pppp1ppp/4pn2/6B1/3P4/5N2/PPP1PPPP/RN1QKB1R b KQkq -'],
+  ['A46', "Queen's pawn, Torre attack, Wagner gambit", 'd4 Nf6 Nf3 e6 Bg5 c5 e4', 'rnbqkb1r/pp1p1ppp/4pn2/2p3B1/3PP3/5N2/PPP2PPP/RN1QKB1R b KQkq -'],
+  ['A46', "Queen's pawn, Yusupov-Rubinstein system", 'd4 Nf6 Nf3 e6 e3', 'rnbqkb1r/pppp1ppp/4pn2/8/3P4/4PN2/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['A46', 'Doery defence', 'd4 Nf6 Nf3 Ne4', 'rnbqkb1r/pppppppp/8/8/3Pn3/5N2/PPP1PPPP/RNBQKB1R w KQkq -'],
+  ['A47', "Queen's Indian defence", 'd4 Nf6 Nf3 b6', 'rnbqkb1r/p1pppppp/1p3n2/8/3P4/5N2/PPP1PPPP/RNBQKB1R w KQkq -'],
+  ['A47', "Queen's Indian, Marienbad system", 'd4 Nf6 Nf3 b6 g3 Bb7 Bg2 c5', 'rn1qkb1r/pb1ppppp/1p3n2/2p5/3P4/5NP1/PPP1PPBP/RNBQK2R w KQkq -'],
+  ['A47', "Queen's Indian, Marienbad system, Berg variation", 'd4 Nf6 Nf3 b6 g3 Bb7 Bg2 c5 c4 cxd4 Qxd4', 'rn1qkb1r/pb1ppppp/1p3n2/8/2PQ4/5NP1/PP2PPBP/RNB1K2R b KQkq -'],
+  ['A48', "King's Indian, East Indian defence", 'd4 Nf6 Nf3 g6', 'rnbqkb1r/pppppp1p/5np1/8/3P4/5N2/PPP1PPPP/RNBQKB1R w KQkq -'],
+  ['A48', "King's Indian, Torre attack", 'd4 Nf6 Nf3 g6 Bg5', 'rnbqkb1r/pppppp1p/5np1/6B1/3P4/5N2/PPP1PPPP/RN1QKB1R b KQkq -'],
+  ['A48', "King's Indian, London system", 'd4 Nf6 Nf3 g6 Bf4', 'rnbqkb1r/pppppp1p/5np1/8/3P1B2/5N2/PPP1PPPP/RN1QKB1R b KQkq -'],
+  ['A49', "King's Indian, fianchetto without c4", 'd4 Nf6 Nf3 g6 g3', 'rnbqkb1r/pppppp1p/5np1/8/3P4/5NP1/PPP1PP1P/RNBQKB1R b KQkq -'],
+  ['A50', "Queen's pawn game", 'd4 Nf6 c4', 'rnbqkb1r/pppppppp/5n2/8/2PP4/8/PP2PPPP/RNBQKBNR b KQkq -'],
+  ['A50', 'Kevitz-Trajkovich defence', 'd4 Nf6 c4 Nc6', 'r1bqkb1r/pppppppp/2n2n2/8/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['A50', "Queen's Indian accelerated", 'd4 Nf6 c4 b6', 'rnbqkb1r/p1pppppp/1p3n2/8/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['A51', 'Budapest defence declined', 'd4 Nf6 c4 e5', 'rnbqkb1r/pppp1ppp/5n2/4p3/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['A51', 'Budapest, Fajarowicz variation', 'd4 Nf6 c4 e5 dxe5 Ne4', 'rnbqkb1r/pppp1ppp/8/4P3/2P1n3/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['A51', 'Budapest, Fajarowicz, Steiner variation', 'd4 Nf6 c4 e5 dxe5 Ne4 Qc2', 'rnbqkb1r/pppp1ppp/8/4P3/2P1n3/8/PPQ1PPPP/RNB1KBNR b KQkq -'],
+  ['A52', 'Budapest defence', 'd4 Nf6 c4 e5 dxe5 Ng4', 'rnbqkb1r/pppp1ppp/8/4P3/2P3n1/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['A52', 'Budapest, Adler variation', 'd4 Nf6 c4 e5 dxe5 Ng4 Nf3', 'rnbqkb1r/pppp1ppp/8/4P3/2P3n1/5N2/PP2PPPP/RNBQKB1R b KQkq -'],
+  ['A52', 'Budapest, Rubinstein variation', 'd4 Nf6 c4 e5 dxe5 Ng4 Bf4', 'rnbqkb1r/pppp1ppp/8/4P3/2P2Bn1/8/PP2PPPP/RN1QKBNR b KQkq -'],
+  ['A52', 'Budapest, Alekhine variation', 'd4 Nf6 c4 e5 dxe5 Ng4 e4', 'rnbqkb1r/pppp1ppp/8/4P3/2P1P1n1/8/PP3PPP/RNBQKBNR b KQkq -'],
+  ['A52', 'Budapest, Alekhine, Abonyi variation', 'd4 Nf6 c4 e5 dxe5 Ng4 e4 Nxe5 f4 Nec6', 'rnbqkb1r/pppp1ppp/2n5/8/2P1PP2/8/PP4PP/RNBQKBNR w KQkq -'],
+  ['A52', 'Budapest, Alekhine variation, Balogh gambit', 'd4 Nf6 c4 e5 dxe5 Ng4 e4 d6', 'rnbqkb1r/ppp2ppp/3p4/4P3/2P1P1n1/8/PP3PPP/RNBQKBNR w KQkq -'],
+  ['A53', 'Old Indian defence', 'd4 Nf6 c4 d6', 'rnbqkb1r/ppp1pppp/3p1n2/8/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['A53', 'Old Indian, Janowski variation', 'd4 Nf6 c4 d6 Nc3 Bf5', 'rn1qkb1r/ppp1pppp/3p1n2/5b2/2PP4/2N5/PP2PPPP/R1BQKBNR w KQkq -'],
+  ['A54', 'Old Indian, Ukrainian variation', 'd4 Nf6 c4 d6 Nc3 e5', 'rnbqkb1r/ppp2ppp/3p1n2/4p3/2PP4/2N5/PP2PPPP/R1BQKBNR w KQkq -'],
+  ['A54', 'Old Indian, Dus-Khotimirsky variation', 'd4 Nf6 c4 d6 Nc3 e5 e3 Nbd7 Bd3', 'r1bqkb1r/pppn1ppp/3p1n2/4p3/2PP4/2NBP3/PP3PPP/R1BQK1NR b KQkq -'],
+  ['A54', 'Old Indian, Ukrainian variation, 4.Nf3', 'd4 Nf6 c4 d6 Nc3 e5 Nf3', 'rnbqkb1r/ppp2ppp/3p1n2/4p3/2PP4/2N2N2/PP2PPPP/R1BQKB1R b KQkq -'],
+  ['A55', 'Old Indian, main line', 'd4 Nf6 c4 d6 Nc3 e5 Nf3 Nbd7 e4', 'r1bqkb1r/pppn1ppp/3p1n2/4p3/2PPP3/2N2N2/PP3PPP/R1BQKB1R b KQkq -'],
+  ['A56', 'Benoni defence', 'd4 Nf6 c4 c5', 'rnbqkb1r/pp1ppppp/5n2/2p5/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['A56', 'Benoni defence, Hromodka system', 'd4 Nf6 c4 c5 d5 d6', 'rnbqkb1r/pp2pppp/3p1n2/2pP4/2P5/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['A56', 'Vulture defence', 'd4 Nf6 c4 c5 d5 Ne4', 'rnbqkb1r/pp1ppppp/8/2pP4/2P1n3/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['A56', 'Czech Benoni defence', 'd4 Nf6 c4 c5 d5 e5', 'rnbqkb1r/pp1p1ppp/5n2/2pPp3/2P5/8/PP2PPPP/RNBQKBNR w KQkq e6'],
+  ['A56', "Czech Benoni, King's Indian system", 'd4 Nf6 c4 c5 d5 e5 Nc3 d6 e4 g6', 'rnbqkb1r/pp3p1p/3p1np1/2pPp3/2P1P3/2N5/PP3PPP/R1BQKBNR w KQkq -'],
+  ['A57', 'Benko gambit', 'd4 Nf6 c4 c5 d5 b5', 'rnbqkb1r/p2ppppp/5n2/1ppP4/2P5/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['A57', 'Benko gambit half accepted', 'd4 Nf6 c4 c5 d5 b5 cxb5 a6', 'rnbqkb1r/3ppppp/p4n2/1PpP4/8/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['A57', 'Benko gambit, Zaitsev system', 'd4 Nf6 c4 c5 d5 b5 cxb5 a6 Nc3', 'rnbqkb1r/3ppppp/p4n2/1PpP4/8/2N5/PP2PPPP/R1BQKBNR b KQkq -'],
+  ['A57', 'Benko gambit, Nescafe Frappe attack', 'd4 Nf6 c4 c5 d5 b5 cxb5 a6 Nc3 axb5 e4 b4 Nb5 d6 Bc4', 'rnbqkb1r/4pppp/3p1n2/1NpP4/1pB1P3/8/PP3PPP/R1BQK1NR b KQkq -'],
+  ['A58', 'Benko gambit accepted', 'd4 Nf6 c4 c5 d5 b5 cxb5 a6 bxa6', 'rnbqkb1r/3ppppp/P4n2/2pP4/8/8/PP2PPPP/RNBQKBNR b KQkq -'],
+  ['A58', 'Benko gambit, Nd2 variation', 'd4 Nf6 c4 c5 d5 b5 cxb5 a6 bxa6 Bxa6 Nc3 d6 Nf3 g6 Nd2', 'rn1qkb1r/4pp1p/b2p1np1/2pP4/8/2N5/PP1NPPPP/R1BQKB1R b KQkq -'],
+  ['A58', 'Benko gambit, fianchetto variation', 'd4 Nf6 c4 c5 d5 b5 cxb5 a6 bxa6 Bxa6 Nc3 d6 Nf3 g6 g3', 'rn1qkb1r/4pp1p/b2p1np1/2pP4/8/2N2NP1/PP2PP1P/R1BQKB1R b KQkq -'],
+  ['A59', 'Benko gambit, 7.e4', 'd4 Nf6 c4 c5 d5 b5 cxb5 a6 bxa6 Bxa6 Nc3 d6 e4', 'rn1qkb1r/4pppp/b2p1n2/2pP4/4P3/2N5/PP3PPP/R1BQKBNR b KQkq -'],
+  ['A59', 'Benko gambit, Ne2 variation', 'd4 Nf6 c4 c5 d5 b5 cxb5 a6 bxa6 Bxa6 Nc3 d6 e4 Bxf1 Kxf1 g6 Nge2', 'rn1qkb1r/4pp1p/3p1np1/2pP4/4P3/2N5/PP2NPPP/R1BQ1K1R b kq -'],
+  ['A59', 'Benko gambit', 'd4 Nf6 c4 c5 d5 b5 cxb5 a6 bxa6 Bxa6 Nc3 d6 e4 Bxf1 Kxf1 g6 g3', 'rn1qkb1r/4pp1p/3p1np1/2pP4/4P3/2N3P1/PP3P1P/R1BQ1KNR b kq -'],
+  ['A59', 'Benko gambit, main line', 'd4 Nf6 c4 c5 d5 b5 cxb5 a6 bxa6 Bxa6 Nc3 d6 e4 Bxf1 Kxf1 g6 g3 Bg7 Kg2 O-O Nf3', 'rn1q1rk1/4ppbp/3p1np1/2pP4/4P3/2N2NP1/PP3PKP/R1BQ3R b - -'],
+  ['A60', 'Benoni defence', 'd4 Nf6 c4 c5 d5 e6', 'rnbqkb1r/pp1p1ppp/4pn2/2pP4/2P5/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['A61', 'Benoni defence', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 Nf3 g6', 'rnbqkb1r/pp3p1p/3p1np1/2pP4/8/2N2N2/PP2PPPP/R1BQKB1R w KQkq -'],
+  ['A61', 'Benoni, Uhlmann variation', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 Nf3 g6 Bg5', 'rnbqkb1r/pp3p1p/3p1np1/2pP2B1/8/2N2N2/PP2PPPP/R2QKB1R b KQkq -'],
+  ['A61', "Benoni, Nimzovich (knight's tour) variation", 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 Nf3 g6 Nd2', 'rnbqkb1r/pp3p1p/3p1np1/2pP4/8/2N5/PP1NPPPP/R1BQKB1R b KQkq -'],
+  ['A61', 'Benoni, fianchetto variation', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 Nf3 g6 g3', 'rnbqkb1r/pp3p1p/3p1np1/2pP4/8/2N2NP1/PP2PP1P/R1BQKB1R b KQkq -'],
+  ['A62', 'Benoni, fianchetto variation', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 Nf3 g6 g3 Bg7 Bg2 O-O', 'rnbq1rk1/pp3pbp/3p1np1/2pP4/8/2N2NP1/PP2PPBP/R1BQK2R w KQ -'],
+  ['A63', 'Benoni, fianchetto, 9...Nbd7', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 Nf3 g6 g3 Bg7 Bg2 O-O O-O Nbd7', 'r1bq1rk1/pp1n1pbp/3p1np1/2pP4/8/2N2NP1/PP2PPBP/R1BQ1RK1 w - -'],
+  ['A64', 'Benoni, fianchetto, 11...Re8', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 Nf3 g6 g3 Bg7 Bg2 O-O O-O Nbd7 Nd2 a6 a4 Re8', 'r1bqr1k1/1p1n1pbp/p2p1np1/2pP4/P7/2N3P1/1P1NPPBP/R1BQ1RK1 w - -'],
+  ['A65', 'Benoni, 6.e4', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4', 'rnbqkb1r/pp3ppp/3p1n2/2pP4/4P3/2N5/PP3PPP/R1BQKBNR b KQkq -'],
+  ['A66', 'Benoni, pawn storm variation', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4 g6 f4', 'rnbqkb1r/pp3p1p/3p1np1/2pP4/4PP2/2N5/PP4PP/R1BQKBNR b KQkq -'],
+  ['A66', 'Benoni, Mikenas variation', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4 g6 f4 Bg7 e5', 'rnbqk2r/pp3pbp/3p1np1/2pPP3/5P2/2N5/PP4PP/R1BQKBNR b KQkq -'],
+  ['A67', 'Benoni, Taimanov variation', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4 g6 f4 Bg7 Bb5+', 'rnbqk2r/pp3pbp/3p1np1/1BpP4/4PP2/2N5/PP4PP/R1BQK1NR b KQkq -'],
+  ['A68', 'Benoni, four pawns attack', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4 g6 f4 Bg7 Nf3 O-O', 'rnbq1rk1/pp3pbp/3p1np1/2pP4/4PP2/2N2N2/PP4PP/R1BQKB1R w KQ -'],
+  ['A69', 'Benoni, four pawns attack, main line', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4 g6 f4 Bg7 Nf3 O-O Be2 Re8', 'rnbqr1k1/pp3pbp/3p1np1/2pP4/4PP2/2N2N2/PP2B1PP/R1BQK2R w KQ -'],
+  ['A70', 'Benoni, classical with e4 and Nf3', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4 g6 Nf3', 'rnbqkb1r/pp3p1p/3p1np1/2pP4/4P3/2N2N2/PP3PPP/R1BQKB1R b KQkq -'],
+  ['A70', 'Benoni, classical without 9.O-O', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4 g6 Nf3 Bg7 Be2', 'rnbqk2r/pp3pbp/3p1np1/2pP4/4P3/2N2N2/PP2BPPP/R1BQK2R b KQkq -'],
+  ['A71', 'Benoni, classical, 8.Bg5', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4 g6 Nf3 Bg7 Bg5', 'rnbqk2r/pp3pbp/3p1np1/2pP2B1/4P3/2N2N2/PP3PPP/R2QKB1R b KQkq -'],
+  ['A72', 'Benoni, classical without 9.O-O', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4 g6 Nf3 Bg7 Be2 O-O', 'rnbq1rk1/pp3pbp/3p1np1/2pP4/4P3/2N2N2/PP2BPPP/R1BQK2R w KQ -'],
+  ['A73', 'Benoni, classical, 9.O-O', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4 g6 Nf3 Bg7 Be2 O-O O-O', 'rnbq1rk1/pp3pbp/3p1np1/2pP4/4P3/2N2N2/PP2BPPP/R1BQ1RK1 b - -'],
+  ['A74', 'Benoni, classical, 9...a6, 10.a4', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4 g6 Nf3 Bg7 Be2 O-O O-O a6 a4', 'rnbq1rk1/1p3pbp/p2p1np1/2pP4/P3P3/2N2N2/1P2BPPP/R1BQ1RK1 b - -'],
+  ['A75', 'Benoni, classical with ...a6 and 10...Bg4', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4 g6 Nf3 Bg7 Be2 O-O O-O a6 a4 Bg4', 'rn1q1rk1/1p3pbp/p2p1np1/2pP4/P3P1b1/2N2N2/1P2BPPP/R1BQ1RK1 w - -'],
+  ['A76', 'Benoni, classical, 9...Re8', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4 g6 Nf3 Bg7 Be2 O-O O-O Re8', 'rnbqr1k1/pp3pbp/3p1np1/2pP4/4P3/2N2N2/PP2BPPP/R1BQ1RK1 w - -'],
+  ['A77', 'Benoni, classical, 9...Re8, 10.Nd2', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4 g6 Nf3 Bg7 Be2 O-O O-O Re8 Nd2', 'rnbqr1k1/pp3pbp/3p1np1/2pP4/4P3/2N5/PP1NBPPP/R1BQ1RK1 b - -'],
+  ['A78', 'Benoni, classical with ...Re8 and ...Na6', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4 g6 Nf3 Bg7 Be2 O-O O-O Re8 Nd2 Na6', 'r1bqr1k1/pp3pbp/n2p1np1/2pP4/4P3/2N5/PP1NBPPP/R1BQ1RK1 w - -'],
+  ['A79', 'Benoni, classical, 11.f3', 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6 e4 g6 Nf3 Bg7 Be2 O-O O-O Re8 Nd2 Na6 f3', 'r1bqr1k1/pp3pbp/n2p1np1/2pP4/4P3/2N2P2/PP1NB1PP/R1BQ1RK1 b - -'],
+  ['A80', 'Dutch', 'd4 f5', 'rnbqkbnr/ppppp1pp/8/5p2/3P4/8/PPP1PPPP/RNBQKBNR w KQkq -'],
+  ['A80', 'Dutch, Spielmann gambit', 'd4 f5 Nc3 Nf6 g4', 'rnbqkb1r/ppppp1pp/5n2/5p2/3P2P1/2N5/PPP1PP1P/R1BQKBNR b KQkq -'],
+  ['A80', 'Dutch, Manhattan (Alapin, Ulvestad) variation', 'd4 f5 Qd3', 'rnbqkbnr/ppppp1pp/8/5p2/3P4/3Q4/PPP1PPPP/RNB1KBNR b KQkq -'],
+  ['A80', 'Dutch, Von Pretzel gambit', 'd4 f5 Qd3 e6 g4', 'rnbqkbnr/pppp2pp/4p3/5p2/3P2P1/3Q4/PPP1PP1P/RNB1KBNR b KQkq -'],
+  ['A80', 'Dutch, Korchnoi attack', 'd4 f5 h3', 'rnbqkbnr/ppppp1pp/8/5p2/3P4/7P/PPP1PPP1/RNBQKBNR b KQkq -'],
+  ['A80', 'Dutch, Krejcik gambit', 'd4 f5 g4', 'rnbqkbnr/ppppp1pp/8/5p2/3P2P1/8/PPP1PP1P/RNBQKBNR b KQkq -'],
+  ['A80', 'Dutch, 2.Bg5 variation', 'd4 f5 Bg5', 'rnbqkbnr/ppppp1pp/8/5pB1/3P4/8/PPP1PPPP/RN1QKBNR b KQkq -'],
+  ['A81', 'Dutch defence', 'd4 f5 g3', 'rnbqkbnr/ppppp1pp/8/5p2/3P4/6P1/PPP1PP1P/RNBQKBNR b KQkq -'],
+  ['A81', 'Dutch defence, Blackburne variation', 'd4 f5 g3 Nf6 Bg2 e6 Nh3', 'rnbqkb1r/pppp2pp/4pn2/5p2/3P4/6PN/PPP1PPBP/RNBQK2R b KQkq -'],
+  ['A81', 'Dutch defence', 'd4 f5 g3 Nf6 Bg2 g6', 'rnbqkb1r/ppppp2p/5np1/5p2/3P4/6P1/PPP1PPBP/RNBQK1NR w KQkq -'],
+  ['A81', 'Dutch, Leningrad, Basman system', 'd4 f5 g3 g6 Bg2 Bg7 Nf3 c6 O-O Nh6', 'rnbqk2r/pp1pp1bp/2p3pn/5p2/3P4/5NP1/PPP1PPBP/RNBQ1RK1 w kq -'],
+  ['A81', 'Dutch, Leningrad, Karlsbad variation', 'd4 f5 g3 g6 Bg2 Bg7 Nh3', 'rnbqk1nr/ppppp1bp/6p1/5p2/3P4/6PN/PPP1PPBP/RNBQK2R b KQkq -'],
+  ['A82', 'Dutch, Staunton gambit', 'd4 f5 e4', 'rnbqkbnr/ppppp1pp/8/5p2/3PP3/8/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['A82', 'Dutch, Balogh defence', 'd4 f5 e4 d6', 'rnbqkbnr/ppp1p1pp/3p4/5p2/3PP3/8/PPP2PPP/RNBQKBNR w KQkq -'],
+  ['A82', 'Dutch, Staunton gambit', 'd4 f5 e4 fxe4', 'rnbqkbnr/ppppp1pp/8/8/3Pp3/8/PPP2PPP/RNBQKBNR w KQkq -'],
+  ['A82', 'Dutch, Staunton gambit, Tartakower variation', 'd4 f5 e4 fxe4 Nc3 Nf6 g4', 'rnbqkb1r/ppppp1pp/5n2/8/3Pp1P1/2N5/PPP2P1P/R1BQKBNR b KQkq -'],
+  ['A83', "Dutch, Staunton gambit, Staunton's line", 'd4 f5 e4 fxe4 Nc3 Nf6 Bg5', 'rnbqkb1r/ppppp1pp/5n2/6B1/3Pp3/2N5/PPP2PPP/R2QKBNR b KQkq -'],
+  ['A83', 'Dutch, Staunton gambit, Alekhine variation', 'd4 f5 e4 fxe4 Nc3 Nf6 Bg5 g6 h4', 'rnbqkb1r/ppppp2p/5np1/6B1/3Pp2P/2N5/PPP2PP1/R2QKBNR b KQkq -'],
+  ['A83', 'Dutch, Staunton gambit, Lasker variation', 'd4 f5 e4 fxe4 Nc3 Nf6 Bg5 g6 f3', 'rnbqkb1r/ppppp2p/5np1/6B1/3Pp3/2N2P2/PPP3PP/R2QKBNR b KQkq -'],
+  ['A83', 'Dutch, Staunton gambit, Chigorin variation', 'd4 f5 e4 fxe4 Nc3 Nf6 Bg5 c6', 'rnbqkb1r/pp1pp1pp/2p2n2/6B1/3Pp3/2N5/PPP2PPP/R2QKBNR w KQkq -'],
+  ['A83', 'Dutch, Staunton gambit, Nimzovich variation', 'd4 f5 e4 fxe4 Nc3 Nf6 Bg5 b6', 'rnbqkb1r/p1ppp1pp/1p3n2/6B1/3Pp3/2N5/PPP2PPP/R2QKBNR w KQkq -'],
+  ['A84', 'Dutch defence', 'd4 f5 c4', 'rnbqkbnr/ppppp1pp/8/5p2/2PP4/8/PP2PPPP/RNBQKBNR b KQkq -'],
+  ['A84', 'Dutch defence, Bladel variation', 'd4 f5 c4 g6 Nc3 Nh6', 'rnbqkb1r/ppppp2p/6pn/5p2/2PP4/2N5/PP2PPPP/R1BQKBNR w KQkq -'],
+  ['A84', 'Dutch defence', 'd4 f5 c4 e6', 'rnbqkbnr/pppp2pp/4p3/5p2/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['A84', 'Dutch defence, Rubinstein variation', 'd4 f5 c4 e6 Nc3', 'rnbqkbnr/pppp2pp/4p3/5p2/2PP4/2N5/PP2PPPP/R1BQKBNR b KQkq -'],
+  ['A84', 'Dutch, Staunton gambit deferred', 'd4 f5 c4 e6 e4', 'rnbqkbnr/pppp2pp/4p3/5p2/2PPP3/8/PP3PPP/RNBQKBNR b KQkq -'],
+  ['A84', 'Dutch defence', 'd4 f5 c4 Nf6', 'rnbqkb1r/ppppp1pp/5n2/5p2/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['A85', 'Dutch with c4 & Nc3', 'd4 f5 c4 Nf6 Nc3', 'rnbqkb1r/ppppp1pp/5n2/5p2/2PP4/2N5/PP2PPPP/R1BQKBNR b KQkq -'],
+  ['A86', 'Dutch with c4 & g3', 'd4 f5 c4 Nf6 g3', 'rnbqkb1r/ppppp1pp/5n2/5p2/2PP4/6P1/PP2PP1P/RNBQKBNR b KQkq -'],
+  ['A86', 'Dutch, Hort-Antoshin system', 'd4 f5 c4 Nf6 g3 d6 Bg2 c6 Nc3 Qc7', 'rnb1kb1r/ppq1p1pp/2pp1n2/5p2/2PP4/2N3P1/PP2PPBP/R1BQK1NR w KQkq -'],
+  ['A86', 'Dutch, Leningrad variation', 'd4 f5 c4 Nf6 g3 g6', 'rnbqkb1r/ppppp2p/5np1/5p2/2PP4/6P1/PP2PP1P/RNBQKBNR w KQkq -'],
+  ['A87', 'Dutch, Leningrad, main variation', 'd4 f5 c4 Nf6 g3 g6 Bg2 Bg7 Nf3', 'rnbqk2r/ppppp1bp/5np1/5p2/2PP4/5NP1/PP2PPBP/RNBQK2R b KQkq -'],
+  ['A88', 'Dutch, Leningrad, main variation with c6', 'd4 f5 c4 Nf6 g3 g6 Bg2 Bg7 Nf3 O-O O-O d6 Nc3 c6', 'rnbq1rk1/pp2p1bp/2pp1np1/5p2/2PP4/2N2NP1/PP2PPBP/R1BQ1RK1 w - -'],
+  ['A89', 'Dutch, Leningrad, main variation with Nc6', 'd4 f5 c4 Nf6 g3 g6 Bg2 Bg7 Nf3 O-O O-O d6 Nc3 Nc6', 'r1bq1rk1/ppp1p1bp/2np1np1/5p2/2PP4/2N2NP1/PP2PPBP/R1BQ1RK1 w - -'],
+  ['A90', 'Dutch defence', 'd4 f5 c4 Nf6 g3 e6 Bg2', 'rnbqkb1r/pppp2pp/4pn2/5p2/2PP4/6P1/PP2PPBP/RNBQK1NR b KQkq -'],
+  ['A90', 'Dutch defence, Dutch-Indian (Nimzo-Dutch) variation', 'd4 f5 c4 Nf6 g3 e6 Bg2 Bb4+', 'rnbqk2r/pppp2pp/4pn2/5p2/1bPP4/6P1/PP2PPBP/RNBQK1NR w KQkq -'],
+  ['A90', 'Dutch-Indian, Alekhine variation', 'd4 f5 c4 Nf6 g3 e6 Bg2 Bb4+ Bd2 Be7', 'rnbqk2r/ppppb1pp/4pn2/5p2/2PP4/6P1/PP1BPPBP/RN1QK1NR w KQkq -'],
+  ['A91', 'Dutch defence', 'd4 f5 c4 Nf6 g3 e6 Bg2 Be7', 'rnbqk2r/ppppb1pp/4pn2/5p2/2PP4/6P1/PP2PPBP/RNBQK1NR w KQkq -'],
+  ['A92', 'Dutch defence', 'd4 f5 c4 Nf6 g3 e6 Bg2 Be7 Nf3 O-O', 'rnbq1rk1/ppppb1pp/4pn2/5p2/2PP4/5NP1/PP2PPBP/RNBQK2R w KQ -'],
+  ['A92', 'Dutch defence, Alekhine variation', 'd4 f5 c4 Nf6 g3 e6 Bg2 Be7 Nf3 O-O O-O Ne4', 'rnbq1rk1/ppppb1pp/4p3/5p2/2PPn3/5NP1/PP2PPBP/RNBQ1RK1 w - -'],
+  ['A92', 'Dutch, stonewall variation', 'd4 f5 c4 Nf6 g3 e6 Bg2 Be7 Nf3 O-O O-O d5', 'rnbq1rk1/ppp1b1pp/4pn2/3p1p2/2PP4/5NP1/PP2PPBP/RNBQ1RK1 w - -'],
+  ['A92', 'Dutch, stonewall with Nc3', 'd4 f5 c4 Nf6 g3 e6 Bg2 Be7 Nf3 O-O O-O d5 Nc3', 'rnbq1rk1/ppp1b1pp/4pn2/3p1p2/2PP4/2N2NP1/PP2PPBP/R1BQ1RK1 b - -'],
+  ['A93', 'Dutch, stonewall, Botwinnik variation', 'd4 f5 c4 Nf6 g3 e6 Bg2 Be7 Nf3 O-O O-O d5 b3', 'rnbq1rk1/ppp1b1pp/4pn2/3p1p2/2PP4/1P3NP1/P3PPBP/RNBQ1RK1 b - -'],
+  ['A94', 'Dutch, stonewall with Ba3', 'd4 f5 c4 Nf6 g3 e6 Bg2 Be7 Nf3 O-O O-O d5 b3 c6 Ba3', 'rnbq1rk1/pp2b1pp/2p1pn2/3p1p2/2PP4/BP3NP1/P3PPBP/RN1Q1RK1 b - -'],
+  ['A95', 'Dutch, stonewall with Nc3', 'd4 f5 c4 Nf6 g3 e6 Bg2 Be7 Nf3 O-O O-O d5 Nc3 c6', 'rnbq1rk1/pp2b1pp/2p1pn2/3p1p2/2PP4/2N2NP1/PP2PPBP/R1BQ1RK1 w - -'],
+  ['A95', 'Dutch, stonewall: Chekhover variation', 'd4 f5 c4 Nf6 g3 e6 Bg2 Be7 Nf3 O-O O-O d5 Nc3 c6 Qc2 Qe8 Bg5', 'rnb1qrk1/pp2b1pp/2p1pn2/3p1pB1/2PP4/2N2NP1/PPQ1PPBP/R4RK1 b - -'],
+  ['A96', 'Dutch, classical variation', 'd4 f5 c4 Nf6 g3 e6 Bg2 Be7 Nf3 O-O O-O d6', 'rnbq1rk1/ppp1b1pp/3ppn2/5p2/2PP4/5NP1/PP2PPBP/RNBQ1RK1 w - -'],
+  ['A97', 'Dutch, Ilyin-Genevsky variation', 'd4 f5 c4 Nf6 g3 e6 Bg2 Be7 Nf3 O-O O-O d6 Nc3 Qe8', 'rnb1qrk1/ppp1b1pp/3ppn2/5p2/2PP4/2N2NP1/PP2PPBP/R1BQ1RK1 w - -'],
+  ['A97', 'Dutch, Ilyin-Genevsky, Winter variation', 'd4 f5 c4 Nf6 g3 e6 Bg2 Be7 Nf3 O-O O-O d6 Nc3 Qe8 Re1', 'rnb1qrk1/ppp1b1pp/3ppn2/5p2/2PP4/2N2NP1/PP2PPBP/R1BQR1K1 b - -'],
+  ['A98', 'Dutch, Ilyin-Genevsky variation with Qc2', 'd4 f5 c4 Nf6 g3 e6 Bg2 Be7 Nf3 O-O O-O d6 Nc3 Qe8 Qc2', 'rnb1qrk1/ppp1b1pp/3ppn2/5p2/2PP4/2N2NP1/PPQ1PPBP/R1B2RK1 b - -'],
+  ['A99', 'Dutch, Ilyin-Genevsky variation with b3', 'd4 f5 c4 Nf6 g3 e6 Bg2 Be7 Nf3 O-O O-O d6 Nc3 Qe8 b3', 'rnb1qrk1/ppp1b1pp/3ppn2/5p2/2PP4/1PN2NP1/P3PPBP/R1BQ1RK1 b - -'],
+  ['B00', "King's pawn opening", 'e4', 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq -'],
+  ['B00', 'Hippopotamus defence', 'e4 Nh6 d4 g6 c4 f6', 'rnbqkb1r/ppppp2p/5ppn/8/2PPP3/8/PP3PPP/RNBQKBNR w KQkq -'],
+  ['B00', 'Corn stalk defence', 'e4 a5', 'rnbqkbnr/1ppppppp/8/p7/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B00', 'Lemming defence', 'e4 Na6', 'r1bqkbnr/pppppppp/n7/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B00', 'Fred', 'e4 f5', 'rnbqkbnr/ppppp1pp/8/5p2/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B00', 'Barnes defence', 'e4 f6', 'rnbqkbnr/ppppp1pp/5p2/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B00', 'Fried fox defence', 'e4 f6 d4 Kf7', 'rnbq1bnr/pppppkpp/5p2/8/3PP3/8/PPP2PPP/RNBQKBNR w KQ -'],
+  ['B00', "Carr's defence", 'e4 h6', 'rnbqkbnr/ppppppp1/7p/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B00', 'Reversed Grob (Borg/Basman defence/macho Grob)', 'e4 g5', 'rnbqkbnr/pppppp1p/8/6p1/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B00', 'St. George (Baker) defence', 'e4 a6', 'rnbqkbnr/1ppppppp/p7/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B00', 'Owen defence', 'e4 b6', 'rnbqkbnr/p1pppppp/1p6/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B00', 'Guatemala defence', 'e4 b6 d4 Ba6', 'rn1qkbnr/p1pppppp/bp6/8/3PP3/8/PPP2PPP/RNBQKBNR w KQkq -'],
+  ['B00', 'KP, Nimzovich defence', 'e4 Nc6', 'r1bqkbnr/pppppppp/2n5/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B00', 'KP, Nimzovich defence, Wheeler gambit', 'e4 Nc6 b4 Nxb4 c3 Nc6 d4', 'r1bqkbnr/pppppppp/2n5/8/3PP3/2P5/P4PPP/RNBQKBNR b KQkq -'],
+  ['B00', 'KP, Nimzovich defence', 'e4 Nc6 Nf3', 'r1bqkbnr/pppppppp/2n5/8/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq -'],
+  ['B00', 'KP, Colorado counter', 'e4 Nc6 Nf3 f5', 'r1bqkbnr/ppppp1pp/2n5/5p2/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['B00', 'KP, Nimzovich defence', 'e4 Nc6 d4', 'r1bqkbnr/pppppppp/2n5/8/3PP3/8/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['B00', 'KP, Nimzovich defence, Marshall gambit', 'e4 Nc6 d4 d5 exd5 Qxd5 Nc3', 'r1b1kbnr/ppp1pppp/2n5/3q4/3P4/2N5/PPP2PPP/R1BQKBNR b KQkq -'],
+  ['B00', 'KP, Nimzovich defence, Bogolyubov variation', 'e4 Nc6 d4 d5 Nc3', 'r1bqkbnr/ppp1pppp/2n5/3p4/3PP3/2N5/PPP2PPP/R1BQKBNR b KQkq -'],
+  ['B00', 'KP, Neo-Mongoloid defence', 'e4 Nc6 d4 f6', 'r1bqkbnr/ppppp1pp/2n2p2/8/3PP3/8/PPP2PPP/RNBQKBNR w KQkq -'],
+  ['B01', 'Scandinavian (centre counter) defence', 'e4 d5', 'rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B01', 'Scandinavian defence, Lasker variation', 'e4 d5 exd5 Qxd5 Nc3 Qa5 d4 Nf6 Nf3 Bg4 h3', 'rn2kb1r/ppp1pppp/5n2/q7/3P2b1/2N2N1P/PPP2PP1/R1BQKB1R b KQkq -'],
+  ['B01', 'Scandinavian defence', 'e4 d5 exd5 Qxd5 Nc3 Qa5 d4 Nf6 Nf3 Bf5', 'rn2kb1r/ppp1pppp/5n2/q4b2/3P4/2N2N2/PPP2PPP/R1BQKB1R w KQkq -'],
+  ['B01', 'Scandinavian defence, Gruenfeld variation', 'e4 d5 exd5 Qxd5 Nc3 Qa5 d4 Nf6 Nf3 Bf5 Ne5 c6 g4', 'rn2kb1r/pp2pppp/2p2n2/q3Nb2/3P2P1/2N5/PPP2P1P/R1BQKB1R b KQkq -'],
+  ['B01', 'Scandinavian, Anderssen counter-attack', 'e4 d5 exd5 Qxd5 Nc3 Qa5 d4 e5', 'rnb1kbnr/ppp2ppp/8/q3p3/3P4/2N5/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['B01', 'Scandinavian, Anderssen counter-attack orthodox attack', 'e4 d5 exd5 Qxd5 Nc3 Qa5 d4 e5 dxe5 Bb4 Bd2 Nc6 Nf3', 'r1b1k1nr/ppp2ppp/2n5/q3P3/1b6/2N2N2/PPPB1PPP/R2QKB1R b KQkq -'],
+  ['B01', 'Scandinavian, Anderssen counter-attack, Goteborg system', 'e4 d5 exd5 Qxd5 Nc3 Qa5 d4 e5 Nf3', 'rnb1kbnr/ppp2ppp/8/q3p3/3P4/2N2N2/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['B01', 'Scandinavian, Anderssen counter-attack, Collijn variation', 'e4 d5 exd5 Qxd5 Nc3 Qa5 d4 e5 Nf3 Bg4', 'rn2kbnr/ppp2ppp/8/q3p3/3P2b1/2N2N2/PPP2PPP/R1BQKB1R w KQkq -'],
+  ['B01', 'Scandinavian, Mieses-Kotrvc gambit', 'e4 d5 exd5 Qxd5 Nc3 Qa5 b4', 'rnb1kbnr/ppp1pppp/8/q7/1P6/2N5/P1PP1PPP/R1BQKBNR b KQkq -'],
+  ['B01', 'Scandinavian, Pytel-Wade variation', 'e4 d5 exd5 Qxd5 Nc3 Qd6', 'rnb1kbnr/ppp1pppp/3q4/8/8/2N5/PPPP1PPP/R1BQKBNR w KQkq -'],
+  ['B01', 'Scandinavian defence', 'e4 d5 exd5 Nf6', 'rnbqkb1r/ppp1pppp/5n2/3P4/8/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B01', 'Scandinavian, Icelandic gambit', 'e4 d5 exd5 Nf6 c4 e6', 'rnbqkb1r/ppp2ppp/4pn2/3P4/2P5/8/PP1P1PPP/RNBQKBNR w KQkq -'],
+  ['B01', 'Scandinavian gambit', 'e4 d5 exd5 Nf6 c4 c6', 'rnbqkb1r/pp2pppp/2p2n2/3P4/2P5/8/PP1P1PPP/RNBQKBNR w KQkq -'],
+  ['B01', 'Scandinavian defence', 'e4 d5 exd5 Nf6 d4', 'rnbqkb1r/ppp1pppp/5n2/3P4/3P4/8/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['B01', 'Scandinavian, Marshall variation', 'e4 d5 exd5 Nf6 d4 Nxd5', 'rnbqkb1r/ppp1pppp/8/3n4/3P4/8/PPP2PPP/RNBQKBNR w KQkq -'],
+  ['B01', 'Scandinavian, Kiel variation', 'e4 d5 exd5 Nf6 d4 Nxd5 c4 Nb4', 'rnbqkb1r/ppp1pppp/8/8/1nPP4/8/PP3PPP/RNBQKBNR w KQkq -'],
+  ['B01', 'Scandinavian, Richter variation', 'e4 d5 exd5 Nf6 d4 g6', 'rnbqkb1r/ppp1pp1p/5np1/3P4/3P4/8/PPP2PPP/RNBQKBNR w KQkq -'],
+  ['B02', "Alekhine's defence", 'e4 Nf6', 'rnbqkb1r/pppppppp/5n2/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B02', "Alekhine's defence, Scandinavian variation", 'e4 Nf6 Nc3 d5', 'rnbqkb1r/ppp1pppp/5n2/3p4/4P3/2N5/PPPP1PPP/R1BQKBNR w KQkq -'],
+  ['B02', "Alekhine's defence, Spielmann variation", 'e4 Nf6 Nc3 d5 e5 Nfd7 e6', 'rnbqkb1r/pppnpppp/4P3/3p4/8/2N5/PPPP1PPP/R1BQKBNR b KQkq -'],
+  ['B02', "Alekhine's defence, Maroczy variation", 'e4 Nf6 d3', 'rnbqkb1r/pppppppp/5n2/8/4P3/3P4/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['B02', "Alekhine's defence, Krejcik variation", 'e4 Nf6 Bc4', 'rnbqkb1r/pppppppp/5n2/8/2B1P3/8/PPPP1PPP/RNBQK1NR b KQkq -'],
+  ['B02', "Alekhine's defence, Mokele Mbembe (Buecker) variation", 'e4 Nf6 e5 Ne4', 'rnbqkb1r/pppppppp/8/4P3/4n3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B02', "Alekhine's defence, Brooklyn defence", 'e4 Nf6 e5 Ng8', 'rnbqkbnr/pppppppp/8/4P3/8/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B02', "Alekhine's defence", 'e4 Nf6 e5 Nd5', 'rnbqkb1r/pppppppp/8/3nP3/8/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B02', "Alekhine's defence, Kmoch variation", 'e4 Nf6 e5 Nd5 Bc4 Nb6 Bb3 c5 d3', 'rnbqkb1r/pp1ppppp/1n6/2p1P3/8/1B1P4/PPP2PPP/RNBQK1NR b KQkq -'],
+  ['B02', "Alekhine's defence, Saemisch attack", 'e4 Nf6 e5 Nd5 Nc3', 'rnbqkb1r/pppppppp/8/3nP3/8/2N5/PPPP1PPP/R1BQKBNR b KQkq -'],
+  ['B02', "Alekhine's defence, Welling variation", 'e4 Nf6 e5 Nd5 b3', 'rnbqkb1r/pppppppp/8/3nP3/8/1P6/P1PP1PPP/RNBQKBNR b KQkq -'],
+  ['B02', "Alekhine's defence", 'e4 Nf6 e5 Nd5 c4', 'rnbqkb1r/pppppppp/8/3nP3/2P5/8/PP1P1PPP/RNBQKBNR b KQkq -'],
+  ['B02', "Alekhine's defence, Steiner variation", 'e4 Nf6 e5 Nd5 c4 Nb6 b3', 'rnbqkb1r/pppppppp/1n6/4P3/2P5/1P6/P2P1PPP/RNBQKBNR b KQkq -'],
+  ['B02', "Alekhine's defence, two pawns' (Lasker's) attack", 'e4 Nf6 e5 Nd5 c4 Nb6 c5', 'rnbqkb1r/pppppppp/1n6/2P1P3/8/8/PP1P1PPP/RNBQKBNR b KQkq -'],
+  ['B02', "Alekhine's defence, two pawns' attack, Mikenas variation", 'e4 Nf6 e5 Nd5 c4 Nb6 c5 Nd5 Bc4 e6 Nc3 d6', 'rnbqkb1r/ppp2ppp/3pp3/2PnP3/2B5/2N5/PP1P1PPP/R1BQK1NR w KQkq -'],
+  ['B03', "Alekhine's defence", 'e4 Nf6 e5 Nd5 d4', 'rnbqkb1r/pppppppp/8/3nP3/3P4/8/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['B03', "Alekhine's defence, O'Sullivan gambit", 'e4 Nf6 e5 Nd5 d4 b5', 'rnbqkb1r/p1pppppp/8/1p1nP3/3P4/8/PPP2PPP/RNBQKBNR w KQkq -'],
+  ['B03', "Alekhine's defence", 'e4 Nf6 e5 Nd5 d4 d6', 'rnbqkb1r/ppp1pppp/3p4/3nP3/3P4/8/PPP2PPP/RNBQKBNR w KQkq -'],
+  ['B03', "Alekhine's defence, Balogh variation", 'e4 Nf6 e5 Nd5 d4 d6 Bc4', 'rnbqkb1r/ppp1pppp/3p4/3nP3/2BP4/8/PPP2PPP/RNBQK1NR b KQkq -'],
+  ['B03', "Alekhine's defence", 'e4 Nf6 e5 Nd5 d4 d6 c4', 'rnbqkb1r/ppp1pppp/3p4/3nP3/2PP4/8/PP3PPP/RNBQKBNR b KQkq -'],
+  ['B03', "Alekhine's defence, exchange variation", 'e4 Nf6 e5 Nd5 d4 d6 c4 Nb6 exd6', 'rnbqkb1r/ppp1pppp/1n1P4/8/2PP4/8/PP3PPP/RNBQKBNR b KQkq -'],
+  ['B03', "Alekhine's defence, exchange, Karpov variation", 'e4 Nf6 e5 Nd5 d4 d6 c4 Nb6 exd6 cxd6 Nf3 g6 Be2 Bg7 O-O O-O h3 Nc6 Nc3 Bf5 Bf4', 'r2q1rk1/pp2ppbp/1nnp2p1/5b2/2PP1B2/2N2N1P/PP2BPP1/R2Q1RK1 b - -'],
+  ['B03', "Alekhine's defence, four pawns attack", 'e4 Nf6 e5 Nd5 d4 d6 c4 Nb6 f4', 'rnbqkb1r/ppp1pppp/1n1p4/4P3/2PP1P2/8/PP4PP/RNBQKBNR b KQkq -'],
+  ['B03', "Alekhine's defence, four pawns attack, Korchnoi variation", 'e4 Nf6 e5 Nd5 d4 d6 c4 Nb6 f4 dxe5 fxe5 Bf5 Nc3 e6 Nf3 Be7 Be2 O-O O-O f6', 'rn1q1rk1/ppp1b1pp/1n2pp2/4Pb2/2PP4/2N2N2/PP2B1PP/R1BQ1RK1 w - -'],
+  ['B03', "Alekhine's defence, four pawns attack, 6...Nc6", 'e4 Nf6 e5 Nd5 d4 d6 c4 Nb6 f4 dxe5 fxe5 Nc6', 'r1bqkb1r/ppp1pppp/1nn5/4P3/2PP4/8/PP4PP/RNBQKBNR w KQkq -'],
+  ['B03', "Alekhine's defence, four pawns attack, Ilyin-Genevsky var.", 'e4 Nf6 e5 Nd5 d4 d6 c4 Nb6 f4 dxe5 fxe5 Nc6 Nf3 Bg4 e6 fxe6 c5', 'r2qkb1r/ppp1p1pp/1nn1p3/2P5/3P2b1/5N2/PP4PP/RNBQKB1R b KQkq -'],
+  ['B03', "Alekhine's defence, four pawns attack, 7.Be3", 'e4 Nf6 e5 Nd5 d4 d6 c4 Nb6 f4 dxe5 fxe5 Nc6 Be3', 'r1bqkb1r/ppp1pppp/1nn5/4P3/2PP4/4B3/PP4PP/RN1QKBNR b KQkq -'],
+  ['B03', "Alekhine's defence, four pawns attack, Tartakower variation", 'e4 Nf6 e5 Nd5 d4 d6 c4 Nb6 f4 dxe5 fxe5 Nc6 Be3 Bf5 Nc3 e6 Nf3 Qd7 Be2 O-O-O O-O Be7', '2kr3r/pppqbppp/1nn1p3/4Pb2/2PP4/2N1BN2/PP2B1PP/R2Q1RK1 w - -'],
+  ['B03', "Alekhine's defence, four pawns attack, Planinc variation", 'e4 Nf6 e5 Nd5 d4 d6 c4 Nb6 f4 g5', 'rnbqkb1r/ppp1pp1p/1n1p4/4P1p1/2PP1P2/8/PP4PP/RNBQKBNR w KQkq -'],
+  ['B03', "Alekhine's defence, four pawns attack, fianchetto variation", 'e4 Nf6 e5 Nd5 d4 d6 c4 Nb6 f4 g6', 'rnbqkb1r/ppp1pp1p/1n1p2p1/4P3/2PP1P2/8/PP4PP/RNBQKBNR w KQkq -'],
+  ['B03', "Alekhine's defence, four pawns attack, Trifunovic variation", 'e4 Nf6 e5 Nd5 d4 d6 c4 Nb6 f4 Bf5', 'rn1qkb1r/ppp1pppp/1n1p4/4Pb2/2PP1P2/8/PP4PP/RNBQKBNR w KQkq -'],
+  ['B04', "Alekhine's defence, modern variation", 'e4 Nf6 e5 Nd5 d4 d6 Nf3', 'rnbqkb1r/ppp1pppp/3p4/3nP3/3P4/5N2/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['B04', "Alekhine's defence, modern, Larsen variation", 'e4 Nf6 e5 Nd5 d4 d6 Nf3 dxe5', 'rnbqkb1r/ppp1pppp/8/3np3/3P4/5N2/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['B04', "Alekhine's defence, modern, Schmid variation", 'e4 Nf6 e5 Nd5 d4 d6 Nf3 Nb6', 'rnbqkb1r/ppp1pppp/1n1p4/4P3/3P4/5N2/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['B04', "Alekhine's defence, modern, fianchetto variation", 'e4 Nf6 e5 Nd5 d4 d6 Nf3 g6', 'rnbqkb1r/ppp1pp1p/3p2p1/3nP3/3P4/5N2/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['B04', "Alekhine's defence, modern, Keres variation", 'e4 Nf6 e5 Nd5 d4 d6 Nf3 g6 Bc4 Nb6 Bb3 Bg7 a4', 'rnbqk2r/ppp1ppbp/1n1p2p1/4P3/P2P4/1B3N2/1PP2PPP/RNBQK2R b KQkq -'],
+  ['B05', "Alekhine's defence, modern variation, 4...Bg4", 'e4 Nf6 e5 Nd5 d4 d6 Nf3 Bg4', 'rn1qkb1r/ppp1pppp/3p4/3nP3/3P2b1/5N2/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['B05', "Alekhine's defence, modern, Flohr variation", 'e4 Nf6 e5 Nd5 d4 d6 Nf3 Bg4 Be2 c6', 'rn1qkb1r/pp2pppp/2pp4/3nP3/3P2b1/5N2/PPP1BPPP/RNBQK2R w KQkq -'],
+  ['B05', "Alekhine's defence, modern, Panov variation", 'e4 Nf6 e5 Nd5 d4 d6 Nf3 Bg4 h3', 'rn1qkb1r/ppp1pppp/3p4/3nP3/3P2b1/5N1P/PPP2PP1/RNBQKB1R b KQkq -'],
+  ['B05', "Alekhine's defence, modern, Alekhine variation", 'e4 Nf6 e5 Nd5 d4 d6 Nf3 Bg4 c4', 'rn1qkb1r/ppp1pppp/3p4/3nP3/2PP2b1/5N2/PP3PPP/RNBQKB1R b KQkq -'],
+  ['B05', "Alekhine's defence, modern, Vitolins attack", 'e4 Nf6 e5 Nd5 d4 d6 Nf3 Bg4 c4 Nb6 d5', 'rn1qkb1r/ppp1pppp/1n1p4/3PP3/2P3b1/5N2/PP3PPP/RNBQKB1R b KQkq -'],
+  ['B06', 'Robatsch (modern) defence', 'e4 g6', 'rnbqkbnr/pppppp1p/6p1/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B06', 'Norwegian defence', 'e4 g6 d4 Nf6 e5 Nh5 g4 Ng7', 'rnbqkb1r/ppppppnp/6p1/4P3/3P2P1/8/PPP2P1P/RNBQKBNR w KQkq -'],
+  ['B06', 'Robatsch (modern) defence', 'e4 g6 d4 Bg7', 'rnbqk1nr/ppppppbp/6p1/8/3PP3/8/PPP2PPP/RNBQKBNR w KQkq -'],
+  ['B06', 'Robatsch defence, three pawns attack', 'e4 g6 d4 Bg7 f4', 'rnbqk1nr/ppppppbp/6p1/8/3PPP2/8/PPP3PP/RNBQKBNR b KQkq -'],
+  ['B06', 'Robatsch defence', 'e4 g6 d4 Bg7 Nc3', 'rnbqk1nr/ppppppbp/6p1/8/3PP3/2N5/PPP2PPP/R1BQKBNR b KQkq -'],
+  ['B06', 'Robatsch defence, Gurgenidze variation', 'e4 g6 d4 Bg7 Nc3 c6 f4 d5 e5 h5', 'rnbqk1nr/pp2ppb1/2p3p1/3pP2p/3P1P2/2N5/PPP3PP/R1BQKBNR w KQkq -'],
+  ['B06', 'Robatsch (modern) defence', 'e4 g6 d4 Bg7 Nc3 d6', 'rnbqk1nr/ppp1ppbp/3p2p1/8/3PP3/2N5/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['B06', 'Robatsch defence, two knights variation', 'e4 g6 d4 Bg7 Nc3 d6 Nf3', 'rnbqk1nr/ppp1ppbp/3p2p1/8/3PP3/2N2N2/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['B06', 'Robatsch defence, two knights, Suttles variation', 'e4 g6 d4 Bg7 Nc3 d6 Nf3 c6', 'rnbqk1nr/pp2ppbp/2pp2p1/8/3PP3/2N2N2/PPP2PPP/R1BQKB1R w KQkq -'],
+  ['B06', 'Robatsch defence, Pseudo-Austrian attack', 'e4 g6 d4 Bg7 Nc3 d6 f4', 'rnbqk1nr/ppp1ppbp/3p2p1/8/3PPP2/2N5/PPP3PP/R1BQKBNR b KQkq -'],
+  ['B07', 'Pirc defence', 'e4 d6 d4 Nf6 Nc3', 'rnbqkb1r/ppp1pppp/3p1n2/8/3PP3/2N5/PPP2PPP/R1BQKBNR b KQkq -'],
+  ['B07', 'Pirc, Ufimtsev-Pytel variation', 'e4 d6 d4 Nf6 Nc3 c6', 'rnbqkb1r/pp2pppp/2pp1n2/8/3PP3/2N5/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['B07', 'Pirc defence', 'e4 d6 d4 Nf6 Nc3 g6', 'rnbqkb1r/ppp1pp1p/3p1np1/8/3PP3/2N5/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['B07', 'Pirc, 150 attack', 'e4 d6 d4 Nf6 Nc3 g6 Be3 c6 Qd2', 'rnbqkb1r/pp2pp1p/2pp1np1/8/3PP3/2N1B3/PPPQ1PPP/R3KBNR b KQkq -'],
+  ['B07', 'Pirc, Sveshnikov system', 'e4 d6 d4 Nf6 Nc3 g6 g3', 'rnbqkb1r/ppp1pp1p/3p1np1/8/3PP3/2N3P1/PPP2P1P/R1BQKBNR b KQkq -'],
+  ['B07', 'Pirc, Holmov system', 'e4 d6 d4 Nf6 Nc3 g6 Bc4', 'rnbqkb1r/ppp1pp1p/3p1np1/8/2BPP3/2N5/PPP2PPP/R1BQK1NR b KQkq -'],
+  ['B07', 'Pirc, Byrne variation', 'e4 d6 d4 Nf6 Nc3 g6 Bg5', 'rnbqkb1r/ppp1pp1p/3p1np1/6B1/3PP3/2N5/PPP2PPP/R2QKBNR b KQkq -'],
+  ['B07', 'Pirc defence', 'e4 d6 d4 Nf6 Nc3 g6 Be2', 'rnbqkb1r/ppp1pp1p/3p1np1/8/3PP3/2N5/PPP1BPPP/R1BQK1NR b KQkq -'],
+  ['B07', 'Pirc, Chinese variation', 'e4 d6 d4 Nf6 Nc3 g6 Be2 Bg7 g4', 'rnbqk2r/ppp1ppbp/3p1np1/8/3PP1P1/2N5/PPP1BP1P/R1BQK1NR b KQkq -'],
+  ['B07', 'Pirc, bayonet (Mariotti) attack', 'e4 d6 d4 Nf6 Nc3 g6 Be2 Bg7 h4', 'rnbqk2r/ppp1ppbp/3p1np1/8/3PP2P/2N5/PPP1BPP1/R1BQK1NR b KQkq -'],
+  ['B07', "Robatsch defence, Geller's system", 'e4 g6 d4 Bg7 Nf3 d6 c3', 'rnbqk1nr/ppp1ppbp/3p2p1/8/3PP3/2P2N2/PP3PPP/RNBQKB1R b KQkq -'],
+  ['B08', 'Pirc, classical (two knights) system', 'e4 d6 d4 Nf6 Nc3 g6 Nf3', 'rnbqkb1r/ppp1pp1p/3p1np1/8/3PP3/2N2N2/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['B08', 'Pirc, classical (two knights) system', 'e4 d6 d4 Nf6 Nc3 g6 Nf3 Bg7', 'rnbqk2r/ppp1ppbp/3p1np1/8/3PP3/2N2N2/PPP2PPP/R1BQKB1R w KQkq -'],
+  ['B08', 'Pirc, classical, h3 system', 'e4 d6 d4 Nf6 Nc3 g6 Nf3 Bg7 h3', 'rnbqk2r/ppp1ppbp/3p1np1/8/3PP3/2N2N1P/PPP2PP1/R1BQKB1R b KQkq -'],
+  ['B08', 'Pirc, classical system, 5.Be2', 'e4 d6 d4 Nf6 Nc3 g6 Nf3 Bg7 Be2', 'rnbqk2r/ppp1ppbp/3p1np1/8/3PP3/2N2N2/PPP1BPPP/R1BQK2R b KQkq -'],
+  ['B09', 'Pirc, Austrian attack', 'e4 d6 d4 Nf6 Nc3 g6 f4', 'rnbqkb1r/ppp1pp1p/3p1np1/8/3PPP2/2N5/PPP3PP/R1BQKBNR b KQkq -'],
+  ['B09', 'Pirc, Austrian attack', 'e4 d6 d4 Nf6 Nc3 g6 f4 Bg7 Nf3 O-O', 'rnbq1rk1/ppp1ppbp/3p1np1/8/3PPP2/2N2N2/PPP3PP/R1BQKB1R w KQ -'],
+  ['B09', 'Pirc, Austrian attack, 6.e5', 'e4 d6 d4 Nf6 Nc3 g6 f4 Bg7 Nf3 O-O e5', 'rnbq1rk1/ppp1ppbp/3p1np1/4P3/3P1P2/2N2N2/PPP3PP/R1BQKB1R b KQ -'],
+  ['B09', 'Pirc, Austrian attack, 6.Be3', 'e4 d6 d4 Nf6 Nc3 g6 f4 Bg7 Nf3 O-O Be3', 'rnbq1rk1/ppp1ppbp/3p1np1/8/3PPP2/2N1BN2/PPP3PP/R2QKB1R b KQ -'],
+  ['B09', 'Pirc, Austrian attack, 6.Bd3', 'e4 d6 d4 Nf6 Nc3 g6 f4 Bg7 Nf3 O-O Bd3', 'rnbq1rk1/ppp1ppbp/3p1np1/8/3PPP2/2NB1N2/PPP3PP/R1BQK2R b KQ -'],
+  ['B09', 'Pirc, Austrian attack, dragon formation', 'e4 d6 d4 Nf6 Nc3 g6 f4 Bg7 Nf3 c5', 'rnbqk2r/pp2ppbp/3p1np1/2p5/3PPP2/2N2N2/PPP3PP/R1BQKB1R w KQkq -'],
+  ['B09', 'Pirc, Austrian attack, Ljubojevic variation', 'e4 d6 d4 Nf6 Nc3 g6 f4 Bg7 Bc4', 'rnbqk2r/ppp1ppbp/3p1np1/8/2BPPP2/2N5/PPP3PP/R1BQK1NR b KQkq -'],
+  ['B10', 'Caro-Kann defence', 'e4 c6', 'rnbqkbnr/pp1ppppp/2p5/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B10', 'Caro-Kann, Hillbilly attack', 'e4 c6 Bc4', 'rnbqkbnr/pp1ppppp/2p5/8/2B1P3/8/PPPP1PPP/RNBQK1NR b KQkq -'],
+  ['B10', 'Caro-Kann, anti-Caro-Kann defence', 'e4 c6 c4', 'rnbqkbnr/pp1ppppp/2p5/8/2P1P3/8/PP1P1PPP/RNBQKBNR b KQkq -'],
+  ['B10', 'Caro-Kann, anti-anti-Caro-Kann defence', 'e4 c6 c4 d5', 'rnbqkbnr/pp2pppp/2p5/3p4/2P1P3/8/PP1P1PPP/RNBQKBNR w KQkq -'],
+  ['B10', 'Caro-Kann, closed (Breyer) variation', 'e4 c6 d3', 'rnbqkbnr/pp1ppppp/2p5/8/4P3/3P4/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['B10', 'Caro-Kann defence', 'e4 c6 Nc3', 'rnbqkbnr/pp1ppppp/2p5/8/4P3/2N5/PPPP1PPP/R1BQKBNR b KQkq -'],
+  ['B10', 'Caro-Kann, Goldman (Spielmann) variation', 'e4 c6 Nc3 d5 Qf3', 'rnbqkbnr/pp2pppp/2p5/3p4/4P3/2N2Q2/PPPP1PPP/R1B1KBNR b KQkq -'],
+  ['B10', 'Caro-Kann, two knights variation', 'e4 c6 Nc3 d5 Nf3', 'rnbqkbnr/pp2pppp/2p5/3p4/4P3/2N2N2/PPPP1PPP/R1BQKB1R b KQkq -'],
+  ['B11', 'Caro-Kann, two knights, 3...Bg4', 'e4 c6 Nc3 d5 Nf3 Bg4', 'rn1qkbnr/pp2pppp/2p5/3p4/4P1b1/2N2N2/PPPP1PPP/R1BQKB1R w KQkq -'],
+  ['B12', 'Caro-Kann defence', 'e4 c6 d4', 'rnbqkbnr/pp1ppppp/2p5/8/3PP3/8/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['B12', 'de Bruycker defence', 'e4 c6 d4 Na6 Nc3 Nc7', 'r1bqkbnr/ppnppppp/2p5/8/3PP3/2N5/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['B12', 'Caro-Masi defence', 'e4 c6 d4 Nf6', 'rnbqkb1r/pp1ppppp/2p2n2/8/3PP3/8/PPP2PPP/RNBQKBNR w KQkq -'],
+  ['B12', 'Caro-Kann defence', 'e4 c6 d4 d5', 'rnbqkbnr/pp2pppp/2p5/3p4/3PP3/8/PPP2PPP/RNBQKBNR w KQkq -'],
+  ['B12', 'Caro-Kann, Tartakower (fantasy) variation', 'e4 c6 d4 d5 f3', 'rnbqkbnr/pp2pppp/2p5/3p4/3PP3/5P2/PPP3PP/RNBQKBNR b KQkq -'],
+  ['B12', 'Caro-Kann, 3.Nd2', 'e4 c6 d4 d5 Nd2', 'rnbqkbnr/pp2pppp/2p5/3p4/3PP3/8/PPPN1PPP/R1BQKBNR b KQkq -'],
+  ['B12', 'Caro-Kann, Edinburgh variation', 'e4 c6 d4 d5 Nd2 Qb6', 'rnb1kbnr/pp2pppp/1qp5/3p4/3PP3/8/PPPN1PPP/R1BQKBNR w KQkq -'],
+  ['B12', 'Caro-Kann, advance variation', 'e4 c6 d4 d5 e5', 'rnbqkbnr/pp2pppp/2p5/3pP3/3P4/8/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['B12', 'Caro-Kann, advance, Short variation', 'e4 c6 d4 d5 e5 Bf5 c3 e6 Be2', 'rn1qkbnr/pp3ppp/2p1p3/3pPb2/3P4/2P5/PP2BPPP/RNBQK1NR b KQkq -'],
+  ['B13', 'Caro-Kann, exchange variation', 'e4 c6 d4 d5 exd5', 'rnbqkbnr/pp2pppp/2p5/3P4/3P4/8/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['B13', 'Caro-Kann, exchange, Rubinstein variation', 'e4 c6 d4 d5 exd5 cxd5 Bd3 Nc6 c3 Nf6 Bf4', 'r1bqkb1r/pp2pppp/2n2n2/3p4/3P1B2/2PB4/PP3PPP/RN1QK1NR b KQkq -'],
+  ['B13', 'Caro-Kann, Panov-Botvinnik attack', 'e4 c6 d4 d5 exd5 cxd5 c4', 'rnbqkbnr/pp2pppp/8/3p4/2PP4/8/PP3PPP/RNBQKBNR b KQkq -'],
+  ['B13', 'Caro-Kann, Panov-Botvinnik, Gunderam attack', 'e4 c6 d4 d5 exd5 cxd5 c4 Nf6 c5', 'rnbqkb1r/pp2pppp/5n2/2Pp4/3P4/8/PP3PPP/RNBQKBNR b KQkq -'],
+  ['B13', 'Caro-Kann, Panov-Botvinnik attack', 'e4 c6 d4 d5 exd5 cxd5 c4 Nf6 Nc3', 'rnbqkb1r/pp2pppp/5n2/3p4/2PP4/2N5/PP3PPP/R1BQKBNR b KQkq -'],
+  ['B13', 'Caro-Kann, Panov-Botvinnik, Herzog defence', 'e4 c6 d4 d5 exd5 cxd5 c4 Nf6 Nc3 Nc6 Bg5 dxc4 d5 Na5', 'r1bqkb1r/pp2pppp/5n2/n2P2B1/2p5/2N5/PP3PPP/R2QKBNR w KQkq -'],
+  ['B13', 'Caro-Kann, Panov-Botvinnik, normal variation', 'e4 c6 d4 d5 exd5 cxd5 c4 Nf6 Nc3 Nc6 Bg5 e6', 'r1bqkb1r/pp3ppp/2n1pn2/3p2B1/2PP4/2N5/PP3PPP/R2QKBNR w KQkq -'],
+  ['B13', 'Caro-Kann, Panov-Botvinnik, Czerniak variation', 'e4 c6 d4 d5 exd5 cxd5 c4 Nf6 Nc3 Nc6 Bg5 Qa5', 'r1b1kb1r/pp2pppp/2n2n2/q2p2B1/2PP4/2N5/PP3PPP/R2QKBNR w KQkq -'],
+  ['B13', 'Caro-Kann, Panov-Botvinnik, Reifir (Spielmann) variation', 'e4 c6 d4 d5 exd5 cxd5 c4 Nf6 Nc3 Nc6 Bg5 Qb6', 'r1b1kb1r/pp2pppp/1qn2n2/3p2B1/2PP4/2N5/PP3PPP/R2QKBNR w KQkq -'],
+  ['B14', 'Caro-Kann, Panov-Botvinnik attack, 5...e6', 'e4 c6 d4 d5 exd5 cxd5 c4 Nf6 Nc3 e6', 'rnbqkb1r/pp3ppp/4pn2/3p4/2PP4/2N5/PP3PPP/R1BQKBNR w KQkq -'],
+  ['B14', 'Caro-Kann, Panov-Botvinnik attack, 5...g6', 'e4 c6 d4 d5 exd5 cxd5 c4 Nf6 Nc3 g6', 'rnbqkb1r/pp2pp1p/5np1/3p4/2PP4/2N5/PP3PPP/R1BQKBNR w KQkq -'],
+  ['B15', 'Caro-Kann defence', 'e4 c6 d4 d5 Nc3', 'rnbqkbnr/pp2pppp/2p5/3p4/3PP3/2N5/PPP2PPP/R1BQKBNR b KQkq -'],
+  ['B15', 'Caro-Kann, Gurgenidze counter-attack', 'e4 c6 d4 d5 Nc3 b5', 'rnbqkbnr/p3pppp/2p5/1p1p4/3PP3/2N5/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['B15', 'Caro-Kann, Gurgenidze system', 'e4 c6 d4 d5 Nc3 g6', 'rnbqkbnr/pp2pp1p/2p3p1/3p4/3PP3/2N5/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['B15', 'Caro-Kann, Rasa-Studier gambit', 'e4 c6 d4 d5 Nc3 dxe4 f3', 'rnbqkbnr/pp2pppp/2p5/8/3Pp3/2N2P2/PPP3PP/R1BQKBNR b KQkq -'],
+  ['B15', 'Caro-Kann defence', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4', 'rnbqkbnr/pp2pppp/2p5/8/3PN3/8/PPP2PPP/R1BQKBNR b KQkq -'],
+  ['B15', 'Caro-Kann, Alekhine gambit', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Nf6 Bd3', 'rnbqkb1r/pp2pppp/2p2n2/8/3PN3/3B4/PPP2PPP/R1BQK1NR b KQkq -'],
+  ['B15', 'Caro-Kann, Tartakower (Nimzovich) variation', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Nf6 Nxf6+ exf6', 'rnbqkb1r/pp3ppp/2p2p2/8/3P4/8/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['B15', 'Caro-Kann, Forgacs variation', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Nf6 Nxf6+ exf6 Bc4', 'rnbqkb1r/pp3ppp/2p2p2/8/2BP4/8/PPP2PPP/R1BQK1NR b KQkq -'],
+  ['B16', 'Caro-Kann, Bronstein-Larsen variation', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Nf6 Nxf6+ gxf6', 'rnbqkb1r/pp2pp1p/2p2p2/8/3P4/8/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['B17', 'Caro-Kann, Steinitz variation', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Nd7', 'r1bqkbnr/pp1npppp/2p5/8/3PN3/8/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['B18', 'Caro-Kann, classical variation', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5', 'rn1qkbnr/pp2pppp/2p5/5b2/3PN3/8/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['B18', 'Caro-Kann, classical, Flohr variation', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5 Ng3 Bg6 Nh3', 'rn1qkbnr/pp2pppp/2p3b1/8/3P4/6NN/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['B18', 'Caro-Kann, classical, Maroczy attack', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5 Ng3 Bg6 f4', 'rn1qkbnr/pp2pppp/2p3b1/8/3P1P2/6N1/PPP3PP/R1BQKBNR b KQkq -'],
+  ['B18', 'Caro-Kann, classical, 6.h4', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5 Ng3 Bg6 h4', 'rn1qkbnr/pp2pppp/2p3b1/8/3P3P/6N1/PPP2PP1/R1BQKBNR b KQkq -'],
+  ['B19', 'Caro-Kann, classical, 7...Nd7', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5 Ng3 Bg6 h4 h6 Nf3 Nd7', 'r2qkbnr/pp1nppp1/2p3bp/8/3P3P/5NN1/PPP2PP1/R1BQKB1R w KQkq -'],
+  ['B19', 'Caro-Kann, classical, Spassky variation', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5 Ng3 Bg6 h4 h6 Nf3 Nd7 h5', 'r2qkbnr/pp1nppp1/2p3bp/7P/3P4/5NN1/PPP2PP1/R1BQKB1R b KQkq -'],
+  ['B20', 'Sicilian defence', 'e4 c5', 'rnbqkbnr/pp1ppppp/8/2p5/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['B20', 'Sicilian, Gloria variation', 'e4 c5 c4 d6 Nc3 Nc6 g3 h5', 'r1bqkbnr/pp2ppp1/2np4/2p4p/2P1P3/2N3P1/PP1P1P1P/R1BQKBNR w KQkq -'],
+  ['B20', 'Sicilian, Steinitz variation', 'e4 c5 g3', 'rnbqkbnr/pp1ppppp/8/2p5/4P3/6P1/PPPP1P1P/RNBQKBNR b KQkq -'],
+  ['B20', 'Sicilian, wing gambit', 'e4 c5 b4', 'rnbqkbnr/pp1ppppp/8/2p5/1P2P3/8/P1PP1PPP/RNBQKBNR b KQkq -'],
+  ['B20', 'Sicilian, wing gambit, Santasiere variation', 'e4 c5 b4 cxb4 c4', 'rnbqkbnr/pp1ppppp/8/8/1pP1P3/8/P2P1PPP/RNBQKBNR b KQkq c3'],
+  ['B20', 'Sicilian, wing gambit, Marshall variation', 'e4 c5 b4 cxb4 a3', 'rnbqkbnr/pp1ppppp/8/8/1p2P3/P7/2PP1PPP/RNBQKBNR b KQkq -'],
+  ['B20', 'Sicilian, wing gambit, Marienbad variation', 'e4 c5 b4 cxb4 a3 d5 exd5 Qxd5 Bb2', 'rnb1kbnr/pp2pppp/8/3q4/1p6/P7/1BPP1PPP/RN1QKBNR b KQkq -'],
+  ['B20', 'Sicilian, wing gambit, Carlsbad variation', 'e4 c5 b4 cxb4 a3 bxa3', 'rnbqkbnr/pp1ppppp/8/8/4P3/p7/2PP1PPP/RNBQKBNR w KQkq -'],
+  ['B20', 'Sicilian, Keres variation (2.Ne2)', 'e4 c5 Ne2', 'rnbqkbnr/pp1ppppp/8/2p5/4P3/8/PPPPNPPP/RNBQKB1R b KQkq -'],
+  ['B21', 'Sicilian, Grand Prix attack', 'e4 c5 f4', 'rnbqkbnr/pp1ppppp/8/2p5/4PP2/8/PPPP2PP/RNBQKBNR b KQkq -'],
+  ['B21', 'Sicilian, Smith-Morra gambit', 'e4 c5 d4', 'rnbqkbnr/pp1ppppp/8/2p5/3PP3/8/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['B21', 'Sicilian, Andreaschek gambit', 'e4 c5 d4 cxd4 Nf3 e5 c3', 'rnbqkbnr/pp1p1ppp/8/4p3/3pP3/2P2N2/PP3PPP/RNBQKB1R b KQkq -'],
+  ['B21', 'Sicilian, Smith-Morra gambit', 'e4 c5 d4 cxd4 c3', 'rnbqkbnr/pp1ppppp/8/8/3pP3/2P5/PP3PPP/RNBQKBNR b KQkq -'],
+  ['B21', 'Sicilian, Smith-Morra gambit, Chicago defence', 'e4 c5 d4 cxd4 c3 dxc3 Nxc3 Nc6 Nf3 d6 Bc4 e6 O-O a6 Qe2 b5 Bb3 Ra7', '2bqkbnr/r4ppp/p1npp3/1p6/4P3/1BN2N2/PP2QPPP/R1B2RK1 w k -'],
+  ['B22', "Sicilian, Alapin's variation (2.c3)", 'e4 c5 c3', 'rnbqkbnr/pp1ppppp/8/2p5/4P3/2P5/PP1P1PPP/RNBQKBNR b KQkq -'],
+  ['B22', 'Sicilian, 2.c3, Heidenfeld variation', 'e4 c5 c3 Nf6 e5 Nd5 Nf3 Nc6 Na3', 'r1bqkb1r/pp1ppppp/2n5/2pnP3/8/N1P2N2/PP1P1PPP/R1BQKB1R b KQkq -'],
+  ['B23', 'Sicilian, closed', 'e4 c5 Nc3', 'rnbqkbnr/pp1ppppp/8/2p5/4P3/2N5/PPPP1PPP/R1BQKBNR b KQkq -'],
+  ['B23', 'Sicilian, closed, Korchnoi variation', 'e4 c5 Nc3 e6 g3 d5', 'rnbqkbnr/pp3ppp/4p3/2pp4/4P3/2N3P1/PPPP1P1P/R1BQKBNR w KQkq -'],
+  ['B23', 'Sicilian, closed, 2...Nc6', 'e4 c5 Nc3 Nc6', 'r1bqkbnr/pp1ppppp/2n5/2p5/4P3/2N5/PPPP1PPP/R1BQKBNR w KQkq -'],
+  ['B23', 'Sicilian, chameleon variation', 'e4 c5 Nc3 Nc6 Nge2', 'r1bqkbnr/pp1ppppp/2n5/2p5/4P3/2N5/PPPPNPPP/R1BQKB1R b KQkq -'],
+  ['B23', 'Sicilian, Grand Prix attack', 'e4 c5 Nc3 Nc6 f4', 'r1bqkbnr/pp1ppppp/2n5/2p5/4PP2/2N5/PPPP2PP/R1BQKBNR b KQkq -'],
+  ['B23', 'Sicilian, Grand Prix attack, Schofman variation', 'e4 c5 Nc3 Nc6 f4 g6 Nf3 Bg7 Bc4 e6 f5', 'r1bqk1nr/pp1p1pbp/2n1p1p1/2p2P2/2B1P3/2N2N2/PPPP2PP/R1BQK2R b KQkq -'],
+  ['B24', 'Sicilian, closed', 'e4 c5 Nc3 Nc6 g3', 'r1bqkbnr/pp1ppppp/2n5/2p5/4P3/2N3P1/PPPP1P1P/R1BQKBNR b KQkq -'],
+  ['B24', 'Sicilian, closed, Smyslov variation', 'e4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7 d3 e6 Be3 Nd4 Nce2', 'r1bqk1nr/pp1p1pbp/4p1p1/2p5/3nP3/3PB1P1/PPP1NPBP/R2QK1NR b KQkq -'],
+  ['B25', 'Sicilian, closed', 'e4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7 d3 d6', 'r1bqk1nr/pp2ppbp/2np2p1/2p5/4P3/2NP2P1/PPP2PBP/R1BQK1NR w KQkq -'],
+  ['B25', 'Sicilian, closed, 6.Ne2 e5 (Botvinnik)', 'e4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7 d3 d6 Nge2 e5', 'r1bqk1nr/pp3pbp/2np2p1/2p1p3/4P3/2NP2P1/PPP1NPBP/R1BQK2R w KQkq -'],
+  ['B25', 'Sicilian, closed, 6.f4', 'e4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7 d3 d6 f4', 'r1bqk1nr/pp2ppbp/2np2p1/2p5/4PP2/2NP2P1/PPP3BP/R1BQK1NR b KQkq -'],
+  ['B25', 'Sicilian, closed, 6.f4 e5 (Botvinnik)', 'e4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7 d3 d6 f4 e5', 'r1bqk1nr/pp3pbp/2np2p1/2p1p3/4PP2/2NP2P1/PPP3BP/R1BQK1NR w KQkq -'],
+  ['B26', 'Sicilian, closed, 6.Be3', 'e4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7 d3 d6 Be3', 'r1bqk1nr/pp2ppbp/2np2p1/2p5/4P3/2NPB1P1/PPP2PBP/R2QK1NR b KQkq -'],
+  ['B27', 'Sicilian defence', 'e4 c5 Nf3', 'rnbqkbnr/pp1ppppp/8/2p5/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq -'],
+  ['B27', 'Sicilian, Stiletto (Althouse) variation', 'e4 c5 Nf3 Qa5', 'rnb1kbnr/pp1ppppp/8/q1p5/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['B27', 'Sicilian, Quinteros variation', 'e4 c5 Nf3 Qc7', 'rnb1kbnr/ppqppppp/8/2p5/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['B27', 'Sicilian, Katalimov variation', 'e4 c5 Nf3 b6', 'rnbqkbnr/p2ppppp/1p6/2p5/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['B27', 'Sicilian, Hungarian variation', 'e4 c5 Nf3 g6', 'rnbqkbnr/pp1ppp1p/6p1/2p5/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['B27', 'Sicilian, Acton extension', 'e4 c5 Nf3 g6 c4 Bh6', 'rnbqk1nr/pp1ppp1p/6pb/2p5/2P1P3/5N2/PP1P1PPP/RNBQKB1R w KQkq -'],
+  ['B28', "Sicilian, O'Kelly variation", 'e4 c5 Nf3 a6', 'rnbqkbnr/1p1ppppp/p7/2p5/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['B29', 'Sicilian, Nimzovich-Rubinstein variation', 'e4 c5 Nf3 Nf6', 'rnbqkb1r/pp1ppppp/5n2/2p5/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['B29', 'Sicilian, Nimzovich-Rubinstein; Rubinstein counter-gambit', 'e4 c5 Nf3 Nf6 e5 Nd5 Nc3 e6 Nxd5 exd5 d4 Nc6', 'r1bqkb1r/pp1p1ppp/2n5/2ppP3/3P4/5N2/PPP2PPP/R1BQKB1R w KQkq -'],
+  ['B30', 'Sicilian defence', 'e4 c5 Nf3 Nc6', 'r1bqkbnr/pp1ppppp/2n5/2p5/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['B30', 'Sicilian, Nimzovich-Rossolimo attack (without ...d6)', 'e4 c5 Nf3 Nc6 Bb5', 'r1bqkbnr/pp1ppppp/2n5/1Bp5/4P3/5N2/PPPP1PPP/RNBQK2R b KQkq -'],
+  ['B31', 'Sicilian, Nimzovich-Rossolimo attack (with ...g6, without ...d6)', 'e4 c5 Nf3 Nc6 Bb5 g6', 'r1bqkbnr/pp1ppp1p/2n3p1/1Bp5/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['B31', 'Sicilian, Nimzovich-Rossolimo attack, Gurgenidze variation', 'e4 c5 Nf3 Nc6 Bb5 g6 O-O Bg7 Re1 e5 b4', 'r1bqk1nr/pp1p1pbp/2n3p1/1Bp1p3/1P2P3/5N2/P1PP1PPP/RNBQR1K1 b kq -'],
+  ['B32', 'Sicilian defence', 'e4 c5 Nf3 Nc6 d4', 'r1bqkbnr/pp1ppppp/2n5/2p5/3PP3/5N2/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['B32', 'Sicilian, Flohr variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Qc7', 'r1b1kbnr/ppqppppp/2n5/8/3NP3/8/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['B32', 'Sicilian, Nimzovich variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 d5', 'r1bqkbnr/pp2pppp/2n5/3p4/3NP3/8/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['B32', 'Sicilian, Labourdonnais-Loewenthal variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 e5', 'r1bqkbnr/pp1p1ppp/2n5/4p3/3NP3/8/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['B32', 'Sicilian, Labourdonnais-Loewenthal (Kalashnikov) variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 e5 Nb5 d6', 'r1bqkbnr/pp3ppp/2np4/1N2p3/4P3/8/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['B33', 'Sicilian defence', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6', 'r1bqkb1r/pp1ppppp/2n2n2/8/3NP3/8/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['B33', 'Sicilian, Pelikan (Lasker/Sveshnikov) variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 e5', 'r1bqkb1r/pp1p1ppp/2n2n2/4p3/3NP3/2N5/PPP2PPP/R1BQKB1R w KQkq -'],
+  ['B33', 'Sicilian, Pelikan, Bird variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 e5 Ndb5 d6 Bg5 a6 Na3 Be6', 'r2qkb1r/1p3ppp/p1npbn2/4p1B1/4P3/N1N5/PPP2PPP/R2QKB1R w KQkq -'],
+  ['B33', 'Sicilian, Pelikan, Chelyabinsk variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 e5 Ndb5 d6 Bg5 a6 Na3 b5', 'r1bqkb1r/5ppp/p1np1n2/1p2p1B1/4P3/N1N5/PPP2PPP/R2QKB1R w KQkq -'],
+  ['B33', 'Sicilian, Sveshnikov variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 e5 Ndb5 d6 Bg5 a6 Na3 b5 Bxf6 gxf6 Nd5 f5', 'r1bqkb1r/5p1p/p1np4/1p1Npp2/4P3/N7/PPP2PPP/R2QKB1R w KQkq -'],
+  ['B34', 'Sicilian, accelerated fianchetto, exchange variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 g6 Nxc6', 'r1bqkbnr/pp1ppp1p/2N3p1/8/4P3/8/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['B34', 'Sicilian, accelerated fianchetto, modern variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 g6 Nc3', 'r1bqkbnr/pp1ppp1p/2n3p1/8/3NP3/2N5/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['B35', 'Sicilian, accelerated fianchetto, modern variation with Bc4', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 g6 Nc3 Bg7 Be3 Nf6 Bc4', 'r1bqk2r/pp1pppbp/2n2np1/8/2BNP3/2N1B3/PPP2PPP/R2QK2R b KQkq -'],
+  ['B36', 'Sicilian, accelerated fianchetto, Maroczy bind', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 g6 c4', 'r1bqkbnr/pp1ppp1p/2n3p1/8/2PNP3/8/PP3PPP/RNBQKB1R b KQkq -'],
+  ['B36', 'Sicilian, accelerated fianchetto, Gurgenidze variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 g6 c4 Nf6 Nc3 Nxd4 Qxd4 d6', 'r1bqkb1r/pp2pp1p/3p1np1/8/2PQP3/2N5/PP3PPP/R1B1KB1R w KQkq -'],
+  ['B37', 'Sicilian, accelerated fianchetto, Maroczy bind, 5...Bg7', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 g6 c4 Bg7', 'r1bqk1nr/pp1pppbp/2n3p1/8/2PNP3/8/PP3PPP/RNBQKB1R w KQkq -'],
+  ['B37', 'Sicilian, accelerated fianchetto, Simagin variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 g6 c4 Bg7 Nc2 d6 Be2 Nh6', 'r1bqk2r/pp2ppbp/2np2pn/8/2P1P3/8/PPN1BPPP/RNBQK2R w KQkq -'],
+  ['B38', 'Sicilian, accelerated fianchetto, Maroczy bind, 6.Be3', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 g6 c4 Bg7 Be3', 'r1bqk1nr/pp1pppbp/2n3p1/8/2PNP3/4B3/PP3PPP/RN1QKB1R b KQkq -'],
+  ['B39', 'Sicilian, accelerated fianchetto, Breyer variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 g6 c4 Bg7 Be3 Nf6 Nc3 Ng4', 'r1bqk2r/pp1pppbp/2n3p1/8/2PNP1n1/2N1B3/PP3PPP/R2QKB1R w KQkq -'],
+  ['B40', 'Sicilian defence', 'e4 c5 Nf3 e6', 'rnbqkbnr/pp1p1ppp/4p3/2p5/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['B40', 'Sicilian, Marshall variation', 'e4 c5 Nf3 e6 d4 d5', 'rnbqkbnr/pp3ppp/4p3/2pp4/3PP3/5N2/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['B40', 'Sicilian defence', 'e4 c5 Nf3 e6 d4 cxd4', 'rnbqkbnr/pp1p1ppp/4p3/8/3pP3/5N2/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['B40', 'Sicilian, Anderssen variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nf6', 'rnbqkb1r/pp1p1ppp/4pn2/8/3NP3/8/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['B40', 'Sicilian, Pin variation (Sicilian counter-attack)', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nf6 Nc3 Bb4', 'rnbqk2r/pp1p1ppp/4pn2/8/1b1NP3/2N5/PPP2PPP/R1BQKB1R w KQkq -'],
+  ['B40', 'Sicilian, Pin, Jaffe variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nf6 Nc3 Bb4 Bd3 e5', 'rnbqk2r/pp1p1ppp/5n2/4p3/1b1NP3/2NB4/PPP2PPP/R1BQK2R w KQkq -'],
+  ['B40', 'Sicilian, Pin, Koch variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nf6 Nc3 Bb4 e5', 'rnbqk2r/pp1p1ppp/4pn2/4P3/1b1N4/2N5/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['B41', 'Sicilian, Kan variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 a6', 'rnbqkbnr/1p1p1ppp/p3p3/8/3NP3/8/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['B41', 'Sicilian, Kan, Maroczy bind (Reti variation)', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 a6 c4', 'rnbqkbnr/1p1p1ppp/p3p3/8/2PNP3/8/PP3PPP/RNBQKB1R b KQkq -'],
+  ['B41', 'Sicilian, Kan, Maroczy bind - Bronstein variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 a6 c4 Nf6 Nc3 Bb4 Bd3 Nc6 Bc2', 'r1bqk2r/1p1p1ppp/p1n1pn2/8/1bPNP3/2N5/PPB2PPP/R1BQK2R b KQkq -'],
+  ['B42', 'Sicilian, Kan, 5.Bd3', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 a6 Bd3', 'rnbqkbnr/1p1p1ppp/p3p3/8/3NP3/3B4/PPP2PPP/RNBQK2R b KQkq -'],
+  ['B42', 'Sicilian, Kan, Gipslis variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 a6 Bd3 Nf6 O-O d6 c4 g6', 'rnbqkb1r/1p3p1p/p2ppnp1/8/2PNP3/3B4/PP3PPP/RNBQ1RK1 w kq -'],
+  ['B42', 'Sicilian, Kan, Polugaievsky variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 a6 Bd3 Bc5', 'rnbqk1nr/1p1p1ppp/p3p3/2b5/3NP3/3B4/PPP2PPP/RNBQK2R w KQkq -'],
+  ['B42', 'Sicilian, Kan, Swiss cheese variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 a6 Bd3 g6', 'rnbqkbnr/1p1p1p1p/p3p1p1/8/3NP3/3B4/PPP2PPP/RNBQK2R w KQkq -'],
+  ['B43', 'Sicilian, Kan, 5.Nc3', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 a6 Nc3', 'rnbqkbnr/1p1p1ppp/p3p3/8/3NP3/2N5/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['B44', 'Sicilian defence', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6', 'r1bqkbnr/pp1p1ppp/2n1p3/8/3NP3/8/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['B44', "Sicilian, Szen (`anti-Taimanov') variation", 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6 Nb5', 'r1bqkbnr/pp1p1ppp/2n1p3/1N6/4P3/8/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['B44', 'Sicilian, Szen, hedgehog variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6 Nb5 d6 c4 Nf6 N1c3 a6 Na3 Be7 Be2 O-O O-O b6', 'r1bq1rk1/4bppp/ppnppn2/8/2P1P3/N1N5/PP2BPPP/R1BQ1RK1 w - -'],
+  ['B44', 'Sicilian, Szen variation, Dely-Kasparov gambit', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6 Nb5 d6 c4 Nf6 N1c3 a6 Na3 d5', 'r1bqkb1r/1p3ppp/p1n1pn2/3p4/2P1P3/N1N5/PP3PPP/R1BQKB1R w KQkq -'],
+  ['B45', 'Sicilian, Taimanov variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6 Nc3', 'r1bqkbnr/pp1p1ppp/2n1p3/8/3NP3/2N5/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['B45', 'Sicilian, Taimanov, American attack', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6 Nc3 Nf6 Ndb5 Bb4 Nd6+', 'r1bqk2r/pp1p1ppp/2nNpn2/8/1b2P3/2N5/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['B46', 'Sicilian, Taimanov variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6 Nc3 a6', 'r1bqkbnr/1p1p1ppp/p1n1p3/8/3NP3/2N5/PPP2PPP/R1BQKB1R w KQkq -'],
+  ['B47', 'Sicilian, Taimanov (Bastrikov) variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6 Nc3 Qc7', 'r1b1kbnr/ppqp1ppp/2n1p3/8/3NP3/2N5/PPP2PPP/R1BQKB1R w KQkq -'],
+  ['B48', 'Sicilian, Taimanov variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6 Nc3 Qc7 Be3', 'r1b1kbnr/ppqp1ppp/2n1p3/8/3NP3/2N1B3/PPP2PPP/R2QKB1R b KQkq -'],
+  ['B49', 'Sicilian, Taimanov variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6 Nc3 Qc7 Be3 a6 Be2', 'r1b1kbnr/1pqp1ppp/p1n1p3/8/3NP3/2N1B3/PPP1BPPP/R2QK2R b KQkq -'],
+  ['B50', 'Sicilian', 'e4 c5 Nf3 d6', 'rnbqkbnr/pp2pppp/3p4/2p5/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['B50', 'Sicilian, wing gambit deferred', 'e4 c5 Nf3 d6 b4', 'rnbqkbnr/pp2pppp/3p4/2p5/1P2P3/5N2/P1PP1PPP/RNBQKB1R b KQkq -'],
+  ['B51', 'Sicilian, Canal-Sokolsky (Nimzovich-Rossolimo, Moscow) attack', 'e4 c5 Nf3 d6 Bb5+', 'rnbqkbnr/pp2pppp/3p4/1Bp5/4P3/5N2/PPPP1PPP/RNBQK2R b KQkq -'],
+  ['B52', 'Sicilian, Canal-Sokolsky attack, 3...Bd7', 'e4 c5 Nf3 d6 Bb5+ Bd7', 'rn1qkbnr/pp1bpppp/3p4/1Bp5/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['B52', 'Sicilian, Canal-Sokolsky attack, Bronstein gambit', 'e4 c5 Nf3 d6 Bb5+ Bd7 Bxd7+ Qxd7 O-O Nc6 c3 Nf6 d4', 'r3kb1r/pp1qpppp/2np1n2/2p5/3PP3/2P2N2/PP3PPP/RNBQ1RK1 b kq -'],
+  ['B52', 'Sicilian, Canal-Sokolsky attack, Sokolsky variation', 'e4 c5 Nf3 d6 Bb5+ Bd7 Bxd7+ Qxd7 c4', 'rn2kbnr/pp1qpppp/3p4/2p5/2P1P3/5N2/PP1P1PPP/RNBQK2R b KQkq -'],
+  ['B53', 'Sicilian, Chekhover variation', 'e4 c5 Nf3 d6 d4 cxd4 Qxd4', 'rnbqkbnr/pp2pppp/3p4/8/3QP3/5N2/PPP2PPP/RNB1KB1R b KQkq -'],
+  ['B53', 'Sicilian, Chekhover, Zaitsev variation', 'e4 c5 Nf3 d6 d4 cxd4 Qxd4 Nc6 Bb5 Qd7', 'r1b1kbnr/pp1qpppp/2np4/1B6/3QP3/5N2/PPP2PPP/RNB1K2R w KQkq -'],
+  ['B54', 'Sicilian', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4', 'rnbqkbnr/pp2pppp/3p4/8/3NP3/8/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['B54', 'Sicilian, Prins (Moscow) variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 f3', 'rnbqkb1r/pp2pppp/3p1n2/8/3NP3/5P2/PPP3PP/RNBQKB1R b KQkq -'],
+  ['B55', 'Sicilian, Prins variation, Venice attack', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 f3 e5 Bb5+', 'rnbqkb1r/pp3ppp/3p1n2/1B2p3/3NP3/5P2/PPP3PP/RNBQK2R b KQkq -'],
+  ['B56', 'Sicilian', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3', 'rnbqkb1r/pp2pppp/3p1n2/8/3NP3/2N5/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['B56', 'Sicilian, Venice attack', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e5 Bb5+', 'rnbqkb1r/pp3ppp/3p1n2/1B2p3/3NP3/2N5/PPP2PPP/R1BQK2R b KQkq -'],
+  ['B56', 'Sicilian', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6', 'r1bqkb1r/pp2pppp/2np1n2/8/3NP3/2N5/PPP2PPP/R1BQKB1R w KQkq -'],
+  ['B57', 'Sicilian, Sozin, not Scheveningen', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bc4', 'r1bqkb1r/pp2pppp/2np1n2/8/2BNP3/2N5/PPP2PPP/R1BQK2R b KQkq -'],
+  ['B57', 'Sicilian, Magnus Smith trap', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bc4 g6 Nxc6 bxc6 e5', 'r1bqkb1r/p3pp1p/2pp1np1/4P3/2B5/2N5/PPP2PPP/R1BQK2R b KQkq -'],
+  ['B57', 'Sicilian, Sozin, Benko variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bc4 Qb6', 'r1b1kb1r/pp2pppp/1qnp1n2/8/2BNP3/2N5/PPP2PPP/R1BQK2R w KQkq -'],
+  ['B58', 'Sicilian, classical', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 d6 Be2', 'r1bqkb1r/pp2pppp/2np1n2/8/3NP3/2N5/PPP1BPPP/R1BQK2R b KQkq -'],
+  ['B58', 'Sicilian, Boleslavsky variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 d6 Be2 e5', 'r1bqkb1r/pp3ppp/2np1n2/4p3/3NP3/2N5/PPP1BPPP/R1BQK2R w KQkq -'],
+  ['B58', 'Sicilian, Boleslavsky, Louma variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 d6 Be2 e5 Nxc6', 'r1bqkb1r/pp3ppp/2Np1n2/4p3/4P3/2N5/PPP1BPPP/R1BQK2R b KQkq -'],
+  ['B59', 'Sicilian, Boleslavsky variation, 7.Nb3', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 d6 Be2 e5 Nb3', 'r1bqkb1r/pp3ppp/2np1n2/4p3/4P3/1NN5/PPP1BPPP/R1BQK2R b KQkq -'],
+  ['B60', 'Sicilian, Richter-Rauzer', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5', 'r1bqkb1r/pp2pppp/2np1n2/6B1/3NP3/2N5/PPP2PPP/R2QKB1R b KQkq -'],
+  ['B60', 'Sicilian, Richter-Rauzer, Bondarevsky variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 g6', 'r1bqkb1r/pp2pp1p/2np1np1/6B1/3NP3/2N5/PPP2PPP/R2QKB1R w KQkq -'],
+  ['B60', 'Sicilian, Richter-Rauzer, Larsen variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 Bd7', 'r2qkb1r/pp1bpppp/2np1n2/6B1/3NP3/2N5/PPP2PPP/R2QKB1R w KQkq -'],
+  ['B61', 'Sicilian, Richter-Rauzer, Larsen variation, 7.Qd2', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 Bd7 Qd2', 'r2qkb1r/pp1bpppp/2np1n2/6B1/3NP3/2N5/PPPQ1PPP/R3KB1R b KQkq -'],
+  ['B62', 'Sicilian, Richter-Rauzer, 6...e6', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 e6', 'r1bqkb1r/pp3ppp/2nppn2/6B1/3NP3/2N5/PPP2PPP/R2QKB1R w KQkq -'],
+  ['B62', 'Sicilian, Richter-Rauzer, Podvebrady variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 e6 Nb3', 'r1bqkb1r/pp3ppp/2nppn2/6B1/4P3/1NN5/PPP2PPP/R2QKB1R b KQkq -'],
+  ['B62', 'Sicilian, Richter-Rauzer, Margate (Alekhine) variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 e6 Bb5', 'r1bqkb1r/pp3ppp/2nppn2/1B4B1/3NP3/2N5/PPP2PPP/R2QK2R b KQkq -'],
+  ['B62', 'Sicilian, Richter-Rauzer, Richter attack', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 e6 Nxc6', 'r1bqkb1r/pp3ppp/2Nppn2/6B1/4P3/2N5/PPP2PPP/R2QKB1R b KQkq -'],
+  ['B62', 'Sicilian, Richter-Rauzer, Keres variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 e6 Qd3', 'r1bqkb1r/pp3ppp/2nppn2/6B1/3NP3/2NQ4/PPP2PPP/R3KB1R b KQkq -'],
+  ['B63', 'Sicilian, Richter-Rauzer, Rauzer attack', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 e6 Qd2', 'r1bqkb1r/pp3ppp/2nppn2/6B1/3NP3/2N5/PPPQ1PPP/R3KB1R b KQkq -'],
+  ['B63', 'Sicilian, Richter-Rauzer, Rauzer attack, 7...Be7', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 e6 Qd2 Be7', 'r1bqk2r/pp2bppp/2nppn2/6B1/3NP3/2N5/PPPQ1PPP/R3KB1R w KQkq -'],
+  ['B64', 'Sicilian, Richter-Rauzer, Rauzer attack, 7...Be7 defence, 9.f4', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 e6 Qd2 Be7 O-O-O O-O f4', 'r1bq1rk1/pp2bppp/2nppn2/6B1/3NPP2/2N5/PPPQ2PP/2KR1B1R b - -'],
+  ['B64', 'Sicilian, Richter-Rauzer, Rauzer attack, Geller variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 e6 Qd2 Be7 O-O-O O-O f4 e5', 'r1bq1rk1/pp2bppp/2np1n2/4p1B1/3NPP2/2N5/PPPQ2PP/2KR1B1R w - -'],
+  ['B65', 'Sicilian, Richter-Rauzer, Rauzer attack, 7...Be7 defence, 9...Nxd4', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 e6 Qd2 Be7 O-O-O O-O f4 Nxd4', 'r1bq1rk1/pp2bppp/3ppn2/6B1/3nPP2/2N5/PPPQ2PP/2KR1B1R w - -'],
+  ['B65', 'Sicilian, Richter-Rauzer, Rauzer attack, 7...Be7 defence, 9...Nxd4', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 e6 Qd2 Be7 O-O-O O-O f4 Nxd4 Qxd4', 'r1bq1rk1/pp2bppp/3ppn2/6B1/3QPP2/2N5/PPP3PP/2KR1B1R b - -'],
+  ['B66', 'Sicilian, Richter-Rauzer, Rauzer attack, 7...a6', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 e6 Qd2 a6', 'r1bqkb1r/1p3ppp/p1nppn2/6B1/3NP3/2N5/PPPQ1PPP/R3KB1R w KQkq -'],
+  ['B67', 'Sicilian, Richter-Rauzer, Rauzer attack, 7...a6 defence, 8...Bd7', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 e6 Qd2 a6 O-O-O Bd7', 'r2qkb1r/1p1b1ppp/p1nppn2/6B1/3NP3/2N5/PPPQ1PPP/2KR1B1R w kq -'],
+  ['B68', 'Sicilian, Richter-Rauzer, Rauzer attack, 7...a6 defence, 9...Be7', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 e6 Qd2 a6 O-O-O Bd7 f4 Be7', 'r2qk2r/1p1bbppp/p1nppn2/6B1/3NPP2/2N5/PPPQ2PP/2KR1B1R w kq -'],
+  ['B69', 'Sicilian, Richter-Rauzer, Rauzer attack, 7...a6 defence, 11.Bxf6', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6 Bg5 e6 Qd2 a6 O-O-O Bd7 f4 Be7 Nf3 b5 Bxf6', 'r2qk2r/3bbppp/p1nppB2/1p6/4PP2/2N2N2/PPPQ2PP/2KR1B1R b kq -'],
+  ['B70', 'Sicilian, dragon variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6', 'rnbqkb1r/pp2pp1p/3p1np1/8/3NP3/2N5/PPP2PPP/R1BQKB1R w KQkq -'],
+  ['B71', 'Sicilian, dragon, Levenfish variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 f4', 'rnbqkb1r/pp2pp1p/3p1np1/8/3NPP2/2N5/PPP3PP/R1BQKB1R b KQkq -'],
+  ['B71', 'Sicilian, dragon, Levenfish; Flohr variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 f4 Nbd7', 'r1bqkb1r/pp1npp1p/3p1np1/8/3NPP2/2N5/PPP3PP/R1BQKB1R w KQkq -'],
+  ['B72', 'Sicilian, dragon, 6.Be3', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3', 'rnbqkb1r/pp2pp1p/3p1np1/8/3NP3/2N1B3/PPP2PPP/R2QKB1R b KQkq -'],
+  ['B72', 'Sicilian, dragon, classical attack', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 Be2', 'rnbqk2r/pp2ppbp/3p1np1/8/3NP3/2N1B3/PPP1BPPP/R2QK2R b KQkq -'],
+  ['B72', 'Sicilian, dragon, classical, Amsterdam variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 Be2 Nc6 Qd2', 'r1bqk2r/pp2ppbp/2np1np1/8/3NP3/2N1B3/PPPQBPPP/R3K2R b KQkq -'],
+  ['B72', 'Sicilian, dragon, classical, Grigoriev variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 Be2 Nc6 Qd2 O-O O-O-O', 'r1bq1rk1/pp2ppbp/2np1np1/8/3NP3/2N1B3/PPPQBPPP/2KR3R b - -'],
+  ['B72', 'Sicilian, dragon, classical, Nottingham variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 Be2 Nc6 Nb3', 'r1bqk2r/pp2ppbp/2np1np1/8/4P3/1NN1B3/PPP1BPPP/R2QK2R b KQkq -'],
+  ['B73', 'Sicilian, dragon, classical, 8.O-O', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 Be2 Nc6 O-O', 'r1bqk2r/pp2ppbp/2np1np1/8/3NP3/2N1B3/PPP1BPPP/R2Q1RK1 b kq -'],
+  ['B73', 'Sicilian, dragon, classical, Zollner gambit', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 Be2 Nc6 O-O O-O f4 Qb6 e5', 'r1b2rk1/pp2ppbp/1qnp1np1/4P3/3N1P2/2N1B3/PPP1B1PP/R2Q1RK1 b - -'],
+  ['B73', 'Sicilian, dragon, classical, Richter variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 Be2 Nc6 O-O O-O Qd2', 'r1bq1rk1/pp2ppbp/2np1np1/8/3NP3/2N1B3/PPPQBPPP/R4RK1 b - -'],
+  ['B74', 'Sicilian, dragon, classical, 9.Nb3', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 Be2 Nc6 O-O O-O Nb3', 'r1bq1rk1/pp2ppbp/2np1np1/8/4P3/1NN1B3/PPP1BPPP/R2Q1RK1 b - -'],
+  ['B74', 'Sicilian, dragon, classical, Stockholm attack', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 Be2 Nc6 O-O O-O Nb3 Be6 f4 Na5 f5 Bc4 Nxa5 Bxe2 Qxe2 Qxa5 g4', 'r4rk1/pp2ppbp/3p1np1/q4P2/4P1P1/2N1B3/PPP1Q2P/R4RK1 b - -'],
+  ['B74', 'Sicilian, dragon, classical, Spielmann variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 Be2 Nc6 O-O O-O Nb3 Be6 f4 Na5 f5 Bc4 Bd3', 'r2q1rk1/pp2ppbp/3p1np1/n4P2/2b1P3/1NNBB3/PPP3PP/R2Q1RK1 b - -'],
+  ['B74', 'Sicilian, dragon, classical, Bernard defence', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 Be2 Nc6 O-O O-O Nb3 Be6 f4 Na5 f5 Bc4 Bd3 Bxd3 cxd3 d5', 'r2q1rk1/pp2ppbp/5np1/n2p1P2/4P3/1NNPB3/PP4PP/R2Q1RK1 w - -'],
+  ['B74', 'Sicilian, dragon, classical, Reti-Tartakower variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 Be2 Nc6 O-O O-O Nb3 Be6 f4 Qc8', 'r1q2rk1/pp2ppbp/2npbnp1/8/4PP2/1NN1B3/PPP1B1PP/R2Q1RK1 w - -'],
+  ['B74', 'Sicilian, dragon, classical, Alekhine variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 Be2 Nc6 O-O O-O Nb3 a5', 'r1bq1rk1/1p2ppbp/2np1np1/p7/4P3/1NN1B3/PPP1BPPP/R2Q1RK1 w - -'],
+  ['B75', 'Sicilian, dragon, Yugoslav attack', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 f3', 'rnbqk2r/pp2ppbp/3p1np1/8/3NP3/2N1BP2/PPP3PP/R2QKB1R b KQkq -'],
+  ['B76', 'Sicilian, dragon, Yugoslav attack, 7...O-O', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 f3 O-O', 'rnbq1rk1/pp2ppbp/3p1np1/8/3NP3/2N1BP2/PPP3PP/R2QKB1R w KQ -'],
+  ['B76', 'Sicilian, dragon, Yugoslav attack, Rauser variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 f3 O-O Qd2 Nc6 O-O-O', 'r1bq1rk1/pp2ppbp/2np1np1/8/3NP3/2N1BP2/PPPQ2PP/2KR1B1R b - -'],
+  ['B77', 'Sicilian, dragon, Yugoslav attack, 9.Bc4', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 f3 O-O Qd2 Nc6 Bc4', 'r1bq1rk1/pp2ppbp/2np1np1/8/2BNP3/2N1BP2/PPPQ2PP/R3K2R b KQ -'],
+  ['B77', 'Sicilian, dragon, Yugoslav attack, Byrne variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 f3 O-O Qd2 Nc6 Bc4 a5', 'r1bq1rk1/1p2ppbp/2np1np1/p7/2BNP3/2N1BP2/PPPQ2PP/R3K2R w KQ -'],
+  ['B77', 'Sicilian, dragon, Yugoslav attack, 9...Bd7', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 f3 O-O Qd2 Nc6 Bc4 Bd7', 'r2q1rk1/pp1bppbp/2np1np1/8/2BNP3/2N1BP2/PPPQ2PP/R3K2R w KQ -'],
+  ['B78', 'Sicilian, dragon, Yugoslav attack, 10.O-O-O', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 f3 O-O Qd2 Nc6 Bc4 Bd7 O-O-O', 'r2q1rk1/pp1bppbp/2np1np1/8/2BNP3/2N1BP2/PPPQ2PP/2KR3R b - -'],
+  ['B79', 'Sicilian, dragon, Yugoslav attack, 12.h4', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 f3 O-O Qd2 Nc6 Bc4 Bd7 O-O-O Qa5 Bb3 Rfc8 h4', 'r1r3k1/pp1bppbp/2np1np1/q7/3NP2P/1BN1BP2/PPPQ2P1/2KR3R b - -'],
+  ['B80', 'Sicilian, Scheveningen variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6', 'rnbqkb1r/pp3ppp/3ppn2/8/3NP3/2N5/PPP2PPP/R1BQKB1R w KQkq -'],
+  ['B80', 'Sicilian, Scheveningen, English variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Be3 a6 Qd2', 'rnbqkb1r/1p3ppp/p2ppn2/8/3NP3/2N1B3/PPPQ1PPP/R3KB1R b KQkq -'],
+  ['B80', 'Sicilian, Scheveningen, Vitolins variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Bb5+', 'rnbqkb1r/pp3ppp/3ppn2/1B6/3NP3/2N5/PPP2PPP/R1BQK2R b KQkq -'],
+  ['B80', 'Sicilian, Scheveningen, fianchetto variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 g3', 'rnbqkb1r/pp3ppp/3ppn2/8/3NP3/2N3P1/PPP2P1P/R1BQKB1R b KQkq -'],
+  ['B81', 'Sicilian, Scheveningen, Keres attack', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 g4', 'rnbqkb1r/pp3ppp/3ppn2/8/3NP1P1/2N5/PPP2P1P/R1BQKB1R b KQkq -'],
+  ['B82', 'Sicilian, Scheveningen, 6.f4', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 f4', 'rnbqkb1r/pp3ppp/3ppn2/8/3NPP2/2N5/PPP3PP/R1BQKB1R b KQkq -'],
+  ['B82', 'Sicilian, Scheveningen, Tal variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 f4 Nc6 Be3 Be7 Qf3', 'r1bqk2r/pp2bppp/2nppn2/8/3NPP2/2N1BQ2/PPP3PP/R3KB1R b KQkq -'],
+  ['B83', 'Sicilian, Scheveningen, 6.Be2', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Be2', 'rnbqkb1r/pp3ppp/3ppn2/8/3NP3/2N5/PPP1BPPP/R1BQK2R b KQkq -'],
+  ['B83', 'Sicilian, modern Scheveningen', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Be2 Nc6', 'r1bqkb1r/pp3ppp/2nppn2/8/3NP3/2N5/PPP1BPPP/R1BQK2R w KQkq -'],
+  ['B83', 'Sicilian, modern Scheveningen, main line', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Be2 Nc6 O-O Be7 Be3 O-O f4', 'r1bq1rk1/pp2bppp/2nppn2/8/3NPP2/2N1B3/PPP1B1PP/R2Q1RK1 b - -'],
+  ['B83', 'Sicilian, modern Scheveningen, main line with Nb3', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Be2 Nc6 O-O Be7 Be3 O-O f4 Bd7 Nb3', 'r2q1rk1/pp1bbppp/2nppn2/8/4PP2/1NN1B3/PPP1B1PP/R2Q1RK1 b - -'],
+  ['B84', 'Sicilian, Scheveningen (Paulsen), classical variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Be2 a6', 'rnbqkb1r/1p3ppp/p2ppn2/8/3NP3/2N5/PPP1BPPP/R1BQK2R w KQkq -'],
+  ['B84', 'Sicilian, Scheveningen, classical, Nd7 system', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Be2 a6 O-O Nbd7', 'r1bqkb1r/1p1n1ppp/p2ppn2/8/3NP3/2N5/PPP1BPPP/R1BQ1RK1 w kq -'],
+  ['B84', 'Sicilian, Scheveningen (Paulsen), classical variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Be2 a6 O-O Qc7', 'rnb1kb1r/1pq2ppp/p2ppn2/8/3NP3/2N5/PPP1BPPP/R1BQ1RK1 w kq -'],
+  ['B85', 'Sicilian, Scheveningen, classical variation with ...Qc7 and ...Nc6', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Be2 a6 O-O Qc7 f4 Nc6', 'r1b1kb1r/1pq2ppp/p1nppn2/8/3NPP2/2N5/PPP1B1PP/R1BQ1RK1 w kq -'],
+  ['B85', 'Sicilian, Scheveningen, classical, Maroczy system', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Be2 a6 O-O Qc7 f4 Nc6 Kh1 Be7 a4', 'r1b1k2r/1pq1bppp/p1nppn2/8/P2NPP2/2N5/1PP1B1PP/R1BQ1R1K b kq -'],
+  ['B85', 'Sicilian, Scheveningen, classical', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Be2 a6 O-O Qc7 f4 Nc6 Be3', 'r1b1kb1r/1pq2ppp/p1nppn2/8/3NPP2/2N1B3/PPP1B1PP/R2Q1RK1 b kq -'],
+  ['B85', 'Sicilian, Scheveningen, classical main line', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Be2 a6 O-O Qc7 f4 Nc6 Be3 Be7 Qe1 O-O', 'r1b2rk1/1pq1bppp/p1nppn2/8/3NPP2/2N1B3/PPP1B1PP/R3QRK1 w - -'],
+  ['B86', 'Sicilian, Sozin attack', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Bc4', 'rnbqkb1r/pp3ppp/3ppn2/8/2BNP3/2N5/PPP2PPP/R1BQK2R b KQkq -'],
+  ['B87', 'Sicilian, Sozin with ...a6 and ...b5', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Bc4 a6 Bb3 b5', 'rnbqkb1r/5ppp/p2ppn2/1p6/3NP3/1BN5/PPP2PPP/R1BQK2R w KQkq -'],
+  ['B88', 'Sicilian, Sozin, Leonhardt variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Bc4 Nc6', 'r1bqkb1r/pp3ppp/2nppn2/8/2BNP3/2N5/PPP2PPP/R1BQK2R w KQkq -'],
+  ['B88', 'Sicilian, Sozin, Fischer variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Bc4 Nc6 Bb3 Be7 Be3 O-O f4', 'r1bq1rk1/pp2bppp/2nppn2/8/3NPP2/1BN1B3/PPP3PP/R2QK2R b KQ -'],
+  ['B89', 'Sicilian, Sozin, 7.Be3', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Bc4 Nc6 Be3', 'r1bqkb1r/pp3ppp/2nppn2/8/2BNP3/2N1B3/PPP2PPP/R2QK2R b KQkq -'],
+  ['B89', 'Sicilian, Velimirovic attack', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6 Bc4 Nc6 Be3 Be7 Qe2', 'r1bqk2r/pp2bppp/2nppn2/8/2BNP3/2N1B3/PPP1QPPP/R3K2R b KQkq -'],
+  ['B90', 'Sicilian, Najdorf', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6', 'rnbqkb1r/1p2pppp/p2p1n2/8/3NP3/2N5/PPP2PPP/R1BQKB1R w KQkq -'],
+  ['B90', 'Sicilian, Najdorf, Adams attack', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 h3', 'rnbqkb1r/1p2pppp/p2p1n2/8/3NP3/2N4P/PPP2PP1/R1BQKB1R b KQkq -'],
+  ['B90', 'Sicilian, Najdorf, Lipnitzky attack', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Bc4', 'rnbqkb1r/1p2pppp/p2p1n2/8/2BNP3/2N5/PPP2PPP/R1BQK2R b KQkq -'],
+  ['B90', 'Sicilian, Najdorf, Byrne (English) attack', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Be3', 'rnbqkb1r/1p2pppp/p2p1n2/8/3NP3/2N1B3/PPP2PPP/R2QKB1R b KQkq -'],
+  ['B91', 'Sicilian, Najdorf, Zagreb (fianchetto) variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 g3', 'rnbqkb1r/1p2pppp/p2p1n2/8/3NP3/2N3P1/PPP2P1P/R1BQKB1R b KQkq -'],
+  ['B92', 'Sicilian, Najdorf, Opovcensky variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Be2', 'rnbqkb1r/1p2pppp/p2p1n2/8/3NP3/2N5/PPP1BPPP/R1BQK2R b KQkq -'],
+  ['B93', 'Sicilian, Najdorf, 6.f4', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 f4', 'rnbqkb1r/1p2pppp/p2p1n2/8/3NPP2/2N5/PPP3PP/R1BQKB1R b KQkq -'],
+  ['B94', 'Sicilian, Najdorf, 6.Bg5', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Bg5', 'rnbqkb1r/1p2pppp/p2p1n2/6B1/3NP3/2N5/PPP2PPP/R2QKB1R b KQkq -'],
+  ['B94', 'Sicilian, Najdorf, Ivkov variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Bg5 Nbd7 Bc4 Qa5 Qd2 e6 O-O-O b5 Bb3 Bb7 Rhe1 Nc5 e5', 'r3kb1r/1b3ppp/p2ppn2/qpn1P1B1/3N4/1BN5/PPPQ1PPP/2KRR3 b kq -'],
+  ['B95', 'Sicilian, Najdorf, 6...e6', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Bg5 e6', 'rnbqkb1r/1p3ppp/p2ppn2/6B1/3NP3/2N5/PPP2PPP/R2QKB1R w KQkq -'],
+  ['B96', 'Sicilian, Najdorf, 7.f4', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Bg5 e6 f4', 'rnbqkb1r/1p3ppp/p2ppn2/6B1/3NPP2/2N5/PPP3PP/R2QKB1R b KQkq -'],
+  ['B96', 'Sicilian, Najdorf, Polugayevsky variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Bg5 e6 f4 b5', 'rnbqkb1r/5ppp/p2ppn2/1p4B1/3NPP2/2N5/PPP3PP/R2QKB1R w KQkq -'],
+  ['B96', 'Sicilian, Najdorf, Polugayevsky, Simagin variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Bg5 e6 f4 b5 e5 dxe5 fxe5 Qc7 Qe2', 'rnb1kb1r/2q2ppp/p3pn2/1p2P1B1/3N4/2N5/PPP1Q1PP/R3KB1R b KQkq -'],
+  ['B97', 'Sicilian, Najdorf, 7...Qb6', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Bg5 e6 f4 Qb6', 'rnb1kb1r/1p3ppp/pq1ppn2/6B1/3NPP2/2N5/PPP3PP/R2QKB1R w KQkq -'],
+  ['B97', 'Sicilian, Najdorf, Poisoned pawn variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Bg5 e6 f4 Qb6 Qd2 Qxb2 Rb1 Qa3', 'rnb1kb1r/1p3ppp/p2ppn2/6B1/3NPP2/q1N5/P1PQ2PP/1R2KB1R w Kkq -'],
+  ['B98', 'Sicilian, Najdorf, 7...Be7', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Bg5 e6 f4 Be7', 'rnbqk2r/1p2bppp/p2ppn2/6B1/3NPP2/2N5/PPP3PP/R2QKB1R w KQkq -'],
+  ['B98', 'Sicilian, Najdorf, Browne variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Bg5 e6 f4 Be7 Qf3 h6 Bh4 Qc7', 'rnb1k2r/1pq1bpp1/p2ppn1p/8/3NPP1B/2N2Q2/PPP3PP/R3KB1R w KQkq -'],
+  ['B98', 'Sicilian, Najdorf, Goteborg (Argentine) variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Bg5 e6 f4 Be7 Qf3 h6 Bh4 g5', 'rnbqk2r/1p2bp2/p2ppn1p/6p1/3NPP1B/2N2Q2/PPP3PP/R3KB1R w KQkq -'],
+  ['B98', 'Sicilian, Najdorf variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Bg5 e6 f4 Be7 Qf3 Qc7', 'rnb1k2r/1pq1bppp/p2ppn2/6B1/3NPP2/2N2Q2/PPP3PP/R3KB1R w KQkq -'],
+  ['B99', 'Sicilian, Najdorf, 7...Be7 main line', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Bg5 e6 f4 Be7 Qf3 Qc7 O-O-O Nbd7', 'r1b1k2r/1pqnbppp/p2ppn2/6B1/3NPP2/2N2Q2/PPP3PP/2KR1B1R w kq -'],
+  ['C00', 'French defence', 'e4 e6', 'rnbqkbnr/pppp1ppp/4p3/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['C00', 'French defence, Steiner variation', 'e4 e6 c4', 'rnbqkbnr/pppp1ppp/4p3/8/2P1P3/8/PP1P1PPP/RNBQKBNR b KQkq -'],
+  ['C00', 'French, Reti (Spielmann) variation', 'e4 e6 b3', 'rnbqkbnr/pppp1ppp/4p3/8/4P3/1P6/P1PP1PPP/RNBQKBNR b KQkq -'],
+  ['C00', 'French, Steinitz attack', 'e4 e6 e5', 'rnbqkbnr/pppp1ppp/4p3/4P3/8/8/PPPP1PPP/RNBQKBNR b KQkq -'],
+  ['C00', 'French, Labourdonnais variation', 'e4 e6 f4', 'rnbqkbnr/pppp1ppp/4p3/8/4PP2/8/PPPP2PP/RNBQKBNR b KQkq -'],
+  ['C00', 'French defence', 'e4 e6 Nf3', 'rnbqkbnr/pppp1ppp/4p3/8/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq -'],
+  ['C00', 'French, Wing gambit', 'e4 e6 Nf3 d5 e5 c5 b4', 'rnbqkbnr/pp3ppp/4p3/2ppP3/1P6/5N2/P1PP1PPP/RNBQKB1R b KQkq -'],
+  ['C00', 'French defence', 'e4 e6 Nc3', 'rnbqkbnr/pppp1ppp/4p3/8/4P3/2N5/PPPP1PPP/R1BQKBNR b KQkq -'],
+  ['C00', 'French, Pelikan variation', 'e4 e6 Nc3 d5 f4', 'rnbqkbnr/ppp2ppp/4p3/3p4/4PP2/2N5/PPPP2PP/R1BQKBNR b KQkq -'],
+  ['C00', 'French, Two knights variation', 'e4 e6 Nc3 d5 Nf3', 'rnbqkbnr/ppp2ppp/4p3/3p4/4P3/2N2N2/PPPP1PPP/R1BQKB1R b KQkq -'],
+  ['C00', 'French, Chigorin variation', 'e4 e6 Qe2', 'rnbqkbnr/pppp1ppp/4p3/8/4P3/8/PPPPQPPP/RNB1KBNR b KQkq -'],
+  ['C00', "French, King's Indian attack", 'e4 e6 d3', 'rnbqkbnr/pppp1ppp/4p3/8/4P3/3P4/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['C00', 'French, Reversed Philidor formation', 'e4 e6 d3 d5 Nd2 Nf6 Ngf3 Nc6 Be2', 'r1bqkb1r/ppp2ppp/2n1pn2/3p4/4P3/3P1N2/PPPNBPPP/R1BQK2R b KQkq -'],
+  ['C00', 'French defence', 'e4 e6 d4', 'rnbqkbnr/pppp1ppp/4p3/8/3PP3/8/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['C00', 'Lengfellner system', 'e4 e6 d4 d6', 'rnbqkbnr/ppp2ppp/3pp3/8/3PP3/8/PPP2PPP/RNBQKBNR w KQkq -'],
+  ['C00', 'St. George defence', 'e4 e6 d4 a6', 'rnbqkbnr/1ppp1ppp/p3p3/8/3PP3/8/PPP2PPP/RNBQKBNR w KQkq -'],
+  ['C00', 'French defence', 'e4 e6 d4 d5', 'rnbqkbnr/ppp2ppp/4p3/3p4/3PP3/8/PPP2PPP/RNBQKBNR w KQkq -'],
+  ['C00', 'French, Schlechter variation', 'e4 e6 d4 d5 Bd3', 'rnbqkbnr/ppp2ppp/4p3/3p4/3PP3/3B4/PPP2PPP/RNBQK1NR b KQkq -'],
+  ['C00', 'French, Alapin variation', 'e4 e6 d4 d5 Be3', 'rnbqkbnr/ppp2ppp/4p3/3p4/3PP3/4B3/PPP2PPP/RN1QKBNR b KQkq -'],
+  ['C01', 'French, exchange variation', 'e4 e6 d4 d5 exd5', 'rnbqkbnr/ppp2ppp/4p3/3P4/3P4/8/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['C01', 'French, exchange, Svenonius variation', 'e4 e6 d4 d5 exd5 exd5 Nc3 Nf6 Bg5', 'rnbqkb1r/ppp2ppp/5n2/3p2B1/3P4/2N5/PPP2PPP/R2QKBNR b KQkq -'],
+  ['C01', 'French, exchange, Bogolyubov variation', 'e4 e6 d4 d5 exd5 exd5 Nc3 Nf6 Bg5 Nc6', 'r1bqkb1r/ppp2ppp/2n2n2/3p2B1/3P4/2N5/PPP2PPP/R2QKBNR w KQkq -'],
+  ['C02', 'French, advance variation', 'e4 e6 d4 d5 e5', 'rnbqkbnr/ppp2ppp/4p3/3pP3/3P4/8/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['C02', 'French, advance, Steinitz variation', 'e4 e6 d4 d5 e5 c5 dxc5', 'rnbqkbnr/pp3ppp/4p3/2PpP3/8/8/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['C02', 'French, advance, Nimzovich variation', 'e4 e6 d4 d5 e5 c5 Qg4', 'rnbqkbnr/pp3ppp/4p3/2ppP3/3P2Q1/8/PPP2PPP/RNB1KBNR b KQkq -'],
+  ['C02', 'French, advance, Nimzovich system', 'e4 e6 d4 d5 e5 c5 Nf3', 'rnbqkbnr/pp3ppp/4p3/2ppP3/3P4/5N2/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C02', 'French, advance variation', 'e4 e6 d4 d5 e5 c5 c3', 'rnbqkbnr/pp3ppp/4p3/2ppP3/3P4/2P5/PP3PPP/RNBQKBNR b KQkq -'],
+  ['C02', 'French, advance, Wade variation', 'e4 e6 d4 d5 e5 c5 c3 Qb6 Nf3 Bd7', 'rn2kbnr/pp1b1ppp/1q2p3/2ppP3/3P4/2P2N2/PP3PPP/RNBQKB1R w KQkq -'],
+  ['C02', 'French, advance variation', 'e4 e6 d4 d5 e5 c5 c3 Nc6', 'r1bqkbnr/pp3ppp/2n1p3/2ppP3/3P4/2P5/PP3PPP/RNBQKBNR w KQkq -'],
+  ['C02', 'French, advance, Paulsen attack', 'e4 e6 d4 d5 e5 c5 c3 Nc6 Nf3', 'r1bqkbnr/pp3ppp/2n1p3/2ppP3/3P4/2P2N2/PP3PPP/RNBQKB1R b KQkq -'],
+  ['C02', 'French, advance, Milner-Barry gambit', 'e4 e6 d4 d5 e5 c5 c3 Nc6 Nf3 Qb6 Bd3', 'r1b1kbnr/pp3ppp/1qn1p3/2ppP3/3P4/2PB1N2/PP3PPP/RNBQK2R b KQkq -'],
+  ['C02', 'French, advance, Euwe variation', 'e4 e6 d4 d5 e5 c5 c3 Nc6 Nf3 Bd7', 'r2qkbnr/pp1b1ppp/2n1p3/2ppP3/3P4/2P2N2/PP3PPP/RNBQKB1R w KQkq -'],
+  ['C03', 'French, Tarrasch', 'e4 e6 d4 d5 Nd2', 'rnbqkbnr/ppp2ppp/4p3/3p4/3PP3/8/PPPN1PPP/R1BQKBNR b KQkq -'],
+  ['C03', 'French, Tarrasch, Haberditz variation', 'e4 e6 d4 d5 Nd2 f5', 'rnbqkbnr/ppp3pp/4p3/3p1p2/3PP3/8/PPPN1PPP/R1BQKBNR w KQkq -'],
+  ['C03', 'French, Tarrasch, Guimard variation', 'e4 e6 d4 d5 Nd2 Nc6', 'r1bqkbnr/ppp2ppp/2n1p3/3p4/3PP3/8/PPPN1PPP/R1BQKBNR w KQkq -'],
+  ['C04', 'French, Tarrasch, Guimard main line', 'e4 e6 d4 d5 Nd2 Nc6 Ngf3 Nf6', 'r1bqkb1r/ppp2ppp/2n1pn2/3p4/3PP3/5N2/PPPN1PPP/R1BQKB1R w KQkq -'],
+  ['C05', 'French, Tarrasch, closed variation', 'e4 e6 d4 d5 Nd2 Nf6', 'rnbqkb1r/ppp2ppp/4pn2/3p4/3PP3/8/PPPN1PPP/R1BQKBNR w KQkq -'],
+  ['C05', 'French, Tarrasch, Botvinnik variation', 'e4 e6 d4 d5 Nd2 Nf6 e5 Nfd7 Bd3 c5 c3 b6', 'rnbqkb1r/p2n1ppp/1p2p3/2ppP3/3P4/2PB4/PP1N1PPP/R1BQK1NR w KQkq -'],
+  ['C05', 'French, Tarrasch, closed variation', 'e4 e6 d4 d5 Nd2 Nf6 e5 Nfd7 Bd3 c5 c3 Nc6', 'r1bqkb1r/pp1n1ppp/2n1p3/2ppP3/3P4/2PB4/PP1N1PPP/R1BQK1NR w KQkq -'],
+  ['C06', 'French, Tarrasch, closed variation, main line', 'e4 e6 d4 d5 Nd2 Nf6 e5 Nfd7 Bd3 c5 c3 Nc6 Ne2 cxd4 cxd4', 'r1bqkb1r/pp1n1ppp/2n1p3/3pP3/3P4/3B4/PP1NNPPP/R1BQK2R b KQkq -'],
+  ['C06', 'French, Tarrasch, Leningrad variation', 'e4 e6 d4 d5 Nd2 Nf6 e5 Nfd7 Bd3 c5 c3 Nc6 Ne2 cxd4 cxd4 Nb6', 'r1bqkb1r/pp3ppp/1nn1p3/3pP3/3P4/3B4/PP1NNPPP/R1BQK2R w KQkq -'],
+  ['C07', 'French, Tarrasch, open variation', 'e4 e6 d4 d5 Nd2 c5', 'rnbqkbnr/pp3ppp/4p3/2pp4/3PP3/8/PPPN1PPP/R1BQKBNR w KQkq -'],
+  ['C07', 'French, Tarrasch, Eliskases variation', 'e4 e6 d4 d5 Nd2 c5 exd5 Qxd5 Ngf3 cxd4 Bc4 Qd8', 'rnbqkbnr/pp3ppp/4p3/8/2Bp4/5N2/PPPN1PPP/R1BQK2R w KQkq -'],
+  ['C08', 'French, Tarrasch, open, 4.ed ed', 'e4 e6 d4 d5 Nd2 c5 exd5 exd5', 'rnbqkbnr/pp3ppp/8/2pp4/3P4/8/PPPN1PPP/R1BQKBNR w KQkq -'],
+  ['C09', 'French, Tarrasch, open variation, main line', 'e4 e6 d4 d5 Nd2 c5 exd5 exd5 Ngf3 Nc6', 'r1bqkbnr/pp3ppp/2n5/2pp4/3P4/5N2/PPPN1PPP/R1BQKB1R w KQkq -'],
+  ['C10', 'French, Paulsen variation', 'e4 e6 d4 d5 Nc3', 'rnbqkbnr/ppp2ppp/4p3/3p4/3PP3/2N5/PPP2PPP/R1BQKBNR b KQkq -'],
+  ['C10', 'French, Marshall variation', 'e4 e6 d4 d5 Nc3 c5', 'rnbqkbnr/pp3ppp/4p3/2pp4/3PP3/2N5/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['C10', 'French, Rubinstein variation', 'e4 e6 d4 d5 Nc3 dxe4', 'rnbqkbnr/ppp2ppp/4p3/8/3Pp3/2N5/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['C10', 'French, Fort Knox variation', 'e4 e6 d4 d5 Nc3 dxe4 Nxe4 Bd7 Nf3 Bc6', 'rn1qkbnr/ppp2ppp/2b1p3/8/3PN3/5N2/PPP2PPP/R1BQKB1R w KQkq -'],
+  ['C10', 'French, Rubinstein variation', 'e4 e6 d4 d5 Nc3 dxe4 Nxe4 Nd7', 'r1bqkbnr/pppn1ppp/4p3/8/3PN3/8/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['C10', 'French, Rubinstein, Capablanca line', 'e4 e6 d4 d5 Nc3 dxe4 Nxe4 Nd7 Nf3 Ngf6 Nxf6+ Nxf6 Ne5', 'r1bqkb1r/ppp2ppp/4pn2/4N3/3P4/8/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['C10', 'French, Frere (Becker) variation', 'e4 e6 d4 d5 Nc3 dxe4 Nxe4 Qd5', 'rnb1kbnr/ppp2ppp/4p3/3q4/3PN3/8/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['C11', 'French defence', 'e4 e6 d4 d5 Nc3 Nf6', 'rnbqkb1r/ppp2ppp/4pn2/3p4/3PP3/2N5/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['C11', 'French, Swiss variation', 'e4 e6 d4 d5 Nc3 Nf6 Bd3', 'rnbqkb1r/ppp2ppp/4pn2/3p4/3PP3/2NB4/PPP2PPP/R1BQK1NR b KQkq -'],
+  ['C11', 'French, Henneberger variation', 'e4 e6 d4 d5 Nc3 Nf6 Be3', 'rnbqkb1r/ppp2ppp/4pn2/3p4/3PP3/2N1B3/PPP2PPP/R2QKBNR b KQkq -'],
+  ['C11', 'French, Steinitz variation', 'e4 e6 d4 d5 Nc3 Nf6 e5', 'rnbqkb1r/ppp2ppp/4pn2/3pP3/3P4/2N5/PPP2PPP/R1BQKBNR b KQkq -'],
+  ['C11', 'French, Steinitz, Bradford attack', 'e4 e6 d4 d5 Nc3 Nf6 e5 Nfd7 f4 c5 dxc5 Bxc5 Qg4', 'rnbqk2r/pp1n1ppp/4p3/2bpP3/5PQ1/2N5/PPP3PP/R1B1KBNR b KQkq -'],
+  ['C11', 'French, Steinitz variation', 'e4 e6 d4 d5 Nc3 Nf6 e5 Nfd7 f4 c5 dxc5 Nc6', 'r1bqkb1r/pp1n1ppp/2n1p3/2PpP3/5P2/2N5/PPP3PP/R1BQKBNR w KQkq -'],
+  ['C11', 'French, Steinitz, Brodsky-Jones variation', 'e4 e6 d4 d5 Nc3 Nf6 e5 Nfd7 f4 c5 dxc5 Nc6 a3 Bxc5 Qg4 O-O Nf3 f6', 'r1bq1rk1/pp1n2pp/2n1pp2/2bpP3/5PQ1/P1N2N2/1PP3PP/R1B1KB1R w KQ -'],
+  ['C11', 'French, Steinitz variation', 'e4 e6 d4 d5 Nc3 Nf6 e5 Nfd7 f4 c5 Nf3', 'rnbqkb1r/pp1n1ppp/4p3/2ppP3/3P1P2/2N2N2/PPP3PP/R1BQKB1R b KQkq -'],
+  ['C11', 'French, Steinitz, Boleslavsky variation', 'e4 e6 d4 d5 Nc3 Nf6 e5 Nfd7 f4 c5 Nf3 Nc6 Be3', 'r1bqkb1r/pp1n1ppp/2n1p3/2ppP3/3P1P2/2N1BN2/PPP3PP/R2QKB1R b KQkq -'],
+  ['C11', 'French, Steinitz, Gledhill attack', 'e4 e6 d4 d5 Nc3 Nf6 e5 Nfd7 Qg4', 'rnbqkb1r/pppn1ppp/4p3/3pP3/3P2Q1/2N5/PPP2PPP/R1B1KBNR b KQkq -'],
+  ['C11', 'French, Burn variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 dxe4', 'rnbqkb1r/ppp2ppp/4pn2/6B1/3Pp3/2N5/PPP2PPP/R2QKBNR w KQkq -'],
+  ['C12', 'French, MacCutcheon variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Bb4', 'rnbqk2r/ppp2ppp/4pn2/3p2B1/1b1PP3/2N5/PPP2PPP/R2QKBNR w KQkq -'],
+  ['C12', 'French, MacCutcheon, Bogolyubov variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Bb4 exd5 Qxd5 Bxf6 gxf6 Qd2 Qa5', 'rnb1k2r/ppp2p1p/4pp2/q7/1b1P4/2N5/PPPQ1PPP/R3KBNR w KQkq -'],
+  ['C12', 'French, MacCutcheon, advance variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Bb4 e5', 'rnbqk2r/ppp2ppp/4pn2/3pP1B1/1b1P4/2N5/PPP2PPP/R2QKBNR b KQkq -'],
+  ['C12', 'French, MacCutcheon, Chigorin variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Bb4 e5 h6 exf6', 'rnbqk2r/ppp2pp1/4pP1p/3p2B1/1b1P4/2N5/PPP2PPP/R2QKBNR b KQkq -'],
+  ['C12', 'French, MacCutcheon, Grigoriev variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Bb4 e5 h6 exf6 hxg5 fxg7 Rg8 h4 gxh4 Qg4', 'rnbqk1r1/ppp2pP1/4p3/3p4/1b1P2Qp/2N5/PPP2PP1/R3KBNR b KQq -'],
+  ['C12', 'French, MacCutcheon, Bernstein variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Bb4 e5 h6 Bh4', 'rnbqk2r/ppp2pp1/4pn1p/3pP3/1b1P3B/2N5/PPP2PPP/R2QKBNR b KQkq -'],
+  ['C12', 'French, MacCutcheon, Janowski variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Bb4 e5 h6 Be3', 'rnbqk2r/ppp2pp1/4pn1p/3pP3/1b1P4/2N1B3/PPP2PPP/R2QKBNR b KQkq -'],
+  ['C12', 'French, MacCutcheon, Dr. Olland (Dutch) variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Bb4 e5 h6 Bc1', 'rnbqk2r/ppp2pp1/4pn1p/3pP3/1b1P4/2N5/PPP2PPP/R1BQKBNR b KQkq -'],
+  ['C12', 'French, MacCutcheon, Tartakower variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Bb4 e5 h6 Bd2 Nfd7', 'rnbqk2r/pppn1pp1/4p2p/3pP3/1b1P4/2N5/PPPB1PPP/R2QKBNR w KQkq -'],
+  ['C12', 'French, MacCutcheon, Lasker variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Bb4 e5 h6 Bd2 Bxc3', 'rnbqk2r/ppp2pp1/4pn1p/3pP3/3P4/2b5/PPPB1PPP/R2QKBNR w KQkq -'],
+  ['C12', 'French, MacCutcheon, Duras variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Bb4 e5 h6 Bd2 Bxc3 bxc3 Ne4 Qg4 Kf8 Bc1', 'rnbq1k1r/ppp2pp1/4p2p/3pP3/3Pn1Q1/2P5/P1P2PPP/R1B1KBNR b KQ -'],
+  ['C12', 'French, MacCutcheon, Lasker variation, 8...g6', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Bb4 e5 h6 Bd2 Bxc3 bxc3 Ne4 Qg4 g6', 'rnbqk2r/ppp2p2/4p1pp/3pP3/3Pn1Q1/2P5/P1PB1PPP/R3KBNR w KQkq -'],
+  ['C13', 'French, classical', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7', 'rnbqk2r/ppp1bppp/4pn2/3p2B1/3PP3/2N5/PPP2PPP/R2QKBNR w KQkq -'],
+  ['C13', 'French, classical, Anderssen variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 Bxf6', 'rnbqk2r/ppp1bppp/4pB2/3p4/3PP3/2N5/PPP2PPP/R2QKBNR b KQkq -'],
+  ['C13', 'French, classical, Anderssen-Richter variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 Bxf6 Bxf6 e5 Be7 Qg4', 'rnbqk2r/ppp1bppp/4p3/3pP3/3P2Q1/2N5/PPP2PPP/R3KBNR b KQkq -'],
+  ['C13', 'French, classical, Vistaneckis (Nimzovich) variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 e5 Ng8', 'rnbqk1nr/ppp1bppp/4p3/3pP1B1/3P4/2N5/PPP2PPP/R2QKBNR w KQkq -'],
+  ['C13', 'French, classical, Frankfurt variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 e5 Ng8 Be3 b6', 'rnbqk1nr/p1p1bppp/1p2p3/3pP3/3P4/2N1B3/PPP2PPP/R2QKBNR w KQkq -'],
+  ['C13', 'French, classical, Tartakower variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 e5 Ne4', 'rnbqk2r/ppp1bppp/4p3/3pP1B1/3Pn3/2N5/PPP2PPP/R2QKBNR w KQkq -'],
+  ['C13', 'French, Albin-Alekhine-Chatard attack', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 e5 Nfd7 h4', 'rnbqk2r/pppnbppp/4p3/3pP1B1/3P3P/2N5/PPP2PP1/R2QKBNR b KQkq -'],
+  ['C13', 'French, Albin-Alekhine-Chatard attack, Maroczy variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 e5 Nfd7 h4 a6', 'rnbqk2r/1ppnbppp/p3p3/3pP1B1/3P3P/2N5/PPP2PP1/R2QKBNR w KQkq -'],
+  ['C13', 'French, Albin-Alekhine-Chatard attack, Breyer variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 e5 Nfd7 h4 c5', 'rnbqk2r/pp1nbppp/4p3/2ppP1B1/3P3P/2N5/PPP2PP1/R2QKBNR w KQkq -'],
+  ['C13', 'French, Albin-Alekhine-Chatard attack, Teichmann variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 e5 Nfd7 h4 f6', 'rnbqk2r/pppnb1pp/4pp2/3pP1B1/3P3P/2N5/PPP2PP1/R2QKBNR w KQkq -'],
+  ['C13', 'French, Albin-Alekhine-Chatard attack, Spielmann variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 e5 Nfd7 h4 O-O', 'rnbq1rk1/pppnbppp/4p3/3pP1B1/3P3P/2N5/PPP2PP1/R2QKBNR w KQ -'],
+  ['C14', 'French, classical variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 e5 Nfd7 Bxe7 Qxe7', 'rnb1k2r/pppnqppp/4p3/3pP3/3P4/2N5/PPP2PPP/R2QKBNR w KQkq -'],
+  ['C14', 'French, classical, Tarrasch variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 e5 Nfd7 Bxe7 Qxe7 Bd3', 'rnb1k2r/pppnqppp/4p3/3pP3/3P4/2NB4/PPP2PPP/R2QK1NR b KQkq -'],
+  ['C14', 'French, classical, Rubinstein variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 e5 Nfd7 Bxe7 Qxe7 Qd2', 'rnb1k2r/pppnqppp/4p3/3pP3/3P4/2N5/PPPQ1PPP/R3KBNR b KQkq -'],
+  ['C14', 'French, classical, Alapin variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 e5 Nfd7 Bxe7 Qxe7 Nb5', 'rnb1k2r/pppnqppp/4p3/1N1pP3/3P4/8/PPP2PPP/R2QKBNR b KQkq -'],
+  ['C14', 'French, classical, Pollock variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 e5 Nfd7 Bxe7 Qxe7 Qg4', 'rnb1k2r/pppnqppp/4p3/3pP3/3P2Q1/2N5/PPP2PPP/R3KBNR b KQkq -'],
+  ['C14', 'French, classical, Steinitz variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 e5 Nfd7 Bxe7 Qxe7 f4', 'rnb1k2r/pppnqppp/4p3/3pP3/3P1P2/2N5/PPP3PP/R2QKBNR b KQkq -'],
+  ['C14', 'French, classical, Stahlberg variation', 'e4 e6 d4 d5 Nc3 Nf6 Bg5 Be7 e5 Nfd7 Bxe7 Qxe7 f4 O-O Nf3 c5 Qd2 Nc6 O-O-O c4', 'r1b2rk1/pp1nqppp/2n1p3/3pP3/2pP1P2/2N2N2/PPPQ2PP/2KR1B1R w - -'],
+  ['C15', 'French, Winawer (Nimzovich) variation', 'e4 e6 d4 d5 Nc3 Bb4', 'rnbqk1nr/ppp2ppp/4p3/3p4/1b1PP3/2N5/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['C15', 'French, Winawer, Kondratiyev variation', 'e4 e6 d4 d5 Nc3 Bb4 Bd3 c5 exd5 Qxd5 Bd2', 'rnb1k1nr/pp3ppp/4p3/2pq4/1b1P4/2NB4/PPPB1PPP/R2QK1NR b KQkq -'],
+  ['C15', 'French, Winawer, fingerslip variation', 'e4 e6 d4 d5 Nc3 Bb4 Bd2', 'rnbqk1nr/ppp2ppp/4p3/3p4/1b1PP3/2N5/PPPB1PPP/R2QKBNR b KQkq -'],
+  ['C15', 'French, Winawer, Alekhine (Maroczy) gambit', 'e4 e6 d4 d5 Nc3 Bb4 Ne2', 'rnbqk1nr/ppp2ppp/4p3/3p4/1b1PP3/2N5/PPP1NPPP/R1BQKB1R b KQkq -'],
+  ['C15', 'French, Winawer, Alekhine gambit, Alatortsev variation', 'e4 e6 d4 d5 Nc3 Bb4 Ne2 dxe4 a3 Be7 Nxe4 Nf6 N2g3 O-O Be2 Nc6', 'r1bq1rk1/ppp1bppp/2n1pn2/8/3PN3/P5N1/1PP1BPPP/R1BQK2R w KQ -'],
+  ['C15', 'French, Winawer, Alekhine gambit', 'e4 e6 d4 d5 Nc3 Bb4 Ne2 dxe4 a3 Bxc3+', 'rnbqk1nr/ppp2ppp/4p3/8/3Pp3/P1b5/1PP1NPPP/R1BQKB1R w KQkq -'],
+  ['C15', 'French, Winawer, Alekhine gambit, Kan variation', 'e4 e6 d4 d5 Nc3 Bb4 Ne2 dxe4 a3 Bxc3+ Nxc3 Nc6', 'r1bqk1nr/ppp2ppp/2n1p3/8/3Pp3/P1N5/1PP2PPP/R1BQKB1R w KQkq -'],
+  ['C16', 'French, Winawer, advance variation', 'e4 e6 d4 d5 Nc3 Bb4 e5', 'rnbqk1nr/ppp2ppp/4p3/3pP3/1b1P4/2N5/PPP2PPP/R1BQKBNR b KQkq -'],
+  ['C16', 'French, Winawer, Petrosian variation', 'e4 e6 d4 d5 Nc3 Bb4 e5 Qd7', 'rnb1k1nr/pppq1ppp/4p3/3pP3/1b1P4/2N5/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['C17', 'French, Winawer, advance variation', 'e4 e6 d4 d5 Nc3 Bb4 e5 c5', 'rnbqk1nr/pp3ppp/4p3/2ppP3/1b1P4/2N5/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['C17', 'French, Winawer, advance, Bogolyubov variation', 'e4 e6 d4 d5 Nc3 Bb4 e5 c5 Bd2', 'rnbqk1nr/pp3ppp/4p3/2ppP3/1b1P4/2N5/PPPB1PPP/R2QKBNR b KQkq -'],
+  ['C17', 'French, Winawer, advance, Russian variation', 'e4 e6 d4 d5 Nc3 Bb4 e5 c5 Qg4', 'rnbqk1nr/pp3ppp/4p3/2ppP3/1b1P2Q1/2N5/PPP2PPP/R1B1KBNR b KQkq -'],
+  ['C17', 'French, Winawer, advance, 5.a3', 'e4 e6 d4 d5 Nc3 Bb4 e5 c5 a3', 'rnbqk1nr/pp3ppp/4p3/2ppP3/1b1P4/P1N5/1PP2PPP/R1BQKBNR b KQkq -'],
+  ['C17', 'French, Winawer, advance, Rauzer variation', 'e4 e6 d4 d5 Nc3 Bb4 e5 c5 a3 cxd4 axb4 dxc3 Nf3', 'rnbqk1nr/pp3ppp/4p3/3pP3/1P6/2p2N2/1PP2PPP/R1BQKB1R b KQkq -'],
+  ['C18', 'French, Winawer, advance variation', 'e4 e6 d4 d5 Nc3 Bb4 e5 c5 a3 Bxc3+ bxc3', 'rnbqk1nr/pp3ppp/4p3/2ppP3/3P4/P1P5/2P2PPP/R1BQKBNR b KQkq -'],
+  ['C18', 'French, Winawer, classical variation', 'e4 e6 d4 d5 Nc3 Bb4 e5 c5 a3 Bxc3+ bxc3 Qc7', 'rnb1k1nr/ppq2ppp/4p3/2ppP3/3P4/P1P5/2P2PPP/R1BQKBNR w KQkq -'],
+  ['C19', 'French, Winawer, advance, 6...Ne7', 'e4 e6 d4 d5 Nc3 Bb4 e5 c5 a3 Bxc3+ bxc3 Ne7', 'rnbqk2r/pp2nppp/4p3/2ppP3/3P4/P1P5/2P2PPP/R1BQKBNR w KQkq -'],
+  ['C19', 'French, Winawer, advance, Smyslov variation', 'e4 e6 d4 d5 Nc3 Bb4 e5 c5 a3 Bxc3+ bxc3 Ne7 a4', 'rnbqk2r/pp2nppp/4p3/2ppP3/P2P4/2P5/2P2PPP/R1BQKBNR b KQkq -'],
+  ['C19', 'French, Winawer, advance, positional main line', 'e4 e6 d4 d5 Nc3 Bb4 e5 c5 a3 Bxc3+ bxc3 Ne7 Nf3', 'rnbqk2r/pp2nppp/4p3/2ppP3/3P4/P1P2N2/2P2PPP/R1BQKB1R b KQkq -'],
+  ['C19', 'French, Winawer, advance, poisoned pawn variation', 'e4 e6 d4 d5 Nc3 Bb4 e5 c5 a3 Bxc3+ bxc3 Ne7 Qg4', 'rnbqk2r/pp2nppp/4p3/2ppP3/3P2Q1/P1P5/2P2PPP/R1B1KBNR b KQkq -'],
+  ['C19', 'French, Winawer, advance, poisoned pawn, Euwe-Gligoric variation', 'e4 e6 d4 d5 Nc3 Bb4 e5 c5 a3 Bxc3+ bxc3 Ne7 Qg4 Qc7 Qxg7 Rg8 Qxh7 cxd4 Kd1', 'rnb1k1r1/ppq1np1Q/4p3/3pP3/3p4/P1P5/2P2PPP/R1BK1BNR b q -'],
+  ['C19', 'French, Winawer, advance, poisoned pawn, Konstantinopolsky variation', 'e4 e6 d4 d5 Nc3 Bb4 e5 c5 a3 Bxc3+ bxc3 Ne7 Qg4 Qc7 Qxg7 Rg8 Qxh7 cxd4 Ne2', 'rnb1k1r1/ppq1np1Q/4p3/3pP3/3p4/P1P5/2P1NPPP/R1B1KB1R b KQq -'],
+  ['C20', "King's pawn game", 'e4 e5', 'rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -'],
+  ['C20', 'KP, Indian opening', 'e4 e5 d3', 'rnbqkbnr/pppp1ppp/8/4p3/4P3/3P4/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['C20', "KP, Mengarini's opening", 'e4 e5 a3', 'rnbqkbnr/pppp1ppp/8/4p3/4P3/P7/1PPP1PPP/RNBQKBNR b KQkq -'],
+  ['C20', "KP, King's head opening", 'e4 e5 f3', 'rnbqkbnr/pppp1ppp/8/4p3/4P3/5P2/PPPP2PP/RNBQKBNR b KQkq -'],
+  ['C20', 'KP, Patzer opening', 'e4 e5 Qh5', 'rnbqkbnr/pppp1ppp/8/4p2Q/4P3/8/PPPP1PPP/RNB1KBNR b KQkq -'],
+  ['C20', "KP, Napoleon's opening", 'e4 e5 Qf3', 'rnbqkbnr/pppp1ppp/8/4p3/4P3/5Q2/PPPP1PPP/RNB1KBNR b KQkq -'],
+  ['C20', 'KP, Lopez opening', 'e4 e5 c3', 'rnbqkbnr/pppp1ppp/8/4p3/4P3/2P5/PP1P1PPP/RNBQKBNR b KQkq -'],
+  ['C20', "Alapin's opening", 'e4 e5 Ne2', 'rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPPNPPP/RNBQKB1R b KQkq -'],
+  ['C21', 'Centre game', 'e4 e5 d4 exd4', 'rnbqkbnr/pppp1ppp/8/8/3pP3/8/PPP2PPP/RNBQKBNR w KQkq -'],
+  ['C21', 'Centre game, Kieseritsky variation', 'e4 e5 d4 exd4 Nf3 c5 Bc4 b5', 'rnbqkbnr/p2p1ppp/8/1pp5/2BpP3/5N2/PPP2PPP/RNBQK2R w KQkq -'],
+  ['C21', 'Halasz gambit', 'e4 e5 d4 exd4 f4', 'rnbqkbnr/pppp1ppp/8/8/3pPP2/8/PPP3PP/RNBQKBNR b KQkq -'],
+  ['C21', 'Danish gambit', 'e4 e5 d4 exd4 c3', 'rnbqkbnr/pppp1ppp/8/8/3pP3/2P5/PP3PPP/RNBQKBNR b KQkq -'],
+  ['C21', 'Danish gambit, Collijn defence', 'e4 e5 d4 exd4 c3 dxc3 Bc4 cxb2 Bxb2 Qe7', 'rnb1kbnr/ppppqppp/8/8/2B1P3/8/PB3PPP/RN1QK1NR w KQkq -'],
+  ['C21', 'Danish gambit, Schlechter defence', 'e4 e5 d4 exd4 c3 dxc3 Bc4 cxb2 Bxb2 d5', 'rnbqkbnr/ppp2ppp/8/3p4/2B1P3/8/PB3PPP/RN1QK1NR w KQkq -'],
+  ['C21', 'Danish gambit, Soerensen defence', 'e4 e5 d4 exd4 c3 d5', 'rnbqkbnr/ppp2ppp/8/3p4/3pP3/2P5/PP3PPP/RNBQKBNR w KQkq -'],
+  ['C21', 'Centre game', 'e4 e5 d4 exd4 Qxd4', 'rnbqkbnr/pppp1ppp/8/8/3QP3/8/PPP2PPP/RNB1KBNR b KQkq -'],
+  ['C22', 'Centre game', 'e4 e5 d4 exd4 Qxd4 Nc6', 'r1bqkbnr/pppp1ppp/2n5/8/3QP3/8/PPP2PPP/RNB1KBNR w KQkq -'],
+  ['C22', 'Centre game, Paulsen attack', 'e4 e5 d4 exd4 Qxd4 Nc6 Qe3', 'r1bqkbnr/pppp1ppp/2n5/8/4P3/4Q3/PPP2PPP/RNB1KBNR b KQkq -'],
+  ['C22', 'Centre game, Charousek variation', 'e4 e5 d4 exd4 Qxd4 Nc6 Qe3 Bb4+ c3 Be7', 'r1bqk1nr/ppppbppp/2n5/8/4P3/2P1Q3/PP3PPP/RNB1KBNR w KQkq -'],
+  ['C22', "Centre game, l'Hermet variation", 'e4 e5 d4 exd4 Qxd4 Nc6 Qe3 f5', 'r1bqkbnr/pppp2pp/2n5/5p2/4P3/4Q3/PPP2PPP/RNB1KBNR w KQkq -'],
+  ['C22', 'Centre game, Berger variation', 'e4 e5 d4 exd4 Qxd4 Nc6 Qe3 Nf6', 'r1bqkb1r/pppp1ppp/2n2n2/8/4P3/4Q3/PPP2PPP/RNB1KBNR w KQkq -'],
+  ['C22', 'Centre game, Kupreichik variation', 'e4 e5 d4 exd4 Qxd4 Nc6 Qe3 Nf6 Nc3 Bb4 Bd2 O-O O-O-O Re8 Bc4 d6 Nh3', 'r1bqr1k1/ppp2ppp/2np1n2/8/1bB1P3/2N1Q2N/PPPB1PPP/2KR3R b - -'],
+  ['C22', 'Centre game, Hall variation', 'e4 e5 d4 exd4 Qxd4 Nc6 Qc4', 'r1bqkbnr/pppp1ppp/2n5/8/2Q1P3/8/PPP2PPP/RNB1KBNR b KQkq -'],
+  ['C23', "Bishop's opening", 'e4 e5 Bc4', 'rnbqkbnr/pppp1ppp/8/4p3/2B1P3/8/PPPP1PPP/RNBQK1NR b KQkq -'],
+  ['C23', "Bishop's opening, Philidor counter-attack", 'e4 e5 Bc4 c6', 'rnbqkbnr/pp1p1ppp/2p5/4p3/2B1P3/8/PPPP1PPP/RNBQK1NR w KQkq -'],
+  ['C23', "Bishop's opening, Lisitsyn variation", 'e4 e5 Bc4 c6 d4 d5 exd5 cxd5 Bb5+ Bd7 Bxd7+ Nxd7 dxe5 Nxe5 Ne2', 'r2qkbnr/pp3ppp/8/3pn3/8/8/PPP1NPPP/RNBQK2R b KQkq -'],
+  ['C23', "Bishop's opening, Calabrese counter-gambit", 'e4 e5 Bc4 f5', 'rnbqkbnr/pppp2pp/8/4pp2/2B1P3/8/PPPP1PPP/RNBQK1NR w KQkq -'],
+  ['C23', "Bishop's opening, Calabrese counter-gambit, Jaenisch variation", 'e4 e5 Bc4 f5 d3', 'rnbqkbnr/pppp2pp/8/4pp2/2B1P3/3P4/PPP2PPP/RNBQK1NR b KQkq -'],
+  ['C23', "Bishop's opening, Classical variation", 'e4 e5 Bc4 Bc5', 'rnbqk1nr/pppp1ppp/8/2b1p3/2B1P3/8/PPPP1PPP/RNBQK1NR w KQkq -'],
+  ['C23', "Bishop's opening, Lopez gambit", 'e4 e5 Bc4 Bc5 Qe2 Nc6 c3 Nf6 f4', 'r1bqk2r/pppp1ppp/2n2n2/2b1p3/2B1PP2/2P5/PP1PQ1PP/RNB1K1NR b KQkq -'],
+  ['C23', "Bishop's opening, Philidor variation", 'e4 e5 Bc4 Bc5 c3', 'rnbqk1nr/pppp1ppp/8/2b1p3/2B1P3/2P5/PP1P1PPP/RNBQK1NR b KQkq -'],
+  ['C23', "Bishop's opening, Pratt variation", 'e4 e5 Bc4 Bc5 c3 Nf6 d4 exd4 e5 d5 exf6 dxc4 Qh5 O-O', 'rnbq1rk1/ppp2ppp/5P2/2b4Q/2pp4/2P5/PP3PPP/RNB1K1NR w KQ -'],
+  ['C23', "Bishop's opening, Lewis counter-gambit", 'e4 e5 Bc4 Bc5 c3 d5', 'rnbqk1nr/ppp2ppp/8/2bpp3/2B1P3/2P5/PP1P1PPP/RNBQK1NR w KQkq -'],
+  ['C23', "Bishop's opening, del Rio variation", 'e4 e5 Bc4 Bc5 c3 Qg5', 'rnb1k1nr/pppp1ppp/8/2b1p1q1/2B1P3/2P5/PP1P1PPP/RNBQK1NR w KQkq -'],
+  ['C23', "Bishop's opening, Lewis gambit", 'e4 e5 Bc4 Bc5 d4', 'rnbqk1nr/pppp1ppp/8/2b1p3/2BPP3/8/PPP2PPP/RNBQK1NR b KQkq -'],
+  ['C23', "Bishop's opening, Wing gambit", 'e4 e5 Bc4 Bc5 b4', 'rnbqk1nr/pppp1ppp/8/2b1p3/1PB1P3/8/P1PP1PPP/RNBQK1NR b KQkq -'],
+  ['C23', "Bishop's opening, MacDonnell double gambit", 'e4 e5 Bc4 Bc5 b4 Bxb4 f4', 'rnbqk1nr/pppp1ppp/8/4p3/1bB1PP2/8/P1PP2PP/RNBQK1NR b KQkq -'],
+  ['C23', "Bishop's opening, Four pawns' gambit", 'e4 e5 Bc4 Bc5 b4 Bxb4 f4 exf4 Nf3 Be7 d4 Bh4+ g3 fxg3 O-O gxh2+ Kh1', 'rnbqk1nr/pppp1ppp/8/8/2BPP2b/5N2/P1P4p/RNBQ1R1K b kq -'],
+  ['C24', "Bishop's opening, Berlin defence", 'e4 e5 Bc4 Nf6', 'rnbqkb1r/pppp1ppp/5n2/4p3/2B1P3/8/PPPP1PPP/RNBQK1NR w KQkq -'],
+  ['C24', "Bishop's opening, Greco gambit", 'e4 e5 Bc4 Nf6 f4', 'rnbqkb1r/pppp1ppp/5n2/4p3/2B1PP2/8/PPPP2PP/RNBQK1NR b KQkq -'],
+  ['C24', "Bishop's opening, Ponziani gambit", 'e4 e5 Bc4 Nf6 d4', 'rnbqkb1r/pppp1ppp/5n2/4p3/2BPP3/8/PPP2PPP/RNBQK1NR b KQkq -'],
+  ['C24', "Bishop's opening, Urusov gambit", 'e4 e5 Bc4 Nf6 d4 exd4 Nf3', 'rnbqkb1r/pppp1ppp/5n2/8/2BpP3/5N2/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C24', "Bishop's opening, Urusov gambit, Panov variation", 'e4 e5 Bc4 Nf6 d4 exd4 Nf3 d5 exd5 Bb4+ c3 Qe7+', 'rnb1k2r/ppp1qppp/5n2/3P4/1bBp4/2P2N2/PP3PPP/RNBQK2R w KQkq -'],
+  ['C25', 'Vienna game', 'e4 e5 Nc3', 'rnbqkbnr/pppp1ppp/8/4p3/4P3/2N5/PPPP1PPP/R1BQKBNR b KQkq -'],
+  ['C25', 'Vienna, Zhuravlev countergambit', 'e4 e5 Nc3 Bb4 Qg4 Nf6', 'rnbqk2r/pppp1ppp/5n2/4p3/1b2P1Q1/2N5/PPPP1PPP/R1B1KBNR w KQkq -'],
+  ['C25', 'Vienna game, Max Lange defence', 'e4 e5 Nc3 Nc6', 'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/2N5/PPPP1PPP/R1BQKBNR w KQkq -'],
+  ['C25', 'Vienna, Paulsen variation', 'e4 e5 Nc3 Nc6 g3', 'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/2N3P1/PPPP1P1P/R1BQKBNR b KQkq -'],
+  ['C25', 'Vienna, Fyfe gambit', 'e4 e5 Nc3 Nc6 d4', 'r1bqkbnr/pppp1ppp/2n5/4p3/3PP3/2N5/PPP2PPP/R1BQKBNR b KQkq -'],
+  ['C25', 'Vienna gambit', 'e4 e5 Nc3 Nc6 f4', 'r1bqkbnr/pppp1ppp/2n5/4p3/4PP2/2N5/PPPP2PP/R1BQKBNR b KQkq -'],
+  ['C25', 'Vienna, Steinitz gambit', 'e4 e5 Nc3 Nc6 f4 exf4 d4', 'r1bqkbnr/pppp1ppp/2n5/8/3PPp2/2N5/PPP3PP/R1BQKBNR b KQkq -'],
+  ['C25', 'Vienna, Steinitz gambit, Zukertort defence', 'e4 e5 Nc3 Nc6 f4 exf4 d4 Qh4+ Ke2 d5', 'r1b1kbnr/ppp2ppp/2n5/3p4/3PPp1q/2N5/PPP1K1PP/R1BQ1BNR w kq -'],
+  ['C25', 'Vienna, Steinitz gambit, Fraser-Minckwitz variation', 'e4 e5 Nc3 Nc6 f4 exf4 d4 Qh4+ Ke2 b6', 'r1b1kbnr/p1pp1ppp/1pn5/8/3PPp1q/2N5/PPP1K1PP/R1BQ1BNR w kq -'],
+  ['C25', 'Vienna gambit', 'e4 e5 Nc3 Nc6 f4 exf4 Nf3', 'r1bqkbnr/pppp1ppp/2n5/8/4Pp2/2N2N2/PPPP2PP/R1BQKB1R b KQkq -'],
+  ['C25', 'Vienna, Hamppe-Allgaier gambit', 'e4 e5 Nc3 Nc6 f4 exf4 Nf3 g5 h4 g4 Ng5', 'r1bqkbnr/pppp1p1p/2n5/6N1/4PppP/2N5/PPPP2P1/R1BQKB1R b KQkq -'],
+  ['C25', 'Vienna, Hamppe-Allgaier gambit, Alapin variation', 'e4 e5 Nc3 Nc6 f4 exf4 Nf3 g5 h4 g4 Ng5 d6', 'r1bqkbnr/ppp2p1p/2np4/6N1/4PppP/2N5/PPPP2P1/R1BQKB1R w KQkq -'],
+  ['C25', 'Vienna, Hamppe-Muzio gambit', 'e4 e5 Nc3 Nc6 f4 exf4 Nf3 g5 Bc4 g4 O-O', 'r1bqkbnr/pppp1p1p/2n5/8/2B1Ppp1/2N2N2/PPPP2PP/R1BQ1RK1 b kq -'],
+  ['C25', 'Vienna, Hamppe-Muzio, Dubois variation', 'e4 e5 Nc3 Nc6 f4 exf4 Nf3 g5 Bc4 g4 O-O gxf3 Qxf3 Ne5 Qxf4 Qf6', 'r1b1kbnr/pppp1p1p/5q2/4n3/2B1PQ2/2N5/PPPP2PP/R1B2RK1 w kq -'],
+  ['C25', 'Vienna, Pierce gambit', 'e4 e5 Nc3 Nc6 f4 exf4 Nf3 g5 d4', 'r1bqkbnr/pppp1p1p/2n5/6p1/3PPp2/2N2N2/PPP3PP/R1BQKB1R b KQkq -'],
+  ['C25', 'Vienna, Pierce gambit, Rushmere attack', 'e4 e5 Nc3 Nc6 f4 exf4 Nf3 g5 d4 g4 Bc4 gxf3 O-O d5 exd5 Bg4 dxc6', 'r2qkbnr/ppp2p1p/2P5/8/2BP1pb1/2N2p2/PPP3PP/R1BQ1RK1 b kq -'],
+  ['C26', 'Vienna, Falkbeer variation', 'e4 e5 Nc3 Nf6', 'rnbqkb1r/pppp1ppp/5n2/4p3/4P3/2N5/PPPP1PPP/R1BQKBNR w KQkq -'],
+  ['C26', 'Vienna, Mengarini variation', 'e4 e5 Nc3 Nf6 a3', 'rnbqkb1r/pppp1ppp/5n2/4p3/4P3/P1N5/1PPP1PPP/R1BQKBNR b KQkq -'],
+  ['C26', 'Vienna, Paulsen-Mieses variation', 'e4 e5 Nc3 Nf6 g3', 'rnbqkb1r/pppp1ppp/5n2/4p3/4P3/2N3P1/PPPP1P1P/R1BQKBNR b KQkq -'],
+  ['C26', 'Vienna game', 'e4 e5 Nc3 Nf6 Bc4', 'rnbqkb1r/pppp1ppp/5n2/4p3/2B1P3/2N5/PPPP1PPP/R1BQK1NR b KQkq -'],
+  ['C27', 'Vienna game', 'e4 e5 Nc3 Nf6 Bc4 Nxe4', 'rnbqkb1r/pppp1ppp/8/4p3/2B1n3/2N5/PPPP1PPP/R1BQK1NR w KQkq -'],
+  ['C27', "Vienna, `Frankenstein-Dracula' variation", 'e4 e5 Nc3 Nf6 Bc4 Nxe4 Qh5 Nd6 Bb3 Nc6 Nb5 g6 Qf3 f5 Qd5 Qe7 Nxc7+ Kd8 Nxa8 b6', 'N1bk1b1r/p2pq2p/1pnn2p1/3Qpp2/8/1B6/PPPP1PPP/R1B1K1NR w KQ -'],
+  ['C27', "Vienna, Adams' gambit", 'e4 e5 Nc3 Nf6 Bc4 Nxe4 Qh5 Nd6 Bb3 Nc6 d4', 'r1bqkb1r/pppp1ppp/2nn4/4p2Q/3P4/1BN5/PPP2PPP/R1B1K1NR b KQkq -'],
+  ['C27', 'Vienna game', 'e4 e5 Nc3 Nf6 Bc4 Nxe4 Qh5 Nd6 Bb3 Be7', 'rnbqk2r/ppppbppp/3n4/4p2Q/8/1BN5/PPPP1PPP/R1B1K1NR w KQkq -'],
+  ['C27', 'Vienna, Alekhine variation', 'e4 e5 Nc3 Nf6 Bc4 Nxe4 Qh5 Nd6 Bb3 Be7 Nf3 Nc6 Nxe5', 'r1bqk2r/ppppbppp/2nn4/4N2Q/8/1BN5/PPPP1PPP/R1B1K2R b KQkq -'],
+  ['C27', 'Boden-Kieseritsky gambit', 'e4 e5 Nc3 Nf6 Bc4 Nxe4 Nf3', 'rnbqkb1r/pppp1ppp/8/4p3/2B1n3/2N2N2/PPPP1PPP/R1BQK2R b KQkq -'],
+  ['C27', 'Boden-Kieseritsky gambit, Lichtenhein defence', 'e4 e5 Nc3 Nf6 Bc4 Nxe4 Nf3 d5', 'rnbqkb1r/ppp2ppp/8/3pp3/2B1n3/2N2N2/PPPP1PPP/R1BQK2R w KQkq -'],
+  ['C28', 'Vienna game', 'e4 e5 Nc3 Nf6 Bc4 Nc6', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2B1P3/2N5/PPPP1PPP/R1BQK1NR w KQkq -'],
+  ['C29', 'Vienna gambit', 'e4 e5 Nc3 Nf6 f4 d5', 'rnbqkb1r/ppp2ppp/5n2/3pp3/4PP2/2N5/PPPP2PP/R1BQKBNR w KQkq -'],
+  ['C29', 'Vienna gambit, Kaufmann variation', 'e4 e5 Nc3 Nf6 f4 d5 fxe5 Nxe4 Nf3 Bg4 Qe2', 'rn1qkb1r/ppp2ppp/8/3pP3/4n1b1/2N2N2/PPPPQ1PP/R1B1KB1R b KQkq -'],
+  ['C29', 'Vienna gambit, Breyer variation', 'e4 e5 Nc3 Nf6 f4 d5 fxe5 Nxe4 Nf3 Be7', 'rnbqk2r/ppp1bppp/8/3pP3/4n3/2N2N2/PPPP2PP/R1BQKB1R w KQkq -'],
+  ['C29', 'Vienna gambit, Paulsen attack', 'e4 e5 Nc3 Nf6 f4 d5 fxe5 Nxe4 Qf3', 'rnbqkb1r/ppp2ppp/8/3pP3/4n3/2N2Q2/PPPP2PP/R1B1KBNR b KQkq -'],
+  ['C29', 'Vienna gambit, Bardeleben variation', 'e4 e5 Nc3 Nf6 f4 d5 fxe5 Nxe4 Qf3 f5', 'rnbqkb1r/ppp3pp/8/3pPp2/4n3/2N2Q2/PPPP2PP/R1B1KBNR w KQkq f6'],
+  ['C29', 'Vienna gambit, Heyde variation', 'e4 e5 Nc3 Nf6 f4 d5 fxe5 Nxe4 Qf3 f5 d4', 'rnbqkb1r/ppp3pp/8/3pPp2/3Pn3/2N2Q2/PPP3PP/R1B1KBNR b KQkq -'],
+  ['C29', 'Vienna gambit', 'e4 e5 Nc3 Nf6 f4 d5 fxe5 Nxe4 d3', 'rnbqkb1r/ppp2ppp/8/3pP3/4n3/2NP4/PPP3PP/R1BQKBNR b KQkq -'],
+  ['C29', 'Vienna gambit, Wurzburger trap', 'e4 e5 Nc3 Nf6 f4 d5 fxe5 Nxe4 d3 Qh4+ g3 Nxg3 Nf3 Qh5 Nxd5', 'rnb1kb1r/ppp2ppp/8/3NP2q/8/3P1Nn1/PPP4P/R1BQKB1R b KQkq -'],
+  ['C29', 'Vienna gambit, Steinitz variation', 'e4 e5 Nc3 Nf6 f4 d5 d3', 'rnbqkb1r/ppp2ppp/5n2/3pp3/4PP2/2NP4/PPP3PP/R1BQKBNR b KQkq -'],
+  ['C30', "King's gambit", 'e4 e5 f4', 'rnbqkbnr/pppp1ppp/8/4p3/4PP2/8/PPPP2PP/RNBQKBNR b KQkq -'],
+  ['C30', "KGD, Keene's defence", 'e4 e5 f4 Qh4+ g3 Qe7', 'rnb1kbnr/ppppqppp/8/4p3/4PP2/6P1/PPPP3P/RNBQKBNR w KQkq -'],
+  ['C30', 'KGD, Mafia defence', 'e4 e5 f4 c5', 'rnbqkbnr/pp1p1ppp/8/2p1p3/4PP2/8/PPPP2PP/RNBQKBNR w KQkq -'],
+  ['C30', 'KGD, Norwalde variation', 'e4 e5 f4 Qf6', 'rnb1kbnr/pppp1ppp/5q2/4p3/4PP2/8/PPPP2PP/RNBQKBNR w KQkq -'],
+  ['C30', 'KGD, Norwalde variation, Buecker gambit', 'e4 e5 f4 Qf6 Nf3 Qxf4 Nc3 Bb4 Bc4', 'rnb1k1nr/pppp1ppp/8/4p3/1bB1Pq2/2N2N2/PPPP2PP/R1BQK2R b KQkq -'],
+  ['C30', 'KGD, classical variation', 'e4 e5 f4 Bc5', 'rnbqk1nr/pppp1ppp/8/2b1p3/4PP2/8/PPPP2PP/RNBQKBNR w KQkq -'],
+  ['C30', 'KGD, classical, Svenonius variation', 'e4 e5 f4 Bc5 Nf3 d6 Nc3 Nf6 Bc4 Nc6 d3 Bg4 h3 Bxf3 Qxf3 exf4', 'r2qk2r/ppp2ppp/2np1n2/2b5/2B1Pp2/2NP1Q1P/PPP3P1/R1B1K2R w KQkq -'],
+  ['C30', 'KGD, classical, Hanham variation', 'e4 e5 f4 Bc5 Nf3 d6 Nc3 Nd7', 'r1bqk1nr/pppn1ppp/3p4/2b1p3/4PP2/2N2N2/PPPP2PP/R1BQKB1R w KQkq -'],
+  ['C30', 'KGD, classical, 4.c3', 'e4 e5 f4 Bc5 Nf3 d6 c3', 'rnbqk1nr/ppp2ppp/3p4/2b1p3/4PP2/2P2N2/PP1P2PP/RNBQKB1R b KQkq -'],
+  ['C30', 'KGD, classical, Marshall attack', 'e4 e5 f4 Bc5 Nf3 d6 c3 Bg4 fxe5 dxe5 Qa4+', 'rn1qk1nr/ppp2ppp/8/2b1p3/Q3P1b1/2P2N2/PP1P2PP/RNB1KB1R b KQkq -'],
+  ['C30', 'KGD, classical counter-gambit', 'e4 e5 f4 Bc5 Nf3 d6 c3 f5', 'rnbqk1nr/ppp3pp/3p4/2b1pp2/4PP2/2P2N2/PP1P2PP/RNBQKB1R w KQkq -'],
+  ['C30', 'KGD, classical, Reti variation', 'e4 e5 f4 Bc5 Nf3 d6 c3 f5 fxe5 dxe5 d4 exd4 Bc4', 'rnbqk1nr/ppp3pp/8/2b2p2/2BpP3/2P2N2/PP4PP/RNBQK2R b KQkq -'],
+  ['C30', 'KGD, classical, Soldatenkov variation', 'e4 e5 f4 Bc5 Nf3 d6 fxe5', 'rnbqk1nr/ppp2ppp/3p4/2b1P3/4P3/5N2/PPPP2PP/RNBQKB1R b KQkq -'],
+  ['C30', 'KGD, classical, Heath variation', 'e4 e5 f4 Bc5 Nf3 d6 b4', 'rnbqk1nr/ppp2ppp/3p4/2b1p3/1P2PP2/5N2/P1PP2PP/RNBQKB1R b KQkq -'],
+  ['C30', 'KGD, 2...Nf6', 'e4 e5 f4 Nf6', 'rnbqkb1r/pppp1ppp/5n2/4p3/4PP2/8/PPPP2PP/RNBQKBNR w KQkq -'],
+  ['C31', 'KGD, Falkbeer counter-gambit', 'e4 e5 f4 d5', 'rnbqkbnr/ppp2ppp/8/3pp3/4PP2/8/PPPP2PP/RNBQKBNR w KQkq -'],
+  ['C31', 'KGD, Falkbeer, Tartakower variation', 'e4 e5 f4 d5 Nf3', 'rnbqkbnr/ppp2ppp/8/3pp3/4PP2/5N2/PPPP2PP/RNBQKB1R b KQkq -'],
+  ['C31', 'KGD, Falkbeer, Milner-Barry variation', 'e4 e5 f4 d5 Nc3', 'rnbqkbnr/ppp2ppp/8/3pp3/4PP2/2N5/PPPP2PP/R1BQKBNR b KQkq -'],
+  ['C31', 'KGD, Falkbeer counter-gambit', 'e4 e5 f4 d5 exd5', 'rnbqkbnr/ppp2ppp/8/3Pp3/5P2/8/PPPP2PP/RNBQKBNR b KQkq -'],
+  ['C31', 'KGD, Nimzovich counter-gambit', 'e4 e5 f4 d5 exd5 c6', 'rnbqkbnr/pp3ppp/2p5/3Pp3/5P2/8/PPPP2PP/RNBQKBNR w KQkq -'],
+  ['C31', 'KGD, Falkbeer, 3...e4', 'e4 e5 f4 d5 exd5 e4', 'rnbqkbnr/ppp2ppp/8/3P4/4pP2/8/PPPP2PP/RNBQKBNR w KQkq -'],
+  ['C31', 'KGD, Falkbeer, Rubinstein variation', 'e4 e5 f4 d5 exd5 e4 Nc3 Nf6 Qe2', 'rnbqkb1r/ppp2ppp/5n2/3P4/4pP2/2N5/PPPPQ1PP/R1B1KBNR b KQkq -'],
+  ['C31', 'KGD, Falkbeer, Nimzovich variation', 'e4 e5 f4 d5 exd5 e4 Bb5+', 'rnbqkbnr/ppp2ppp/8/1B1P4/4pP2/8/PPPP2PP/RNBQK1NR b KQkq -'],
+  ['C31', 'KGD, Falkbeer, 4.d3', 'e4 e5 f4 d5 exd5 e4 d3', 'rnbqkbnr/ppp2ppp/8/3P4/4pP2/3P4/PPP3PP/RNBQKBNR b KQkq -'],
+  ['C31', 'KGD, Falkbeer, Morphy gambit', 'e4 e5 f4 d5 exd5 e4 d3 Nf6 Nc3 Bb4 Bd2 e3', 'rnbqk2r/ppp2ppp/5n2/3P4/1b3P2/2NPp3/PPPB2PP/R2QKBNR w KQkq -'],
+  ['C32', 'KGD, Falkbeer, 5.de', 'e4 e5 f4 d5 exd5 e4 d3 Nf6 dxe4', 'rnbqkb1r/ppp2ppp/5n2/3P4/4PP2/8/PPP3PP/RNBQKBNR b KQkq -'],
+  ['C32', 'KGD, Falkbeer, Alapin variation', 'e4 e5 f4 d5 exd5 e4 d3 Nf6 dxe4 Nxe4 Nf3 Bc5 Qe2 Bf2+ Kd1 Qxd5+ Nfd2', 'rnb1k2r/ppp2ppp/8/3q4/4nP2/8/PPPNQbPP/RNBK1B1R b kq -'],
+  ['C32', 'KGD, Falkbeer, main line, 7...Bf5', 'e4 e5 f4 d5 exd5 e4 d3 Nf6 dxe4 Nxe4 Nf3 Bc5 Qe2 Bf5', 'rn1qk2r/ppp2ppp/8/2bP1b2/4nP2/5N2/PPP1Q1PP/RNB1KB1R w KQkq -'],
+  ['C32', 'KGD, Falkbeer, Tarrasch variation', 'e4 e5 f4 d5 exd5 e4 d3 Nf6 dxe4 Nxe4 Nf3 Bc5 Qe2 Bf5 g4 O-O', 'rn1q1rk1/ppp2ppp/8/2bP1b2/4nPP1/5N2/PPP1Q2P/RNB1KB1R w KQ -'],
+  ['C32', 'KGD, Falkbeer, Charousek gambit', 'e4 e5 f4 d5 exd5 e4 d3 Nf6 dxe4 Nxe4 Qe2', 'rnbqkb1r/ppp2ppp/8/3P4/4nP2/8/PPP1Q1PP/RNB1KBNR b KQkq -'],
+  ['C32', 'KGD, Falkbeer, Charousek variation', 'e4 e5 f4 d5 exd5 e4 d3 Nf6 dxe4 Nxe4 Qe2 Qxd5 Nd2 f5 g4', 'rnb1kb1r/ppp3pp/8/3q1p2/4nPP1/8/PPPNQ2P/R1B1KBNR b KQkq -'],
+  ['C32', 'KGD, Falkbeer, Keres variation', 'e4 e5 f4 d5 exd5 e4 d3 Nf6 Nd2', 'rnbqkb1r/ppp2ppp/5n2/3P4/4pP2/3P4/PPPN2PP/R1BQKBNR b KQkq -'],
+  ['C32', 'KGD, Falkbeer, Reti variation', 'e4 e5 f4 d5 exd5 e4 d3 Nf6 Qe2', 'rnbqkb1r/ppp2ppp/5n2/3P4/4pP2/3P4/PPP1Q1PP/RNB1KBNR b KQkq -'],
+  ['C33', "King's gambit accepted", 'e4 e5 f4 exf4', 'rnbqkbnr/pppp1ppp/8/8/4Pp2/8/PPPP2PP/RNBQKBNR w KQkq -'],
+  ['C33', 'KGA, Tumbleweed gambit', 'e4 e5 f4 exf4 Kf2', 'rnbqkbnr/pppp1ppp/8/8/4Pp2/8/PPPP1KPP/RNBQ1BNR b kq -'],
+  ['C33', 'KGA, Orsini gambit', 'e4 e5 f4 exf4 b3', 'rnbqkbnr/pppp1ppp/8/8/4Pp2/1P6/P1PP2PP/RNBQKBNR b KQkq -'],
+  ['C33', "KGA, Pawn's gambit (Stamma gambit)", 'e4 e5 f4 exf4 h4', 'rnbqkbnr/pppp1ppp/8/8/4Pp1P/8/PPPP2P1/RNBQKBNR b KQkq -'],
+  ['C33', 'KGA, Schurig gambit', 'e4 e5 f4 exf4 Bd3', 'rnbqkbnr/pppp1ppp/8/8/4Pp2/3B4/PPPP2PP/RNBQK1NR b KQkq -'],
+  ['C33', 'KGA, Carrera (Basman) gambit', 'e4 e5 f4 exf4 Qe2', 'rnbqkbnr/pppp1ppp/8/8/4Pp2/8/PPPPQ1PP/RNB1KBNR b KQkq -'],
+  ['C33', 'KGA, Villemson (Steinitz) gambit', 'e4 e5 f4 exf4 d4', 'rnbqkbnr/pppp1ppp/8/8/3PPp2/8/PPP3PP/RNBQKBNR b KQkq -'],
+  ['C33', 'KGA, Keres (Mason-Steinitz) gambit', 'e4 e5 f4 exf4 Nc3', 'rnbqkbnr/pppp1ppp/8/8/4Pp2/2N5/PPPP2PP/R1BQKBNR b KQkq -'],
+  ['C33', 'KGA, Breyer gambit', 'e4 e5 f4 exf4 Qf3', 'rnbqkbnr/pppp1ppp/8/8/4Pp2/5Q2/PPPP2PP/RNB1KBNR b KQkq -'],
+  ['C33', "KGA, Lesser bishop's (Petroff-Jaenisch-Tartakower) gambit", 'e4 e5 f4 exf4 Be2', 'rnbqkbnr/pppp1ppp/8/8/4Pp2/8/PPPPB1PP/RNBQK1NR b KQkq -'],
+  ['C33', "KGA, bishop's gambit", 'e4 e5 f4 exf4 Bc4', 'rnbqkbnr/pppp1ppp/8/8/2B1Pp2/8/PPPP2PP/RNBQK1NR b KQkq -'],
+  ['C33', "KGA, bishop's gambit, Chigorin's attack", 'e4 e5 f4 exf4 Bc4 Qh4+ Kf1 d5 Bxd5 g5 g3', 'rnb1kbnr/ppp2p1p/8/3B2p1/4Pp1q/6P1/PPPP3P/RNBQ1KNR b kq -'],
+  ['C33', "KGA, bishop's gambit, Greco variation", 'e4 e5 f4 exf4 Bc4 Qh4+ Kf1 Bc5', 'rnb1k1nr/pppp1ppp/8/2b5/2B1Pp1q/8/PPPP2PP/RNBQ1KNR w kq -'],
+  ['C33', "KGA, bishop's gambit, classical defence", 'e4 e5 f4 exf4 Bc4 Qh4+ Kf1 g5', 'rnb1kbnr/pppp1p1p/8/6p1/2B1Pp1q/8/PPPP2PP/RNBQ1KNR w kq -'],
+  ['C33', "KGA, bishop's gambit, Grimm attack", 'e4 e5 f4 exf4 Bc4 Qh4+ Kf1 g5 Nc3 Bg7 d4 d6 e5', 'rnb1k1nr/ppp2pbp/3p4/4P1p1/2BP1p1q/2N5/PPP3PP/R1BQ1KNR b kq -'],
+  ['C33', "KGA, bishop's gambit, classical defence", 'e4 e5 f4 exf4 Bc4 Qh4+ Kf1 g5 Nc3 Bg7 d4 Ne7', 'rnb1k2r/ppppnpbp/8/6p1/2BPPp1q/2N5/PPP3PP/R1BQ1KNR w kq -'],
+  ['C33', "KGA, bishop's gambit, McDonnell attack", 'e4 e5 f4 exf4 Bc4 Qh4+ Kf1 g5 Nc3 Bg7 d4 Ne7 g3', 'rnb1k2r/ppppnpbp/8/6p1/2BPPp1q/2N3P1/PPP4P/R1BQ1KNR b kq -'],
+  ['C33', "KGA, bishop's gambit, McDonnell attack", 'e4 e5 f4 exf4 Bc4 Qh4+ Kf1 g5 Nc3 Bg7 g3', 'rnb1k1nr/pppp1pbp/8/6p1/2B1Pp1q/2N3P1/PPPP3P/R1BQ1KNR b kq -'],
+  ['C33', "KGA, bishop's gambit, Fraser variation", 'e4 e5 f4 exf4 Bc4 Qh4+ Kf1 g5 Nc3 Bg7 g3 fxg3 Qf3', 'rnb1k1nr/pppp1pbp/8/6p1/2B1P2q/2N2Qp1/PPPP3P/R1B2KNR b kq -'],
+  ['C33', "KGA, bishop's gambit, classical defence, Cozio attack", 'e4 e5 f4 exf4 Bc4 Qh4+ Kf1 g5 Qf3', 'rnb1kbnr/pppp1p1p/8/6p1/2B1Pp1q/5Q2/PPPP2PP/RNB2KNR b kq -'],
+  ['C33', "KGA, bishop's gambit, Boden defence", 'e4 e5 f4 exf4 Bc4 Qh4+ Kf1 Nc6', 'r1b1kbnr/pppp1ppp/2n5/8/2B1Pp1q/8/PPPP2PP/RNBQ1KNR w kq -'],
+  ['C33', "KGA, bishop's gambit, Bryan counter-gambit", 'e4 e5 f4 exf4 Bc4 Qh4+ Kf1 b5', 'rnb1kbnr/p1pp1ppp/8/1p6/2B1Pp1q/8/PPPP2PP/RNBQ1KNR w kq -'],
+  ['C33', "KGA, bishop's gambit, Bryan counter-gambit", 'e4 e5 f4 exf4 Bc4 b5', 'rnbqkbnr/p1pp1ppp/8/1p6/2B1Pp2/8/PPPP2PP/RNBQK1NR w KQkq -'],
+  ['C33', "KGA, bishop's gambit, Steinitz defence", 'e4 e5 f4 exf4 Bc4 Ne7', 'rnbqkb1r/ppppnppp/8/8/2B1Pp2/8/PPPP2PP/RNBQK1NR w KQkq -'],
+  ['C33', "KGA, bishop's gambit, Maurian defence", 'e4 e5 f4 exf4 Bc4 Nc6', 'r1bqkbnr/pppp1ppp/2n5/8/2B1Pp2/8/PPPP2PP/RNBQK1NR w KQkq -'],
+  ['C33', "KGA, bishop's gambit, Ruy Lopez defence", 'e4 e5 f4 exf4 Bc4 c6', 'rnbqkbnr/pp1p1ppp/2p5/8/2B1Pp2/8/PPPP2PP/RNBQK1NR w KQkq -'],
+  ['C33', "KGA, bishop's gambit, Lopez-Gianutio counter-gambit", 'e4 e5 f4 exf4 Bc4 f5', 'rnbqkbnr/pppp2pp/8/5p2/2B1Pp2/8/PPPP2PP/RNBQK1NR w KQkq -'],
+  ['C33', 'KGA, Lopez-Gianutio counter-gambit, Hein variation', 'e4 e5 f4 exf4 Bc4 f5 Qe2 Qh4+ Kd1 fxe4 Nc3 Kd8', 'rnbk1bnr/pppp2pp/8/8/2B1pp1q/2N5/PPPPQ1PP/R1BK2NR w - -'],
+  ['C33', "KGA, bishop's gambit, Bledow variation", 'e4 e5 f4 exf4 Bc4 d5', 'rnbqkbnr/ppp2ppp/8/3p4/2B1Pp2/8/PPPP2PP/RNBQK1NR w KQkq -'],
+  ['C33', "KGA, bishop's gambit, Gifford variation", 'e4 e5 f4 exf4 Bc4 d5 Bxd5 Qh4+ Kf1 g5 g3', 'rnb1kbnr/ppp2p1p/8/3B2p1/4Pp1q/6P1/PPPP3P/RNBQ1KNR b kq -'],
+  ['C33', "KGA, bishop's gambit, Boren-Svenonius variation", 'e4 e5 f4 exf4 Bc4 d5 Bxd5 Qh4+ Kf1 Bd6', 'rnb1k1nr/ppp2ppp/3b4/3B4/4Pp1q/8/PPPP2PP/RNBQ1KNR w kq -'],
+  ['C33', "KGA, bishop's gambit, Anderssen variation", 'e4 e5 f4 exf4 Bc4 d5 Bxd5 c6', 'rnbqkbnr/pp3ppp/2p5/3B4/4Pp2/8/PPPP2PP/RNBQK1NR w KQkq -'],
+  ['C33', "KGA, bishop's gambit, Morphy variation", 'e4 e5 f4 exf4 Bc4 d5 Bxd5 Nf6', 'rnbqkb1r/ppp2ppp/5n2/3B4/4Pp2/8/PPPP2PP/RNBQK1NR w KQkq -'],
+  ['C33', "KGA, bishop's gambit, Cozio (Morphy) defence", 'e4 e5 f4 exf4 Bc4 Nf6', 'rnbqkb1r/pppp1ppp/5n2/8/2B1Pp2/8/PPPP2PP/RNBQK1NR w KQkq -'],
+  ['C33', "KGA, bishop's gambit, Bogolyubov variation", 'e4 e5 f4 exf4 Bc4 Nf6 Nc3', 'rnbqkb1r/pppp1ppp/5n2/8/2B1Pp2/2N5/PPPP2PP/R1BQK1NR b KQkq -'],
+  ['C33', "KGA, bishop's gambit, Paulsen attack", 'e4 e5 f4 exf4 Bc4 Nf6 Nc3 Bb4 e5', 'rnbqk2r/pppp1ppp/5n2/4P3/1bB2p2/2N5/PPPP2PP/R1BQK1NR b KQkq -'],
+  ['C33', "KGA, bishop's gambit, Jaenisch variation", 'e4 e5 f4 exf4 Bc4 Nf6 Nc3 c6', 'rnbqkb1r/pp1p1ppp/2p2n2/8/2B1Pp2/2N5/PPPP2PP/R1BQK1NR w KQkq -'],
+  ['C34', "King's knight's gambit", 'e4 e5 f4 exf4 Nf3', 'rnbqkbnr/pppp1ppp/8/8/4Pp2/5N2/PPPP2PP/RNBQKB1R b KQkq -'],
+  ['C34', 'KGA, Bonsch-Osmolovsky variation', 'e4 e5 f4 exf4 Nf3 Ne7', 'rnbqkb1r/ppppnppp/8/8/4Pp2/5N2/PPPP2PP/RNBQKB1R w KQkq -'],
+  ['C34', 'KGA, Gianutio counter-gambit', 'e4 e5 f4 exf4 Nf3 f5', 'rnbqkbnr/pppp2pp/8/5p2/4Pp2/5N2/PPPP2PP/RNBQKB1R w KQkq -'],
+  ['C34', 'KGA, Fischer defence', 'e4 e5 f4 exf4 Nf3 d6', 'rnbqkbnr/ppp2ppp/3p4/8/4Pp2/5N2/PPPP2PP/RNBQKB1R w KQkq -'],
+  ['C34', 'KGA, Becker defence', 'e4 e5 f4 exf4 Nf3 h6', 'rnbqkbnr/pppp1pp1/7p/8/4Pp2/5N2/PPPP2PP/RNBQKB1R w KQkq -'],
+  ['C34', 'KGA, Schallop defence', 'e4 e5 f4 exf4 Nf3 Nf6', 'rnbqkb1r/pppp1ppp/5n2/8/4Pp2/5N2/PPPP2PP/RNBQKB1R w KQkq -'],
+  ['C35', 'KGA, Cunningham defence', 'e4 e5 f4 exf4 Nf3 Be7', 'rnbqk1nr/ppppbppp/8/8/4Pp2/5N2/PPPP2PP/RNBQKB1R w KQkq -'],
+  ['C35', 'KGA, Cunningham, Bertin gambit', 'e4 e5 f4 exf4 Nf3 Be7 Bc4 Bh4+ g3', 'rnbqk1nr/pppp1ppp/8/8/2B1Pp1b/5NP1/PPPP3P/RNBQK2R b KQkq -'],
+  ['C35', 'KGA, Cunningham, three pawns gambit', 'e4 e5 f4 exf4 Nf3 Be7 Bc4 Bh4+ g3 fxg3 O-O gxh2+ Kh1', 'rnbqk1nr/pppp1ppp/8/8/2B1P2b/5N2/PPPP3p/RNBQ1R1K b kq -'],
+  ['C35', 'KGA, Cunningham, Euwe defence', 'e4 e5 f4 exf4 Nf3 Be7 Bc4 Nf6', 'rnbqk2r/ppppbppp/5n2/8/2B1Pp2/5N2/PPPP2PP/RNBQK2R w KQkq -'],
+  ['C36', 'KGA, Abbazia defence (classical defence, modern defence[!])', 'e4 e5 f4 exf4 Nf3 d5', 'rnbqkbnr/ppp2ppp/8/3p4/4Pp2/5N2/PPPP2PP/RNBQKB1R w KQkq -'],
+  ['C36', 'KGA, Abbazia defence, modern variation', 'e4 e5 f4 exf4 Nf3 d5 exd5 Nf6', 'rnbqkb1r/ppp2ppp/5n2/3P4/5p2/5N2/PPPP2PP/RNBQKB1R w KQkq -'],
+  ['C36', 'KGA, Abbazia defence, Botvinnik variation', 'e4 e5 f4 exf4 Nf3 d5 exd5 Nf6 Bb5+ c6 dxc6 bxc6 Bc4 Nd5', 'rnbqkb1r/p4ppp/2p5/3n4/2B2p2/5N2/PPPP2PP/RNBQK2R w KQkq -'],
+  ['C37', 'KGA, Quaade gambit', 'e4 e5 f4 exf4 Nf3 g5 Nc3', 'rnbqkbnr/pppp1p1p/8/6p1/4Pp2/2N2N2/PPPP2PP/R1BQKB1R b KQkq -'],
+  ['C37', 'KGA, Rosentreter gambit', 'e4 e5 f4 exf4 Nf3 g5 d4', 'rnbqkbnr/pppp1p1p/8/6p1/3PPp2/5N2/PPP3PP/RNBQKB1R b KQkq -'],
+  ['C37', 'KGA, Soerensen gambit', 'e4 e5 f4 exf4 Nf3 g5 d4 g4 Ne5', 'rnbqkbnr/pppp1p1p/8/4N3/3PPpp1/8/PPP3PP/RNBQKB1R b KQkq -'],
+  ['C37', "KGA, King's knight's gambit", 'e4 e5 f4 exf4 Nf3 g5 Bc4', 'rnbqkbnr/pppp1p1p/8/6p1/2B1Pp2/5N2/PPPP2PP/RNBQK2R b KQkq -'],
+  ['C37', 'KGA, Blachly gambit', 'e4 e5 f4 exf4 Nf3 g5 Bc4 Nc6', 'r1bqkbnr/pppp1p1p/2n5/6p1/2B1Pp2/5N2/PPPP2PP/RNBQK2R w KQkq -'],
+  ['C37', 'KGA, Lolli gambit (wild Muzio gambit)', 'e4 e5 f4 exf4 Nf3 g5 Bc4 g4 Bxf7+', 'rnbqkbnr/pppp1B1p/8/8/4Ppp1/5N2/PPPP2PP/RNBQK2R b KQkq -'],
+  ['C37', 'KGA, Lolli gambit, Young variation', 'e4 e5 f4 exf4 Nf3 g5 Bc4 g4 Bxf7+ Kxf7 O-O gxf3 Qxf3 Qf6 d4 Qxd4+ Be3 Qf6 Nc3', 'rnb2bnr/pppp1k1p/5q2/8/4Pp2/2N1BQ2/PPP3PP/R4RK1 b - -'],
+  ['C37', 'KGA, Ghulam Kassim gambit', 'e4 e5 f4 exf4 Nf3 g5 Bc4 g4 d4', 'rnbqkbnr/pppp1p1p/8/8/2BPPpp1/5N2/PPP3PP/RNBQK2R b KQkq -'],
+  ['C37', 'KGA, MacDonnell gambit', 'e4 e5 f4 exf4 Nf3 g5 Bc4 g4 Nc3', 'rnbqkbnr/pppp1p1p/8/8/2B1Ppp1/2N2N2/PPPP2PP/R1BQK2R b KQkq -'],
+  ['C37', 'KGA, Salvio gambit', 'e4 e5 f4 exf4 Nf3 g5 Bc4 g4 Ne5', 'rnbqkbnr/pppp1p1p/8/4N3/2B1Ppp1/8/PPPP2PP/RNBQK2R b KQkq -'],
+  ['C37', 'KGA, Silberschmidt gambit', 'e4 e5 f4 exf4 Nf3 g5 Bc4 g4 Ne5 Qh4+ Kf1 Nh6 d4 f3', 'rnb1kb1r/pppp1p1p/7n/4N3/2BPP1pq/5p2/PPP3PP/RNBQ1K1R w kq -'],
+  ['C37', 'KGA, Salvio gambit, Anderssen counter-attack', 'e4 e5 f4 exf4 Nf3 g5 Bc4 g4 Ne5 Qh4+ Kf1 Nh6 d4 d6', 'rnb1kb1r/ppp2p1p/3p3n/4N3/2BPPppq/8/PPP3PP/RNBQ1K1R w kq -'],
+  ['C37', 'KGA, Cochrane gambit', 'e4 e5 f4 exf4 Nf3 g5 Bc4 g4 Ne5 Qh4+ Kf1 f3', 'rnb1kbnr/pppp1p1p/8/4N3/2B1P1pq/5p2/PPPP2PP/RNBQ1K1R w kq -'],
+  ['C37', 'KGA, Herzfeld gambit', 'e4 e5 f4 exf4 Nf3 g5 Bc4 g4 Ne5 Qh4+ Kf1 Nc6', 'r1b1kbnr/pppp1p1p/2n5/4N3/2B1Pppq/8/PPPP2PP/RNBQ1K1R w kq -'],
+  ['C37', 'KGA, Muzio gambit', 'e4 e5 f4 exf4 Nf3 g5 Bc4 g4 O-O', 'rnbqkbnr/pppp1p1p/8/8/2B1Ppp1/5N2/PPPP2PP/RNBQ1RK1 b kq -'],
+  ['C37', 'KGA, Muzio gambit, Paulsen variation', 'e4 e5 f4 exf4 Nf3 g5 Bc4 g4 O-O gxf3 Qxf3 Qf6 e5 Qxe5 d3 Bh6 Nc3 Ne7 Bd2 Nbc6 Rae1', 'r1b1k2r/ppppnp1p/2n4b/4q3/2B2p2/2NP1Q2/PPPB2PP/4RRK1 b kq -'],
+  ['C37', 'KGA, double Muzio gambit', 'e4 e5 f4 exf4 Nf3 g5 Bc4 g4 O-O gxf3 Qxf3 Qf6 e5 Qxe5 Bxf7+', 'rnb1kbnr/pppp1B1p/8/4q3/5p2/5Q2/PPPP2PP/RNB2RK1 b kq -'],
+  ['C37', 'KGA, Muzio gambit, From defence', 'e4 e5 f4 exf4 Nf3 g5 Bc4 g4 O-O gxf3 Qxf3 Qe7', 'rnb1kbnr/ppppqp1p/8/8/2B1Pp2/5Q2/PPPP2PP/RNB2RK1 w kq -'],
+  ['C37', 'KGA, Muzio gambit, Holloway defence', 'e4 e5 f4 exf4 Nf3 g5 Bc4 g4 O-O gxf3 Qxf3 Nc6', 'r1bqkbnr/pppp1p1p/2n5/8/2B1Pp2/5Q2/PPPP2PP/RNB2RK1 w kq -'],
+  ['C37', 'KGA, Muzio gambit, Kling and Horwitz counter-attack', 'e4 e5 f4 exf4 Nf3 g5 Bc4 g4 O-O Qe7', 'rnb1kbnr/ppppqp1p/8/8/2B1Ppp1/5N2/PPPP2PP/RNBQ1RK1 w kq -'],
+  ['C37', 'KGA, Muzio gambit, Brentano defence', 'e4 e5 f4 exf4 Nf3 g5 Bc4 g4 O-O d5', 'rnbqkbnr/ppp2p1p/8/3p4/2B1Ppp1/5N2/PPPP2PP/RNBQ1RK1 w kq -'],
+  ['C38', "King's knight's gambit", 'e4 e5 f4 exf4 Nf3 g5 Bc4 Bg7', 'rnbqk1nr/pppp1pbp/8/6p1/2B1Pp2/5N2/PPPP2PP/RNBQK2R w KQkq -'],
+  ['C38', 'KGA, Hanstein gambit', 'e4 e5 f4 exf4 Nf3 g5 Bc4 Bg7 O-O', 'rnbqk1nr/pppp1pbp/8/6p1/2B1Pp2/5N2/PPPP2PP/RNBQ1RK1 b kq -'],
+  ['C38', 'KGA, Philidor gambit', 'e4 e5 f4 exf4 Nf3 g5 Bc4 Bg7 h4', 'rnbqk1nr/pppp1pbp/8/6p1/2B1Pp1P/5N2/PPPP2P1/RNBQK2R b KQkq -'],
+  ['C38', 'KGA, Greco gambit', 'e4 e5 f4 exf4 Nf3 g5 Bc4 Bg7 h4 h6 d4 d6 Nc3 c6 hxg5 hxg5 Rxh8 Bxh8 Ne5', 'rnbqk1nb/pp3p2/2pp4/4N1p1/2BPPp2/2N5/PPP3P1/R1BQK3 b Qq -'],
+  ['C38', 'KGA, Philidor gambit, Schultz variation', 'e4 e5 f4 exf4 Nf3 g5 Bc4 Bg7 h4 h6 d4 d6 Qd3', 'rnbqk1nr/ppp2pb1/3p3p/6p1/2BPPp1P/3Q1N2/PPP3P1/RNB1K2R b KQkq -'],
+  ['C39', "King's knight's gambit", 'e4 e5 f4 exf4 Nf3 g5 h4', 'rnbqkbnr/pppp1p1p/8/6p1/4Pp1P/5N2/PPPP2P1/RNBQKB1R b KQkq -'],
+  ['C39', 'KGA, Allgaier gambit', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ng5', 'rnbqkbnr/pppp1p1p/8/6N1/4PppP/8/PPPP2P1/RNBQKB1R b KQkq -'],
+  ['C39', 'KGA, Allgaier, Horny defence', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ng5 h6 Nxf7 Kxf7 Qxg4 Nf6 Qxf4 Bd6', 'rnbq3r/pppp1k2/3b1n1p/8/4PQ1P/8/PPPP2P1/RNB1KB1R w KQ -'],
+  ['C39', 'KGA, Allgaier, Thorold variation', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ng5 h6 Nxf7 Kxf7 d4', 'rnbq1bnr/pppp1k2/7p/8/3PPppP/8/PPP3P1/RNBQKB1R b KQ -'],
+  ['C39', 'KGA, Allgaier, Cook variation', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ng5 h6 Nxf7 Kxf7 d4 d5 Bxf4 dxe4 Bc4+ Kg7 Be5+', 'rnbq1bnr/ppp3k1/7p/4B3/2BPp1pP/8/PPP3P1/RN1QK2R b KQ -'],
+  ['C39', 'KGA, Allgaier, Blackburne gambit', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ng5 h6 Nxf7 Kxf7 Nc3', 'rnbq1bnr/pppp1k2/7p/8/4PppP/2N5/PPPP2P1/R1BQKB1R b KQ -'],
+  ['C39', 'KGA, Allgaier, Walker attack', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ng5 h6 Nxf7 Kxf7 Bc4+', 'rnbq1bnr/pppp1k2/7p/8/2B1PppP/8/PPPP2P1/RNBQK2R b KQ -'],
+  ['C39', 'KGA, Allgaier, Urusov attack', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ng5 h6 Nxf7 Kxf7 Bc4+ d5 Bxd5+ Kg7 d4', 'rnbq1bnr/ppp3k1/7p/3B4/3PPppP/8/PPP3P1/RNBQK2R b KQ -'],
+  ['C39', 'KGA, Allgaier, Schlechter defence', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ng5 Nf6', 'rnbqkb1r/pppp1p1p/5n2/6N1/4PppP/8/PPPP2P1/RNBQKB1R w KQkq -'],
+  ['C39', 'KGA, Kieseritsky, Paulsen defence', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ne5 Bg7', 'rnbqk1nr/pppp1pbp/8/4N3/4PppP/8/PPPP2P1/RNBQKB1R w KQkq -'],
+  ['C39', 'KGA, Kieseritsky, long whip (Stockwhip, classical) defence', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ne5 h5', 'rnbqkbnr/pppp1p2/8/4N2p/4PppP/8/PPPP2P1/RNBQKB1R w KQkq -'],
+  ['C39', 'KGA, Kieseritsky, long whip defence, Jaenisch variation', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ne5 h5 Bc4 Rh7 d4 Bh6 Nc3', 'rnbqk1n1/pppp1p1r/7b/4N2p/2BPPppP/2N5/PPP3P1/R1BQK2R b KQq -'],
+  ['C39', 'KGA, Kieseritsky, Brentano (Campbell) defence', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ne5 d5', 'rnbqkbnr/ppp2p1p/8/3pN3/4PppP/8/PPPP2P1/RNBQKB1R w KQkq -'],
+  ['C39', 'KGA, Kieseritsky, Brentano defence, Kaplanek variation', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ne5 d5 d4 Nf6 exd5 Qxd5 Nc3 Bb4 Kf2', 'rnb1k2r/ppp2p1p/5n2/3qN3/1b1P1ppP/2N5/PPP2KP1/R1BQ1B1R b kq -'],
+  ['C39', 'KGA, Kieseritsky, Brentano defence', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ne5 d5 d4 Nf6 Bxf4', 'rnbqkb1r/ppp2p1p/5n2/3pN3/3PPBpP/8/PPP3P1/RN1QKB1R b KQkq -'],
+  ['C39', 'KGA, Kieseritsky, Brentano defence, Caro variation', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ne5 d5 d4 Nf6 Bxf4 Nxe4 Nd2', 'rnbqkb1r/ppp2p1p/8/3pN3/3PnBpP/8/PPPN2P1/R2QKB1R b KQkq -'],
+  ['C39', 'KGA, Kieseritsky, Salvio (Rosenthal) defence', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ne5 Qe7', 'rnb1kbnr/ppppqp1p/8/4N3/4PppP/8/PPPP2P1/RNBQKB1R w KQkq -'],
+  ['C39', 'KGA, Kieseritsky, Salvio defence, Cozio variation', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ne5 Qe7 d4 f5 Bc4', 'rnb1kbnr/ppppq2p/8/4Np2/2BPPppP/8/PPP3P1/RNBQK2R b KQkq -'],
+  ['C39', 'KGA, Kieseritsky, Polerio defence', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ne5 Be7', 'rnbqk1nr/ppppbp1p/8/4N3/4PppP/8/PPPP2P1/RNBQKB1R w KQkq -'],
+  ['C39', 'KGA, Kieseritsky, Neumann defence', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ne5 Nc6', 'r1bqkbnr/pppp1p1p/2n5/4N3/4PppP/8/PPPP2P1/RNBQKB1R w KQkq -'],
+  ['C39', 'KGA, Kieseritsky, Kolisch defence', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ne5 d6', 'rnbqkbnr/ppp2p1p/3p4/4N3/4PppP/8/PPPP2P1/RNBQKB1R w KQkq -'],
+  ['C39', 'KGA, Kieseritsky, Berlin defence', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ne5 Nf6', 'rnbqkb1r/pppp1p1p/5n2/4N3/4PppP/8/PPPP2P1/RNBQKB1R w KQkq -'],
+  ['C39', 'KGA, Kieseritsky, Berlin defence, Riviere variation', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ne5 Nf6 Nxg4 d5', 'rnbqkb1r/ppp2p1p/5n2/3p4/4PpNP/8/PPPP2P1/RNBQKB1R w KQkq -'],
+  ['C39', 'KGA, Kieseritsky, Berlin defence, 6.Bc4', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ne5 Nf6 Bc4', 'rnbqkb1r/pppp1p1p/5n2/4N3/2B1PppP/8/PPPP2P1/RNBQK2R b KQkq -'],
+  ['C39', 'KGA, Kieseritsky, Rice gambit', 'e4 e5 f4 exf4 Nf3 g5 h4 g4 Ne5 Nf6 Bc4 d5 exd5 Bd6 O-O', 'rnbqk2r/ppp2p1p/3b1n2/3PN3/2B2ppP/8/PPPP2P1/RNBQ1RK1 b kq -'],
+  ['C40', "King's knight opening", 'e4 e5 Nf3', 'rnbqkbnr/pppp1ppp/8/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq -'],
+  ['C40', 'Gunderam defence', 'e4 e5 Nf3 Qe7', 'rnb1kbnr/ppppqppp/8/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['C40', 'Greco defence', 'e4 e5 Nf3 Qf6', 'rnb1kbnr/pppp1ppp/5q2/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['C40', "Damiano's defence", 'e4 e5 Nf3 f6', 'rnbqkbnr/pppp2pp/5p2/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['C40', 'QP counter-gambit (elephant gambit)', 'e4 e5 Nf3 d5', 'rnbqkbnr/ppp2ppp/8/3pp3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['C40', 'QP counter-gambit, Maroczy gambit', 'e4 e5 Nf3 d5 exd5 Bd6', 'rnbqk1nr/ppp2ppp/3b4/3Pp3/8/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['C40', 'Latvian counter-gambit', 'e4 e5 Nf3 f5', 'rnbqkbnr/pppp2pp/8/4pp2/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['C40', 'Latvian, Nimzovich variation', 'e4 e5 Nf3 f5 Nxe5 Qf6 d4 d6 Nc4 fxe4 Ne3', 'rnb1kbnr/ppp3pp/3p1q2/8/3Pp3/4N3/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C40', 'Latvian, Fraser defence', 'e4 e5 Nf3 f5 Nxe5 Nc6', 'r1bqkbnr/pppp2pp/2n5/4Np2/4P3/8/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['C40', 'Latvian gambit, 3.Bc4', 'e4 e5 Nf3 f5 Bc4', 'rnbqkbnr/pppp2pp/8/4pp2/2B1P3/5N2/PPPP1PPP/RNBQK2R b KQkq -'],
+  ['C40', 'Latvian, Behting variation', 'e4 e5 Nf3 f5 Bc4 fxe4 Nxe5 Qg5 Nf7 Qxg2 Rf1 d5 Nxh8 Nf6', 'rnb1kb1N/ppp3pp/5n2/3p4/2B1p3/8/PPPP1PqP/RNBQKR2 w Qq -'],
+  ['C40', 'Latvian, Polerio variation', 'e4 e5 Nf3 f5 Bc4 fxe4 Nxe5 d5', 'rnbqkbnr/ppp3pp/8/3pN3/2B1p3/8/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C40', 'Latvian, corkscrew counter-gambit', 'e4 e5 Nf3 f5 Bc4 fxe4 Nxe5 Nf6', 'rnbqkb1r/pppp2pp/5n2/4N3/2B1p3/8/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C41', "Philidor's defence", 'e4 e5 Nf3 d6', 'rnbqkbnr/ppp2ppp/3p4/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['C41', 'Philidor, Steinitz variation', 'e4 e5 Nf3 d6 Bc4 Be7 c3', 'rnbqk1nr/ppp1bppp/3p4/4p3/2B1P3/2P2N2/PP1P1PPP/RNBQK2R b KQkq -'],
+  ['C41', 'Philidor, Lopez counter-gambit', 'e4 e5 Nf3 d6 Bc4 f5', 'rnbqkbnr/ppp3pp/3p4/4pp2/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C41', 'Philidor, Lopez counter-gambit, Jaenisch variation', 'e4 e5 Nf3 d6 Bc4 f5 d4 exd4 Ng5 Nh6 Nxh7', 'rnbqkb1r/ppp3pN/3p3n/5p2/2BpP3/8/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C41', "Philidor's defence", 'e4 e5 Nf3 d6 d4', 'rnbqkbnr/ppp2ppp/3p4/4p3/3PP3/5N2/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C41', 'Philidor, Philidor counter-gambit', 'e4 e5 Nf3 d6 d4 f5', 'rnbqkbnr/ppp3pp/3p4/4pp2/3PP3/5N2/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['C41', 'Philidor, Philidor counter-gambit, del Rio attack', 'e4 e5 Nf3 d6 d4 f5 dxe5 fxe4 Ng5 d5 e6', 'rnbqkbnr/ppp3pp/4P3/3p2N1/4p3/8/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C41', 'Philidor, Philidor counter-gambit, Berger variation', 'e4 e5 Nf3 d6 d4 f5 dxe5 fxe4 Ng5 d5 e6 Bc5 Nc3', 'rnbqk1nr/ppp3pp/4P3/2bp2N1/4p3/2N5/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['C41', 'Philidor, Philidor counter-gambit, Zukertort variation', 'e4 e5 Nf3 d6 d4 f5 Nc3', 'rnbqkbnr/ppp3pp/3p4/4pp2/3PP3/2N2N2/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['C41', 'Philidor, exchange variation', 'e4 e5 Nf3 d6 d4 exd4', 'rnbqkbnr/ppp2ppp/3p4/8/3pP3/5N2/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['C41', 'Philidor, Boden variation', 'e4 e5 Nf3 d6 d4 exd4 Qxd4 Bd7', 'rn1qkbnr/pppb1ppp/3p4/8/3QP3/5N2/PPP2PPP/RNB1KB1R w KQkq -'],
+  ['C41', 'Philidor, exchange variation', 'e4 e5 Nf3 d6 d4 exd4 Nxd4', 'rnbqkbnr/ppp2ppp/3p4/8/3NP3/8/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C41', 'Philidor, Paulsen attack', 'e4 e5 Nf3 d6 d4 exd4 Nxd4 d5 exd5', 'rnbqkbnr/ppp2ppp/8/3P4/3N4/8/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C41', 'Philidor, exchange variation', 'e4 e5 Nf3 d6 d4 exd4 Nxd4 Nf6', 'rnbqkb1r/ppp2ppp/3p1n2/8/3NP3/8/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['C41', 'Philidor, Berger variation', 'e4 e5 Nf3 d6 d4 exd4 Nxd4 Nf6 Nc3 Be7 Be2 O-O O-O c5 Nf3 Nc6 Bg5 Be6 Re1', 'r2q1rk1/pp2bppp/2npbn2/2p3B1/4P3/2N2N2/PPP1BPPP/R2QR1K1 b - -'],
+  ['C41', 'Philidor, Larsen variation', 'e4 e5 Nf3 d6 d4 exd4 Nxd4 g6', 'rnbqkbnr/ppp2p1p/3p2p1/8/3NP3/8/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['C41', 'Philidor, Nimzovich (Jaenisch) variation', 'e4 e5 Nf3 d6 d4 Nf6', 'rnbqkb1r/ppp2ppp/3p1n2/4p3/3PP3/5N2/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['C41', 'Philidor, Improved Hanham variation', 'e4 e5 Nf3 d6 d4 Nf6 Nc3 Nbd7', 'r1bqkb1r/pppn1ppp/3p1n2/4p3/3PP3/2N2N2/PPP2PPP/R1BQKB1R w KQkq -'],
+  ['C41', 'Philidor, Nimzovich, Sozin variation', 'e4 e5 Nf3 d6 d4 Nf6 Nc3 Nbd7 Bc4 Be7 O-O O-O Qe2 c6 a4 exd4', 'r1bq1rk1/pp1nbppp/2pp1n2/8/P1BpP3/2N2N2/1PP1QPPP/R1B2RK1 w - -'],
+  ['C41', 'Philidor, Nimzovich, Larobok variation', 'e4 e5 Nf3 d6 d4 Nf6 Nc3 Nbd7 Bc4 Be7 Ng5 O-O Bxf7+', 'r1bq1rk1/pppnbBpp/3p1n2/4p1N1/3PP3/2N5/PPP2PPP/R1BQK2R b KQ -'],
+  ['C41', 'Philidor, Nimzovich variation', 'e4 e5 Nf3 d6 d4 Nf6 dxe5', 'rnbqkb1r/ppp2ppp/3p1n2/4P3/4P3/5N2/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C41', 'Philidor, Nimzovich, Sokolsky variation', 'e4 e5 Nf3 d6 d4 Nf6 dxe5 Nxe4 Nbd2', 'rnbqkb1r/ppp2ppp/3p4/4P3/4n3/5N2/PPPN1PPP/R1BQKB1R b KQkq -'],
+  ['C41', 'Philidor, Nimzovich, Rellstab variation', 'e4 e5 Nf3 d6 d4 Nf6 dxe5 Nxe4 Qd5', 'rnbqkb1r/ppp2ppp/3p4/3QP3/4n3/5N2/PPP2PPP/RNB1KB1R b KQkq -'],
+  ['C41', 'Philidor, Nimzovich, Locock variation', 'e4 e5 Nf3 d6 d4 Nf6 Ng5', 'rnbqkb1r/ppp2ppp/3p1n2/4p1N1/3PP3/8/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C41', 'Philidor, Nimzovich, Klein variation', 'e4 e5 Nf3 d6 d4 Nf6 Bc4', 'rnbqkb1r/ppp2ppp/3p1n2/4p3/2BPP3/5N2/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C41', 'Philidor, Hanham variation', 'e4 e5 Nf3 d6 d4 Nd7', 'r1bqkbnr/pppn1ppp/3p4/4p3/3PP3/5N2/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['C41', 'Philidor, Hanham, Krause variation', 'e4 e5 Nf3 d6 d4 Nd7 Bc4 c6 O-O', 'r1bqkbnr/pp1n1ppp/2pp4/4p3/2BPP3/5N2/PPP2PPP/RNBQ1RK1 b kq -'],
+  ['C41', 'Philidor, Hanham, Steiner variation', 'e4 e5 Nf3 d6 d4 Nd7 Bc4 c6 O-O Be7 dxe5', 'r1bqk1nr/pp1nbppp/2pp4/4P3/2B1P3/5N2/PPP2PPP/RNBQ1RK1 b kq -'],
+  ['C41', 'Philidor, Hanham, Kmoch variation', 'e4 e5 Nf3 d6 d4 Nd7 Bc4 c6 Ng5', 'r1bqkbnr/pp1n1ppp/2pp4/4p1N1/2BPP3/8/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C41', 'Philidor, Hanham, Berger variation', 'e4 e5 Nf3 d6 d4 Nd7 Bc4 c6 Ng5 Nh6 f4 Be7 O-O O-O c3 d5', 'r1bq1rk1/pp1nbppp/2p4n/3pp1N1/2BPPP2/2P5/PP4PP/RNBQ1RK1 w - -'],
+  ['C41', 'Philidor, Hanham, Schlechter variation', 'e4 e5 Nf3 d6 d4 Nd7 Bc4 c6 Nc3', 'r1bqkbnr/pp1n1ppp/2pp4/4p3/2BPP3/2N2N2/PPP2PPP/R1BQK2R b KQkq -'],
+  ['C41', 'Philidor, Hanham, Delmar variation', 'e4 e5 Nf3 d6 d4 Nd7 Bc4 c6 c3', 'r1bqkbnr/pp1n1ppp/2pp4/4p3/2BPP3/2P2N2/PP3PPP/RNBQK2R b KQkq -'],
+  ['C42', "Petrov's defence", 'e4 e5 Nf3 Nf6', 'rnbqkb1r/pppp1ppp/5n2/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['C42', 'Petrov, French attack', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d3', 'rnbqkb1r/ppp2ppp/3p4/8/4n3/3P1N2/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C42', 'Petrov, Kaufmann attack', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 c4', 'rnbqkb1r/ppp2ppp/3p4/8/2P1n3/5N2/PP1P1PPP/RNBQKB1R b KQkq -'],
+  ['C42', 'Petrov, Nimzovich attack', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 Nc3', 'rnbqkb1r/ppp2ppp/3p4/8/4n3/2N2N2/PPPP1PPP/R1BQKB1R b KQkq -'],
+  ['C42', 'Petrov, Cozio (Lasker) attack', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 Qe2', 'rnbqkb1r/ppp2ppp/3p4/8/4n3/5N2/PPPPQPPP/RNB1KB1R b KQkq -'],
+  ['C42', 'Petrov, classical attack', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d4', 'rnbqkb1r/ppp2ppp/3p4/8/3Pn3/5N2/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C42', 'Petrov, classical attack, Chigorin variation', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d4 d5 Bd3 Be7 O-O Nc6 Re1', 'r1bqk2r/ppp1bppp/2n5/3p4/3Pn3/3B1N2/PPP2PPP/RNBQR1K1 b kq -'],
+  ['C42', 'Petrov, classical attack, Berger variation', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d4 d5 Bd3 Be7 O-O Nc6 Re1 Bg4 c3 f5 Nbd2', 'r2qk2r/ppp1b1pp/2n5/3p1p2/3Pn1b1/2PB1N2/PP1N1PPP/R1BQR1K1 b kq -'],
+  ['C42', 'Petrov, classical attack, Krause variation', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d4 d5 Bd3 Be7 O-O Nc6 Re1 Bg4 c3 f5 c4', 'r2qk2r/ppp1b1pp/2n5/3p1p2/2PPn1b1/3B1N2/PP3PPP/RNBQR1K1 b kq -'],
+  ['C42', 'Petrov, classical attack, Maroczy variation', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d4 d5 Bd3 Be7 O-O Nc6 Re1 Bg4 c3 f5 c4 Bh4', 'r2qk2r/ppp3pp/2n5/3p1p2/2PPn1bb/3B1N2/PP3PPP/RNBQR1K1 w kq -'],
+  ['C42', 'Petrov, classical attack, Jaenisch variation', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d4 d5 Bd3 Be7 O-O Nc6 c4', 'r1bqk2r/ppp1bppp/2n5/3p4/2PPn3/3B1N2/PP3PPP/RNBQ1RK1 b kq -'],
+  ['C42', 'Petrov, classical attack, Mason variation', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d4 d5 Bd3 Be7 O-O O-O', 'rnbq1rk1/ppp1bppp/8/3p4/3Pn3/3B1N2/PPP2PPP/RNBQ1RK1 w - -'],
+  ['C42', 'Petrov, classical attack, Marshall variation', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d4 d5 Bd3 Bd6', 'rnbqk2r/ppp2ppp/3b4/3p4/3Pn3/3B1N2/PPP2PPP/RNBQK2R w KQkq -'],
+  ['C42', 'Petrov, classical attack, Tarrasch variation', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d4 d5 Bd3 Bd6 O-O O-O c4 Bg4', 'rn1q1rk1/ppp2ppp/3b4/3p4/2PPn1b1/3B1N2/PP3PPP/RNBQ1RK1 w - -'],
+  ['C42', 'Petrov, classical attack, Marshall trap', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d4 d5 Bd3 Bd6 O-O O-O c4 Bg4 cxd5 f5 Re1 Bxh2+', 'rn1q1rk1/ppp3pp/8/3P1p2/3Pn1b1/3B1N2/PP3PPb/RNBQR1K1 w - -'],
+  ['C42', 'Petrov, classical attack, close variation', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d4 Nf6', 'rnbqkb1r/ppp2ppp/3p1n2/8/3P4/5N2/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['C42', 'Petrov, Cochrane gambit', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nxf7', 'rnbqkb1r/ppp2Npp/3p1n2/8/4P3/8/PPPP1PPP/RNBQKB1R b KQkq -'],
+  ['C42', 'Petrov, Paulsen attack', 'e4 e5 Nf3 Nf6 Nxe5 d6 Nc4', 'rnbqkb1r/ppp2ppp/3p1n2/8/2N1P3/8/PPPP1PPP/RNBQKB1R b KQkq -'],
+  ['C42', 'Petrov, Damiano variation', 'e4 e5 Nf3 Nf6 Nxe5 Nxe4', 'rnbqkb1r/pppp1ppp/8/4N3/4n3/8/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['C42', 'Petrov three knights game', 'e4 e5 Nf3 Nf6 Nc3', 'rnbqkb1r/pppp1ppp/5n2/4p3/4P3/2N2N2/PPPP1PPP/R1BQKB1R b KQkq -'],
+  ['C42', 'Petrov, Italian variation', 'e4 e5 Nf3 Nf6 Bc4', 'rnbqkb1r/pppp1ppp/5n2/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R b KQkq -'],
+  ['C43', 'Petrov, modern (Steinitz) attack', 'e4 e5 Nf3 Nf6 d4', 'rnbqkb1r/pppp1ppp/5n2/4p3/3PP3/5N2/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C43', 'Petrov, modern attack, main line', 'e4 e5 Nf3 Nf6 d4 exd4 e5 Ne4 Qxd4', 'rnbqkb1r/pppp1ppp/8/4P3/3Qn3/5N2/PPP2PPP/RNB1KB1R b KQkq -'],
+  ['C43', 'Petrov, modern attack, Steinitz variation', 'e4 e5 Nf3 Nf6 d4 exd4 e5 Ne4 Qe2', 'rnbqkb1r/pppp1ppp/8/4P3/3pn3/5N2/PPP1QPPP/RNB1KB1R b KQkq -'],
+  ['C43', 'Petrov, modern attack, Bardeleben variation', 'e4 e5 Nf3 Nf6 d4 exd4 e5 Ne4 Qe2 Nc5 Nxd4 Nc6', 'r1bqkb1r/pppp1ppp/2n5/2n1P3/3N4/8/PPP1QPPP/RNB1KB1R w KQkq -'],
+  ['C43', 'Petrov, Urusov gambit', 'e4 e5 Nf3 Nf6 d4 exd4 Bc4', 'rnbqkb1r/pppp1ppp/5n2/8/2BpP3/5N2/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C43', 'Petrov, modern attack, Symmetrical variation', 'e4 e5 Nf3 Nf6 d4 Nxe4', 'rnbqkb1r/pppp1ppp/8/4p3/3Pn3/5N2/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['C43', 'Petrov, modern attack, Trifunovic variation', 'e4 e5 Nf3 Nf6 d4 Nxe4 Bd3 d5 Nxe5 Bd6 O-O O-O c4 Bxe5', 'rnbq1rk1/ppp2ppp/8/3pb3/2PPn3/3B4/PP3PPP/RNBQ1RK1 w - -'],
+  ['C44', "King's pawn game", 'e4 e5 Nf3 Nc6', 'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -'],
+  ['C44', 'Irish (Chicago) gambit', 'e4 e5 Nf3 Nc6 Nxe5 Nxe5 d4', 'r1bqkbnr/pppp1ppp/8/4n3/3PP3/8/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C44', 'Konstantinopolsky opening', 'e4 e5 Nf3 Nc6 g3', 'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5NP1/PPPP1P1P/RNBQKB1R b KQkq -'],
+  ['C44', 'Dresden opening', 'e4 e5 Nf3 Nc6 c4', 'r1bqkbnr/pppp1ppp/2n5/4p3/2P1P3/5N2/PP1P1PPP/RNBQKB1R b KQkq -'],
+  ['C44', 'Inverted Hungarian', 'e4 e5 Nf3 Nc6 Be2', 'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPPBPPP/RNBQK2R b KQkq -'],
+  ['C44', 'Inverted Hanham', 'e4 e5 Nf3 Nc6 Be2 Nf6 d3 d5 Nbd2', 'r1bqkb1r/ppp2ppp/2n2n2/3pp3/4P3/3P1N2/PPPNBPPP/R1BQK2R b KQkq -'],
+  ['C44', 'Tayler opening', 'e4 e5 Nf3 Nc6 Be2 Nf6 d4', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/3PP3/5N2/PPP1BPPP/RNBQK2R b KQkq -'],
+  ['C44', 'Ponziani opening', 'e4 e5 Nf3 Nc6 c3', 'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/2P2N2/PP1P1PPP/RNBQKB1R b KQkq -'],
+  ['C44', 'Ponziani, Caro variation', 'e4 e5 Nf3 Nc6 c3 d5 Qa4 Bd7', 'r2qkbnr/pppb1ppp/2n5/3pp3/Q3P3/2P2N2/PP1P1PPP/RNB1KB1R w KQkq -'],
+  ['C44', 'Ponziani, Leonhardt variation', 'e4 e5 Nf3 Nc6 c3 d5 Qa4 Nf6', 'r1bqkb1r/ppp2ppp/2n2n2/3pp3/Q3P3/2P2N2/PP1P1PPP/RNB1KB1R w KQkq -'],
+  ['C44', 'Ponziani, Steinitz variation', 'e4 e5 Nf3 Nc6 c3 d5 Qa4 f6', 'r1bqkbnr/ppp3pp/2n2p2/3pp3/Q3P3/2P2N2/PP1P1PPP/RNB1KB1R w KQkq -'],
+  ['C44', 'Ponziani, Jaenisch counter-attack', 'e4 e5 Nf3 Nc6 c3 Nf6', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/4P3/2P2N2/PP1P1PPP/RNBQKB1R w KQkq -'],
+  ['C44', 'Ponziani, Fraser defence', 'e4 e5 Nf3 Nc6 c3 Nf6 d4 Nxe4 d5 Bc5', 'r1bqk2r/pppp1ppp/2n5/2bPp3/4n3/2P2N2/PP3PPP/RNBQKB1R w KQkq -'],
+  ['C44', 'Ponziani, Reti variation', 'e4 e5 Nf3 Nc6 c3 Nge7', 'r1bqkb1r/ppppnppp/2n5/4p3/4P3/2P2N2/PP1P1PPP/RNBQKB1R w KQkq -'],
+  ['C44', 'Ponziani, Romanishin variation', 'e4 e5 Nf3 Nc6 c3 Be7', 'r1bqk1nr/ppppbppp/2n5/4p3/4P3/2P2N2/PP1P1PPP/RNBQKB1R w KQkq -'],
+  ['C44', 'Ponziani counter-gambit', 'e4 e5 Nf3 Nc6 c3 f5', 'r1bqkbnr/pppp2pp/2n5/4pp2/4P3/2P2N2/PP1P1PPP/RNBQKB1R w KQkq -'],
+  ['C44', 'Ponziani counter-gambit, Schmidt attack', 'e4 e5 Nf3 Nc6 c3 f5 d4 d6 d5', 'r1bqkbnr/ppp3pp/2np4/3Ppp2/4P3/2P2N2/PP3PPP/RNBQKB1R b KQkq -'],
+  ['C44', 'Ponziani counter-gambit, Cordel variation', 'e4 e5 Nf3 Nc6 c3 f5 d4 d6 d5 fxe4 Ng5 Nb8 Nxe4 Nf6 Bd3 Be7', 'rnbqk2r/ppp1b1pp/3p1n2/3Pp3/4N3/2PB4/PP3PPP/RNBQK2R w KQkq -'],
+  ['C44', 'Scotch opening', 'e4 e5 Nf3 Nc6 d4', 'r1bqkbnr/pppp1ppp/2n5/4p3/3PP3/5N2/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C44', 'Scotch, Lolli variation', 'e4 e5 Nf3 Nc6 d4 Nxd4', 'r1bqkbnr/pppp1ppp/8/4p3/3nP3/5N2/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['C44', 'Scotch, Cochrane variation', 'e4 e5 Nf3 Nc6 d4 Nxd4 Nxe5 Ne6 Bc4 c6 O-O Nf6 Nxf7', 'r1bqkb1r/pp1p1Npp/2p1nn2/8/2B1P3/8/PPP2PPP/RNBQ1RK1 b kq -'],
+  ['C44', "Scotch, Relfsson gambit ('MacLopez')", 'e4 e5 Nf3 Nc6 d4 exd4 Bb5', 'r1bqkbnr/pppp1ppp/2n5/1B6/3pP3/5N2/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C44', 'Scotch, Goering gambit', 'e4 e5 Nf3 Nc6 d4 exd4 c3', 'r1bqkbnr/pppp1ppp/2n5/8/3pP3/2P2N2/PP3PPP/RNBQKB1R b KQkq -'],
+  ['C44', 'Scotch, Sea-cadet mate', 'e4 e5 Nf3 Nc6 d4 exd4 c3 dxc3 Nxc3 d6 Bc4 Bg4 O-O Ne5 Nxe5 Bxd1 Bxf7+ Ke7 Nd5#', 'r2q1bnr/ppp1kBpp/3p4/3NN3/4P3/8/PP3PPP/R1Bb1RK1 b - -'],
+  ['C44', 'Scotch, Goering gambit', 'e4 e5 Nf3 Nc6 d4 exd4 c3 dxc3 Nxc3 Bb4', 'r1bqk1nr/pppp1ppp/2n5/8/1b2P3/2N2N2/PP3PPP/R1BQKB1R w KQkq -'],
+  ['C44', 'Scotch, Goering gambit, Bardeleben variation', 'e4 e5 Nf3 Nc6 d4 exd4 c3 dxc3 Nxc3 Bb4 Bc4 Nf6', 'r1bqk2r/pppp1ppp/2n2n2/8/1bB1P3/2N2N2/PP3PPP/R1BQK2R w KQkq -'],
+  ['C44', 'Scotch gambit', 'e4 e5 Nf3 Nc6 d4 exd4 Bc4', 'r1bqkbnr/pppp1ppp/2n5/8/2BpP3/5N2/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C44', 'Scotch gambit, Anderssen (Paulsen, Suhle) counter-attack', 'e4 e5 Nf3 Nc6 d4 exd4 Bc4 Bc5 O-O d6 c3 Bg4', 'r2qk1nr/ppp2ppp/2np4/2b5/2BpP1b1/2P2N2/PP3PPP/RNBQ1RK1 w kq -'],
+  ['C44', 'Scotch gambit', 'e4 e5 Nf3 Nc6 d4 exd4 Bc4 Bc5 Ng5', 'r1bqk1nr/pppp1ppp/2n5/2b3N1/2BpP3/8/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C44', 'Scotch gambit, Cochrane-Shumov defence', 'e4 e5 Nf3 Nc6 d4 exd4 Bc4 Bc5 Ng5 Nh6 Nxf7 Nxf7 Bxf7+ Kxf7 Qh5+ g6 Qxc5 d5', 'r1bq3r/ppp2k1p/2n3p1/2Qp4/3pP3/8/PPP2PPP/RNB1K2R w KQ -'],
+  ['C44', 'Scotch gambit, Vitzhum attack', 'e4 e5 Nf3 Nc6 d4 exd4 Bc4 Bc5 Ng5 Nh6 Qh5', 'r1bqk2r/pppp1ppp/2n4n/2b3NQ/2BpP3/8/PPP2PPP/RNB1K2R b KQkq -'],
+  ['C44', 'Scotch gambit', 'e4 e5 Nf3 Nc6 d4 exd4 Bc4 Bb4+', 'r1bqk1nr/pppp1ppp/2n5/8/1bBpP3/5N2/PPP2PPP/RNBQK2R w KQkq -'],
+  ['C44', 'Scotch gambit, Hanneken variation', 'e4 e5 Nf3 Nc6 d4 exd4 Bc4 Bb4+ c3 dxc3 O-O cxb2 Bxb2 Nf6 Ng5 O-O e5 Nxe5', 'r1bq1rk1/pppp1ppp/5n2/4n1N1/1bB5/8/PB3PPP/RN1Q1RK1 w - -'],
+  ['C44', 'Scotch gambit', 'e4 e5 Nf3 Nc6 d4 exd4 Bc4 Bb4+ c3 dxc3 bxc3', 'r1bqk1nr/pppp1ppp/2n5/8/1bB1P3/2P2N2/P4PPP/RNBQK2R b KQkq -'],
+  ['C44', 'Scotch gambit, Cochrane variation', 'e4 e5 Nf3 Nc6 d4 exd4 Bc4 Bb4+ c3 dxc3 bxc3 Ba5 e5', 'r1bqk1nr/pppp1ppp/2n5/b3P3/2B5/2P2N2/P4PPP/RNBQK2R b KQkq -'],
+  ['C44', 'Scotch gambit, Benima defence', 'e4 e5 Nf3 Nc6 d4 exd4 Bc4 Be7', 'r1bqk1nr/ppppbppp/2n5/8/2BpP3/5N2/PPP2PPP/RNBQK2R w KQkq -'],
+  ['C44', 'Scotch gambit, Dubois-Reti defence', 'e4 e5 Nf3 Nc6 d4 exd4 Bc4 Nf6', 'r1bqkb1r/pppp1ppp/2n2n2/8/2BpP3/5N2/PPP2PPP/RNBQK2R w KQkq -'],
+  ['C45', 'Scotch game', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4', 'r1bqkbnr/pppp1ppp/2n5/8/3NP3/8/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C45', 'Scotch, Ghulam Kassim variation', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Nxd4 Qxd4 d6 Bd3', 'r1bqkbnr/ppp2ppp/3p4/8/3QP3/3B4/PPP2PPP/RNB1K2R b KQkq -'],
+  ['C45', 'Scotch, Pulling counter-attack', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Qh4', 'r1b1kbnr/pppp1ppp/2n5/8/3NP2q/8/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['C45', 'Scotch, Horwitz attack', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Qh4 Nb5', 'r1b1kbnr/pppp1ppp/2n5/1N6/4P2q/8/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C45', 'Scotch, Berger variation', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Qh4 Nb5 Bb4+ Nd2 Qxe4+ Be2 Qxg2 Bf3 Qh3 Nxc7+ Kd8 Nxa8 Nf6 a3', 'N1bk3r/pp1p1ppp/2n2n2/8/1b6/P4B1q/1PPN1P1P/R1BQK2R b KQ -'],
+  ['C45', 'Scotch game', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Qh4 Nb5 Bb4+ Bd2', 'r1b1k1nr/pppp1ppp/2n5/1N6/1b2P2q/8/PPPB1PPP/RN1QKB1R b KQkq -'],
+  ['C45', 'Scotch, Rosenthal variation', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Qh4 Nb5 Bb4+ Bd2 Qxe4+ Be2 Kd8 O-O Bxd2 Nxd2 Qg6', 'r1bk2nr/pppp1ppp/2n3q1/1N6/8/8/PPPNBPPP/R2Q1RK1 w - -'],
+  ['C45', 'Scotch, Fraser attack', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Qh4 Nf3', 'r1b1kbnr/pppp1ppp/2n5/8/4P2q/5N2/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C45', 'Scotch, Steinitz variation', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Qh4 Nc3', 'r1b1kbnr/pppp1ppp/2n5/8/3NP2q/2N5/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['C45', 'Scotch, Schmidt variation', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Nf6', 'r1bqkb1r/pppp1ppp/2n2n2/8/3NP3/8/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['C45', 'Scotch, Mieses variation', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Nf6 Nxc6 bxc6 e5', 'r1bqkb1r/p1pp1ppp/2p2n2/4P3/8/8/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C45', 'Scotch, Tartakower variation', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Nf6 Nxc6 bxc6 Nd2', 'r1bqkb1r/p1pp1ppp/2p2n2/8/4P3/8/PPPN1PPP/R1BQKB1R b KQkq -'],
+  ['C45', 'Scotch game', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Bc5', 'r1bqk1nr/pppp1ppp/2n5/2b5/3NP3/8/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['C45', 'Scotch, Blackburne attack', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Bc5 Be3 Qf6 c3 Nge7 Qd2', 'r1b1k2r/ppppnppp/2n2q2/2b5/3NP3/2P1B3/PP1Q1PPP/RN2KB1R b KQkq -'],
+  ['C45', 'Scotch, Gottschall variation', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Bc5 Be3 Qf6 c3 Nge7 Qd2 d5 Nb5 Bxe3 Qxe3 O-O Nxc7 Rb8 Nxd5 Nxd5 exd5 Nb4', '1rb2rk1/pp3ppp/5q2/3P4/1n6/2P1Q3/PP3PPP/RN2KB1R w KQ -'],
+  ['C45', 'Scotch, Paulsen attack', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Bc5 Be3 Qf6 c3 Nge7 Bb5', 'r1b1k2r/ppppnppp/2n2q2/1Bb5/3NP3/2P1B3/PP3PPP/RN1QK2R b KQkq -'],
+  ['C45', 'Scotch, Paulsen, Gunsberg defence', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Bc5 Be3 Qf6 c3 Nge7 Bb5 Nd8', 'r1bnk2r/ppppnppp/5q2/1Bb5/3NP3/2P1B3/PP3PPP/RN1QK2R w KQkq -'],
+  ['C45', 'Scotch, Meitner variation', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Bc5 Be3 Qf6 c3 Nge7 Nc2', 'r1b1k2r/ppppnppp/2n2q2/2b5/4P3/2P1B3/PPN2PPP/RN1QKB1R b KQkq -'],
+  ['C45', 'Scotch, Blumenfeld attack', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Bc5 Be3 Qf6 Nb5', 'r1b1k1nr/pppp1ppp/2n2q2/1Nb5/4P3/4B3/PPP2PPP/RN1QKB1R b KQkq -'],
+  ['C45', 'Scotch, Potter variation', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Bc5 Nb3', 'r1bqk1nr/pppp1ppp/2n5/2b5/4P3/1N6/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['C45', 'Scotch, Romanishin variation', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Bc5 Nb3 Bb4+', 'r1bqk1nr/pppp1ppp/2n5/8/1b2P3/1N6/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['C46', 'Three knights game', 'e4 e5 Nf3 Nc6 Nc3', 'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/2N2N2/PPPP1PPP/R1BQKB1R b KQkq -'],
+  ['C46', 'Three knights, Schlechter variation', 'e4 e5 Nf3 Nc6 Nc3 Bb4 Nd5 Nf6', 'r1bqk2r/pppp1ppp/2n2n2/3Np3/1b2P3/5N2/PPPP1PPP/R1BQKB1R w KQkq -'],
+  ['C46', 'Three knights, Winawer defence (Gothic defence)', 'e4 e5 Nf3 Nc6 Nc3 f5', 'r1bqkbnr/pppp2pp/2n5/4pp2/4P3/2N2N2/PPPP1PPP/R1BQKB1R w KQkq -'],
+  ['C46', 'Three knights, Steinitz variation', 'e4 e5 Nf3 Nc6 Nc3 g6', 'r1bqkbnr/pppp1p1p/2n3p1/4p3/4P3/2N2N2/PPPP1PPP/R1BQKB1R w KQkq -'],
+  ['C46', 'Three knights, Steinitz, Rosenthal variation', 'e4 e5 Nf3 Nc6 Nc3 g6 d4 exd4 Nd5', 'r1bqkbnr/pppp1p1p/2n3p1/3N4/3pP3/5N2/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['C46', 'Four knights game', 'e4 e5 Nf3 Nc6 Nc3 Nf6', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/4P3/2N2N2/PPPP1PPP/R1BQKB1R w KQkq -'],
+  ['C46', 'Four knights, Schultze-Mueller gambit', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Nxe5', 'r1bqkb1r/pppp1ppp/2n2n2/4N3/4P3/2N5/PPPP1PPP/R1BQKB1R b KQkq -'],
+  ['C46', 'Four knights, Italian variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bc4', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2B1P3/2N2N2/PPPP1PPP/R1BQK2R b KQkq -'],
+  ['C46', 'Four knights, Gunsberg variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 a3', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/4P3/P1N2N2/1PPP1PPP/R1BQKB1R b KQkq -'],
+  ['C47', 'Four knights, Scotch variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 d4', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/3PP3/2N2N2/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['C47', 'Four knights, Scotch, Krause variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 d4 Bb4 Nxe5', 'r1bqk2r/pppp1ppp/2n2n2/4N3/1b1PP3/2N5/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['C47', 'Four knights, Scotch, 4...exd4', 'e4 e5 Nf3 Nc6 Nc3 Nf6 d4 exd4', 'r1bqkb1r/pppp1ppp/2n2n2/8/3pP3/2N2N2/PPP2PPP/R1BQKB1R w KQkq -'],
+  ['C47', 'Four knights, Belgrade gambit', 'e4 e5 Nf3 Nc6 Nc3 Nf6 d4 exd4 Nd5', 'r1bqkb1r/pppp1ppp/2n2n2/3N4/3pP3/5N2/PPP2PPP/R1BQKB1R b KQkq -'],
+  ['C48', 'Four knights, Spanish variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5', 'r1bqkb1r/pppp1ppp/2n2n2/1B2p3/4P3/2N2N2/PPPP1PPP/R1BQK2R b KQkq -'],
+  ['C48', 'Four knights, Ranken variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 a6 Bxc6', 'r1bqkb1r/1ppp1ppp/p1B2n2/4p3/4P3/2N2N2/PPPP1PPP/R1BQK2R b KQkq -'],
+  ['C48', 'Four knights, Spielmann variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 a6 Bxc6 dxc6 Nxe5 Nxe4 Nxe4 Qd4 O-O Qxe5 Re1 Be6 d4 Qd5', 'r3kb1r/1pp2ppp/p1p1b3/3q4/3PN3/8/PPP2PPP/R1BQR1K1 w kq -'],
+  ['C48', 'Four knights, Spanish, classical defence', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bc5', 'r1bqk2r/pppp1ppp/2n2n2/1Bb1p3/4P3/2N2N2/PPPP1PPP/R1BQK2R w KQkq -'],
+  ['C48', 'Four knights, Bardeleben variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bc5 O-O O-O Nxe5 Nxe5 d4 Bd6 f4 Nc6 e5 Bb4', 'r1bq1rk1/pppp1ppp/2n2n2/1B2P3/1b1P1P2/2N5/PPP3PP/R1BQ1RK1 w - -'],
+  ['C48', 'Four knights, Marshall variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bc5 O-O O-O Nxe5 Nd4', 'r1bq1rk1/pppp1ppp/5n2/1Bb1N3/3nP3/2N5/PPPP1PPP/R1BQ1RK1 w - -'],
+  ['C48', 'Four knights, Rubinstein counter-gambit', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Nd4', 'r1bqkb1r/pppp1ppp/5n2/1B2p3/3nP3/2N2N2/PPPP1PPP/R1BQK2R w KQkq -'],
+  ['C48', 'Four knights, Rubinstein counter-gambit, Bogolyubov variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Nd4 Nxe5 Qe7 f4', 'r1b1kb1r/ppppqppp/5n2/1B2N3/3nPP2/2N5/PPPP2PP/R1BQK2R b KQkq -'],
+  ['C48', 'Four knights, Rubinstein counter-gambit, 5.Be2', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Nd4 Be2', 'r1bqkb1r/pppp1ppp/5n2/4p3/3nP3/2N2N2/PPPPBPPP/R1BQK2R b KQkq -'],
+  ['C48', 'Four knights, Rubinstein counter-gambit Maroczy variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Nd4 Be2 Nxf3+ Bxf3 Bc5 O-O O-O d3 d6 Na4 Bb6', 'r1bq1rk1/ppp2ppp/1b1p1n2/4p3/N3P3/3P1B2/PPP2PPP/R1BQ1RK1 w - -'],
+  ['C48', 'Four knights, Rubinstein counter-gambit, exchange variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Nd4 Nxd4', 'r1bqkb1r/pppp1ppp/5n2/1B2p3/3NP3/2N5/PPPP1PPP/R1BQK2R b KQkq -'],
+  ['C48', 'Four knights, Rubinstein counter-gambit, Henneberger variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Nd4 O-O', 'r1bqkb1r/pppp1ppp/5n2/1B2p3/3nP3/2N2N2/PPPP1PPP/R1BQ1RK1 b kq -'],
+  ['C49', 'Four knights, double Ruy Lopez', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bb4', 'r1bqk2r/pppp1ppp/2n2n2/1B2p3/1b2P3/2N2N2/PPPP1PPP/R1BQK2R w KQkq -'],
+  ['C49', 'Four knights, Gunsberg counter-attack', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bb4 O-O O-O Nd5 Nxd5 exd5 e4', 'r1bq1rk1/pppp1ppp/2n5/1B1P4/1b2p3/5N2/PPPP1PPP/R1BQ1RK1 w - -'],
+  ['C49', 'Four knights, double Ruy Lopez', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bb4 O-O O-O d3', 'r1bq1rk1/pppp1ppp/2n2n2/1B2p3/1b2P3/2NP1N2/PPP2PPP/R1BQ1RK1 b - -'],
+  ['C49', 'Four knights, Alatortsev variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bb4 O-O O-O d3 Qe7 Ne2 d5', 'r1b2rk1/ppp1qppp/2n2n2/1B1pp3/1b2P3/3P1N2/PPP1NPPP/R1BQ1RK1 w - -'],
+  ['C49', 'Four knights', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bb4 O-O O-O d3 Bxc3', 'r1bq1rk1/pppp1ppp/2n2n2/1B2p3/4P3/2bP1N2/PPP2PPP/R1BQ1RK1 w - -'],
+  ['C49', 'Four knights, Janowski variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bb4 O-O O-O d3 Bxc3 bxc3 d6 Re1', 'r1bq1rk1/ppp2ppp/2np1n2/1B2p3/4P3/2PP1N2/P1P2PPP/R1BQR1K1 b - -'],
+  ['C49', 'Four knights, Svenonius variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bb4 O-O O-O d3 Bxc3 bxc3 d5', 'r1bq1rk1/ppp2ppp/2n2n2/1B1pp3/4P3/2PP1N2/P1P2PPP/R1BQ1RK1 w - -'],
+  ['C49', 'Four knights, symmetrical variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bb4 O-O O-O d3 d6', 'r1bq1rk1/ppp2ppp/2np1n2/1B2p3/1b2P3/2NP1N2/PPP2PPP/R1BQ1RK1 w - -'],
+  ['C49', 'Four knights, symmetrical, Metger unpin', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bb4 O-O O-O d3 d6 Bg5 Bxc3 bxc3 Qe7', 'r1b2rk1/ppp1qppp/2np1n2/1B2p1B1/4P3/2PP1N2/P1P2PPP/R2Q1RK1 w - -'],
+  ['C49', 'Four knights, symmetrical, Capablanca variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bb4 O-O O-O d3 d6 Bg5 Bxc3 bxc3 Qe7 Re1 Nd8 d4 Bg4', 'r2n1rk1/ppp1qppp/3p1n2/1B2p1B1/3PP1b1/2P2N2/P1P2PPP/R2QR1K1 w - -'],
+  ['C49', 'Four knights, symmetrical, Pillsbury variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bb4 O-O O-O d3 d6 Bg5 Ne7', 'r1bq1rk1/ppp1nppp/3p1n2/1B2p1B1/1b2P3/2NP1N2/PPP2PPP/R2Q1RK1 w - -'],
+  ['C49', 'Four knights, symmetrical, Blake variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bb4 O-O O-O d3 d6 Bg5 Ne7 Nh4 c6 Bc4 d5 Bb3 Qd6', 'r1b2rk1/pp2nppp/2pq1n2/3pp1B1/1b2P2N/1BNP4/PPP2PPP/R2Q1RK1 w - -'],
+  ['C49', 'Four knights, symmetrical, Tarrasch variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bb4 O-O O-O d3 d6 Bg5 Be6', 'r2q1rk1/ppp2ppp/2npbn2/1B2p1B1/1b2P3/2NP1N2/PPP2PPP/R2Q1RK1 w - -'],
+  ['C49', 'Four knights, symmetrical, Maroczy system', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bb4 O-O O-O d3 d6 Ne2', 'r1bq1rk1/ppp2ppp/2np1n2/1B2p3/1b2P3/3P1N2/PPP1NPPP/R1BQ1RK1 b - -'],
+  ['C49', 'Four knights, Nimzovich (Paulsen) variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5 Bb4 O-O O-O Bxc6', 'r1bq1rk1/pppp1ppp/2B2n2/4p3/1b2P3/2N2N2/PPPP1PPP/R1BQ1RK1 b - -'],
+  ['C50', "King's pawn game", 'e4 e5 Nf3 Nc6 Bc4', 'r1bqkbnr/pppp1ppp/2n5/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R b KQkq -'],
+  ['C50', 'Blackburne shilling gambit', 'e4 e5 Nf3 Nc6 Bc4 Nd4 Nxe5 Qg5 Nxf7 Qxg2 Rf1 Qxe4+ Be2 Nf3#', 'r1b1kbnr/pppp1Npp/8/8/4q3/5n2/PPPPBP1P/RNBQKR2 w Qkq -'],
+  ['C50', 'Rousseau gambit', 'e4 e5 Nf3 Nc6 Bc4 f5', 'r1bqkbnr/pppp2pp/2n5/4pp2/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C50', 'Hungarian defence', 'e4 e5 Nf3 Nc6 Bc4 Be7', 'r1bqk1nr/ppppbppp/2n5/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C50', 'Hungarian defence, Tartakower variation', 'e4 e5 Nf3 Nc6 Bc4 Be7 d4 exd4 c3 Nf6 e5 Ne4', 'r1bqk2r/ppppbppp/2n5/4P3/2Bpn3/2P2N2/PP3PPP/RNBQK2R w KQkq -'],
+  ['C50', 'Giuoco Piano', 'e4 e5 Nf3 Nc6 Bc4 Bc5', 'r1bqk1nr/pppp1ppp/2n5/2b1p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C50', 'Giuoco Piano, four knights variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 Nc3 Nf6', 'r1bqk2r/pppp1ppp/2n2n2/2b1p3/2B1P3/2N2N2/PPPP1PPP/R1BQK2R w KQkq -'],
+  ['C50', 'Giuoco Piano, Jerome gambit', 'e4 e5 Nf3 Nc6 Bc4 Bc5 Bxf7+', 'r1bqk1nr/pppp1Bpp/2n5/2b1p3/4P3/5N2/PPPP1PPP/RNBQK2R b KQkq -'],
+  ['C50', 'Giuoco Pianissimo', 'e4 e5 Nf3 Nc6 Bc4 Bc5 d3', 'r1bqk1nr/pppp1ppp/2n5/2b1p3/2B1P3/3P1N2/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C50', 'Giuoco Pianissimo, Dubois variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 d3 f5 Ng5 f4', 'r1bqk1nr/pppp2pp/2n5/2b1p1N1/2B1Pp2/3P4/PPP2PPP/RNBQK2R w KQkq -'],
+  ['C50', 'Giuoco Pianissimo', 'e4 e5 Nf3 Nc6 Bc4 Bc5 d3 Nf6', 'r1bqk2r/pppp1ppp/2n2n2/2b1p3/2B1P3/3P1N2/PPP2PPP/RNBQK2R w KQkq -'],
+  ['C50', 'Giuoco Pianissimo, Italian four knights variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 d3 Nf6 Nc3', 'r1bqk2r/pppp1ppp/2n2n2/2b1p3/2B1P3/2NP1N2/PPP2PPP/R1BQK2R b KQkq -'],
+  ['C50', 'Giuoco Pianissimo, Canal variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 d3 Nf6 Nc3 d6 Bg5', 'r1bqk2r/ppp2ppp/2np1n2/2b1p1B1/2B1P3/2NP1N2/PPP2PPP/R2QK2R b KQkq -'],
+  ['C51', 'Evans gambit declined', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4', 'r1bqk1nr/pppp1ppp/2n5/2b1p3/1PB1P3/5N2/P1PP1PPP/RNBQK2R b KQkq -'],
+  ['C51', 'Evans gambit declined, Lange variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bb6 b5 Na5 Nxe5 Nh6', 'r1bqk2r/pppp1ppp/1b5n/nP2N3/2B1P3/8/P1PP1PPP/RNBQK2R w KQkq -'],
+  ['C51', 'Evans gambit declined, Pavlov variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bb6 b5 Na5 Nxe5 Nh6 d4 d6 Bxh6 dxe5 Bxg7 Rg8 Bxf7+ Kxf7 Bxe5 Qg5 Nd2', 'r1b3r1/ppp2k1p/1b6/nP2B1q1/3PP3/8/P1PN1PPP/R2QK2R b KQ -'],
+  ['C51', 'Evans gambit declined, Hirschbach variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bb6 b5 Na5 Nxe5 Qg5', 'r1b1k1nr/pppp1ppp/1b6/nP2N1q1/2B1P3/8/P1PP1PPP/RNBQK2R w KQkq -'],
+  ['C51', 'Evans gambit declined, Vasquez variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bb6 b5 Na5 Nxe5 Qg5 Bxf7+ Ke7 Qh5', 'r1b3nr/ppppkBpp/1b6/nP2N1qQ/4P3/8/P1PP1PPP/RNB1K2R b KQ -'],
+  ['C51', 'Evans gambit declined, Hicken variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bb6 b5 Na5 Nxe5 Qg5 Qf3 Qxe5 Qxf7+ Kd8 Bb2', 'r1bk2nr/pppp1Qpp/1b6/nP2q3/2B1P3/8/PBPP1PPP/RN2K2R b KQ -'],
+  ['C51', 'Evans gambit declined, 5.a4', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bb6 a4', 'r1bqk1nr/pppp1ppp/1bn5/4p3/PPB1P3/5N2/2PP1PPP/RNBQK2R b KQkq -'],
+  ['C51', 'Evans gambit declined, Showalter variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bb6 a4 a6 Nc3', 'r1bqk1nr/1ppp1ppp/pbn5/4p3/PPB1P3/2N2N2/2PP1PPP/R1BQK2R b KQkq -'],
+  ['C51', 'Evans gambit declined, Cordel variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bb6 Bb2', 'r1bqk1nr/pppp1ppp/1bn5/4p3/1PB1P3/5N2/PBPP1PPP/RN1QK2R b KQkq -'],
+  ['C51', 'Evans counter-gambit', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 d5', 'r1bqk1nr/ppp2ppp/2n5/2bpp3/1PB1P3/5N2/P1PP1PPP/RNBQK2R w KQkq -'],
+  ['C51', 'Evans gambit', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4', 'r1bqk1nr/pppp1ppp/2n5/4p3/1bB1P3/5N2/P1PP1PPP/RNBQK2R w KQkq -'],
+  ['C51', 'Evans gambit, normal variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Bc5 d4 exd4 O-O d6 cxd4 Bb6', 'r1bqk1nr/ppp2ppp/1bnp4/8/2BPP3/5N2/P4PPP/RNBQ1RK1 w kq -'],
+  ['C51', 'Evans gambit, Ulvestad variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Bc5 d4 exd4 O-O d6 cxd4 Bb6 d5 Na5 Bb2', 'r1bqk1nr/ppp2ppp/1b1p4/n2P4/2B1P3/5N2/PB3PPP/RN1Q1RK1 b kq -'],
+  ['C51', 'Evans gambit, Paulsen variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Bc5 d4 exd4 O-O d6 cxd4 Bb6 d5 Na5 Bb2 Ne7', 'r1bqk2r/ppp1nppp/1b1p4/n2P4/2B1P3/5N2/PB3PPP/RN1Q1RK1 w kq -'],
+  ['C51', 'Evans gambit, Morphy attack', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Bc5 d4 exd4 O-O d6 cxd4 Bb6 Nc3', 'r1bqk1nr/ppp2ppp/1bnp4/8/2BPP3/2N2N2/P4PPP/R1BQ1RK1 b kq -'],
+  ['C51', 'Evans gambit, Goering attack', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Bc5 d4 exd4 O-O d6 cxd4 Bb6 Nc3 Na5 Bg5', 'r1bqk1nr/ppp2ppp/1b1p4/n5B1/2BPP3/2N2N2/P4PPP/R2Q1RK1 b kq -'],
+  ['C51', 'Evans gambit, Steinitz variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Bc5 d4 exd4 O-O d6 cxd4 Bb6 Nc3 Na5 Bg5 f6 Be3', 'r1bqk1nr/ppp3pp/1b1p1p2/n7/2BPP3/2N1BN2/P4PPP/R2Q1RK1 b kq -'],
+  ['C51', 'Evans gambit', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Bc5 d4 exd4 O-O d6 cxd4 Bb6 Nc3 Bg4', 'r2qk1nr/ppp2ppp/1bnp4/8/2BPP1b1/2N2N2/P4PPP/R1BQ1RK1 w kq -'],
+  ['C51', 'Evans gambit, Fraser attack', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Bc5 d4 exd4 O-O d6 cxd4 Bb6 Nc3 Bg4 Qa4', 'r2qk1nr/ppp2ppp/1bnp4/8/Q1BPP1b1/2N2N2/P4PPP/R1B2RK1 b kq -'],
+  ['C51', 'Evans gambit, Fraser-Mortimer attack', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Bc5 d4 exd4 O-O d6 cxd4 Bb6 Nc3 Bg4 Qa4 Bd7 Qb3 Na5 Bxf7+ Kf8 Qc2', 'r2q1knr/pppb1Bpp/1b1p4/n7/3PP3/2N2N2/P1Q2PPP/R1B2RK1 b - -'],
+  ['C51', 'Evans gambit, Stone-Ware variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Bd6', 'r1bqk1nr/pppp1ppp/2nb4/4p3/2B1P3/2P2N2/P2P1PPP/RNBQK2R w KQkq -'],
+  ['C51', 'Evans gambit, Mayet defence', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Bf8', 'r1bqkbnr/pppp1ppp/2n5/4p3/2B1P3/2P2N2/P2P1PPP/RNBQK2R w KQkq -'],
+  ['C51', 'Evans gambit, 5...Be7', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Be7', 'r1bqk1nr/ppppbppp/2n5/4p3/2B1P3/2P2N2/P2P1PPP/RNBQK2R w KQkq -'],
+  ['C51', 'Evans gambit, Cordel variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Be7 d4 Na5', 'r1bqk1nr/ppppbppp/8/n3p3/2BPP3/2P2N2/P4PPP/RNBQK2R w KQkq -'],
+  ['C52', 'Evans gambit', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Ba5', 'r1bqk1nr/pppp1ppp/2n5/b3p3/2B1P3/2P2N2/P2P1PPP/RNBQK2R w KQkq -'],
+  ['C52', 'Evans gambit, compromised defence', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Ba5 d4 exd4 O-O dxc3', 'r1bqk1nr/pppp1ppp/2n5/b7/2B1P3/2p2N2/P4PPP/RNBQ1RK1 w kq -'],
+  ['C52', 'Evans gambit, compromised defence, Paulsen variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Ba5 d4 exd4 O-O dxc3 Qb3 Qf6 e5 Qg6 Nxc3 Nge7 Ba3', 'r1b1k2r/ppppnppp/2n3q1/b3P3/2B5/BQN2N2/P4PPP/R4RK1 b kq -'],
+  ['C52', 'Evans gambit, compromised defence, Potter variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Ba5 d4 exd4 O-O dxc3 Qb3 Qf6 e5 Qg6 Nxc3 Nge7 Rd1', 'r1b1k2r/ppppnppp/2n3q1/b3P3/2B5/1QN2N2/P4PPP/R1BR2K1 b kq -'],
+  ['C52', 'Evans gambit, Leonhardt variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Ba5 d4 b5', 'r1bqk1nr/p1pp1ppp/2n5/bp2p3/2BPP3/2P2N2/P4PPP/RNBQK2R w KQkq -'],
+  ['C52', 'Evans gambit', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Ba5 d4 d6', 'r1bqk1nr/ppp2ppp/2np4/b3p3/2BPP3/2P2N2/P4PPP/RNBQK2R w KQkq -'],
+  ['C52', 'Evans gambit, Tartakower attack', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Ba5 d4 d6 Qb3', 'r1bqk1nr/ppp2ppp/2np4/b3p3/2BPP3/1QP2N2/P4PPP/RNB1K2R b KQkq -'],
+  ['C52', 'Evans gambit, Levenfish variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Ba5 d4 d6 Qb3 Qd7 dxe5 dxe5 O-O Bb6 Ba3 Na5 Nxe5', 'r1b1k1nr/pppq1ppp/1b6/n3N3/2B1P3/BQP5/P4PPP/RN3RK1 b kq -'],
+  ['C52', 'Evans gambit, Sokolsky variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Ba5 d4 d6 Bg5', 'r1bqk1nr/ppp2ppp/2np4/b3p1B1/2BPP3/2P2N2/P4PPP/RN1QK2R b KQkq -'],
+  ['C52', 'Evans gambit', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Ba5 O-O', 'r1bqk1nr/pppp1ppp/2n5/b3p3/2B1P3/2P2N2/P2P1PPP/RNBQ1RK1 b kq -'],
+  ['C52', 'Evans gambit, Richardson attack', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Ba5 O-O Nf6 d4 O-O Nxe5', 'r1bq1rk1/pppp1ppp/2n2n2/b3N3/2BPP3/2P5/P4PPP/RNBQ1RK1 b - -'],
+  ['C52', 'Evans gambit', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Ba5 O-O d6', 'r1bqk1nr/ppp2ppp/2np4/b3p3/2B1P3/2P2N2/P2P1PPP/RNBQ1RK1 w kq -'],
+  ['C52', 'Evans gambit, Waller attack', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Ba5 O-O d6 d4 exd4 Qb3', 'r1bqk1nr/ppp2ppp/2np4/b7/2BpP3/1QP2N2/P4PPP/RNB2RK1 b kq -'],
+  ['C52', 'Evans gambit, Lasker defence', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Ba5 O-O d6 d4 Bb6', 'r1bqk1nr/ppp2ppp/1bnp4/4p3/2BPP3/2P2N2/P4PPP/RNBQ1RK1 w kq -'],
+  ['C52', 'Evans gambit, Sanders-Alapin variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Ba5 O-O d6 d4 Bd7', 'r2qk1nr/pppb1ppp/2np4/b3p3/2BPP3/2P2N2/P4PPP/RNBQ1RK1 w kq -'],
+  ['C52', 'Evans gambit, Alapin-Steinitz variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4 Bxb4 c3 Ba5 O-O d6 d4 Bg4', 'r2qk1nr/ppp2ppp/2np4/b3p3/2BPP1b1/2P2N2/P4PPP/RNBQ1RK1 w kq -'],
+  ['C53', 'Giuoco Piano', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3', 'r1bqk1nr/pppp1ppp/2n5/2b1p3/2B1P3/2P2N2/PP1P1PPP/RNBQK2R b KQkq -'],
+  ['C53', 'Giuoco Piano, LaBourdonnais variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 d6 d4 exd4 cxd4 Bb6', 'r1bqk1nr/ppp2ppp/1bnp4/8/2BPP3/5N2/PP3PPP/RNBQK2R w KQkq -'],
+  ['C53', 'Giuoco Piano, close variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Qe7', 'r1b1k1nr/ppppqppp/2n5/2b1p3/2B1P3/2P2N2/PP1P1PPP/RNBQK2R w KQkq -'],
+  ['C53', 'Giuoco Piano, centre-holding variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Qe7 d4 Bb6', 'r1b1k1nr/ppppqppp/1bn5/4p3/2BPP3/2P2N2/PP3PPP/RNBQK2R w KQkq -'],
+  ['C53', 'Giuoco Piano, Tarrasch variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Qe7 d4 Bb6 O-O Nf6 a4 a6 Re1 d6 h3', 'r1b1k2r/1pp1qppp/pbnp1n2/4p3/P1BPP3/2P2N1P/1P3PP1/RNBQR1K1 b kq -'],
+  ['C53', 'Giuoco Piano, Mestel variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Qe7 d4 Bb6 Bg5', 'r1b1k1nr/ppppqppp/1bn5/4p1B1/2BPP3/2P2N2/PP3PPP/RN1QK2R b KQkq -'],
+  ['C53', 'Giuoco Piano, Eisinger variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Qe7 d4 Bb6 d5 Nb8 d6', 'rnb1k1nr/ppppqppp/1b1P4/4p3/2B1P3/2P2N2/PP3PPP/RNBQK2R b KQkq -'],
+  ['C53', 'Giuoco Piano', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6', 'r1bqk2r/pppp1ppp/2n2n2/2b1p3/2B1P3/2P2N2/PP1P1PPP/RNBQK2R w KQkq -'],
+  ['C53', "Giuoco Piano, Bird's attack", 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 b4', 'r1bqk2r/pppp1ppp/2n2n2/2b1p3/1PB1P3/2P2N2/P2P1PPP/RNBQK2R b KQkq -'],
+  ['C53', 'Giuoco Piano', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4', 'r1bqk2r/pppp1ppp/2n2n2/2b1p3/2BPP3/2P2N2/PP3PPP/RNBQK2R b KQkq -'],
+  ['C53', 'Giuoco Piano, Ghulam Kassim variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 e5 Ne4 Bd5 Nxf2 Kxf2 dxc3+ Kg3', 'r1bqk2r/pppp1ppp/2n5/2bBP3/8/2p2NK1/PP4PP/RNBQ3R b kq -'],
+  ['C53', 'Giuoco Piano', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 e5 d5', 'r1bqk2r/ppp2ppp/2n2n2/2bpP3/2Bp4/2P2N2/PP3PPP/RNBQK2R w KQkq d6'],
+  ['C53', 'Giuoco Piano, Anderssen variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 e5 d5 Bb5 Ne4 cxd4 Bb4+', 'r1bqk2r/ppp2ppp/2n5/1B1pP3/1b1Pn3/5N2/PP3PPP/RNBQK2R w KQkq -'],
+  ['C54', 'Giuoco Piano', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 cxd4', 'r1bqk2r/pppp1ppp/2n2n2/2b5/2BPP3/5N2/PP3PPP/RNBQK2R b KQkq -'],
+  ['C54', 'Giuoco Piano, Krause variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 cxd4 Bb4+ Bd2 Nxe4 Bxb4 Nxb4 Bxf7+ Kxf7 Qb3+ d5 Ne5+ Kf6 f3', 'r1bq3r/ppp3pp/5k2/3pN3/1n1Pn3/1Q3P2/PP4PP/RN2K2R b KQ -'],
+  ['C54', 'Giuoco Piano, Cracow variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 cxd4 Bb4+ Kf1', 'r1bqk2r/pppp1ppp/2n2n2/8/1bBPP3/5N2/PP3PPP/RNBQ1K1R b kq -'],
+  ['C54', "Giuoco Piano, Greco's attack", 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 cxd4 Bb4+ Nc3', 'r1bqk2r/pppp1ppp/2n2n2/8/1bBPP3/2N2N2/PP3PPP/R1BQK2R b KQkq -'],
+  ['C54', 'Giuoco Piano, Greco variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 cxd4 Bb4+ Nc3 Nxe4 O-O Nxc3', 'r1bqk2r/pppp1ppp/2n5/8/1bBP4/2n2N2/PP3PPP/R1BQ1RK1 w kq -'],
+  ['C54', 'Giuoco Piano, Bernstein variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 cxd4 Bb4+ Nc3 Nxe4 O-O Nxc3 bxc3 Bxc3 Qb3 d5', 'r1bqk2r/ppp2ppp/2n5/3p4/2BP4/1Qb2N2/P4PPP/R1B2RK1 w kq -'],
+  ['C54', 'Giuoco Piano, Aitken variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 cxd4 Bb4+ Nc3 Nxe4 O-O Nxc3 bxc3 Bxc3 Ba3', 'r1bqk2r/pppp1ppp/2n5/8/2BP4/B1b2N2/P4PPP/R2Q1RK1 b kq -'],
+  ['C54', 'Giuoco Piano', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 cxd4 Bb4+ Nc3 Nxe4 O-O Bxc3', 'r1bqk2r/pppp1ppp/2n5/8/2BPn3/2b2N2/PP3PPP/R1BQ1RK1 w kq -'],
+  ['C54', 'Giuoco Piano, Steinitz variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 cxd4 Bb4+ Nc3 Nxe4 O-O Bxc3 bxc3 d5 Ba3', 'r1bqk2r/ppp2ppp/2n5/3p4/2BPn3/B1P2N2/P4PPP/R2Q1RK1 b kq -'],
+  ['C54', 'Giuoco Piano, Moeller (Therkatz) attack', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 cxd4 Bb4+ Nc3 Nxe4 O-O Bxc3 d5', 'r1bqk2r/pppp1ppp/2n5/3P4/2B1n3/2b2N2/PP3PPP/R1BQ1RK1 b kq -'],
+  ['C54', 'Giuoco Piano, Therkatz-Herzog variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 cxd4 Bb4+ Nc3 Nxe4 O-O Bxc3 d5 Bf6 Re1 Ne7 Rxe4 d6 Bg5 Bxg5 Nxg5 O-O Nxh7', 'r1bq1rk1/ppp1nppN/3p4/3P4/2B1R3/8/PP3PPP/R2Q2K1 b - -'],
+  ['C54', 'Giuoco Piano, Moeller, bayonet attack', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 cxd4 Bb4+ Nc3 Nxe4 O-O Bxc3 d5 Bf6 Re1 Ne7 Rxe4 d6 g4', 'r1bqk2r/ppp1nppp/3p1b2/3P4/2B1R1P1/5N2/PP3P1P/R1BQ2K1 b kq -'],
+  ['C55', 'Two knights defence', 'e4 e5 Nf3 Nc6 Bc4 Nf6', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C55', 'Giuoco piano, Rosentreter variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 O-O Bc5 d4 Bxd4 Nxd4 Nxd4 Bg5 h6 Bh4 g5 f4', 'r1bqk2r/pppp1p2/5n1p/4p1p1/2BnPP1B/8/PPP3PP/RN1Q1RK1 b kq -'],
+  ['C55', 'Giuoco piano', 'e4 e5 Nf3 Nc6 Bc4 Nf6 O-O Bc5 d4 Bxd4 Nxd4 Nxd4 Bg5 d6', 'r1bqk2r/ppp2ppp/3p1n2/4p1B1/2BnP3/8/PPP2PPP/RN1Q1RK1 w kq -'],
+  ['C55', 'Giuoco piano, Holzhausen attack', 'e4 e5 Nf3 Nc6 Bc4 Nf6 O-O Bc5 d4 Bxd4 Nxd4 Nxd4 Bg5 d6 f4 Qe7 fxe5 dxe5 Nc3', 'r1b1k2r/ppp1qppp/5n2/4p1B1/2BnP3/2N5/PPP3PP/R2Q1RK1 b kq -'],
+  ['C55', "Two knights defence (Modern bishop's opening)", 'e4 e5 Nf3 Nc6 Bc4 Nf6 d3', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2B1P3/3P1N2/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C55', 'Two knights defence', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2BPP3/5N2/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C55', 'Two knights defence, Keidanz variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4 e5 d5 Bb5 Ne4 Nxd4 Bc5 Nxc6 Bxf2+ Kf1 Qh4', 'r1b1k2r/ppp2ppp/2N5/1B1pP3/4n2q/8/PPP2bPP/RNBQ1K1R w kq -'],
+  ['C55', 'Two knights defence, Perreux variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4 Ng5', 'r1bqkb1r/pppp1ppp/2n2n2/6N1/2BpP3/8/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C55', 'Two knights defence', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4 O-O', 'r1bqkb1r/pppp1ppp/2n2n2/8/2BpP3/5N2/PPP2PPP/RNBQ1RK1 b kq -'],
+  ['C55', 'two knights, Max Lange attack', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4 O-O Bc5 e5', 'r1bqk2r/pppp1ppp/2n2n2/2b1P3/2Bp4/5N2/PPP2PPP/RNBQ1RK1 b kq -'],
+  ['C55', 'two knights, Max Lange attack, Berger variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4 O-O Bc5 e5 d5 exf6 dxc4 Re1+ Be6 Ng5 Qd5 Nc3 Qf5 g4 Qg6 Nce4 Bb6 f4 O-O-O', '2kr3r/ppp2ppp/1bn1bPq1/6N1/2ppNPP1/8/PPP4P/R1BQR1K1 w - -'],
+  ['C55', 'two knights, Max Lange attack, Marshall variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4 O-O Bc5 e5 d5 exf6 dxc4 Re1+ Be6 Ng5 Qd5 Nc3 Qf5 Nce4', 'r3k2r/ppp2ppp/2n1bP2/2b2qN1/2ppN3/8/PPP2PPP/R1BQR1K1 b kq -'],
+  ['C55', 'two knights, Max Lange attack, Rubinstein variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4 O-O Bc5 e5 d5 exf6 dxc4 Re1+ Be6 Ng5 Qd5 Nc3 Qf5 Nce4 Bf8', 'r3kb1r/ppp2ppp/2n1bP2/5qN1/2ppN3/8/PPP2PPP/R1BQR1K1 w kq -'],
+  ['C55', 'two knights, Max Lange attack, Loman defence', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4 O-O Bc5 e5 d5 exf6 dxc4 Re1+ Be6 Ng5 g6', 'r2qk2r/ppp2p1p/2n1bPp1/2b3N1/2pp4/8/PPP2PPP/RNBQR1K1 w kq -'],
+  ['C55', 'two knights, Max Lange attack, Schlechter variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4 O-O Bc5 e5 d5 exf6 dxc4 Re1+ Be6 fxg7', 'r2qk2r/ppp2pPp/2n1b3/2b5/2pp4/5N2/PPP2PPP/RNBQR1K1 b kq -'],
+  ['C55', 'two knights, Max Lange attack, Steinitz variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4 O-O Bc5 e5 Ng4', 'r1bqk2r/pppp1ppp/2n5/2b1P3/2Bp2n1/5N2/PPP2PPP/RNBQ1RK1 w kq -'],
+  ['C55', 'two knights, Max Lange attack, Krause variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4 O-O Bc5 e5 Ng4 c3', 'r1bqk2r/pppp1ppp/2n5/2b1P3/2Bp2n1/2P2N2/PP3PPP/RNBQ1RK1 b kq -'],
+  ['C56', 'Two knights defence', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4 O-O Nxe4', 'r1bqkb1r/pppp1ppp/2n5/8/2Bpn3/5N2/PPP2PPP/RNBQ1RK1 w kq -'],
+  ['C56', 'two knights defence, Yurdansky attack', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4 O-O Nxe4 Re1 d5 Bxd5 Qxd5 Nc3 Qa5 Nxe4 Be6 Bg5 h6 Bh4 g5 Nf6+ Ke7 b4', 'r4b1r/ppp1kp2/2n1bN1p/q5p1/1P1p3B/5N2/P1P2PPP/R2QR1K1 b - -'],
+  ['C56', 'two knights defence, Canal variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4 O-O Nxe4 Re1 d5 Nc3', 'r1bqkb1r/ppp2ppp/2n5/3p4/2Bpn3/2N2N2/PPP2PPP/R1BQR1K1 b kq -'],
+  ['C57', 'Two knights defence', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5', 'r1bqkb1r/pppp1ppp/2n2n2/4p1N1/2B1P3/8/PPPP1PPP/RNBQK2R b KQkq -'],
+  ['C57', 'two knights defence, Wilkes Barre (Traxler) variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 Bc5', 'r1bqk2r/pppp1ppp/2n2n2/2b1p1N1/2B1P3/8/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C57', 'two knights defence, Ulvestad variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 b5', 'r1bqkb1r/p1p2ppp/2n2n2/1p1Pp1N1/2B5/8/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C57', 'two knights defence, Fritz variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Nd4', 'r1bqkb1r/ppp2ppp/5n2/3Pp1N1/2Bn4/8/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C57', 'two knights defence, Fritz, Gruber variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Nd4 c3 b5 Bf1 Nxd5 Ne4', 'r1bqkb1r/p1p2ppp/8/1p1np3/3nN3/2P5/PP1P1PPP/RNBQKB1R b KQkq -'],
+  ['C57', 'two knights defence, Lolli attack', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Nxd5 d4', 'r1bqkb1r/ppp2ppp/2n5/3np1N1/2BP4/8/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C57', 'two knights defence, Pincus variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Nxd5 d4 Bb4+', 'r1bqk2r/ppp2ppp/2n5/3np1N1/1bBP4/8/PPP2PPP/RNBQK2R w KQkq -'],
+  ['C57', 'two knights defence, Fegatello attack', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Nxd5 Nxf7', 'r1bqkb1r/ppp2Npp/2n5/3np3/2B5/8/PPPP1PPP/RNBQK2R b KQkq -'],
+  ['C57', 'two knights defence, Fegatello attack, Leonhardt variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Nxd5 Nxf7 Kxf7 Qf3+ Ke6 Nc3 Nb4 Qe4 c6 a3 Na6 d4 Nc7', 'r1bq1b1r/ppn3pp/2p1k3/3np3/2BPQ3/P1N5/1PP2PPP/R1B1K2R w KQ -'],
+  ['C57', 'two knights defence, Fegatello attack, Polerio defence', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Nxd5 Nxf7 Kxf7 Qf3+ Ke6 Nc3 Ne7', 'r1bq1b1r/ppp1n1pp/4k3/3np3/2B5/2N2Q2/PPPP1PPP/R1B1K2R w KQ -'],
+  ['C58', 'two knights defence', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5', 'r1bqkb1r/ppp2ppp/5n2/n2Pp1N1/2B5/8/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C58', 'two knights defence, Kieseritsky variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5 d3', 'r1bqkb1r/ppp2ppp/5n2/n2Pp1N1/2B5/3P4/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C58', 'two knights defence, Yankovich variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5 d3 h6 Nf3 e4 Qe2 Nxc4 dxc4 Bc5 Nfd2', 'r1bqk2r/ppp2pp1/5n1p/2bP4/2P1p3/8/PPPNQPPP/RNB1K2R b KQkq -'],
+  ['C58', 'two knights defence, Maroczy variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5 d3 h6 Nf3 e4 Qe2 Nxc4 dxc4 Be7', 'r1bqk2r/ppp1bpp1/5n1p/3P4/2P1p3/5N2/PPP1QPPP/RNB1K2R w KQkq -'],
+  ['C58', 'Two knights defence', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5 Bb5+', 'r1bqkb1r/ppp2ppp/5n2/nB1Pp1N1/8/8/PPPP1PPP/RNBQK2R b KQkq -'],
+  ['C58', 'two knights defence, Bogolyubov variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5 Bb5+ c6 dxc6 bxc6 Qf3', 'r1bqkb1r/p4ppp/2p2n2/nB2p1N1/8/5Q2/PPPP1PPP/RNB1K2R b KQkq -'],
+  ['C58', 'two knights defence, Paoli variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5 Bb5+ c6 dxc6 bxc6 Qf3 Qc7 Bd3', 'r1b1kb1r/p1q2ppp/2p2n2/n3p1N1/8/3B1Q2/PPPP1PPP/RNB1K2R b KQkq -'],
+  ['C58', 'two knights defence, Colman variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5 Bb5+ c6 dxc6 bxc6 Qf3 Rb8', '1rbqkb1r/p4ppp/2p2n2/nB2p1N1/8/5Q2/PPPP1PPP/RNB1K2R w KQk -'],
+  ['C58', 'two knights defence, Blackburne variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5 Bb5+ c6 dxc6 bxc6 Qf3 cxb5', 'r1bqkb1r/p4ppp/5n2/np2p1N1/8/5Q2/PPPP1PPP/RNB1K2R w KQkq -'],
+  ['C58', 'Two knights defence', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5 Bb5+ c6 dxc6 bxc6 Be2', 'r1bqkb1r/p4ppp/2p2n2/n3p1N1/8/8/PPPPBPPP/RNBQK2R b KQkq -'],
+  ['C59', 'Two knights defence', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5 Bb5+ c6 dxc6 bxc6 Be2 h6', 'r1bqkb1r/p4pp1/2p2n1p/n3p1N1/8/8/PPPPBPPP/RNBQK2R w KQkq -'],
+  ['C59', 'two knights defence, Knorre variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5 Bb5+ c6 dxc6 bxc6 Be2 h6 Nf3 e4 Ne5 Bd6 d4 Qc7 Bd2', 'r1b1k2r/p1q2pp1/2pb1n1p/n3N3/3Pp3/8/PPPBBPPP/RN1QK2R b KQkq -'],
+  ['C59', 'two knights defence, Goering variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5 Bb5+ c6 dxc6 bxc6 Be2 h6 Nf3 e4 Ne5 Qc7', 'r1b1kb1r/p1q2pp1/2p2n1p/n3N3/4p3/8/PPPPBPPP/RNBQK2R w KQkq -'],
+  ['C59', 'two knights defence, Steinitz variation', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5 Bb5+ c6 dxc6 bxc6 Be2 h6 Nh3', 'r1bqkb1r/p4pp1/2p2n1p/n3p3/8/7N/PPPPBPPP/RNBQK2R b KQkq -'],
+  ['C60', 'Ruy Lopez (Spanish opening)', 'e4 e5 Nf3 Nc6 Bb5', 'r1bqkbnr/pppp1ppp/2n5/1B2p3/4P3/5N2/PPPP1PPP/RNBQK2R b KQkq -'],
+  ['C60', 'Ruy Lopez, Nuernberg variation', 'e4 e5 Nf3 Nc6 Bb5 f6', 'r1bqkbnr/pppp2pp/2n2p2/1B2p3/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C60', 'Ruy Lopez, Pollock defence', 'e4 e5 Nf3 Nc6 Bb5 Na5', 'r1bqkbnr/pppp1ppp/8/nB2p3/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C60', 'Ruy Lopez, Lucena defence', 'e4 e5 Nf3 Nc6 Bb5 Be7', 'r1bqk1nr/ppppbppp/2n5/1B2p3/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C60', 'Ruy Lopez, Vinogradov variation', 'e4 e5 Nf3 Nc6 Bb5 Qe7', 'r1b1kbnr/ppppqppp/2n5/1B2p3/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C60', 'Ruy Lopez, Brentano defence', 'e4 e5 Nf3 Nc6 Bb5 g5', 'r1bqkbnr/pppp1p1p/2n5/1B2p1p1/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C60', 'Ruy Lopez, fianchetto (Smyslov/Barnes) defence', 'e4 e5 Nf3 Nc6 Bb5 g6', 'r1bqkbnr/pppp1p1p/2n3p1/1B2p3/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C60', 'Ruy Lopez, Cozio defence', 'e4 e5 Nf3 Nc6 Bb5 Nge7', 'r1bqkb1r/ppppnppp/2n5/1B2p3/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C60', 'Ruy Lopez, Cozio defence, Paulsen variation', 'e4 e5 Nf3 Nc6 Bb5 Nge7 Nc3 g6', 'r1bqkb1r/ppppnp1p/2n3p1/1B2p3/4P3/2N2N2/PPPP1PPP/R1BQK2R w KQkq -'],
+  ['C61', "Ruy Lopez, Bird's defence", 'e4 e5 Nf3 Nc6 Bb5 Nd4', 'r1bqkbnr/pppp1ppp/8/1B2p3/3nP3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C61', "Ruy Lopez, Bird's defence, Paulsen variation", 'e4 e5 Nf3 Nc6 Bb5 Nd4 Nxd4 exd4 O-O Ne7', 'r1bqkb1r/ppppnppp/8/1B6/3pP3/8/PPPP1PPP/RNBQ1RK1 w kq -'],
+  ['C62', 'Ruy Lopez, old Steinitz defence', 'e4 e5 Nf3 Nc6 Bb5 d6', 'r1bqkbnr/ppp2ppp/2np4/1B2p3/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C62', 'Ruy Lopez, old Steinitz defence, Nimzovich attack', 'e4 e5 Nf3 Nc6 Bb5 d6 d4 Bd7 Nc3 Nf6 Bxc6', 'r2qkb1r/pppb1ppp/2Bp1n2/4p3/3PP3/2N2N2/PPP2PPP/R1BQK2R b KQkq -'],
+  ['C62', 'Ruy Lopez, old Steinitz defence, semi-Duras variation', 'e4 e5 Nf3 Nc6 Bb5 d6 d4 Bd7 c4', 'r2qkbnr/pppb1ppp/2np4/1B2p3/2PPP3/5N2/PP3PPP/RNBQK2R b KQkq -'],
+  ['C63', 'Ruy Lopez, Schliemann defence', 'e4 e5 Nf3 Nc6 Bb5 f5', 'r1bqkbnr/pppp2pp/2n5/1B2pp2/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C63', 'Ruy Lopez, Schliemann defence, Berger variation', 'e4 e5 Nf3 Nc6 Bb5 f5 Nc3', 'r1bqkbnr/pppp2pp/2n5/1B2pp2/4P3/2N2N2/PPPP1PPP/R1BQK2R b KQkq -'],
+  ['C64', 'Ruy Lopez, classical (Cordel) defence', 'e4 e5 Nf3 Nc6 Bb5 Bc5', 'r1bqk1nr/pppp1ppp/2n5/1Bb1p3/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C64', 'Ruy Lopez, classical defence, Zaitsev variation', 'e4 e5 Nf3 Nc6 Bb5 Bc5 O-O Nd4 b4', 'r1bqk1nr/pppp1ppp/8/1Bb1p3/1P1nP3/5N2/P1PP1PPP/RNBQ1RK1 b kq -'],
+  ['C64', 'Ruy Lopez, classical defence, 4.c3', 'e4 e5 Nf3 Nc6 Bb5 Bc5 c3', 'r1bqk1nr/pppp1ppp/2n5/1Bb1p3/4P3/2P2N2/PP1P1PPP/RNBQK2R b KQkq -'],
+  ['C64', 'Ruy Lopez, classical defence, Benelux variation  ', 'e4 e5 Nf3 Nc6 Bb5 Bc5 c3 Nf6 O-O O-O d4 Bb6', 'r1bq1rk1/pppp1ppp/1bn2n2/1B2p3/3PP3/2P2N2/PP3PPP/RNBQ1RK1 w - -'],
+  ['C64', 'Ruy Lopez, classical defence, Charousek variation', 'e4 e5 Nf3 Nc6 Bb5 Bc5 c3 Bb6', 'r1bqk1nr/pppp1ppp/1bn5/1B2p3/4P3/2P2N2/PP1P1PPP/RNBQK2R w KQkq -'],
+  ['C64', 'Ruy Lopez, classical defence, Boden variation', 'e4 e5 Nf3 Nc6 Bb5 Bc5 c3 Qe7', 'r1b1k1nr/ppppqppp/2n5/1Bb1p3/4P3/2P2N2/PP1P1PPP/RNBQK2R w KQkq -'],
+  ['C64', 'Ruy Lopez, Cordel gambit', 'e4 e5 Nf3 Nc6 Bb5 Bc5 c3 f5', 'r1bqk1nr/pppp2pp/2n5/1Bb1pp2/4P3/2P2N2/PP1P1PPP/RNBQK2R w KQkq -'],
+  ['C65', 'Ruy Lopez, Berlin defence', 'e4 e5 Nf3 Nc6 Bb5 Nf6', 'r1bqkb1r/pppp1ppp/2n2n2/1B2p3/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C65', 'Ruy Lopez, Berlin defence, Nyholm attack', 'e4 e5 Nf3 Nc6 Bb5 Nf6 d4 exd4 O-O', 'r1bqkb1r/pppp1ppp/2n2n2/1B6/3pP3/5N2/PPP2PPP/RNBQ1RK1 b kq -'],
+  ['C65', 'Ruy Lopez, Berlin defence, Mortimer variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 d3 Ne7', 'r1bqkb1r/ppppnppp/5n2/1B2p3/4P3/3P1N2/PPP2PPP/RNBQK2R w KQkq -'],
+  ['C65', 'Ruy Lopez, Berlin defence, Mortimer trap', 'e4 e5 Nf3 Nc6 Bb5 Nf6 d3 Ne7 Nxe5 c6', 'r1bqkb1r/pp1pnppp/2p2n2/1B2N3/4P3/3P4/PPP2PPP/RNBQK2R w KQkq -'],
+  ['C65', 'Ruy Lopez, Berlin defence, Anderssen variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 d3 d6 Bxc6+', 'r1bqkb1r/ppp2ppp/2Bp1n2/4p3/4P3/3P1N2/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C65', 'Ruy Lopez, Berlin defence, Duras variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 d3 d6 c4', 'r1bqkb1r/ppp2ppp/2np1n2/1B2p3/2P1P3/3P1N2/PP3PPP/RNBQK2R b KQkq -'],
+  ['C65', 'Ruy Lopez, Berlin defence, Kaufmann variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 d3 Bc5 Be3', 'r1bqk2r/pppp1ppp/2n2n2/1Bb1p3/4P3/3PBN2/PPP2PPP/RN1QK2R b KQkq -'],
+  ['C65', 'Ruy Lopez, Berlin defence, 4.O-O', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O', 'r1bqkb1r/pppp1ppp/2n2n2/1B2p3/4P3/5N2/PPPP1PPP/RNBQ1RK1 b kq -'],
+  ['C65', 'Ruy Lopez, Berlin defence, Beverwijk variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Bc5', 'r1bqk2r/pppp1ppp/2n2n2/1Bb1p3/4P3/5N2/PPPP1PPP/RNBQ1RK1 w kq -'],
+  ['C66', 'Ruy Lopez, Berlin defence, 4.O-O, d6', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O d6', 'r1bqkb1r/ppp2ppp/2np1n2/1B2p3/4P3/5N2/PPPP1PPP/RNBQ1RK1 w kq -'],
+  ['C66', 'Ruy Lopez, Berlin defence, hedgehog variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O d6 d4 Bd7 Nc3 Be7', 'r2qk2r/pppbbppp/2np1n2/1B2p3/3PP3/2N2N2/PPP2PPP/R1BQ1RK1 w kq -'],
+  ['C66', 'Ruy Lopez, Berlin defence, Tarrasch trap', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O d6 d4 Bd7 Nc3 Be7 Re1 O-O', 'r2q1rk1/pppbbppp/2np1n2/1B2p3/3PP3/2N2N2/PPP2PPP/R1BQR1K1 w - -'],
+  ['C66', 'Ruy Lopez, closed Berlin defence, Bernstein variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O d6 d4 Bd7 Nc3 Be7 Bg5', 'r2qk2r/pppbbppp/2np1n2/1B2p1B1/3PP3/2N2N2/PPP2PPP/R2Q1RK1 b kq -'],
+  ['C66', 'Ruy Lopez, closed Berlin defence, Showalter variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O d6 d4 Bd7 Nc3 Be7 Bxc6', 'r2qk2r/pppbbppp/2Bp1n2/4p3/3PP3/2N2N2/PPP2PPP/R1BQ1RK1 b kq -'],
+  ['C66', 'Ruy Lopez, closed Berlin defence, Wolf variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O d6 d4 Bd7 Nc3 exd4', 'r2qkb1r/pppb1ppp/2np1n2/1B6/3pP3/2N2N2/PPP2PPP/R1BQ1RK1 w kq -'],
+  ['C66', 'Ruy Lopez, closed Berlin defence, Chigorin variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O d6 d4 Nd7', 'r1bqkb1r/pppn1ppp/2np4/1B2p3/3PP3/5N2/PPP2PPP/RNBQ1RK1 w kq -'],
+  ['C67', 'Ruy Lopez, Berlin defence, open variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4', 'r1bqkb1r/pppp1ppp/2n5/1B2p3/4n3/5N2/PPPP1PPP/RNBQ1RK1 w kq -'],
+  ['C67', "Ruy Lopez, open Berlin defence, l'Hermet variation", 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Nd6 dxe5', 'r1bqkb1r/pppp1ppp/2nn4/1B2P3/8/5N2/PPP2PPP/RNBQ1RK1 b kq -'],
+  ['C67', 'Ruy Lopez, open Berlin defence, Showalter variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Nd6 Ba4', 'r1bqkb1r/pppp1ppp/2nn4/4p3/B2P4/5N2/PPP2PPP/RNBQ1RK1 b kq -'],
+  ['C67', 'Ruy Lopez, open Berlin defence, 5...Be7', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Be7', 'r1bqk2r/ppppbppp/2n5/1B2p3/3Pn3/5N2/PPP2PPP/RNBQ1RK1 w kq -'],
+  ['C67', 'Ruy Lopez, Berlin defence, Rio de Janeiro variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Be7 Qe2 Nd6 Bxc6 bxc6 dxe5 Nb7 Nc3 O-O Re1 Nc5 Nd4 Ne6 Be3 Nxd4 Bxd4 c5', 'r1bq1rk1/p1ppbppp/8/2p1P3/3B4/2N5/PPP1QPPP/R3R1K1 w - -'],
+  ['C67', 'Ruy Lopez, Berlin defence, Zukertort variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Be7 Qe2 Nd6 Bxc6 bxc6 dxe5 Nb7 c4', 'r1bqk2r/pnppbppp/2p5/4P3/2P5/5N2/PP2QPPP/RNB2RK1 b kq -'],
+  ['C67', 'Ruy Lopez, Berlin defence, Pillsbury variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Be7 Qe2 Nd6 Bxc6 bxc6 dxe5 Nb7 b3', 'r1bqk2r/pnppbppp/2p5/4P3/8/1P3N2/P1P1QPPP/RNB2RK1 b kq -'],
+  ['C67', 'Ruy Lopez, Berlin defence, Winawer attack', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Be7 Qe2 Nd6 Bxc6 bxc6 dxe5 Nb7 Nd4', 'r1bqk2r/pnppbppp/2p5/4P3/3N4/8/PPP1QPPP/RNB2RK1 b kq -'],
+  ['C67', 'Ruy Lopez, Berlin defence, Cordel variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Be7 Qe2 Nd6 Bxc6 bxc6 dxe5 Nf5', 'r1bqk2r/p1ppbppp/2p5/4Pn2/8/5N2/PPP1QPPP/RNB2RK1 w kq -'],
+  ['C67', 'Ruy Lopez, Berlin defence, Trifunovic variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Be7 Qe2 d5', 'r1bqk2r/ppp1bppp/2n5/1B1pp3/3Pn3/5N2/PPP1QPPP/RNB2RK1 w kq -'],
+  ['C67', 'Ruy Lopez, Berlin defence, Minckwitz variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Be7 dxe5', 'r1bqk2r/ppppbppp/2n5/1B2P3/4n3/5N2/PPP2PPP/RNBQ1RK1 b kq -'],
+  ['C67', 'Ruy Lopez, Berlin defence, Rosenthal variation', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 a6', 'r1bqkb1r/1ppp1ppp/p1n5/1B2p3/3Pn3/5N2/PPP2PPP/RNBQ1RK1 w kq -'],
+  ['C68', 'Ruy Lopez, exchange variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6', 'r1bqkbnr/1ppp1ppp/p1B5/4p3/4P3/5N2/PPPP1PPP/RNBQK2R b KQkq -'],
+  ['C68', 'Ruy Lopez, exchange, Alekhine variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6 dxc6 d4 exd4 Qxd4 Qxd4 Nxd4 Bd7', 'r3kbnr/1ppb1ppp/p1p5/8/3NP3/8/PPP2PPP/RNB1K2R w KQkq -'],
+  ['C68', 'Ruy Lopez, exchange, Keres variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6 dxc6 Nc3', 'r1bqkbnr/1pp2ppp/p1p5/4p3/4P3/2N2N2/PPPP1PPP/R1BQK2R b KQkq -'],
+  ['C68', 'Ruy Lopez, exchange, Romanovsky variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6 dxc6 Nc3 f6 d3', 'r1bqkbnr/1pp3pp/p1p2p2/4p3/4P3/2NP1N2/PPP2PPP/R1BQK2R b KQkq -'],
+  ['C69', 'Ruy Lopez, exchange variation, 5.O-O', 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6 dxc6 O-O', 'r1bqkbnr/1pp2ppp/p1p5/4p3/4P3/5N2/PPPP1PPP/RNBQ1RK1 b kq -'],
+  ['C69', 'Ruy Lopez, exchange variation, Alapin gambit', 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6 dxc6 O-O Bg4 h3 h5', 'r2qkbnr/1pp2pp1/p1p5/4p2p/4P1b1/5N1P/PPPP1PP1/RNBQ1RK1 w kq -'],
+  ['C69', 'Ruy Lopez, exchange, Gligoric variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6 dxc6 O-O f6', 'r1bqkbnr/1pp3pp/p1p2p2/4p3/4P3/5N2/PPPP1PPP/RNBQ1RK1 w kq -'],
+  ['C69', 'Ruy Lopez, exchange, Bronstein variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6 dxc6 O-O Qd6', 'r1b1kbnr/1pp2ppp/p1pq4/4p3/4P3/5N2/PPPP1PPP/RNBQ1RK1 w kq -'],
+  ['C70', 'Ruy Lopez', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4', 'r1bqkbnr/1ppp1ppp/p1n5/4p3/B3P3/5N2/PPPP1PPP/RNBQK2R b KQkq -'],
+  ['C70', 'Ruy Lopez, fianchetto defence deferred', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 g6', 'r1bqkbnr/1ppp1p1p/p1n3p1/4p3/B3P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C70', 'Ruy Lopez, Cozio defence deferred', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nge7', 'r1bqkb1r/1pppnppp/p1n5/4p3/B3P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C70', "Ruy Lopez, Bird's defence deferred", 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nd4', 'r1bqkbnr/1ppp1ppp/p7/4p3/B2nP3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C70', "Ruy Lopez, Alapin's defence deferred", 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Bb4', 'r1bqk1nr/1ppp1ppp/p1n5/4p3/Bb2P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C70', 'Ruy Lopez, Classical defence deferred', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Bc5', 'r1bqk1nr/1ppp1ppp/p1n5/2b1p3/B3P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C70', 'Ruy Lopez, Caro variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 b5', 'r1bqkbnr/2pp1ppp/p1n5/1p2p3/B3P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C70', 'Ruy Lopez, Graz variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 b5 Bb3 Bc5', 'r1bqk1nr/2pp1ppp/p1n5/1pb1p3/4P3/1B3N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C70', 'Ruy Lopez, Taimanov (chase/wing/accelerated counterthrust) variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 b5 Bb3 Na5', 'r1bqkbnr/2pp1ppp/p7/np2p3/4P3/1B3N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C70', 'Ruy Lopez, Schliemann defence deferred', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 f5', 'r1bqkbnr/1ppp2pp/p1n5/4pp2/B3P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C71', 'Ruy Lopez, modern Steinitz defence', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 d6', 'r1bqkbnr/1pp2ppp/p1np4/4p3/B3P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C71', "Ruy Lopez, Noah's ark trap", 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 d6 d4 b5 Bb3 Nxd4 Nxd4 exd4 Qxd4 c5', 'r1bqkbnr/5ppp/p2p4/1pp5/3QP3/1B6/PPP2PPP/RNB1K2R w KQkq -'],
+  ['C71', 'Ruy Lopez, modern Steinitz defence, Three knights variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 d6 Nc3', 'r1bqkbnr/1pp2ppp/p1np4/4p3/B3P3/2N2N2/PPPP1PPP/R1BQK2R b KQkq -'],
+  ['C71', 'Ruy Lopez, modern Steinitz defence, Duras (Keres) variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 d6 c4', 'r1bqkbnr/1pp2ppp/p1np4/4p3/B1P1P3/5N2/PP1P1PPP/RNBQK2R b KQkq -'],
+  ['C72', 'Ruy Lopez, modern Steinitz defence, 5.O-O', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 d6 O-O', 'r1bqkbnr/1pp2ppp/p1np4/4p3/B3P3/5N2/PPPP1PPP/RNBQ1RK1 b kq -'],
+  ['C73', 'Ruy Lopez, modern Steinitz defence, Richter variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 d6 Bxc6+ bxc6 d4', 'r1bqkbnr/2p2ppp/p1pp4/4p3/3PP3/5N2/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C73', 'Ruy Lopez, modern Steinitz defence, Alapin variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 d6 Bxc6+ bxc6 d4 f6', 'r1bqkbnr/2p3pp/p1pp1p2/4p3/3PP3/5N2/PPP2PPP/RNBQK2R w KQkq -'],
+  ['C74', 'Ruy Lopez, modern Steinitz defence', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 d6 c3', 'r1bqkbnr/1pp2ppp/p1np4/4p3/B3P3/2P2N2/PP1P1PPP/RNBQK2R b KQkq -'],
+  ['C74', 'Ruy Lopez, modern Steinitz defence, siesta variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 d6 c3 f5', 'r1bqkbnr/1pp3pp/p1np4/4pp2/B3P3/2P2N2/PP1P1PPP/RNBQK2R w KQkq -'],
+  ['C74', 'Ruy Lopez, Siesta, Kopayev variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 d6 c3 f5 exf5 Bxf5 O-O', 'r2qkbnr/1pp3pp/p1np4/4pb2/B7/2P2N2/PP1P1PPP/RNBQ1RK1 b kq -'],
+  ['C75', 'Ruy Lopez, modern Steinitz defence', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 d6 c3 Bd7', 'r2qkbnr/1ppb1ppp/p1np4/4p3/B3P3/2P2N2/PP1P1PPP/RNBQK2R w KQkq -'],
+  ['C75', 'Ruy Lopez, modern Steinitz defence, Rubinstein variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 d6 c3 Bd7 d4 Nge7', 'r2qkb1r/1ppbnppp/p1np4/4p3/B2PP3/2P2N2/PP3PPP/RNBQK2R w KQkq -'],
+  ['C76', 'Ruy Lopez, modern Steinitz defence, fianchetto (Bronstein) variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 d6 c3 Bd7 d4 g6', 'r2qkbnr/1ppb1p1p/p1np2p1/4p3/B2PP3/2P2N2/PP3PPP/RNBQK2R w KQkq -'],
+  ['C77', 'Ruy Lopez, Morphy defence', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6', 'r1bqkb1r/1ppp1ppp/p1n2n2/4p3/B3P3/5N2/PPPP1PPP/RNBQK2R w KQkq -'],
+  ['C77', 'Ruy Lopez, four knights (Tarrasch) variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 Nc3', 'r1bqkb1r/1ppp1ppp/p1n2n2/4p3/B3P3/2N2N2/PPPP1PPP/R1BQK2R b KQkq -'],
+  ['C77', 'Ruy Lopez, Treybal (Bayreuth) variation (exchange var. deferred)', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 Bxc6', 'r1bqkb1r/1ppp1ppp/p1B2n2/4p3/4P3/5N2/PPPP1PPP/RNBQK2R b KQkq -'],
+  ['C77', 'Ruy Lopez, Wormald (Alapin) attack', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 Qe2', 'r1bqkb1r/1ppp1ppp/p1n2n2/4p3/B3P3/5N2/PPPPQPPP/RNB1K2R b KQkq -'],
+  ['C77', 'Ruy Lopez, Wormald attack, Gruenfeld variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 Qe2 b5 Bb3 Be7 d4 d6 c3 Bg4', 'r2qk2r/2p1bppp/p1np1n2/1p2p3/3PP1b1/1BP2N2/PP2QPPP/RNB1K2R w KQkq -'],
+  ['C77', 'Ruy Lopez, Anderssen variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 d3', 'r1bqkb1r/1ppp1ppp/p1n2n2/4p3/B3P3/3P1N2/PPP2PPP/RNBQK2R b KQkq -'],
+  ['C77', 'Ruy Lopez, Morphy defence, Duras variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 d3 d6 c4', 'r1bqkb1r/1pp2ppp/p1np1n2/4p3/B1P1P3/3P1N2/PP3PPP/RNBQK2R b KQkq -'],
+  ['C78', 'Ruy Lopez, 5.O-O', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O', 'r1bqkb1r/1ppp1ppp/p1n2n2/4p3/B3P3/5N2/PPPP1PPP/RNBQ1RK1 b kq -'],
+  ['C78', 'Ruy Lopez, Wing attack', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O b5 Bb3 Be7 a4', 'r1bqk2r/2ppbppp/p1n2n2/1p2p3/P3P3/1B3N2/1PPP1PPP/RNBQ1RK1 b kq -'],
+  ['C78', 'Ruy Lopez, ...b5 & ...d6', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O b5 Bb3 d6', 'r1bqkb1r/2p2ppp/p1np1n2/1p2p3/4P3/1B3N2/PPPP1PPP/RNBQ1RK1 w kq -'],
+  ['C78', 'Ruy Lopez, Rabinovich variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O b5 Bb3 d6 Ng5 d5 exd5 Nd4 Re1 Bc5 Rxe5+ Kf8', 'r1bq1k1r/2p2ppp/p4n2/1pbPR1N1/3n4/1B6/PPPP1PPP/RNBQ2K1 w - -'],
+  ['C78', 'Ruy Lopez, Archangelsk (counterthrust) variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O b5 Bb3 Bb7', 'r2qkb1r/1bpp1ppp/p1n2n2/1p2p3/4P3/1B3N2/PPPP1PPP/RNBQ1RK1 w kq -'],
+  ['C78', 'Ruy Lopez, Moeller defence', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Bc5', 'r1bqk2r/1ppp1ppp/p1n2n2/2b1p3/B3P3/5N2/PPPP1PPP/RNBQ1RK1 w kq -'],
+  ['C79', 'Ruy Lopez, Steinitz defence deferred (Russian defence)', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O d6', 'r1bqkb1r/1pp2ppp/p1np1n2/4p3/B3P3/5N2/PPPP1PPP/RNBQ1RK1 w kq -'],
+  ['C79', 'Ruy Lopez, Steinitz defence deferred, Lipnitsky variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O d6 Bxc6+ bxc6 d4 Bg4', 'r2qkb1r/2p2ppp/p1pp1n2/4p3/3PP1b1/5N2/PPP2PPP/RNBQ1RK1 w kq -'],
+  ['C79', 'Ruy Lopez, Steinitz defence deferred, Rubinstein variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O d6 Bxc6+ bxc6 d4 Nxe4', 'r1bqkb1r/2p2ppp/p1pp4/4p3/3Pn3/5N2/PPP2PPP/RNBQ1RK1 w kq -'],
+  ['C79', 'Ruy Lopez, Steinitz defence deferred, Boleslavsky variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O d6 Bxc6+ bxc6 d4 Nxe4 Re1 f5 dxe5 d5 Nc3', 'r1bqkb1r/2p3pp/p1p5/3pPp2/4n3/2N2N2/PPP2PPP/R1BQR1K1 b kq -'],
+  ['C80', 'Ruy Lopez, open (Tarrasch) defence', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4', 'r1bqkb1r/1ppp1ppp/p1n5/4p3/B3n3/5N2/PPPP1PPP/RNBQ1RK1 w kq -'],
+  ['C80', 'Ruy Lopez, open, Tartakower variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 Qe2', 'r1bqkb1r/1ppp1ppp/p1n5/4p3/B3n3/5N2/PPPPQPPP/RNB2RK1 b kq -'],
+  ['C80', 'Ruy Lopez, open, Knorre variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 Nc3', 'r1bqkb1r/1ppp1ppp/p1n5/4p3/B3n3/2N2N2/PPPP1PPP/R1BQ1RK1 b kq -'],
+  ['C80', 'Ruy Lopez, open, 6.d4', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4', 'r1bqkb1r/1ppp1ppp/p1n5/4p3/B2Pn3/5N2/PPP2PPP/RNBQ1RK1 b kq -'],
+  ['C80', 'Ruy Lopez, open, Riga variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 exd4', 'r1bqkb1r/1ppp1ppp/p1n5/8/B2pn3/5N2/PPP2PPP/RNBQ1RK1 w kq -'],
+  ['C80', 'Ruy Lopez, open, 6.d4 b5', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5', 'r1bqkb1r/2pp1ppp/p1n5/1p2p3/B2Pn3/5N2/PPP2PPP/RNBQ1RK1 w kq -'],
+  ['C80', 'Ruy Lopez, open, Friess attack', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Nxe5', 'r1bqkb1r/2pp1ppp/p1n5/1p2N3/B2Pn3/8/PPP2PPP/RNBQ1RK1 b kq -'],
+  ['C80', 'Ruy Lopez, open, Richter variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 d5', 'r1bqkb1r/2pp1ppp/p1n5/1p1Pp3/B3n3/5N2/PPP2PPP/RNBQ1RK1 b kq -'],
+  ['C80', 'Ruy Lopez, open, 7.Bb3', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3', 'r1bqkb1r/2pp1ppp/p1n5/1p2p3/3Pn3/1B3N2/PPP2PPP/RNBQ1RK1 b kq -'],
+  ['C80', 'Ruy Lopez, open, Schlechter defence', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 a4 Nxd4', 'r1bqkb1r/2p2ppp/p7/1p1pp3/P2nn3/1B3N2/1PP2PPP/RNBQ1RK1 w kq -'],
+  ['C80', 'Ruy Lopez, open, Berger variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 a4 Nxd4 Nxd4 exd4 Nc3', 'r1bqkb1r/2p2ppp/p7/1p1p4/P2pn3/1BN5/1PP2PPP/R1BQ1RK1 b kq -'],
+  ['C80', 'Ruy Lopez, open, Harksen gambit', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 c4', 'r1bqkb1r/2p2ppp/p1n5/1p1pp3/2PPn3/1B3N2/PP3PPP/RNBQ1RK1 b kq -'],
+  ['C80', 'Ruy Lopez, open, 8.de', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5', 'r1bqkb1r/2p2ppp/p1n5/1p1pP3/4n3/1B3N2/PPP2PPP/RNBQ1RK1 b kq -'],
+  ['C80', 'Ruy Lopez, open, Zukertort variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Ne7', 'r1bqkb1r/2p1nppp/p7/1p1pP3/4n3/1B3N2/PPP2PPP/RNBQ1RK1 w kq -'],
+  ['C80', 'Ruy Lopez, open, 8...Be6', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6', 'r2qkb1r/2p2ppp/p1n1b3/1p1pP3/4n3/1B3N2/PPP2PPP/RNBQ1RK1 w kq -'],
+  ['C80', 'Ruy Lopez, open, Bernstein variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 Nbd2', 'r2qkb1r/2p2ppp/p1n1b3/1p1pP3/4n3/1B3N2/PPPN1PPP/R1BQ1RK1 b kq -'],
+  ['C80', 'Ruy Lopez, open, Bernstein variation, Karpov gambit', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 Nbd2 Nc5 c3 d4 Ng5', 'r2qkb1r/2p2ppp/p1n1b3/1pn1P1N1/3p4/1BP5/PP1N1PPP/R1BQ1RK1 b kq -'],
+  ['C81', 'Ruy Lopez, open, Howell attack', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 Qe2', 'r2qkb1r/2p2ppp/p1n1b3/1p1pP3/4n3/1B3N2/PPP1QPPP/RNB2RK1 b kq -'],
+  ['C81', 'Ruy Lopez, open, Howell attack, Ekstroem variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 Qe2 Be7 Rd1 O-O c4 bxc4 Bxc4 Qd7', 'r4rk1/2pqbppp/p1n1b3/3pP3/2B1n3/5N2/PP2QPPP/RNBR2K1 w - -'],
+  ['C81', 'Ruy Lopez, open, Howell attack, Adam variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 Qe2 Be7 c4', 'r2qk2r/2p1bppp/p1n1b3/1p1pP3/2P1n3/1B3N2/PP2QPPP/RNB2RK1 b kq -'],
+  ['C82', 'Ruy Lopez, open, 9.c3', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 c3', 'r2qkb1r/2p2ppp/p1n1b3/1p1pP3/4n3/1BP2N2/PP3PPP/RNBQ1RK1 b kq -'],
+  ['C82', 'Ruy Lopez, open, Berlin variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 c3 Nc5', 'r2qkb1r/2p2ppp/p1n1b3/1pnpP3/8/1BP2N2/PP3PPP/RNBQ1RK1 w kq -'],
+  ['C82', 'Ruy Lopez, open, Italian variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 c3 Bc5', 'r2qk2r/2p2ppp/p1n1b3/1pbpP3/4n3/1BP2N2/PP3PPP/RNBQ1RK1 w kq -'],
+  ['C82', 'Ruy Lopez, open, St. Petersburg variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 c3 Bc5 Nbd2', 'r2qk2r/2p2ppp/p1n1b3/1pbpP3/4n3/1BP2N2/PP1N1PPP/R1BQ1RK1 b kq -'],
+  ['C82', 'Ruy Lopez, open, Dilworth variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 c3 Bc5 Nbd2 O-O Bc2 Nxf2', 'r2q1rk1/2p2ppp/p1n1b3/1pbpP3/8/2P2N2/PPBN1nPP/R1BQ1RK1 w - -'],
+  ['C82', 'Ruy Lopez, open, Motzko attack', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 c3 Bc5 Qd3', 'r2qk2r/2p2ppp/p1n1b3/1pbpP3/4n3/1BPQ1N2/PP3PPP/RNB2RK1 b kq -'],
+  ['C82', 'Ruy Lopez, open, Motzko attack, Nenarokov variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 c3 Bc5 Qd3 Ne7', 'r2qk2r/2p1nppp/p3b3/1pbpP3/4n3/1BPQ1N2/PP3PPP/RNB2RK1 w kq -'],
+  ['C83', 'Ruy Lopez, open, classical defence', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 c3 Be7', 'r2qk2r/2p1bppp/p1n1b3/1p1pP3/4n3/1BP2N2/PP3PPP/RNBQ1RK1 w kq -'],
+  ['C83', 'Ruy Lopez, open, Malkin variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 c3 Be7 Nbd2 O-O Qe2', 'r2q1rk1/2p1bppp/p1n1b3/1p1pP3/4n3/1BP2N2/PP1NQPPP/R1B2RK1 b - -'],
+  ['C83', 'Ruy Lopez, open, 9...Be7, 10.Re1', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 c3 Be7 Re1', 'r2qk2r/2p1bppp/p1n1b3/1p1pP3/4n3/1BP2N2/PP3PPP/RNBQR1K1 b kq -'],
+  ['C83', 'Ruy Lopez, open, Tarrasch trap', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 c3 Be7 Re1 O-O Nd4 Qd7 Nxe6 fxe6 Rxe4', 'r4rk1/2pqb1pp/p1n1p3/1p1pP3/4R3/1BP5/PP3PPP/RNBQ2K1 b - -'],
+  ['C83', 'Ruy Lopez, open, Breslau variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4 b5 Bb3 d5 dxe5 Be6 c3 Be7 Re1 O-O Nd4 Nxe5', 'r2q1rk1/2p1bppp/p3b3/1p1pn3/3Nn3/1BP5/PP3PPP/RNBQR1K1 w - -'],
+  ['C84', 'Ruy Lopez, closed defence', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7', 'r1bqk2r/1pppbppp/p1n2n2/4p3/B3P3/5N2/PPPP1PPP/RNBQ1RK1 w kq -'],
+  ['C84', 'Ruy Lopez, closed, centre attack', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 d4', 'r1bqk2r/1pppbppp/p1n2n2/4p3/B2PP3/5N2/PPP2PPP/RNBQ1RK1 b kq -'],
+  ['C84', 'Ruy Lopez, closed, Basque gambit (North Spanish variation)', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 d4 exd4 e5 Ne4 c3', 'r1bqk2r/1pppbppp/p1n5/4P3/B2pn3/2P2N2/PP3PPP/RNBQ1RK1 b kq -'],
+  ['C85', 'Ruy Lopez, Exchange variation doubly deferred (DERLD)', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Bxc6', 'r1bqk2r/1pppbppp/p1B2n2/4p3/4P3/5N2/PPPP1PPP/RNBQ1RK1 b kq -'],
+  ['C86', 'Ruy Lopez, Worrall attack', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Qe2', 'r1bqk2r/1pppbppp/p1n2n2/4p3/B3P3/5N2/PPPPQPPP/RNB2RK1 b kq -'],
+  ['C86', 'Ruy Lopez, Worrall attack, sharp line', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Qe2 b5 Bb3 O-O', 'r1bq1rk1/2ppbppp/p1n2n2/1p2p3/4P3/1B3N2/PPPPQPPP/RNB2RK1 w - -'],
+  ['C86', 'Ruy Lopez, Worrall attack, solid line', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Qe2 b5 Bb3 d6', 'r1bqk2r/2p1bppp/p1np1n2/1p2p3/4P3/1B3N2/PPPPQPPP/RNB2RK1 w kq -'],
+  ['C87', 'Ruy Lopez, closed, Averbach variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 d6', 'r1bqk2r/1pp1bppp/p1np1n2/4p3/B3P3/5N2/PPPP1PPP/RNBQR1K1 w kq -'],
+  ['C88', 'Ruy Lopez, closed', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3', 'r1bqk2r/2ppbppp/p1n2n2/1p2p3/4P3/1B3N2/PPPP1PPP/RNBQR1K1 b kq -'],
+  ['C88', 'Ruy Lopez, closed, Leonhardt variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 d6 c3 Na5 Bc2 c5 d4 Qc7 h3 Nc6 d5 Nb8 Nbd2 g5', 'rnb1k2r/2q1bp1p/p2p1n2/1ppPp1p1/4P3/2P2N1P/PPBN1PP1/R1BQR1K1 w kq -'],
+  ['C88', 'Ruy Lopez, closed, Balla variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 d6 c3 Na5 Bc2 c5 d4 Qc7 a4', 'r1b1k2r/2q1bppp/p2p1n2/npp1p3/P2PP3/2P2N2/1PB2PPP/RNBQR1K1 b kq -'],
+  ['C88', 'Ruy Lopez, closed, 7...d6, 8.d4', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 d6 d4', 'r1bqk2r/2p1bppp/p1np1n2/1p2p3/3PP3/1B3N2/PPP2PPP/RNBQR1K1 b kq -'],
+  ['C88', "Ruy Lopez, Noah's ark trap", 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 d6 d4 Nxd4 Nxd4 exd4 Qxd4 c5', 'r1bqk2r/4bppp/p2p1n2/1pp5/3QP3/1B6/PPP2PPP/RNB1R1K1 w kq -'],
+  ['C88', 'Ruy Lopez, Trajkovic counter-attack', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 Bb7', 'r2qk2r/1bppbppp/p1n2n2/1p2p3/4P3/1B3N2/PPPP1PPP/RNBQR1K1 w kq -'],
+  ['C88', 'Ruy Lopez, closed, 7...O-O', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O', 'r1bq1rk1/2ppbppp/p1n2n2/1p2p3/4P3/1B3N2/PPPP1PPP/RNBQR1K1 w - -'],
+  ['C88', 'Ruy Lopez, closed, anti-Marshall 8.a4', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O a4', 'r1bq1rk1/2ppbppp/p1n2n2/1p2p3/P3P3/1B3N2/1PPP1PPP/RNBQR1K1 b - -'],
+  ['C88', 'Ruy Lopez, closed, 8.c3', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3', 'r1bq1rk1/2ppbppp/p1n2n2/1p2p3/4P3/1BP2N2/PP1P1PPP/RNBQR1K1 b - -'],
+  ['C89', 'Ruy Lopez, Marshall counter-attack', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d5', 'r1bq1rk1/2p1bppp/p1n2n2/1p1pp3/4P3/1BP2N2/PP1P1PPP/RNBQR1K1 w - -'],
+  ['C89', 'Ruy Lopez, Marshall counter-attack, 11...c6', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d5 exd5 Nxd5 Nxe5 Nxe5 Rxe5 c6', 'r1bq1rk1/4bppp/p1p5/1p1nR3/8/1BP5/PP1P1PPP/RNBQ2K1 w - -'],
+  ['C89', 'Ruy Lopez, Marshall, Kevitz variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d5 exd5 Nxd5 Nxe5 Nxe5 Rxe5 c6 Bxd5 cxd5 d4 Bd6 Re3', 'r1bq1rk1/5ppp/p2b4/1p1p4/3P4/2P1R3/PP3PPP/RNBQ2K1 b - -'],
+  ['C89', 'Ruy Lopez, Marshall, main line, 12.d2d4', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d5 exd5 Nxd5 Nxe5 Nxe5 Rxe5 c6 d4', 'r1bq1rk1/4bppp/p1p5/1p1nR3/3P4/1BP5/PP3PPP/RNBQ2K1 b - -'],
+  ['C89', 'Ruy Lopez, Marshall, main line, 14...Qh3', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d5 exd5 Nxd5 Nxe5 Nxe5 Rxe5 c6 d4 Bd6 Re1 Qh4 g3 Qh3', 'r1b2rk1/5ppp/p1pb4/1p1n4/3P4/1BP3Pq/PP3P1P/RNBQR1K1 w - -'],
+  ['C89', 'Ruy Lopez, Marshall, main line, Spassky variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d5 exd5 Nxd5 Nxe5 Nxe5 Rxe5 c6 d4 Bd6 Re1 Qh4 g3 Qh3 Be3 Bg4 Qd3 Rae8 Nd2 Re6 a4 Qh5', '5rk1/5ppp/p1pbr3/1p1n3q/P2P2b1/1BPQB1P1/1P1N1P1P/R3R1K1 w - -'],
+  ['C89', 'Ruy Lopez, Marshall, Herman Steiner variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d5 exd5 e4', 'r1bq1rk1/2p1bppp/p1n2n2/1p1P4/4p3/1BP2N2/PP1P1PPP/RNBQR1K1 w - -'],
+  ['C90', 'Ruy Lopez, closed (with ...d6)', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6', 'r1bq1rk1/2p1bppp/p1np1n2/1p2p3/4P3/1BP2N2/PP1P1PPP/RNBQR1K1 w - -'],
+  ['C90', 'Ruy Lopez, closed, Pilnik variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 d3', 'r1bq1rk1/2p1bppp/p1np1n2/1p2p3/4P3/1BPP1N2/PP3PPP/RNBQR1K1 b - -'],
+  ['C90', 'Ruy Lopez, closed, Lutikov variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 Bc2', 'r1bq1rk1/2p1bppp/p1np1n2/1p2p3/4P3/2P2N2/PPBP1PPP/RNBQR1K1 b - -'],
+  ['C90', 'Ruy Lopez, closed, Suetin variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 a3', 'r1bq1rk1/2p1bppp/p1np1n2/1p2p3/4P3/PBP2N2/1P1P1PPP/RNBQR1K1 b - -'],
+  ['C91', 'Ruy Lopez, closed, 9.d4', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 d4', 'r1bq1rk1/2p1bppp/p1np1n2/1p2p3/3PP3/1BP2N2/PP3PPP/RNBQR1K1 b - -'],
+  ['C91', 'Ruy Lopez, closed, Bogolyubov variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 d4 Bg4', 'r2q1rk1/2p1bppp/p1np1n2/1p2p3/3PP1b1/1BP2N2/PP3PPP/RNBQR1K1 w - -'],
+  ['C92', 'Ruy Lopez, closed, 9.h3', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3', 'r1bq1rk1/2p1bppp/p1np1n2/1p2p3/4P3/1BP2N1P/PP1P1PP1/RNBQR1K1 b - -'],
+  ['C92', 'Ruy Lopez, closed, Keres (9...a5) variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 a5', 'r1bq1rk1/2p1bppp/2np1n2/pp2p3/4P3/1BP2N1P/PP1P1PP1/RNBQR1K1 w - -'],
+  ['C92', 'Ruy Lopez, closed, Kholmov variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Be6', 'r2q1rk1/2p1bppp/p1npbn2/1p2p3/4P3/1BP2N1P/PP1P1PP1/RNBQR1K1 w - -'],
+  ['C92', "Ruy Lopez, closed, Ragozin-Petrosian (`Keres') variation", 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Nd7', 'r1bq1rk1/2pnbppp/p1np4/1p2p3/4P3/1BP2N1P/PP1P1PP1/RNBQR1K1 w - -'],
+  ['C92', 'Ruy Lopez, closed, Flohr-Zaitsev system (Lenzerheide variation)', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Bb7', 'r2q1rk1/1bp1bppp/p1np1n2/1p2p3/4P3/1BP2N1P/PP1P1PP1/RNBQR1K1 w - -'],
+  ['C93', 'Ruy Lopez, closed, Smyslov defence', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 h6', 'r1bq1rk1/2p1bpp1/p1np1n1p/1p2p3/4P3/1BP2N1P/PP1P1PP1/RNBQR1K1 w - -'],
+  ['C94', 'Ruy Lopez, closed, Breyer defence', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Nb8', 'rnbq1rk1/2p1bppp/p2p1n2/1p2p3/4P3/1BP2N1P/PP1P1PP1/RNBQR1K1 w - -'],
+  ['C95', 'Ruy Lopez, closed, Breyer, 10.d4', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Nb8 d4', 'rnbq1rk1/2p1bppp/p2p1n2/1p2p3/3PP3/1BP2N1P/PP3PP1/RNBQR1K1 b - -'],
+  ['C95', 'Ruy Lopez, closed, Breyer, Borisenko variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Nb8 d4 Nbd7', 'r1bq1rk1/2pnbppp/p2p1n2/1p2p3/3PP3/1BP2N1P/PP3PP1/RNBQR1K1 w - -'],
+  ['C95', 'Ruy Lopez, closed, Breyer, Gligoric variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Nb8 d4 Nbd7 Nbd2 Bb7 Bc2 c5', 'r2q1rk1/1b1nbppp/p2p1n2/1pp1p3/3PP3/2P2N1P/PPBN1PP1/R1BQR1K1 w - -'],
+  ['C95', 'Ruy Lopez, closed, Breyer, Simagin variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Nb8 d4 Nbd7 Nh4', 'r1bq1rk1/2pnbppp/p2p1n2/1p2p3/3PP2N/1BP4P/PP3PP1/RNBQR1K1 b - -'],
+  ['C96', 'Ruy Lopez, closed (8...Na5)', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Na5 Bc2', 'r1bq1rk1/2p1bppp/p2p1n2/np2p3/4P3/2P2N1P/PPBP1PP1/RNBQR1K1 b - -'],
+  ['C96', 'Ruy Lopez, closed, Rossolimo defence', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Na5 Bc2 c6 d4 Qc7', 'r1b2rk1/2q1bppp/p1pp1n2/np2p3/3PP3/2P2N1P/PPB2PP1/RNBQR1K1 w - -'],
+  ['C96', 'Ruy Lopez, closed (10...c5)', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Na5 Bc2 c5', 'r1bq1rk1/4bppp/p2p1n2/npp1p3/4P3/2P2N1P/PPBP1PP1/RNBQR1K1 w - -'],
+  ['C96', 'Ruy Lopez, closed, Borisenko defence', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Na5 Bc2 c5 d4 Nc6', 'r1bq1rk1/4bppp/p1np1n2/1pp1p3/3PP3/2P2N1P/PPB2PP1/RNBQR1K1 w - -'],
+  ['C96', 'Ruy Lopez, closed, Keres (...Nd7) defence', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Na5 Bc2 c5 d4 Nd7', 'r1bq1rk1/3nbppp/p2p4/npp1p3/3PP3/2P2N1P/PPB2PP1/RNBQR1K1 w - -'],
+  ['C97', 'Ruy Lopez, closed, Chigorin defence', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Na5 Bc2 c5 d4 Qc7', 'r1b2rk1/2q1bppp/p2p1n2/npp1p3/3PP3/2P2N1P/PPB2PP1/RNBQR1K1 w - -'],
+  ['C97', 'Ruy Lopez, closed, Chigorin, Yugoslav system', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Na5 Bc2 c5 d4 Qc7 Nbd2 Bd7 Nf1 Rfe8 Ne3 g6', 'r3r1k1/2qbbp1p/p2p1np1/npp1p3/3PP3/2P1NN1P/PPB2PP1/R1BQR1K1 w - -'],
+  ['C98', 'Ruy Lopez, closed, Chigorin, 12...Nc6', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Na5 Bc2 c5 d4 Qc7 Nbd2 Nc6', 'r1b2rk1/2q1bppp/p1np1n2/1pp1p3/3PP3/2P2N1P/PPBN1PP1/R1BQR1K1 w - -'],
+  ['C98', 'Ruy Lopez, closed, Chigorin, Rauzer attack', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Na5 Bc2 c5 d4 Qc7 Nbd2 Nc6 dxc5', 'r1b2rk1/2q1bppp/p1np1n2/1pP1p3/4P3/2P2N1P/PPBN1PP1/R1BQR1K1 b - -'],
+  ['C99', 'Ruy Lopez, closed, Chigorin, 12...c5d4', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d6 h3 Na5 Bc2 c5 d4 Qc7 Nbd2 cxd4 cxd4', 'r1b2rk1/2q1bppp/p2p1n2/np2p3/3PP3/5N1P/PPBN1PP1/R1BQR1K1 b - -'],
+  ['D00', "Queen's pawn game", 'd4 d5', 'rnbqkbnr/ppp1pppp/8/3p4/3P4/8/PPP1PPPP/RNBQKBNR w KQkq -'],
+  ['D00', "Queen's pawn, Mason variation", 'd4 d5 Bf4', 'rnbqkbnr/ppp1pppp/8/3p4/3P1B2/8/PPP1PPPP/RN1QKBNR b KQkq -'],
+  ['D00', "Queen's pawn, Mason variation, Steinitz counter-gambit", 'd4 d5 Bf4 c5', 'rnbqkbnr/pp2pppp/8/2pp4/3P1B2/8/PPP1PPPP/RN1QKBNR w KQkq -'],
+  ['D00', "Levitsky attack (Queen's bishop attack)", 'd4 d5 Bg5', 'rnbqkbnr/ppp1pppp/8/3p2B1/3P4/8/PPP1PPPP/RN1QKBNR b KQkq -'],
+  ['D00', 'Blackmar gambit', 'd4 d5 e4', 'rnbqkbnr/ppp1pppp/8/3p4/3PP3/8/PPP2PPP/RNBQKBNR b KQkq -'],
+  ['D00', "Queen's pawn, stonewall attack", 'd4 d5 e3 Nf6 Bd3', 'rnbqkb1r/ppp1pppp/5n2/3p4/3P4/3BP3/PPP2PPP/RNBQK1NR b KQkq -'],
+  ['D00', "Queen's pawn, Chigorin variation", 'd4 d5 Nc3', 'rnbqkbnr/ppp1pppp/8/3p4/3P4/2N5/PPP1PPPP/R1BQKBNR b KQkq -'],
+  ['D00', "Queen's pawn, Anti-Veresov", 'd4 d5 Nc3 Bg4', 'rn1qkbnr/ppp1pppp/8/3p4/3P2b1/2N5/PPP1PPPP/R1BQKBNR w KQkq -'],
+  ['D00', 'Blackmar-Diemer gambit', 'd4 d5 Nc3 Nf6 e4', 'rnbqkb1r/ppp1pppp/5n2/3p4/3PP3/2N5/PPP2PPP/R1BQKBNR b KQkq -'],
+  ['D00', 'Blackmar-Diemer, Euwe defence', 'd4 d5 Nc3 Nf6 e4 dxe4 f3 exf3 Nxf3 e6', 'rnbqkb1r/ppp2ppp/4pn2/8/3P4/2N2N2/PPP3PP/R1BQKB1R w KQkq -'],
+  ['D00', 'Blackmar-Diemer, Lemberg counter-gambit', 'd4 d5 Nc3 Nf6 e4 e5', 'rnbqkb1r/ppp2ppp/5n2/3pp3/3PP3/2N5/PPP2PPP/R1BQKBNR w KQkq -'],
+  ['D01', 'Richter-Veresov attack', 'd4 d5 Nc3 Nf6 Bg5', 'rnbqkb1r/ppp1pppp/5n2/3p2B1/3P4/2N5/PPP1PPPP/R2QKBNR b KQkq -'],
+  ['D01', 'Richter-Veresov attack, Veresov variation', 'd4 d5 Nc3 Nf6 Bg5 Bf5 Bxf6', 'rn1qkb1r/ppp1pppp/5B2/3p1b2/3P4/2N5/PPP1PPPP/R2QKBNR b KQkq -'],
+  ['D01', 'Richter-Veresov attack, Richter variation', 'd4 d5 Nc3 Nf6 Bg5 Bf5 f3', 'rn1qkb1r/ppp1pppp/5n2/3p1bB1/3P4/2N2P2/PPP1P1PP/R2QKBNR b KQkq -'],
+  ['D02', "Queen's pawn game", 'd4 d5 Nf3', 'rnbqkbnr/ppp1pppp/8/3p4/3P4/5N2/PPP1PPPP/RNBQKB1R b KQkq -'],
+  ['D02', "Queen's pawn game, Chigorin variation", 'd4 d5 Nf3 Nc6', 'r1bqkbnr/ppp1pppp/2n5/3p4/3P4/5N2/PPP1PPPP/RNBQKB1R w KQkq -'],
+  ['D02', "Queen's pawn game, Krause variation", 'd4 d5 Nf3 c5', 'rnbqkbnr/pp2pppp/8/2pp4/3P4/5N2/PPP1PPPP/RNBQKB1R w KQkq -'],
+  ['D02', "Queen's pawn game", 'd4 d5 Nf3 Nf6', 'rnbqkb1r/ppp1pppp/5n2/3p4/3P4/5N2/PPP1PPPP/RNBQKB1R w KQkq -'],
+  ['D02', "Queen's bishop game", 'd4 d5 Nf3 Nf6 Bf4', 'rnbqkb1r/ppp1pppp/5n2/3p4/3P1B2/5N2/PPP1PPPP/RN1QKB1R b KQkq -'],
+  ['D03', 'Torre attack (Tartakower variation)', 'd4 d5 Nf3 Nf6 Bg5', 'rnbqkb1r/ppp1pppp/5n2/3p2B1/3P4/5N2/PPP1PPPP/RN1QKB1R b KQkq -'],
+  ['D04', "Queen's pawn game", 'd4 d5 Nf3 Nf6 e3', 'rnbqkb1r/ppp1pppp/5n2/3p4/3P4/4PN2/PPP2PPP/RNBQKB1R b KQkq -'],
+  ['D05', "Queen's pawn game", 'd4 d5 Nf3 Nf6 e3 e6', 'rnbqkb1r/ppp2ppp/4pn2/3p4/3P4/4PN2/PPP2PPP/RNBQKB1R w KQkq -'],
+  ['D05', "Queen's pawn game, Zukertort variation", 'd4 d5 Nf3 Nf6 e3 e6 Nbd2 c5 b3', 'rnbqkb1r/pp3ppp/4pn2/2pp4/3P4/1P2PN2/P1PN1PPP/R1BQKB1R b KQkq -'],
+  ['D05', "Queen's pawn game", 'd4 d5 Nf3 Nf6 e3 e6 Bd3', 'rnbqkb1r/ppp2ppp/4pn2/3p4/3P4/3BPN2/PPP2PPP/RNBQK2R b KQkq -'],
+  ['D05', "Queen's pawn game, Rubinstein (Colle-Zukertort) variation", 'd4 d5 Nf3 Nf6 e3 e6 Bd3 c5 b3', 'rnbqkb1r/pp3ppp/4pn2/2pp4/3P4/1P1BPN2/P1P2PPP/RNBQK2R b KQkq -'],
+  ['D05', 'Colle system', 'd4 d5 Nf3 Nf6 e3 e6 Bd3 c5 c3', 'rnbqkb1r/pp3ppp/4pn2/2pp4/3P4/2PBPN2/PP3PPP/RNBQK2R b KQkq -'],
+  ['D06', "Queen's Gambit", 'd4 d5 c4', 'rnbqkbnr/ppp1pppp/8/3p4/2PP4/8/PP2PPPP/RNBQKBNR b KQkq -'],
+  ['D06', 'QGD, Grau (Sahovic) defence', 'd4 d5 c4 Bf5', 'rn1qkbnr/ppp1pppp/8/3p1b2/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['D06', 'QGD, Marshall defence', 'd4 d5 c4 Nf6', 'rnbqkb1r/ppp1pppp/5n2/3p4/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['D06', 'QGD, symmetrical (Austrian) defence', 'd4 d5 c4 c5', 'rnbqkbnr/pp2pppp/8/2pp4/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['D07', 'QGD, Chigorin defence', 'd4 d5 c4 Nc6', 'r1bqkbnr/ppp1pppp/2n5/3p4/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['D07', 'QGD, Chigorin defence, Janowski variation', 'd4 d5 c4 Nc6 Nc3 dxc4 Nf3', 'r1bqkbnr/ppp1pppp/2n5/8/2pP4/2N2N2/PP2PPPP/R1BQKB1R b KQkq -'],
+  ['D08', 'QGD, Albin counter-gambit', 'd4 d5 c4 e5', 'rnbqkbnr/ppp2ppp/8/3pp3/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['D08', 'QGD, Albin counter-gambit, Lasker trap', 'd4 d5 c4 e5 dxe5 d4 e3 Bb4+ Bd2 dxe3', 'rnbqk1nr/ppp2ppp/8/4P3/1bP5/4p3/PP1B1PPP/RN1QKBNR w KQkq -'],
+  ['D08', 'QGD, Albin counter-gambit', 'd4 d5 c4 e5 dxe5 d4 Nf3', 'rnbqkbnr/ppp2ppp/8/4P3/2Pp4/5N2/PP2PPPP/RNBQKB1R b KQkq -'],
+  ['D08', 'QGD, Albin counter-gambit, Alapin variation', 'd4 d5 c4 e5 dxe5 d4 Nf3 Nc6 Nbd2', 'r1bqkbnr/ppp2ppp/2n5/4P3/2Pp4/5N2/PP1NPPPP/R1BQKB1R b KQkq -'],
+  ['D08', 'QGD, Albin counter-gambit, Krenosz variation', 'd4 d5 c4 e5 dxe5 d4 Nf3 Nc6 Nbd2 Bg4 h3 Bxf3 Nxf3 Bb4+ Bd2 Qe7', 'r3k1nr/ppp1qppp/2n5/4P3/1bPp4/5N1P/PP1BPPP1/R2QKB1R w KQkq -'],
+  ['D08', 'QGD, Albin counter-gambit, Janowski variation', 'd4 d5 c4 e5 dxe5 d4 Nf3 Nc6 Nbd2 f6', 'r1bqkbnr/ppp3pp/2n2p2/4P3/2Pp4/5N2/PP1NPPPP/R1BQKB1R w KQkq -'],
+  ['D08', 'QGD, Albin counter-gambit, Balogh variation', 'd4 d5 c4 e5 dxe5 d4 Nf3 Nc6 Nbd2 Qe7', 'r1b1kbnr/ppp1qppp/2n5/4P3/2Pp4/5N2/PP1NPPPP/R1BQKB1R w KQkq -'],
+  ['D09', 'QGD, Albin counter-gambit, 5.g3', 'd4 d5 c4 e5 dxe5 d4 Nf3 Nc6 g3', 'r1bqkbnr/ppp2ppp/2n5/4P3/2Pp4/5NP1/PP2PP1P/RNBQKB1R b KQkq -'],
+  ['D10', 'QGD Slav defence', 'd4 d5 c4 c6', 'rnbqkbnr/pp2pppp/2p5/3p4/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['D10', 'QGD Slav defence, Alekhine variation', 'd4 d5 c4 c6 Nc3 dxc4 e4', 'rnbqkbnr/pp2pppp/2p5/8/2pPP3/2N5/PP3PPP/R1BQKBNR b KQkq -'],
+  ['D10', 'QGD Slav, Winawer counter-gambit', 'd4 d5 c4 c6 Nc3 e5', 'rnbqkbnr/pp3ppp/2p5/3pp3/2PP4/2N5/PP2PPPP/R1BQKBNR w KQkq -'],
+  ['D10', 'QGD Slav defence, exchange variation', 'd4 d5 c4 c6 cxd5', 'rnbqkbnr/pp2pppp/2p5/3P4/3P4/8/PP2PPPP/RNBQKBNR b KQkq -'],
+  ['D11', 'QGD Slav, 3.Nf3', 'd4 d5 c4 c6 Nf3', 'rnbqkbnr/pp2pppp/2p5/3p4/2PP4/5N2/PP2PPPP/RNBQKB1R b KQkq -'],
+  ['D11', 'QGD Slav, Breyer variation', 'd4 d5 c4 c6 Nf3 Nf6 Nbd2', 'rnbqkb1r/pp2pppp/2p2n2/3p4/2PP4/5N2/PP1NPPPP/R1BQKB1R b KQkq -'],
+  ['D11', 'QGD Slav, 4.e3', 'd4 d5 c4 c6 Nf3 Nf6 e3', 'rnbqkb1r/pp2pppp/2p2n2/3p4/2PP4/4PN2/PP3PPP/RNBQKB1R b KQkq -'],
+  ['D12', 'QGD Slav, 4.e3 Bf5', 'd4 d5 c4 c6 Nf3 Nf6 e3 Bf5', 'rn1qkb1r/pp2pppp/2p2n2/3p1b2/2PP4/4PN2/PP3PPP/RNBQKB1R w KQkq -'],
+  ['D12', 'QGD Slav, Landau variation', 'd4 d5 c4 c6 Nf3 Nf6 e3 Bf5 cxd5 cxd5 Qb3 Qc8 Bd2 e6 Na3', 'rnq1kb1r/pp3ppp/4pn2/3p1b2/3P4/NQ2PN2/PP1B1PPP/R3KB1R b KQkq -'],
+  ['D12', 'QGD Slav, exchange variation', 'd4 d5 c4 c6 Nf3 Nf6 e3 Bf5 cxd5 cxd5 Nc3', 'rn1qkb1r/pp2pppp/5n2/3p1b2/3P4/2N1PN2/PP3PPP/R1BQKB1R b KQkq -'],
+  ['D12', 'QGD Slav, Amsterdam variation', 'd4 d5 c4 c6 Nf3 Nf6 e3 Bf5 cxd5 cxd5 Nc3 e6 Ne5 Nfd7', 'rn1qkb1r/pp1n1ppp/4p3/3pNb2/3P4/2N1P3/PP3PPP/R1BQKB1R w KQkq -'],
+  ['D13', 'QGD Slav, exchange variation', 'd4 d5 c4 c6 Nf3 Nf6 cxd5 cxd5', 'rnbqkb1r/pp2pppp/5n2/3p4/3P4/5N2/PP2PPPP/RNBQKB1R w KQkq -'],
+  ['D14', 'QGD Slav, exchange variation, 6.Bf4 Bf5', 'd4 d5 c4 c6 Nf3 Nf6 cxd5 cxd5 Nc3 Nc6 Bf4 Bf5', 'r2qkb1r/pp2pppp/2n2n2/3p1b2/3P1B2/2N2N2/PP2PPPP/R2QKB1R w KQkq -'],
+  ['D14', 'QGD Slav, exchange, Trifunovic variation', 'd4 d5 c4 c6 Nf3 Nf6 cxd5 cxd5 Nc3 Nc6 Bf4 Bf5 e3 e6 Qb3 Bb4', 'r2qk2r/pp3ppp/2n1pn2/3p1b2/1b1P1B2/1QN1PN2/PP3PPP/R3KB1R w KQkq -'],
+  ['D15', 'QGD Slav, 4.Nc3', 'd4 d5 c4 c6 Nf3 Nf6 Nc3', 'rnbqkb1r/pp2pppp/2p2n2/3p4/2PP4/2N2N2/PP2PPPP/R1BQKB1R b KQkq -'],
+  ['D15', 'QGD Slav, Suechting variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 Qb6', 'rnb1kb1r/pp2pppp/1qp2n2/3p4/2PP4/2N2N2/PP2PPPP/R1BQKB1R w KQkq -'],
+  ['D15', 'QGD Slav, Schlechter variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 g6', 'rnbqkb1r/pp2pp1p/2p2np1/3p4/2PP4/2N2N2/PP2PPPP/R1BQKB1R w KQkq -'],
+  ['D15', 'QGD Slav accepted', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4', 'rnbqkb1r/pp2pppp/2p2n2/8/2pP4/2N2N2/PP2PPPP/R1BQKB1R w KQkq -'],
+  ['D15', 'QGD Slav, 5.e3 (Alekhine variation)', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 e3', 'rnbqkb1r/pp2pppp/2p2n2/8/2pP4/2N1PN2/PP3PPP/R1BQKB1R b KQkq -'],
+  ['D15', 'QGD Slav, Slav gambit', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 e4', 'rnbqkb1r/pp2pppp/2p2n2/8/2pPP3/2N2N2/PP3PPP/R1BQKB1R b KQkq -'],
+  ['D15', 'QGD Slav, Tolush-Geller gambit', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 e4 b5 e5', 'rnbqkb1r/p3pppp/2p2n2/1p2P3/2pP4/2N2N2/PP3PPP/R1BQKB1R b KQkq -'],
+  ['D16', 'QGD Slav accepted, Alapin variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4', 'rnbqkb1r/pp2pppp/2p2n2/8/P1pP4/2N2N2/1P2PPPP/R1BQKB1R b KQkq -'],
+  ['D16', 'QGD Slav, Smyslov variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Na6 e4 Bg4', 'r2qkb1r/pp2pppp/n1p2n2/8/P1pPP1b1/2N2N2/1P3PPP/R1BQKB1R w KQkq -'],
+  ['D16', 'QGD Slav, Soultanbeieff variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 e6', 'rnbqkb1r/pp3ppp/2p1pn2/8/P1pP4/2N2N2/1P2PPPP/R1BQKB1R w KQkq -'],
+  ['D16', 'QGD Slav, Steiner variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Bg4', 'rn1qkb1r/pp2pppp/2p2n2/8/P1pP2b1/2N2N2/1P2PPPP/R1BQKB1R w KQkq -'],
+  ['D17', 'QGD Slav, Czech defence', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Bf5', 'rn1qkb1r/pp2pppp/2p2n2/5b2/P1pP4/2N2N2/1P2PPPP/R1BQKB1R w KQkq -'],
+  ['D17', 'QGD Slav, Krause attack', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Bf5 Ne5', 'rn1qkb1r/pp2pppp/2p2n2/4Nb2/P1pP4/2N5/1P2PPPP/R1BQKB1R b KQkq -'],
+  ['D17', 'QGD Slav, Carlsbad variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Bf5 Ne5 Nbd7 Nxc4 Qc7 g3 e5', 'r3kb1r/ppqn1ppp/2p2n2/4pb2/P1NP4/2N3P1/1P2PP1P/R1BQKB1R w KQkq -'],
+  ['D17', 'QGD Slav, Wiesbaden variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Bf5 Ne5 e6', 'rn1qkb1r/pp3ppp/2p1pn2/4Nb2/P1pP4/2N5/1P2PPPP/R1BQKB1R w KQkq -'],
+  ['D18', 'QGD Slav, Dutch variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Bf5 e3', 'rn1qkb1r/pp2pppp/2p2n2/5b2/P1pP4/2N1PN2/1P3PPP/R1BQKB1R b KQkq -'],
+  ['D18', 'QGD Slav, Dutch, Lasker variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Bf5 e3 Na6', 'r2qkb1r/pp2pppp/n1p2n2/5b2/P1pP4/2N1PN2/1P3PPP/R1BQKB1R w KQkq -'],
+  ['D19', 'QGD Slav, Dutch variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Bf5 e3 e6 Bxc4 Bb4 O-O', 'rn1qk2r/pp3ppp/2p1pn2/5b2/PbBP4/2N1PN2/1P3PPP/R1BQ1RK1 b kq -'],
+  ['D19', 'QGD Slav, Dutch variation, main line', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Bf5 e3 e6 Bxc4 Bb4 O-O O-O Qe2', 'rn1q1rk1/pp3ppp/2p1pn2/5b2/PbBP4/2N1PN2/1P2QPPP/R1B2RK1 b - -'],
+  ['D19', 'QGD Slav, Dutch, Saemisch variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Bf5 e3 e6 Bxc4 Bb4 O-O O-O Qe2 Ne4 g4', 'rn1q1rk1/pp3ppp/2p1p3/5b2/PbBPn1P1/2N1PN2/1P2QP1P/R1B2RK1 b - -'],
+  ['D20', "Queen's gambit accepted", 'd4 d5 c4 dxc4', 'rnbqkbnr/ppp1pppp/8/8/2pP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['D20', 'QGA, 3.e4', 'd4 d5 c4 dxc4 e4', 'rnbqkbnr/ppp1pppp/8/8/2pPP3/8/PP3PPP/RNBQKBNR b KQkq -'],
+  ['D20', 'QGA, Linares variation', 'd4 d5 c4 dxc4 e4 c5 d5 Nf6 Nc3 b5', 'rnbqkb1r/p3pppp/5n2/1ppP4/2p1P3/2N5/PP3PPP/R1BQKBNR w KQkq -'],
+  ['D20', 'QGA, Schwartz defence', 'd4 d5 c4 dxc4 e4 f5', 'rnbqkbnr/ppp1p1pp/8/5p2/2pPP3/8/PP3PPP/RNBQKBNR w KQkq -'],
+  ['D21', 'QGA, 3.Nf3', 'd4 d5 c4 dxc4 Nf3', 'rnbqkbnr/ppp1pppp/8/8/2pP4/5N2/PP2PPPP/RNBQKB1R b KQkq -'],
+  ['D21', 'QGA, Ericson variation', 'd4 d5 c4 dxc4 Nf3 b5', 'rnbqkbnr/p1p1pppp/8/1p6/2pP4/5N2/PP2PPPP/RNBQKB1R w KQkq -'],
+  ['D21', 'QGA, Alekhine defense, Borisenko-Furman variation', 'd4 d5 c4 dxc4 Nf3 a6 e4', 'rnbqkbnr/1pp1pppp/p7/8/2pPP3/5N2/PP3PPP/RNBQKB1R b KQkq -'],
+  ['D22', 'QGA, Alekhine defence', 'd4 d5 c4 dxc4 Nf3 a6', 'rnbqkbnr/1pp1pppp/p7/8/2pP4/5N2/PP2PPPP/RNBQKB1R w KQkq -'],
+  ['D22', 'QGA, Alekhine defence, Alatortsev variation', 'd4 d5 c4 dxc4 Nf3 a6 e3 Bg4 Bxc4 e6 d5', 'rn1qkbnr/1pp2ppp/p3p3/3P4/2B3b1/4PN2/PP3PPP/RNBQK2R b KQkq -'],
+  ['D22', 'QGA, Haberditz variation', 'd4 d5 c4 dxc4 Nf3 a6 e3 b5', 'rnbqkbnr/2p1pppp/p7/1p6/2pP4/4PN2/PP3PPP/RNBQKB1R w KQkq -'],
+  ['D23', "Queen's gambit accepted", 'd4 d5 c4 dxc4 Nf3 Nf6', 'rnbqkb1r/ppp1pppp/5n2/8/2pP4/5N2/PP2PPPP/RNBQKB1R w KQkq -'],
+  ['D23', 'QGA, Mannheim variation', 'd4 d5 c4 dxc4 Nf3 Nf6 Qa4+', 'rnbqkb1r/ppp1pppp/5n2/8/Q1pP4/5N2/PP2PPPP/RNB1KB1R b KQkq -'],
+  ['D24', 'QGA, 4.Nc3', 'd4 d5 c4 dxc4 Nf3 Nf6 Nc3', 'rnbqkb1r/ppp1pppp/5n2/8/2pP4/2N2N2/PP2PPPP/R1BQKB1R b KQkq -'],
+  ['D24', 'QGA, Bogolyubov variation', 'd4 d5 c4 dxc4 Nf3 Nf6 Nc3 a6 e4', 'rnbqkb1r/1pp1pppp/p4n2/8/2pPP3/2N2N2/PP3PPP/R1BQKB1R b KQkq -'],
+  ['D25', 'QGA, 4.e3', 'd4 d5 c4 dxc4 Nf3 Nf6 e3', 'rnbqkb1r/ppp1pppp/5n2/8/2pP4/4PN2/PP3PPP/RNBQKB1R b KQkq -'],
+  ['D25', 'QGA, Smyslov variation', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 g6', 'rnbqkb1r/ppp1pp1p/5np1/8/2pP4/4PN2/PP3PPP/RNBQKB1R w KQkq -'],
+  ['D25', 'QGA, Janowsky-Larsen variation', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 Bg4', 'rn1qkb1r/ppp1pppp/5n2/8/2pP2b1/4PN2/PP3PPP/RNBQKB1R w KQkq -'],
+  ['D25', 'QGA, Flohr variation', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 Be6', 'rn1qkb1r/ppp1pppp/4bn2/8/2pP4/4PN2/PP3PPP/RNBQKB1R w KQkq -'],
+  ['D26', 'QGA, 4...e6', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6', 'rnbqkb1r/ppp2ppp/4pn2/8/2pP4/4PN2/PP3PPP/RNBQKB1R w KQkq -'],
+  ['D26', 'QGA, classical variation', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5', 'rnbqkb1r/pp3ppp/4pn2/2p5/2BP4/4PN2/PP3PPP/RNBQK2R w KQkq -'],
+  ['D26', 'QGA, classical, Furman variation', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5 Qe2 a6 dxc5 Bxc5 O-O Nc6 e4 b5 e5', 'r1bqk2r/5ppp/p1n1pn2/1pb1P3/2B5/5N2/PP2QPPP/RNB2RK1 b kq -'],
+  ['D26', 'QGA, classical variation, 6.O-O', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5 O-O', 'rnbqkb1r/pp3ppp/4pn2/2p5/2BP4/4PN2/PP3PPP/RNBQ1RK1 b kq -'],
+  ['D26', 'QGA, classical, Steinitz variation', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5 O-O cxd4', 'rnbqkb1r/pp3ppp/4pn2/8/2Bp4/4PN2/PP3PPP/RNBQ1RK1 w kq -'],
+  ['D27', 'QGA, classical, 6...a6', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5 O-O a6', 'rnbqkb1r/1p3ppp/p3pn2/2p5/2BP4/4PN2/PP3PPP/RNBQ1RK1 w kq -'],
+  ['D27', 'QGA, classical, Rubinstein variation', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5 O-O a6 a4', 'rnbqkb1r/1p3ppp/p3pn2/2p5/P1BP4/4PN2/1P3PPP/RNBQ1RK1 b kq -'],
+  ['D27', 'QGA, classical, Geller variation', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5 O-O a6 e4', 'rnbqkb1r/1p3ppp/p3pn2/2p5/2BPP3/5N2/PP3PPP/RNBQ1RK1 b kq -'],
+  ['D28', 'QGA, classical, 7.Qe2', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5 O-O a6 Qe2', 'rnbqkb1r/1p3ppp/p3pn2/2p5/2BP4/4PN2/PP2QPPP/RNB2RK1 b kq -'],
+  ['D28', 'QGA, classical, 7...b5', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5 O-O a6 Qe2 b5', 'rnbqkb1r/5ppp/p3pn2/1pp5/2BP4/4PN2/PP2QPPP/RNB2RK1 w kq -'],
+  ['D28', 'QGA, classical, Flohr variation', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5 O-O a6 Qe2 b5 Bb3 Nc6 Rd1 c4 Bc2 Nb4 Nc3 Nxc2 Qxc2 Bb7 d5 Qc7', 'r3kb1r/1bq2ppp/p3pn2/1p1P4/2p5/2N1PN2/PPQ2PPP/R1BR2K1 w kq -'],
+  ['D29', 'QGA, classical, 8...Bb7', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5 O-O a6 Qe2 b5 Bb3 Bb7', 'rn1qkb1r/1b3ppp/p3pn2/1pp5/3P4/1B2PN2/PP2QPPP/RNB2RK1 w kq -'],
+  ['D29', 'QGA, classical, Smyslov variation', 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5 O-O a6 Qe2 b5 Bb3 Bb7 Rd1 Nbd7 Nc3 Bd6', 'r2qk2r/1b1n1ppp/p2bpn2/1pp5/3P4/1BN1PN2/PP2QPPP/R1BR2K1 w kq -'],
+  ['D30', "Queen's gambit declined", 'd4 d5 c4 e6', 'rnbqkbnr/ppp2ppp/4p3/3p4/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['D30', 'QGD Slav', 'd4 d5 c4 e6 Nf3 Nf6 e3 c6 Nbd2', 'rnbqkb1r/pp3ppp/2p1pn2/3p4/2PP4/4PN2/PP1N1PPP/R1BQKB1R b KQkq -'],
+  ['D30', 'QGD, Stonewall variation', 'd4 d5 c4 e6 Nf3 Nf6 e3 c6 Nbd2 Ne4 Bd3 f5', 'rnbqkb1r/pp4pp/2p1p3/3p1p2/2PPn3/3BPN2/PP1N1PPP/R1BQK2R w KQkq -'],
+  ['D30', 'QGD Slav', 'd4 d5 c4 e6 Nf3 Nf6 e3 c6 Nbd2 Nbd7', 'r1bqkb1r/pp1n1ppp/2p1pn2/3p4/2PP4/4PN2/PP1N1PPP/R1BQKB1R w KQkq -'],
+  ['D30', 'QGD Slav, Semmering variation', 'd4 d5 c4 e6 Nf3 Nf6 e3 c6 Nbd2 Nbd7 Bd3 c5', 'r1bqkb1r/pp1n1ppp/4pn2/2pp4/2PP4/3BPN2/PP1N1PPP/R1BQK2R w KQkq -'],
+  ['D30', 'QGD, Spielmann variation', 'd4 d5 c4 e6 Nf3 Nf6 e3 c6 Nbd2 g6', 'rnbqkb1r/pp3p1p/2p1pnp1/3p4/2PP4/4PN2/PP1N1PPP/R1BQKB1R w KQkq -'],
+  ['D30', 'QGD', 'd4 d5 c4 e6 Nf3 Nf6 Bg5', 'rnbqkb1r/ppp2ppp/4pn2/3p2B1/2PP4/5N2/PP2PPPP/RN1QKB1R b KQkq -'],
+  ['D30', 'QGD, Capablanca variation', 'd4 d5 c4 e6 Nf3 Nf6 Bg5 Nbd7 e3 c6 Nbd2', 'r1bqkb1r/pp1n1ppp/2p1pn2/3p2B1/2PP4/4PN2/PP1N1PPP/R2QKB1R b KQkq -'],
+  ['D30', 'QGD, Vienna variation', 'd4 d5 c4 e6 Nf3 Nf6 Bg5 Bb4+', 'rnbqk2r/ppp2ppp/4pn2/3p2B1/1bPP4/5N2/PP2PPPP/RN1QKB1R w KQkq -'],
+  ['D30', 'QGD, Capablanca-Duras variation', 'd4 d5 c4 e6 Nf3 Nf6 Bg5 h6', 'rnbqkb1r/ppp2pp1/4pn1p/3p2B1/2PP4/5N2/PP2PPPP/RN1QKB1R w KQkq -'],
+  ['D30', 'QGD, Hastings variation', 'd4 d5 c4 e6 Nf3 Nf6 Bg5 h6 Bxf6 Qxf6 Nc3 c6 Qb3', 'rnb1kb1r/pp3pp1/2p1pq1p/3p4/2PP4/1QN2N2/PP2PPPP/R3KB1R b KQkq -'],
+  ['D31', 'QGD, 3.Nc3', 'd4 d5 c4 e6 Nc3', 'rnbqkbnr/ppp2ppp/4p3/3p4/2PP4/2N5/PP2PPPP/R1BQKBNR b KQkq -'],
+  ['D31', 'QGD, Janowski variation', 'd4 d5 c4 e6 Nc3 a6', 'rnbqkbnr/1pp2ppp/p3p3/3p4/2PP4/2N5/PP2PPPP/R1BQKBNR w KQkq -'],
+  ['D31', 'QGD, Alapin variation', 'd4 d5 c4 e6 Nc3 b6', 'rnbqkbnr/p1p2ppp/1p2p3/3p4/2PP4/2N5/PP2PPPP/R1BQKBNR w KQkq -'],
+  ['D31', 'QGD, Charousek (Petrosian) variation', 'd4 d5 c4 e6 Nc3 Be7', 'rnbqk1nr/ppp1bppp/4p3/3p4/2PP4/2N5/PP2PPPP/R1BQKBNR w KQkq -'],
+  ['D31', 'QGD, semi-Slav', 'd4 d5 c4 e6 Nc3 c6', 'rnbqkbnr/pp3ppp/2p1p3/3p4/2PP4/2N5/PP2PPPP/R1BQKBNR w KQkq -'],
+  ['D31', 'QGD, semi-Slav, Noteboom variation', 'd4 d5 c4 e6 Nc3 c6 Nf3 dxc4', 'rnbqkbnr/pp3ppp/2p1p3/8/2pP4/2N2N2/PP2PPPP/R1BQKB1R w KQkq -'],
+  ['D31', 'QGD, semi-Slav, Koomen variation', 'd4 d5 c4 e6 Nc3 c6 Nf3 dxc4 a4 Bb4 e3 b5 Bd2 Qe7', 'rnb1k1nr/p3qppp/2p1p3/1p6/PbpP4/2N1PN2/1P1B1PPP/R2QKB1R w KQkq -'],
+  ['D31', 'QGD, semi-Slav, Junge variation', 'd4 d5 c4 e6 Nc3 c6 Nf3 dxc4 a4 Bb4 e3 b5 Bd2 Qb6', 'rnb1k1nr/p4ppp/1qp1p3/1p6/PbpP4/2N1PN2/1P1B1PPP/R2QKB1R w KQkq -'],
+  ['D31', 'QGD, semi-Slav, Abrahams variation', 'd4 d5 c4 e6 Nc3 c6 Nf3 dxc4 a4 Bb4 e3 b5 Bd2 a5', 'rnbqk1nr/5ppp/2p1p3/pp6/PbpP4/2N1PN2/1P1B1PPP/R2QKB1R w KQkq -'],
+  ['D31', 'QGD, semi-Slav, Marshall gambit', 'd4 d5 c4 e6 Nc3 c6 e4', 'rnbqkbnr/pp3ppp/2p1p3/3p4/2PPP3/2N5/PP3PPP/R1BQKBNR b KQkq -'],
+  ['D32', 'QGD, Tarrasch defence', 'd4 d5 c4 e6 Nc3 c5', 'rnbqkbnr/pp3ppp/4p3/2pp4/2PP4/2N5/PP2PPPP/R1BQKBNR w KQkq -'],
+  ['D32', 'QGD, Tarrasch, von Hennig-Schara gambit', 'd4 d5 c4 e6 Nc3 c5 cxd5 cxd4', 'rnbqkbnr/pp3ppp/4p3/3P4/3p4/2N5/PP2PPPP/R1BQKBNR w KQkq -'],
+  ['D32', 'QGD, Tarrasch defence, 4.cd ed', 'd4 d5 c4 e6 Nc3 c5 cxd5 exd5', 'rnbqkbnr/pp3ppp/8/2pp4/3P4/2N5/PP2PPPP/R1BQKBNR w KQkq -'],
+  ['D32', 'QGD, Tarrasch defence, Tarrasch gambit', 'd4 d5 c4 e6 Nc3 c5 cxd5 exd5 dxc5 d4 Na4 b5', 'rnbqkbnr/p4ppp/8/1pP5/N2p4/8/PP2PPPP/R1BQKBNR w KQkq b6'],
+  ['D32', 'QGD, Tarrasch defence, Marshall gambit', 'd4 d5 c4 e6 Nc3 c5 cxd5 exd5 e4', 'rnbqkbnr/pp3ppp/8/2pp4/3PP3/2N5/PP3PPP/R1BQKBNR b KQkq -'],
+  ['D32', 'QGD, Tarrasch defence', 'd4 d5 c4 e6 Nc3 c5 cxd5 exd5 Nf3', 'rnbqkbnr/pp3ppp/8/2pp4/3P4/2N2N2/PP2PPPP/R1BQKB1R b KQkq -'],
+  ['D33', 'QGD, Tarrasch, Schlechter-Rubinstein system', 'd4 d5 c4 e6 Nc3 c5 cxd5 exd5 Nf3 Nc6 g3', 'r1bqkbnr/pp3ppp/2n5/2pp4/3P4/2N2NP1/PP2PP1P/R1BQKB1R b KQkq -'],
+  ['D33', 'QGD, Tarrasch, Folkestone (Swedish) variation', 'd4 d5 c4 e6 Nc3 c5 cxd5 exd5 Nf3 Nc6 g3 c4', 'r1bqkbnr/pp3ppp/2n5/3p4/2pP4/2N2NP1/PP2PP1P/R1BQKB1R w KQkq -'],
+  ['D33', 'QGD, Tarrasch, Schlechter-Rubinstein system, Rey Ardid variation', 'd4 d5 c4 e6 Nc3 c5 cxd5 exd5 Nf3 Nc6 g3 c4 e4', 'r1bqkbnr/pp3ppp/2n5/3p4/2pPP3/2N2NP1/PP3P1P/R1BQKB1R b KQkq -'],
+  ['D33', 'QGD, Tarrasch, Prague variation', 'd4 d5 c4 e6 Nc3 c5 cxd5 exd5 Nf3 Nc6 g3 Nf6', 'r1bqkb1r/pp3ppp/2n2n2/2pp4/3P4/2N2NP1/PP2PP1P/R1BQKB1R w KQkq -'],
+  ['D33', 'QGD, Tarrasch, Wagner variation', 'd4 d5 c4 e6 Nc3 c5 cxd5 exd5 Nf3 Nc6 g3 Nf6 Bg2 Bg4', 'r2qkb1r/pp3ppp/2n2n2/2pp4/3P2b1/2N2NP1/PP2PPBP/R1BQK2R w KQkq -'],
+  ['D34', 'QGD, Tarrasch, Prague variation, 7...Be7', 'd4 d5 c4 e6 Nc3 c5 cxd5 exd5 Nf3 Nc6 g3 Nf6 Bg2 Be7', 'r1bqk2r/pp2bppp/2n2n2/2pp4/3P4/2N2NP1/PP2PPBP/R1BQK2R w KQkq -'],
+  ['D34', 'QGD, Tarrasch, Prague variation, Normal position', 'd4 d5 c4 e6 Nc3 c5 cxd5 exd5 Nf3 Nc6 g3 Nf6 Bg2 Be7 O-O O-O', 'r1bq1rk1/pp2bppp/2n2n2/2pp4/3P4/2N2NP1/PP2PPBP/R1BQ1RK1 w - -'],
+  ['D34', 'QGD, Tarrasch, Reti variation', 'd4 d5 c4 e6 Nc3 c5 cxd5 exd5 Nf3 Nc6 g3 Nf6 Bg2 Be7 O-O O-O dxc5 Bxc5 Na4', 'r1bq1rk1/pp3ppp/2n2n2/2bp4/N7/5NP1/PP2PPBP/R1BQ1RK1 b - -'],
+  ['D34', 'QGD, Tarrasch, Prague variation, 9.Bg5', 'd4 d5 c4 e6 Nc3 c5 cxd5 exd5 Nf3 Nc6 g3 Nf6 Bg2 Be7 O-O O-O Bg5', 'r1bq1rk1/pp2bppp/2n2n2/2pp2B1/3P4/2N2NP1/PP2PPBP/R2Q1RK1 b - -'],
+  ['D34', 'QGD, Tarrasch, Bogolyubov variation', 'd4 d5 c4 e6 Nc3 c5 cxd5 exd5 Nf3 Nc6 g3 Nf6 Bg2 Be7 O-O O-O Bg5 Be6 Rc1 c4', 'r2q1rk1/pp2bppp/2n1bn2/3p2B1/2pP4/2N2NP1/PP2PPBP/2RQ1RK1 w - -'],
+  ['D34', 'QGD, Tarrasch, Stoltz variation', 'd4 d5 c4 e6 Nc3 c5 cxd5 exd5 Nf3 Nc6 g3 Nf6 Bg2 Be7 O-O O-O Bg5 Be6 Rc1 b6', 'r2q1rk1/p3bppp/1pn1bn2/2pp2B1/3P4/2N2NP1/PP2PPBP/2RQ1RK1 w - -'],
+  ['D35', 'QGD, 3...Nf6', 'd4 d5 c4 e6 Nc3 Nf6', 'rnbqkb1r/ppp2ppp/4pn2/3p4/2PP4/2N5/PP2PPPP/R1BQKBNR w KQkq -'],
+  ['D35', 'QGD, Harrwitz attack', 'd4 d5 c4 e6 Nc3 Nf6 Bf4', 'rnbqkb1r/ppp2ppp/4pn2/3p4/2PP1B2/2N5/PP2PPPP/R2QKBNR b KQkq -'],
+  ['D35', 'QGD, exchange variation', 'd4 d5 c4 e6 Nc3 Nf6 cxd5', 'rnbqkb1r/ppp2ppp/4pn2/3P4/3P4/2N5/PP2PPPP/R1BQKBNR b KQkq -'],
+  ['D35', 'QGD, exchange, Saemisch variation', 'd4 d5 c4 e6 Nc3 Nf6 cxd5 exd5 Nf3 Nbd7 Bf4', 'r1bqkb1r/pppn1ppp/5n2/3p4/3P1B2/2N2N2/PP2PPPP/R2QKB1R b KQkq -'],
+  ['D35', 'QGD, exchange, positional line', 'd4 d5 c4 e6 Nc3 Nf6 cxd5 exd5 Bg5', 'rnbqkb1r/ppp2ppp/5n2/3p2B1/3P4/2N5/PP2PPPP/R2QKBNR b KQkq -'],
+  ['D35', 'QGD, exchange, chameleon variation', 'd4 d5 c4 e6 Nc3 Nf6 cxd5 exd5 Bg5 Be7 e3 O-O Bd3 Nbd7 Qc2 Re8 Nge2 Nf8 O-O-O', 'r1bqrnk1/ppp1bppp/5n2/3p2B1/3P4/2NBP3/PPQ1NPPP/2KR3R b - -'],
+  ['D35', 'QGD, exchange, positional line, 5...c6', 'd4 d5 c4 e6 Nc3 Nf6 cxd5 exd5 Bg5 c6', 'rnbqkb1r/pp3ppp/2p2n2/3p2B1/3P4/2N5/PP2PPPP/R2QKBNR w KQkq -'],
+  ['D36', 'QGD, exchange, positional line, 6.Qc2', 'd4 d5 c4 e6 Nc3 Nf6 cxd5 exd5 Bg5 c6 Qc2', 'rnbqkb1r/pp3ppp/2p2n2/3p2B1/3P4/2N5/PPQ1PPPP/R3KBNR b KQkq -'],
+  ['D37', 'QGD, 4.Nf3', 'd4 d5 c4 e6 Nc3 Nf6 Nf3', 'rnbqkb1r/ppp2ppp/4pn2/3p4/2PP4/2N2N2/PP2PPPP/R1BQKB1R b KQkq -'],
+  ['D37', 'QGD, classical variation (5.Bf4)', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 Be7 Bf4', 'rnbqk2r/ppp1bppp/4pn2/3p4/2PP1B2/2N2N2/PP2PPPP/R2QKB1R b KQkq -'],
+  ['D38', 'QGD, Ragozin variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 Bb4', 'rnbqk2r/ppp2ppp/4pn2/3p4/1bPP4/2N2N2/PP2PPPP/R1BQKB1R w KQkq -'],
+  ['D39', 'QGD, Ragozin, Vienna variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 Bb4 Bg5 dxc4', 'rnbqk2r/ppp2ppp/4pn2/6B1/1bpP4/2N2N2/PP2PPPP/R2QKB1R w KQkq -'],
+  ['D40', 'QGD, Semi-Tarrasch defence', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c5', 'rnbqkb1r/pp3ppp/4pn2/2pp4/2PP4/2N2N2/PP2PPPP/R1BQKB1R w KQkq -'],
+  ['D40', 'QGD, Semi-Tarrasch, symmetrical variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c5 e3 Nc6 Bd3 Bd6 O-O O-O', 'r1bq1rk1/pp3ppp/2nbpn2/2pp4/2PP4/2NBPN2/PP3PPP/R1BQ1RK1 w - -'],
+  ['D40', 'QGD, Semi-Tarrasch, Levenfish variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c5 e3 Nc6 Bd3 Bd6 O-O O-O Qe2 Qe7 dxc5 Bxc5 e4', 'r1b2rk1/pp2qppp/2n1pn2/2bp4/2P1P3/2NB1N2/PP2QPPP/R1B2RK1 b - -'],
+  ['D40', 'QGD, Semi-Tarrasch defence, Pillsbury variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c5 Bg5', 'rnbqkb1r/pp3ppp/4pn2/2pp2B1/2PP4/2N2N2/PP2PPPP/R2QKB1R b KQkq -'],
+  ['D41', 'QGD, Semi-Tarrasch, 5.cd', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c5 cxd5', 'rnbqkb1r/pp3ppp/4pn2/2pP4/3P4/2N2N2/PP2PPPP/R1BQKB1R b KQkq -'],
+  ['D41', 'QGD, Semi-Tarrasch, Kmoch variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c5 cxd5 Nxd5 e4 Nxc3 bxc3 cxd4 cxd4 Bb4+ Bd2 Bxd2+ Qxd2 O-O Bb5', 'rnbq1rk1/pp3ppp/4p3/1B6/3PP3/5N2/P2Q1PPP/R3K2R b KQ -'],
+  ['D41', 'QGD, Semi-Tarrasch, San Sebastian variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c5 cxd5 Nxd5 e4 Nxc3 bxc3 cxd4 cxd4 Bb4+ Bd2 Qa5', 'rnb1k2r/pp3ppp/4p3/q7/1b1PP3/5N2/P2B1PPP/R2QKB1R w KQkq -'],
+  ['D41', 'QGD, Semi-Tarrasch with e3', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c5 cxd5 Nxd5 e3', 'rnbqkb1r/pp3ppp/4p3/2pn4/3P4/2N1PN2/PP3PPP/R1BQKB1R b KQkq -'],
+  ['D42', 'QGD, Semi-Tarrasch, 7.Bd3', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c5 cxd5 Nxd5 e3 Nc6 Bd3', 'r1bqkb1r/pp3ppp/2n1p3/2pn4/3P4/2NBPN2/PP3PPP/R1BQK2R b KQkq -'],
+  ['D43', 'QGD semi-Slav', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6', 'rnbqkb1r/pp3ppp/2p1pn2/3p4/2PP4/2N2N2/PP2PPPP/R1BQKB1R w KQkq -'],
+  ['D43', 'QGD semi-Slav, Hastings variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 Bg5 h6 Bxf6 Qxf6 Qb3', 'rnb1kb1r/pp3pp1/2p1pq1p/3p4/2PP4/1QN2N2/PP2PPPP/R3KB1R b KQkq -'],
+  ['D44', 'QGD semi-Slav, 5.Bg5 dc', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 Bg5 dxc4', 'rnbqkb1r/pp3ppp/2p1pn2/6B1/2pP4/2N2N2/PP2PPPP/R2QKB1R w KQkq -'],
+  ['D44', 'QGD semi-Slav, Botvinnik system (anti-Meran)', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 Bg5 dxc4 e4', 'rnbqkb1r/pp3ppp/2p1pn2/6B1/2pPP3/2N2N2/PP3PPP/R2QKB1R b KQkq -'],
+  ['D44', 'QGD semi-Slav, Ekstrom variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 Bg5 dxc4 e4 b5 e5 h6 Bh4 g5 exf6 gxh4 Ne5', 'rnbqkb1r/p4p2/2p1pP1p/1p2N3/2pP3p/2N5/PP3PPP/R2QKB1R b KQkq -'],
+  ['D44', 'QGD semi-Slav, anti-Meran gambit', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 Bg5 dxc4 e4 b5 e5 h6 Bh4 g5 Nxg5', 'rnbqkb1r/p4p2/2p1pn1p/1p2P1N1/2pP3B/2N5/PP3PPP/R2QKB1R b KQkq -'],
+  ['D44', 'QGD semi-Slav, anti-Meran, Lilienthal variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 Bg5 dxc4 e4 b5 e5 h6 Bh4 g5 Nxg5 hxg5 Bxg5 Nbd7 g3', 'r1bqkb1r/p2n1p2/2p1pn2/1p2P1B1/2pP4/2N3P1/PP3P1P/R2QKB1R b KQkq -'],
+  ['D44', 'QGD semi-Slav, anti-Meran, Szabo variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 Bg5 dxc4 e4 b5 e5 h6 Bh4 g5 Nxg5 hxg5 Bxg5 Nbd7 Qf3', 'r1bqkb1r/p2n1p2/2p1pn2/1p2P1B1/2pP4/2N2Q2/PP3PPP/R3KB1R b KQkq -'],
+  ['D44', 'QGD semi-Slav, anti-Meran, Alatortsev system', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 Bg5 dxc4 e4 b5 e5 h6 Bh4 g5 Nxg5 Nd5', 'rnbqkb1r/p4p2/2p1p2p/1p1nP1N1/2pP3B/2N5/PP3PPP/R2QKB1R w KQkq -'],
+  ['D45', 'QGD semi-Slav, 5.e3', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3', 'rnbqkb1r/pp3ppp/2p1pn2/3p4/2PP4/2N1PN2/PP3PPP/R1BQKB1R b KQkq -'],
+  ['D45', 'QGD semi-Slav, stonewall defence', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Ne4 Bd3 f5', 'rnbqkb1r/pp4pp/2p1p3/3p1p2/2PPn3/2NBPN2/PP3PPP/R1BQK2R w KQkq -'],
+  ['D45', 'QGD semi-Slav, accelerated Meran (Alekhine variation)', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 a6', 'rnbqkb1r/1p3ppp/p1p1pn2/3p4/2PP4/2N1PN2/PP3PPP/R1BQKB1R w KQkq -'],
+  ['D45', 'QGD semi-Slav, 5...Nd7', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7', 'r1bqkb1r/pp1n1ppp/2p1pn2/3p4/2PP4/2N1PN2/PP3PPP/R1BQKB1R w KQkq -'],
+  ['D45', 'QGD semi-Slav, Stoltz variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Qc2', 'r1bqkb1r/pp1n1ppp/2p1pn2/3p4/2PP4/2N1PN2/PPQ2PPP/R1B1KB1R b KQkq -'],
+  ['D45', 'QGD semi-Slav, Rubinstein (anti-Meran) system', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Ne5', 'r1bqkb1r/pp1n1ppp/2p1pn2/3pN3/2PP4/2N1P3/PP3PPP/R1BQKB1R b KQkq -'],
+  ['D46', 'QGD semi-Slav, 6.Bd3', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3', 'r1bqkb1r/pp1n1ppp/2p1pn2/3p4/2PP4/2NBPN2/PP3PPP/R1BQK2R b KQkq -'],
+  ['D46', 'QGD semi-Slav, Bogolyubov variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 Be7', 'r1bqk2r/pp1nbppp/2p1pn2/3p4/2PP4/2NBPN2/PP3PPP/R1BQK2R w KQkq -'],
+  ['D46', 'QGD semi-Slav, Romih variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 Bb4', 'r1bqk2r/pp1n1ppp/2p1pn2/3p4/1bPP4/2NBPN2/PP3PPP/R1BQK2R w KQkq -'],
+  ['D46', 'QGD semi-Slav, Chigorin defence', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 Bd6', 'r1bqk2r/pp1n1ppp/2pbpn2/3p4/2PP4/2NBPN2/PP3PPP/R1BQK2R w KQkq -'],
+  ['D47', 'QGD semi-Slav, 7.Bc4', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 dxc4 Bxc4', 'r1bqkb1r/pp1n1ppp/2p1pn2/8/2BP4/2N1PN2/PP3PPP/R1BQK2R b KQkq -'],
+  ['D47', 'QGD semi-Slav, Meran variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 dxc4 Bxc4 b5', 'r1bqkb1r/p2n1ppp/2p1pn2/1p6/2BP4/2N1PN2/PP3PPP/R1BQK2R w KQkq -'],
+  ['D47', 'QGD semi-Slav, neo-Meran (Lundin variation)', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 dxc4 Bxc4 b5 Bd3 b4', 'r1bqkb1r/p2n1ppp/2p1pn2/8/1p1P4/2NBPN2/PP3PPP/R1BQK2R w KQkq -'],
+  ['D47', 'QGD semi-Slav, Meran, Wade variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 dxc4 Bxc4 b5 Bd3 Bb7', 'r2qkb1r/pb1n1ppp/2p1pn2/1p6/3P4/2NBPN2/PP3PPP/R1BQK2R w KQkq -'],
+  ['D48', 'QGD semi-Slav, Meran, 8...a6', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 dxc4 Bxc4 b5 Bd3 a6', 'r1bqkb1r/3n1ppp/p1p1pn2/1p6/3P4/2NBPN2/PP3PPP/R1BQK2R w KQkq -'],
+  ['D48', 'QGD semi-Slav, Meran, Pirc variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 dxc4 Bxc4 b5 Bd3 a6 e4 b4', 'r1bqkb1r/3n1ppp/p1p1pn2/8/1p1PP3/2NB1N2/PP3PPP/R1BQK2R w KQkq -'],
+  ['D48', 'QGD semi-Slav, Meran', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 dxc4 Bxc4 b5 Bd3 a6 e4 c5', 'r1bqkb1r/3n1ppp/p3pn2/1pp5/3PP3/2NB1N2/PP3PPP/R1BQK2R w KQkq -'],
+  ['D48', "QGD semi-Slav, Meran, Reynolds' variation", 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 dxc4 Bxc4 b5 Bd3 a6 e4 c5 d5', 'r1bqkb1r/3n1ppp/p3pn2/1ppP4/4P3/2NB1N2/PP3PPP/R1BQK2R b KQkq -'],
+  ['D48', 'QGD semi-Slav, Meran, old main line', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 dxc4 Bxc4 b5 Bd3 a6 e4 c5 e5', 'r1bqkb1r/3n1ppp/p3pn2/1pp1P3/3P4/2NB1N2/PP3PPP/R1BQK2R b KQkq -'],
+  ['D49', 'QGD semi-Slav, Meran, Blumenfeld variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 dxc4 Bxc4 b5 Bd3 a6 e4 c5 e5 cxd4 Nxb5', 'r1bqkb1r/3n1ppp/p3pn2/1N2P3/3p4/3B1N2/PP3PPP/R1BQK2R b KQkq -'],
+  ['D49', 'QGD semi-Slav, Meran, Rabinovich variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 dxc4 Bxc4 b5 Bd3 a6 e4 c5 e5 cxd4 Nxb5 Ng4', 'r1bqkb1r/3n1ppp/p3p3/1N2P3/3p2n1/3B1N2/PP3PPP/R1BQK2R w KQkq -'],
+  ['D49', 'QGD semi-Slav, Meran, Sozin variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 dxc4 Bxc4 b5 Bd3 a6 e4 c5 e5 cxd4 Nxb5 Nxe5', 'r1bqkb1r/5ppp/p3pn2/1N2n3/3p4/3B1N2/PP3PPP/R1BQK2R w KQkq -'],
+  ['D49', 'QGD semi-Slav, Meran, Stahlberg variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 dxc4 Bxc4 b5 Bd3 a6 e4 c5 e5 cxd4 Nxb5 Nxe5 Nxe5 axb5 Qf3', 'r1bqkb1r/5ppp/4pn2/1p2N3/3p4/3B1Q2/PP3PPP/R1B1K2R b KQkq -'],
+  ['D49', 'QGD semi-Slav, Meran, Sozin variation', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 dxc4 Bxc4 b5 Bd3 a6 e4 c5 e5 cxd4 Nxb5 Nxe5 Nxe5 axb5 O-O', 'r1bqkb1r/5ppp/4pn2/1p2N3/3p4/3B4/PP3PPP/R1BQ1RK1 b kq -'],
+  ['D49', 'QGD semi-Slav, Meran, Rellstab attack', 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6 e3 Nbd7 Bd3 dxc4 Bxc4 b5 Bd3 a6 e4 c5 e5 cxd4 Nxb5 Nxe5 Nxe5 axb5 O-O Qd5 Qe2 Ba6 Bg5', 'r3kb1r/5ppp/b3pn2/1p1qN1B1/3p4/3B4/PP2QPPP/R4RK1 b kq -'],
+  ['D50', 'QGD, 4.Bg5', 'd4 d5 c4 e6 Nc3 Nf6 Bg5', 'rnbqkb1r/ppp2ppp/4pn2/3p2B1/2PP4/2N5/PP2PPPP/R2QKBNR b KQkq -'],
+  ['D50', 'QGD, Been-Koomen variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 c5', 'rnbqkb1r/pp3ppp/4pn2/2pp2B1/2PP4/2N5/PP2PPPP/R2QKBNR w KQkq -'],
+  ['D50', 'QGD, Semi-Tarrasch, Krause variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 c5 Nf3 cxd4 Nxd4 e5 Ndb5 a6 Qa4', 'rnbqkb1r/1p3ppp/p4n2/1N1pp1B1/Q1P5/2N5/PP2PPPP/R3KB1R b KQkq -'],
+  ['D50', 'QGD, Semi-Tarrasch, Primitive Pillsbury variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 c5 Nf3 cxd4 Qxd4', 'rnbqkb1r/pp3ppp/4pn2/3p2B1/2PQ4/2N2N2/PP2PPPP/R3KB1R b KQkq -'],
+  ['D50', 'QGD, Semi-Tarrasch', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 c5 cxd5', 'rnbqkb1r/pp3ppp/4pn2/2pP2B1/3P4/2N5/PP2PPPP/R2QKBNR b KQkq -'],
+  ['D50', 'QGD, Canal (Venice) variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 c5 cxd5 Qb6', 'rnb1kb1r/pp3ppp/1q2pn2/2pP2B1/3P4/2N5/PP2PPPP/R2QKBNR w KQkq -'],
+  ['D51', 'QGD, 4.Bg5 Nbd7', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Nbd7', 'r1bqkb1r/pppn1ppp/4pn2/3p2B1/2PP4/2N5/PP2PPPP/R2QKBNR w KQkq -'],
+  ['D51', 'QGD, Rochlin variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Nbd7 Nf3 c6 Rc1 Qa5 Bd2', 'r1b1kb1r/pp1n1ppp/2p1pn2/q2p4/2PP4/2N2N2/PP1BPPPP/2RQKB1R b Kkq -'],
+  ['D51', 'QGD, Alekhine variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Nbd7 Nf3 c6 e4', 'r1bqkb1r/pp1n1ppp/2p1pn2/3p2B1/2PPP3/2N2N2/PP3PPP/R2QKB1R b KQkq -'],
+  ['D51', 'QGD', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Nbd7 e3', 'r1bqkb1r/pppn1ppp/4pn2/3p2B1/2PP4/2N1P3/PP3PPP/R2QKBNR b KQkq -'],
+  ['D51', 'QGD, Manhattan variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Nbd7 e3 Bb4', 'r1bqk2r/pppn1ppp/4pn2/3p2B1/1bPP4/2N1P3/PP3PPP/R2QKBNR w KQkq -'],
+  ['D51', 'QGD, 5...c6', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Nbd7 e3 c6', 'r1bqkb1r/pp1n1ppp/2p1pn2/3p2B1/2PP4/2N1P3/PP3PPP/R2QKBNR w KQkq -'],
+  ['D51', 'QGD, Capablanca anti-Cambridge Springs variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Nbd7 e3 c6 a3', 'r1bqkb1r/pp1n1ppp/2p1pn2/3p2B1/2PP4/P1N1P3/1P3PPP/R2QKBNR b KQkq -'],
+  ['D52', 'QGD', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Nbd7 e3 c6 Nf3', 'r1bqkb1r/pp1n1ppp/2p1pn2/3p2B1/2PP4/2N1PN2/PP3PPP/R2QKB1R b KQkq -'],
+  ['D52', 'QGD, Cambridge Springs defence', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Nbd7 e3 c6 Nf3 Qa5', 'r1b1kb1r/pp1n1ppp/2p1pn2/q2p2B1/2PP4/2N1PN2/PP3PPP/R2QKB1R w KQkq -'],
+  ['D52', 'QGD, Cambridge Springs defence, Bogoljubow variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Nbd7 e3 c6 Nf3 Qa5 Nd2 Bb4 Qc2', 'r1b1k2r/pp1n1ppp/2p1pn2/q2p2B1/1bPP4/2N1P3/PPQN1PPP/R3KB1R b KQkq -'],
+  ['D52', 'QGD, Cambridge Springs defence, Argentine variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Nbd7 e3 c6 Nf3 Qa5 Nd2 Bb4 Qc2 O-O Bh4', 'r1b2rk1/pp1n1ppp/2p1pn2/q2p4/1bPP3B/2N1P3/PPQN1PPP/R3KB1R b KQ -'],
+  ['D52', 'QGD, Cambridge Springs defence, Rubinstein variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Nbd7 e3 c6 Nf3 Qa5 Nd2 dxc4', 'r1b1kb1r/pp1n1ppp/2p1pn2/q5B1/2pP4/2N1P3/PP1N1PPP/R2QKB1R w KQkq -'],
+  ['D52', 'QGD, Cambridge Springs defence, Capablanca variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Nbd7 e3 c6 Nf3 Qa5 Bxf6', 'r1b1kb1r/pp1n1ppp/2p1pB2/q2p4/2PP4/2N1PN2/PP3PPP/R2QKB1R b KQkq -'],
+  ['D52', 'QGD, Cambridge Springs defence, 7.cd', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Nbd7 e3 c6 Nf3 Qa5 cxd5', 'r1b1kb1r/pp1n1ppp/2p1pn2/q2P2B1/3P4/2N1PN2/PP3PPP/R2QKB1R b KQkq -'],
+  ['D52', 'QGD, Cambridge Springs defence, Yugoslav variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Nbd7 e3 c6 Nf3 Qa5 cxd5 Nxd5', 'r1b1kb1r/pp1n1ppp/2p1p3/q2n2B1/3P4/2N1PN2/PP3PPP/R2QKB1R w KQkq -'],
+  ['D53', 'QGD, 4.Bg5 Be7', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7', 'rnbqk2r/ppp1bppp/4pn2/3p2B1/2PP4/2N5/PP2PPPP/R2QKBNR w KQkq -'],
+  ['D53', 'QGD, Lasker variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 Ne4', 'rnbqk2r/ppp1bppp/4p3/3p2B1/2PPn3/2N1P3/PP3PPP/R2QKBNR w KQkq -'],
+  ['D53', 'QGD, 4.Bg5 Be7, 5.e3 O-O', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O', 'rnbq1rk1/ppp1bppp/4pn2/3p2B1/2PP4/2N1P3/PP3PPP/R2QKBNR w KQ -'],
+  ['D54', 'QGD, Anti-neo-orthodox variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Rc1', 'rnbq1rk1/ppp1bppp/4pn2/3p2B1/2PP4/2N1P3/PP3PPP/2RQKBNR b K -'],
+  ['D55', 'QGD, 6.Nf3', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3', 'rnbq1rk1/ppp1bppp/4pn2/3p2B1/2PP4/2N1PN2/PP3PPP/R2QKB1R b KQ -'],
+  ['D55', 'QGD, Pillsbury attack', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 b6 Bd3 Bb7 cxd5 exd5 Ne5', 'rn1q1rk1/pbp1bppp/1p3n2/3pN1B1/3P4/2NBP3/PP3PPP/R2QK2R b KQ -'],
+  ['D55', 'QGD, Neo-orthodox variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 h6', 'rnbq1rk1/ppp1bpp1/4pn1p/3p2B1/2PP4/2N1PN2/PP3PPP/R2QKB1R w KQ -'],
+  ['D55', 'QGD, Neo-orthodox variation, 7.Bxf6', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 h6 Bxf6', 'rnbq1rk1/ppp1bpp1/4pB1p/3p4/2PP4/2N1PN2/PP3PPP/R2QKB1R b KQ -'],
+  ['D55', 'QGD, Petrosian variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 h6 Bxf6 Bxf6 Rc1 c6 Bd3 Nd7 O-O dxc4 Bxc4', 'r1bq1rk1/pp1n1pp1/2p1pb1p/8/2BP4/2N1PN2/PP3PPP/2RQ1RK1 b - -'],
+  ['D55', 'QGD, Neo-orthodox variation, 7.Bh4', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 h6 Bh4', 'rnbq1rk1/ppp1bpp1/4pn1p/3p4/2PP3B/2N1PN2/PP3PPP/R2QKB1R b KQ -'],
+  ['D56', 'QGD, Lasker defence', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 h6 Bh4 Ne4', 'rnbq1rk1/ppp1bpp1/4p2p/3p4/2PPn2B/2N1PN2/PP3PPP/R2QKB1R w KQ -'],
+  ['D56', 'QGD, Lasker defence, Teichmann variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 h6 Bh4 Ne4 Bxe7 Qxe7 Qc2', 'rnb2rk1/ppp1qpp1/4p2p/3p4/2PPn3/2N1PN2/PPQ2PPP/R3KB1R b KQ -'],
+  ['D56', 'QGD, Lasker defence, Russian variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 h6 Bh4 Ne4 Bxe7 Qxe7 Qc2 Nf6 Bd3 dxc4 Bxc4 c5 O-O Nc6 Rfd1 Bd7', 'r4rk1/pp1bqpp1/2n1pn1p/2p5/2BP4/2N1PN2/PPQ2PPP/R2R2K1 w - -'],
+  ['D57', 'QGD, Lasker defence, main line', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 h6 Bh4 Ne4 Bxe7 Qxe7 cxd5 Nxc3 bxc3', 'rnb2rk1/ppp1qpp1/4p2p/3P4/3P4/2P1PN2/P4PPP/R2QKB1R b KQ -'],
+  ['D57', 'QGD, Lasker defence, Bernstein variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 h6 Bh4 Ne4 Bxe7 Qxe7 cxd5 Nxc3 bxc3 exd5 Qb3 Qd6', 'rnb2rk1/ppp2pp1/3q3p/3p4/3P4/1QP1PN2/P4PPP/R3KB1R w KQ -'],
+  ['D58', 'QGD, Tartakower (Makagonov-Bondarevsky) system', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 h6 Bh4 b6', 'rnbq1rk1/p1p1bpp1/1p2pn1p/3p4/2PP3B/2N1PN2/PP3PPP/R2QKB1R w KQ -'],
+  ['D59', 'QGD, Tartakower (Makagonov-Bondarevsky) system, 8.cd Nxd5', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 h6 Bh4 b6 cxd5 Nxd5', 'rnbq1rk1/p1p1bpp1/1p2p2p/3n4/3P3B/2N1PN2/PP3PPP/R2QKB1R w KQ -'],
+  ['D59', 'QGD, Tartakower variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 h6 Bh4 b6 cxd5 Nxd5 Bxe7 Qxe7 Nxd5 exd5 Rc1 Be6', 'rn3rk1/p1p1qpp1/1p2b2p/3p4/3P4/4PN2/PP3PPP/2RQKB1R w K -'],
+  ['D60', 'QGD, Orthodox defence', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7', 'r1bq1rk1/pppnbppp/4pn2/3p2B1/2PP4/2N1PN2/PP3PPP/R2QKB1R w KQ -'],
+  ['D60', 'QGD, Orthodox defence, Botvinnik variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Bd3', 'r1bq1rk1/pppnbppp/4pn2/3p2B1/2PP4/2NBPN2/PP3PPP/R2QK2R b KQ -'],
+  ['D60', 'QGD, Orthodox defence, Rauzer variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Qb3', 'r1bq1rk1/pppnbppp/4pn2/3p2B1/2PP4/1QN1PN2/PP3PPP/R3KB1R b KQ -'],
+  ['D61', 'QGD, Orthodox defence, Rubinstein variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Qc2', 'r1bq1rk1/pppnbppp/4pn2/3p2B1/2PP4/2N1PN2/PPQ2PPP/R3KB1R b KQ -'],
+  ['D62', 'QGD, Orthodox defence, 7.Qc2 c5, 8.cd (Rubinstein)', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Qc2 c5 cxd5', 'r1bq1rk1/pp1nbppp/4pn2/2pP2B1/3P4/2N1PN2/PPQ2PPP/R3KB1R b KQ -'],
+  ['D63', 'QGD, Orthodox defence, 7.Rc1', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1', 'r1bq1rk1/pppnbppp/4pn2/3p2B1/2PP4/2N1PN2/PP3PPP/2RQKB1R b K -'],
+  ['D63', 'QGD, Orthodox defence, Pillsbury attack', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 b6 cxd5 exd5 Bd3', 'r1bq1rk1/p1pnbppp/1p3n2/3p2B1/3P4/2NBPN2/PP3PPP/2RQK2R b K -'],
+  ['D63', 'QGD, Orthodox defence, Capablanca variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 b6 cxd5 exd5 Bb5', 'r1bq1rk1/p1pnbppp/1p3n2/1B1p2B1/3P4/2N1PN2/PP3PPP/2RQK2R b K -'],
+  ['D63', 'QGD, Orthodox defence, Swiss (Henneberger) variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 a6', 'r1bq1rk1/1ppnbppp/p3pn2/3p2B1/2PP4/2N1PN2/PP3PPP/2RQKB1R w K -'],
+  ['D63', 'QGD, Orthodox defence, Swiss, Karlsbad variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 a6 cxd5', 'r1bq1rk1/1ppnbppp/p3pn2/3P2B1/3P4/2N1PN2/PP3PPP/2RQKB1R b K -'],
+  ['D63', 'QGD, Orthodox defence', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6', 'r1bq1rk1/pp1nbppp/2p1pn2/3p2B1/2PP4/2N1PN2/PP3PPP/2RQKB1R w K -'],
+  ['D64', 'QGD, Orthodox defence, Rubinstein attack (with Rc1)', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6 Qc2', 'r1bq1rk1/pp1nbppp/2p1pn2/3p2B1/2PP4/2N1PN2/PPQ2PPP/2R1KB1R b K -'],
+  ['D64', 'QGD, Orthodox defence, Rubinstein attack, Wolf variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6 Qc2 Ne4', 'r1bq1rk1/pp1nbppp/2p1p3/3p2B1/2PPn3/2N1PN2/PPQ2PPP/2R1KB1R w K -'],
+  ['D64', 'QGD, Orthodox defence, Rubinstein attack, Karlsbad variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6 Qc2 a6', 'r1bq1rk1/1p1nbppp/p1p1pn2/3p2B1/2PP4/2N1PN2/PPQ2PPP/2R1KB1R w K -'],
+  ['D64', 'QGD, Orthodox defence, Rubinstein attack, Gruenfeld variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6 Qc2 a6 a3', 'r1bq1rk1/1p1nbppp/p1p1pn2/3p2B1/2PP4/P1N1PN2/1PQ2PPP/2R1KB1R b K -'],
+  ['D65', 'QGD, Orthodox defence, Rubinstein attack, main line', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6 Qc2 a6 cxd5', 'r1bq1rk1/1p1nbppp/p1p1pn2/3P2B1/3P4/2N1PN2/PPQ2PPP/2R1KB1R b K -'],
+  ['D66', 'QGD, Orthodox defence, Bd3 line', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6 Bd3', 'r1bq1rk1/pp1nbppp/2p1pn2/3p2B1/2PP4/2NBPN2/PP3PPP/2RQK2R b K -'],
+  ['D66', 'QGD, Orthodox defence, Bd3 line, fianchetto variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6 Bd3 dxc4 Bxc4 b5', 'r1bq1rk1/p2nbppp/2p1pn2/1p4B1/2BP4/2N1PN2/PP3PPP/2RQK2R w K -'],
+  ['D67', 'QGD, Orthodox defence, Bd3 line, Capablanca freeing manoevre', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6 Bd3 dxc4 Bxc4 Nd5', 'r1bq1rk1/pp1nbppp/2p1p3/3n2B1/2BP4/2N1PN2/PP3PPP/2RQK2R w K -'],
+  ['D67', 'QGD, Orthodox defence, Bd3 line, Janowski variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6 Bd3 dxc4 Bxc4 Nd5 h4', 'r1bq1rk1/pp1nbppp/2p1p3/3n2B1/2BP3P/2N1PN2/PP3PP1/2RQK2R b K -'],
+  ['D67', 'QGD, Orthodox defence, Bd3 line', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6 Bd3 dxc4 Bxc4 Nd5 Bxe7 Qxe7', 'r1b2rk1/pp1nqppp/2p1p3/3n4/2BP4/2N1PN2/PP3PPP/2RQK2R w K -'],
+  ['D67', 'QGD, Orthodox defence, Bd3 line, Alekhine variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6 Bd3 dxc4 Bxc4 Nd5 Bxe7 Qxe7 Ne4', 'r1b2rk1/pp1nqppp/2p1p3/3n4/2BPN3/4PN2/PP3PPP/2RQK2R b K -'],
+  ['D67', 'QGD, Orthodox defence, Bd3 line, 11.O-O', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6 Bd3 dxc4 Bxc4 Nd5 Bxe7 Qxe7 O-O', 'r1b2rk1/pp1nqppp/2p1p3/3n4/2BP4/2N1PN2/PP3PPP/2RQ1RK1 b - -'],
+  ['D68', 'QGD, Orthodox defence, classical variation', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6 Bd3 dxc4 Bxc4 Nd5 Bxe7 Qxe7 O-O Nxc3 Rxc3 e5', 'r1b2rk1/pp1nqppp/2p5/4p3/2BP4/2R1PN2/PP3PPP/3Q1RK1 w - -'],
+  ['D68', 'QGD, Orthodox defence, classical, 13.d1b1 (Maroczy)', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6 Bd3 dxc4 Bxc4 Nd5 Bxe7 Qxe7 O-O Nxc3 Rxc3 e5 Qb1', 'r1b2rk1/pp1nqppp/2p5/4p3/2BP4/2R1PN2/PP3PPP/1Q3RK1 b - -'],
+  ['D68', 'QGD, Orthodox defence, classical, 13.d1c2 (Vidmar)', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6 Bd3 dxc4 Bxc4 Nd5 Bxe7 Qxe7 O-O Nxc3 Rxc3 e5 Qc2', 'r1b2rk1/pp1nqppp/2p5/4p3/2BP4/2R1PN2/PPQ2PPP/5RK1 b - -'],
+  ['D69', 'QGD, Orthodox defence, classical, 13.de', 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3 Nbd7 Rc1 c6 Bd3 dxc4 Bxc4 Nd5 Bxe7 Qxe7 O-O Nxc3 Rxc3 e5 dxe5 Nxe5 Nxe5 Qxe5', 'r1b2rk1/pp3ppp/2p5/4q3/2B5/2R1P3/PP3PPP/3Q1RK1 w - -'],
+  ['D70', 'Neo-Gruenfeld defence', 'd4 Nf6 c4 g6 f3 d5', 'rnbqkb1r/ppp1pp1p/5np1/3p4/2PP4/5P2/PP2P1PP/RNBQKBNR w KQkq -'],
+  ['D70', 'Neo-Gruenfeld (Kemeri) defence', 'd4 Nf6 c4 g6 g3 d5', 'rnbqkb1r/ppp1pp1p/5np1/3p4/2PP4/6P1/PP2PP1P/RNBQKBNR w KQkq -'],
+  ['D71', 'Neo-Gruenfeld, 5.cd', 'd4 Nf6 c4 g6 g3 d5 Bg2 Bg7 cxd5 Nxd5', 'rnbqk2r/ppp1ppbp/6p1/3n4/3P4/6P1/PP2PPBP/RNBQK1NR w KQkq -'],
+  ['D72', 'Neo-Gruenfeld, 5.cd, main line', 'd4 Nf6 c4 g6 g3 d5 Bg2 Bg7 cxd5 Nxd5 e4 Nb6 Ne2', 'rnbqk2r/ppp1ppbp/1n4p1/8/3PP3/6P1/PP2NPBP/RNBQK2R b KQkq -'],
+  ['D73', 'Neo-Gruenfeld, 5.Nf3', 'd4 Nf6 c4 g6 g3 d5 Bg2 Bg7 Nf3', 'rnbqk2r/ppp1ppbp/5np1/3p4/2PP4/5NP1/PP2PPBP/RNBQK2R b KQkq -'],
+  ['D74', 'Neo-Gruenfeld, 6.cd Nxd5, 7.O-O', 'd4 Nf6 c4 g6 g3 d5 Bg2 Bg7 Nf3 O-O cxd5 Nxd5 O-O', 'rnbq1rk1/ppp1ppbp/6p1/3n4/3P4/5NP1/PP2PPBP/RNBQ1RK1 b - -'],
+  ['D75', 'Neo-Gruenfeld, 6.cd Nxd5, 7.O-O c5, 8.Nc3', 'd4 Nf6 c4 g6 g3 d5 Bg2 Bg7 Nf3 O-O cxd5 Nxd5 O-O c5 Nc3', 'rnbq1rk1/pp2ppbp/6p1/2pn4/3P4/2N2NP1/PP2PPBP/R1BQ1RK1 b - -'],
+  ['D75', 'Neo-Gruenfeld, 6.cd Nxd5, 7.O-O c5, 8.dc', 'd4 Nf6 c4 g6 g3 d5 Bg2 Bg7 Nf3 O-O cxd5 Nxd5 O-O c5 dxc5', 'rnbq1rk1/pp2ppbp/6p1/2Pn4/8/5NP1/PP2PPBP/RNBQ1RK1 b - -'],
+  ['D76', 'Neo-Gruenfeld, 6.cd Nxd5, 7.O-O Nb6', 'd4 Nf6 c4 g6 g3 d5 Bg2 Bg7 Nf3 O-O cxd5 Nxd5 O-O Nb6', 'rnbq1rk1/ppp1ppbp/1n4p1/8/3P4/5NP1/PP2PPBP/RNBQ1RK1 w - -'],
+  ['D77', 'Neo-Gruenfeld, 6.O-O', 'd4 Nf6 c4 g6 g3 d5 Bg2 Bg7 Nf3 O-O O-O', 'rnbq1rk1/ppp1ppbp/5np1/3p4/2PP4/5NP1/PP2PPBP/RNBQ1RK1 b - -'],
+  ['D78', 'Neo-Gruenfeld, 6.O-O c6', 'd4 Nf6 c4 g6 g3 d5 Bg2 Bg7 Nf3 O-O O-O c6', 'rnbq1rk1/pp2ppbp/2p2np1/3p4/2PP4/5NP1/PP2PPBP/RNBQ1RK1 w - -'],
+  ['D79', 'Neo-Gruenfeld, 6.O-O, main line', 'd4 Nf6 c4 g6 g3 d5 Bg2 Bg7 Nf3 O-O O-O c6 cxd5 cxd5', 'rnbq1rk1/pp2ppbp/5np1/3p4/3P4/5NP1/PP2PPBP/RNBQ1RK1 w - -'],
+  ['D80', 'Gruenfeld defence', 'd4 Nf6 c4 g6 Nc3 d5', 'rnbqkb1r/ppp1pp1p/5np1/3p4/2PP4/2N5/PP2PPPP/R1BQKBNR w KQkq -'],
+  ['D80', 'Gruenfeld, Spike gambit', 'd4 Nf6 c4 g6 Nc3 d5 g4', 'rnbqkb1r/ppp1pp1p/5np1/3p4/2PP2P1/2N5/PP2PP1P/R1BQKBNR b KQkq -'],
+  ['D80', 'Gruenfeld, Stockholm variation', 'd4 Nf6 c4 g6 Nc3 d5 Bg5', 'rnbqkb1r/ppp1pp1p/5np1/3p2B1/2PP4/2N5/PP2PPPP/R2QKBNR b KQkq -'],
+  ['D80', 'Gruenfeld, Lundin variation', 'd4 Nf6 c4 g6 Nc3 d5 Bg5 Ne4 Nxe4 dxe4 Qd2 c5', 'rnbqkb1r/pp2pp1p/6p1/2p3B1/2PPp3/8/PP1QPPPP/R3KBNR w KQkq -'],
+  ['D81', 'Gruenfeld, Russian variation', 'd4 Nf6 c4 g6 Nc3 d5 Qb3', 'rnbqkb1r/ppp1pp1p/5np1/3p4/2PP4/1QN5/PP2PPPP/R1B1KBNR b KQkq -'],
+  ['D82', 'Gruenfeld, 4.Bf4', 'd4 Nf6 c4 g6 Nc3 d5 Bf4', 'rnbqkb1r/ppp1pp1p/5np1/3p4/2PP1B2/2N5/PP2PPPP/R2QKBNR b KQkq -'],
+  ['D83', 'Gruenfeld, Gruenfeld gambit', 'd4 Nf6 c4 g6 Nc3 d5 Bf4 Bg7 e3 O-O', 'rnbq1rk1/ppp1ppbp/5np1/3p4/2PP1B2/2N1P3/PP3PPP/R2QKBNR w KQ -'],
+  ['D83', 'Gruenfeld, Gruenfeld gambit, Capablanca variation', 'd4 Nf6 c4 g6 Nc3 d5 Bf4 Bg7 e3 O-O Rc1', 'rnbq1rk1/ppp1ppbp/5np1/3p4/2PP1B2/2N1P3/PP3PPP/2RQKBNR b K -'],
+  ['D83', 'Gruenfeld, Gruenfeld gambit, Botvinnik variation', 'd4 Nf6 c4 g6 Nc3 d5 Bf4 Bg7 e3 O-O Rc1 c5 dxc5 Be6', 'rn1q1rk1/pp2ppbp/4bnp1/2Pp4/2P2B2/2N1P3/PP3PPP/2RQKBNR w K -'],
+  ['D84', 'Gruenfeld, Gruenfeld gambit accepted', 'd4 Nf6 c4 g6 Nc3 d5 Bf4 Bg7 e3 O-O cxd5 Nxd5 Nxd5 Qxd5 Bxc7', 'rnb2rk1/ppB1ppbp/6p1/3q4/3P4/4P3/PP3PPP/R2QKBNR b KQ -'],
+  ['D85', 'Gruenfeld, exchange variation', 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5', 'rnbqkb1r/ppp1pp1p/6p1/3n4/3P4/2N5/PP2PPPP/R1BQKBNR w KQkq -'],
+  ['D85', 'Gruenfeld, modern exchange variation', 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3 bxc3 Bg7 Nf3', 'rnbqk2r/ppp1ppbp/6p1/8/3PP3/2P2N2/P4PPP/R1BQKB1R b KQkq -'],
+  ['D86', 'Gruenfeld, exchange, classical variation', 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3 bxc3 Bg7 Bc4', 'rnbqk2r/ppp1ppbp/6p1/8/2BPP3/2P5/P4PPP/R1BQK1NR b KQkq -'],
+  ['D86', 'Gruenfeld, exchange, Larsen variation', 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3 bxc3 Bg7 Bc4 O-O Ne2 Qd7 O-O b6', 'rnb2rk1/p1pqppbp/1p4p1/8/2BPP3/2P5/P3NPPP/R1BQ1RK1 w - -'],
+  ['D86', "Gruenfeld, exchange, Simagin's lesser variation", 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3 bxc3 Bg7 Bc4 O-O Ne2 b6', 'rnbq1rk1/p1p1ppbp/1p4p1/8/2BPP3/2P5/P3NPPP/R1BQK2R w KQ -'],
+  ['D86', "Gruenfeld, exchange, Simagin's improved variation", 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3 bxc3 Bg7 Bc4 O-O Ne2 Nc6', 'r1bq1rk1/ppp1ppbp/2n3p1/8/2BPP3/2P5/P3NPPP/R1BQK2R w KQ -'],
+  ['D87', 'Gruenfeld, exchange, Spassky variation', 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3 bxc3 Bg7 Bc4 O-O Ne2 c5', 'rnbq1rk1/pp2ppbp/6p1/2p5/2BPP3/2P5/P3NPPP/R1BQK2R w KQ -'],
+  ['D87', 'Gruenfeld, exchange, Seville variation', 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3 bxc3 Bg7 Bc4 O-O Ne2 c5 O-O Nc6 Be3 Bg4 f3 Na5 Bxf7+', 'r2q1rk1/pp2pBbp/6p1/n1p5/3PP1b1/2P1BP2/P3N1PP/R2Q1RK1 b - -'],
+  ['D88', 'Gruenfeld, Spassky variation, main line, 10...cd, 11.cd', 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3 bxc3 Bg7 Bc4 O-O Ne2 c5 O-O Nc6 Be3 cxd4 cxd4', 'r1bq1rk1/pp2ppbp/2n3p1/8/2BPP3/4B3/P3NPPP/R2Q1RK1 b - -'],
+  ['D89', 'Gruenfeld, Spassky variation, main line, 13.Bd3', 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3 bxc3 Bg7 Bc4 O-O Ne2 c5 O-O Nc6 Be3 cxd4 cxd4 Bg4 f3 Na5 Bd3 Be6', 'r2q1rk1/pp2ppbp/4b1p1/n7/3PP3/3BBP2/P3N1PP/R2Q1RK1 w - -'],
+  ['D89', 'Gruenfeld, exchange, Sokolsky variation', 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3 bxc3 Bg7 Bc4 O-O Ne2 c5 O-O Nc6 Be3 cxd4 cxd4 Bg4 f3 Na5 Bd3 Be6 d5', 'r2q1rk1/pp2ppbp/4b1p1/n2P4/4P3/3BBP2/P3N1PP/R2Q1RK1 b - -'],
+  ['D90', 'Gruenfeld, Three knights variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3', 'rnbqkb1r/ppp1pp1p/5np1/3p4/2PP4/2N2N2/PP2PPPP/R1BQKB1R b KQkq -'],
+  ['D90', 'Gruenfeld, Schlechter variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 c6', 'rnbqkb1r/pp2pp1p/2p2np1/3p4/2PP4/2N2N2/PP2PPPP/R1BQKB1R w KQkq -'],
+  ['D90', 'Gruenfeld, Three knights variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7', 'rnbqk2r/ppp1ppbp/5np1/3p4/2PP4/2N2N2/PP2PPPP/R1BQKB1R w KQkq -'],
+  ['D90', 'Gruenfeld, Flohr variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 Qa4+', 'rnbqk2r/ppp1ppbp/5np1/3p4/Q1PP4/2N2N2/PP2PPPP/R1B1KB1R b KQkq -'],
+  ['D91', 'Gruenfeld, 5.Bg5', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 Bg5', 'rnbqk2r/ppp1ppbp/5np1/3p2B1/2PP4/2N2N2/PP2PPPP/R2QKB1R b KQkq -'],
+  ['D92', 'Gruenfeld, 5.Bf4', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 Bf4', 'rnbqk2r/ppp1ppbp/5np1/3p4/2PP1B2/2N2N2/PP2PPPP/R2QKB1R b KQkq -'],
+  ['D93', 'Gruenfeld with Bf4    e3', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 Bf4 O-O e3', 'rnbq1rk1/ppp1ppbp/5np1/3p4/2PP1B2/2N1PN2/PP3PPP/R2QKB1R b KQ -'],
+  ['D94', 'Gruenfeld, 5.e3', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 e3', 'rnbqk2r/ppp1ppbp/5np1/3p4/2PP4/2N1PN2/PP3PPP/R1BQKB1R b KQkq -'],
+  ['D94', 'Gruenfeld, Makogonov variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 e3 O-O b4', 'rnbq1rk1/ppp1ppbp/5np1/3p4/1PPP4/2N1PN2/P4PPP/R1BQKB1R b KQ -'],
+  ['D94', 'Gruenfeld, Opovcensky variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 e3 O-O Bd2', 'rnbq1rk1/ppp1ppbp/5np1/3p4/2PP4/2N1PN2/PP1B1PPP/R2QKB1R b KQ -'],
+  ['D94', 'Gruenfeld with e3    Bd3', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 e3 O-O Bd3', 'rnbq1rk1/ppp1ppbp/5np1/3p4/2PP4/2NBPN2/PP3PPP/R1BQK2R b KQ -'],
+  ['D94', 'Gruenfeld, Smyslov defence', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 e3 O-O Bd3 c6 O-O Bg4', 'rn1q1rk1/pp2ppbp/2p2np1/3p4/2PP2b1/2NBPN2/PP3PPP/R1BQ1RK1 w - -'],
+  ['D94', 'Gruenfeld, Flohr defence', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 e3 O-O Bd3 c6 O-O Bf5', 'rn1q1rk1/pp2ppbp/2p2np1/3p1b2/2PP4/2NBPN2/PP3PPP/R1BQ1RK1 w - -'],
+  ['D95', 'Gruenfeld with e3 & Qb3', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 e3 O-O Qb3', 'rnbq1rk1/ppp1ppbp/5np1/3p4/2PP4/1QN1PN2/PP3PPP/R1B1KB1R b KQ -'],
+  ['D95', 'Gruenfeld, Botvinnik variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 e3 O-O Qb3 e6', 'rnbq1rk1/ppp2pbp/4pnp1/3p4/2PP4/1QN1PN2/PP3PPP/R1B1KB1R w KQ -'],
+  ['D95', 'Gruenfeld, Pachman variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 e3 O-O Qb3 dxc4 Bxc4 Nbd7 Ng5', 'r1bq1rk1/pppnppbp/5np1/6N1/2BP4/1QN1P3/PP3PPP/R1B1K2R b KQ -'],
+  ['D96', 'Gruenfeld, Russian variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 Qb3', 'rnbqk2r/ppp1ppbp/5np1/3p4/2PP4/1QN2N2/PP2PPPP/R1B1KB1R b KQkq -'],
+  ['D97', 'Gruenfeld, Russian variation with e4', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 Qb3 dxc4 Qxc4 O-O e4', 'rnbq1rk1/ppp1ppbp/5np1/8/2QPP3/2N2N2/PP3PPP/R1B1KB1R b KQ -'],
+  ['D97', 'Gruenfeld, Russian, Alekhine (Hungarian) variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 Qb3 dxc4 Qxc4 O-O e4 a6', 'rnbq1rk1/1pp1ppbp/p4np1/8/2QPP3/2N2N2/PP3PPP/R1B1KB1R w KQ -'],
+  ['D97', 'Gruenfeld, Russian, Szabo (Boleslavsky) variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 Qb3 dxc4 Qxc4 O-O e4 c6', 'rnbq1rk1/pp2ppbp/2p2np1/8/2QPP3/2N2N2/PP3PPP/R1B1KB1R w KQ -'],
+  ['D97', 'Gruenfeld, Russian, Levenfish variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 Qb3 dxc4 Qxc4 O-O e4 b6', 'rnbq1rk1/p1p1ppbp/1p3np1/8/2QPP3/2N2N2/PP3PPP/R1B1KB1R w KQ -'],
+  ['D97', 'Gruenfeld, Russian, Byrne (Simagin) variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 Qb3 dxc4 Qxc4 O-O e4 Nc6', 'r1bq1rk1/ppp1ppbp/2n2np1/8/2QPP3/2N2N2/PP3PPP/R1B1KB1R w KQ -'],
+  ['D97', 'Gruenfeld, Russian, Prins variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 Qb3 dxc4 Qxc4 O-O e4 Na6', 'r1bq1rk1/ppp1ppbp/n4np1/8/2QPP3/2N2N2/PP3PPP/R1B1KB1R w KQ -'],
+  ['D98', 'Gruenfeld, Russian, Smyslov variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 Qb3 dxc4 Qxc4 O-O e4 Bg4', 'rn1q1rk1/ppp1ppbp/5np1/8/2QPP1b1/2N2N2/PP3PPP/R1B1KB1R w KQ -'],
+  ['D98', 'Gruenfeld, Russian, Keres variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 Qb3 dxc4 Qxc4 O-O e4 Bg4 Be3 Nfd7 Be2 Nb6 Qd3 Nc6 O-O-O', 'r2q1rk1/ppp1ppbp/1nn3p1/8/3PP1b1/2NQBN2/PP2BPPP/2KR3R b - -'],
+  ['D99', 'Gruenfeld defence, Smyslov, main line', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 Qb3 dxc4 Qxc4 O-O e4 Bg4 Be3 Nfd7 Qb3', 'rn1q1rk1/pppnppbp/6p1/8/3PP1b1/1QN1BN2/PP3PPP/R3KB1R b KQ -'],
+  ['D99', 'Gruenfeld defence, Smyslov, Yugoslav variation', 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7 Qb3 dxc4 Qxc4 O-O e4 Bg4 Be3 Nfd7 Qb3 c5', 'rn1q1rk1/pp1nppbp/6p1/2p5/3PP1b1/1QN1BN2/PP3PPP/R3KB1R w KQ -'],
+  ['E00', "Queen's pawn game", 'd4 Nf6 c4 e6', 'rnbqkb1r/pppp1ppp/4pn2/8/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['E00', 'Neo-Indian (Seirawan) attack', 'd4 Nf6 c4 e6 Bg5', 'rnbqkb1r/pppp1ppp/4pn2/6B1/2PP4/8/PP2PPPP/RN1QKBNR b KQkq -'],
+  ['E00', 'Catalan opening', 'd4 Nf6 c4 e6 g3', 'rnbqkb1r/pppp1ppp/4pn2/8/2PP4/6P1/PP2PP1P/RNBQKBNR b KQkq -'],
+  ['E01', 'Catalan, closed', 'd4 Nf6 c4 e6 g3 d5 Bg2', 'rnbqkb1r/ppp2ppp/4pn2/3p4/2PP4/6P1/PP2PPBP/RNBQK1NR b KQkq -'],
+  ['E02', 'Catalan, open, 5.Qa4', 'd4 Nf6 c4 e6 g3 d5 Bg2 dxc4 Qa4+', 'rnbqkb1r/ppp2ppp/4pn2/8/Q1pP4/6P1/PP2PPBP/RNB1K1NR b KQkq -'],
+  ['E03', 'Catalan, open, Alekhine variation', 'd4 Nf6 c4 e6 g3 d5 Bg2 dxc4 Qa4+ Nbd7 Qxc4 a6 Qc2', 'r1bqkb1r/1ppn1ppp/p3pn2/8/3P4/6P1/PPQ1PPBP/RNB1K1NR b KQkq -'],
+  ['E03', 'Catalan, open, 5.Qa4 Nbd7, 6.Qxc4', 'd4 Nf6 c4 e6 g3 d5 Bg2 dxc4 Qa4+ Nbd7 Qxc4', 'r1bqkb1r/pppn1ppp/4pn2/8/2QP4/6P1/PP2PPBP/RNB1K1NR b KQkq -'],
+  ['E04', 'Catalan, open, 5.Nf3', 'd4 Nf6 c4 e6 g3 d5 Bg2 dxc4 Nf3', 'rnbqkb1r/ppp2ppp/4pn2/8/2pP4/5NP1/PP2PPBP/RNBQK2R b KQkq -'],
+  ['E05', 'Catalan, open, classical line', 'd4 Nf6 c4 e6 g3 d5 Bg2 dxc4 Nf3 Be7', 'rnbqk2r/ppp1bppp/4pn2/8/2pP4/5NP1/PP2PPBP/RNBQK2R w KQkq -'],
+  ['E06', 'Catalan, closed, 5.Nf3', 'd4 Nf6 c4 e6 g3 d5 Bg2 Be7 Nf3', 'rnbqk2r/ppp1bppp/4pn2/3p4/2PP4/5NP1/PP2PPBP/RNBQK2R b KQkq -'],
+  ['E07', 'Catalan, closed, 6...Nbd7', 'd4 Nf6 c4 e6 g3 d5 Bg2 Be7 Nf3 O-O O-O Nbd7', 'r1bq1rk1/pppnbppp/4pn2/3p4/2PP4/5NP1/PP2PPBP/RNBQ1RK1 w - -'],
+  ['E07', 'Catalan, closed, Botvinnik variation', 'd4 Nf6 c4 e6 g3 d5 Bg2 Be7 Nf3 O-O O-O Nbd7 Nc3 c6 Qd3', 'r1bq1rk1/pp1nbppp/2p1pn2/3p4/2PP4/2NQ1NP1/PP2PPBP/R1B2RK1 b - -'],
+  ['E08', 'Catalan, closed, 7.Qc2', 'd4 Nf6 c4 e6 g3 d5 Bg2 Be7 Nf3 O-O O-O Nbd7 Qc2', 'r1bq1rk1/pppnbppp/4pn2/3p4/2PP4/5NP1/PPQ1PPBP/RNB2RK1 b - -'],
+  ['E08', 'Catalan, closed, Zagoryansky variation', 'd4 Nf6 c4 e6 g3 d5 Bg2 Be7 Nf3 O-O O-O Nbd7 Qc2 c6 Rd1 b6 a4', 'r1bq1rk1/p2nbppp/1pp1pn2/3p4/P1PP4/5NP1/1PQ1PPBP/RNBR2K1 b - -'],
+  ['E08', 'Catalan, closed, Qc2 & b3', 'd4 Nf6 c4 e6 g3 d5 Bg2 Be7 Nf3 O-O O-O Nbd7 Qc2 c6 b3', 'r1bq1rk1/pp1nbppp/2p1pn2/3p4/2PP4/1P3NP1/P1Q1PPBP/RNB2RK1 b - -'],
+  ['E08', 'Catalan, closed, Spassky gambit', 'd4 Nf6 c4 e6 g3 d5 Bg2 Be7 Nf3 O-O O-O Nbd7 Qc2 c6 b3 b6 Rd1 Bb7 Nc3 b5', 'r2q1rk1/pb1nbppp/2p1pn2/1p1p4/2PP4/1PN2NP1/P1Q1PPBP/R1BR2K1 w - -'],
+  ['E09', 'Catalan, closed, main line', 'd4 Nf6 c4 e6 g3 d5 Bg2 Be7 Nf3 O-O O-O Nbd7 Qc2 c6 Nbd2', 'r1bq1rk1/pp1nbppp/2p1pn2/3p4/2PP4/5NP1/PPQNPPBP/R1B2RK1 b - -'],
+  ['E09', 'Catalan, closed, Sokolsky variation', 'd4 Nf6 c4 e6 g3 d5 Bg2 Be7 Nf3 O-O O-O Nbd7 Qc2 c6 Nbd2 b6 b3 a5 Bb2 Ba6', 'r2q1rk1/3nbppp/bpp1pn2/p2p4/2PP4/1P3NP1/PBQNPPBP/R4RK1 w - -'],
+  ['E10', "Queen's pawn game", 'd4 Nf6 c4 e6 Nf3', 'rnbqkb1r/pppp1ppp/4pn2/8/2PP4/5N2/PP2PPPP/RNBQKB1R b KQkq -'],
+  ['E10', 'Blumenfeld counter-gambit', 'd4 Nf6 c4 e6 Nf3 c5 d5 b5', 'rnbqkb1r/p2p1ppp/4pn2/1ppP4/2P5/5N2/PP2PPPP/RNBQKB1R w KQkq -'],
+  ['E10', 'Blumenfeld counter-gambit accepted', 'd4 Nf6 c4 e6 Nf3 c5 d5 b5 dxe6 fxe6 cxb5 d5', 'rnbqkb1r/p5pp/4pn2/1Ppp4/8/5N2/PP2PPPP/RNBQKB1R w KQkq -'],
+  ['E10', 'Blumenfeld counter-gambit, Dus-Chotimursky variation', 'd4 Nf6 c4 e6 Nf3 c5 d5 b5 Bg5', 'rnbqkb1r/p2p1ppp/4pn2/1ppP2B1/2P5/5N2/PP2PPPP/RN1QKB1R b KQkq -'],
+  ['E10', 'Blumenfeld counter-gambit, Spielmann variation', 'd4 Nf6 c4 e6 Nf3 c5 d5 b5 Bg5 exd5 cxd5 h6', 'rnbqkb1r/p2p1pp1/5n1p/1ppP2B1/8/5N2/PP2PPPP/RN1QKB1R w KQkq -'],
+  ['E10', 'Dzindzikhashvili defence', 'd4 Nf6 c4 e6 Nf3 a6', 'rnbqkb1r/1ppp1ppp/p3pn2/8/2PP4/5N2/PP2PPPP/RNBQKB1R w KQkq -'],
+  ['E10', 'Doery defence', 'd4 Nf6 c4 e6 Nf3 Ne4', 'rnbqkb1r/pppp1ppp/4p3/8/2PPn3/5N2/PP2PPPP/RNBQKB1R w KQkq -'],
+  ['E11', 'Bogo-Indian defence', 'd4 Nf6 c4 e6 Nf3 Bb4+', 'rnbqk2r/pppp1ppp/4pn2/8/1bPP4/5N2/PP2PPPP/RNBQKB1R w KQkq -'],
+  ['E11', 'Bogo-Indian defence, Gruenfeld variation', 'd4 Nf6 c4 e6 Nf3 Bb4+ Nbd2', 'rnbqk2r/pppp1ppp/4pn2/8/1bPP4/5N2/PP1NPPPP/R1BQKB1R b KQkq -'],
+  ['E11', 'Bogo-Indian defence, Nimzovich variation', 'd4 Nf6 c4 e6 Nf3 Bb4+ Bd2 Qe7', 'rnb1k2r/ppppqppp/4pn2/8/1bPP4/5N2/PP1BPPPP/RN1QKB1R w KQkq -'],
+  ['E11', 'Bogo-Indian defence, Monticelli trap', 'd4 Nf6 c4 e6 Nf3 Bb4+ Bd2 Bxd2+ Qxd2 b6 g3 Bb7 Bg2 O-O Nc3 Ne4 Qc2 Nxc3 Ng5', 'rn1q1rk1/pbpp1ppp/1p2p3/6N1/2PP4/2n3P1/PPQ1PPBP/R3K2R b KQ -'],
+  ['E12', "Queen's Indian defence", 'd4 Nf6 c4 e6 Nf3 b6', 'rnbqkb1r/p1pp1ppp/1p2pn2/8/2PP4/5N2/PP2PPPP/RNBQKB1R w KQkq -'],
+  ['E12', "Queen's Indian, Miles variation", 'd4 Nf6 c4 e6 Nf3 b6 Bf4', 'rnbqkb1r/p1pp1ppp/1p2pn2/8/2PP1B2/5N2/PP2PPPP/RN1QKB1R b KQkq -'],
+  ['E12', "Queen's Indian, Petrosian system", 'd4 Nf6 c4 e6 Nf3 b6 a3', 'rnbqkb1r/p1pp1ppp/1p2pn2/8/2PP4/P4N2/1P2PPPP/RNBQKB1R b KQkq -'],
+  ['E12', "Queen's Indian, 4.Nc3", 'd4 Nf6 c4 e6 Nf3 b6 Nc3', 'rnbqkb1r/p1pp1ppp/1p2pn2/8/2PP4/2N2N2/PP2PPPP/R1BQKB1R b KQkq -'],
+  ['E12', "Queen's Indian, 4.Nc3, Botvinnik variation", 'd4 Nf6 c4 e6 Nf3 b6 Nc3 Bb7 Bg5 h6 Bh4 g5 Bg3 Nh5', 'rn1qkb1r/pbpp1p2/1p2p2p/6pn/2PP4/2N2NB1/PP2PPPP/R2QKB1R w KQkq -'],
+  ['E13', "Queen's Indian, 4.Nc3, main line", 'd4 Nf6 c4 e6 Nf3 b6 Nc3 Bb7 Bg5 h6 Bh4 Bb4', 'rn1qk2r/pbpp1pp1/1p2pn1p/8/1bPP3B/2N2N2/PP2PPPP/R2QKB1R w KQkq -'],
+  ['E14', "Queen's Indian, 4.e3", 'd4 Nf6 c4 e6 Nf3 b6 e3', 'rnbqkb1r/p1pp1ppp/1p2pn2/8/2PP4/4PN2/PP3PPP/RNBQKB1R b KQkq -'],
+  ['E14', "Queen's Indian, Averbakh variation", 'd4 Nf6 c4 e6 Nf3 b6 e3 Bb7 Bd3 c5 O-O Be7 b3 O-O Bb2 cxd4 Nxd4', 'rn1q1rk1/pb1pbppp/1p2pn2/8/2PN4/1P1BP3/PB3PPP/RN1Q1RK1 b - -'],
+  ['E15', "Queen's Indian, 4.g3", 'd4 Nf6 c4 e6 Nf3 b6 g3', 'rnbqkb1r/p1pp1ppp/1p2pn2/8/2PP4/5NP1/PP2PP1P/RNBQKB1R b KQkq -'],
+  ['E15', "Queen's Indian, Nimzovich variation (exaggerated fianchetto)", 'd4 Nf6 c4 e6 Nf3 b6 g3 Ba6', 'rn1qkb1r/p1pp1ppp/bp2pn2/8/2PP4/5NP1/PP2PP1P/RNBQKB1R w KQkq -'],
+  ['E15', "Queen's Indian, 4.g3 Bb7", 'd4 Nf6 c4 e6 Nf3 b6 g3 Bb7', 'rn1qkb1r/pbpp1ppp/1p2pn2/8/2PP4/5NP1/PP2PP1P/RNBQKB1R w KQkq -'],
+  ['E15', "Queen's Indian, Rubinstein variation", 'd4 Nf6 c4 e6 Nf3 b6 g3 Bb7 Bg2 c5 d5 exd5 Nh4', 'rn1qkb1r/pb1p1ppp/1p3n2/2pp4/2P4N/6P1/PP2PPBP/RNBQK2R b KQkq -'],
+  ['E15', "Queen's Indian, Buerger variation", 'd4 Nf6 c4 e6 Nf3 b6 g3 Bb7 Bg2 c5 d5 exd5 Ng5', 'rn1qkb1r/pb1p1ppp/1p3n2/2pp2N1/2P5/6P1/PP2PPBP/RNBQK2R b KQkq -'],
+  ['E16', "Queen's Indian, Capablanca variation", 'd4 Nf6 c4 e6 Nf3 b6 g3 Bb7 Bg2 Bb4+', 'rn1qk2r/pbpp1ppp/1p2pn2/8/1bPP4/5NP1/PP2PPBP/RNBQK2R w KQkq -'],
+  ['E16', "Queen's Indian, Yates variation", 'd4 Nf6 c4 e6 Nf3 b6 g3 Bb7 Bg2 Bb4+ Bd2 a5', 'rn1qk2r/1bpp1ppp/1p2pn2/p7/1bPP4/5NP1/PP1BPPBP/RN1QK2R w KQkq -'],
+  ['E16', "Queen's Indian, Riumin variation", 'd4 Nf6 c4 e6 Nf3 b6 g3 Bb7 Bg2 Bb4+ Bd2 Be7', 'rn1qk2r/pbppbppp/1p2pn2/8/2PP4/5NP1/PP1BPPBP/RN1QK2R w KQkq -'],
+  ['E17', "Queen's Indian, 5.Bg2 Be7", 'd4 Nf6 c4 e6 Nf3 b6 g3 Bb7 Bg2 Be7', 'rn1qk2r/pbppbppp/1p2pn2/8/2PP4/5NP1/PP2PPBP/RNBQK2R w KQkq -'],
+  ['E17', "Queen's Indian, anti-Queen's Indian system", 'd4 Nf6 c4 e6 Nf3 b6 g3 Bb7 Bg2 Be7 Nc3', 'rn1qk2r/pbppbppp/1p2pn2/8/2PP4/2N2NP1/PP2PPBP/R1BQK2R b KQkq -'],
+  ['E17', "Queen's Indian, Opovcensky variation", 'd4 Nf6 c4 e6 Nf3 b6 g3 Bb7 Bg2 Be7 Nc3 Ne4 Bd2', 'rn1qk2r/pbppbppp/1p2p3/8/2PPn3/2N2NP1/PP1BPPBP/R2QK2R b KQkq -'],
+  ['E17', "Queen's Indian, old main line, 6.O-O", 'd4 Nf6 c4 e6 Nf3 b6 g3 Bb7 Bg2 Be7 O-O', 'rn1qk2r/pbppbppp/1p2pn2/8/2PP4/5NP1/PP2PPBP/RNBQ1RK1 b kq -'],
+  ['E17', "Queen's Indian, Euwe variation", 'd4 Nf6 c4 e6 Nf3 b6 g3 Bb7 Bg2 Be7 O-O O-O b3', 'rn1q1rk1/pbppbppp/1p2pn2/8/2PP4/1P3NP1/P3PPBP/RNBQ1RK1 b - -'],
+  ['E18', "Queen's Indian, old main line, 7.Nc3", 'd4 Nf6 c4 e6 Nf3 b6 g3 Bb7 Bg2 Be7 O-O O-O Nc3', 'rn1q1rk1/pbppbppp/1p2pn2/8/2PP4/2N2NP1/PP2PPBP/R1BQ1RK1 b - -'],
+  ['E19', "Queen's Indian, old main line, 9.Qxc3", 'd4 Nf6 c4 e6 Nf3 b6 g3 Bb7 Bg2 Be7 O-O O-O Nc3 Ne4 Qc2 Nxc3 Qxc3', 'rn1q1rk1/pbppbppp/1p2p3/8/2PP4/2Q2NP1/PP2PPBP/R1B2RK1 b - -'],
+  ['E20', 'Nimzo-Indian defence', 'd4 Nf6 c4 e6 Nc3 Bb4', 'rnbqk2r/pppp1ppp/4pn2/8/1bPP4/2N5/PP2PPPP/R1BQKBNR w KQkq -'],
+  ['E20', 'Nimzo-Indian, Kmoch variation', 'd4 Nf6 c4 e6 Nc3 Bb4 f3', 'rnbqk2r/pppp1ppp/4pn2/8/1bPP4/2N2P2/PP2P1PP/R1BQKBNR b KQkq -'],
+  ['E20', 'Nimzo-Indian, Mikenas attack', 'd4 Nf6 c4 e6 Nc3 Bb4 Qd3', 'rnbqk2r/pppp1ppp/4pn2/8/1bPP4/2NQ4/PP2PPPP/R1B1KBNR b KQkq -'],
+  ['E20', 'Nimzo-Indian, Romanishin-Kasparov (Steiner) system', 'd4 Nf6 c4 e6 Nc3 Bb4 g3', 'rnbqk2r/pppp1ppp/4pn2/8/1bPP4/2N3P1/PP2PP1P/R1BQKBNR b KQkq -'],
+  ['E21', 'Nimzo-Indian, three knights variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Nf3', 'rnbqk2r/pppp1ppp/4pn2/8/1bPP4/2N2N2/PP2PPPP/R1BQKB1R b KQkq -'],
+  ['E21', 'Nimzo-Indian, three knights, Korchnoi variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Nf3 c5 d5', 'rnbqk2r/pp1p1ppp/4pn2/2pP4/1bP5/2N2N2/PP2PPPP/R1BQKB1R b KQkq -'],
+  ['E21', 'Nimzo-Indian, three knights, Euwe variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Nf3 c5 d5 Ne4', 'rnbqk2r/pp1p1ppp/4p3/2pP4/1bP1n3/2N2N2/PP2PPPP/R1BQKB1R w KQkq -'],
+  ['E22', 'Nimzo-Indian, Spielmann variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Qb3', 'rnbqk2r/pppp1ppp/4pn2/8/1bPP4/1QN5/PP2PPPP/R1B1KBNR b KQkq -'],
+  ['E23', 'Nimzo-Indian, Spielmann, 4...c5, 5.dc Nc6', 'd4 Nf6 c4 e6 Nc3 Bb4 Qb3 c5 dxc5 Nc6', 'r1bqk2r/pp1p1ppp/2n1pn2/2P5/1bP5/1QN5/PP2PPPP/R1B1KBNR w KQkq -'],
+  ['E23', 'Nimzo-Indian, Spielmann, Karlsbad variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Qb3 c5 dxc5 Nc6 Nf3 Ne4 Bd2 Nxd2', 'r1bqk2r/pp1p1ppp/2n1p3/2P5/1bP5/1QN2N2/PP1nPPPP/R3KB1R w KQkq -'],
+  ['E23', 'Nimzo-Indian, Spielmann, San Remo variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Qb3 c5 dxc5 Nc6 Nf3 Ne4 Bd2 Nxc5', 'r1bqk2r/pp1p1ppp/2n1p3/2n5/1bP5/1QN2N2/PP1BPPPP/R3KB1R w KQkq -'],
+  ['E23', 'Nimzo-Indian, Spielmann, Staahlberg variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Qb3 c5 dxc5 Nc6 Nf3 Ne4 Bd2 Nxc5 Qc2 f5 g3', 'r1bqk2r/pp1p2pp/2n1p3/2n2p2/1bP5/2N2NP1/PPQBPP1P/R3KB1R b KQkq -'],
+  ['E24', 'Nimzo-Indian, Saemisch variation', 'd4 Nf6 c4 e6 Nc3 Bb4 a3 Bxc3+ bxc3', 'rnbqk2r/pppp1ppp/4pn2/8/2PP4/P1P5/4PPPP/R1BQKBNR b KQkq -'],
+  ['E24', 'Nimzo-Indian, Saemisch, Botvinnik variation', 'd4 Nf6 c4 e6 Nc3 Bb4 a3 Bxc3+ bxc3 c5 f3 d5 e3 O-O cxd5 Nxd5', 'rnbq1rk1/pp3ppp/4p3/2pn4/3P4/P1P1PP2/6PP/R1BQKBNR w KQ -'],
+  ['E25', 'Nimzo-Indian, Saemisch variation', 'd4 Nf6 c4 e6 Nc3 Bb4 a3 Bxc3+ bxc3 c5 f3 d5 cxd5', 'rnbqk2r/pp3ppp/4pn2/2pP4/3P4/P1P2P2/4P1PP/R1BQKBNR b KQkq -'],
+  ['E25', 'Nimzo-Indian, Saemisch, Keres variation', 'd4 Nf6 c4 e6 Nc3 Bb4 a3 Bxc3+ bxc3 c5 f3 d5 cxd5 Nxd5 dxc5', 'rnbqk2r/pp3ppp/4p3/2Pn4/8/P1P2P2/4P1PP/R1BQKBNR b KQkq -'],
+  ['E25', 'Nimzo-Indian, Saemisch, Romanovsky variation', 'd4 Nf6 c4 e6 Nc3 Bb4 a3 Bxc3+ bxc3 c5 f3 d5 cxd5 Nxd5 dxc5 f5', 'rnbqk2r/pp4pp/4p3/2Pn1p2/8/P1P2P2/4P1PP/R1BQKBNR w KQkq -'],
+  ['E26', 'Nimzo-Indian, Saemisch variation', 'd4 Nf6 c4 e6 Nc3 Bb4 a3 Bxc3+ bxc3 c5 e3', 'rnbqk2r/pp1p1ppp/4pn2/2p5/2PP4/P1P1P3/5PPP/R1BQKBNR b KQkq -'],
+  ['E26', "Nimzo-Indian, Saemisch, O'Kelly variation", 'd4 Nf6 c4 e6 Nc3 Bb4 a3 Bxc3+ bxc3 c5 e3 b6', 'rnbqk2r/p2p1ppp/1p2pn2/2p5/2PP4/P1P1P3/5PPP/R1BQKBNR w KQkq -'],
+  ['E27', 'Nimzo-Indian, Saemisch variation', 'd4 Nf6 c4 e6 Nc3 Bb4 a3 Bxc3+ bxc3 O-O', 'rnbq1rk1/pppp1ppp/4pn2/8/2PP4/P1P5/4PPPP/R1BQKBNR w KQ -'],
+  ['E28', 'Nimzo-Indian, Saemisch variation', 'd4 Nf6 c4 e6 Nc3 Bb4 a3 Bxc3+ bxc3 O-O e3', 'rnbq1rk1/pppp1ppp/4pn2/8/2PP4/P1P1P3/5PPP/R1BQKBNR b KQ -'],
+  ['E29', 'Nimzo-Indian, Saemisch, main line', 'd4 Nf6 c4 e6 Nc3 Bb4 a3 Bxc3+ bxc3 O-O e3 c5 Bd3 Nc6', 'r1bq1rk1/pp1p1ppp/2n1pn2/2p5/2PP4/P1PBP3/5PPP/R1BQK1NR w KQ -'],
+  ['E29', 'Nimzo-Indian, Saemisch, Capablanca variation', 'd4 Nf6 c4 e6 Nc3 Bb4 a3 Bxc3+ bxc3 O-O e3 c5 Bd3 Nc6 Ne2 b6 e4 Ne8', 'r1bqnrk1/p2p1ppp/1pn1p3/2p5/2PPP3/P1PB4/4NPPP/R1BQK2R w KQ -'],
+  ['E30', 'Nimzo-Indian, Leningrad variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Bg5', 'rnbqk2r/pppp1ppp/4pn2/6B1/1bPP4/2N5/PP2PPPP/R2QKBNR b KQkq -'],
+  ['E30', 'Nimzo-Indian, Leningrad, ...b5 gambit', 'd4 Nf6 c4 e6 Nc3 Bb4 Bg5 h6 Bh4 c5 d5 b5', 'rnbqk2r/p2p1pp1/4pn1p/1ppP4/1bP4B/2N5/PP2PPPP/R2QKBNR w KQkq -'],
+  ['E31', 'Nimzo-Indian, Leningrad, main line', 'd4 Nf6 c4 e6 Nc3 Bb4 Bg5 h6 Bh4 c5 d5 d6', 'rnbqk2r/pp3pp1/3ppn1p/2pP4/1bP4B/2N5/PP2PPPP/R2QKBNR w KQkq -'],
+  ['E32', 'Nimzo-Indian, classical variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2', 'rnbqk2r/pppp1ppp/4pn2/8/1bPP4/2N5/PPQ1PPPP/R1B1KBNR b KQkq -'],
+  ['E32', 'Nimzo-Indian, classical, Adorjan gambit', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 O-O a3 Bxc3+ Qxc3 b5', 'rnbq1rk1/p1pp1ppp/4pn2/1p6/2PP4/P1Q5/1P2PPPP/R1B1KBNR w KQ -'],
+  ['E33', 'Nimzo-Indian, classical, 4...Nc6', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 Nc6', 'r1bqk2r/pppp1ppp/2n1pn2/8/1bPP4/2N5/PPQ1PPPP/R1B1KBNR w KQkq -'],
+  ['E33', 'Nimzo-Indian, classical, Milner-Barry (Zurich) variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 Nc6 Nf3 d6', 'r1bqk2r/ppp2ppp/2nppn2/8/1bPP4/2N2N2/PPQ1PPPP/R1B1KB1R w KQkq -'],
+  ['E34', 'Nimzo-Indian, classical, Noa variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 d5', 'rnbqk2r/ppp2ppp/4pn2/3p4/1bPP4/2N5/PPQ1PPPP/R1B1KBNR w KQkq -'],
+  ['E35', 'Nimzo-Indian, classical, Noa variation, 5.cd ed', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 d5 cxd5 exd5', 'rnbqk2r/ppp2ppp/5n2/3p4/1b1P4/2N5/PPQ1PPPP/R1B1KBNR w KQkq -'],
+  ['E36', 'Nimzo-Indian, classical, Noa variation, 5.a3', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 d5 a3', 'rnbqk2r/ppp2ppp/4pn2/3p4/1bPP4/P1N5/1PQ1PPPP/R1B1KBNR b KQkq -'],
+  ['E36', 'Nimzo-Indian, classical, Botvinnik variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 d5 a3 Bxc3+ Qxc3 Nc6', 'r1bqk2r/ppp2ppp/2n1pn2/3p4/2PP4/P1Q5/1P2PPPP/R1B1KBNR w KQkq -'],
+  ['E36', 'Nimzo-Indian, classical, Noa variation, main line', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 d5 a3 Bxc3+ Qxc3 Ne4', 'rnbqk2r/ppp2ppp/4p3/3p4/2PPn3/P1Q5/1P2PPPP/R1B1KBNR w KQkq -'],
+  ['E37', 'Nimzo-Indian, classical, Noa variation, main line, 7.Qc2', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 d5 a3 Bxc3+ Qxc3 Ne4 Qc2', 'rnbqk2r/ppp2ppp/4p3/3p4/2PPn3/P7/1PQ1PPPP/R1B1KBNR b KQkq -'],
+  ['E37', 'Nimzo-Indian, classical, San Remo variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 d5 a3 Bxc3+ Qxc3 Ne4 Qc2 Nc6 e3 e5', 'r1bqk2r/ppp2ppp/2n5/3pp3/2PPn3/P3P3/1PQ2PPP/R1B1KBNR w KQkq -'],
+  ['E38', 'Nimzo-Indian, classical, 4...c5', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 c5', 'rnbqk2r/pp1p1ppp/4pn2/2p5/1bPP4/2N5/PPQ1PPPP/R1B1KBNR w KQkq -'],
+  ['E39', 'Nimzo-Indian, classical, Pirc variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 c5 dxc5 O-O', 'rnbq1rk1/pp1p1ppp/4pn2/2P5/1bP5/2N5/PPQ1PPPP/R1B1KBNR w KQ -'],
+  ['E40', 'Nimzo-Indian, 4.e3', 'd4 Nf6 c4 e6 Nc3 Bb4 e3', 'rnbqk2r/pppp1ppp/4pn2/8/1bPP4/2N1P3/PP3PPP/R1BQKBNR b KQkq -'],
+  ['E40', 'Nimzo-Indian, 4.e3, Taimanov variation', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 Nc6', 'r1bqk2r/pppp1ppp/2n1pn2/8/1bPP4/2N1P3/PP3PPP/R1BQKBNR w KQkq -'],
+  ['E41', 'Nimzo-Indian, 4.e3 c5', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 c5', 'rnbqk2r/pp1p1ppp/4pn2/2p5/1bPP4/2N1P3/PP3PPP/R1BQKBNR w KQkq -'],
+  ['E41', 'Nimzo-Indian, e3, Huebner variation', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 c5 Bd3 Nc6 Nf3 Bxc3+ bxc3 d6', 'r1bqk2r/pp3ppp/2nppn2/2p5/2PP4/2PBPN2/P4PPP/R1BQK2R w KQkq -'],
+  ['E42', 'Nimzo-Indian, 4.e3 c5, 5.Ne2 (Rubinstein)', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 c5 Ne2', 'rnbqk2r/pp1p1ppp/4pn2/2p5/1bPP4/2N1P3/PP2NPPP/R1BQKB1R b KQkq -'],
+  ['E43', 'Nimzo-Indian, Fischer variation', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 b6', 'rnbqk2r/p1pp1ppp/1p2pn2/8/1bPP4/2N1P3/PP3PPP/R1BQKBNR w KQkq -'],
+  ['E44', 'Nimzo-Indian, Fischer variation, 5.Ne2', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 b6 Ne2', 'rnbqk2r/p1pp1ppp/1p2pn2/8/1bPP4/2N1P3/PP2NPPP/R1BQKB1R b KQkq -'],
+  ['E45', 'Nimzo-Indian, 4.e3, Bronstein (Byrne) variation', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 b6 Ne2 Ba6', 'rn1qk2r/p1pp1ppp/bp2pn2/8/1bPP4/2N1P3/PP2NPPP/R1BQKB1R w KQkq -'],
+  ['E46', 'Nimzo-Indian, 4.e3 O-O', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O', 'rnbq1rk1/pppp1ppp/4pn2/8/1bPP4/2N1P3/PP3PPP/R1BQKBNR w KQ -'],
+  ['E46', 'Nimzo-Indian, Reshevsky variation', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Ne2', 'rnbq1rk1/pppp1ppp/4pn2/8/1bPP4/2N1P3/PP2NPPP/R1BQKB1R b KQ -'],
+  ['E46', 'Nimzo-Indian, Simagin variation', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Ne2 d5 a3 Bd6', 'rnbq1rk1/ppp2ppp/3bpn2/3p4/2PP4/P1N1P3/1P2NPPP/R1BQKB1R w KQ -'],
+  ['E47', 'Nimzo-Indian, 4.e3 O-O, 5.Bd3', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Bd3', 'rnbq1rk1/pppp1ppp/4pn2/8/1bPP4/2NBP3/PP3PPP/R1BQK1NR b KQ -'],
+  ['E48', 'Nimzo-Indian, 4.e3 O-O, 5.Bd3 d5', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Bd3 d5', 'rnbq1rk1/ppp2ppp/4pn2/3p4/1bPP4/2NBP3/PP3PPP/R1BQK1NR w KQ -'],
+  ['E49', 'Nimzo-Indian, 4.e3, Botvinnik system', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Bd3 d5 a3 Bxc3+ bxc3', 'rnbq1rk1/ppp2ppp/4pn2/3p4/2PP4/P1PBP3/5PPP/R1BQK1NR b KQ -'],
+  ['E50', 'Nimzo-Indian, 4.e3 e8g8, 5.Nf3, without ...d5', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Nf3', 'rnbq1rk1/pppp1ppp/4pn2/8/1bPP4/2N1PN2/PP3PPP/R1BQKB1R b KQ -'],
+  ['E51', 'Nimzo-Indian, 4.e3 e8g8, 5.Nf3 d7d5', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Nf3 d5', 'rnbq1rk1/ppp2ppp/4pn2/3p4/1bPP4/2N1PN2/PP3PPP/R1BQKB1R w KQ -'],
+  ['E51', 'Nimzo-Indian, 4.e3, Ragozin variation', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Nf3 d5 Bd3 Nc6 O-O dxc4', 'r1bq1rk1/ppp2ppp/2n1pn2/8/1bpP4/2NBPN2/PP3PPP/R1BQ1RK1 w - -'],
+  ['E52', 'Nimzo-Indian, 4.e3, main line with ...b6', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Nf3 d5 Bd3 b6', 'rnbq1rk1/p1p2ppp/1p2pn2/3p4/1bPP4/2NBPN2/PP3PPP/R1BQK2R w KQ -'],
+  ['E53', 'Nimzo-Indian, 4.e3, main line with ...c5', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Nf3 d5 Bd3 c5', 'rnbq1rk1/pp3ppp/4pn2/2pp4/1bPP4/2NBPN2/PP3PPP/R1BQK2R w KQ -'],
+  ['E53', 'Nimzo-Indian, 4.e3, Keres variation', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Nf3 d5 Bd3 c5 O-O b6', 'rnbq1rk1/p4ppp/1p2pn2/2pp4/1bPP4/2NBPN2/PP3PPP/R1BQ1RK1 w - -'],
+  ['E53', 'Nimzo-Indian, 4.e3, Gligoric system with 7...Nbd7', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Nf3 d5 Bd3 c5 O-O Nbd7', 'r1bq1rk1/pp1n1ppp/4pn2/2pp4/1bPP4/2NBPN2/PP3PPP/R1BQ1RK1 w - -'],
+  ['E54', 'Nimzo-Indian, 4.e3, Gligoric system with 7...dc', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Nf3 d5 Bd3 c5 O-O dxc4 Bxc4', 'rnbq1rk1/pp3ppp/4pn2/2p5/1bBP4/2N1PN2/PP3PPP/R1BQ1RK1 b - -'],
+  ['E54', 'Nimzo-Indian, 4.e3, Gligoric system, Smyslov variation', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Nf3 d5 Bd3 c5 O-O dxc4 Bxc4 Qe7', 'rnb2rk1/pp2qppp/4pn2/2p5/1bBP4/2N1PN2/PP3PPP/R1BQ1RK1 w - -'],
+  ['E55', 'Nimzo-Indian, 4.e3, Gligoric system, Bronstein variation', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Nf3 d5 Bd3 c5 O-O dxc4 Bxc4 Nbd7', 'r1bq1rk1/pp1n1ppp/4pn2/2p5/1bBP4/2N1PN2/PP3PPP/R1BQ1RK1 w - -'],
+  ['E56', 'Nimzo-Indian, 4.e3, main line with 7...Nc6', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Nf3 d5 Bd3 c5 O-O Nc6', 'r1bq1rk1/pp3ppp/2n1pn2/2pp4/1bPP4/2NBPN2/PP3PPP/R1BQ1RK1 w - -'],
+  ['E57', 'Nimzo-Indian, 4.e3, main line with 8...dc and 9...cd', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Nf3 d5 Bd3 c5 O-O Nc6 a3 dxc4 Bxc4 cxd4', 'r1bq1rk1/pp3ppp/2n1pn2/8/1bBp4/P1N1PN2/1P3PPP/R1BQ1RK1 w - -'],
+  ['E58', 'Nimzo-Indian, 4.e3, main line with 8...Bxc3', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Nf3 d5 Bd3 c5 O-O Nc6 a3 Bxc3 bxc3', 'r1bq1rk1/pp3ppp/2n1pn2/2pp4/2PP4/P1PBPN2/5PPP/R1BQ1RK1 b - -'],
+  ['E59', 'Nimzo-Indian, 4.e3, main line', 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O Nf3 d5 Bd3 c5 O-O Nc6 a3 Bxc3 bxc3 dxc4 Bxc4', 'r1bq1rk1/pp3ppp/2n1pn2/2p5/2BP4/P1P1PN2/5PPP/R1BQ1RK1 b - -'],
+  ['E60', "King's Indian defence", 'd4 Nf6 c4 g6', 'rnbqkb1r/pppppp1p/5np1/8/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['E60', "King's Indian, 3.Nf3", 'd4 Nf6 c4 g6 Nf3', 'rnbqkb1r/pppppp1p/5np1/8/2PP4/5N2/PP2PPPP/RNBQKB1R b KQkq -'],
+  ['E60', "Queen's pawn, Mengarini attack", 'd4 Nf6 c4 g6 Qc2', 'rnbqkb1r/pppppp1p/5np1/8/2PP4/8/PPQ1PPPP/RNB1KBNR b KQkq -'],
+  ['E60', "King's Indian, Anti-Gruenfeld", 'd4 Nf6 c4 g6 d5', 'rnbqkb1r/pppppp1p/5np1/3P4/2P5/8/PP2PPPP/RNBQKBNR b KQkq -'],
+  ['E60', "King's Indian, Danube gambit", 'd4 Nf6 c4 g6 d5 b5', 'rnbqkb1r/p1pppp1p/5np1/1p1P4/2P5/8/PP2PPPP/RNBQKBNR w KQkq -'],
+  ['E60', "King's Indian, 3.g3", 'd4 Nf6 c4 g6 g3', 'rnbqkb1r/pppppp1p/5np1/8/2PP4/6P1/PP2PP1P/RNBQKBNR b KQkq -'],
+  ['E60', "King's Indian, 3.g3, counterthrust variation", 'd4 Nf6 c4 g6 g3 Bg7 Bg2 d5', 'rnbqk2r/ppp1ppbp/5np1/3p4/2PP4/6P1/PP2PPBP/RNBQK1NR w KQkq -'],
+  ['E61', "King's Indian defence, 3.Nc3", 'd4 Nf6 c4 g6 Nc3', 'rnbqkb1r/pppppp1p/5np1/8/2PP4/2N5/PP2PPPP/R1BQKBNR b KQkq -'],
+  ['E61', "King's Indian, Smyslov system", 'd4 Nf6 c4 g6 Nc3 Bg7 Nf3 d6 Bg5', 'rnbqk2r/ppp1ppbp/3p1np1/6B1/2PP4/2N2N2/PP2PPPP/R2QKB1R b KQkq -'],
+  ['E62', "King's Indian, fianchetto variation", 'd4 Nf6 c4 g6 Nc3 Bg7 Nf3 d6 g3', 'rnbqk2r/ppp1ppbp/3p1np1/8/2PP4/2N2NP1/PP2PP1P/R1BQKB1R b KQkq -'],
+  ['E62', "King's Indian, fianchetto, Larsen system", 'd4 Nf6 c4 g6 Nc3 Bg7 Nf3 d6 g3 O-O Bg2 c6 O-O Bf5', 'rn1q1rk1/pp2ppbp/2pp1np1/5b2/2PP4/2N2NP1/PP2PPBP/R1BQ1RK1 w - -'],
+  ['E62', "King's Indian, fianchetto, Kavalek (Bronstein) variation", 'd4 Nf6 c4 g6 Nc3 Bg7 Nf3 d6 g3 O-O Bg2 c6 O-O Qa5', 'rnb2rk1/pp2ppbp/2pp1np1/q7/2PP4/2N2NP1/PP2PPBP/R1BQ1RK1 w - -'],
+  ['E62', "King's Indian, fianchetto with ...Nc6", 'd4 Nf6 c4 g6 Nc3 Bg7 Nf3 d6 g3 O-O Bg2 Nc6', 'r1bq1rk1/ppp1ppbp/2np1np1/8/2PP4/2N2NP1/PP2PPBP/R1BQK2R w KQ -'],
+  ['E62', "King's Indian, fianchetto, Uhlmann (Szabo) variation", 'd4 Nf6 c4 g6 Nc3 Bg7 Nf3 d6 g3 O-O Bg2 Nc6 O-O e5', 'r1bq1rk1/ppp2pbp/2np1np1/4p3/2PP4/2N2NP1/PP2PPBP/R1BQ1RK1 w - -'],
+  ['E62', "King's Indian, fianchetto, lesser Simagin (Spassky) variation", 'd4 Nf6 c4 g6 Nc3 Bg7 Nf3 d6 g3 O-O Bg2 Nc6 O-O Bf5', 'r2q1rk1/ppp1ppbp/2np1np1/5b2/2PP4/2N2NP1/PP2PPBP/R1BQ1RK1 w - -'],
+  ['E62', "King's Indian, fianchetto, Simagin variation", 'd4 Nf6 c4 g6 Nc3 Bg7 Nf3 d6 g3 O-O Bg2 Nc6 O-O Bg4', 'r2q1rk1/ppp1ppbp/2np1np1/8/2PP2b1/2N2NP1/PP2PPBP/R1BQ1RK1 w - -'],
+  ['E63', "King's Indian, fianchetto, Panno variation", 'd4 Nf6 c4 g6 Nc3 Bg7 Nf3 d6 g3 O-O Bg2 Nc6 O-O a6', 'r1bq1rk1/1pp1ppbp/p1np1np1/8/2PP4/2N2NP1/PP2PPBP/R1BQ1RK1 w - -'],
+  ['E64', "King's Indian, fianchetto, Yugoslav system", 'd4 Nf6 c4 g6 Nc3 Bg7 Nf3 d6 g3 O-O Bg2 c5', 'rnbq1rk1/pp2ppbp/3p1np1/2p5/2PP4/2N2NP1/PP2PPBP/R1BQK2R w KQ -'],
+  ['E65', "King's Indian, fianchetto, Yugoslav, 7.O-O", 'd4 Nf6 c4 g6 Nc3 Bg7 Nf3 d6 g3 O-O Bg2 c5 O-O', 'rnbq1rk1/pp2ppbp/3p1np1/2p5/2PP4/2N2NP1/PP2PPBP/R1BQ1RK1 b - -'],
+  ['E66', "King's Indian, fianchetto, Yugoslav Panno", 'd4 Nf6 c4 g6 Nc3 Bg7 Nf3 d6 g3 O-O Bg2 c5 O-O Nc6 d5', 'r1bq1rk1/pp2ppbp/2np1np1/2pP4/2P5/2N2NP1/PP2PPBP/R1BQ1RK1 b - -'],
+  ['E67', "King's Indian, fianchetto with ...Nd7", 'd4 Nf6 c4 g6 Nc3 Bg7 Nf3 d6 g3 O-O Bg2 Nbd7', 'r1bq1rk1/pppnppbp/3p1np1/8/2PP4/2N2NP1/PP2PPBP/R1BQK2R w KQ -'],
+  ['E67', "King's Indian, fianchetto, classical variation", 'd4 Nf6 c4 g6 Nc3 Bg7 Nf3 d6 g3 O-O Bg2 Nbd7 O-O e5', 'r1bq1rk1/pppn1pbp/3p1np1/4p3/2PP4/2N2NP1/PP2PPBP/R1BQ1RK1 w - -'],
+  ['E68', "King's Indian, fianchetto, classical variation, 8.e4", 'd4 Nf6 c4 g6 Nc3 Bg7 Nf3 d6 g3 O-O Bg2 Nbd7 O-O e5 e4', 'r1bq1rk1/pppn1pbp/3p1np1/4p3/2PPP3/2N2NP1/PP3PBP/R1BQ1RK1 b - -'],
+  ['E69', "King's Indian, fianchetto, classical main line", 'd4 Nf6 c4 g6 Nc3 Bg7 Nf3 d6 g3 O-O Bg2 Nbd7 O-O e5 e4 c6 h3', 'r1bq1rk1/pp1n1pbp/2pp1np1/4p3/2PPP3/2N2NPP/PP3PB1/R1BQ1RK1 b - -'],
+  ['E70', "King's Indian, 4.e4", 'd4 Nf6 c4 g6 Nc3 Bg7 e4', 'rnbqk2r/ppppppbp/5np1/8/2PPP3/2N5/PP3PPP/R1BQKBNR b KQkq -'],
+  ['E70', "King's Indian, Kramer system", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nge2', 'rnbqk2r/ppp1ppbp/3p1np1/8/2PPP3/2N5/PP2NPPP/R1BQKB1R b KQkq -'],
+  ['E70', "King's Indian, accelerated Averbakh system", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Bg5', 'rnbqk2r/ppp1ppbp/3p1np1/6B1/2PPP3/2N5/PP3PPP/R2QKBNR b KQkq -'],
+  ['E71', "King's Indian, Makagonov system (5.h3)", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 h3', 'rnbqk2r/ppp1ppbp/3p1np1/8/2PPP3/2N4P/PP3PP1/R1BQKBNR b KQkq -'],
+  ['E72', "King's Indian with e4 & g3", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 g3', 'rnbqk2r/ppp1ppbp/3p1np1/8/2PPP3/2N3P1/PP3P1P/R1BQKBNR b KQkq -'],
+  ['E72', "King's Indian, Pomar system", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 g3 O-O Bg2 e5 Nge2', 'rnbq1rk1/ppp2pbp/3p1np1/4p3/2PPP3/2N3P1/PP2NPBP/R1BQK2R b KQ -'],
+  ['E73', "King's Indian, 5.Be2", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Be2', 'rnbqk2r/ppp1ppbp/3p1np1/8/2PPP3/2N5/PP2BPPP/R1BQK1NR b KQkq -'],
+  ['E73', "King's Indian, Semi-Averbakh system", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Be2 O-O Be3', 'rnbq1rk1/ppp1ppbp/3p1np1/8/2PPP3/2N1B3/PP2BPPP/R2QK1NR b KQ -'],
+  ['E73', "King's Indian, Averbakh system", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Be2 O-O Bg5', 'rnbq1rk1/ppp1ppbp/3p1np1/6B1/2PPP3/2N5/PP2BPPP/R2QK1NR b KQ -'],
+  ['E74', "King's Indian, Averbakh, 6...c5", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Be2 O-O Bg5 c5', 'rnbq1rk1/pp2ppbp/3p1np1/2p3B1/2PPP3/2N5/PP2BPPP/R2QK1NR w KQ -'],
+  ['E75', "King's Indian, Averbakh, main line", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Be2 O-O Bg5 c5 d5 e6', 'rnbq1rk1/pp3pbp/3ppnp1/2pP2B1/2P1P3/2N5/PP2BPPP/R2QK1NR w KQ -'],
+  ['E76', "King's Indian, Four pawns attack", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f4', 'rnbqk2r/ppp1ppbp/3p1np1/8/2PPPP2/2N5/PP4PP/R1BQKBNR b KQkq -'],
+  ['E76', "King's Indian, Four pawns attack, dynamic line", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f4 O-O Nf3 c5 d5', 'rnbq1rk1/pp2ppbp/3p1np1/2pP4/2P1PP2/2N2N2/PP4PP/R1BQKB1R b KQ -'],
+  ['E77', "King's Indian, Four pawns attack, 6.Be2", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f4 O-O Be2', 'rnbq1rk1/ppp1ppbp/3p1np1/8/2PPPP2/2N5/PP2B1PP/R1BQK1NR b KQ -'],
+  ['E77', "King's Indian, Six pawns attack", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f4 O-O Be2 c5 d5 e6 dxe6 fxe6 g4 Nc6 h4', 'r1bq1rk1/pp4bp/2nppnp1/2p5/2P1PPPP/2N5/PP2B3/R1BQK1NR b KQ -'],
+  ['E77', "King's Indian, Four pawns attack", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f4 O-O Be2 c5 d5 e6 Nf3', 'rnbq1rk1/pp3pbp/3ppnp1/2pP4/2P1PP2/2N2N2/PP2B1PP/R1BQK2R b KQ -'],
+  ['E77', "King's Indian, Four pawns attack, Florentine gambit", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f4 O-O Be2 c5 d5 e6 Nf3 exd5 e5', 'rnbq1rk1/pp3pbp/3p1np1/2ppP3/2P2P2/2N2N2/PP2B1PP/R1BQK2R b KQ -'],
+  ['E78', "King's Indian, Four pawns attack, with Be2 and Nf3", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f4 O-O Be2 c5 Nf3', 'rnbq1rk1/pp2ppbp/3p1np1/2p5/2PPPP2/2N2N2/PP2B1PP/R1BQK2R b KQ -'],
+  ['E79', "King's Indian, Four pawns attack, main line", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f4 O-O Be2 c5 Nf3 cxd4 Nxd4 Nc6 Be3', 'r1bq1rk1/pp2ppbp/2np1np1/8/2PNPP2/2N1B3/PP2B1PP/R2QK2R b KQ -'],
+  ['E80', "King's Indian, Saemisch variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3', 'rnbqk2r/ppp1ppbp/3p1np1/8/2PPP3/2N2P2/PP4PP/R1BQKBNR b KQkq -'],
+  ['E81', "King's Indian, Saemisch, 5...O-O", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3 O-O', 'rnbq1rk1/ppp1ppbp/3p1np1/8/2PPP3/2N2P2/PP4PP/R1BQKBNR w KQ -'],
+  ['E81', "King's Indian, Saemisch, Byrne variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3 O-O Be3 c6 Bd3 a6', 'rnbq1rk1/1p2ppbp/p1pp1np1/8/2PPP3/2NBBP2/PP4PP/R2QK1NR w KQ -'],
+  ['E82', "King's Indian, Saemisch, double fianchetto variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3 O-O Be3 b6', 'rnbq1rk1/p1p1ppbp/1p1p1np1/8/2PPP3/2N1BP2/PP4PP/R2QKBNR w KQ -'],
+  ['E83', "King's Indian, Saemisch, 6...Nc6", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3 O-O Be3 Nc6', 'r1bq1rk1/ppp1ppbp/2np1np1/8/2PPP3/2N1BP2/PP4PP/R2QKBNR w KQ -'],
+  ['E83', "King's Indian, Saemisch, Ruban variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3 O-O Be3 Nc6 Nge2 Rb8', '1rbq1rk1/ppp1ppbp/2np1np1/8/2PPP3/2N1BP2/PP2N1PP/R2QKB1R w KQ -'],
+  ['E83', "King's Indian, Saemisch, Panno formation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3 O-O Be3 Nc6 Nge2 a6', 'r1bq1rk1/1pp1ppbp/p1np1np1/8/2PPP3/2N1BP2/PP2N1PP/R2QKB1R w KQ -'],
+  ['E84', "King's Indian, Saemisch, Panno main line", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3 O-O Be3 Nc6 Nge2 a6 Qd2 Rb8', '1rbq1rk1/1pp1ppbp/p1np1np1/8/2PPP3/2N1BP2/PP1QN1PP/R3KB1R w KQ -'],
+  ['E85', "King's Indian, Saemisch, orthodox variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3 O-O Be3 e5', 'rnbq1rk1/ppp2pbp/3p1np1/4p3/2PPP3/2N1BP2/PP4PP/R2QKBNR w KQ -'],
+  ['E86', "King's Indian, Saemisch, orthodox, 7.Nge2 c6", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3 O-O Be3 e5 Nge2 c6', 'rnbq1rk1/pp3pbp/2pp1np1/4p3/2PPP3/2N1BP2/PP2N1PP/R2QKB1R w KQ -'],
+  ['E87', "King's Indian, Saemisch, orthodox, 7.d5", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3 O-O Be3 e5 d5', 'rnbq1rk1/ppp2pbp/3p1np1/3Pp3/2P1P3/2N1BP2/PP4PP/R2QKBNR b KQ -'],
+  ['E87', "King's Indian, Saemisch, orthodox, Bronstein variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3 O-O Be3 e5 d5 Nh5 Qd2 Qh4+ g3 Nxg3 Qf2 Nxf1 Qxh4 Nxe3 Ke2 Nxc4', 'rnb2rk1/ppp2pbp/3p2p1/3Pp3/2n1P2Q/2N2P2/PP2K2P/R5NR w - -'],
+  ['E88', "King's Indian, Saemisch, orthodox, 7.d5 c6", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3 O-O Be3 e5 d5 c6', 'rnbq1rk1/pp3pbp/2pp1np1/3Pp3/2P1P3/2N1BP2/PP4PP/R2QKBNR w KQ -'],
+  ['E89', "King's Indian, Saemisch, orthodox main line", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3 O-O Be3 e5 d5 c6 Nge2 cxd5', 'rnbq1rk1/pp3pbp/3p1np1/3pp3/2P1P3/2N1BP2/PP2N1PP/R2QKB1R w KQ -'],
+  ['E90', "King's Indian, 5.Nf3", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3', 'rnbqk2r/ppp1ppbp/3p1np1/8/2PPP3/2N2N2/PP3PPP/R1BQKB1R b KQkq -'],
+  ['E90', "King's Indian, Larsen variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be3', 'rnbq1rk1/ppp1ppbp/3p1np1/8/2PPP3/2N1BN2/PP3PPP/R2QKB1R b KQ -'],
+  ['E90', "King's Indian, Zinnowitz variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Bg5', 'rnbq1rk1/ppp1ppbp/3p1np1/6B1/2PPP3/2N2N2/PP3PPP/R2QKB1R b KQ -'],
+  ['E91', "King's Indian, 6.Be2", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2', 'rnbq1rk1/ppp1ppbp/3p1np1/8/2PPP3/2N2N2/PP2BPPP/R1BQK2R b KQ -'],
+  ['E91', "King's Indian, Kazakh variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 Na6', 'r1bq1rk1/ppp1ppbp/n2p1np1/8/2PPP3/2N2N2/PP2BPPP/R1BQK2R w KQ -'],
+  ['E92', "King's Indian, classical variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5', 'rnbq1rk1/ppp2pbp/3p1np1/4p3/2PPP3/2N2N2/PP2BPPP/R1BQK2R w KQ -'],
+  ['E92', "King's Indian, Andersson variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 dxe5', 'rnbq1rk1/ppp2pbp/3p1np1/4P3/2P1P3/2N2N2/PP2BPPP/R1BQK2R b KQ -'],
+  ['E92', "King's Indian, Gligoric-Taimanov system", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 Be3', 'rnbq1rk1/ppp2pbp/3p1np1/4p3/2PPP3/2N1BN2/PP2BPPP/R2QK2R b KQ -'],
+  ['E92', "King's Indian, Petrosian system", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 d5', 'rnbq1rk1/ppp2pbp/3p1np1/3Pp3/2P1P3/2N2N2/PP2BPPP/R1BQK2R b KQ -'],
+  ['E92', "King's Indian, Petrosian system, Stein variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 d5 a5', 'rnbq1rk1/1pp2pbp/3p1np1/p2Pp3/2P1P3/2N2N2/PP2BPPP/R1BQK2R w KQ -'],
+  ['E93', "King's Indian, Petrosian system, main line", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 d5 Nbd7', 'r1bq1rk1/pppn1pbp/3p1np1/3Pp3/2P1P3/2N2N2/PP2BPPP/R1BQK2R w KQ -'],
+  ['E93', "King's Indian, Petrosian system, Keres variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 d5 Nbd7 Bg5 h6 Bh4 g5 Bg3 Nh5 h4', 'r1bq1rk1/pppn1pb1/3p3p/3Pp1pn/2P1P2P/2N2NB1/PP2BPP1/R2QK2R b KQ -'],
+  ['E94', "King's Indian, orthodox variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 O-O', 'rnbq1rk1/ppp2pbp/3p1np1/4p3/2PPP3/2N2N2/PP2BPPP/R1BQ1RK1 b - -'],
+  ['E94', "King's Indian, orthodox, Donner variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 O-O c6', 'rnbq1rk1/pp3pbp/2pp1np1/4p3/2PPP3/2N2N2/PP2BPPP/R1BQ1RK1 w - -'],
+  ['E94', "King's Indian, orthodox, 7...Nbd7", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 O-O Nbd7', 'r1bq1rk1/pppn1pbp/3p1np1/4p3/2PPP3/2N2N2/PP2BPPP/R1BQ1RK1 w - -'],
+  ['E95', "King's Indian, orthodox, 7...Nbd7, 8.Re1", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 O-O Nbd7 Re1', 'r1bq1rk1/pppn1pbp/3p1np1/4p3/2PPP3/2N2N2/PP2BPPP/R1BQR1K1 b - -'],
+  ['E96', "King's Indian, orthodox, 7...Nbd7, main line", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 O-O Nbd7 Re1 c6 Bf1 a5', 'r1bq1rk1/1p1n1pbp/2pp1np1/p3p3/2PPP3/2N2N2/PP3PPP/R1BQRBK1 w - -'],
+  ['E97', "King's Indian, orthodox, Aronin-Taimanov variation (Yugoslav attack / Mar del Plata variation)", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 O-O Nc6', 'r1bq1rk1/ppp2pbp/2np1np1/4p3/2PPP3/2N2N2/PP2BPPP/R1BQ1RK1 w - -'],
+  ['E97', "King's Indian, orthodox, Aronin-Taimanov, bayonet attack", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 O-O Nc6 d5 Ne7 b4', 'r1bq1rk1/ppp1npbp/3p1np1/3Pp3/1PP1P3/2N2N2/P3BPPP/R1BQ1RK1 b - -'],
+  ['E98', "King's Indian, orthodox, Aronin-Taimanov, 9.Ne1", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 O-O Nc6 d5 Ne7 Ne1', 'r1bq1rk1/ppp1npbp/3p1np1/3Pp3/2P1P3/2N5/PP2BPPP/R1BQNRK1 b - -'],
+  ['E99', "King's Indian, orthodox, Aronin-Taimanov, main line", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 O-O Nc6 d5 Ne7 Ne1 Nd7 f3 f5', 'r1bq1rk1/pppnn1bp/3p2p1/3Ppp2/2P1P3/2N2P2/PP2B1PP/R1BQNRK1 w - -'],
+  ['E99', "King's Indian, orthodox, Aronin-Taimanov, Benko attack", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 O-O Nc6 d5 Ne7 Ne1 Nd7 f3 f5 g4', 'r1bq1rk1/pppnn1bp/3p2p1/3Ppp2/2P1P1P1/2N2P2/PP2B2P/R1BQNRK1 b - -']
+];
@@ -0,0 +1,150 @@
+/**
+ * ExplorerService - Collects the moves played from each position in imported games
+ */
+import { Board } from '../models/Board.js';
+import { GameState } from '../models/GameState.js';
+import { MoveValidator } from '../models/MoveValidator.js';
+import { INITIAL_FEN, EXPLORER } from '../utils/Constants.js';
+import { LoggingService } from '../utils/LoggingService.js';
+
+export class ExplorerService {
+  /**
+   * Create an explorer service
+   * @param {FENService} fenService - Used to set up games
+   * @param {PGNService} pgnService - Used to resolve the moves of games
+   */
+  constructor(fenService, pgnService) {
+    this.fenService = fenService;
+    this.pgnService = pgnService;
+    
+    // Continuations by position key, each a Map of move statistics by move key
+    this.positions = new Map();
+    this.gameCount = 0;
+    
+    // PGN text of the games added, so loading a file again doesn't count its games twice
+    this.addedGames = new Set();
+  }
+
+  /**
+   * Add the main lines of games to the explorer
+   * Games with a move that can't be played are counted up to that move; games already
+   * added or with a starting position that can't be set up are skipped.
+   * @param {Array} games - Parsed games from PGNService.parsePGNDatabase
+   * @returns {Number} Number of games added
+   */
+  addGames(games) {
+    const addedGames = games.filter(game => {
+      if (this.addedGames.has(game.pgn)) return false;
+      this.addedGames.add(game.pgn);
+      return this.addGame(game);
+    });
+    this.gameCount += addedGames.length;
+    
+    LoggingService.info(`Explorer: ${this.gameCount} games, ${this.positions.size} positions`);
+    return addedGames.length;
+  }
+
+  /**
+   * Add the moves of a game's main line
+   * @param {Object} game - Parsed game
+   * @returns {Boolean} False if the game's starting position can't be set up
+   */
+  addGame(game) {
+    const board = new Board();
+    const gameState = new GameState();
+    
+    try {
+      this.fenService.parseFEN(game.startFEN || INITIAL_FEN, board, gameState);
+    } catch (error) {
+      LoggingService.warn(`Explorer: skipping game ${game.index + 1}: ${error.message}`);
+      return false;
+    }
+    
+    const validator = new MoveValidator(board, gameState);
+    
+    const result = game.result || game.headers.Result;
+    const rating = this.getAverageRating(game.headers);
+    
+    for (const move of game.moves.slice(0, EXPLORER.MAX_PLY)) {
+      const positionKey = validator.getPositionKey();
+      
+      let parsedMove;
+      try {
+        parsedMove = this.pgnService.parseAlgebraicNotation(
+          move.notation, gameState.currentPlayer, board, gameState, validator, move
+        );
+      } catch (error) {
+        LoggingService.warn(`Explorer: skipping the rest of game ${game.index + 1}: ${error.message}`);
+        break;
+      }
+      if (!parsedMove) break;
+      
+      const { from, to, specialMove, promotion } = parsedMove;
+      this.recordMove(positionKey, { from, to, promotion: promotion || null, notation: move.notation }, result, rating);
+      validator.applyMove(from[0], from[1], to[0], to[1], specialMove, promotion);
+    }
+    
+    return true;
+  }
+
+  /**
+   * Count a move played from a position
+   * @param {BigInt} positionKey - Key of the position
+   * @param {Object} move - Move { from, to, promotion, notation }
+   * @param {String} result - Result of the game
+   * @param {Number|null} rating - Average rating of the players, if known
+   */
+  recordMove(positionKey, move, result, rating) {
+    if (!this.positions.has(positionKey)) {
+      this.positions.set(positionKey, new Map());
+    }
+    const continuations = this.positions.get(positionKey);
+    
+    const moveKey = `${move.from}-${move.to}-${move.promotion}`;
+    if (!continuations.has(moveKey)) {
+      continuations.set(moveKey, { ...move, count: 0, white: 0, draws: 0, black: 0, ratingSum: 0, ratedCount: 0 });
+    }
+    const stats = continuations.get(moveKey);
+    
+    stats.count++;
+    if (result === '1-0') stats.white++;
+    else if (result === '0-1') stats.black++;
+    else if (result === '1/2-1/2') stats.draws++;
+    
+    if (rating !== null) {
+      stats.ratingSum += rating;
+      stats.ratedCount++;
+    }
+  }
+
+  /**
+   * Get the moves played from a position, most played first
+   * @param {BigInt} positionKey - Key of the position
+   * @returns {Array} Moves as { from, to, promotion, notation, count, white, draws,
+   *                  black, averageRating } (averageRating is null without ratings)
+   */
+  getMoves(positionKey) {
+    const continuations = this.positions.get(positionKey);
+    if (!continuations) return [];
+    
+    return [...continuations.values()]
+      .map(({ ratingSum, ratedCount, ...stats }) => ({
+        ...stats,
+        averageRating: ratedCount > 0 ? Math.round(ratingSum / ratedCount) : null
+      }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Get the average rating of a game's players
+   * @param {Object} headers - PGN tag pairs
+   * @returns {Number|null} Average of the known WhiteElo and BlackElo values, or null
+   */
+  getAverageRating(headers) {
+    const ratings = [headers.WhiteElo, headers.BlackElo]
+      .map(value => parseInt(value, 10))
+      .filter(value => value > 0);
+    
+    return ratings.length > 0 ? ratings.reduce((sum, value) => sum + value, 0) / ratings.length : null;
+  }
+}
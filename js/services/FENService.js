@@ -0,0 +1,397 @@
+/**
+ * FENService - Handles FEN (Forsyth-Edwards Notation) import and export
+ */
+import { BOARD_SIZE, COLORS, PIECE_TYPES, FILES, RANKS, FEN_PIECE_CHARS } from '../utils/Constants.js';
+import { FENParseError } from '../utils/ErrorHandler.js';
+import { PieceFactory } from '../models/pieces/PieceFactory.js';
+import { Board } from '../models/Board.js';
+import { MoveGenerator } from '../models/MoveGenerator.js';
+
+export class FENService {
+  /**
+   * Parse a FEN string and load the position into a board and game state
+   *
+   * @param {String} fen - FEN string to load
+   * @param {Board} board - Board to place the pieces on
+   * @param {GameState} gameState - Game state to update
+   * @returns {Object} - Parsed FEN fields
+   */
+  parseFEN(fen, board, gameState) {
+    const position = this.parsePosition(fen);
+
+    board.grid = position.grid;
+
+    gameState.currentPlayer = position.activeColor;
+    gameState.castlingRights = position.castlingRights;
+    gameState.enPassantTarget = position.enPassantTarget;
+    gameState.halfmoveClock = position.halfmoveClock;
+    gameState.fullmoveNumber = position.fullmoveNumber;
+    gameState.kingPositions = position.kingPositions;
+
+    return position;
+  }
+
+  /**
+   * Parse a FEN string into its fields without touching any game objects
+   *
+   * @param {String} fen - FEN string to parse
+   * @returns {Object} - Grid, active color, castling rights, en passant target,
+   *                     halfmove clock, fullmove number and king positions
+   */
+  parsePosition(fen) {
+    if (typeof fen !== 'string' || fen.trim() === '') {
+      throw new FENParseError('FEN string is empty', fen);
+    }
+
+    const fields = fen.trim().split(/\s+/);
+
+    // Move counters are optional (EPD-style positions), everything else is required
+    if (fields.length !== 4 && fields.length !== 6) {
+      throw new FENParseError(`expected 6 fields but found ${fields.length}`, fen);
+    }
+
+    const [placement, activeColor, castling, enPassant, halfmove = '0', fullmove = '1'] = fields;
+
+    const grid = this.parsePlacement(placement, fen);
+    const kingPositions = this.findKings(grid, fen);
+
+    if (activeColor !== 'w' && activeColor !== 'b') {
+      throw new FENParseError(`invalid active color "${activeColor}"`, fen);
+    }
+
+    // The player who just moved can't have left their own king in check
+    if (this.isInCheck(grid, activeColor === 'w' ? COLORS.BLACK : COLORS.WHITE)) {
+      throw new FENParseError('side not to move is in check', fen);
+    }
+
+    const castlingRights = this.parseCastlingRights(castling, grid, fen);
+    const enPassantTarget = this.parseEnPassant(enPassant, activeColor, fen);
+
+    if (!/^\d+$/.test(halfmove)) {
+      throw new FENParseError(`invalid halfmove clock "${halfmove}"`, fen);
+    }
+
+    if (!/^\d+$/.test(fullmove) || parseInt(fullmove, 10) < 1) {
+      throw new FENParseError(`invalid fullmove number "${fullmove}"`, fen);
+    }
+
+    this.applyMovedFlags(grid, castlingRights);
+
+    return {
+      grid,
+      activeColor: activeColor === 'w' ? COLORS.WHITE : COLORS.BLACK,
+      castlingRights,
+      enPassantTarget,
+      halfmoveClock: parseInt(halfmove, 10),
+      fullmoveNumber: parseInt(fullmove, 10),
+      kingPositions
+    };
+  }
+
+  /**
+   * Parse the piece placement field
+   *
+   * @param {String} placement - Piece placement field (ranks separated by '/')
+   * @param {String} fen - Full FEN string (for error reporting)
+   * @returns {Array} - 8x8 grid with piece instances
+   */
+  parsePlacement(placement, fen) {
+    const ranks = placement.split('/');
+
+    if (ranks.length !== BOARD_SIZE) {
+      throw new FENParseError(`expected ${BOARD_SIZE} ranks but found ${ranks.length}`, fen);
+    }
+
+    const charToType = {};
+    Object.entries(FEN_PIECE_CHARS).forEach(([type, char]) => {
+      charToType[char] = type;
+    });
+
+    const grid = [];
+
+    ranks.forEach((rankText, row) => {
+      grid[row] = [];
+
+      for (const char of rankText) {
+        if (char >= '1' && char <= '8') {
+          for (let i = 0; i < parseInt(char, 10); i++) {
+            grid[row].push(null);
+          }
+        } else {
+          const type = charToType[char.toLowerCase()];
+          if (!type) {
+            throw new FENParseError(`invalid piece "${char}" on rank ${RANKS[row]}`, fen);
+          }
+
+          const color = char === char.toUpperCase() ? COLORS.WHITE : COLORS.BLACK;
+          grid[row].push(PieceFactory.createPiece(type, color));
+        }
+
+        if (grid[row].length > BOARD_SIZE) {
+          throw new FENParseError(`rank ${RANKS[row]} has more than ${BOARD_SIZE} squares`, fen);
+        }
+      }
+
+      if (grid[row].length !== BOARD_SIZE) {
+        throw new FENParseError(`rank ${RANKS[row]} has only ${grid[row].length} squares`, fen);
+      }
+    });
+
+    // Pawns can never stand on the first or last rank
+    for (const row of [0, BOARD_SIZE - 1]) {
+      if (grid[row].some(piece => piece && piece.type === PIECE_TYPES.PAWN)) {
+        throw new FENParseError(`pawn on rank ${RANKS[row]}`, fen);
+      }
+    }
+
+    return grid;
+  }
+
+  /**
+   * Locate both kings and make sure there is exactly one of each color
+   *
+   * @param {Array} grid - 8x8 grid with piece instances
+   * @param {String} fen - Full FEN string (for error reporting)
+   * @returns {Object} - King positions by color
+   */
+  findKings(grid, fen) {
+    const kings = { [COLORS.WHITE]: [], [COLORS.BLACK]: [] };
+
+    for (let row = 0; row < BOARD_SIZE; row++) {
+      for (let col = 0; col < BOARD_SIZE; col++) {
+        const piece = grid[row][col];
+        if (piece && piece.type === PIECE_TYPES.KING) {
+          kings[piece.color].push([row, col]);
+        }
+      }
+    }
+
+    for (const color of [COLORS.WHITE, COLORS.BLACK]) {
+      if (kings[color].length !== 1) {
+        throw new FENParseError(`expected one ${color} king but found ${kings[color].length}`, fen);
+      }
+    }
+
+    return {
+      [COLORS.WHITE]: kings[COLORS.WHITE][0],
+      [COLORS.BLACK]: kings[COLORS.BLACK][0]
+    };
+  }
+
+  /**
+   * Check whether a king of a parsed grid is attacked
+   *
+   * @param {Array} grid - 8x8 grid with piece instances (one king of each color)
+   * @param {String} color - Color of the king
+   * @returns {Boolean} - Whether the king is in check
+   */
+  isInCheck(grid, color) {
+    const board = new Board();
+    board.grid = grid;
+
+    const noCastling = { kingSide: false, queenSide: false };
+    const position = new MoveGenerator().load(board, {
+      currentPlayer: color,
+      castlingRights: { [COLORS.WHITE]: noCastling, [COLORS.BLACK]: noCastling },
+      enPassantTarget: null,
+      halfmoveClock: 0,
+      fullmoveNumber: 1
+    });
+
+    return position.isInCheck(color);
+  }
+
+  /**
+   * Parse the castling availability field
+   * Rights whose king or rook is not on its original square are dropped.
+   *
+   * @param {String} castling - Castling field (e.g. "KQkq" or "-")
+   * @param {Array} grid - 8x8 grid with piece instances
+   * @param {String} fen - Full FEN string (for error reporting)
+   * @returns {Object} - Castling rights by color
+   */
+  parseCastlingRights(castling, grid, fen) {
+    if (castling !== '-' && !/^K?Q?k?q?$/.test(castling)) {
+      throw new FENParseError(`invalid castling availability "${castling}"`, fen);
+    }
+
+    const hasPiece = (row, col, type, color) => {
+      const piece = grid[row][col];
+      return piece !== null && piece.type === type && piece.color === color;
+    };
+
+    const rightsFor = (color, row, kingSideChar, queenSideChar) => {
+      const kingInPlace = hasPiece(row, 4, PIECE_TYPES.KING, color);
+      return {
+        kingSide: castling.includes(kingSideChar) && kingInPlace &&
+          hasPiece(row, 7, PIECE_TYPES.ROOK, color),
+        queenSide: castling.includes(queenSideChar) && kingInPlace &&
+          hasPiece(row, 0, PIECE_TYPES.ROOK, color)
+      };
+    };
+
+    return {
+      [COLORS.WHITE]: rightsFor(COLORS.WHITE, 7, 'K', 'Q'),
+      [COLORS.BLACK]: rightsFor(COLORS.BLACK, 0, 'k', 'q')
+    };
+  }
+
+  /**
+   * Parse the en passant target square field
+   *
+   * @param {String} enPassant - En passant field (e.g. "e3" or "-")
+   * @param {String} activeColor - Active color field ('w' or 'b')
+   * @param {String} fen - Full FEN string (for error reporting)
+   * @returns {Array|null} - [row, col] of the target square or null
+   */
+  parseEnPassant(enPassant, activeColor, fen) {
+    if (enPassant === '-') return null;
+
+    const square = this.squareToCoordinates(enPassant);
+
+    // The target square is behind a pawn that just made a double step
+    const expectedRank = activeColor === 'w' ? '6' : '3';
+    if (!square || enPassant[1] !== expectedRank) {
+      throw new FENParseError(`invalid en passant square "${enPassant}"`, fen);
+    }
+
+    return square;
+  }
+
+  /**
+   * Set the hasMoved flag of each piece to match the parsed position
+   * Kings and rooks keep hasMoved = false only if they still have a castling right.
+   *
+   * @param {Array} grid - 8x8 grid with piece instances
+   * @param {Object} castlingRights - Castling rights by color
+   */
+  applyMovedFlags(grid, castlingRights) {
+    for (let row = 0; row < BOARD_SIZE; row++) {
+      for (let col = 0; col < BOARD_SIZE; col++) {
+        const piece = grid[row][col];
+        if (!piece) continue;
+
+        const rights = castlingRights[piece.color];
+        const homeRow = piece.color === COLORS.WHITE ? 7 : 0;
+
+        switch (piece.type) {
+          case PIECE_TYPES.PAWN:
+            piece.setHasMoved(row !== (piece.color === COLORS.WHITE ? 6 : 1));
+            break;
+          case PIECE_TYPES.KING:
+            piece.setHasMoved(!(rights.kingSide || rights.queenSide));
+            break;
+          case PIECE_TYPES.ROOK:
+            piece.setHasMoved(!(
+              (row === homeRow && col === 7 && rights.kingSide) ||
+              (row === homeRow && col === 0 && rights.queenSide)
+            ));
+            break;
+          default:
+            piece.setHasMoved(false);
+        }
+      }
+    }
+  }
+
+  /**
+   * Generate a FEN string for the current position
+   *
+   * @param {Board} board - The chess board
+   * @param {GameState} gameState - The game state
+   * @returns {String} - FEN string
+   */
+  generateFEN(board, gameState) {
+    return [
+      this.generatePlacement(board),
+      gameState.currentPlayer === COLORS.WHITE ? 'w' : 'b',
+      this.generateCastling(gameState.castlingRights),
+      gameState.enPassantTarget ? this.coordinatesToSquare(gameState.enPassantTarget) : '-',
+      gameState.halfmoveClock,
+      gameState.fullmoveNumber
+    ].join(' ');
+  }
+
+  /**
+   * Generate the piece placement field
+   *
+   * @param {Board} board - The chess board
+   * @returns {String} - Piece placement field
+   */
+  generatePlacement(board) {
+    const ranks = [];
+
+    for (let row = 0; row < BOARD_SIZE; row++) {
+      let rankText = '';
+      let emptyCount = 0;
+
+      for (let col = 0; col < BOARD_SIZE; col++) {
+        const piece = board.getPiece(row, col);
+
+        if (!piece) {
+          emptyCount++;
+          continue;
+        }
+
+        if (emptyCount > 0) {
+          rankText += emptyCount;
+          emptyCount = 0;
+        }
+
+        const char = FEN_PIECE_CHARS[piece.type];
+        rankText += piece.color === COLORS.WHITE ? char.toUpperCase() : char;
+      }
+
+      if (emptyCount > 0) {
+        rankText += emptyCount;
+      }
+
+      ranks.push(rankText);
+    }
+
+    return ranks.join('/');
+  }
+
+  /**
+   * Generate the castling availability field
+   *
+   * @param {Object} castlingRights - Castling rights by color
+   * @returns {String} - Castling field (e.g. "KQkq" or "-")
+   */
+  generateCastling(castlingRights) {
+    let castling = '';
+
+    if (castlingRights[COLORS.WHITE].kingSide) castling += 'K';
+    if (castlingRights[COLORS.WHITE].queenSide) castling += 'Q';
+    if (castlingRights[COLORS.BLACK].kingSide) castling += 'k';
+    if (castlingRights[COLORS.BLACK].queenSide) castling += 'q';
+
+    return castling || '-';
+  }
+
+  /**
+   * Convert an algebraic square name to board coordinates
+   *
+   * @param {String} square - Square name (e.g. "e4")
+   * @returns {Array|null} - [row, col] or null if the name is invalid
+   */
+  squareToCoordinates(square) {
+    if (typeof square !== 'string' || square.length !== 2) return null;
+
+    const col = FILES.indexOf(square[0]);
+    const row = RANKS.indexOf(square[1]);
+
+    if (col === -1 || row === -1) return null;
+    return [row, col];
+  }
+
+  /**
+   * Convert board coordinates to an algebraic square name
+   *
+   * @param {Array} coordinates - [row, col]
+   * @returns {String} - Square name (e.g. "e4")
+   */
+  coordinatesToSquare([row, col]) {
+    return FILES[col] + RANKS[row];
+  }
+}
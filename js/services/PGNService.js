@@ -1,372 +1,615 @@
 /**
  * PGNService - Handles PGN import and export
  */
-import { FILES, RANKS, PIECE_TYPES, COLORS } from '../utils/Constants.js';
+import { PIECE_TYPES, COLORS, INITIAL_FEN } from '../utils/Constants.js';
 import { PGNParseError } from '../utils/ErrorHandler.js';
-import { NotationView } from '../views/NotationView.js';
+import { LoggingService } from '../utils/LoggingService.js';
+import { MoveGenerator } from '../models/MoveGenerator.js';
+import { SAN } from '../core/SAN.js';
+
+// Game termination markers in movetext
+const RESULT_TOKENS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+// Maximum line length of exported movetext (PGN export format)
+const PGN_LINE_LENGTH = 80;
+
+// Token types produced by the PGN tokenizer (punctuation uses the character itself)
+const PGN_TOKENS = {
+  SYMBOL: 'symbol',
+  STRING: 'string',
+  COMMENT: 'comment',
+  NAG: 'nag'
+};
+
+// Move suffix annotations and their equivalent NAGs
+const SUFFIX_ANNOTATIONS = {
+  '!': 1,
+  '?': 2,
+  '!!': 3,
+  '??': 4,
+  '!?': 5,
+  '?!': 6
+};
 
 export class PGNService {
   /**
    * Generate a PGN string from game data
    * 
-   * @param {Array} moveHistory - Array of move objects
-   * @param {String} gameStatus - Current game status
-   * @param {String} currentPlayer - Current player ('white' or 'black')
-   * @param {HTMLElement} notationBody - DOM element containing move notation
+   * @param {Object} moveTree - Root node of the move tree (moves with SAN in move.notation);
+   *                            its comment, if any, is written before the first move
+   * @param {String} result - PGN result of the game ('1-0', '0-1', '1/2-1/2' or '*')
+   * @param {Object} tags - Optional tag values (Event, Site, Date, Round, White, Black
+   *                        and any additional tags)
+   * @param {String} initialFEN - Starting position of the game
    * @returns {String} - Formatted PGN string
    */
-  generatePGN(moveHistory, gameStatus, currentPlayer, notationBody) {
-    // Create PGN header with tag pairs
+  generatePGN(moveTree, result, tags = {}, initialFEN = INITIAL_FEN) {
     const date = new Date();
     const dateStr = date.toISOString().split('T')[0].replace(/-/g, '.');
     
+    // Seven Tag Roster first, in the order required by the PGN standard
+    const tagPairs = {
+      Event: tags.Event || 'Casual Game',
+      Site: tags.Site || 'Web Chess',
+      Date: tags.Date || dateStr,
+      Round: tags.Round || '?',
+      White: tags.White || '?',
+      Black: tags.Black || '?',
+      Result: result
+    };
+    
+    // Games that don't start from the standard position need the FEN tag pair
+    if (initialFEN && initialFEN !== INITIAL_FEN) {
+      tagPairs.SetUp = '1';
+      tagPairs.FEN = initialFEN;
+    }
+    
+    // Any additional tags follow
+    for (const [tag, value] of Object.entries(tags)) {
+      if (!(tag in tagPairs) && tag !== 'SetUp' && tag !== 'FEN') {
+        tagPairs[tag] = value;
+      }
+    }
+    
     let pgn = '';
-    pgn += '[Event "Casual Game"]\n';
-    pgn += '[Site "Web Chess"]\n';
-    pgn += '[Date "' + dateStr + '"]\n';
-    pgn += '[Round "?"]\n';
-    pgn += '[White "Player 1"]\n';
-    pgn += '[Black "Player 2"]\n';
-    pgn += '[Result "' + this.getPGNResult(gameStatus, currentPlayer) + '"]\n';
+    for (const [tag, value] of Object.entries(tagPairs)) {
+      pgn += this.formatTagPair(tag, value) + '\n';
+    }
     pgn += '\n';
     
-    // Generate movetext
-    let moveNumber = 1;
-    let moveLine = '';
+    // Generate movetext and terminate it with the result
+    const tokens = this.generateMovetextTokens(moveTree);
+    tokens.push(result);
+    
+    pgn += this.wrapMovetext(tokens) + '\n';
+    return pgn;
+  }
+
+  /**
+   * Format a single tag pair, escaping quotes and backslashes in the value
+   * 
+   * @param {String} tag - Tag name
+   * @param {String} value - Tag value
+   * @returns {String} - Tag pair (e.g. '[White "Carlsen, Magnus"]')
+   */
+  formatTagPair(tag, value) {
+    const escapedValue = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    return `[${tag} "${escapedValue}"]`;
+  }
+
+  /**
+   * Build the movetext tokens (move numbers, SAN and annotations) from the move tree
+   * 
+   * @param {Object} moveTree - Root node of the move tree
+   * @returns {Array} - Movetext tokens
+   */
+  generateMovetextTokens(moveTree) {
+    const [mainMove, ...alternatives] = moveTree.children;
+    const tokens = this.generateCommentTokens(moveTree.comment);
+    
+    if (mainMove) {
+      tokens.push(...this.generateLineTokens(mainMove, alternatives));
+    }
     
-    for (let i = 0; i < moveHistory.length; i++) {
-      // Get the move notation from the UI
-      const moveIndex = i + 1;
-      const rowIndex = Math.ceil(moveIndex / 2) - 1;
-      const isWhiteMove = moveIndex % 2 === 1;
-      const columnIndex = isWhiteMove ? 1 : 2;
+    return tokens;
+  }
+
+  /**
+   * Build the movetext tokens of a line and the variations within it
+   * 
+   * @param {Object} firstNode - First move of the line
+   * @param {Array} alternatives - Nodes of the moves played instead of the first move
+   * @returns {Array} - Movetext tokens, with variations enclosed in parentheses
+   */
+  generateLineTokens(firstNode, alternatives) {
+    const tokens = [];
+    // Black's moves need a move number at the start of a line and after a variation
+    let showNumber = true;
+    
+    for (let node = firstNode; node; node = node.children[0]) {
+      const { move } = node;
       
-      const rows = notationBody.getElementsByTagName('tr');
-      if (rowIndex >= 0 && rowIndex < rows.length) {
-        const cells = rows[rowIndex].getElementsByTagName('td');
-        
-        if (isWhiteMove) {
-          // Start a new move number for white's move
-          moveLine += moveNumber + '. ';
-          moveNumber++;
-        }
-        
-        if (columnIndex < cells.length && cells[columnIndex].textContent) {
-          moveLine += cells[columnIndex].textContent + ' ';
-        }
+      // A comment before the move comes ahead of its move number
+      if (move.commentBefore) {
+        tokens.push(...this.generateCommentTokens(move.commentBefore));
+        showNumber = true;
       }
       
-      // Add a newline every 5 moves (10 half-moves) for readability
-      if (moveIndex % 10 === 0) {
-        moveLine += '\n';
+      if (move.player === COLORS.WHITE) {
+        tokens.push(`${move.moveNumber}.`);
+      } else if (showNumber) {
+        tokens.push(`${move.moveNumber}...`);
+      }
+      
+      tokens.push(move.notation, ...this.generateAnnotationTokens(move));
+      showNumber = false;
+      
+      // Alternatives to this move follow it
+      const variations = node === firstNode ? alternatives : node.parent.children.slice(1);
+      for (const variation of variations) {
+        const variationTokens = this.generateLineTokens(variation, []);
+        variationTokens[0] = '(' + variationTokens[0];
+        variationTokens[variationTokens.length - 1] += ')';
+        
+        tokens.push(...variationTokens);
+        showNumber = true;
       }
     }
     
-    // Add result
-    moveLine += this.getPGNResult(gameStatus, currentPlayer);
-    
-    pgn += moveLine;
-    return pgn;
+    return tokens;
   }
 
   /**
-   * Determine the PGN result notation based on game status
+   * Build the tokens for a move's annotation glyphs and comment
    * 
-   * @param {String} gameStatus - Current game status text
-   * @param {String} currentPlayer - Current player ('white' or 'black')
-   * @returns {String} - PGN result notation ('1-0', '0-1', '1/2-1/2', or '*')
+   * @param {Object} move - Move object with optional nags and comment
+   * @returns {Array} - NAG tokens ('$1') followed by the comment split into words
    */
-  getPGNResult(gameStatus, currentPlayer) {
-    const gameOver = gameStatus.includes('Checkmate') || gameStatus.includes('Stalemate');
+  generateAnnotationTokens(move) {
+    const tokens = (move.nags || []).map(nag => `$${nag}`);
+    tokens.push(...this.generateCommentTokens(move.comment));
+    return tokens;
+  }
+
+  /**
+   * Build the tokens of a brace comment
+   * 
+   * @param {String} comment - Comment text (may be empty or null)
+   * @returns {Array} - The comment split into words, enclosed in braces
+   */
+  generateCommentTokens(comment) {
+    if (!comment) return [];
     
-    if (!gameOver) return '*'; // Game in progress
+    // A brace comment ends at the first closing brace, so drop any from the text
+    const words = comment.replace(/}/g, '').split(/\s+/).filter(word => word);
     
-    if (gameStatus.includes('Checkmate')) {
-      if (currentPlayer === 'white') {
-        return '0-1'; // Black wins
-      } else {
-        return '1-0'; // White wins
-      }
-    } else if (gameStatus.includes('Stalemate')) {
-      return '1/2-1/2'; // Draw
+    if (words.length > 0) {
+      words[0] = '{' + words[0];
+      words[words.length - 1] += '}';
     }
     
-    return '*'; // Unknown/game in progress
+    return words;
   }
 
   /**
-   * Save a PGN file with the current game
+   * Join movetext tokens into lines of at most PGN_LINE_LENGTH characters
    * 
-   * @param {String} pgnContent - PGN content to save
+   * @param {Array} tokens - Movetext tokens
+   * @returns {String} - Wrapped movetext
    */
-  savePGNToFile(pgnContent) {
-    const blob = new Blob([pgnContent], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'chess_game.pgn';
-    document.body.appendChild(a);
-    a.click();
-    
-    // Clean up
-    setTimeout(() => {
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    }, 100);
+  wrapMovetext(tokens) {
+    const lines = [];
+    let line = '';
+    
+    for (const token of tokens) {
+      if (line === '') {
+        line = token;
+      } else if (line.length + 1 + token.length <= PGN_LINE_LENGTH) {
+        line += ' ' + token;
+      } else {
+        lines.push(line);
+        line = token;
+      }
+    }
+    
+    if (line !== '') {
+      lines.push(line);
+    }
+    
+    return lines.join('\n');
   }
 
   /**
-   * Parse and load a PGN file
+   * Parse a PGN game
    * 
    * @param {String} pgnText - Content of the PGN file
-   * @returns {Object} - Parsed PGN data with headers and moves
+   * @returns {Object} - Parsed game: { headers, startFEN, moves, comment, result }.
+   *                     moves is the main line; each move is
+   *                     { color, notation, moveNumber, line, nags, comment, variations }
+   *                     where variations holds alternative lines to that move.
    */
   parsePGN(pgnText) {
     try {
-      const result = {
-        headers: {},
-        moves: []
-      };
-      
-      // Parse PGN
-      const lines = pgnText.split('\n');
-      let tagSection = true;
-      let movesText = '';
+      const tokens = this.tokenizePGN(pgnText);
+      const { game } = this.parseGame(tokens, 0);
       
-      // Extract headers and moves text
-      for (const line of lines) {
-        const trimmedLine = line.trim();
-        
-        if (trimmedLine === '') {
-          if (tagSection) tagSection = false;
-          continue;
-        }
-        
-        if (tagSection) {
-          // Parse header tag
-          const match = trimmedLine.match(/\[(\w+)\s+"(.*)"\]/);
-          if (match) {
-            const [_, tag, value] = match;
-            result.headers[tag] = value;
-          }
-        } else {
-          // Collect movetext
-          movesText += trimmedLine + ' ';
-        }
+      if (!game) {
+        throw new PGNParseError('No game found', 1);
       }
       
-      // Parse moves
-      movesText = movesText.trim();
-      // Remove result from the end if present
-      movesText = movesText.replace(/\s+1-0$|\s+0-1$|\s+1\/2-1\/2$|\s+\*$/, '');
-      
-      // Extract individual moves
-      const moveRegex = /\d+\.\s+([^\s]+)(?:\s+([^\s]+))?/g;
-      let match;
+      return game;
+    } catch (error) {
+      if (error instanceof PGNParseError) throw error;
+      throw new PGNParseError(`Failed to parse PGN: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse a PGN database containing any number of games
+   * 
+   * @param {String} pgnText - Content of the PGN file
+   * @returns {Array} - Parsed games (see parsePGN), each with its position in the
+   *                    file (index) and its own PGN text (pgn) for loading it later
+   */
+  parsePGNDatabase(pgnText) {
+    try {
+      const text = this.normalizeLineEndings(pgnText);
+      const tokens = this.tokenizePGN(text);
+      const games = [];
+      let index = 0;
       
-      while ((match = moveRegex.exec(movesText)) !== null) {
-        const whiteMove = match[1];
-        const blackMove = match[2];
+      while (index < tokens.length) {
+        const { game, nextIndex } = this.parseGame(tokens, index);
         
-        // Add white's move
-        if (whiteMove) {
-          result.moves.push({
-            color: COLORS.WHITE,
-            notation: whiteMove
-          });
+        if (nextIndex === index) {
+          throw new PGNParseError(`Unexpected "${tokens[index].value}"`, tokens[index].line);
         }
         
-        // Add black's move if present
-        if (blackMove) {
-          result.moves.push({
-            color: COLORS.BLACK,
-            notation: blackMove
-          });
-        }
+        // Each game's text runs up to the first token of the next game
+        const start = tokens[index].offset;
+        const end = nextIndex < tokens.length ? tokens[nextIndex].offset : text.length;
+        
+        games.push({ ...game, index: games.length, pgn: text.slice(start, end).trim() });
+        index = nextIndex;
       }
       
-      return result;
+      LoggingService.info(`Parsed ${games.length} games from PGN database`);
+      return games;
     } catch (error) {
+      if (error instanceof PGNParseError) throw error;
       throw new PGNParseError(`Failed to parse PGN: ${error.message}`);
     }
   }
 
   /**
-   * Process algebraic notation for a single move
+   * Convert CRLF and CR line endings to LF
    * 
-   * @param {String} moveNotation - Algebraic chess notation (e.g., "e4", "Nf3", "O-O")
-   * @param {String} color - Player color making the move
-   * @param {Board} board - Reference to the chess board
-   * @param {GameState} gameState - Current game state
-   * @returns {Object|null} - Move data or null if invalid
+   * @param {String} text - Text to normalize
+   * @returns {String} - Text with LF line endings
    */
-  parseAlgebraicNotation(moveNotation, color, board, gameState) {
-    if (!moveNotation) return null;
+  normalizeLineEndings(text) {
+    return text.replace(/\r\n?/g, '\n');
+  }
+
+  /**
+   * Split PGN text into tokens
+   * 
+   * @param {String} pgnText - PGN text
+   * @returns {Array} - Tokens as { type, value, line, offset }, where offset is
+   *                   the token's position in the text (with normalized line endings)
+   */
+  tokenizePGN(pgnText) {
+    const tokens = [];
+    const text = this.normalizeLineEndings(pgnText);
+    let line = 1;
+    let i = 0;
+    let tokenStart = 0;
     
-    try {
-      // Handle special notations first
-      if (moveNotation === 'O-O' || moveNotation === 'O-O-O') {
-        return this.parseCastlingMove(moveNotation, color, gameState);
-      }
-      
-      // Strip check/checkmate symbols
-      moveNotation = moveNotation.replace(/[+#]$/, '');
-      
-      // Handle pawn promotion
-      let promotionPiece = null;
-      if (moveNotation.includes('=')) {
-        const parts = moveNotation.split('=');
-        moveNotation = parts[0];
-        const promoteTo = parts[1];
-        
-        // Convert promotion piece notation to our format
-        const pieceMap = { 'Q': PIECE_TYPES.QUEEN, 'R': PIECE_TYPES.ROOK, 'B': PIECE_TYPES.BISHOP, 'N': PIECE_TYPES.KNIGHT };
-        promotionPiece = pieceMap[promoteTo] || PIECE_TYPES.QUEEN;
-      }
-      
-      // Parse piece type, capture, and destination
-      let pieceType = PIECE_TYPES.PAWN; // Default is pawn
-      let capture = false;
-      let sourceFile = null;
-      let sourceRank = null;
-      let destFile = null;
-      let destRank = null;
-      
-      if (moveNotation[0] === moveNotation[0].toUpperCase() && 
-          'KQRBN'.includes(moveNotation[0])) {
-        // This is a piece move (not a pawn)
-        const pieceMap = { 
-          'K': PIECE_TYPES.KING, 
-          'Q': PIECE_TYPES.QUEEN, 
-          'R': PIECE_TYPES.ROOK, 
-          'B': PIECE_TYPES.BISHOP, 
-          'N': PIECE_TYPES.KNIGHT 
-        };
-        pieceType = pieceMap[moveNotation[0]];
-        moveNotation = moveNotation.substring(1);
-      }
+    const push = (type, value, tokenLine = line) => {
+      tokens.push({ type, value, line: tokenLine, offset: tokenStart });
+    };
+    
+    while (i < text.length) {
+      const char = text[i];
+      tokenStart = i;
       
-      // Check for captures
-      if (moveNotation.includes('x')) {
-        capture = true;
-        // For pawn captures, the first character is the source file
-        if (pieceType === PIECE_TYPES.PAWN && moveNotation[0] >= 'a' && moveNotation[0] <= 'h') {
-          sourceFile = moveNotation[0];
+      if (char === '\n') {
+        line++;
+        i++;
+      } else if (/\s/.test(char)) {
+        i++;
+      } else if (char === '%' && (i === 0 || text[i - 1] === '\n')) {
+        // Escape mechanism: the rest of the line is ignored
+        while (i < text.length && text[i] !== '\n') i++;
+      } else if (char === ';') {
+        // Rest-of-line comment
+        const end = text.indexOf('\n', i);
+        const stop = end === -1 ? text.length : end;
+        push(PGN_TOKENS.COMMENT, text.slice(i + 1, stop).trim());
+        i = stop;
+      } else if (char === '{') {
+        // Brace comment (may span several lines, does not nest)
+        const end = text.indexOf('}', i);
+        if (end === -1) {
+          throw new PGNParseError('Unterminated comment', line);
         }
-        moveNotation = moveNotation.replace('x', '');
-      }
-      
-      // Handle disambiguation (when multiple pieces can move to the same square)
-      if (pieceType !== PIECE_TYPES.PAWN && moveNotation.length > 2) {
-        // If we have something like Nbd7, the 'b' is the source file
-        if (moveNotation.length === 3 && moveNotation[0] >= 'a' && moveNotation[0] <= 'h') {
-          sourceFile = moveNotation[0];
-          moveNotation = moveNotation.substring(1);
+        const comment = text.slice(i + 1, end);
+        push(PGN_TOKENS.COMMENT, comment.replace(/\s+/g, ' ').trim());
+        line += (comment.match(/\n/g) || []).length;
+        i = end + 1;
+      } else if (char === '"') {
+        // String with backslash escapes for quotes and backslashes
+        const startLine = line;
+        let value = '';
+        i++;
+        while (i < text.length && text[i] !== '"') {
+          if (text[i] === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) i++;
+          if (text[i] === '\n') {
+            throw new PGNParseError('Unterminated string', startLine);
+          }
+          value += text[i];
+          i++;
         }
-        // If we have something like N1d7, the '1' is the source rank
-        else if (moveNotation.length === 3 && moveNotation[0] >= '1' && moveNotation[0] <= '8') {
-          sourceRank = moveNotation[0];
-          moveNotation = moveNotation.substring(1);
+        if (i >= text.length) {
+          throw new PGNParseError('Unterminated string', startLine);
         }
-        // If we have something like Nb1d7, 'b1' is the source square
-        else if (moveNotation.length === 4) {
-          sourceFile = moveNotation[0];
-          sourceRank = moveNotation[1];
-          moveNotation = moveNotation.substring(2);
+        push(PGN_TOKENS.STRING, value, startLine);
+        i++;
+      } else if (char === '$') {
+        // Numeric annotation glyph
+        const match = text.slice(i + 1).match(/^\d+/);
+        if (!match) {
+          throw new PGNParseError('Invalid NAG', line);
         }
+        push(PGN_TOKENS.NAG, parseInt(match[0], 10));
+        i += 1 + match[0].length;
+      } else if (char === '!' || char === '?') {
+        // Suffix annotation like "!?" (equivalent to a NAG)
+        const [suffix] = text.slice(i).match(/^[!?]+/);
+        if (!(suffix in SUFFIX_ANNOTATIONS)) {
+          throw new PGNParseError(`Invalid annotation "${suffix}"`, line);
+        }
+        push(PGN_TOKENS.NAG, SUFFIX_ANNOTATIONS[suffix]);
+        i += suffix.length;
+      } else if ('[]().*'.includes(char)) {
+        push(char === '*' ? PGN_TOKENS.SYMBOL : char, char);
+        i++;
+      } else if (char === '<') {
+        // Reserved for future expansion: skip to the closing bracket
+        const end = text.indexOf('>', i);
+        i = end === -1 ? text.length : end + 1;
+      } else if (/[A-Za-z0-9]/.test(char)) {
+        const [symbol] = text.slice(i).match(/^[A-Za-z0-9_+#=:\-\/]+/);
+        push(PGN_TOKENS.SYMBOL, symbol);
+        i += symbol.length;
+      } else {
+        throw new PGNParseError(`Unexpected character "${char}"`, line);
       }
+    }
+    
+    return tokens;
+  }
+
+  /**
+   * Parse one game (tag pairs and movetext) starting at a token index
+   * 
+   * @param {Array} tokens - Tokens from tokenizePGN
+   * @param {Number} index - Index of the first token of the game
+   * @returns {Object} - { game, nextIndex }; game is null if no tokens are left
+   */
+  parseGame(tokens, index) {
+    if (index >= tokens.length) {
+      return { game: null, nextIndex: index };
+    }
+    
+    const game = {
+      headers: {},
+      startFEN: null,
+      moves: [],
+      comment: null,
+      result: null
+    };
+    
+    // Tag pair section
+    while (index < tokens.length && tokens[index].type === '[') {
+      const [, name, value, close] = tokens.slice(index, index + 4);
       
-      // Get destination square
-      if (moveNotation.length >= 2) {
-        destFile = moveNotation[0];
-        destRank = moveNotation[1];
-      } else {
-        throw new PGNParseError(`Invalid move notation: ${moveNotation}`);
+      if (!name || name.type !== PGN_TOKENS.SYMBOL ||
+          !value || value.type !== PGN_TOKENS.STRING ||
+          !close || close.type !== ']') {
+        throw new PGNParseError('Malformed tag pair', tokens[index].line);
       }
       
-      // Convert algebraic coordinates to array indices
-      const fileToCol = { 'a': 0, 'b': 1, 'c': 2, 'd': 3, 'e': 4, 'f': 5, 'g': 6, 'h': 7 };
-      const rankToRow = { '8': 0, '7': 1, '6': 2, '5': 3, '4': 4, '3': 5, '2': 6, '1': 7 };
+      game.headers[name.value] = value.value;
+      index += 4;
+    }
+    
+    // Games set up from a position carry it in the FEN tag pair
+    if (game.headers.FEN && game.headers.SetUp !== '0') {
+      game.startFEN = game.headers.FEN;
+    }
+    
+    // Colors alternate starting with the side to move in the starting position
+    const fenFields = game.startFEN ? game.startFEN.trim().split(/\s+/) : [];
+    const color = fenFields[1] === 'b' ? COLORS.BLACK : COLORS.WHITE;
+    const moveNumber = parseInt(fenFields[5], 10) || 1;
+    
+    const state = { tokens, index, gameComment: null };
+    game.moves = this.parseMovetext(state, color, moveNumber, 0);
+    game.comment = state.gameComment;
+    index = state.index;
+    
+    // Game termination marker
+    if (index < tokens.length && RESULT_TOKENS.includes(tokens[index].value)) {
+      game.result = tokens[index].value;
+      index++;
+    } else if (index < tokens.length && tokens[index].type === ')') {
+      throw new PGNParseError('Unmatched ")"', tokens[index].line);
+    }
+    
+    return { game, nextIndex: index };
+  }
+
+  /**
+   * Parse a sequence of moves (the main line or a variation)
+   * 
+   * @param {Object} state - Parser state { tokens, index, gameComment }
+   * @param {String} color - Color of the first move in the sequence
+   * @param {Number} moveNumber - Move number of the first move in the sequence
+   * @param {Number} depth - Variation nesting depth (0 for the main line)
+   * @returns {Array} - Move nodes
+   */
+  parseMovetext(state, color, moveNumber, depth) {
+    const moves = [];
+    let pendingComment = null;
+    
+    while (state.index < state.tokens.length) {
+      const token = state.tokens[state.index];
+      const lastMove = moves[moves.length - 1] || null;
       
-      let destCol = fileToCol[destFile];
-      let destRow = rankToRow[destRank];
+      // End of this sequence: result, end of variation or the next game's tags
+      if (token.type === ')' || token.type === '[' ||
+          (token.type === PGN_TOKENS.SYMBOL && RESULT_TOKENS.includes(token.value))) {
+        break;
+      }
       
-      // Find the piece that can make this move
-      let foundPiece = false;
-      let fromRow, fromCol;
+      state.index++;
       
-      for (let row = 0; row < 8; row++) {
-        for (let col = 0; col < 8; col++) {
-          const piece = board.getPiece(row, col);
+      switch (token.type) {
+        case PGN_TOKENS.COMMENT:
+          if (lastMove) {
+            lastMove.comment = lastMove.comment ? `${lastMove.comment} ${token.value}` : token.value;
+          } else if (depth === 0 && state.gameComment === null && pendingComment === null) {
+            state.gameComment = token.value;
+          } else {
+            pendingComment = pendingComment ? `${pendingComment} ${token.value}` : token.value;
+          }
+          break;
+        
+        case PGN_TOKENS.NAG:
+          if (!lastMove) {
+            throw new PGNParseError('Annotation glyph before any move', token.line);
+          }
+          lastMove.nags.push(token.value);
+          break;
+        
+        case '(': {
+          if (!lastMove) {
+            throw new PGNParseError('Variation before any move', token.line);
+          }
           
-          // Skip empty squares or opponent's pieces
-          if (!piece || piece.color !== color) continue;
+          // A variation replaces the move it follows
+          const variation = this.parseMovetext(state, lastMove.color, lastMove.moveNumber, depth + 1);
+          const closing = state.tokens[state.index];
           
-          // Check if this piece matches the type we're looking for
-          if (piece.type !== pieceType) continue;
+          if (!closing || closing.type !== ')') {
+            throw new PGNParseError('Unterminated variation', token.line);
+          }
           
-          // Check if this piece matches source file/rank constraints
-          if (sourceFile && fileToCol[sourceFile] !== col) continue;
-          if (sourceRank && rankToRow[sourceRank] !== row) continue;
+          state.index++;
+          lastMove.variations.push(variation);
+          break;
+        }
+        
+        case '.':
+          // Periods of a move number indication
+          break;
+        
+        case PGN_TOKENS.SYMBOL:
+          // Move number indication ("12" followed by periods)
+          if (/^\d+$/.test(token.value)) {
+            break;
+          }
           
-          // We found a potential piece, now check if it can make the move
-          const from = [row, col];
-          const to = [destRow, destCol];
+          if (!/^[A-Za-z]/.test(token.value) && !/^0-0/.test(token.value)) {
+            throw new PGNParseError(`Unexpected "${token.value}"`, token.line);
+          }
           
-          // This is where we would need to check if the move is legal
-          // For complete implementation, we would need to adapt existing move validation logic
+          moves.push({
+            color,
+            notation: token.value,
+            moveNumber,
+            line: token.line,
+            nags: [],
+            comment: null,
+            commentBefore: pendingComment,
+            variations: []
+          });
+          pendingComment = null;
           
-          foundPiece = true;
-          fromRow = row;
-          fromCol = col;
+          if (color === COLORS.BLACK) moveNumber++;
+          color = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
           break;
-        }
-        if (foundPiece) break;
-      }
-      
-      if (!foundPiece) {
-        throw new PGNParseError(`Could not find piece for move: ${moveNotation}`);
-      }
-      
-      return {
-        from: [fromRow, fromCol],
-        to: [destRow, destCol],
-        pieceType,
-        promotion: promotionPiece,
-        capture,
-        notation: moveNotation
-      };
-    } catch (error) {
-      if (error instanceof PGNParseError) {
-        throw error;
-      } else {
-        throw new PGNParseError(`Error processing move notation: ${error.message}`);
+        
+        default:
+          throw new PGNParseError(`Unexpected "${token.value}"`, token.line);
       }
     }
+    
+    return moves;
   }
 
   /**
-   * Parse a castling move from PGN notation
+   * Resolve algebraic notation for a single move against the legal moves
+   * in the current position
    * 
-   * @param {String} moveNotation - Castling notation ('O-O' or 'O-O-O')
-   * @param {String} color - Player color
+   * @param {String} moveNotation - Algebraic chess notation (e.g., "e4", "Nf3", "O-O")
+   * @param {String} color - Player color making the move
+   * @param {Board} board - Reference to the chess board
    * @param {GameState} gameState - Current game state
-   * @returns {Object|null} - Move data or null if invalid
+   * @param {MoveValidator} moveValidator - Move validator for the board and game state
+   * @param {Object} context - Optional { moveNumber, line } used in error messages
+   * @returns {Object|null} - Move data or null if the notation is empty
    */
-  parseCastlingMove(moveNotation, color, gameState) {
-    const isKingside = moveNotation === 'O-O';
-    const row = color === COLORS.WHITE ? 7 : 0;
-    const kingCol = 4;
-    const destCol = isKingside ? 6 : 2;
+  parseAlgebraicNotation(moveNotation, color, board, gameState, moveValidator, context = {}) {
+    if (!moveNotation) return null;
+    
+    const { moveNumber = null, line = null } = context;
+    const moveLabel = moveNumber !== null ?
+      `${moveNumber}${color === COLORS.WHITE ? '.' : '...'} ${moveNotation}` :
+      moveNotation;
+    
+    if (gameState.currentPlayer !== color) {
+      throw new PGNParseError(`Move ${moveLabel} is played by ${color}, but it is ${gameState.currentPlayer}'s turn`, line);
+    }
+    
+    const parsed = SAN.parse(moveNotation);
+    if (!parsed) {
+      throw new PGNParseError(`Invalid move notation ${moveLabel}`, line);
+    }
+    
+    const { pieceType, toRow, capture, promotion, castling } = parsed;
+    
+    // Validate promotion against the destination rank
+    const promotionRow = color === COLORS.WHITE ? 0 : 7;
+    if (pieceType === PIECE_TYPES.PAWN && toRow === promotionRow && !promotion) {
+      throw new PGNParseError(`Missing promotion piece in ${moveLabel}`, line);
+    }
+    if (promotion && (pieceType !== PIECE_TYPES.PAWN || toRow !== promotionRow)) {
+      throw new PGNParseError(`Invalid promotion in ${moveLabel}`, line);
+    }
+    
+    // Find every legal move matching the notation
+    const candidates = SAN.findMoves(moveValidator.loadGenerator(), parsed);
+    
+    if (candidates.length === 0) {
+      throw new PGNParseError(`Illegal move ${moveLabel}`, line);
+    }
+    
+    if (candidates.length > 1) {
+      throw new PGNParseError(`Ambiguous move ${moveLabel}`, line);
+    }
+    
+    const { from, to, specialMove } = MoveGenerator.toBoardMove(candidates[0]);
     
     return {
-      from: [row, kingCol],
-      to: [row, destCol],
-      pieceType: PIECE_TYPES.KING,
-      promotion: null,
-      capture: false,
-      castling: isKingside ? 'kingside' : 'queenside',
+      from,
+      to,
+      pieceType,
+      promotion,
+      capture,
+      specialMove,
+      ...(castling && { castling }),
       notation: moveNotation
     };
   }
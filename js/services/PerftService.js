@@ -0,0 +1,184 @@
+/**
+ * PerftService - Checks the move generator against published perft node counts
+ * Usable from Node (bin/perft.js) and from the browser console (chessGame.perft).
+ */
+import { Board } from '../models/Board.js';
+import { GameState } from '../models/GameState.js';
+import { MoveGenerator } from '../models/MoveGenerator.js';
+import { INITIAL_FEN } from '../utils/Constants.js';
+
+// Standard perft positions with their node counts by depth
+export const PERFT_POSITIONS = [
+  {
+    name: 'Start position',
+    fen: INITIAL_FEN,
+    nodes: { 1: 20, 2: 400, 3: 8902, 4: 197281, 5: 4865609 }
+  },
+  {
+    name: 'Kiwipete',
+    fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+    nodes: { 1: 48, 2: 2039, 3: 97862, 4: 4085603 }
+  },
+  {
+    name: 'En passant and pinned pawns',
+    fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+    nodes: { 1: 14, 2: 191, 3: 2812, 4: 43238, 5: 674624 }
+  },
+  {
+    name: 'Promotions and castling',
+    fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+    nodes: { 1: 6, 2: 264, 3: 9467, 4: 422333 }
+  },
+  {
+    name: 'Promotion by capture',
+    fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+    nodes: { 1: 44, 2: 1486, 3: 62379, 4: 2103487 }
+  },
+  {
+    name: 'Middlegame',
+    fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+    nodes: { 1: 46, 2: 2079, 3: 89890, 4: 3894594 }
+  },
+  {
+    name: 'Illegal en passant (pinned along the rank)',
+    fen: '3k4/3p4/8/K1P4r/8/8/8/8 b - - 0 1',
+    nodes: { 6: 1134888 }
+  },
+  {
+    name: 'Illegal en passant (pinned along the diagonal)',
+    fen: '8/8/4k3/8/2p5/8/B2P2K1/8 w - - 0 1',
+    nodes: { 6: 1015133 }
+  },
+  {
+    name: 'En passant capture gives check',
+    fen: '8/8/1k6/2b5/2pP4/8/5K2/8 b - d3 0 1',
+    nodes: { 6: 1440467 }
+  },
+  {
+    name: 'Short castling gives check',
+    fen: '5k2/8/8/8/8/8/8/4K2R w K - 0 1',
+    nodes: { 6: 661072 }
+  },
+  {
+    name: 'Long castling gives check',
+    fen: '3k4/8/8/8/8/8/8/R3K3 w Q - 0 1',
+    nodes: { 6: 803711 }
+  },
+  {
+    name: 'Castling rights lost by captures',
+    fen: 'r3k2r/1b4bq/8/8/8/8/7B/R3K2R w KQkq - 0 1',
+    nodes: { 4: 1274206 }
+  },
+  {
+    name: 'Castling prevented by attacks',
+    fen: 'r3k2r/8/3Q4/8/8/5q2/8/R3K2R b KQkq - 0 1',
+    nodes: { 4: 1720476 }
+  },
+  {
+    name: 'Promotion out of check',
+    fen: '2K2r2/4P3/8/8/8/8/8/3k4 w - - 0 1',
+    nodes: { 6: 3821001 }
+  },
+  {
+    name: 'Discovered check',
+    fen: '8/8/1P2K3/8/2n5/1q6/8/5k2 b - - 0 1',
+    nodes: { 5: 1004658 }
+  },
+  {
+    name: 'Promotion gives check',
+    fen: '4k3/1P6/8/8/8/8/K7/8 w - - 0 1',
+    nodes: { 6: 217342 }
+  },
+  {
+    name: 'Underpromotion gives check',
+    fen: '8/P1k5/K7/8/8/8/8/8 w - - 0 1',
+    nodes: { 6: 92683 }
+  },
+  {
+    name: 'Self stalemate',
+    fen: 'K1k5/8/P7/8/8/8/8/8 w - - 0 1',
+    nodes: { 6: 2217 }
+  },
+  {
+    name: 'Stalemate and checkmate by a pawn',
+    fen: '8/k1P5/8/1K6/8/8/8/8 w - - 0 1',
+    nodes: { 7: 567584 }
+  },
+  {
+    name: 'Stalemate and checkmate by pieces',
+    fen: '8/8/2k5/5q2/5n2/8/5K2/8 b - - 0 1',
+    nodes: { 4: 23527 }
+  }
+];
+
+export class PerftService {
+  /**
+   * Create a perft service
+   * @param {FENService} fenService - Used to set up the positions
+   */
+  constructor(fenService) {
+    this.fenService = fenService;
+  }
+
+  /**
+   * Set up a position for the move generator
+   * @param {String} fen - Position in FEN
+   * @returns {MoveGenerator} Generator holding the position
+   */
+  createPosition(fen) {
+    const board = new Board();
+    const gameState = new GameState();
+    this.fenService.parseFEN(fen, board, gameState);
+    return new MoveGenerator().load(board, gameState);
+  }
+
+  /**
+   * Count the leaf positions of all move sequences of a given length
+   * @param {String} fen - Position in FEN
+   * @param {Number} depth - Number of plies
+   * @returns {Number} Node count
+   */
+  perft(fen, depth) {
+    return this.createPosition(fen).perft(depth);
+  }
+
+  /**
+   * Count the leaf positions after each legal move
+   * @param {String} fen - Position in FEN
+   * @param {Number} depth - Number of plies, including the move itself
+   * @returns {Array} Counts as { move, nodes } with moves in UCI notation
+   */
+  divide(fen, depth) {
+    return this.createPosition(fen).divide(depth);
+  }
+
+  /**
+   * Run the standard perft positions and compare with their known node counts
+   * @param {Object} options - Suite options
+   * @param {Number} options.maxNodes - Skip counts above this many nodes (keeps the suite quick)
+   * @param {Function} options.onResult - Called with each result as it completes
+   * @returns {Object} Summary { passed, failed, results } where each result is
+   *                   { name, fen, depth, expected, nodes, passed, time }
+   */
+  runSuite({ maxNodes = Infinity, onResult = null } = {}) {
+    const results = [];
+    
+    for (const { name, fen, nodes: counts } of PERFT_POSITIONS) {
+      const position = this.createPosition(fen);
+      
+      for (const [depth, expected] of Object.entries(counts)) {
+        if (expected > maxNodes) continue;
+        
+        const startTime = Date.now();
+        const nodes = position.perft(Number(depth));
+        const result = { name, fen, depth: Number(depth), expected, nodes, passed: nodes === expected, time: Date.now() - startTime };
+        
+        results.push(result);
+        if (onResult) onResult(result);
+      }
+    }
+    
+    const failed = results.filter(result => !result.passed).length;
+    return { passed: results.length - failed, failed, results };
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * ReviewService - Classifies moves and computes accuracy for game reviews
+ */
+import { COLORS, REVIEW, MOVE_CLASSIFICATIONS } from '../utils/Constants.js';
+
+// Annotation glyphs added by the review
+const CLASSIFICATION_NAGS = {
+  [MOVE_CLASSIFICATIONS.INACCURACY]: 6,
+  [MOVE_CLASSIFICATIONS.MISTAKE]: 2,
+  [MOVE_CLASSIFICATIONS.BLUNDER]: 4
+};
+
+// Win probability curve and move accuracy formula (as used by popular chess sites)
+const WIN_PERCENT_FACTOR = 0.00368208;
+const ACCURACY_FACTOR = 103.1668;
+const ACCURACY_DECAY = 0.04354;
+const ACCURACY_OFFSET = 3.1669;
+
+export class ReviewService {
+  /**
+   * Review a move from the evaluations before and after it
+   * @param {Number} bestScore - Evaluation of the best move (centipawns for the mover)
+   * @param {Number} playedScore - Evaluation after the played move (centipawns for the mover)
+   * @param {Boolean} isBestMove - Whether the played move is the engine's choice
+   * @returns {Object} Review { classification, loss, accuracy }
+   */
+  reviewMove(bestScore, playedScore, isBestMove) {
+    const best = this.capScore(bestScore);
+    const played = this.capScore(playedScore);
+    const loss = isBestMove ? 0 : Math.max(0, best - played);
+    
+    return {
+      classification: this.classifyMove(loss, isBestMove),
+      loss,
+      accuracy: this.getMoveAccuracy(this.getWinPercent(best), this.getWinPercent(played))
+    };
+  }
+
+  /**
+   * Classify a move by how much evaluation it gave away
+   * @param {Number} loss - Evaluation drop in centipawns
+   * @param {Boolean} isBestMove - Whether the played move is the engine's choice
+   * @returns {String} One of MOVE_CLASSIFICATIONS
+   */
+  classifyMove(loss, isBestMove = false) {
+    const { THRESHOLDS } = REVIEW;
+    
+    if (loss >= THRESHOLDS.blunder) return MOVE_CLASSIFICATIONS.BLUNDER;
+    if (loss >= THRESHOLDS.mistake) return MOVE_CLASSIFICATIONS.MISTAKE;
+    if (loss >= THRESHOLDS.inaccuracy) return MOVE_CLASSIFICATIONS.INACCURACY;
+    if (loss >= THRESHOLDS.good && !isBestMove) return MOVE_CLASSIFICATIONS.GOOD;
+    return MOVE_CLASSIFICATIONS.BEST;
+  }
+
+  /**
+   * Limit an evaluation so lost and won positions (including mates) compare sensibly
+   * @param {Number} score - Evaluation in centipawns
+   * @returns {Number} Evaluation within ±REVIEW.EVAL_CAP
+   */
+  capScore(score) {
+    return Math.max(-REVIEW.EVAL_CAP, Math.min(REVIEW.EVAL_CAP, score));
+  }
+
+  /**
+   * Convert an evaluation to a winning chance
+   * @param {Number} score - Evaluation in centipawns for a player
+   * @returns {Number} The player's winning chance in percent
+   */
+  getWinPercent(score) {
+    return 50 + 50 * (2 / (1 + Math.exp(-WIN_PERCENT_FACTOR * score)) - 1);
+  }
+
+  /**
+   * Rate a move by the winning chance it gave away
+   * @param {Number} winBefore - Mover's winning chance with the best move
+   * @param {Number} winAfter - Mover's winning chance after the played move
+   * @returns {Number} Accuracy from 0 to 100
+   */
+  getMoveAccuracy(winBefore, winAfter) {
+    const drop = Math.max(0, winBefore - winAfter);
+    const accuracy = ACCURACY_FACTOR * Math.exp(-ACCURACY_DECAY * drop) - ACCURACY_OFFSET;
+    return Math.max(0, Math.min(100, accuracy));
+  }
+
+  /**
+   * Get the annotation glyph for a classification
+   * @param {String} classification - One of MOVE_CLASSIFICATIONS
+   * @returns {Number|null} NAG number, or null for good and best moves
+   */
+  getClassificationNAG(classification) {
+    return CLASSIFICATION_NAGS[classification] || null;
+  }
+
+  /**
+   * Build the comment the review adds to a move
+   * @param {String} classification - One of MOVE_CLASSIFICATIONS
+   * @param {String|null} bestMove - Engine's choice in SAN
+   * @returns {String|null} Comment such as "Mistake. Best was Nf3.", or null for good moves
+   */
+  getReviewNote(classification, bestMove) {
+    if (!this.getClassificationNAG(classification)) return null;
+    
+    const label = classification.charAt(0).toUpperCase() + classification.slice(1);
+    return bestMove ? `${label}. Best was ${bestMove}.` : `${label}.`;
+  }
+
+  /**
+   * Summarize the reviewed moves of each player
+   * @param {Array} reviews - Move reviews with the mover as player
+   * @returns {Object} Per color: { accuracy, averageLoss, moves, counts }
+   */
+  summarize(reviews) {
+    const summary = {};
+    
+    for (const color of [COLORS.WHITE, COLORS.BLACK]) {
+      const playerReviews = reviews.filter(review => review.player === color);
+      const counts = Object.fromEntries(Object.values(MOVE_CLASSIFICATIONS).map(name => [name, 0]));
+      playerReviews.forEach(review => counts[review.classification]++);
+      
+      const average = values => values.length > 0 ?
+        values.reduce((sum, value) => sum + value, 0) / values.length : null;
+      
+      summary[color] = {
+        accuracy: average(playerReviews.map(review => review.accuracy)),
+        averageLoss: average(playerReviews.map(review => review.loss)),
+        moves: playerReviews.length,
+        counts
+      };
+    }
+    
+    return summary;
+  }
+}
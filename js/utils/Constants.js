@@ -25,6 +25,19 @@ export const BOARD_SIZE = 8;
 export const FILES = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
 export const RANKS = ['8', '7', '6', '5', '4', '3', '2', '1'];
 
+// Forsyth-Edwards Notation
+export const INITIAL_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// FEN letters for each piece type (lowercase, uppercased for white)
+export const FEN_PIECE_CHARS = {
+    [PIECE_TYPES.PAWN]: 'p',
+    [PIECE_TYPES.KNIGHT]: 'n',
+    [PIECE_TYPES.BISHOP]: 'b',
+    [PIECE_TYPES.ROOK]: 'r',
+    [PIECE_TYPES.QUEEN]: 'q',
+    [PIECE_TYPES.KING]: 'k'
+};
+
 // Game results
 export const RESULTS = {
     WHITE_WIN: '1-0',
@@ -33,6 +46,14 @@ export const RESULTS = {
     IN_PROGRESS: '*'
 };
 
+// Draw rule thresholds (repetition counts and halfmove clock values)
+export const DRAW_RULES = {
+    THREEFOLD_REPETITION: 3,    // May be claimed
+    FIVEFOLD_REPETITION: 5,     // Automatic draw
+    FIFTY_MOVE_RULE: 100,       // May be claimed
+    SEVENTY_FIVE_MOVE_RULE: 150 // Automatic draw
+};
+
 // Special move types
 export const SPECIAL_MOVES = {
     CASTLE_KINGSIDE: 'castle-kingside',
@@ -52,9 +73,12 @@ export const UI = {
         HIGHLIGHTED: 'highlighted',
         POSSIBLE_MOVE: 'possible-move',
         CHECK: 'check',
-        LAST_MOVE: 'last-move'
+        LAST_MOVE: 'last-move',
+        HINT: 'hint',
+        THREAT: 'threat'
     },
-    MESSAGE_DURATION: 3000 // Duration for temporary messages in ms
+    MESSAGE_DURATION: 3000, // Duration for temporary messages in ms
+    COMPUTER_MOVE_DELAY: 300 // Delay before the computer starts thinking in ms
 };
 
 // Image mapping for pieces
@@ -72,3 +96,80 @@ export const PIECE_IMAGES = {
     [`${PIECE_TYPES.QUEEN}-${COLORS.BLACK}`]: 'bQ',
     [`${PIECE_TYPES.KING}-${COLORS.BLACK}`]: 'bK'
 };
+
+// Numeric Annotation Glyphs (NAGs) offered in the annotation editor, by group.
+// A move has at most one glyph from each group.
+export const NAGS = {
+    MOVE: {
+        1: '!',
+        2: '?',
+        3: '!!',
+        4: '??',
+        5: '!?',
+        6: '?!'
+    },
+    POSITION: {
+        10: '=',
+        13: '∞',
+        14: '⩲',
+        15: '⩱',
+        16: '±',
+        17: '∓',
+        18: '+-',
+        19: '-+'
+    }
+};
+
+// Computer opponent difficulty levels: search depth, time per move (ms) and
+// random noise (centipawns) added to the engine's choices
+export const ENGINE_LEVELS = [
+    { name: 'Beginner', maxDepth: 1, timeLimit: 1000, randomness: 150 },
+    { name: 'Casual', maxDepth: 2, timeLimit: 2000, randomness: 50 },
+    { name: 'Club', maxDepth: 3, timeLimit: 4000, randomness: 0 },
+    { name: 'Expert', maxDepth: 5, timeLimit: 8000, randomness: 0 }
+];
+
+// Default index into ENGINE_LEVELS
+export const DEFAULT_ENGINE_LEVEL = 1;
+
+// Analysis mode: number of lines shown and the search limits (the search
+// restarts whenever the displayed position changes)
+export const ANALYSIS = {
+    MULTI_PV: 3,
+    MAX_DEPTH: 30,
+    TIME_LIMIT: 60000
+};
+
+// Search limits for hints and threats
+export const HINT = {
+    DEPTH: 5,
+    TIME_LIMIT: 1500
+};
+
+// Opening explorer: moves of imported games are collected up to this ply
+export const EXPLORER = {
+    MAX_PLY: 50
+};
+
+// Game review: search limits per position, the largest evaluation (centipawns)
+// counted when comparing moves, and the evaluation drop each class starts at
+export const REVIEW = {
+    DEPTH: 4,
+    TIME_LIMIT: 2000,
+    EVAL_CAP: 1000,
+    THRESHOLDS: {
+        good: 10,
+        inaccuracy: 50,
+        mistake: 100,
+        blunder: 300
+    }
+};
+
+// Move classifications of the game review, best first
+export const MOVE_CLASSIFICATIONS = {
+    BEST: 'best',
+    GOOD: 'good',
+    INACCURACY: 'inaccuracy',
+    MISTAKE: 'mistake',
+    BLUNDER: 'blunder'
+};
@@ -34,6 +34,37 @@ export class PGNParseError extends ChessError {
   }
 }
 
+/**
+ * Error for invalid FEN strings
+ */
+export class FENParseError extends ChessError {
+  constructor(message, fen = null) {
+    super(`Invalid FEN: ${message}`);
+    this.name = 'FENParseError';
+    this.fen = fen;
+  }
+}
+
+/**
+ * Error for engine failures (search errors, worker problems)
+ */
+export class EngineError extends ChessError {
+  constructor(message) {
+    super(`Engine error: ${message}`);
+    this.name = 'EngineError';
+  }
+}
+
+/**
+ * Error for unreadable opening books
+ */
+export class BookError extends ChessError {
+  constructor(message) {
+    super(`Invalid opening book: ${message}`);
+    this.name = 'BookError';
+  }
+}
+
 /**
  * Error for storage issues
  */
@@ -0,0 +1,148 @@
+/**
+ * AnalysisView - Shows the evaluation bar and the engine's best lines
+ */
+import { COLORS } from '../utils/Constants.js';
+import { Engine } from '../engine/Engine.js';
+
+// Scale of the evaluation bar: a lead of this many centipawns fills about 88% of it
+const EVAL_BAR_SCALE = 250;
+
+export class AnalysisView {
+  /**
+   * Create an analysis view
+   * @param {HTMLElement} evalBar - The evaluation bar
+   * @param {HTMLElement} panel - The analysis panel
+   */
+  constructor(evalBar, panel) {
+    this.evalBar = evalBar;
+    this.evalFill = evalBar.querySelector('.eval-bar-fill');
+    this.evalScore = evalBar.querySelector('.eval-bar-score');
+    this.panel = panel;
+    this.depthElement = panel.querySelector('.analysis-depth');
+    this.linesElement = panel.querySelector('.analysis-lines');
+  }
+
+  /**
+   * Show or hide the evaluation bar and the analysis panel
+   * @param {Boolean} visible - Whether analysis is shown
+   */
+  setVisible(visible) {
+    this.evalBar.style.display = visible ? 'flex' : 'none';
+    this.panel.style.display = visible ? 'block' : 'none';
+    if (!visible) this.clear();
+  }
+
+  /**
+   * Put white's side of the evaluation bar next to white's side of the board
+   * @param {String} orientation - Color at the bottom of the board
+   */
+  setOrientation(orientation) {
+    this.evalBar.classList.toggle('flipped', orientation === COLORS.BLACK);
+  }
+
+  /**
+   * Show the engine's best lines
+   * @param {Array} lines - Lines as { score, moves }, with scores from white's point
+   *                        of view and moves as { color, moveNumber, notation }
+   * @param {Number} depth - Search depth
+   */
+  showLines(lines, depth) {
+    this.depthElement.textContent = `Depth ${depth}`;
+    this.linesElement.innerHTML = '';
+    
+    lines.forEach(line => {
+      const li = document.createElement('li');
+      
+      const score = document.createElement('span');
+      score.classList.add('analysis-score');
+      score.textContent = AnalysisView.formatScore(line.score);
+      li.appendChild(score);
+      
+      const moves = document.createElement('span');
+      moves.classList.add('analysis-moves');
+      moves.textContent = AnalysisView.formatMoves(line.moves);
+      li.appendChild(moves);
+      
+      this.linesElement.appendChild(li);
+    });
+    
+    if (lines.length > 0) {
+      this.updateEvalBar(lines[0].score);
+    }
+  }
+
+  /**
+   * Show the outcome of a finished game instead of lines
+   * @param {String} result - PGN result (1-0, 0-1 or 1/2-1/2)
+   * @param {String} status - Description of how the game ended
+   */
+  showResult(result, status) {
+    this.depthElement.textContent = '';
+    this.linesElement.innerHTML = '';
+    
+    const li = document.createElement('li');
+    li.textContent = status;
+    this.linesElement.appendChild(li);
+    
+    this.evalFill.style.height = result === '1-0' ? '100%' : result === '0-1' ? '0%' : '50%';
+    this.evalScore.textContent = result;
+  }
+
+  /**
+   * Set the evaluation bar
+   * @param {Number} score - Score from white's point of view
+   */
+  updateEvalBar(score) {
+    this.evalFill.style.height = `${AnalysisView.getWhiteShare(score)}%`;
+    this.evalScore.textContent = AnalysisView.formatScore(score);
+  }
+
+  /**
+   * Clear the lines and reset the evaluation bar
+   */
+  clear() {
+    this.depthElement.textContent = '';
+    this.linesElement.innerHTML = '';
+    this.evalFill.style.height = '50%';
+    this.evalScore.textContent = '';
+  }
+
+  /**
+   * Format a score from white's point of view
+   * @param {Number} score - Score in centipawns (or a mate score)
+   * @returns {String} Score such as "+0.35", "-1.20" or "#3" / "#-2" for mates
+   */
+  static formatScore(score) {
+    if (Engine.isMateScore(score)) {
+      return `#${Engine.getMateDistance(score)}`;
+    }
+    const pawns = (score / 100).toFixed(2);
+    return score > 0 ? `+${pawns}` : pawns;
+  }
+
+  /**
+   * Format a line of moves with move numbers
+   * @param {Array} moves - Moves as { color, moveNumber, notation }
+   * @returns {String} Moves such as "12. Nf3 Nc6 13. d4" or "12... Nc6 13. d4"
+   */
+  static formatMoves(moves) {
+    return moves.map((move, index) => {
+      if (move.color === COLORS.WHITE) {
+        return `${move.moveNumber}. ${move.notation}`;
+      }
+      return index === 0 ? `${move.moveNumber}... ${move.notation}` : move.notation;
+    }).join(' ');
+  }
+
+  /**
+   * Get white's share of the evaluation bar
+   * @param {Number} score - Score from white's point of view
+   * @returns {Number} Percentage of the bar filled for white
+   */
+  static getWhiteShare(score) {
+    if (Engine.isMateScore(score)) {
+      return score > 0 ? 100 : 0;
+    }
+    return 50 + 50 * Math.tanh(score / EVAL_BAR_SCALE);
+  }
+}
@@ -12,6 +12,9 @@ export class BoardView {
         this.boardElement = boardElement;
         this.selectedSquare = null;
         this.possibleMoves = [];
+
+        // Squares marked by hints and threats, by class name (kept when the board is redrawn)
+        this.markedSquares = {};
     }
 
     /**
@@ -47,6 +50,10 @@ export class BoardView {
                 this.boardElement.appendChild(square);
             }
         }
+
+        Object.entries(this.markedSquares).forEach(([className, positions]) => {
+            this.markSquares(className, positions);
+        });
     }
 
     /**
@@ -178,6 +185,26 @@ export class BoardView {
         console.log(`Highlighted last move: ${fromRow},${fromCol} -> ${toRow},${toCol}`);
     }
 
+    /**
+     * Mark squares with a class, replacing the squares marked with it before
+     * @param {String} className - Class such as UI.SQUARE_CLASSES.HINT
+     * @param {Array} positions - [row, col] of the squares to mark (empty to clear)
+     */
+    markSquares(className, positions) {
+        document.querySelectorAll(`.${className}`).forEach(square => {
+            square.classList.remove(className);
+        });
+
+        this.markedSquares[className] = positions;
+
+        positions.forEach(([row, col]) => {
+            const square = document.querySelector(`.square[data-row="${row}"][data-col="${col}"]`);
+            if (square) {
+                square.classList.add(className);
+            }
+        });
+    }
+
     /**
      * Highlight kings in check
      * @param {GameState} gameState - The game state
@@ -0,0 +1,55 @@
+/**
+ * BookView - Lists the opening book moves of the displayed position
+ */
+
+export class BookView {
+  /**
+   * Create a book view
+   * @param {HTMLElement} panel - The opening book panel
+   */
+  constructor(panel) {
+    this.panel = panel;
+    this.movesElement = panel.querySelector('.book-moves');
+  }
+
+  /**
+   * Show the book moves, or hide the panel when no book is loaded
+   * @param {Array|null} moves - Moves as { notation, weight }, most played first
+   */
+  showMoves(moves) {
+    this.movesElement.innerHTML = '';
+    
+    if (!moves) {
+      this.panel.style.display = 'none';
+      return;
+    }
+    this.panel.style.display = 'block';
+    
+    if (moves.length === 0) {
+      const li = document.createElement('li');
+      li.classList.add('book-empty');
+      li.textContent = 'Out of book';
+      this.movesElement.appendChild(li);
+      return;
+    }
+    
+    const totalWeight = moves.reduce((sum, move) => sum + move.weight, 0);
+    
+    moves.forEach((move, index) => {
+      const li = document.createElement('li');
+      li.dataset.bookIndex = index;
+      
+      const notation = document.createElement('span');
+      notation.classList.add('book-move');
+      notation.textContent = move.notation;
+      li.appendChild(notation);
+      
+      const share = document.createElement('span');
+      share.classList.add('book-weight');
+      share.textContent = totalWeight > 0 ? `${Math.round(move.weight / totalWeight * 100)}%` : '-';
+      li.appendChild(share);
+      
+      this.movesElement.appendChild(li);
+    });
+  }
+}
@@ -3,7 +3,13 @@
  */
 import { BoardView } from './BoardView.js';
 import { NotationView } from './NotationView.js';
-import { COLORS, PIECE_TYPES, UI } from '../utils/Constants.js';
+import { GameListView } from './GameListView.js';
+import { AnalysisView } from './AnalysisView.js';
+import { ReviewView } from './ReviewView.js';
+import { EvalGraphView } from './EvalGraphView.js';
+import { BookView } from './BookView.js';
+import { ExplorerView } from './ExplorerView.js';
+import { COLORS, PIECE_TYPES, UI, NAGS, ENGINE_LEVELS, DEFAULT_ENGINE_LEVEL } from '../utils/Constants.js';
 
 export class ChessUI {
   /**
@@ -19,11 +25,36 @@ export class ChessUI {
       capturedWhite: document.getElementById('captured-white'),
       capturedBlack: document.getElementById('captured-black'),
       promotionModal: document.getElementById('promotion-modal'),
-      promotionPieces: document.getElementById('promotion-pieces')
+      promotionPieces: document.getElementById('promotion-pieces'),
+      gameList: document.getElementById('game-list'),
+      gameListBody: document.getElementById('game-list-body'),
+      gameSearch: document.getElementById('game-search'),
+      nagButtons: document.getElementById('nag-buttons'),
+      moveComment: document.getElementById('move-comment'),
+      moveCommentBefore: document.getElementById('move-comment-before'),
+      gameMode: document.getElementById('game-mode'),
+      playerColor: document.getElementById('player-color'),
+      engineLevel: document.getElementById('engine-level'),
+      evalBar: document.getElementById('eval-bar'),
+      analysisPanel: document.getElementById('analysis-panel'),
+      toggleAnalysis: document.getElementById('toggle-analysis'),
+      reviewPanel: document.getElementById('review-panel'),
+      evalGraph: document.getElementById('eval-graph'),
+      toggleThreat: document.getElementById('toggle-threat'),
+      threatInfo: document.getElementById('threat-info'),
+      bookPanel: document.getElementById('book-panel'),
+      openingName: document.getElementById('opening-name'),
+      explorerPanel: document.getElementById('explorer-panel')
     };
     
     this.boardView = new BoardView(this.elements.chessboard);
     this.notationView = new NotationView(this.elements.notationBody, this.elements.moveHistory);
+    this.gameListView = new GameListView(this.elements.gameList, this.elements.gameListBody, this.elements.gameSearch);
+    this.analysisView = new AnalysisView(this.elements.evalBar, this.elements.analysisPanel);
+    this.reviewView = new ReviewView(this.elements.reviewPanel);
+    this.evalGraphView = new EvalGraphView(this.elements.evalGraph);
+    this.bookView = new BookView(this.elements.bookPanel);
+    this.explorerView = new ExplorerView(this.elements.explorerPanel);
     
     this.controller = null; // Will be set later
   }
@@ -46,6 +77,9 @@ export class ChessUI {
     this.setupMoveNavigationEvents();
     this.setupPromotionEvents();
     this.setupPGNEvents();
+    this.setupGameListEvents();
+    this.setupAnnotationEvents();
+    this.setupGameModeEvents();
   }
 
   /**
@@ -72,12 +106,48 @@ export class ChessUI {
    */
   setupControlButtonEvents() {
     document.getElementById('new-game').addEventListener('click', () => {
-      this.controller.resetGame();
+      this.controller.startNewGame();
     });
     
     document.getElementById('flip-board').addEventListener('click', () => {
       this.controller.flipBoard();
     });
+    
+    document.getElementById('claim-draw').addEventListener('click', () => {
+      this.controller.claimDraw();
+    });
+    
+    this.elements.toggleAnalysis.addEventListener('click', () => {
+      this.controller.setAnalysisMode(!this.controller.isAnalysisEnabled());
+    });
+    
+    document.getElementById('review-game').addEventListener('click', () => {
+      this.controller.reviewGame();
+    });
+    
+    document.getElementById('show-hint').addEventListener('click', () => {
+      this.controller.showHint();
+    });
+    
+    this.elements.toggleThreat.addEventListener('click', () => {
+      this.controller.setThreatMode(!this.controller.isThreatEnabled());
+    });
+    
+    // Event delegation for the moves of the opening book
+    this.elements.bookPanel.addEventListener('click', (e) => {
+      const moveElement = e.target.closest('[data-book-index]');
+      if (!moveElement) return;
+      
+      this.controller.playBookMove(parseInt(moveElement.dataset.bookIndex));
+    });
+    
+    // Event delegation for the moves of the opening explorer
+    this.elements.explorerPanel.addEventListener('click', (e) => {
+      const moveElement = e.target.closest('[data-explorer-index]');
+      if (!moveElement) return;
+      
+      this.controller.playExplorerMove(parseInt(moveElement.dataset.explorerIndex));
+    });
   }
 
   /**
@@ -96,13 +166,29 @@ export class ChessUI {
       document.getElementById(id).addEventListener('click', handler);
     });
     
-    // Event delegation for notation rows
+    // Event delegation for moves in the notation (main line and variations)
     this.elements.notationBody.addEventListener('click', (e) => {
-      const row = e.target.closest('tr');
-      if (!row || !row.dataset.moveIndex) return;
+      const moveElement = e.target.closest('[data-node-id]');
+      if (!moveElement) return;
+      
+      const nodeId = parseInt(moveElement.dataset.nodeId);
+      this.controller.goToNode(nodeId);
+    });
+    
+    // Points of the evaluation graph select the move they were played on
+    this.elements.evalGraph.addEventListener('click', (e) => {
+      const point = e.target.closest('[data-move-index]');
+      if (!point) return;
       
-      const moveIndex = parseInt(row.dataset.moveIndex);
-      this.controller.goToMove(moveIndex);
+      this.controller.goToMove(parseInt(point.dataset.moveIndex));
+    });
+    
+    document.getElementById('promote-variation').addEventListener('click', () => {
+      this.controller.promoteVariation();
+    });
+    
+    document.getElementById('delete-variation').addEventListener('click', () => {
+      this.controller.deleteVariation();
     });
   }
 
@@ -137,14 +223,112 @@ export class ChessUI {
         
         reader.onload = (event) => {
           const pgnText = event.target.result;
-          this.controller.loadPGN(pgnText);
+          this.controller.loadPGNDatabase(pgnText);
         };
         
         reader.readAsText(file);
+        
+        // Allow the same file to be chosen again
+        e.target.value = '';
+      }
+    });
+    
+    document.getElementById('load-book-btn').addEventListener('click', () => {
+      document.getElementById('book-file-input').click();
+    });
+    
+    document.getElementById('book-file-input').addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        const reader = new FileReader();
+        
+        reader.onload = (event) => {
+          this.controller.loadOpeningBook(event.target.result);
+        };
+        
+        reader.readAsArrayBuffer(e.target.files[0]);
+        e.target.value = '';
       }
     });
   }
 
+  /**
+   * Set up PGN database game list event listeners
+   */
+  setupGameListEvents() {
+    this.elements.gameSearch.addEventListener('input', (e) => {
+      this.gameListView.filterGames(e.target.value);
+    });
+    
+    // Event delegation for game rows
+    this.elements.gameListBody.addEventListener('click', (e) => {
+      const row = e.target.closest('tr');
+      if (!row || row.dataset.gameIndex === undefined) return;
+      
+      this.controller.openDatabaseGame(parseInt(row.dataset.gameIndex));
+    });
+  }
+
+  /**
+   * Create the annotation glyph buttons and set up annotation event listeners
+   */
+  setupAnnotationEvents() {
+    Object.values(NAGS).forEach(glyphs => {
+      Object.entries(glyphs).forEach(([nag, symbol]) => {
+        const button = document.createElement('button');
+        button.dataset.nag = nag;
+        button.textContent = symbol;
+        button.disabled = true;
+        this.elements.nagButtons.appendChild(button);
+      });
+    });
+    
+    this.elements.nagButtons.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (!button || !button.dataset.nag) return;
+      
+      this.controller.toggleMoveNAG(parseInt(button.dataset.nag));
+    });
+    
+    this.elements.moveComment.addEventListener('change', (e) => {
+      this.controller.setMoveComment(e.target.value);
+    });
+    
+    this.elements.moveCommentBefore.addEventListener('change', (e) => {
+      this.controller.setMoveCommentBefore(e.target.value);
+    });
+  }
+
+  /**
+   * Fill the difficulty levels and set up game mode event listeners
+   */
+  setupGameModeEvents() {
+    ENGINE_LEVELS.forEach((level, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = level.name;
+      option.selected = index === DEFAULT_ENGINE_LEVEL;
+      this.elements.engineLevel.appendChild(option);
+    });
+    
+    const updateComputerOpponent = () => {
+      const enabled = this.elements.gameMode.value === 'computer';
+      const humanColor = this.elements.playerColor.value;
+      
+      this.elements.playerColor.disabled = !enabled;
+      this.elements.engineLevel.disabled = !enabled;
+      
+      this.controller.setComputerOpponent({
+        enabled,
+        color: humanColor === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE,
+        level: parseInt(this.elements.engineLevel.value)
+      });
+    };
+    
+    [this.elements.gameMode, this.elements.playerColor, this.elements.engineLevel].forEach(select => {
+      select.addEventListener('change', updateComputerOpponent);
+    });
+  }
+
   /**
    * Render the chess board
    * @param {Board} board - The chess board
@@ -156,6 +340,10 @@ export class ChessUI {
     this.updateGameStatus(gameState.gameStatus);
     this.updateCapturedPieces(gameState.capturedPieces);
     this.updateNavigationButtons(gameState.currentMoveIndex, gameState.moveHistory.length);
+    this.updateClaimDrawButton(!gameState.gameOver && !!gameState.claimableDraw);
+    this.updateVariationButtons(!gameState.isMainLine(gameState.getCurrentNode()));
+    this.updateAnnotationEditor(gameState.getCurrentNode().move);
+    this.analysisView.setOrientation(gameState.boardOrientation);
     this.boardView.highlightChecks(gameState);
   }
 
@@ -230,6 +418,173 @@ export class ChessUI {
     document.getElementById('last-move').disabled = currentIndex === historyLength;
   }
 
+  /**
+   * Enable or disable the claim draw button
+   * @param {Boolean} canClaim - Whether the player to move may claim a draw
+   */
+  updateClaimDrawButton(canClaim) {
+    document.getElementById('claim-draw').disabled = !canClaim;
+  }
+
+  /**
+   * Enable or disable the variation buttons
+   * @param {Boolean} inVariation - Whether the current position is inside a side variation
+   */
+  updateVariationButtons(inVariation) {
+    document.getElementById('promote-variation').disabled = !inVariation;
+    document.getElementById('delete-variation').disabled = !inVariation;
+  }
+
+  /**
+   * Render the move list with the current move highlighted
+   * @param {GameState} gameState - The game state
+   */
+  renderNotation(gameState) {
+    this.notationView.renderMoveTree(gameState.moveTree, gameState.getCurrentNode());
+    this.updateAnnotationEditor(gameState.getCurrentNode().move);
+    this.evalGraphView.render(gameState.moveHistory, gameState.currentMoveIndex);
+  }
+
+  /**
+   * Show the annotations of the current move in the annotation editor
+   * @param {Object} move - Current move (null at the starting position)
+   */
+  updateAnnotationEditor(move) {
+    this.elements.nagButtons.querySelectorAll('button').forEach(button => {
+      button.disabled = !move;
+      button.classList.toggle('active', !!move && move.nags.includes(parseInt(button.dataset.nag)));
+    });
+    
+    this.elements.moveComment.disabled = !move;
+    this.elements.moveComment.value = move && move.comment ? move.comment : '';
+    this.elements.moveCommentBefore.disabled = !move;
+    this.elements.moveCommentBefore.value = move && move.commentBefore ? move.commentBefore : '';
+  }
+
+  /**
+   * Show the games of a PGN database
+   * @param {Array} games - Parsed games
+   */
+  showGameList(games) {
+    this.gameListView.showGames(games);
+  }
+
+  /**
+   * Hide the PGN database game list
+   */
+  hideGameList() {
+    this.gameListView.hide();
+  }
+
+  /**
+   * Mark the database game that is loaded on the board
+   * @param {Number} gameIndex - Index of the game in the database
+   */
+  highlightGame(gameIndex) {
+    this.gameListView.highlightGame(gameIndex);
+  }
+
+  /**
+   * Show or hide the evaluation bar and analysis panel
+   * @param {Boolean} enabled - Whether analysis mode is on
+   */
+  setAnalysisMode(enabled) {
+    this.elements.toggleAnalysis.classList.toggle('active', enabled);
+    this.analysisView.setVisible(enabled);
+  }
+
+  /**
+   * Show the engine's best lines for the displayed position
+   * @param {Array} lines - Lines as { score, moves } (scores from white's point of view)
+   * @param {Number} depth - Search depth
+   */
+  showAnalysis(lines, depth) {
+    this.analysisView.showLines(lines, depth);
+  }
+
+  /**
+   * Show the outcome of a finished game in the analysis panel
+   * @param {String} result - PGN result
+   * @param {String} status - Description of how the game ended
+   */
+  showAnalysisResult(result, status) {
+    this.analysisView.showResult(result, status);
+  }
+
+  /**
+   * Highlight the squares of a hint
+   * @param {Array} positions - [row, col] of the piece to move and possibly its target (empty to clear)
+   */
+  showHint(positions) {
+    this.boardView.markSquares(UI.SQUARE_CLASSES.HINT, positions);
+  }
+
+  /**
+   * Show or hide the threat display
+   * @param {Boolean} enabled - Whether threats are shown
+   */
+  setThreatMode(enabled) {
+    this.elements.toggleThreat.classList.toggle('active', enabled);
+  }
+
+  /**
+   * Show the move the opponent threatens to play
+   * @param {Object|null} threat - { from, to, notation }, or null to clear
+   */
+  showThreat(threat) {
+    this.boardView.markSquares(UI.SQUARE_CLASSES.THREAT, threat ? [threat.from, threat.to] : []);
+    this.elements.threatInfo.textContent = threat ? `Threat: ${threat.notation}` : '';
+  }
+
+  /**
+   * Show the opening of the displayed position above the move list
+   * @param {Object|null} opening - Opening { eco, name }, or null if it is not known
+   */
+  showOpening(opening) {
+    this.elements.openingName.textContent = opening ? `${opening.eco} ${opening.name}` : '';
+  }
+
+  /**
+   * Show the opening book moves of the displayed position
+   * @param {Array|null} moves - Moves as { notation, weight }, or null if no book is loaded
+   */
+  showBookMoves(moves) {
+    this.bookView.showMoves(moves);
+  }
+
+  /**
+   * Show the moves played from the displayed position in imported games
+   * @param {Array|null} moves - Move statistics, or null if no games were imported
+   * @param {Number} gameCount - Number of imported games
+   */
+  showExplorer(moves, gameCount) {
+    this.explorerView.showMoves(moves, gameCount);
+  }
+
+  /**
+   * Show the progress of a game review
+   * @param {Number} done - Positions evaluated
+   * @param {Number} total - Positions to evaluate
+   */
+  showReviewProgress(done, total) {
+    this.reviewView.showProgress(done, total);
+  }
+
+  /**
+   * Show the result of a game review
+   * @param {Object} summary - Accuracy and move counts per color
+   */
+  showReviewSummary(summary) {
+    this.reviewView.showSummary(summary);
+  }
+
+  /**
+   * Hide the game review
+   */
+  hideReview() {
+    this.reviewView.hide();
+  }
+
   /**
    * Show the pawn promotion dialog
    * @param {String} color - Color of the pawn being promoted
@@ -263,6 +618,28 @@ export class ChessUI {
     this.elements.promotionModal.style.display = 'none';
   }
 
+  /**
+   * Offer PGN text as a file download
+   * @param {String} pgnContent - PGN content to save
+   * @param {String} fileName - Name of the downloaded file
+   */
+  downloadPGN(pgnContent, fileName = 'chess_game.pgn') {
+    const blob = new Blob([pgnContent], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    
+    // Clean up
+    setTimeout(() => {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 100);
+  }
+
   /**
    * Show a temporary message in the game status
    * @param {String} message - Message to display
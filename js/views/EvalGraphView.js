@@ -0,0 +1,165 @@
+/**
+ * EvalGraphView - Plots the evaluation after every move of the game
+ */
+import { COLORS, MOVE_CLASSIFICATIONS } from '../utils/Constants.js';
+import { MATE_SCORE } from '../engine/Engine.js';
+import { AnalysisView } from './AnalysisView.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Size of the graph in SVG units (it is scaled to the width of the move list)
+const GRAPH_WIDTH = 300;
+const GRAPH_HEIGHT = 80;
+
+// Moves marked on the graph
+const MARKED_CLASSIFICATIONS = [MOVE_CLASSIFICATIONS.MISTAKE, MOVE_CLASSIFICATIONS.BLUNDER];
+
+// Evaluation stored in a PGN comment, e.g. [%eval 0.35] or [%eval #-3]
+const EVAL_COMMAND = /\[%eval\s+(#?)(-?\d+(?:\.\d+)?)[^\]]*\]/;
+
+export class EvalGraphView {
+  /**
+   * Create an evaluation graph view
+   * @param {HTMLElement} container - The evaluation graph container
+   */
+  constructor(container) {
+    this.container = container;
+    this.svg = container.querySelector('svg');
+    this.emptyElement = container.querySelector('.eval-graph-empty');
+    this.svg.setAttribute('viewBox', `0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`);
+    this.currentLine = null;
+    this.moveCount = 0;
+  }
+
+  /**
+   * Plot the evaluations of a line of moves
+   * @param {Array} moves - Moves of the current line
+   * @param {Number} currentMoveIndex - Number of moves played on the board
+   */
+  render(moves, currentMoveIndex) {
+    this.svg.innerHTML = '';
+    this.moveCount = moves.length;
+    
+    if (moves.length === 0) {
+      this.container.style.display = 'none';
+      return;
+    }
+    this.container.style.display = 'block';
+    
+    // Ply 0 is the starting position, ply i the position after the i-th move
+    const getX = ply => ply / moves.length * GRAPH_WIDTH;
+    const getY = score => (1 - AnalysisView.getWhiteShare(score) / 100) * GRAPH_HEIGHT;
+    
+    const points = [];
+    moves.forEach((move, index) => {
+      const evaluation = EvalGraphView.getMoveEvaluation(move);
+      if (evaluation === null) return;
+      points.push({ move, ply: index + 1, evaluation, x: getX(index + 1), y: getY(evaluation) });
+    });
+    
+    this.emptyElement.style.display = points.length === 0 ? 'block' : 'none';
+    
+    // White's share below the curve
+    if (points.length > 0) {
+      const outline = points.map(point => `${point.x},${point.y}`);
+      const first = points[0];
+      const last = points[points.length - 1];
+      this.svg.appendChild(this.createElement('polygon', {
+        class: 'eval-graph-area',
+        points: [`${first.x},${GRAPH_HEIGHT}`, ...outline, `${last.x},${GRAPH_HEIGHT}`].join(' ')
+      }));
+    }
+    
+    this.svg.appendChild(this.createElement('line', {
+      class: 'eval-graph-axis',
+      x1: 0, y1: GRAPH_HEIGHT / 2, x2: GRAPH_WIDTH, y2: GRAPH_HEIGHT / 2
+    }));
+    
+    this.currentLine = this.createElement('line', { class: 'eval-graph-current', y1: 0, y2: GRAPH_HEIGHT });
+    this.svg.appendChild(this.currentLine);
+    this.highlightMove(currentMoveIndex);
+    
+    // A column per ply so that every move can be selected, evaluated or not
+    const columnWidth = GRAPH_WIDTH / moves.length;
+    for (let ply = 0; ply <= moves.length; ply++) {
+      const column = this.createElement('rect', {
+        class: 'eval-graph-column',
+        x: Math.max(0, getX(ply) - columnWidth / 2),
+        y: 0,
+        width: ply === 0 || ply === moves.length ? columnWidth / 2 : columnWidth,
+        height: GRAPH_HEIGHT
+      });
+      column.dataset.moveIndex = ply;
+      this.svg.appendChild(column);
+    }
+    
+    points.forEach(({ move, ply, evaluation, x, y }) => {
+      const classification = move.review ? move.review.classification : null;
+      const marked = MARKED_CLASSIFICATIONS.includes(classification);
+      
+      const circle = this.createElement('circle', {
+        class: marked ? `eval-graph-point eval-graph-${classification}` : 'eval-graph-point',
+        cx: x,
+        cy: y,
+        r: marked ? 3.5 : 2
+      });
+      circle.dataset.moveIndex = ply;
+      
+      const title = this.createElement('title', {});
+      const moveNumber = move.player === COLORS.WHITE ? `${move.moveNumber}.` : `${move.moveNumber}...`;
+      title.textContent = `${moveNumber} ${move.notation} ${AnalysisView.formatScore(evaluation)}`;
+      circle.appendChild(title);
+      
+      this.svg.appendChild(circle);
+    });
+  }
+
+  /**
+   * Mark the position shown on the board
+   * @param {Number} moveIndex - Number of moves played on the board
+   */
+  highlightMove(moveIndex) {
+    if (this.moveCount === 0) return;
+    
+    const x = moveIndex / this.moveCount * GRAPH_WIDTH;
+    this.currentLine.setAttribute('x1', x);
+    this.currentLine.setAttribute('x2', x);
+  }
+
+  /**
+   * Create an SVG element
+   * @param {String} name - Element name
+   * @param {Object} attributes - Attribute values
+   * @returns {SVGElement} The element
+   */
+  createElement(name, attributes) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([attribute, value]) => {
+      element.setAttribute(attribute, value);
+    });
+    return element;
+  }
+
+  /**
+   * Get the evaluation after a move, from a game review or from an [%eval]
+   * command in the move's comment (as in PGN exported by online chess sites)
+   * @param {Object} move - Move object
+   * @returns {Number|null} Score in centipawns from white's point of view, or null if unknown
+   */
+  static getMoveEvaluation(move) {
+    if (move.review && move.review.evaluation !== undefined) {
+      return move.review.evaluation;
+    }
+    
+    const match = move.comment ? move.comment.match(EVAL_COMMAND) : null;
+    if (!match) return null;
+    
+    const value = parseFloat(match[2]);
+    if (match[1]) {
+      // Mate in n moves: the mating side moves 2n - 1 more plies
+      const plies = Math.max(0, 2 * Math.abs(value) - 1);
+      return value < 0 ? -(MATE_SCORE - plies) : MATE_SCORE - plies;
+    }
+    return Math.round(value * 100);
+  }
+}
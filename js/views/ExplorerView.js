@@ -0,0 +1,86 @@
+/**
+ * ExplorerView - Shows the moves played from the displayed position in imported games
+ */
+
+// Result shares shown in the results bar, with their classes
+const RESULT_SHARES = [
+  { key: 'white', className: 'explorer-white' },
+  { key: 'draws', className: 'explorer-draws' },
+  { key: 'black', className: 'explorer-black' }
+];
+
+export class ExplorerView {
+  /**
+   * Create an explorer view
+   * @param {HTMLElement} panel - The explorer panel
+   */
+  constructor(panel) {
+    this.panel = panel;
+    this.statusElement = panel.querySelector('.explorer-status');
+    this.movesBody = panel.querySelector('tbody');
+  }
+
+  /**
+   * Show the moves of the displayed position, or hide the panel when there are no games
+   * @param {Array|null} moves - Move statistics from ExplorerService.getMoves
+   * @param {Number} gameCount - Number of games in the explorer
+   */
+  showMoves(moves, gameCount) {
+    this.movesBody.innerHTML = '';
+    
+    if (!moves) {
+      this.panel.style.display = 'none';
+      return;
+    }
+    this.panel.style.display = 'block';
+    
+    const positionGames = moves.reduce((sum, move) => sum + move.count, 0);
+    this.statusElement.textContent = `${positionGames} of ${gameCount} games`;
+    
+    moves.forEach((move, index) => {
+      const tr = document.createElement('tr');
+      tr.dataset.explorerIndex = index;
+      
+      const notationCell = document.createElement('td');
+      notationCell.textContent = move.notation;
+      tr.appendChild(notationCell);
+      
+      const countCell = document.createElement('td');
+      countCell.textContent = move.count;
+      tr.appendChild(countCell);
+      
+      const resultsCell = document.createElement('td');
+      resultsCell.appendChild(this.createResultsBar(move));
+      tr.appendChild(resultsCell);
+      
+      const ratingCell = document.createElement('td');
+      ratingCell.textContent = move.averageRating !== null ? move.averageRating : '-';
+      tr.appendChild(ratingCell);
+      
+      this.movesBody.appendChild(tr);
+    });
+  }
+
+  /**
+   * Create the bar showing how often white won, drew and lost after a move
+   * @param {Object} move - Move statistics { count, white, draws, black }
+   * @returns {HTMLElement} The results bar
+   */
+  createResultsBar(move) {
+    const bar = document.createElement('div');
+    bar.classList.add('explorer-results');
+    
+    RESULT_SHARES.forEach(({ key, className }) => {
+      const percentage = Math.round(move[key] / move.count * 100);
+      const share = document.createElement('span');
+      share.classList.add(className);
+      share.style.width = `${percentage}%`;
+      // Narrow shares have no room for their label
+      share.textContent = percentage >= 15 ? `${percentage}%` : '';
+      share.title = `${percentage}%`;
+      bar.appendChild(share);
+    });
+    
+    return bar;
+  }
+}
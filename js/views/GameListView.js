@@ -0,0 +1,95 @@
+/**
+ * GameListView - Renders the list of games in a PGN database
+ */
+
+// Header columns shown for each game
+const GAME_LIST_COLUMNS = ['White', 'Black', 'Date', 'Result', 'ECO'];
+
+// Headers searched by the filter in addition to the columns
+const SEARCH_HEADERS = [...GAME_LIST_COLUMNS, 'Event', 'Site', 'Opening'];
+
+export class GameListView {
+  /**
+   * Create a game list view
+   * @param {HTMLElement} container - The game list panel
+   * @param {HTMLElement} listBody - The game list table body element
+   * @param {HTMLInputElement} searchInput - The search field
+   */
+  constructor(container, listBody, searchInput) {
+    this.container = container;
+    this.listBody = listBody;
+    this.searchInput = searchInput;
+    this.games = [];
+    this.activeGameIndex = null;
+  }
+
+  /**
+   * Show the games of a database
+   * @param {Array} games - Parsed games from PGNService.parsePGNDatabase
+   */
+  showGames(games) {
+    this.games = games;
+    this.activeGameIndex = null;
+    this.searchInput.value = '';
+    this.renderGames(games);
+    this.container.style.display = 'block';
+  }
+
+  /**
+   * Hide the game list
+   */
+  hide() {
+    this.container.style.display = 'none';
+  }
+
+  /**
+   * Show only the games matching a search query
+   * @param {String} query - Text to look for in the game headers
+   */
+  filterGames(query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(term => term);
+    
+    // Every search term must appear in one of the game's headers
+    const matches = this.games.filter(game => {
+      const text = SEARCH_HEADERS.map(name => game.headers[name] || '').join(' ').toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+    
+    this.renderGames(matches);
+  }
+
+  /**
+   * Render rows for a list of games
+   * @param {Array} games - Games to render
+   */
+  renderGames(games) {
+    this.listBody.innerHTML = '';
+    
+    games.forEach(game => {
+      const tr = document.createElement('tr');
+      tr.dataset.gameIndex = game.index;
+      if (game.index === this.activeGameIndex) {
+        tr.classList.add('active');
+      }
+      
+      GAME_LIST_COLUMNS.forEach(name => {
+        const td = document.createElement('td');
+        td.textContent = game.headers[name] || (name === 'Result' ? game.result : '') || '';
+        tr.appendChild(td);
+      });
+      
+      this.listBody.appendChild(tr);
+    });
+  }
+
+  /**
+   * Highlight the game currently on the board
+   * @param {Number} gameIndex - Index of the game in the database
+   */
+  highlightGame(gameIndex) {
+    this.activeGameIndex = gameIndex;
+    this.listBody.querySelectorAll('tr').forEach(row => {
+      row.classList.toggle('active', parseInt(row.dataset.gameIndex) === gameIndex);
+    });
+  }
+}
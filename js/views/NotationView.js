@@ -1,7 +1,7 @@
 /**
  * NotationView - Renders the chess notation view
  */
-import { COLORS } from '../utils/Constants.js';
+import { COLORS, NAGS } from '../utils/Constants.js';
 
 export class NotationView {
   /**
@@ -15,185 +15,231 @@ export class NotationView {
   }
 
   /**
-   * Add a move to the notation history
-   * @param {Object} move - Move object with details
-   * @param {Number} moveIndex - Index of the move in history
-   * @param {Boolean} isChecking - Whether the move puts opponent in check
-   * @param {Boolean} isCheckmate - Whether the move is checkmate
+   * Render the move tree: the main line as a table, side variations inline below
+   * the move they replace
+   * @param {Object} moveTree - Root node of the move tree (see GameState)
+   * @param {Object} currentNode - Node of the position shown on the board
    */
-  addMoveToHistory(move, moveIndex, isChecking = false, isCheckmate = false) {
-    console.log(`Adding move to notation history: ${move.notation}, index: ${moveIndex}`);
-    
-    // Get piece and player info
-    const { piece, notation } = move;
-    
-    // Determine move number (1-based)
-    const moveNumber = Math.ceil(moveIndex / 2);
-    
-    // Determine if white or black move
-    const isWhiteMove = piece.color === COLORS.WHITE;
+  renderMoveTree(moveTree, currentNode) {
+    this.notationBody.innerHTML = '';
+    let row = null;
     
-    console.log(`Move #${moveNumber}, ${isWhiteMove ? 'White' : 'Black'}: ${notation}`);
+    // The game's comment comes before the first move
+    if (moveTree.comment) {
+      this.addCommentRow(moveTree.comment);
+    }
     
-    if (isWhiteMove) {
-      // Create a new row for white's move
-      const tr = document.createElement('tr');
-      tr.dataset.moveIndex = moveIndex;
+    for (let node = moveTree.children[0]; node; node = node.children[0]) {
+      const { move } = node;
+      const isWhiteMove = move.player === COLORS.WHITE;
       
-      const tdNum = document.createElement('td');
-      tdNum.textContent = moveNumber + '.';
+      // A comment before the move gets its own row, so the move starts a new one
+      if (move.commentBefore) {
+        if (row) {
+          row.cells[2].textContent = '...';
+        }
+        this.addCommentRow(move.commentBefore);
+        row = null;
+      }
       
-      const tdWhite = document.createElement('td');
-      tdWhite.textContent = notation;
+      // White's move starts a new row, as does black's move after a variation
+      // (or when the game started with black to move)
+      if (isWhiteMove || !row) {
+        row = this.createMoveRow(move.moveNumber);
+        if (!isWhiteMove) {
+          row.cells[1].textContent = '...';
+        }
+      }
       
-      const tdBlack = document.createElement('td');
-      // Black's move will be filled in later
+      const cell = row.cells[isWhiteMove ? 1 : 2];
+      cell.textContent = this.formatMove(move);
+      cell.dataset.nodeId = node.id;
       
-      tr.appendChild(tdNum);
-      tr.appendChild(tdWhite);
-      tr.appendChild(tdBlack);
-      this.notationBody.appendChild(tr);
-    } else {
-      // Add black's move to the last row
-      const rows = this.notationBody.getElementsByTagName('tr');
-      if (rows.length > 0) {
-        const lastRow = rows[rows.length - 1];
-        const cells = lastRow.getElementsByTagName('td');
-        if (cells.length >= 3) {
-          cells[2].textContent = notation;
-          // Update the row's moveIndex to the black move's index
-          lastRow.dataset.moveIndex = moveIndex;
+      // Reviewed moves are colored by their classification
+      if (move.review) {
+        cell.classList.add(`review-${move.review.classification}`);
+      }
+      
+      // The move's comment and alternatives to the move follow on their own rows
+      const alternatives = node.parent.children.slice(1);
+      if (move.comment || alternatives.length > 0) {
+        if (isWhiteMove) {
+          row.cells[2].textContent = '...';
         }
+        if (move.comment) {
+          this.addCommentRow(move.comment);
+        }
+        alternatives.forEach(alternative => this.addVariationRow(alternative));
+        row = null;
+      } else if (!isWhiteMove) {
+        row = null;
       }
     }
     
-    // Scroll to the bottom of the move history
-    this.moveHistory.scrollTop = this.moveHistory.scrollHeight;
+    this.highlightNode(currentNode ? currentNode.id : null);
   }
 
   /**
-   * Highlight the current move in the notation history
-   * @param {Number} moveIndex - Index of the move to highlight
+   * Append a notation row with empty move cells
+   * @param {Number} moveNumber - Move number shown in the row
+   * @returns {HTMLTableRowElement} - The new row
    */
-  highlightMove(moveIndex) {
-    // Remove highlight from all cells
-    document.querySelectorAll('.notation-table td').forEach(cell => {
-      cell.classList.remove('active');
-    });
+  createMoveRow(moveNumber) {
+    const tr = document.createElement('tr');
     
-    if (moveIndex <= 0) return;
+    const tdNum = document.createElement('td');
+    tdNum.textContent = moveNumber + '.';
     
-    // Calculate which row and column to highlight
-    const rowIndex = Math.ceil(moveIndex / 2) - 1;
-    const isWhiteMove = moveIndex % 2 === 1; // White moves are odd indices
-    const columnIndex = isWhiteMove ? 1 : 2; // 1 for white, 2 for black
+    tr.appendChild(tdNum);
+    tr.appendChild(document.createElement('td'));
+    tr.appendChild(document.createElement('td'));
+    this.notationBody.appendChild(tr);
     
-    // Get the rows in the notation table
-    const rows = this.notationBody.getElementsByTagName('tr');
+    return tr;
+  }
+
+  /**
+   * Append a row showing a move comment
+   * @param {String} comment - Comment text
+   */
+  addCommentRow(comment) {
+    const tr = document.createElement('tr');
+    tr.classList.add('comment-row');
     
-    // Highlight the specific cell if it exists
-    if (rowIndex >= 0 && rowIndex < rows.length) {
-      const cells = rows[rowIndex].getElementsByTagName('td');
-      if (columnIndex < cells.length) {
-        cells[columnIndex].classList.add('active');
-      }
-    }
+    const td = document.createElement('td');
+    td.colSpan = 3;
+    td.textContent = comment;
+    
+    tr.appendChild(td);
+    this.notationBody.appendChild(tr);
   }
 
   /**
-   * Clear the notation history
+   * Append a row showing a side variation
+   * @param {Object} firstNode - First move of the variation
    */
-  clearNotation() {
-    this.notationBody.innerHTML = '';
+  addVariationRow(firstNode) {
+    const tr = document.createElement('tr');
+    tr.classList.add('variation-row');
+    
+    const td = document.createElement('td');
+    td.colSpan = 3;
+    this.appendVariation(td, firstNode);
+    
+    tr.appendChild(td);
+    this.notationBody.appendChild(tr);
   }
 
   /**
-   * Truncate notation history at a specific move index
-   * @param {Number} moveIndex - Index to truncate at
+   * Append a parenthesized variation, including its nested variations
+   * @param {HTMLElement} container - Element to append to
+   * @param {Object} firstNode - First move of the variation
    */
-  truncateNotation(moveIndex) {
-    const rows = this.notationBody.getElementsByTagName('tr');
-    
-    let rowIndex = Math.ceil(moveIndex / 2);
-    // If we're truncating after white's move, keep the row but clear black's move
-    if (moveIndex % 2 === 1 && rowIndex < rows.length) {
-      const cells = rows[rowIndex - 1].getElementsByTagName('td');
-      if (cells.length >= 3) {
-        cells[2].textContent = '';
+  appendVariation(container, firstNode) {
+    container.appendChild(document.createTextNode('('));
+    
+    // Black's moves get a move number at the start and after a nested variation
+    let showNumber = true;
+    
+    for (let node = firstNode; node; node = node.children[0]) {
+      const { move } = node;
+      
+      if (move.commentBefore) {
+        this.appendComment(container, move.commentBefore);
+        showNumber = true;
+      }
+      
+      const span = document.createElement('span');
+      span.classList.add('variation-move');
+      span.dataset.nodeId = node.id;
+      
+      if (move.player === COLORS.WHITE) {
+        span.textContent = `${move.moveNumber}. ${this.formatMove(move)}`;
+      } else if (showNumber) {
+        span.textContent = `${move.moveNumber}... ${this.formatMove(move)}`;
+      } else {
+        span.textContent = this.formatMove(move);
       }
-      // Remove all subsequent rows
-      while (rows.length > rowIndex) {
-        this.notationBody.removeChild(rows[rowIndex]);
+      
+      container.appendChild(span);
+      showNumber = false;
+      
+      if (move.comment) {
+        this.appendComment(container, move.comment);
+        showNumber = true;
       }
-    } else {
-      // Remove all rows from this point
-      while (rows.length > rowIndex) {
-        this.notationBody.removeChild(rows[rowIndex]);
+      
+      // The first move's alternatives are rendered by the enclosing line
+      if (node !== firstNode) {
+        node.parent.children.slice(1).forEach(alternative => {
+          this.appendVariation(container, alternative);
+          showNumber = true;
+        });
       }
     }
+    
+    container.appendChild(document.createTextNode(')'));
   }
 
   /**
-   * Generate algebraic notation for a move
-   * @param {Board} board - Chess board
-   * @param {Piece} piece - The piece that moved
-   * @param {Array} from - [fromRow, fromCol] source position
-   * @param {Array} to - [toRow, toCol] destination position
-   * @param {Boolean} isCapture - Whether the move is a capture
-   * @param {String} specialMove - Special move type (if any)
-   * @param {String} promotionPiece - Promotion piece type (if any)
-   * @param {Boolean} isCheck - Whether the move puts opponent in check
-   * @param {Boolean} isCheckmate - Whether the move is checkmate
-   * @returns {String} - Algebraic notation for the move
+   * Append a comment inside a variation
+   * @param {HTMLElement} container - Element to append to
+   * @param {String} comment - Comment text
    */
-  static generateNotation(board, piece, from, to, isCapture, specialMove, promotionPiece, isCheck, isCheckmate) {
-    const [fromRow, fromCol] = from;
-    const [toRow, toCol] = to;
-    
-    const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
-    const ranks = ['8', '7', '6', '5', '4', '3', '2', '1'];
-    
-    // Get piece type (P, N, B, R, Q, K)
-    let pieceType = piece.type[0].toUpperCase();
-    // Knights use 'N' instead of 'K' in algebraic notation
-    if (pieceType === 'K' && piece.type === 'knight') pieceType = 'N';
-    // Pawns have no prefix in algebraic notation
-    if (pieceType === 'P') pieceType = '';
-    
-    // Build the move in algebraic notation
-    let notation = '';
-    
-    // Handle castling
-    if (specialMove && specialMove.startsWith('castle')) {
-      notation = specialMove.includes('kingside') ? 'O-O' : 'O-O-O';
-    } else {
-      if (isCapture) {
-        // Captures
-        if (pieceType === '') {
-          // Pawn captures include the file
-          notation = files[fromCol] + 'x' + files[toCol] + ranks[toRow];
-        } else {
-          notation = pieceType + 'x' + files[toCol] + ranks[toRow];
-        }
-      } else {
-        // Non-captures
-        notation = pieceType + files[toCol] + ranks[toRow];
-      }
+  appendComment(container, comment) {
+    const commentSpan = document.createElement('span');
+    commentSpan.classList.add('move-comment');
+    commentSpan.textContent = comment;
+    container.appendChild(commentSpan);
+  }
+
+  /**
+   * Format a move's SAN with its annotation glyphs
+   * @param {Object} move - Move object with notation and optional nags
+   * @returns {String} - Text such as "Nf3!?" or "e4 ±"
+   */
+  formatMove(move) {
+    const nags = move.nags || [];
+    let text = move.notation;
+    
+    // Move assessments are written directly after the move, other glyphs follow it
+    nags.filter(nag => nag in NAGS.MOVE).forEach(nag => {
+      text += NAGS.MOVE[nag];
+    });
+    nags.filter(nag => !(nag in NAGS.MOVE)).forEach(nag => {
+      text += ' ' + (NAGS.POSITION[nag] || `$${nag}`);
+    });
+    
+    return text;
+  }
+
+  /**
+   * Highlight the current move in the notation history
+   * @param {Number} nodeId - Id of the move tree node to highlight (null for the start)
+   */
+  highlightNode(nodeId) {
+    // Remove highlight from all moves
+    this.notationBody.querySelectorAll('.active').forEach(element => {
+      element.classList.remove('active');
+    });
+    
+    if (nodeId === null) return;
+    
+    // Highlight the element holding this move and keep it in view
+    const element = this.notationBody.querySelector(`[data-node-id="${nodeId}"]`);
+    if (element) {
+      element.classList.add('active');
       
-      // Add promotion
-      if (promotionPiece) {
-        const promotedTo = promotionPiece[0].toUpperCase();
-        notation += '=' + (promotedTo === 'K' && promotionPiece === 'knight' ? 'N' : promotedTo);
+      if (element.scrollIntoView) {
+        element.scrollIntoView({ block: 'nearest' });
       }
     }
-    
-    // Add check or checkmate
-    if (isCheckmate) {
-      notation += '#';
-    } else if (isCheck) {
-      notation += '+';
-    }
-    
-    return notation;
+  }
+
+  /**
+   * Clear the notation history
+   */
+  clearNotation() {
+    this.notationBody.innerHTML = '';
   }
 }
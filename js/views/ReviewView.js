@@ -0,0 +1,73 @@
+/**
+ * ReviewView - Shows the progress and summary of a game review
+ */
+import { COLORS, MOVE_CLASSIFICATIONS } from '../utils/Constants.js';
+
+// Summary rows: label and how to read the value from a player's summary
+const SUMMARY_ROWS = [
+  { label: 'Accuracy', value: player => player.accuracy === null ? '-' : `${player.accuracy.toFixed(1)}%` },
+  { label: 'Avg. loss', value: player => player.averageLoss === null ? '-' : Math.round(player.averageLoss) },
+  { label: 'Inaccuracies', value: player => player.counts[MOVE_CLASSIFICATIONS.INACCURACY], className: 'review-inaccuracy' },
+  { label: 'Mistakes', value: player => player.counts[MOVE_CLASSIFICATIONS.MISTAKE], className: 'review-mistake' },
+  { label: 'Blunders', value: player => player.counts[MOVE_CLASSIFICATIONS.BLUNDER], className: 'review-blunder' }
+];
+
+export class ReviewView {
+  /**
+   * Create a review view
+   * @param {HTMLElement} panel - The review panel
+   */
+  constructor(panel) {
+    this.panel = panel;
+    this.statusElement = panel.querySelector('.review-status');
+    this.summaryTable = panel.querySelector('.review-summary');
+    this.summaryBody = this.summaryTable.querySelector('tbody');
+  }
+
+  /**
+   * Show how far the review has come
+   * @param {Number} done - Positions evaluated
+   * @param {Number} total - Positions to evaluate
+   */
+  showProgress(done, total) {
+    this.panel.style.display = 'block';
+    this.summaryTable.style.display = 'none';
+    this.statusElement.textContent = `Reviewing... ${done}/${total} positions`;
+  }
+
+  /**
+   * Show the accuracy and move counts of both players
+   * @param {Object} summary - Summary from ReviewService.summarize
+   */
+  showSummary(summary) {
+    this.panel.style.display = 'block';
+    this.summaryTable.style.display = '';
+    this.statusElement.textContent = 'Game review';
+    this.summaryBody.innerHTML = '';
+    
+    SUMMARY_ROWS.forEach(({ label, value, className }) => {
+      const tr = document.createElement('tr');
+      
+      const labelCell = document.createElement('td');
+      labelCell.textContent = label;
+      if (className) labelCell.classList.add(className);
+      tr.appendChild(labelCell);
+      
+      [COLORS.WHITE, COLORS.BLACK].forEach(color => {
+        const td = document.createElement('td');
+        td.textContent = value(summary[color]);
+        tr.appendChild(td);
+      });
+      
+      this.summaryBody.appendChild(tr);
+    });
+  }
+
+  /**
+   * Hide the review panel
+   */
+  hide() {
+    this.panel.style.display = 'none';
+    this.summaryBody.innerHTML = '';
+  }
+}